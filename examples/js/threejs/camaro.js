@@ -11,7 +11,7 @@ var lightMesh;
 
 var directionalLight, pointLight;
 
-var mouseX = 0, mouseY = 0;
+var mouseX = 0, mouseY = 0, markerAngle = 0;
 
 var windowHalfX = window.innerWidth / 2;
 var windowHalfY = window.innerHeight / 2;
@@ -176,6 +176,7 @@ function render() {
 
 	camera.position.x += ( mouseX - camera.position.x ) * .08;
 	camera.position.y += ( - mouseY - camera.position.y ) * .09;
+	camera.up.set( Math.sin( markerAngle ), Math.cos( markerAngle ), 0 );
 
 	camera.lookAt( scene.position );
 
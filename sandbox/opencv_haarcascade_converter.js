@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+// Converts OpenCV Haar cascades into the compact {width, height, stages}
+// cascades of tracking.type.HUMAN, wrapped in a data module. width and height
+// are the window size, stages are [parent, threshold, trees]. Each tree node
+// is [x, y, width, height, weight, ..., tilted, threshold, left, right], trees
+// deeper than one node are [leafValues, node0, node1, ...]:
+//
+//   node sandbox/opencv_haarcascade_converter.js haarcascade_eye.xml --out src/tracker/human/data/eye.js
+//
+// Inputs can be haarcascade_*.xml files, their JSON conversion or JSON
+// assigned to a variable, like the opencv_haarcascade_*.js files here.
+
+var fs = require('fs'),
+    path = require('path'),
+
+    tracking = require('../src/tracking.js');
+
+require('../src/tracker/human/human.js');
+
+var HUMAN = tracking.type.HUMAN,
+
+    USAGE = [
+        'Usage: node sandbox/opencv_haarcascade_converter.js [options] <cascade>...',
+        '',
+        'Options:',
+        '  --name <name>  data name, defaults to the file name without the haarcascade_',
+        '                 prefix. Only when converting a single cascade.',
+        '  --out <path>   output file, or directory when converting several cascades.',
+        '                 Defaults to stdout.',
+        '  --json         output the cascade JSON only, without the module wrapper.',
+        '  --help         show this message.'
+    ].join('\n');
+
+var parseArgs = function(argv) {
+    var options = {
+            files: []
+        },
+        arg,
+        i;
+
+    for (i = 0; i < argv.length; i++) {
+        arg = argv[i];
+
+        if (arg === '--name' || arg === '--out') {
+            if (i + 1 >= argv.length) {
+                throw Error(arg + ' expects a value.');
+            }
+
+            options[arg.substr(2)] = argv[++i];
+        }
+        else if (arg === '--json' || arg === '--help') {
+            options[arg.substr(2)] = true;
+        }
+        else if (arg.charAt(0) === '-') {
+            throw Error('Unknown option ' + arg + '.');
+        }
+        else {
+            options.files.push(arg);
+        }
+    }
+
+    if (options.name && options.files.length > 1) {
+        throw Error('--name can only be used with a single cascade.');
+    }
+
+    return options;
+};
+
+var getName = function(file) {
+    return path.basename(file, path.extname(file))
+        .replace(/^(opencv_)?haarcascade_/, '');
+};
+
+var readCascade = function(file) {
+    var source = fs.readFileSync(file, 'utf8').trim();
+
+    if (source.charAt(0) === '<') {
+        return source;
+    }
+
+    // JSON, possibly assigned to a variable: var name = {...};
+    return JSON.parse(source.slice(source.indexOf('{'), source.lastIndexOf('}') + 1));
+};
+
+var isNode = function(node) {
+    return (node.length - 4) % 5 === 0 && node.length >= 9 && node.every(isFinite);
+};
+
+var validate = function(cascade) {
+    var stages = cascade.stages,
+        features = 0,
+        rects = 0,
+        tilted = 0,
+        trees = 0;
+
+    if (!(cascade.width > 0 && cascade.height > 0)) {
+        throw Error('Cascade has no window size.');
+    }
+
+    if (!stages.length) {
+        throw Error('Cascade has no stages.');
+    }
+
+    stages.forEach(function(stage, s) {
+        if (stage.length !== 3 || !isFinite(stage[0]) || !isFinite(stage[1]) || !stage[2].length) {
+            throw Error('Stage ' + s + ' is invalid.');
+        }
+
+        stage[2].forEach(function(tree, t) {
+            var nodes = [tree];
+
+            if (Array.isArray(tree[0])) {
+                nodes = tree.slice(1);
+
+                if (!nodes.length || !tree[0].every(isFinite)) {
+                    throw Error('Stage ' + s + ', tree ' + t + ' is invalid.');
+                }
+
+                trees++;
+            }
+
+            nodes.forEach(function(node) {
+                if (!isNode(node)) {
+                    throw Error('Stage ' + s + ', tree ' + t + ' is invalid.');
+                }
+
+                rects += (node.length - 4)/5;
+                tilted += node[node.length - 4];
+                features++;
+            });
+        });
+    });
+
+    return {
+        features: features,
+        rects: rects,
+        stages: stages.length,
+        tilted: tilted,
+        trees: trees
+    };
+};
+
+var convert = function(file, options) {
+    var name = options.name || getName(file),
+        cascade,
+        counts,
+        json,
+        output;
+
+    try {
+        cascade = HUMAN.parseCascade(readCascade(file));
+        counts = validate(cascade);
+    }
+    catch (err) {
+        throw Error(file + ': ' + err.message);
+    }
+
+    json = JSON.stringify(cascade);
+
+    if (options.json) {
+        output = json + '\n';
+    }
+    else {
+        output = [
+            '// Generated by sandbox/opencv_haarcascade_converter.js from ' + path.basename(file) + ',',
+            '// ' + cascade.width + 'x' + cascade.height + ' window, ' + counts.stages + ' stages, ' + counts.features + ' features, ' + counts.tilted + ' tilted' +
+                (counts.trees ? ', ' + counts.trees + ' multi-node trees.' : '.'),
+            '',
+            'tracking.type.HUMAN.data' + (/^[a-z_$][\w$]*$/i.test(name) ? '.' + name : '[' + JSON.stringify(name) + ']') + ' = ' + json + ';',
+            ''
+        ].join('\n');
+    }
+
+    console.error(
+        path.basename(file) + ': ' + name + ', ' + cascade.width + 'x' + cascade.height + ' window, ' + counts.stages + ' stages, ' +
+        counts.features + ' features (' + counts.tilted + ' tilted), ' + counts.rects + ' rects, ' +
+        counts.trees + ' multi-node trees.');
+
+    return {
+        name: name,
+        output: output
+    };
+};
+
+var main = function(argv) {
+    var options = parseArgs(argv),
+        out = options.out,
+        several = options.files.length > 1;
+
+    if (options.help || !options.files.length) {
+        console.log(USAGE);
+
+        return options.help ? 0 : 1;
+    }
+
+    options.files.forEach(function(file) {
+        var result = convert(file, options);
+
+        if (!out) {
+            process.stdout.write(result.output);
+        }
+        else if (several) {
+            fs.writeFileSync(path.join(out, result.name + (options.json ? '.json' : '.js')), result.output);
+        }
+        else {
+            fs.writeFileSync(out, result.output);
+        }
+    });
+
+    return 0;
+};
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+}
+catch (err) {
+    console.error('Error: ' + err.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,313 @@
+(function (window, undefined) {
+
+    /*
+     * Background subtraction, separates the foreground from a static
+     * backdrop learned over the frames. Two background models are
+     * available, a running average of the gray levels, model 'average', and
+     * a per-pixel mixture of gaussians, model 'gmm', slower but robust to
+     * repetitive changes like flickering lights or moving leaves.
+     *
+     * The model lives in the tracker state, tracker.reset() restarts it and
+     * tracker.set('freeze', true) stops it from learning, e.g. once the
+     * empty scene has been learned. The model covers the whole frame, the
+     * searchWindow option is not supported.
+     */
+    tracking.registerTracker('background', {
+
+        defaults: {
+            // Stops the model from learning, the foreground is still
+            // subtracted.
+            freeze: false,
+
+            // Background weight of the current frame, smaller values learn
+            // slower but keep still foreground longer.
+            learningRate: 0.01,
+
+            minFoundPixels: 30,
+
+            model: 'average',
+
+            // Average model, gray level distance to the background above
+            // which a pixel is foreground.
+            threshold: 30,
+
+            // Gmm model, number of gaussians per pixel.
+            gaussians: 3,
+
+            // Gmm model, fraction of the weights belonging to the
+            // background gaussians.
+            backgroundRatio: 0.7,
+
+            // Gmm model, variance of the new gaussians.
+            initialVariance: 225,
+
+            // Gmm model, squared distance, in standard deviations, under
+            // which a pixel matches a gaussian.
+            varianceThreshold: 6.25
+        },
+
+        validate: function(config) {
+            if (config.model && config.model !== 'average' && config.model !== 'gmm') {
+                throw Error('Background model ' + config.model + ' is not supported.');
+            }
+
+            if (config.learningRate !== undefined && !(config.learningRate > 0 && config.learningRate <= 1)) {
+                throw Error('Background learningRate should be within (0, 1].');
+            }
+
+            if (config.searchWindow) {
+                throw Error('Background trackers do not support searchWindow.');
+            }
+        },
+
+        destroy: function(config, state) {
+            state.model = null;
+        },
+
+        mapPayload: function(payload, transform) {
+            payload.regions = payload.regions.map(transform.mapBlob, transform);
+
+            return payload;
+        },
+
+        /*
+         * Creates the foreground mask ImageData, white on transparent, a
+         * plain {width, height, data} object where ImageData is missing.
+         */
+        createMask_: function(mask, width, height) {
+            var len = width*height,
+                imageData,
+                data,
+                i;
+
+            if (window.ImageData) {
+                imageData = new window.ImageData(width, height);
+            }
+            else {
+                imageData = {
+                    width: width,
+                    height: height,
+                    data: new Uint8ClampedArray(len*4)
+                };
+            }
+
+            data = imageData.data;
+
+            for (i = 0; i < len; i++) {
+                if (mask[i]) {
+                    data[i*4] = data[i*4 + 1] = data[i*4 + 2] = data[i*4 + 3] = 255;
+                }
+            }
+
+            return imageData;
+        },
+
+        /*
+         * Running average model, state.model holds the background gray
+         * levels.
+         */
+        subtractAverage_: function(gray, mask, config, state, learn) {
+            var defaults = this.defaults,
+                background = state.model,
+                learningRate = config.learningRate || defaults.learningRate,
+                threshold = config.threshold || defaults.threshold,
+                len = gray.length,
+                i;
+
+            for (i = 0; i < len; i++) {
+                mask[i] = Math.abs(gray[i] - background[i]) > threshold ? 1 : 0;
+
+                if (learn) {
+                    background[i] += (gray[i] - background[i])*learningRate;
+                }
+            }
+        },
+
+        /*
+         * Gaussian mixture model, after Stauffer and Grimson. state.model
+         * holds the weights, means and variances of the gaussians of each
+         * pixel, kept by decreasing weight. The heaviest gaussians whose
+         * weights add up to backgroundRatio are the background, pixels
+         * matching none of them are foreground.
+         */
+        subtractGmm_: function(gray, mask, config, state, learn) {
+            var defaults = this.defaults,
+                model = state.model,
+                weights = model.weights,
+                means = model.means,
+                variances = model.variances,
+                gaussians = model.gaussians,
+                learningRate = config.learningRate || defaults.learningRate,
+                backgroundRatio = config.backgroundRatio || defaults.backgroundRatio,
+                initialVariance = config.initialVariance || defaults.initialVariance,
+                varianceThreshold = config.varianceThreshold || defaults.varianceThreshold,
+                len = gray.length,
+                value,
+                offset,
+                match,
+                cumulative,
+                distance,
+                rate,
+                total,
+                swap,
+                i,
+                k;
+
+            for (i = 0; i < len; i++) {
+                value = gray[i];
+                offset = i*gaussians;
+                match = -1;
+
+                for (k = 0; k < gaussians; k++) {
+                    distance = value - means[offset + k];
+
+                    if (weights[offset + k] > 0 && distance*distance < varianceThreshold*variances[offset + k]) {
+                        match = k;
+                        break;
+                    }
+                }
+
+                mask[i] = 1;
+                cumulative = 0;
+
+                for (k = 0; k < gaussians && cumulative < backgroundRatio; k++) {
+                    if (k === match) {
+                        mask[i] = 0;
+                        break;
+                    }
+
+                    cumulative += weights[offset + k];
+                }
+
+                if (!learn) {
+                    continue;
+                }
+
+                if (match === -1) {
+                    // Replaces the lightest gaussian.
+                    match = gaussians - 1;
+                    weights[offset + match] = learningRate;
+                    means[offset + match] = value;
+                    variances[offset + match] = initialVariance;
+                }
+                else {
+                    rate = learningRate/weights[offset + match];
+                    distance = value - means[offset + match];
+                    means[offset + match] += distance*rate;
+                    variances[offset + match] = Math.max(4,
+                        variances[offset + match] + (distance*distance - variances[offset + match])*rate);
+                }
+
+                total = 0;
+
+                for (k = 0; k < gaussians; k++) {
+                    weights[offset + k] += ((k === match ? 1 : 0) - weights[offset + k])*learningRate;
+                    total += weights[offset + k];
+                }
+
+                for (k = 0; k < gaussians; k++) {
+                    weights[offset + k] /= total;
+                }
+
+                // Moves the updated gaussian up to keep the weight order.
+                for (k = match; k > 0 && weights[offset + k] > weights[offset + k - 1]; k--) {
+                    swap = weights[offset + k];
+                    weights[offset + k] = weights[offset + k - 1];
+                    weights[offset + k - 1] = swap;
+                    swap = means[offset + k];
+                    means[offset + k] = means[offset + k - 1];
+                    means[offset + k - 1] = swap;
+                    swap = variances[offset + k];
+                    variances[offset + k] = variances[offset + k - 1];
+                    variances[offset + k - 1] = swap;
+                }
+            }
+        },
+
+        /*
+         * Returns {mask, regions, pixelCount}, the foreground mask as an
+         * ImageData of the tracked frame, the foreground regions, blobs as
+         * in tracking.image.findBlobs, and the number of foreground pixels.
+         * Regions are mapped to frame coordinates, the mask is not. Returns
+         * null on the first frame, which seeds the model.
+         */
+        track: function(imageData, opt_config, opt_state) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                state = opt_state || {},
+                image = tracking.image,
+                width = imageData.width,
+                height = imageData.height,
+                len = width*height,
+                modelName = config.model || defaults.model,
+                gaussians = config.gaussians || defaults.gaussians,
+                minFoundPixels = config.minFoundPixels || defaults.minFoundPixels,
+                gray,
+                mask,
+                pixelCount,
+                regions,
+                i;
+
+            if (!state.model || state.width !== width || state.height !== height ||
+                state.modelName !== modelName || (modelName === 'gmm' && state.model.gaussians !== gaussians)) {
+                state.width = width;
+                state.height = height;
+                state.modelName = modelName;
+                state.gray = image.grayscale(imageData.data, width, height);
+                state.mask = new Uint8Array(len);
+                state.labels = new Int32Array(len);
+
+                if (modelName === 'gmm') {
+                    state.model = {
+                        gaussians: gaussians,
+                        weights: new Float32Array(len*gaussians),
+                        means: new Float32Array(len*gaussians),
+                        variances: new Float32Array(len*gaussians)
+                    };
+
+                    for (i = 0; i < len; i++) {
+                        state.model.weights[i*gaussians] = 1;
+                        state.model.means[i*gaussians] = state.gray[i];
+                        state.model.variances[i*gaussians] = config.initialVariance || defaults.initialVariance;
+                    }
+                }
+                else {
+                    state.model = new Float32Array(state.gray);
+                }
+
+                return null;
+            }
+
+            gray = image.grayscale(imageData.data, width, height, state.gray);
+            mask = state.mask;
+
+            if (modelName === 'gmm') {
+                instance.subtractGmm_(gray, mask, config, state, !config.freeze);
+            }
+            else {
+                instance.subtractAverage_(gray, mask, config, state, !config.freeze);
+            }
+
+            pixelCount = 0;
+
+            for (i = 0; i < len; i++) {
+                pixelCount += mask[i];
+            }
+
+            if (pixelCount < minFoundPixels) {
+                return null;
+            }
+
+            regions = image.findBlobs(mask, width, height, minFoundPixels, state.labels);
+
+            return {
+                mask: instance.createMask_(mask, width, height),
+                pixelCount: pixelCount,
+                regions: regions
+            };
+        }
+
+    });
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
@@ -2,52 +2,359 @@
 
     var isString = tracking.isString,
 
-        distance = tracking.math.distance;
+        HEX_REGEX = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i,
 
-    tracking.type.COLOR = {
+        scratch = [],
 
-        NAME: 'COLOR',
+        hue = function(r, g, b, max, delta) {
+            var h;
+
+            if (delta === 0) {
+                return 0;
+            }
+
+            if (max === r) {
+                h = ((g - b)/delta) % 6;
+            }
+            else if (max === g) {
+                h = (b - r)/delta + 2;
+            }
+            else {
+                h = (r - g)/delta + 4;
+            }
+
+            h *= 60;
+
+            return h < 0 ? h + 360 : h;
+        };
+
+    tracking.registerTracker('color', {
 
         defaults: {
 
+            blobs: false,
+
             color: 'magenta',
 
-            minFoundPixels: 30
+            minFoundPixels: 30,
+
+            outlierDistance: 60
 
         },
 
-        cyan: function(r, g, b) {
-            var thresholdGreen = 50,
-                thresholdBlue = 50,
-                dx = r-0,
-                dy = g-255,
-                dz = b-255;
+        colors: {
+
+            cyan: function(r, g, b) {
+                var thresholdGreen = 50,
+                    thresholdBlue = 50,
+                    dx = r-0,
+                    dy = g-255,
+                    dz = b-255;
+
+                if ((g - r) >= thresholdGreen && (b - r) >= thresholdBlue) {
+                    return true;
+                }
+
+                return Math.sqrt(dx*dx + dy*dy + dz*dz) < 80;
+            },
+
+            magenta: function(r, g, b) {
+                var threshold = 50,
+                    dx = r-255,
+                    dy = g-0,
+                    dz = b-255;
+
+                if ((r - g) >= threshold && (b - g) >= threshold) {
+                    return true;
+                }
 
-            if ((g - r) >= thresholdGreen && (b - r) >= thresholdBlue) {
-                return true;
+                return Math.sqrt(dx*dx + dy*dy + dz*dz) < 140;
             }
 
-            return Math.sqrt(dx*dx + dy*dy + dz*dz) < 80;
         },
 
-        magenta: function(r, g, b) {
-            var threshold = 50,
-                dx = r-255,
-                dy = g-0,
-                dz = b-255;
+        /*
+         * Registers a named color usable as track({type: 'color', color: name}).
+         * The color can be a (r, g, b) predicate or a map with either:
+         *
+         *   rgb or hex: [r, g, b] or a hex string like '#ff8800', matched within
+         *     tolerance (euclidean distance in RGB, defaults to 60).
+         *   hsv or hsl: {min: [h, s, v], max: [h, s, v]}, hue in degrees and
+         *     the other channels in [0, 1]. A min hue greater than the max hue
+         *     wraps around 0, useful for reds.
+         */
+        registerColor: function(name, color) {
+            var instance = this;
+
+            instance.colors[name] = instance.createColor_(color);
+
+            return instance.colors[name];
+        },
 
-            if ((r - g) >= threshold && (b - g) >= threshold) {
-                return true;
+        createColor_: function(color) {
+            var instance = this,
+                rgb,
+                tolerance,
+                range,
+                toSpace;
+
+            if (typeof color === 'function') {
+                return color;
             }
 
-            return Math.sqrt(dx*dx + dy*dy + dz*dz) < 140;
+            if (color.rgb || color.hex) {
+                rgb = color.rgb || color.hex;
+                rgb = isString(rgb) ? instance.parseHex_(rgb) : rgb;
+                tolerance = color.tolerance || 60;
+
+                return function(r, g, b) {
+                    var dx = r-rgb[0],
+                        dy = g-rgb[1],
+                        dz = b-rgb[2];
+
+                    return dx*dx + dy*dy + dz*dz < tolerance*tolerance;
+                };
+            }
+
+            range = color.hsv || color.hsl;
+            toSpace = color.hsv ? instance.toHsv : instance.toHsl;
+
+            if (!range || !range.min || !range.max) {
+                throw Error('Color should be a function or define rgb, hex, hsv or hsl.');
+            }
+
+            return function(r, g, b) {
+                var value = toSpace(r, g, b, scratch),
+                    min = range.min,
+                    max = range.max,
+                    h = value[0];
+
+                if (value[1] < min[1] || value[1] > max[1] ||
+                    value[2] < min[2] || value[2] > max[2]) {
+                    return false;
+                }
+
+                if (min[0] <= max[0]) {
+                    return h >= min[0] && h <= max[0];
+                }
+
+                return h >= min[0] || h <= max[0];
+            };
+        },
+
+        /*
+         * Learns a color from RGB samples, a flat [r, g, b, r, g, b, ...]
+         * array, and registers it under name. The model is the mean and
+         * standard deviation of the samples in opt_options.space ('rgb', 'hsv'
+         * or 'hsl', defaults to 'hsv'), colors are accepted within
+         * opt_options.deviations (defaults to 2.5) standard deviations.
+         */
+        learnColor: function(name, samples, opt_options) {
+            var instance = this,
+                options = opt_options || {},
+                space = options.space || 'hsv',
+                deviations = options.deviations || 2.5,
+                total = samples.length/3,
+                sum = [0, 0, 0],
+                sumSquare = [0, 0, 0],
+                sin = 0,
+                cos = 0,
+                value = [],
+                mean,
+                deviation,
+                color,
+                angle,
+                halfWidth,
+                i,
+                c;
+
+            if (!total) {
+                throw Error('At least one sample is needed to learn a color.');
+            }
+
+            for (i = 0; i < samples.length; i+=3) {
+                if (space === 'rgb') {
+                    value[0] = samples[i];
+                    value[1] = samples[i + 1];
+                    value[2] = samples[i + 2];
+                }
+                else {
+                    instance[space === 'hsl' ? 'toHsl' : 'toHsv'](
+                        samples[i], samples[i + 1], samples[i + 2], value);
+
+                    angle = value[0]*Math.PI/180;
+                    sin += Math.sin(angle);
+                    cos += Math.cos(angle);
+                }
+
+                for (c = 0; c < 3; c++) {
+                    sum[c] += value[c];
+                    sumSquare[c] += value[c]*value[c];
+                }
+            }
+
+            mean = sum.map(function(v) {
+                return v/total;
+            });
+
+            deviation = sumSquare.map(function(v, c) {
+                return Math.sqrt(Math.max(0, v/total - mean[c]*mean[c]));
+            });
+
+            if (space === 'rgb') {
+                color = {
+                    rgb: mean,
+                    tolerance: deviations*Math.sqrt(
+                        deviation[0]*deviation[0] + deviation[1]*deviation[1] + deviation[2]*deviation[2]) || 1
+                };
+            }
+            else {
+                // Hue is circular, 350 and 10 degrees average to 0, not 180.
+                mean[0] = Math.atan2(sin/total, cos/total)*180/Math.PI;
+                mean[0] = mean[0] < 0 ? mean[0] + 360 : mean[0];
+                deviation[0] = Math.sqrt(-2*Math.log(
+                    Math.min(1, Math.sqrt(sin*sin + cos*cos)/total) || Number.MIN_VALUE))*180/Math.PI;
+
+                color = {};
+                color[space] = {
+                    min: [],
+                    max: []
+                };
+
+                // The ranges are at least a degree of hue and a 255th of the
+                // other channels wide on each side, or uniform samples would
+                // be rejected by the rounding of their own mean.
+                for (c = 0; c < 3; c++) {
+                    halfWidth = Math.max(deviations*deviation[c], c ? 1/255 : 1);
+                    color[space].min[c] = mean[c] - halfWidth;
+                    color[space].max[c] = mean[c] + halfWidth;
+                }
+
+                if (color[space].max[0] - color[space].min[0] >= 360) {
+                    color[space].min[0] = 0;
+                    color[space].max[0] = 360;
+                }
+                else {
+                    color[space].min[0] = (color[space].min[0] + 360) % 360;
+                    color[space].max[0] = color[space].max[0] % 360;
+                }
+            }
+
+            instance.registerColor(name, color);
+
+            return {
+                color: color,
+                deviation: deviation,
+                mean: mean,
+                name: name,
+                space: space
+            };
+        },
+
+        getColor_: function(color, opt_tolerance) {
+            var instance = this;
+
+            if (typeof color === 'function') {
+                return color;
+            }
+
+            if (instance.colors.hasOwnProperty(color)) {
+                return instance.colors[color];
+            }
+
+            if (isString(color) && HEX_REGEX.test(color)) {
+                return instance.createColor_({
+                    hex: color,
+                    tolerance: opt_tolerance
+                });
+            }
+
+            return null;
+        },
+
+        parseHex_: function(hex) {
+            var instance = this;
+
+            hex = hex.replace('#', '');
+
+            if (hex.length === 3) {
+                hex = hex.replace(/(.)/g, '$1$1');
+            }
+
+            return [
+                parseInt(hex.substr(0, 2), 16),
+                parseInt(hex.substr(2, 2), 16),
+                parseInt(hex.substr(4, 2), 16)
+            ];
+        },
+
+        /*
+         * Converts a RGB color to HSL, hue in degrees, saturation and
+         * lightness in [0, 1]. Writes into opt_out when given, avoiding an
+         * allocation per pixel.
+         */
+        toHsl: function(r, g, b, opt_out) {
+            var out = opt_out || [],
+                max,
+                min,
+                delta;
+
+            r /= 255;
+            g /= 255;
+            b /= 255;
+
+            max = Math.max(r, g, b);
+            min = Math.min(r, g, b);
+            delta = max - min;
+
+            out[0] = hue(r, g, b, max, delta);
+            out[2] = (max + min)/2;
+            out[1] = delta === 0 ? 0 : delta/(1 - Math.abs(2*out[2] - 1));
+
+            return out;
+        },
+
+        /*
+         * Converts a RGB color to HSV, hue in degrees, saturation and value in
+         * [0, 1]. Writes into opt_out when given.
+         */
+        toHsv: function(r, g, b, opt_out) {
+            var out = opt_out || [],
+                max,
+                delta;
+
+            r /= 255;
+            g /= 255;
+            b /= 255;
+
+            max = Math.max(r, g, b);
+            delta = max - Math.min(r, g, b);
+
+            out[0] = hue(r, g, b, max, delta);
+            out[1] = max === 0 ? 0 : delta/max;
+            out[2] = max;
+
+            return out;
+        },
+
+        validate: function(config) {
+            var instance = this;
+
+            if (!instance.getColor_(config.color, config.tolerance)) {
+                throw Error('Color ' + config.color + ' is not supported.');
+            }
         },
 
         findCoordinates_: function(pixels, total) {
             var instance = this,
                 dx = 0,
                 dy = 0,
+                dxx = 0,
+                dyy = 0,
+                dxy = 0,
                 totalInliers = 0,
+                width,
+                height,
                 minx = Infinity,
                 miny = Infinity,
                 maxx = -1,
@@ -63,6 +370,9 @@
                 if (x > -1 && y > -1) {
                     dx += x;
                     dy += y;
+                    dxx += x*x;
+                    dyy += y*y;
+                    dxy += x*y;
                     totalInliers++;
 
                     if (x < minx) {
@@ -83,92 +393,244 @@
                 }
             }
 
+            width = maxx - minx + 1;
+            height = maxy - miny + 1;
+
             return {
                 x: dx/totalInliers,
                 y: dy/totalInliers,
-                z: 60 - ((maxx - minx) + (maxy - miny))/2
+                z: 60 - ((maxx - minx) + (maxy - miny))/2,
+                width: width,
+                height: height,
+                area: width*height,
+                angle: tracking.math.orientation(dx, dy, dxx, dyy, dxy, totalInliers),
+                pixelCount: totalInliers,
+                rect: {
+                    x: minx,
+                    y: miny,
+                    width: width,
+                    height: height
+                }
             };
         },
 
-        flagOutliers_: function(pixels, total) {
+        /*
+         * Flags as outliers, setting them to -1, the pixels farther than
+         * maxDistance from the median point. The median is robust to the
+         * outliers themselves and is found with a histogram of the
+         * coordinates, so this runs in O(n + width + height). Returns the
+         * number of inliers.
+         */
+        flagOutliers_: function(pixels, total, maxDistance) {
             var instance = this,
-                dist,
-                m,
-                n;
+                medianX = instance.median_(pixels, total, 0),
+                medianY = instance.median_(pixels, total, 1),
+                maxDistanceSquare = maxDistance*maxDistance,
+                inliers = 0,
+                dx,
+                dy,
+                m;
 
             for (m = 0; m < total; m+=2) {
-                dist = 0;
-
-                for (n = 2; n < total; n+=2) {
-                    dist += distance(
-                        pixels[m], pixels[m+1], pixels[n], pixels[n+1]);
-                }
+                dx = pixels[m] - medianX;
+                dy = pixels[m+1] - medianY;
 
-                if (dist/total > 30) {
+                if (dx*dx + dy*dy > maxDistanceSquare) {
                     pixels[m] = -1;
                     pixels[m+1] = -1;
+                }
+                else {
+                    inliers++;
+                }
+            }
+
+            return inliers;
+        },
+
+        /*
+         * Maps the centroids, pixels, rects and angles found on a
+         * preprocessed frame back to the frame, see tracking.Transform.
+         */
+        mapPayload: function(payload, transform) {
+            var instance = this;
+
+            (Array.isArray(payload) ? payload : [payload]).forEach(function(found) {
+                var pixels = found.pixels,
+                    point = {},
+                    p;
+
+                if (pixels) {
+                    for (p = 0; p < pixels.length; p += 2) {
+                        // Outliers stay flagged as -1.
+                        if (pixels[p] === -1) {
+                            continue;
+                        }
+
+                        point.x = pixels[p];
+                        point.y = pixels[p + 1];
+                        transform.mapPoint(point);
+                        pixels[p] = point.x;
+                        pixels[p + 1] = point.y;
+                    }
+                }
+
+                transform.mapBlob(found);
+            });
+
+            return payload;
+        },
+
+        median_: function(pixels, total, offset) {
+            var instance = this,
+                histogram = [],
+                max = 0,
+                count = 0,
+                value,
+                m;
+
+            for (m = offset; m < total; m+=2) {
+                value = pixels[m];
+                histogram[value] = (histogram[value] || 0) + 1;
+
+                if (value > max) {
+                    max = value;
+                }
+            }
+
+            for (value = 0; value <= max; value++) {
+                count += histogram[value] || 0;
 
-                    total[m]--;
+                // total counts both coordinates, total/4 is half the pixels.
+                if (count >= total/4) {
+                    return value;
                 }
             }
+
+            return max;
         },
 
-        track: function(trackerGroup, video) {
+        track: function(imageData, opt_config) {
             var instance = this,
                 defaults = instance.defaults,
-                config,
-                c,
-                total = [],
+                config = opt_config || defaults,
+                minFoundPixels = config.minFoundPixels || defaults.minFoundPixels,
+                mask = config.blobs ? new Uint8Array(imageData.width*imageData.height) : null,
+                total = 0,
                 pixels = [],
                 payload,
-                colorThreshold;
+                blobs,
+                colorThreshold = instance.getColor_(
+                    config.color || defaults.color, config.tolerance);
 
-            video.canvas.forEach(
-                video.getVideoCanvasImageData(),
+            tracking.forEachPixel(
+                imageData,
                 function pixelMatrixLoop(r, g, b, a, w, i, j) {
+                    if (colorThreshold.call(instance, r, g, b, a, w, i, j)) {
+                        total += 2;
+                        pixels.push(j, i);
 
-                    for (c = -1; (config = trackerGroup[++c]); ) {
-                        if (!pixels[c]) {
-                            total[c] = 0;
-                            pixels[c] = [];
+                        if (mask) {
+                            mask[w >> 2] = 1;
                         }
+                    }
+                }
+            );
 
-                        colorThreshold = config.color || defaults.color;
+            if (mask) {
+                blobs = tracking.image.findBlobs(
+                    mask, imageData.width, imageData.height, minFoundPixels);
 
-                        if (isString(colorThreshold) && instance.hasOwnProperty(colorThreshold)) {
-                            colorThreshold = instance[colorThreshold];
-                        }
+                return blobs.length ? blobs : null;
+            }
 
-                        if (colorThreshold.call(instance, r, g, b, a, w, i, j)) {
-                            total[c] += 2;
-                            pixels[c].push(j, i);
-                        }
-                    }
+            // total counts both coordinates of each pixel.
+            if (total/2 < minFoundPixels) {
+                return null;
+            }
 
-                }
-            );
+            if (!instance.flagOutliers_(
+                    pixels, total, config.outlierDistance || defaults.outlierDistance)) {
+                return null;
+            }
 
-            for (c = -1; (config = trackerGroup[++c]); ) {
-                if (total[c] <= defaults.minFoundPixels) {
-                    if (config.onNotFound) {
-                        config.onNotFound.call(video, payload);
-                    }
+            payload = instance.findCoordinates_(pixels, total);
+
+            payload.pixels = pixels;
+
+            return payload;
+        }
 
-                    continue;
+    });
+
+    // The built-in colors used to be methods of the type, reading or
+    // reassigning them there still works on the registered ones.
+    ['cyan', 'magenta'].forEach(function(name) {
+        Object.defineProperty(tracking.type.COLOR, name, {
+            configurable: true,
+            enumerable: true,
+            get: function() {
+                return this.colors[name];
+            },
+            set: function(color) {
+                this.colors[name] = color;
+            }
+        });
+    });
+
+    /*
+     * Learns a marker color by sampling the pixels of the video canvas inside
+     * a rectangle, {x, y, width, height}, or a point, {x, y} (optionally with
+     * a radius, defaults to 5), over options.frames frames (defaults to 10).
+     * The color is registered under name, options.onCalibrated receives the
+     * learned model. See tracking.type.COLOR.learnColor for the other options.
+     * Throws when the rectangle or point lies outside the video canvas.
+     */
+    if (tracking.Video) {
+        tracking.Video.prototype.calibrate = function(name, options) {
+            var instance = this,
+                COLOR = tracking.type.COLOR,
+                radius = options.radius || 5,
+                x = options.width ? options.x : options.x - radius,
+                y = options.height ? options.y : options.y - radius,
+                width = options.width || radius*2 + 1,
+                height = options.height || radius*2 + 1,
+                frames = options.frames || 10,
+                samples = [];
+
+            if (x + width <= 0 || y + height <= 0 ||
+                x >= instance.get('width') || y >= instance.get('height')) {
+                throw Error('Calibration region is outside the video canvas.');
+            }
+
+            (function sample() {
+                var imageData = instance.getVideoCanvasImageData(),
+                    data = imageData.data,
+                    i,
+                    j,
+                    w;
+
+                for (i = Math.max(0, y); i < Math.min(imageData.height, y + height); i++) {
+                    for (j = Math.max(0, x); j < Math.min(imageData.width, x + width); j++) {
+                        w = i*imageData.width*4 + j*4;
+                        samples.push(data[w], data[w+1], data[w+2]);
+                    }
                 }
 
-                instance.flagOutliers_(pixels[c], total[c]);
+                if (--frames > 0) {
+                    requestAnimationFrame(sample);
 
-                payload = instance.findCoordinates_(pixels[c], total[c]);
+                    return;
+                }
 
-                payload.pixels = pixels[c];
+                var model = COLOR.learnColor(name, samples, options);
 
-                if (config.onFound) {
-                    config.onFound.call(video, payload);
+                if (options.onCalibrated) {
+                    options.onCalibrated.call(instance, model);
                 }
-            }
-        }
+            }());
 
-    };
+            return instance;
+        };
+    }
 
-}( window ));
\ No newline at end of file
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
\ No newline at end of file
@@ -0,0 +1,55 @@
+(function (window, undefined) {
+
+    /*
+     * Reports the corners of each frame, [{x, y, score}, ...] strongest
+     * first, found by tracking.features.fast or tracking.features.harris.
+     */
+    tracking.registerTracker('corners', {
+
+        defaults: {
+            detector: 'fast',
+
+            maxCorners: 500,
+
+            // Distance under which weaker corners are dropped, 0 keeps them.
+            minDistance: 0,
+
+            // Harris, lowest score relative to the strongest one.
+            quality: 0.01,
+
+            // FAST, gray level difference to the circle pixels.
+            threshold: 20
+        },
+
+        validate: function(config) {
+            if (config.detector && config.detector !== 'fast' && config.detector !== 'harris') {
+                throw Error('Corner detector ' + config.detector + ' is not supported.');
+            }
+        },
+
+        track: function(imageData, opt_config) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                width = imageData.width,
+                height = imageData.height,
+                gray = tracking.image.grayscale(imageData.data, width, height),
+                maxCorners = config.maxCorners || defaults.maxCorners,
+                minDistance = config.minDistance || defaults.minDistance,
+                corners;
+
+            if ((config.detector || defaults.detector) === 'harris') {
+                corners = tracking.features.harris(gray, width, height,
+                    config.quality || defaults.quality, maxCorners, minDistance);
+            }
+            else {
+                corners = tracking.features.fast(gray, width, height,
+                    config.threshold || defaults.threshold, maxCorners, minDistance);
+            }
+
+            return corners.length ? corners : null;
+        }
+
+    });
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
@@ -1 +1,4 @@
-tracking.type.HUMAN.data.eye = [[-1,-1.4562760591506958,[[0,8,20,12,-1,0,14,20,6,2,0.129639595746994,-0.7730420827865601,0.6835014820098877],[9,1,4,15,-1,9,6,4,5,3,-0.0463268086314201,0.5735275149345398,-0.4909768998622894],[6,10,9,2,-1,9,10,3,2,3,-0.0161730907857418,0.6025434136390686,-0.3161070942878723],[7,0,10,9,-1,7,3,10,3,3,-0.0458288416266441,0.6417754888534546,-0.1554504036903381],[12,2,2,18,-1,12,8,2,6,3,-0.0537596195936203,0.5421931743621826,-0.2048082947731018],[8,6,8,6,-1,8,9,8,3,2,0.0341711901128292,-0.2338819056749344,0.4841090142726898]]],[0,-1.2550230026245117,[[2,0,17,18,-1,2,6,17,6,3,-0.2172762006521225,0.7109889984130859,-0.5936073064804077],[10,10,1,8,-1,10,14,1,4,2,0.0120719699189067,-0.2824048101902008,0.5901355147361755],[7,10,9,2,-1,10,10,3,2,3,-0.0178541392087936,0.5313752293586731,-0.2275896072387695],[5,1,6,6,-1,5,3,6,2,3,0.0223336108028889,-0.1755609959363937,0.633561372756958],[3,1,15,9,-1,3,4,15,3,3,-0.091420017182827,0.6156309247016907,-0.1689953058958054],[6,3,9,6,-1,6,5,9,2,3,0.028973650187254,-0.1225007995963097,0.7440117001533508],[8,17,6,3,-1,10,17,2,3,3,0.007820346392691135,0.1697437018156052,-0.6544165015220642],[9,10,9,1,-1,12,10,3,1,3,0.0203404892235994,-0.1255664974451065,0.8271045088768005],[1,7,6,11,-1,3,7,2,11,3,-0.0119261499494314,0.3860568106174469,-0.2099234014749527],[9,18,3,1,-1,10,18,1,1,3,-0.000972811016254127,-0.6376119256019592,0.129523903131485],[16,16,1,2,-1,16,17,1,1,2,0.000018322050891583785,-0.3463147878646851,0.2292426973581314],[9,17,6,3,-1,11,17,2,3,3,-0.008085441775619984,-0.6366580128669739,0.1307865977287293]]],[1,-1.372818946838379,[[8,0,5,18,-1,8,6,5,6,3,-0.1181226968765259,0.6784452199935913,-0.5004578232765198],[6,7,9,7,-1,9,7,3,7,3,-0.0343327596783638,0.6718636155128479,-0.3574487864971161],[14,6,6,10,-1,16,6,2,10,3,-0.0215307995676994,0.7222070097923279,-0.1819241940975189],[9,8,9,5,-1,12,8,3,5,3,-0.0219099707901478,0.6652938723564148,-0.2751022875308991],[3,7,9,6,-1,6,7,3,6,3,-0.0287135392427444,0.6995570063591003,-0.1961558014154434],[1,7,6,6,-1,3,7,2,6,3,-0.0114674801006913,0.5926734805107117,-0.2209735065698624],[16,0,4,18,-1,16,6,4,6,3,-0.0226111691445112,0.3448306918144226,-0.3837955892086029],[0,17,3,3,-1,0,18,3,1,3,-0.0019308089977130294,-0.794457197189331,0.1562865972518921],[16,0,2,1,-1,17,0,1,1,2,0.00005641991083393805,-0.3089601099491119,0.3543108999729157]]],[2,-1.2879480123519897,[[0,8,20,12,-1,0,14,20,6,2,0.1988652050495148,-0.5286070108413696,0.3553672134876251],[6,6,9,8,-1,9,6,3,8,3,-0.0360089391469955,0.4210968911647797,-0.393489807844162],[5,3,12,9,-1,5,6,12,3,3,-0.0775698497891426,0.4799154102802277,-0.2512216866016388],[4,16,1,2,-1,4,17,1,1,2,0.00008263085328508168,-0.3847548961639404,0.318492203950882],[18,10,2,1,-1,19,10,1,1,2,0.00032773229759186506,-0.2642731964588165,0.3254724144935608],[9,8,6,5,-1,11,8,2,5,3,-0.0185748506337404,0.4673658907413483,-0.1506727039813995],[0,0,2,1,-1,1,0,1,1,2,-0.00007000876212259755,0.2931315004825592,-0.2536509931087494],[6,8,6,6,-1,8,8,2,6,3,-0.0185521300882101,0.4627366065979004,-0.1314805001020432],[11,7,6,7,-1,13,7,2,7,3,-0.0130304200574756,0.4162721931934357,-0.1775148957967758],[19,14,1,2,-1,19,15,1,1,2,0.00006569414108525962,-0.2803510129451752,0.2668074071407318],[6,17,1,2,-1,6,18,1,1,2,0.00017005260451696813,-0.2702724933624268,0.2398165017366409],[14,7,2,7,-1,15,7,1,7,2,-0.0033129199873656034,0.4441143870353699,-0.1442888975143433],[6,8,2,4,-1,7,8,1,4,2,0.0017583490116521716,-0.1612619012594223,0.4294076859951019],[5,8,12,6,-1,5,10,12,2,3,-0.0251947492361069,0.4068729877471924,-0.1820258051156998],[2,17,1,3,-1,2,18,1,1,3,0.0014031709870323539,0.0847597867250443,-0.8001856803894043],[6,7,3,6,-1,7,7,1,6,3,-0.007399172987788916,0.5576609969139099,-0.1184315979480743]]],[3,-1.2179850339889526,[[6,7,9,12,-1,9,7,3,12,3,-0.0299430806189775,0.3581081032752991,-0.3848763108253479],[6,2,11,12,-1,6,6,11,4,3,-0.1256738007068634,0.3931693136692047,-0.3001225888729096],[1,12,5,8,-1,1,16,5,4,2,0.0053635272197425365,-0.4390861988067627,0.1925701051950455],[14,7,6,7,-1,16,7,2,7,3,-0.008097182027995586,0.399066686630249,-0.2340787053108215],[10,8,6,6,-1,12,8,2,6,3,-0.0165979098528624,0.4209528863430023,-0.2267484068870544],[16,18,4,2,-1,16,19,4,1,2,-0.0020199299324303865,-0.7415673136711121,0.1260118931531906],[18,17,2,3,-1,18,18,2,1,3,-0.0015202340437099338,-0.7615460157394409,0.0863736122846603],[9,7,3,7,-1,10,7,1,7,3,-0.004966394044458866,0.4218223989009857,-0.1790491938591003],[5,6,6,8,-1,7,6,2,8,3,-0.0192076005041599,0.4689489901065826,-0.1437875032424927],[2,6,6,11,-1,4,6,2,11,3,-0.0122226802632213,0.3284207880496979,-0.218021497130394],[8,10,12,8,-1,8,14,12,4,2,0.0575486682355404,-0.3676880896091461,0.2435711026191711],[7,17,6,3,-1,9,17,2,3,3,-0.00957940798252821,-0.7224506735801697,0.0636645630002022],[10,9,3,3,-1,11,9,1,3,3,-0.002954574069008231,0.358464390039444,-0.1669632941484451],[8,8,3,6,-1,9,8,1,6,3,-0.004201799165457487,0.390948086977005,-0.1204179003834724],[7,0,6,5,-1,9,0,2,5,3,-0.0136249903589487,-0.5876771807670593,0.0884047299623489],[6,17,1,3,-1,6,18,1,1,3,0.00006285311246756464,-0.2634845972061157,0.2141927927732468],[0,18,4,2,-1,0,19,4,1,2,-0.0026782939676195383,-0.7839016914367676,0.0805269628763199],[4,1,11,9,-1,4,4,11,3,3,-0.0705971792340279,0.414692610502243,-0.1398995965719223],[3,1,14,9,-1,3,4,14,3,3,0.0920936465263367,-0.1305518001317978,0.5043578147888184],[0,9,6,4,-1,2,9,2,4,3,-0.008800438605248928,0.3660975098609924,-0.1403664946556091],[18,13,1,2,-1,18,14,1,1,2,0.0000750809776945971,-0.2970443964004517,0.207029402256012],[13,5,3,11,-1,14,5,1,11,3,-0.002987045096233487,0.3561570048332214,-0.1544596999883652],[0,18,8,2,-1,0,18,4,1,2,4,19,4,1,2,-0.002644150983542204,-0.5435351729393005,0.1029511019587517]]],[4,-1.2905240058898926,[[5,8,12,5,-1,9,8,4,5,3,-0.0478624701499939,0.4152823984622955,-0.3418582081794739],[4,7,11,10,-1,4,12,11,5,2,0.087350532412529,-0.3874978125095367,0.2420420050621033],[14,9,6,4,-1,16,9,2,4,3,-0.0168494991958141,0.5308247804641724,-0.1728291064500809],[0,7,6,8,-1,3,7,3,8,2,-0.0288700293749571,0.3584350943565369,-0.2240259051322937],[0,16,3,3,-1,0,17,3,1,3,0.00256793899461627,0.1499049961566925,-0.6560940742492676],[7,11,12,1,-1,11,11,4,1,3,-0.0241166595369577,0.5588967800140381,-0.148102805018425],[4,8,9,4,-1,7,8,3,4,3,-0.0328266583383083,0.4646868109703064,-0.1078552976250649],[5,16,6,4,-1,7,16,2,4,3,-0.0152330603450537,-0.7395442724227905,0.056236881762743],[18,17,1,3,-1,18,18,1,1,3,-0.0003020951116923243,-0.4554882049560547,0.0970698371529579],[18,17,1,3,-1,18,18,1,1,3,0.0007536510820500553,0.0951472967863083,-0.5489501953125],[4,9,4,10,-1,4,9,2,5,2,6,14,2,5,2,-0.0106389503926039,0.4091297090053558,-0.1230840981006622],[4,8,6,4,-1,6,8,2,4,3,-0.007521783001720905,0.4028914868831635,-0.1604878008365631],[10,2,2,18,-1,10,8,2,6,3,-0.1067709997296333,0.6175932288169861,-0.0730911865830421],[0,5,8,6,-1,0,5,4,3,2,4,8,4,3,2,0.0162569191306829,-0.1310368031263351,0.3745365142822266],[6,0,6,5,-1,8,0,2,5,3,-0.020679360255599,-0.71402907371521,0.0523900091648102],[18,0,2,14,-1,18,7,2,7,2,0.0170523691922426,0.1282286047935486,-0.3108068108558655],[8,18,4,2,-1,10,18,2,2,2,-0.0057122060097754,-0.605565071105957,0.0818847566843033],[1,17,6,3,-1,1,18,6,1,3,0.000020851430235779844,-0.2681298851966858,0.1445384025573731],[11,8,3,5,-1,12,8,1,5,3,0.007928443141281605,-0.078795351088047,0.5676258206367493],[11,8,3,4,-1,12,8,1,4,3,-0.0025217379443347454,0.3706862926483154,-0.1362057030200958],[11,0,6,5,-1,13,0,2,5,3,-0.0224261991679668,-0.6870499849319458,0.0510628595948219],[1,7,6,7,-1,3,7,2,7,3,-0.007645144127309322,0.2349222004413605,-0.1790595948696137],[0,13,1,3,-1,0,14,1,1,3,-0.0011175329564139247,-0.5986905097961426,0.0743244364857674],[3,2,9,6,-1,3,4,9,2,3,0.0192127898335457,-0.1570255011320114,0.2973746955394745],[8,6,9,2,-1,8,7,9,1,2,0.00562934298068285,-0.0997690185904503,0.4213027060031891],[0,14,3,6,-1,0,16,3,2,3,-0.00956718623638153,-0.6085879802703857,0.0735062584280968],[1,11,6,4,-1,3,11,2,4,3,0.0112179601565003,-0.103208102285862,0.4190984964370728]]],[5,-1.160048007965088,[[6,9,9,3,-1,9,9,3,3,3,-0.0174864400178194,0.3130728006362915,-0.3368118107318878],[6,0,9,6,-1,6,2,9,2,3,0.0307146497070789,-0.1876619011163712,0.5378080010414124],[8,5,6,6,-1,8,7,6,2,3,-0.0221887193620205,0.3663788139820099,-0.1612481027841568],[1,12,2,1,-1,2,12,1,1,2,-0.000050700771680567414,0.2124571055173874,-0.2844462096691132],[10,10,6,2,-1,12,10,2,2,3,-0.007017042022198439,0.3954311013221741,-0.1317359060049057],[13,8,6,6,-1,15,8,2,6,3,-0.00685636093840003,0.3037385940551758,-0.2065781950950623],[6,16,6,4,-1,8,16,2,4,3,-0.0141292596235871,-0.7650300860404968,0.0982131883502007],[8,0,9,9,-1,8,3,9,3,3,-0.047915481030941,0.483073890209198,-0.1300680935382843],[18,17,1,3,-1,18,18,1,1,3,0.000047032979637151584,-0.2521657049655914,0.2438668012619019],[18,17,1,3,-1,18,18,1,1,3,0.0010221180273219943,0.0688576027750969,-0.6586114168167114],[7,10,3,3,-1,8,10,1,3,3,-0.002605610992759466,0.4294202923774719,-0.1302246004343033],[9,14,2,2,-1,9,14,1,1,2,10,15,1,1,2,0.00005450534081319347,-0.1928862035274506,0.2895849943161011],[9,14,2,2,-1,9,14,1,1,2,10,15,1,1,2,-0.00006672115705441684,0.3029071092605591,-0.1985436975955963],[0,8,19,12,-1,0,14,19,6,2,0.2628143131732941,-0.2329394072294235,0.2369246035814285],[7,6,9,14,-1,10,6,3,14,3,-0.0235696695744991,0.1940104067325592,-0.2848461866378784],[13,8,3,4,-1,14,8,1,4,3,-0.003912017215043306,0.5537897944450378,-0.0956656783819199],[4,17,1,3,-1,4,18,1,1,3,0.00005078879985376261,-0.239126592874527,0.217994898557663],[4,9,6,3,-1,6,9,2,3,3,-0.007873201742768288,0.4069742858409882,-0.1276804059743881],[2,18,5,2,-1,2,19,5,1,2,-0.0016778609715402126,-0.5774465799331665,0.0973247885704041],[7,8,2,2,-1,7,8,1,1,2,8,9,1,1,2,-0.0002683243073988706,0.2902188003063202,-0.1683126986026764],[7,8,2,2,-1,7,8,1,1,2,8,9,1,1,2,0.00007868718239478767,-0.1955157071352005,0.2772096991539002],[5,10,13,2,-1,5,11,13,1,2,0.0129535002633929,-0.0968383178114891,0.4032387137413025],[10,8,1,9,-1,10,11,1,3,3,-0.0130439596250653,0.4719856977462769,-0.0892875492572784],[15,8,2,12,-1,15,8,1,6,2,16,14,1,6,2,0.0030261781066656113,-0.1362338066101074,0.3068627119064331],[4,0,3,5,-1,5,0,1,5,3,-0.006043803878128529,-0.779541015625,0.0573163107037544],[12,6,3,7,-1,13,6,1,7,3,-0.0022507249377667904,0.3087705969810486,-0.1500630974769592],[7,16,6,4,-1,9,16,2,4,3,0.0158268101513386,0.0645518898963928,-0.7245556712150574],[9,16,2,1,-1,10,16,1,1,2,0.00006586450763279572,-0.1759884059429169,0.2321038991212845]]],[6,-1.2257250547409058,[[6,10,9,2,-1,9,10,3,2,3,-0.0278548691421747,0.4551844894886017,-0.1809991002082825],[0,6,15,14,-1,0,13,15,7,2,0.1289504021406174,-0.5256553292274475,0.1618890017271042],[9,1,5,6,-1,9,3,5,2,3,0.0244031809270382,-0.1497496068477631,0.4235737919807434],[3,9,3,4,-1,4,9,1,4,3,-0.0024458570405840874,0.3294866979122162,-0.1744769066572189],[5,7,3,6,-1,6,7,1,6,3,-0.0035336529836058617,0.4742664098739624,-0.0736183598637581],[17,16,1,2,-1,17,17,1,1,2,0.00005135815081303008,-0.3042193055152893,0.1563327014446259],[9,8,6,12,-1,11,8,2,12,3,-0.0162256807088852,0.2300218045711517,-0.2035982012748718],[6,10,6,1,-1,8,10,2,1,3,-0.004600700922310352,0.4045926928520203,-0.1348544061183929],[7,17,9,3,-1,10,17,3,3,3,-0.0219289995729923,-0.6872448921203613,0.0806842669844627],[14,18,6,2,-1,14,19,6,1,2,-0.002897121012210846,-0.6961960792541504,0.0485452190041542],[9,5,3,14,-1,10,5,1,14,3,-0.0044074649922549725,0.2516626119613648,-0.1623664945363998],[8,16,9,4,-1,11,16,3,4,3,0.0284371692687273,0.0603942610323429,-0.6674445867538452],[0,0,4,14,-1,0,7,4,7,2,0.0832128822803497,0.0643579214811325,-0.5362604260444641],[8,1,6,3,-1,10,1,2,3,3,-0.0124193299561739,-0.708168625831604,0.0575266107916832],[6,8,3,4,-1,7,8,1,4,3,-0.004699259996414185,0.5125433206558228,-0.0873508006334305],[4,8,3,4,-1,5,8,1,4,3,-0.0007802580948919058,0.266876608133316,-0.1796150952577591],[5,1,6,5,-1,7,1,2,5,3,-0.0197243392467499,-0.6756373047828674,0.0729419067502022],[1,18,1,2,-1,1,19,1,1,2,0.001026925048790872,0.0539193190634251,-0.5554018020629883],[7,0,6,6,-1,7,2,6,2,3,-0.0259571895003319,0.5636252760887146,-0.0718983933329582],[0,18,4,2,-1,0,19,4,1,2,-0.0012552699772641063,-0.5034663081169128,0.0896914526820183],[12,3,8,12,-1,12,7,8,4,3,-0.0499705784022808,0.1768511980772018,-0.2230195999145508],[12,9,3,4,-1,13,9,1,4,3,-0.002989961067214608,0.391224205493927,-0.1014975011348724],[12,8,3,5,-1,13,8,1,5,3,0.004854684229940176,-0.1177017986774445,0.4219093918800354],[16,0,2,1,-1,17,0,1,1,2,0.0001044886012095958,-0.1733397990465164,0.223444402217865],[5,17,1,3,-1,5,18,1,1,3,0.00005968926052446477,-0.2340963035821915,0.1655824035406113],[10,2,3,6,-1,10,4,3,2,3,-0.0134239196777344,0.4302381873130798,-0.0997236520051956],[4,17,2,3,-1,4,18,2,1,3,0.002258199965581298,0.0727209895849228,-0.5750101804733276],[12,7,1,9,-1,12,10,1,3,3,-0.0125462803989649,0.3618457913398743,-0.1145701035857201],[7,6,3,9,-1,8,6,1,9,3,-0.002870576921850443,0.2821053862571716,-0.1236755028367043],[17,13,3,6,-1,17,15,3,2,3,0.0197856407612562,0.0478767491877079,-0.806662380695343],[7,7,3,8,-1,8,7,1,8,3,0.004758893046528101,-0.1092538982629776,0.3374697864055634],[5,0,3,5,-1,6,0,1,5,3,-0.006997426971793175,-0.8029593825340271,0.0457067005336285],[4,6,9,8,-1,7,6,3,8,3,-0.0130334803834558,0.18680439889431,-0.176889106631279],[2,9,3,3,-1,3,9,1,3,3,-0.0013742579612880945,0.2772547900676727,-0.1280900985002518],[16,18,4,2,-1,16,19,4,1,2,0.0027657810132950544,0.0907589420676231,-0.4259473979473114],[17,10,3,10,-1,17,15,3,5,2,0.0002894184144679457,-0.388163298368454,0.089267797768116]]],[7,-1.2863140106201172,[[8,9,6,4,-1,10,9,2,4,3,-0.0144692296162248,0.3750782907009125,-0.2492828965187073],[5,2,10,12,-1,5,6,10,4,3,-0.1331762969493866,0.3016637861728668,-0.2241407036781311],[6,9,6,3,-1,8,9,2,3,3,-0.010132160037756,0.3698559105396271,-0.1785001009702683],[11,7,3,7,-1,12,7,1,7,3,-0.007851118221879005,0.4608676135540009,-0.1293139010667801],[12,8,6,4,-1,14,8,2,4,3,-0.0142958397045732,0.4484142959117889,-0.1022624000906944],[14,8,6,5,-1,16,8,2,5,3,-0.005960694048553705,0.279279887676239,-0.1532382965087891],[12,12,2,4,-1,12,14,2,2,2,0.010932769626379,-0.1514174044132233,0.3988964855670929],[3,15,1,2,-1,3,16,1,1,2,0.000050430990086169913,-0.2268157005310059,0.2164438962936401],[12,7,3,4,-1,13,7,1,4,3,-0.0058431681245565414,0.4542014896869659,-0.1258715987205505],[10,0,6,6,-1,12,0,2,6,3,-0.0223462097346783,-0.6269019246101379,0.0824031233787537],[10,6,3,8,-1,11,6,1,8,3,-0.00488366698846221,0.2635925114154816,-0.1468663066625595],[16,17,1,2,-1,16,18,1,1,2,0.00007550600275862962,-0.2450702041387558,0.1667888015508652],[16,16,1,3,-1,16,17,1,1,3,-0.0004902699729427695,-0.426499605178833,0.0899735614657402],[11,11,1,2,-1,11,12,1,1,2,0.0014861579984426498,-0.1204025000333786,0.3009765148162842],[3,7,6,9,-1,5,7,2,9,3,-0.0119883399456739,0.278524786233902,-0.122443400323391],[4,18,9,1,-1,7,18,3,1,3,0.0105022396892309,0.0404527597129345,-0.7405040860176086],[0,11,4,9,-1,0,14,4,3,3,-0.0309630092233419,-0.6284269094467163,0.048013761639595],[9,17,6,3,-1,11,17,2,3,3,0.0114145204424858,0.0394052118062973,-0.7167412042617798],[7,8,6,12,-1,9,8,2,12,3,-0.0123370001092553,0.1994132995605469,-0.1927430033683777],[6,8,3,4,-1,7,8,1,4,3,-0.005994226783514023,0.5131816267967224,-0.0616580583155155],[3,17,1,3,-1,3,18,1,1,3,-0.0011923230485990644,-0.72605299949646,0.0506527200341225],[11,9,6,4,-1,13,9,2,4,3,-0.0074582789093256,0.2960307896137238,-0.1175478994846344],[6,1,3,2,-1,7,1,1,2,3,0.0027877509128302336,0.0450687110424042,-0.6953541040420532],[1,0,2,1,-1,2,0,1,1,2,-0.0002250320976600051,0.200472503900528,-0.1577524989843369],[1,0,2,14,-1,1,0,1,7,2,2,7,1,7,2,-0.005036788992583752,0.292998194694519,-0.1170049980282784],[5,5,11,8,-1,5,9,11,4,2,0.0747421607375145,-0.1139231994748116,0.3025662004947662],[9,3,5,6,-1,9,5,5,2,3,0.0202555190771818,-0.1051589027047157,0.4067046046257019],[7,9,5,10,-1,7,14,5,5,2,0.0442145094275475,-0.2763164043426514,0.1236386969685555],[15,10,2,2,-1,16,10,1,2,2,-0.0008725955849513412,0.2435503005981445,-0.1330094933509827],[0,18,8,2,-1,0,19,8,1,2,-0.0024453739169985056,-0.5386617183685303,0.062510646879673],[7,17,1,3,-1,7,18,1,1,3,0.0000827253534225747,-0.2077220976352692,0.1627043932676315],[7,2,11,6,-1,7,4,11,2,3,-0.036627110093832,0.3656840920448303,-0.0903302803635597],[8,3,9,3,-1,8,4,9,1,3,0.0030996399000287056,-0.1318302005529404,0.2535429894924164],[0,9,2,2,-1,0,10,2,1,2,-0.0024709280114620924,-0.5685349702835083,0.0535054318606853],[0,5,3,6,-1,0,7,3,2,3,-0.0141146704554558,-0.4859901070594788,0.0584852509200573],[6,7,2,2,-1,6,7,1,1,2,7,8,1,1,2,0.0008453726186417043,-0.0800936371088028,0.4026564955711365],[7,6,3,6,-1,8,6,1,6,3,-0.007109863217920065,0.4470323920249939,-0.0629474371671677],[12,1,6,4,-1,14,1,2,4,3,-0.0191259607672691,-0.6642286777496338,0.0498227700591087],[9,11,6,8,-1,11,11,2,8,3,-0.005077301058918238,0.1737940013408661,-0.168505996465683],[17,15,3,3,-1,17,16,3,1,3,-0.002919828984886408,-0.6011028289794922,0.0574279390275478],[6,6,3,9,-1,6,9,3,3,3,-0.0249021500349045,0.233979806303978,-0.1181845963001251],[0,5,8,6,-1,0,5,4,3,2,4,8,4,3,2,0.02014777995646,-0.0894598215818405,0.3602440059185028],[0,6,1,3,-1,0,7,1,1,3,0.001759764039888978,0.0494584403932095,-0.6310262084007263],[17,0,2,6,-1,18,0,1,6,2,0.0013812039978802204,-0.1521805971860886,0.1897173970937729],[10,17,6,3,-1,12,17,2,3,3,-0.0109045403078198,-0.5809738039970398,0.0448627285659313],[13,15,2,2,-1,13,15,1,1,2,14,16,1,1,2,0.00007515717879869044,-0.1377734988927841,0.1954316049814224],[4,0,12,3,-1,4,1,12,1,3,0.003864977043122053,-0.1030222997069359,0.2537496984004974]]],[8,-1.1189440488815308,[[5,3,10,9,-1,5,6,10,3,3,-0.102158896625042,0.4168125987052918,-0.1665562987327576],[7,7,9,7,-1,10,7,3,7,3,-0.051939819008112,0.3302395045757294,-0.2071571052074432],[5,8,9,6,-1,8,8,3,6,3,-0.0427177809178829,0.2609373033046722,-0.1601389050483704],[0,16,6,2,-1,0,17,6,1,2,0.00043890418601222336,-0.3475053012371063,0.1391891986131668],[12,6,7,14,-1,12,13,7,7,2,0.0242643896490335,-0.4255205988883972,0.1357838064432144],[13,7,6,8,-1,15,7,2,8,3,-0.0238205995410681,0.3174980878829956,-0.1665204018354416],[2,10,6,3,-1,4,10,2,3,3,-0.007051818072795868,0.3094717860221863,-0.1333830058574677],[18,17,1,3,-1,18,18,1,1,3,-0.0006851715734228492,-0.6008226275444031,0.0877470001578331],[7,1,6,2,-1,7,2,6,1,2,0.0053705149330198765,-0.1231144964694977,0.3833355009555817],[6,0,6,4,-1,6,2,6,2,2,-0.0134035395458341,0.3387736976146698,-0.1014048978686333],[8,18,6,2,-1,10,18,2,2,3,-0.006685636006295681,-0.6119359731674194,0.0477402210235596],[7,6,5,2,-1,7,7,5,1,2,-0.0042887418530881405,0.2527579069137573,-0.1443451046943665],[6,7,3,6,-1,7,7,1,6,3,-0.0108767496421933,0.5477573275566101,-0.0594554804265499],[18,18,2,2,-1,18,18,1,1,2,19,19,1,1,2,0.0003788264002650976,0.0834103003144264,-0.4422636926174164],[16,8,3,7,-1,17,8,1,7,3,-0.002455014968290925,0.2333099991083145,-0.1396448016166687],[0,16,2,3,-1,0,17,2,1,3,0.0012721839593723416,0.0604802891612053,-0.4945608973503113],[5,19,6,1,-1,7,19,2,1,3,-0.004893315955996513,-0.6683326959609985,0.0462184995412827],[9,5,6,6,-1,9,7,6,2,3,0.0264499895274639,-0.0732353627681732,0.4442596137523651],[0,10,2,4,-1,0,12,2,2,2,-0.003370607038959861,-0.4246433973312378,0.0686765611171722],[0,9,4,3,-1,2,9,2,3,2,-0.0029559480026364326,0.1621803939342499,-0.1822299957275391],[1,10,6,9,-1,3,10,2,9,3,0.0306199099868536,-0.0586433410644531,0.532636284828186],[9,0,6,2,-1,11,0,2,2,3,-0.009576590731739998,-0.6056268215179443,0.0533459894359112],[14,1,2,1,-1,15,1,1,1,2,0.00006637249316554517,-0.1668083965778351,0.1928416043519974],[0,8,1,4,-1,0,10,1,2,2,0.005097595043480396,0.0441195107996464,-0.574588418006897],[15,6,2,2,-1,15,6,1,1,2,16,7,1,1,2,0.0003711271856445819,-0.1108639985322952,0.2310539036989212],[7,5,3,6,-1,8,5,1,6,3,-0.008660758845508099,0.4045628905296326,-0.062446091324091],[19,17,1,3,-1,19,18,1,1,3,0.0008748915861360729,0.0648751482367516,-0.4487104117870331],[7,10,3,1,-1,8,10,1,1,3,0.0011120870476588607,-0.09386146068573,0.3045391142368317],[12,1,6,6,-1,14,1,2,6,3,-0.0238378196954727,-0.5888742804527283,0.0466594211757183],[15,5,2,1,-1,16,5,1,1,2,0.00022272899514064193,-0.1489859968423843,0.1770195066928864],[8,2,7,4,-1,8,4,7,2,2,0.0244674701243639,-0.0557896010577679,0.4920830130577087],[4,0,14,15,-1,4,5,14,5,3,-0.1423932015895844,0.1519200056791306,-0.1877889931201935],[7,8,6,6,-1,9,8,2,6,3,-0.0201231203973293,0.2178010046482086,-0.1208190023899078],[11,17,1,3,-1,11,18,1,1,3,0.00011513679783092812,-0.1685658991336823,0.1645192950963974],[12,16,2,4,-1,12,16,1,2,2,13,18,1,2,2,-0.0027556740678846836,-0.6944203972816467,0.039449468255043],[10,13,2,1,-1,11,13,1,1,2,-0.00007584391278214753,0.1894136965274811,-0.151838406920433],[11,8,3,3,-1,12,8,1,3,3,-0.0070697711780667305,0.4706459939479828,-0.0579276196658611],[2,0,6,8,-1,4,0,2,8,3,-0.0373931787908077,-0.7589244842529297,0.0341160483658314],[3,5,6,6,-1,3,5,3,3,2,6,8,3,3,2,-0.0159956105053425,0.3067046999931335,-0.0875255763530731],[10,8,3,3,-1,11,8,1,3,3,-0.003118399064987898,0.2619537115097046,-0.0912148877978325],[5,17,4,2,-1,5,18,4,1,2,0.001065136049874127,-0.1742756068706513,0.1527764052152634],[8,16,5,2,-1,8,17,5,1,2,-0.0016029420075938106,0.3561263084411621,-0.0766299962997437],[0,4,3,3,-1,0,5,3,1,3,0.004361990839242935,0.04935697093606,-0.5922877192497253],[6,3,6,2,-1,8,3,2,2,3,-0.0107799097895622,-0.6392217874526978,0.0332045406103134],[4,4,9,3,-1,7,4,3,3,3,-0.004359086975455284,0.1610738933086395,-0.1522132009267807],[0,13,1,4,-1,0,15,1,2,2,0.007459606975317001,0.0331729613244534,-0.7500774264335632],[0,17,8,3,-1,0,18,8,1,3,0.008138544857501984,0.0263252798467875,-0.7173116207122803],[6,1,11,6,-1,6,3,11,2,3,-0.0333384908735752,0.3353661000728607,-0.070803590118885]]],[9,-1.1418989896774292,[[4,10,6,2,-1,6,10,2,2,3,0.0195539798587561,-0.1043972000479698,0.5312895178794861],[10,8,1,12,-1,10,14,1,6,2,0.0221229195594788,-0.2474727034568787,0.2084725052118301],[5,8,3,4,-1,6,8,1,4,3,-0.004182938951998949,0.3828943967819214,-0.1471157968044281],[0,17,1,3,-1,0,18,1,1,3,-0.0008638172876089811,-0.6263288855552673,0.1199325993657112],[0,17,1,3,-1,0,18,1,1,3,0.0007995861233212054,0.0925734713673592,-0.5516883134841919],[13,8,3,4,-1,14,8,1,4,3,0.009152757003903389,-0.0729298070073128,0.5551251173019409],[1,5,5,4,-1,1,7,5,2,2,-0.003938868176192045,0.2019603997468948,-0.2091203927993774],[18,14,1,2,-1,18,15,1,1,2,0.00014613410166930407,-0.278618186712265,0.1381741017103195],[13,8,2,4,-1,14,8,1,4,2,-0.0031691689509898424,0.3668589890003204,-0.0763082429766655],[10,6,6,8,-1,12,6,2,8,3,-0.0221893899142742,0.39096599817276,-0.1097154021263123],[8,6,6,10,-1,10,6,2,10,3,-0.007452360820025206,0.1283859014511108,-0.2415986955165863],[17,16,1,3,-1,17,17,1,1,3,0.000779970025178045,0.0719780698418617,-0.4397650063037872],[1,7,2,10,-1,2,7,1,10,2,-0.004678363911807537,0.2156984955072403,-0.1420592069625855],[5,9,6,3,-1,7,9,2,3,3,-0.0151886399835348,0.364587813615799,-0.08267592638731],[0,8,5,12,-1,0,14,5,6,2,0.0050619798712432384,-0.3438040912151337,0.0920682325959206],[0,11,1,3,-1,0,12,1,1,3,-0.0017351920250803232,-0.6172549724578857,0.0492144785821438],[6,16,6,4,-1,8,16,2,4,3,-0.012423450127244,-0.5855895280838013,0.0461126007139683],[0,6,2,6,-1,0,8,2,2,3,-0.0130314296111465,-0.5971078872680664,0.0406724587082863],[11,18,2,1,-1,12,18,1,1,2,-0.0012369629694148898,-0.6833416819572449,0.0331561788916588],[5,1,9,2,-1,5,2,9,1,2,0.006102210842072964,-0.0947292372584343,0.3010224103927612],[0,0,1,2,-1,0,1,1,1,2,0.0006695284973829985,0.0818168669939041,-0.351960301399231],[15,9,3,3,-1,16,9,1,3,3,-0.001797058037482202,0.2371897995471954,-0.1176870986819267],[18,16,1,3,-1,18,17,1,1,3,-0.0007107452838681638,-0.4476378858089447,0.0576824806630611],[11,10,6,1,-1,13,10,2,1,3,-0.005912647116929293,0.4342541098594666,-0.0668685734272003],[1,3,4,4,-1,3,3,2,4,2,-0.003313214983791113,0.181500107049942,-0.1418032050132752],[11,2,1,18,-1,11,8,1,6,3,-0.0608146600425243,0.4722171127796173,-0.0614106394350529],[9,1,5,12,-1,9,5,5,4,3,-0.0967141836881638,0.2768316864967346,-0.0944900363683701],[12,0,8,1,-1,16,0,4,1,2,0.003907355014234781,-0.1227853000164032,0.2105740010738373],[8,6,3,10,-1,9,6,1,10,3,-0.009043186902999878,0.3564156889915466,-0.0778062269091606],[19,2,1,6,-1,19,4,1,2,3,-0.004880003165453672,-0.4103479087352753,0.0696943774819374],[18,6,2,2,-1,18,7,2,1,2,-0.00435474282130599,-0.7301788926124573,0.0366551503539085],[7,7,3,4,-1,8,7,1,4,3,-0.009650062769651413,0.5518112778663635,-0.0531680807471275],[5,0,6,5,-1,7,0,2,5,3,-0.0173973105847836,-0.5708423256874084,0.0502140894532204],[0,3,7,3,-1,0,4,7,1,3,-0.006830432917922735,-0.4618028104305267,0.0502026900649071],[1,6,2,1,-1,2,6,1,1,2,0.00033255619928240776,-0.0953627303242683,0.2598375976085663],[4,8,2,10,-1,4,8,1,5,2,5,13,1,5,2,-0.0023100529797375202,0.2287247031927109,-0.1053353026509285],[2,18,18,2,-1,2,18,9,1,2,11,19,9,1,2,-0.0075426651164889336,-0.5699051022529602,0.0488634593784809],[2,7,4,4,-1,2,7,2,2,2,4,9,2,2,2,-0.0052723060362041,0.3514518141746521,-0.0823901072144508],[17,3,3,4,-1,18,3,1,4,3,-0.004857896827161312,-0.6041762232780457,0.0445394404232502],[16,9,2,8,-1,16,9,1,4,2,17,13,1,4,2,0.001586731057614088,-0.1034090965986252,0.2328201979398727],[15,7,1,6,-1,15,9,1,2,3,-0.004742781165987253,0.284902811050415,-0.0980904996395111],[14,2,2,2,-1,14,3,2,1,2,-0.0013515240279957652,0.2309643030166626,-0.113618403673172],[17,0,2,3,-1,17,1,2,1,3,0.0022526069078594446,0.0644783228635788,-0.4220589101314545],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,-0.0003803865984082222,-0.3807620108127594,0.0600432902574539],[10,4,4,3,-1,10,5,4,1,3,0.004904392175376415,-0.076104998588562,0.3323217034339905],[0,2,8,6,-1,4,2,4,6,2,-0.009096967056393623,0.1428779065608978,-0.1688780039548874],[7,14,6,6,-1,7,16,6,2,3,-0.0069317929446697235,0.2725540995597839,-0.0928795635700226],[11,15,2,2,-1,11,16,2,1,2,0.0011471060570329428,-0.1527305990457535,0.1970240026712418],[7,1,9,4,-1,10,1,3,4,3,-0.0376628898084164,-0.5932043790817261,0.0407386012375355],[9,7,3,7,-1,10,7,1,7,3,-0.006816557142883539,0.2549408972263336,-0.0940819606184959],[6,17,2,2,-1,6,17,1,1,2,7,18,1,1,2,0.0006620556232519448,0.0467957183718681,-0.4845437109470367],[4,6,3,9,-1,5,6,1,9,3,-0.004220255184918642,0.2468214929103851,-0.0946739763021469],[0,10,19,10,-1,0,15,19,5,2,-0.0689865127205849,-0.6651480197906494,0.0359263904392719],[5,17,6,1,-1,7,17,2,1,3,0.006170760840177536,0.0258333198726177,-0.7268627285957336],[0,12,6,3,-1,3,12,3,3,2,0.0105362497270107,-0.0818289965391159,0.2976079881191254]]],[10,-1.1255199909210205,[[2,5,18,5,-1,8,5,6,5,3,-0.0627587288618088,0.2789908051490784,-0.2965610921382904],[1,15,6,4,-1,1,17,6,2,2,0.003451647935435176,-0.3463588058948517,0.2090384066104889],[14,10,6,6,-1,16,10,2,6,3,-0.007869948633015156,0.2414488941431046,-0.1920557022094727],[0,14,4,3,-1,0,15,4,1,3,-0.0034624869003891945,-0.5915178060531616,0.1248644962906838],[1,7,6,11,-1,3,7,2,11,3,-0.009481876157224178,0.1839154064655304,-0.2485826015472412],[13,17,7,2,-1,13,18,7,1,2,0.00023226840130519122,-0.3304725885391235,0.1099926009774208],[0,14,2,3,-1,0,15,2,1,3,0.0018101120367646217,0.0987440124154091,-0.4963478147983551],[0,0,6,2,-1,3,0,3,2,2,-0.005442243069410324,0.2934441864490509,-0.1309475004673004],[0,1,6,3,-1,3,1,3,3,2,0.007414812222123146,-0.1476269960403442,0.3327716886997223],[0,8,2,6,-1,0,10,2,2,3,-0.0155651401728392,-0.6840490102767944,0.0998726934194565],[1,2,6,14,-1,1,2,3,7,2,4,9,3,7,2,0.0287205204367638,-0.148332804441452,0.3090257942676544],[17,5,2,2,-1,17,5,1,1,2,18,6,1,1,2,0.00009668739221524447,-0.1743104010820389,0.2140295952558518],[11,10,9,4,-1,14,10,3,4,3,0.0523710586130619,-0.0701568573713303,0.4922299087047577],[2,9,12,4,-1,6,9,4,4,3,-0.0864856913685799,0.5075724720954895,-0.0752942115068436],[7,10,12,2,-1,11,10,4,2,3,-0.0421698689460754,0.4568096101284027,-0.0902199000120163],[2,13,1,2,-1,2,14,1,1,2,0.000045369830331765115,-0.2653827965259552,0.1618953943252564],[16,7,4,3,-1,16,8,4,1,3,0.0052918000146746635,0.0748901516199112,-0.540546715259552],[19,16,1,3,-1,19,17,1,1,3,-0.0007551165181212127,-0.4926199018955231,0.0587239488959312],[18,11,1,2,-1,18,12,1,1,2,0.00007510813884437084,-0.2143210023641586,0.1407776027917862],[12,7,8,2,-1,12,7,4,1,2,16,8,4,1,2,0.004998120944947004,-0.0905473381280899,0.3571606874465942],[14,9,2,4,-1,15,9,1,4,2,-0.0014929979806765914,0.2562345862388611,-0.1422906965017319],[14,2,6,4,-1,14,2,3,2,2,17,4,3,2,2,0.0027239411137998104,-0.1564925014972687,0.2108871042728424],[14,0,6,1,-1,17,0,3,1,2,0.002221832051873207,-0.1507298946380615,0.2680186927318573],[3,12,2,1,-1,4,12,1,1,2,-0.0007399307214654982,0.2954699099063873,-0.1069239005446434],[17,2,3,1,-1,18,2,1,1,3,0.0020113459322601557,0.0506143495440483,-0.7168337106704712],[1,16,18,2,-1,7,16,6,2,3,0.0114528704434633,-0.1271906942129135,0.241527795791626],[2,19,8,1,-1,6,19,4,1,2,-0.0010782170575112104,0.2481300979852676,-0.1346119940280914],[1,17,4,3,-1,1,18,4,1,3,0.00334176910109818,0.0535783097147942,-0.5227416753768921],[19,13,1,2,-1,19,14,1,1,2,0.00006939865124877542,-0.2169874012470245,0.1281217932701111],[9,16,10,4,-1,9,16,5,2,2,14,18,5,2,2,-0.0040982551872730255,0.2440188974142075,-0.1157058998942375],[12,9,2,4,-1,12,9,1,2,2,13,11,1,2,2,-0.0016289720078930259,0.2826147079467773,-0.1065946966409683],[19,11,1,9,-1,19,14,1,3,3,0.0139848599210382,0.0427158996462822,-0.7364631295204163]]],[11,-1.1729990243911743,[[6,6,14,14,-1,6,13,14,7,2,0.164165198802948,-0.4896030128002167,0.1760770976543427],[2,17,4,2,-1,2,18,4,1,2,0.0008341306238435209,-0.2822043001651764,0.2419957965612412],[0,2,1,3,-1,0,3,1,1,3,-0.0017193210078403354,-0.714858889579773,0.0861622169613838],[0,12,1,3,-1,0,13,1,1,3,-0.001565495040267706,-0.7297238111495972,0.0940706729888916],[15,15,4,4,-1,15,17,4,2,2,0.0019124479731544852,-0.3118715882301331,0.1814339011907578],[2,5,18,7,-1,8,5,6,7,3,-0.1351236999034882,0.2957729995250702,-0.2217925041913986],[1,16,5,3,-1,1,17,5,1,3,-0.004030054900795221,-0.6659513711929321,0.0854310169816017],[0,4,2,3,-1,0,5,2,1,3,-0.002864046022295952,-0.6208636164665222,0.0531060211360455],[0,6,2,6,-1,1,6,1,6,2,-0.0014065420255064964,0.2234628945589066,-0.2021100968122482],[16,14,4,3,-1,16,15,4,1,3,-0.0035820449702441692,-0.5403040051460266,0.0682136192917824],[0,0,10,6,-1,0,0,5,3,2,5,3,5,3,2,0.04154447093606,-0.0652158409357071,0.6210923194885254],[2,2,3,6,-1,3,2,1,6,3,-0.009170955047011375,-0.75553297996521,0.0526404492557049],[2,0,3,10,-1,3,0,1,10,3,0.006155273877084255,0.0909394025802612,-0.4424613118171692],[5,5,2,2,-1,5,6,2,1,2,-0.0010043520014733076,0.242923304438591,-0.1866979002952576],[12,6,4,4,-1,12,8,4,2,2,0.0115198297426105,-0.1176315024495125,0.3672345876693726],[13,5,7,3,-1,13,6,7,1,3,-0.008904073387384415,-0.4893133044242859,0.1089702025055885],[10,13,1,2,-1,10,14,1,1,2,0.0005397367058321834,-0.2185039967298508,0.1848998963832855],[16,16,4,2,-1,18,16,2,2,2,0.0013727260520681739,-0.1507291048765183,0.2917312979698181],[16,12,4,7,-1,18,12,2,7,2,-0.0108073903247714,0.4289745092391968,-0.1028013974428177],[16,17,1,3,-1,16,18,1,1,3,0.0012670770520344377,0.0741921588778496,-0.6420825123786926],[19,9,1,3,-1,19,10,1,1,3,0.002299112966284156,0.0471002794802189,-0.723352313041687],[18,7,2,6,-1,19,7,1,6,2,0.002718751085922122,-0.1708686947822571,0.235135093331337],[8,1,3,4,-1,9,1,1,4,3,-0.006661918014287949,-0.7897542715072632,0.0450846701860428],[14,0,6,9,-1,16,0,2,9,3,-0.0482666492462158,-0.6957991719245911,0.0419760793447495],[4,2,10,2,-1,9,2,5,2,2,0.0152146900072694,-0.1081828027963638,0.3646062016487122],[2,12,8,4,-1,2,12,4,2,2,6,14,4,2,2,-0.006008013151586056,0.309709906578064,-0.1135921031236649],[0,4,7,3,-1,0,5,7,1,3,0.006612715777009726,0.0806653425097466,-0.4665853083133698],[14,14,3,3,-1,15,14,1,3,3,-0.007960701361298561,-0.8720194101333618,0.0367745906114578],[0,3,4,3,-1,2,3,2,3,2,0.003884719917550683,-0.11666289716959,0.3307026922702789],[1,0,2,7,-1,2,0,1,7,2,-0.001098881009966135,0.2387257069349289,-0.1765675991773605]]],[12,-1.036829948425293,[[15,16,4,4,-1,15,18,4,2,2,0.0035903379321098328,-0.2368807941675186,0.2463164031505585],[5,8,12,4,-1,5,10,12,2,2,0.006481593009084463,-0.3137362003326416,0.1867575943470001],[3,17,1,2,-1,3,18,1,1,2,0.00007304840255528688,-0.2764435112476349,0.1649623960256577],[6,1,3,4,-1,7,1,1,4,3,-0.00385146401822567,-0.5601450800895691,0.1129473969340324],[6,2,3,4,-1,7,2,1,4,3,0.003858821000903845,0.0398489981889725,-0.5807185769081116],[6,8,9,12,-1,9,8,3,12,3,-0.0246512200683355,0.1675501018762589,-0.2534367144107819],[8,1,8,6,-1,8,3,8,2,3,0.0472455210983753,-0.1066208034753799,0.3945198059082031],[14,2,6,3,-1,17,2,3,3,2,0.00659646512940526,-0.1774425059556961,0.2728019058704376],[0,6,1,3,-1,0,7,1,1,3,-0.0013177490327507257,-0.5427265167236328,0.0486065894365311],[10,0,10,2,-1,15,0,5,2,2,-0.005026170983910561,0.2439424991607666,-0.1314364969730377],[11,0,3,2,-1,12,0,1,2,3,0.003463276894763112,0.0690493434667587,-0.7033624053001404],[3,19,10,1,-1,8,19,5,1,2,0.0021692588925361633,-0.1328946053981781,0.2209852933883667],[0,4,7,16,-1,0,12,7,8,2,0.0293958708643913,-0.2853052020072937,0.1354399025440216],[2,16,1,3,-1,2,17,1,1,3,-0.0009618144831620157,-0.580413818359375,0.0374506488442421],[7,8,12,6,-1,11,8,4,6,3,-0.1082099974155426,0.3946728110313416,-0.078655943274498],[14,9,6,7,-1,16,9,2,7,3,-0.0180248692631722,0.2735562920570374,-0.1341529935598373],[12,17,6,1,-1,14,17,2,1,3,0.006250984035432339,0.023388059809804,-0.8008859157562256],[16,1,3,1,-1,17,1,1,1,3,-0.0016088379779830575,-0.5676252245903015,0.0412156693637371],[0,17,8,2,-1,0,17,4,1,2,4,18,4,1,2,0.0007756475242786109,-0.1489126980304718,0.1908618062734604],[17,0,2,1,-1,18,0,1,1,2,0.00008712233830010518,-0.155575305223465,0.194282203912735],[4,15,6,5,-1,6,15,2,5,3,-0.0207553207874298,-0.6300653219223022,0.0361343808472157],[7,2,8,2,-1,7,3,8,1,2,-0.0062931738793849945,0.2560924887657166,-0.1058826968073845],[4,1,8,4,-1,4,3,8,2,2,0.0108441496267915,-0.1012485027313232,0.3032212853431702],[5,19,2,1,-1,6,19,1,1,2,-0.00006375277735060081,0.1911157965660095,-0.1384923011064529],[5,19,2,1,-1,6,19,1,1,2,0.00006648096314165741,-0.1520525068044663,0.2170630991458893],[16,17,1,3,-1,16,18,1,1,3,0.0013560829684138298,0.0494317896664143,-0.6427984237670898],[0,11,2,3,-1,1,11,1,3,2,-0.0009066255879588425,0.1798201054334641,-0.1404460966587067],[0,19,4,1,-1,2,19,2,1,2,0.0010473709553480148,-0.1093354970216751,0.242659404873848],[0,18,4,2,-1,2,18,2,2,2,-0.0010243969736620784,0.2716268002986908,-0.1182091981172562],[2,17,1,3,-1,2,18,1,1,3,-0.0012024149764329195,-0.701511025428772,0.0394898988306522],[5,7,11,2,-1,5,8,11,1,2,0.007691164966672659,-0.0922189131379128,0.3104628920555115],[9,2,4,10,-1,9,7,4,5,2,-0.139665499329567,0.6897938847541809,-0.0397061184048653],[0,2,4,3,-1,0,3,4,1,3,0.0021276050247251987,0.0972776114940643,-0.2884179949760437],[10,19,10,1,-1,15,19,5,1,2,-0.0027594310231506824,0.2416867017745972,-0.1127782016992569],[11,17,8,3,-1,15,17,4,3,2,0.005223613232374191,-0.1143027991056442,0.2425678074359894],[8,19,3,1,-1,9,19,1,1,3,-0.0012590440455824137,-0.5967938899993896,0.0476639606058598],[14,0,3,4,-1,15,0,1,4,3,-0.0037192099262028933,-0.464141309261322,0.0528476908802986],[10,6,4,3,-1,10,7,4,1,3,0.005969615187495947,-0.0732442885637283,0.3874309062957764],[0,8,3,2,-1,0,9,3,1,2,-0.005177672021090984,-0.7419322729110718,0.0404967106878757],[7,12,3,6,-1,7,14,3,2,3,0.005003510043025017,-0.1388880014419556,0.1876762062311173],[1,18,1,2,-1,1,19,1,1,2,-0.0005201345775276423,-0.5494061708450317,0.0494178496301174],[0,12,4,4,-1,2,12,2,4,2,0.00531687680631876,-0.0824829787015915,0.3174056112766266],[1,8,6,7,-1,3,8,2,7,3,-0.0147745897993445,0.2081609964370728,-0.1211555972695351],[0,8,4,5,-1,2,8,2,5,2,-0.0414164513349533,-0.8243780732154846,0.0333291888237]]],[13,-1.0492420196533203,[[19,16,1,3,-1,19,17,1,1,3,0.0009096252033486962,0.0845799669623375,-0.5611841082572937],[1,5,18,6,-1,7,5,6,6,3,-0.0561397895216942,0.1534174978733063,-0.2696731984615326],[2,15,4,2,-1,2,16,4,1,2,0.0010292009683325887,-0.2048998028039932,0.2015317976474762],[18,6,2,11,-1,19,6,1,11,2,0.00287830107845366,-0.1735114008188248,0.2129794955253601],[0,12,2,6,-1,0,14,2,2,3,-0.0074144392274320126,-0.5962486863136292,0.0470779500901699],[12,5,3,2,-1,12,6,3,1,2,-0.0014831849839538336,0.1902461051940918,-0.1598639041185379],[1,3,2,3,-1,1,4,2,1,3,0.0045968941412866116,0.0314471311867237,-0.6869434118270874],[16,14,4,4,-1,16,16,4,2,2,0.0024255330208688974,-0.23609359562397,0.1103610992431641],[6,8,12,5,-1,10,8,4,5,3,-0.0849505662918091,0.2310716062784195,-0.1377653032541275],[13,7,2,7,-1,14,7,1,7,2,-0.005014568101614714,0.3867610991001129,-0.0562173798680305],[1,8,2,6,-1,2,8,1,6,2,-0.002148206112906337,0.1819159984588623,-0.1761569976806641],[15,0,3,7,-1,16,0,1,7,3,-0.0103967702016234,-0.7535138130187988,0.0240919701755047],[4,2,6,2,-1,6,2,2,2,3,-0.0134667502716184,-0.7211886048316956,0.0349493697285652],[0,9,20,9,-1,0,12,20,3,3,-0.0844354778528214,-0.3379263877868652,0.0711138173937798],[10,14,2,2,-1,10,15,2,1,2,0.00247714901342988,-0.1176510974764824,0.225419893860817],[6,5,10,4,-1,6,7,10,2,2,0.015828050673008,-0.0695362165570259,0.313953697681427],[6,1,5,9,-1,6,4,5,3,3,0.0649169832468033,-0.0750435888767242,0.4067733883857727],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0.00029652469675056636,0.0739533603191376,-0.3454400897026062],[0,14,2,4,-1,0,16,2,2,2,0.001312952022999525,-0.1690943986177445,0.1525837033987045],[10,8,2,5,-1,11,8,1,5,2,-0.0058032129891216755,0.3526014983654022,-0.0834440663456917],[3,7,12,7,-1,7,7,4,7,3,-0.1479167938232422,0.4300465881824493,-0.0573099292814732],[0,0,6,6,-1,3,0,3,6,2,-0.016584150493145,0.2343268990516663,-0.1090764030814171],[1,0,4,4,-1,3,0,2,4,2,0.003018327057361603,-0.1360093951225281,0.264092892408371],[0,0,6,8,-1,2,0,2,8,3,-0.0364719182252884,-0.628097414970398,0.0435451082885265],[0,0,2,1,-1,1,0,1,1,2,-0.00007311922672670335,0.1647063046693802,-0.1646378040313721],[0,0,3,3,-1,0,1,3,1,3,-0.003671945072710514,-0.4742136001586914,0.0485869199037552],[5,4,2,4,-1,5,6,2,2,2,-0.004015117883682251,0.1822218000888825,-0.1409751027822495],[2,10,9,1,-1,5,10,3,1,3,0.0199480205774307,-0.0697876587510109,0.3670746088027954],[1,17,1,3,-1,1,18,1,1,3,0.0007669943734072149,0.0557292997837067,-0.4458543062210083],[0,17,2,3,-1,0,18,2,1,3,-0.0011806039838120341,-0.4687662124633789,0.0489022210240364],[0,15,16,3,-1,8,15,8,3,2,0.0158473495393991,-0.1212020963430405,0.2056653052568436],[0,5,4,1,-1,2,5,2,1,2,-0.0011985700111836195,0.2026209980249405,-0.1282382011413574],[1,0,6,20,-1,3,0,2,20,3,-0.1096495985984802,-0.8661919236183167,0.0303518492728472],[2,5,4,6,-1,2,5,2,3,2,4,8,2,3,2,-0.009253260679543018,0.2934311926364899,-0.0853619500994682],[9,16,6,3,-1,11,16,2,3,3,0.0146865304559469,0.0327986218035221,-0.7755656242370605],[11,17,6,1,-1,14,17,3,1,2,-0.0013514430029317737,0.244269996881485,-0.1150325015187264],[3,17,15,2,-1,8,17,5,2,3,-0.004372809082269669,0.2168767005205154,-0.1398448050022125],[18,0,2,3,-1,18,1,2,1,3,0.0034263390116393566,0.0456142202019691,-0.545677125453949],[13,1,7,4,-1,13,3,7,2,2,-0.0038404068909585476,0.149495005607605,-0.1506250947713852],[13,6,4,4,-1,13,6,2,2,2,15,8,2,2,2,0.0037988980766385794,-0.0873016268014908,0.2548153102397919],[17,6,3,4,-1,17,8,3,2,2,-0.0020094281062483788,0.1725907027721405,-0.1428847014904022],[14,9,2,2,-1,15,9,1,2,2,-0.002437070943415165,0.2684809863567352,-0.0818982198834419],[17,17,1,3,-1,17,18,1,1,3,0.001048539998009801,0.0461132600903511,-0.4724327921867371],[3,19,8,1,-1,7,19,4,1,2,0.00174607802182436,-0.1103043034672737,0.2037972956895828],[0,9,3,6,-1,0,12,3,3,2,0.005860862787812948,-0.1561965942382813,0.1592743992805481],[4,7,15,5,-1,9,7,5,5,3,-0.0277249794453382,0.1134911999106407,-0.2188514024019241],[6,9,9,5,-1,9,9,3,5,3,0.0470806397497654,-0.0416887290775776,0.5363004803657532],[8,1,6,2,-1,10,1,2,2,3,-0.007928377017378807,-0.5359513163566589,0.0442375093698502],[4,0,12,2,-1,10,0,6,2,2,-0.0128805404528975,0.2323794960975647,-0.102462500333786],[7,0,10,3,-1,12,0,5,3,2,0.0236047692596912,-0.0882914364337921,0.3056105971336365],[5,0,9,6,-1,5,2,9,2,3,0.0159022007137537,-0.1223810985684395,0.1784912049770355],[8,3,6,4,-1,8,5,6,2,2,0.007993949577212334,-0.0837290063500404,0.3231959044933319],[17,4,2,3,-1,17,5,2,1,3,0.005710086785256863,0.038479208946228,-0.6813815236091614]]],[14,-1.1122100353240967,[[5,2,4,3,-1,5,3,4,1,3,0.002248072065412998,-0.1641687005758286,0.4164853096008301],[5,9,2,6,-1,6,9,1,6,2,0.004581355024129152,-0.1246595978736877,0.4038512110710144],[14,10,2,6,-1,15,10,1,6,2,-0.0016073239967226982,0.260824590921402,-0.202825203537941],[7,4,3,3,-1,7,5,3,1,3,0.0025205370038747787,-0.1055722981691361,0.3666911125183106],[12,4,8,2,-1,12,4,4,1,2,16,5,4,1,2,0.0024119189474731684,-0.1387760043144226,0.2995991110801697],[15,8,1,6,-1,15,10,1,2,3,0.005715617910027504,-0.0776834636926651,0.4848192036151886],[4,17,11,3,-1,4,18,11,1,3,0.0031093840952962637,-0.1122900024056435,0.2921550869941711],[3,0,16,20,-1,3,10,16,10,2,-0.0868366286158562,-0.367796003818512,0.0725972428917885],[12,4,4,6,-1,12,6,4,2,3,0.0052652182057499886,-0.1089029014110565,0.3179126083850861],[11,0,6,6,-1,13,0,2,6,3,-0.0199135299772024,-0.5337343811988831,0.0705857127904892],[13,1,6,4,-1,13,1,3,2,2,16,3,3,2,2,0.00382978399284184,-0.135759100317955,0.2278887927532196],[11,0,6,4,-1,13,0,2,4,3,0.0104318596422672,0.0887979120016098,-0.4795897006988525],[8,6,6,9,-1,10,6,2,9,3,-0.0200404394418001,0.1574553996324539,-0.1777157038450241],[7,0,3,4,-1,8,0,1,4,3,-0.005296729039400816,-0.6843491792678833,0.0356714613735676],[0,17,14,2,-1,0,17,7,1,2,7,18,7,1,2,-0.0021624139044433832,0.2831803858280182,-0.098511278629303],[6,18,2,2,-1,6,18,1,1,2,7,19,1,1,2,-0.00035464888787828386,-0.3707734048366547,0.0809329524636269],[18,17,1,3,-1,18,18,1,1,3,-0.00018152060511056334,-0.322070300579071,0.0775510594248772],[17,18,2,2,-1,17,18,1,1,2,18,19,1,1,2,-0.000275630212854594,-0.3244127929210663,0.0879494771361351],[5,7,1,9,-1,5,10,1,3,3,0.006382381077855825,-0.0889247134327888,0.3172721862792969],[5,3,6,4,-1,7,3,2,4,3,0.0111509095877409,0.0710198432207108,-0.4049403965473175],[1,9,6,2,-1,1,9,3,1,2,4,10,3,1,2,-0.0010593760525807738,0.2605066895484924,-0.1176564022898674],[6,9,2,3,-1,7,9,1,3,2,0.002390648005530238,-0.0843886211514473,0.3123055100440979],[6,8,6,12,-1,8,8,2,12,3,-0.0110007496550679,0.1915224939584732,-0.1521002054214478],[4,18,2,2,-1,4,18,1,1,2,5,19,1,1,2,-0.00024643228971399367,-0.3176515996456146,0.0865822583436966],[9,1,6,6,-1,9,3,6,2,3,0.0230532698333263,-0.1008976027369499,0.2576929032802582],[6,17,6,2,-1,6,18,6,1,2,-0.0022135660983622074,0.4568921029567719,-0.0524047911167145],[3,18,16,2,-1,3,19,16,1,2,-0.000971397093962878,-0.3551838099956513,0.0800943821668625],[3,0,3,11,-1,4,0,1,11,3,0.0015676229959353805,0.1009142026305199,-0.2160304039716721],[13,18,3,1,-1,14,18,1,1,3,0.0007546080159954727,0.0578961782157421,-0.4046111106872559],[6,0,9,6,-1,6,2,9,2,3,-0.0206989701837301,0.3154363036155701,-0.0807130485773087],[1,2,12,4,-1,1,2,6,2,2,7,4,6,2,2,-0.0206199400126934,0.271816611289978,-0.0763586163520813],[3,3,6,4,-1,5,3,2,4,3,0.0216111298650503,0.0394934490323067,-0.5942965149879456],[12,0,8,1,-1,16,0,4,1,2,0.006567674223333597,-0.0983536690473557,0.2364927977323532],[9,0,6,2,-1,11,0,2,2,3,-0.008843479678034782,-0.5252342820167542,0.0430999211966991],[3,3,12,1,-1,9,3,6,1,2,-0.009426074102520943,0.2466513067483902,-0.0941307172179222],[2,7,6,2,-1,2,7,3,1,2,5,8,3,1,2,-0.001983023015782237,0.2674370110034943,-0.0900693163275719],[0,8,4,6,-1,0,10,4,2,3,-0.001735839992761612,0.1594001948833466,-0.157894104719162],[9,6,3,7,-1,10,6,1,7,3,-0.0135138696059585,0.4079233109951019,-0.0642231181263924],[9,6,6,13,-1,11,6,2,13,3,-0.0193940103054047,0.1801564991474152,-0.1373140066862106],[11,12,6,1,-1,13,12,2,1,3,-0.003268477041274309,0.2908039093017578,-0.0801619067788124],[18,9,2,6,-1,18,12,2,3,2,0.00041773589327931404,-0.2141298055648804,0.1127343997359276],[17,2,3,9,-1,18,2,1,9,3,-0.007635111920535564,-0.4536595940589905,0.0546250604093075],[13,8,4,6,-1,13,8,2,3,2,15,11,2,3,2,-0.008365297690033913,0.2647292017936707,-0.0943341106176376],[4,2,12,6,-1,10,2,6,6,2,0.027768449857831,-0.1013671010732651,0.2074397951364517],[4,14,16,6,-1,12,14,8,6,2,-0.0548912286758423,0.2884030938148499,-0.075312040746212],[6,19,10,1,-1,11,19,5,1,2,0.002579333959147334,-0.1108852997422218,0.2172496020793915],[6,17,1,3,-1,6,18,1,1,3,0.00006619651685468853,-0.1887210011482239,0.1444068998098373],[4,14,10,3,-1,4,15,10,1,3,0.005090725142508745,-0.0776012316346169,0.2939837872982025],[6,0,12,12,-1,6,4,12,4,3,-0.1044425964355469,0.2013310939073563,-0.1090397015213966],[5,7,4,2,-1,5,7,2,1,2,7,8,2,1,2,-0.0006727309082634747,0.1794590055942535,-0.1202367022633553],[17,5,3,2,-1,18,5,1,2,3,0.0032412849832326174,0.0406881310045719,-0.5460057258605957]]],[15,-1.2529590129852295,[[8,13,6,3,-1,8,14,6,1,3,0.005296532064676285,-0.1215452998876572,0.6442037224769592],[8,13,5,3,-1,8,14,5,1,3,-0.002532626036554575,0.5123322010040283,-0.111082598567009],[13,2,1,18,-1,13,11,1,9,2,-0.0029183230362832546,-0.5061542987823486,0.1150197982788086],[6,10,9,2,-1,9,10,3,2,3,-0.0236923396587372,0.3716728091239929,-0.1467268019914627],[11,0,7,4,-1,11,2,7,2,2,0.0201774705201387,-0.1738884001970291,0.4775949120521545],[1,0,6,8,-1,3,0,2,8,3,-0.021723210811615,-0.4388009011745453,0.1357689946889877],[9,15,3,3,-1,9,16,3,1,3,0.0028369780629873276,-0.1251206994056702,0.4678902924060822],[9,17,9,3,-1,9,18,9,1,3,0.002714842092245817,-0.0880188569426537,0.3686651885509491],[12,12,3,3,-1,12,13,3,1,3,0.003262568963691592,-0.0853353068232536,0.5164473056793213],[4,1,3,5,-1,5,1,1,5,3,-0.0035618850961327553,-0.445039302110672,0.0917381718754768],[10,14,2,3,-1,10,15,2,1,3,0.001922774943523109,-0.1107731014490128,0.3941699862480164],[18,17,2,2,-1,18,17,1,1,2,19,18,1,1,2,-0.0003511196991894394,-0.3777570128440857,0.1216617003083229],[18,18,2,2,-1,18,18,1,1,2,19,19,1,1,2,0.0001912177976919338,0.0748160183429718,-0.4076710045337677],[18,18,2,2,-1,18,18,1,1,2,19,19,1,1,2,-0.00026525629800744355,-0.3315171897411346,0.1129112020134926],[4,10,9,1,-1,7,10,3,1,3,0.0200867000967264,-0.0615981183946133,0.5612881779670715],[3,9,6,5,-1,5,9,2,5,3,0.0367832481861115,-0.0602513886988163,0.5219249129295349],[18,8,1,12,-1,18,14,1,6,2,0.0013941619545221329,-0.3550305068492889,0.1086302027106285],[0,2,8,6,-1,0,2,4,3,2,4,5,4,3,2,-0.0151816699653864,0.2273965030908585,-0.1625299006700516],[9,4,3,3,-1,9,5,3,1,3,0.0046796840615570545,-0.0575350411236286,0.4812423884868622],[3,18,2,2,-1,3,18,1,1,2,4,19,1,1,2,-0.00017988319450523704,-0.3058767020702362,0.1086815968155861],[6,4,4,3,-1,6,5,4,1,3,-0.0035850999411195517,0.3859694004058838,-0.0921940729022026],[16,7,4,2,-1,16,7,2,1,2,18,8,2,1,2,0.001079336041584611,-0.1119038984179497,0.31125208735466],[5,17,1,3,-1,5,18,1,1,3,0.00007328580250032246,-0.2023991048336029,0.155866801738739],[2,0,15,20,-1,2,10,15,10,2,0.1367873996496201,-0.2167285978794098,0.1442039012908936],[8,11,6,4,-1,8,11,3,2,2,11,13,3,2,2,-0.0117292599752545,0.4350377023220062,-0.0748865306377411],[8,16,4,3,-1,8,17,4,1,3,0.003923084121197462,-0.0502893291413784,0.5883116126060486],[8,18,2,2,-1,8,18,1,1,2,9,19,1,1,2,-0.0002981912111863494,-0.3823240101337433,0.0924511328339577],[2,16,13,3,-1,2,17,13,1,3,-0.004799277056008577,0.4848878979682922,-0.0731365233659744],[16,16,2,2,-1,16,16,1,1,2,17,17,1,1,2,-0.0003015589027199894,-0.3575735986232758,0.1058188006281853],[8,1,6,3,-1,10,1,2,3,3,0.0103907696902752,0.0529204681515694,-0.5724965929985046],[16,7,2,2,-1,16,7,1,1,2,17,8,1,1,2,-0.0009448804194107652,0.449668288230896,-0.0830755233764648],[14,7,4,2,-1,14,7,2,1,2,16,8,2,1,2,0.0012651870492845774,-0.0966954380273819,0.3130227029323578],[4,0,14,1,-1,11,0,7,1,2,0.0170945394784212,-0.081248976290226,0.3611383140087128],[10,4,8,2,-1,10,4,4,1,2,14,5,4,1,2,0.002597335958853364,-0.1133835017681122,0.2223394960165024],[8,2,3,2,-1,9,2,1,2,3,0.0014527440071105957,0.0697504431009293,-0.3672071099281311],[12,11,6,3,-1,12,12,6,1,3,0.00476386584341526,-0.0657889619469643,0.383285403251648],[1,5,1,4,-1,1,7,1,2,2,-0.006250108126550913,-0.7075446844100952,0.038350198417902],[1,1,1,18,-1,1,7,1,6,3,-0.003176532918587327,0.1375540047883987,-0.2324002981185913],[11,13,3,2,-1,11,14,3,1,2,0.003219116944819689,-0.1293545067310333,0.2273788005113602],[0,1,12,2,-1,0,1,6,1,2,6,2,6,1,2,-0.005636557936668396,0.380671501159668,-0.0672468394041061],[10,18,2,2,-1,10,18,1,1,2,11,19,1,1,2,-0.00023844049428589642,-0.3112238049507141,0.0838383585214615],[4,5,4,4,-1,4,5,2,2,2,6,7,2,2,2,-0.004101756028831005,0.2606728076934815,-0.1044974029064179],[6,7,1,3,-1,6,8,1,1,3,0.0013336989795789123,-0.0582501403987408,0.4768244028091431],[14,10,6,2,-1,16,10,2,2,3,-0.0012090239906683564,0.148345097899437,-0.1732946932315826]]],[16,-1.118873953819275,[[16,8,3,6,-1,17,8,1,6,3,-0.003176093101501465,0.3333333134651184,-0.166423499584198],[4,10,6,2,-1,6,10,2,2,3,0.0248580798506737,-0.0727288722991943,0.5667458176612854],[6,5,3,7,-1,7,5,1,7,3,-0.007759728003293276,0.4625856876373291,-0.0931121781468391],[0,13,6,6,-1,0,16,6,3,2,0.007823902182281017,-0.2741461098194122,0.1324304938316345],[12,5,1,9,-1,12,8,1,3,3,-0.010948839597404,0.2234548032283783,-0.1496544927358627],[5,9,3,3,-1,6,9,1,3,3,-0.0034349008928984404,0.3872498869895935,-0.0661217272281647],[7,5,6,13,-1,9,5,2,13,3,-0.0311562903225422,0.2407827973365784,-0.1140690967440605],[19,8,1,10,-1,19,13,1,5,2,0.001110051991418004,-0.2820797860622406,0.1327542960643768],[11,18,6,1,-1,13,18,2,1,3,0.003176274010911584,0.0345859304070473,-0.5137431025505066],[9,7,6,12,-1,11,7,2,12,3,-0.0279774591326714,0.2392677962779999,-0.1325591951608658],[12,7,6,6,-1,14,7,2,6,3,-0.0230979397892952,0.3901962041854858,-0.0784780085086823],[15,8,3,4,-1,16,8,1,4,3,-0.003973193001002073,0.3069106936454773,-0.0706014037132263],[6,11,4,2,-1,6,12,4,1,2,0.003033574903383851,-0.1400219053030014,0.191348597407341],[1,6,6,8,-1,3,6,2,8,3,-0.0108443703502417,0.1654873043298721,-0.1565777957439423],[11,15,6,5,-1,13,15,2,5,3,-0.0181505102664232,-0.6324359178543091,0.0395618192851543],[15,17,4,2,-1,15,18,4,1,2,0.0007105229888111353,-0.1851557046175003,0.1340880990028381],[13,11,6,1,-1,15,11,2,1,3,0.0108933402225375,-0.0267302300781012,0.6097180247306824],[5,18,2,2,-1,5,18,1,1,2,6,19,1,1,2,-0.0002878090017475188,-0.3006514012813568,0.0731714591383934],[4,8,4,4,-1,4,8,2,2,2,6,10,2,2,2,-0.0035855069290846586,0.2621760964393616,-0.0797140970826149],[11,7,9,3,-1,11,8,9,1,3,-0.0197592806071043,-0.5903922915458679,0.0406989715993404],[0,3,10,4,-1,0,3,5,2,2,5,5,5,2,2,-0.010845210403204,0.1636455953121185,-0.1258606016635895],[7,18,6,1,-1,9,18,2,1,3,-0.004318309016525745,-0.5747488141059875,0.0376443117856979],[0,8,3,3,-1,0,9,3,1,3,0.0014913700288161635,0.0609134696424007,-0.3022292852401733],[0,0,6,8,-1,0,0,3,4,2,3,4,3,4,2,0.0156756993383169,-0.0731459110975266,0.2937945127487183],[7,6,3,8,-1,8,6,1,8,3,-0.0110335601493716,0.393188089132309,-0.0470843203365803],[13,7,7,3,-1,13,8,7,1,3,0.008855575695633888,0.0376013815402985,-0.4910849034786224],[3,3,2,2,-1,3,4,2,1,2,-0.0008966567111201584,0.1795202046632767,-0.1108623966574669],[0,3,3,3,-1,0,4,3,1,3,-0.0030592409893870354,-0.4442946016788483,0.0510054305195808],[9,3,5,2,-1,9,4,5,1,2,0.006320117972791195,-0.0528410896658897,0.3719710111618042],[6,5,9,4,-1,9,5,3,4,3,0.020682830363512,0.0576671697199345,-0.3690159916877747],[3,10,12,3,-1,7,10,4,3,3,0.0998226627707481,-0.037377018481493,0.5816559195518494],[8,7,3,6,-1,9,7,1,6,3,-0.006585422903299332,0.2850944101810455,-0.0609780699014664],[5,5,6,5,-1,8,5,3,5,2,-0.0609003007411957,-0.5103176832199097,0.0377874001860619],[0,5,2,3,-1,0,6,2,1,3,-0.0029991709161549807,-0.4794301092624664,0.0388338901102543],[9,7,3,4,-1,10,7,1,4,3,-0.009890643879771233,0.4060907959938049,-0.047869648784399],[1,0,6,15,-1,3,0,2,15,3,-0.0826889276504517,-0.7067118287086487,0.0274877492338419],[15,1,3,5,-1,16,1,1,5,3,0.00500603998079896,0.028208440169692,-0.5290969014167786],[9,2,3,10,-1,10,2,1,10,3,0.006169503089040518,-0.0545548610389233,0.3283798098564148],[8,8,6,12,-1,10,8,2,12,3,-0.0033914761152118444,0.0921176671981812,-0.2163711041212082],[16,4,3,4,-1,16,6,3,2,2,-0.0026131230406463146,0.1365101933479309,-0.1378113031387329],[16,7,2,2,-1,16,7,1,1,2,17,8,1,1,2,0.0008049065945670009,-0.0686371102929115,0.3358106911182404],[13,0,6,9,-1,13,3,6,3,3,-0.0381065085530281,0.2944543063640595,-0.068239226937294],[7,17,1,3,-1,7,18,1,1,3,0.00007245079905260354,-0.167501300573349,0.1217823028564453],[12,1,4,2,-1,12,2,4,1,2,0.0015837959945201874,-0.0920428484678268,0.213489904999733],[17,3,1,3,-1,17,4,1,1,3,0.0012924340553581715,0.0629172325134277,-0.3617450892925263],[0,16,9,3,-1,0,17,9,1,3,0.00991467759013176,0.0195340607315302,-0.8101503849029541],[3,6,2,4,-1,3,6,1,2,2,4,8,1,2,2,-0.0017086310544982553,0.2552523910999298,-0.0682294592261314],[13,18,3,1,-1,14,18,1,1,3,0.002184439916163683,0.0233140494674444,-0.8429678082466125],[0,18,4,2,-1,2,18,2,2,2,-0.003424433059990406,0.2721368968486786,-0.0763952285051346],[1,19,2,1,-1,2,19,1,1,2,0.00027591470279730856,-0.1074284017086029,0.2288897037506104],[0,18,4,2,-1,0,19,4,1,2,-0.0006000517751090229,-0.2985421121120453,0.0634797364473343],[2,17,1,3,-1,2,18,1,1,3,-0.00025001438916660845,-0.2717896997928619,0.0696150064468384],[4,8,3,5,-1,5,8,1,5,3,0.006875139195472002,-0.0571858994662762,0.3669595122337341],[2,1,6,7,-1,4,1,2,7,3,0.0127619002014399,0.0679556876420975,-0.2853415012359619],[3,6,2,8,-1,3,6,1,4,2,4,10,1,4,2,-0.0014752789866179228,0.2068066000938416,-0.1005939021706581],[4,5,11,10,-1,4,10,11,5,2,0.1213881969451904,-0.0971267968416214,0.1978961974382401],[0,13,20,2,-1,10,13,10,2,2,-0.0500812791287899,0.2841717898845673,-0.0678799971938133],[1,13,16,3,-1,9,13,8,3,2,0.0314549505710602,-0.0894686728715897,0.2129842042922974],[16,4,4,4,-1,16,4,2,2,2,18,6,2,2,2,0.0018878319533541799,-0.1165644004940987,0.166635200381279],[16,0,4,12,-1,16,0,2,6,2,18,6,2,6,2,-0.005721196066588163,0.2370214015245438,-0.0907766073942184],[14,15,3,1,-1,15,15,1,1,3,-0.00018076719425152987,0.1795192956924439,-0.1079348027706146],[3,4,12,10,-1,3,9,12,5,2,-0.1976184993982315,0.4567429125308991,-0.0404801592230797],[9,18,2,2,-1,9,18,1,1,2,10,19,1,1,2,-0.00023846809926908463,-0.2373300939798355,0.0759221613407135],[9,18,2,2,-1,9,18,1,1,2,10,19,1,1,2,0.00021540730085689574,0.0816880166530609,-0.2868503034114838],[13,4,2,14,-1,13,4,1,7,2,14,11,1,7,2,0.0101630901917815,-0.0412500202655792,0.4803834855556488],[4,2,6,4,-1,7,2,3,4,2,-0.007218487095087767,0.1745858043432236,-0.1014650017023087],[0,0,18,20,-1,0,0,9,10,2,9,10,9,10,2,0.2426317036151886,0.05342648178339,-0.3231852948665619],[15,11,1,2,-1,15,12,1,1,2,0.0006930410163477063,-0.1149917989969254,0.1479393988847733],[16,10,2,4,-1,16,10,1,2,2,17,12,1,2,2,0.003547519911080599,-0.0394249781966209,0.5312618017196655],[18,17,2,2,-1,18,17,1,1,2,19,18,1,1,2,0.00021403690334409475,0.0697538331151009,-0.2731958031654358],[9,17,1,2,-1,9,18,1,1,2,-0.0005711946287192404,0.3436990082263947,-0.0576990097761154],[8,4,9,6,-1,11,4,3,6,3,-0.006629006937146187,0.1175848990678787,-0.1502013951539993]]],[17,-1.088881015777588,[[6,9,9,10,-1,9,9,3,10,3,-0.0265134498476982,0.2056864053010941,-0.2647390067577362],[5,0,5,4,-1,5,2,5,2,2,0.00977274589240551,-0.111928403377533,0.325705498456955],[5,7,11,4,-1,5,9,11,2,2,0.0322903506457806,-0.0985747575759888,0.3177917003631592],[2,4,2,14,-1,3,4,1,14,2,-0.00281032407656312,0.1521389931440353,-0.1968640983104706],[8,6,3,5,-1,9,6,1,5,3,-0.0109914299100637,0.5140765905380249,-0.0437072105705738],[8,4,3,9,-1,9,4,1,9,3,0.006313383113592863,-0.0927810221910477,0.3470247089862824],[0,8,20,6,-1,0,10,20,2,3,0.0871059820055962,0.030053649097681,-0.8281481862068176],[14,16,6,1,-1,17,16,3,1,2,0.0011799359926953912,-0.1292842030525208,0.2064612060785294],[17,18,2,2,-1,17,19,2,1,2,-0.0009305689018219709,-0.5002143979072571,0.0936669930815697],[8,17,6,3,-1,10,17,2,3,3,-0.0136871701106429,-0.793581485748291,-0.006673363968729973],[4,1,9,15,-1,7,1,3,15,3,-0.0759174525737762,0.3046964108943939,-0.0796558931469917],[11,5,3,12,-1,12,5,1,12,3,-0.0028559709899127483,0.2096146047115326,-0.1273255050182343],[0,15,4,3,-1,0,16,4,1,3,-0.004023151006549597,-0.6581727862358093,0.0506836399435997],[0,0,15,1,-1,5,0,5,1,3,0.0175580400973558,-0.0853826925158501,0.3617455959320068],[6,0,6,4,-1,8,0,2,4,3,0.0219882391393185,0.062943696975708,-0.7089633941650391],[2,0,9,3,-1,5,0,3,3,3,-0.002859958913177252,0.1468378007411957,-0.1646597981452942],[13,6,3,7,-1,14,6,1,7,3,-0.0100308498367667,0.4957993924617767,-0.0271883402019739],[7,6,4,2,-1,7,7,4,1,2,-0.006956032942980528,0.2797777950763702,-0.0779533311724663],[6,18,6,1,-1,8,18,2,1,3,-0.0038356808945536613,-0.58163982629776,0.0357399396598339],[18,6,2,2,-1,18,7,2,1,2,-0.0032647319603711367,-0.4994508028030396,0.0469864904880524],[6,4,7,3,-1,6,5,7,1,3,-0.007841235026717186,0.34532830119133,-0.0688104033470154],[12,7,3,1,-1,13,7,1,1,3,-0.00008171811350621283,0.1504171043634415,-0.1414667963981628],[15,1,2,10,-1,15,1,1,5,2,16,6,1,5,2,-0.0032448628917336464,0.227245107293129,-0.0928602069616318],[0,18,2,2,-1,0,19,2,1,2,-0.0007856115116737783,-0.4431901872158051,0.0578124411404133],[19,4,1,8,-1,19,8,1,4,2,-0.0006247424753382802,0.1395238935947418,-0.1466871947050095],[1,17,1,3,-1,1,18,1,1,3,-0.0003294294874649495,-0.2990157008171082,0.0760667398571968],[0,15,6,4,-1,0,15,3,2,2,3,17,3,2,2,0.0012605739757418633,-0.1612560003995895,0.1395380049943924],[19,0,1,18,-1,19,6,1,6,3,-0.0516670197248459,-0.5314283967018127,0.0407195203006268],[10,2,6,2,-1,12,2,2,2,3,-0.0152856195345521,-0.7820637822151184,0.0271837692707777],[2,8,12,2,-1,6,8,4,2,3,0.0690298229455948,-0.0364270210266113,0.7110251784324646],[16,0,4,1,-1,18,0,2,1,2,0.001452274969778955,-0.0968905165791512,0.2166842073202133],[8,4,2,6,-1,8,7,2,3,2,-0.0024765590205788612,0.1164531037211418,-0.1822797954082489],[14,5,2,10,-1,15,5,1,10,2,-0.0015134819550439715,0.1786397993564606,-0.1221496984362602],[13,4,2,2,-1,13,5,2,1,2,-0.0015099470037966967,0.1808623969554901,-0.1144606992602348],[11,1,3,6,-1,11,3,3,2,3,-0.006705462001264095,0.2510659992694855,-0.0918714627623558],[6,9,12,2,-1,10,9,4,2,3,-0.014075200073421,0.1370750963687897,-0.173335000872612],[9,16,4,2,-1,9,17,4,1,2,-0.0022400720044970512,0.4009298086166382,-0.0475768782198429],[5,14,15,4,-1,5,16,15,2,2,0.0197823699563742,-0.1904035061597824,0.1492341011762619],[18,16,2,2,-1,18,17,2,1,2,0.002600287087261677,0.0469717681407928,-0.4330765902996063],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,-0.0005344562814570963,-0.4374423027038574,0.0415201894938946],[6,4,3,8,-1,7,4,1,8,3,-0.0174665097147226,0.6581817269325256,-0.0344474911689758],[5,9,3,1,-1,6,9,1,1,3,-0.00204255897551775,0.3965792953968048,-0.044052429497242],[0,8,1,6,-1,0,10,1,2,3,0.0026661779265850782,0.0587709583342075,-0.3280636966228485],[11,2,9,6,-1,14,2,3,6,3,-0.0559823699295521,-0.5173547267913818,0.0357918404042721],[12,2,6,4,-1,14,2,2,4,3,-0.0015066330088302493,0.1512386947870255,-0.1252018064260483],[1,7,2,4,-1,1,9,2,2,2,-0.0114723695442081,-0.6293053030967712,0.0347043313086033],[13,1,6,4,-1,13,3,6,2,2,0.0234096292406321,-0.0580633506178856,0.3866822123527527],[4,10,2,10,-1,4,10,1,5,2,5,15,1,5,2,-0.002324372995644808,0.1875409930944443,-0.0983946695923805],[2,16,9,3,-1,5,16,3,3,3,-0.0290392991155386,-0.5448690056800842,0.0409263409674168],[1,2,3,9,-1,2,2,1,9,3,-0.014474649913609,-0.6724839210510254,0.0231288503855467],[19,7,1,4,-1,19,9,1,2,2,-0.005208609160035849,-0.4327144026756287,0.0437806509435177],[14,11,6,8,-1,14,11,3,4,2,17,15,3,4,2,0.004938289988785982,-0.1087862029671669,0.1934258937835693],[15,12,4,6,-1,15,12,2,3,2,17,15,2,3,2,-0.004319393076002598,0.2408093065023422,-0.1038080006837845],[16,15,2,2,-1,16,15,1,1,2,17,16,1,1,2,0.0002370566944591701,-0.087349072098732,0.2046623975038528],[17,16,2,2,-1,17,16,1,1,2,18,17,1,1,2,0.0004785807977896184,0.0456245802342892,-0.3885467052459717],[17,16,2,2,-1,17,16,1,1,2,18,17,1,1,2,-0.0008534283842891455,-0.550779402256012,0.0358258895576],[2,3,2,2,-1,2,3,1,1,2,3,4,1,1,2,0.00005477212107507512,-0.1122523993253708,0.1750351935625076],[10,10,3,3,-1,11,10,1,3,3,-0.0038445889949798584,0.2452670037746429,-0.0811325684189796],[5,9,7,8,-1,5,13,7,4,2,-0.0401284582912922,-0.6312270760536194,0.0269726701080799],[7,16,2,2,-1,7,16,1,1,2,8,17,1,1,2,-0.0001788636000128463,0.1985509991645813,-0.1033368036150932],[7,16,2,2,-1,7,16,1,1,2,8,17,1,1,2,0.00017668239888735116,-0.0913590118288994,0.1984872072935104],[9,8,10,3,-1,14,8,5,3,2,0.0727633833885193,0.0500755794346333,-0.3385263085365295],[6,7,4,8,-1,6,7,2,4,2,8,11,2,4,2,0.0101816300302744,-0.0932299792766571,0.2005959004163742],[1,6,4,3,-1,1,7,4,1,3,0.0024409969337284565,0.0646366328001022,-0.2692174017429352],[6,10,6,10,-1,8,10,2,10,3,-0.003622748889029026,0.1316989064216614,-0.1251484006643295],[4,6,3,6,-1,5,6,1,6,3,-0.0013635610230267048,0.1635046005249023,-0.106659397482872]]],[18,-1.0408929586410522,[[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,-0.009699116460978985,0.6112532019615173,-0.0662253126502037],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,-0.009642653167247772,-1,0.0027699959464371204],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,-0.009638186544179916,1,-0.00029904270195402205],[14,8,2,6,-1,15,8,1,6,2,-0.004255393985658884,0.2846438884735107,-0.1554012000560761],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,-0.009622352197766304,-1,0.0439991801977158],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,-0.009123124182224274,0.8686934113502502,-0.0027267890982329845],[12,4,3,9,-1,13,4,1,9,3,-0.008624043315649033,0.4535248875617981,-0.0860713794827461],[12,3,1,12,-1,12,7,1,4,3,-0.008932414464652538,0.1337555944919586,-0.2601251900196075],[2,0,18,1,-1,8,0,6,1,3,-0.0142078101634979,0.3207764029502869,-0.0972264111042023],[10,0,10,6,-1,10,0,5,3,2,15,3,5,3,2,0.0259110108017921,-0.1296408027410507,0.2621864974498749],[18,16,2,2,-1,18,17,2,1,2,0.00020531509653665125,-0.1240428015589714,0.2106295973062515],[3,5,4,2,-1,3,5,2,1,2,5,6,2,1,2,-0.000054795680625829846,0.1197429969906807,-0.2320127934217453],[11,8,3,3,-1,12,8,1,3,3,0.006855519954115152,-0.0632761269807816,0.4104425013065338],[11,7,3,5,-1,12,7,1,5,3,-0.0122530404478312,0.5488333106040955,-0.0397311002016068],[3,19,15,1,-1,8,19,5,1,3,-0.0039058770053088665,0.2419098019599915,-0.0970960110425949],[8,13,3,2,-1,8,14,3,1,2,0.0027560980524867773,-0.1256967931985855,0.1945665031671524],[2,12,8,4,-1,2,12,4,2,2,6,14,4,2,2,-0.0077662160620093346,0.2976570129394531,-0.0968181565403938],[16,16,2,2,-1,16,16,1,1,2,17,17,1,1,2,0.00038997188676148653,0.0621884018182755,-0.4204089939594269],[7,0,3,2,-1,8,0,1,2,3,0.0033579880837351084,0.0474981404840946,-0.6321688294410706],[6,7,2,5,-1,7,7,1,5,2,-0.0167455393821001,0.7109813094139099,-0.0391573496162891],[18,0,2,17,-1,19,0,1,17,2,-0.0065409899689257145,-0.3504317104816437,0.0706169530749321],[16,16,1,3,-1,16,17,1,1,3,0.0003001634031534195,0.091902457177639,-0.2461867034435272],[14,8,3,7,-1,15,8,1,7,3,0.0149189904332161,-0.0519094504415989,0.5663604140281677],[10,17,2,2,-1,10,17,1,1,2,11,18,1,1,2,0.00048153079114854336,0.064659558236599,-0.3659060895442963],[4,9,1,3,-1,4,10,1,1,3,-0.00030211321427486837,0.1792656928300858,-0.1141066029667854],[18,10,2,3,-1,18,11,2,1,3,0.0003852141962852329,0.1034561991691589,-0.2007246017456055],[12,1,3,10,-1,13,1,1,10,3,0.008083713240921497,-0.0660734623670578,0.3028424978256226],[8,12,9,1,-1,11,12,3,1,3,-0.0228049699217081,0.5296235084533691,-0.0401189997792244],[5,18,2,2,-1,5,18,1,1,2,6,19,1,1,2,0.00019440450705587864,0.0818548202514648,-0.2466336041688919],[19,6,1,9,-1,19,9,1,3,3,-0.0128480903804302,-0.3497331142425537,0.0569162294268608],[4,7,2,4,-1,4,7,1,2,2,5,9,1,2,2,-0.001093729049898684,0.2336868047714233,-0.0916048064827919],[1,4,6,14,-1,3,4,2,14,3,0.0010032650316134095,0.1185218021273613,-0.1846919059753418],[10,5,9,3,-1,13,5,3,3,3,-0.0446884296834469,-0.6436246037483215,0.0303632691502571],[18,7,2,6,-1,18,9,2,2,3,0.00816575437784195,0.0436746589839458,-0.4300208985805512],[5,6,2,7,-1,6,6,1,7,2,-0.0117178102955222,0.4178147912025452,-0.0482336990535259],[10,4,6,8,-1,13,4,3,8,2,0.0842771306633949,0.053461279720068,-0.379521906375885],[0,8,2,9,-1,0,11,2,3,3,0.0142118399962783,0.0449009388685226,-0.4298149943351746],[0,7,5,3,-1,0,8,5,1,3,0.001502834027633071,0.0822276398539543,-0.2470639944076538],[8,1,7,2,-1,8,2,7,1,2,0.0100035797804594,-0.057221669703722,0.3460937142372131],[7,5,3,5,-1,8,5,1,5,3,-0.009070632047951221,0.450580894947052,-0.0427953191101551],[19,2,1,2,-1,19,3,1,1,2,-0.0003314162022434175,0.1833691000938416,-0.1075994968414307],[6,7,10,11,-1,11,7,5,11,2,0.19723279774189,-0.030363829806447,0.6642342805862427],[9,19,6,1,-1,11,19,2,1,3,-0.007125880103558302,-0.8922504782676697,0.0256699901074171],[3,0,12,1,-1,7,0,4,1,3,0.00869213417172432,-0.0707643702626228,0.2821052968502045],[4,1,6,5,-1,6,1,2,5,3,0.008926212787628174,0.0710782334208488,-0.3023256063461304],[6,12,12,6,-1,10,12,4,6,3,0.0572860091924667,0.0509741306304932,-0.3919695019721985],[16,13,2,3,-1,16,14,2,1,3,0.0037920880131423473,0.0338419415056705,-0.510162889957428],[7,14,4,2,-1,7,15,4,1,2,-0.0014508679741993546,0.3087914884090424,-0.063845083117485],[7,14,2,2,-1,7,15,2,1,2,0.00098390132188797,-0.1302956938743591,0.1460441052913666],[3,10,2,4,-1,3,10,1,2,2,4,12,1,2,2,-0.0017221809830516577,0.2915700972080231,-0.0685495585203171],[0,3,2,6,-1,0,5,2,2,3,0.0109482500702143,0.0343514084815979,-0.4770225882530212],[1,10,2,2,-1,1,10,1,1,2,2,11,1,1,2,-0.00001717630948405713,0.1605526953935623,-0.1169084012508392],[16,4,4,3,-1,16,5,4,1,3,-0.005488420836627483,-0.4341588914394379,0.0461062416434288],[5,10,2,4,-1,5,10,1,2,2,6,12,1,2,2,-0.0030975250992923975,0.3794333934783936,-0.05686055123806],[5,11,13,2,-1,5,12,13,1,2,0.006418208125978708,-0.1585821062326431,0.1233541965484619],[10,2,3,11,-1,11,2,1,11,3,0.0118312397971749,-0.0409292913973331,0.458789587020874],[10,2,4,4,-1,10,4,4,2,2,0.013540499843657,-0.0537255592644215,0.3505612015724182],[8,8,6,2,-1,10,8,2,2,3,-0.002593215089291334,0.1101052016019821,-0.1675221025943756],[11,2,3,3,-1,12,2,1,3,3,0.0016856270376592875,0.0665743574500084,-0.3083502054214478],[6,18,14,2,-1,6,18,7,1,2,13,19,7,1,2,0.002652469091117382,0.0663184821605682,-0.2786133885383606],[17,7,1,12,-1,17,11,1,4,3,-0.007734172977507114,0.1971835941076279,-0.1078291982412338],[10,5,10,3,-1,10,6,10,1,3,0.005094427149742842,0.0853374898433685,-0.2484700977802277],[6,1,3,3,-1,7,1,1,3,3,-0.0029162371065467596,-0.4747635126113892,0.033566489815712],[13,8,3,1,-1,14,8,1,1,3,0.0030121419113129377,-0.0475753806531429,0.4258680045604706],[10,14,2,6,-1,10,16,2,2,3,0.0031694869976490736,-0.1051945015788078,0.1716345995664597],[4,1,12,14,-1,8,1,4,14,3,0.2232756018638611,-0.0143702095374465,0.9248365163803101],[14,1,6,14,-1,16,1,2,14,3,-0.0955850481987,-0.7420663833618164,0.0278189703822136],[3,16,2,2,-1,3,16,1,1,2,4,17,1,1,2,0.00003477372956695035,-0.1276578009128571,0.129266694188118],[0,16,2,2,-1,0,17,2,1,2,0.00007245977030834183,-0.1651857942342758,0.1003680974245071]]],[19,-1.0566600561141968,[[15,6,4,6,-1,15,6,2,3,2,17,9,2,3,2,-0.006577827036380768,0.3381525874137878,-0.1528190970420837],[12,5,2,2,-1,12,6,2,1,2,-0.0010922809597104788,0.2228236943483353,-0.1930849999189377],[7,6,6,13,-1,9,6,2,13,3,-0.0297595895826817,0.2595987021923065,-0.1540940999984741],[1,9,6,5,-1,3,9,2,5,3,-0.0131475403904915,0.1903381049633026,-0.1654399931430817],[0,5,3,4,-1,0,7,3,2,2,-0.0014396329643204808,0.200717106461525,-0.1233894005417824],[4,1,16,2,-1,4,1,8,1,2,12,2,8,1,2,-0.0035928250290453434,0.2398552000522614,-0.129221498966217],[1,18,4,2,-1,1,18,2,1,2,3,19,2,1,2,-0.0015314699849113822,-0.4901489913463593,0.102750301361084],[7,7,3,4,-1,8,7,1,4,3,-0.0062372139655053616,0.31214639544487,-0.114056296646595],[3,4,9,3,-1,6,4,3,3,3,-0.033364649862051,-0.4952087998390198,0.0513284504413605],[4,6,6,10,-1,6,6,2,10,3,-0.0228276997804642,0.3255882859230042,-0.0650893077254295],[9,0,8,10,-1,13,0,4,10,2,-0.0861990973353386,-0.6764633059501648,0.0269856993108988],[8,0,8,1,-1,12,0,4,1,2,-0.002106598112732172,0.2245243042707443,-0.1261022984981537],[6,2,8,16,-1,6,2,4,8,2,10,10,4,8,2,0.0391201488673687,0.1132939979434013,-0.2686063051223755],[14,10,2,10,-1,14,10,1,5,2,15,15,1,5,2,0.0035082739777863026,-0.1135995984077454,0.2564977109432221],[12,11,1,2,-1,12,12,1,1,2,0.0005928989849053323,-0.1494296938180924,0.164098396897316],[16,0,3,8,-1,17,0,1,8,3,0.0007176685030572116,0.0999056920409203,-0.2196796983480454],[14,0,6,10,-1,17,0,3,10,2,-0.0218036007136106,-0.3171172142028809,0.082889586687088],[16,0,3,5,-1,17,0,1,5,3,-0.003296277951449156,-0.3804872930049896,0.0608193799853325],[4,5,11,2,-1,4,6,11,1,2,0.0024196270387619734,-0.0960130169987679,0.2854058146476746],[1,0,2,1,-1,2,0,1,1,2,-0.00044187481398694217,0.2212793976068497,-0.0974349081516266],[0,0,2,3,-1,0,1,2,1,3,0.0034523929934948683,0.0375531204044819,-0.5796905159950256],[11,6,6,11,-1,13,6,2,11,3,-0.0218346007168293,0.295621395111084,-0.0800483003258705],[14,0,3,1,-1,15,0,1,1,3,-0.00021309500152710825,0.2281450927257538,-0.1011418998241425],[19,7,1,2,-1,19,8,1,1,2,-0.0016166249988600612,-0.5054119825363159,0.0447645410895348],[17,0,3,9,-1,18,0,1,9,3,0.007595960982143879,0.0459865406155586,-0.4119768142700195],[12,7,3,4,-1,13,7,1,4,3,0.003860180964693427,-0.0865631699562073,0.2480999976396561],[0,1,14,2,-1,0,1,7,1,2,7,2,7,1,2,0.006062223110347986,-0.0755573734641075,0.2843326032161713],[3,1,3,2,-1,4,1,1,2,3,-0.0017097420059144497,-0.3529582023620606,0.0584104992449284],[4,0,15,2,-1,9,0,5,2,3,0.0165155790746212,-0.0804869532585144,0.2353743016719818],[10,2,6,1,-1,12,2,2,1,3,0.004846510011702776,0.041895218193531,-0.4844304919242859],[9,4,6,11,-1,11,4,2,11,3,-0.0311671700328588,0.1919230967760086,-0.1026815995573998],[2,16,2,4,-1,2,18,2,2,2,0.0006189228151924908,-0.210857704281807,0.0938869267702103],[6,17,6,3,-1,8,17,2,3,3,0.0119463102892041,0.0390961691737175,-0.6224862933158875],[7,9,6,2,-1,9,9,2,2,3,-0.0075677200220525265,0.1593683958053589,-0.1225078031420708],[6,8,9,2,-1,9,8,3,2,3,-0.0537474118173122,-0.5562217831611633,0.0411900095641613],[6,6,2,10,-1,6,6,1,5,2,7,11,1,5,2,0.0155135300010443,-0.0398268811404705,0.6240072846412659],[0,11,2,3,-1,0,12,2,1,3,0.0015246650436893106,0.0701386779546738,-0.3078907132148743],[11,15,4,1,-1,13,15,2,1,2,-0.0004831510013900697,0.178876593708992,-0.109586201608181],[6,17,1,2,-1,6,18,1,1,2,0.0027374739293009043,0.0274785906076431,-0.8848956823348999],[0,0,6,20,-1,2,0,2,20,3,-0.0657877177000046,-0.4643214046955109,0.0350371487438679],[3,10,2,2,-1,4,10,1,2,2,0.0012409730115905404,-0.0964792370796204,0.2877922058105469],[4,7,3,5,-1,5,7,1,5,3,0.0008139880956150591,0.1151171997189522,-0.1676616072654724],[3,12,6,2,-1,5,12,2,2,3,0.0239018201828003,-0.0326031893491745,0.6001734733581543],[6,15,7,4,-1,6,17,7,2,2,0.0275566000491381,-0.0661373436450958,0.2999447882175446],[17,16,2,2,-1,17,16,1,1,2,18,17,1,1,2,-0.00038070970913395286,-0.3388118147850037,0.0644507706165314],[15,1,3,16,-1,16,1,1,16,3,-0.0013335429830476642,0.1458866000175476,-0.1321762055158615],[6,16,6,3,-1,8,16,2,3,3,-0.009350799024105072,-0.5117782950401306,0.0349694713950157],[15,14,3,2,-1,15,15,3,1,2,0.00762152299284935,0.0232495293021202,-0.6961941123008728],[12,16,1,2,-1,12,17,1,1,2,-0.00005340786083252169,0.2372737973928452,-0.0869107097387314],[0,2,4,4,-1,0,2,2,2,2,2,4,2,2,2,-0.0015332329785451293,0.192284107208252,-0.1042239964008331],[1,1,6,4,-1,1,1,3,2,2,4,3,3,2,2,0.004313589073717594,-0.0962195470929146,0.2560121119022369],[1,18,1,2,-1,1,19,1,1,2,-0.000230428806389682,-0.3156475126743317,0.0588385984301567],[4,7,2,3,-1,4,8,2,1,3,-0.007841182872653008,-0.6634092926979065,0.0245009995996952],[1,0,9,14,-1,1,7,9,7,2,0.1710374057292938,0.033831499516964,-0.4561594128608704],[4,9,2,6,-1,4,9,1,3,2,5,12,1,3,2,-0.001601114054210484,0.2157489061355591,-0.0836225301027298],[3,9,4,3,-1,5,9,2,3,2,-0.0105357803404331,0.2455231994390488,-0.0823844894766808],[0,9,2,4,-1,0,11,2,2,2,-0.005835163872689009,-0.4780732989311218,0.0440862216055393],[16,6,3,10,-1,17,6,1,10,3,-0.0187061093747616,-0.6002402901649475,0.0214100405573845],[16,11,2,1,-1,17,11,1,1,2,-0.0009330743923783302,0.2432359009981155,-0.0741657167673111]]],[20,-0.9769343137741089,[[5,7,4,4,-1,5,9,4,2,2,0.0106462296098471,-0.1386138945817947,0.2649407088756561],[10,11,9,2,-1,13,11,3,2,3,0.0352982692420483,-0.075821727514267,0.3902106881141663],[15,10,2,2,-1,15,10,1,1,2,16,11,1,1,2,0.0007563838735222816,-0.095521442592144,0.2906199991703033],[10,6,6,14,-1,10,13,6,7,2,0.092497706413269,-0.2770423889160156,0.0794747024774551],[14,7,3,5,-1,15,7,1,5,3,-0.002934087999165058,0.2298953980207443,-0.0785500109195709],[6,11,12,3,-1,10,11,4,3,3,-0.0865358486771584,0.4774481058120728,-0.006823122035712004],[17,16,1,2,-1,17,17,1,1,2,0.000054699288739357144,-0.2264260947704315,0.0881921127438545],[8,5,5,4,-1,8,7,5,2,2,-0.0365925207734108,0.2735387086868286,-0.0986067429184914],[11,6,4,2,-1,11,7,4,1,2,0.0026469118893146515,-0.0440839789807796,0.3144528865814209],[3,4,8,2,-1,3,4,4,1,2,7,5,4,1,2,-0.004427181091159582,0.2382272928953171,-0.0867842733860016],[0,8,6,6,-1,2,8,2,6,3,-0.005188248120248318,0.1504276990890503,-0.1267210990190506],[7,4,6,2,-1,7,5,6,1,2,0.004553040023893118,-0.0559450201690197,0.3650163114070892],[7,3,6,3,-1,9,3,2,3,3,0.0145624103024602,0.0363977700471878,-0.5355919003486633],[2,17,3,3,-1,2,18,3,1,3,0.00006867756746942177,-0.1747962981462479,0.1106870993971825],[3,10,6,1,-1,5,10,2,1,3,-0.005974490195512772,0.3107787072658539,-0.0665302276611328],[7,2,6,2,-1,9,2,2,2,3,-0.0058691250160336494,-0.3190149068832398,0.063931830227375],[4,11,9,1,-1,7,11,3,1,3,-0.0111403102055192,0.2436479032039642,-0.0809351801872253],[7,7,11,12,-1,7,13,11,6,2,-0.0586435310542583,-0.7608326077461243,0.0308096297085285],[3,2,3,4,-1,4,2,1,4,3,-0.0046097282320261,-0.45315021276474,0.0298790596425533],[9,7,9,3,-1,12,7,3,3,3,-0.00930321030318737,0.1451337933540344,-0.1103316992521286],[15,11,2,6,-1,15,11,1,3,2,16,14,1,3,2,0.0013253629440441728,-0.0976989567279816,0.196464404463768],[0,5,5,3,-1,0,6,5,1,3,0.004980076104402542,0.0336480811238289,-0.3979220986366272],[8,1,6,12,-1,10,1,2,12,3,-0.007654216140508652,0.090841993689537,-0.1596754938364029],[3,7,15,13,-1,8,7,5,13,3,-0.3892059028148651,-0.6657109260559082,0.0190288294106722],[0,9,9,9,-1,0,12,9,3,3,-0.1001966968178749,-0.5755926966667175,0.0242827795445919],[16,0,3,8,-1,17,0,1,8,3,0.0007354121189564466,0.0879198014736176,-0.161953404545784],[16,2,4,2,-1,18,2,2,2,2,-0.0034802639856934547,0.2606449127197266,-0.0602008104324341],[13,0,6,5,-1,16,0,3,5,2,0.008400042541325092,-0.1097972989082336,0.1570730954408646],[15,1,3,2,-1,16,1,1,2,3,0.0023786011151969433,0.0360582396388054,-0.4727719128131867],[11,8,3,2,-1,12,8,1,2,3,0.007383168209344149,-0.0357563607394695,0.4949859082698822],[1,8,2,12,-1,1,8,1,6,2,2,14,1,6,2,0.003211562056094408,-0.1012556031346321,0.1574798971414566],[0,1,6,12,-1,2,1,2,12,3,-0.0782096683979034,-0.7662708163261414,0.0229658298194408],[19,17,1,3,-1,19,18,1,1,3,0.00005330398926162161,-0.1341435015201569,0.1111491993069649],[11,3,3,10,-1,12,3,1,10,3,-0.009641915559768677,0.2506802976131439,-0.0666081383824348],[8,1,9,8,-1,11,1,3,8,3,-0.0710926726460457,-0.4005681872367859,0.0402977913618088],[18,16,2,2,-1,18,16,1,1,2,19,17,1,1,2,0.00035171560011804104,0.041861180216074,-0.3296119868755341],[18,16,2,2,-1,18,16,1,1,2,19,17,1,1,2,-0.0003345815057400614,-0.2602983117103577,0.0678927376866341],[6,13,2,6,-1,6,15,2,2,3,-0.0041451421566307545,0.2396769970655441,-0.0720933377742767],[9,14,2,2,-1,9,15,2,1,2,0.003175450023263693,-0.0712352693080902,0.241284504532814],[14,10,2,4,-1,14,10,1,2,2,15,12,1,2,2,-0.005518449004739523,0.5032023787498474,-0.0296866800636053],[0,15,2,2,-1,0,15,1,1,2,1,16,1,1,2,-0.00030242869979701936,0.2487905025482178,-0.0567585788667202],[6,7,2,2,-1,6,7,1,1,2,7,8,1,1,2,-0.0013125919504091144,0.3174780011177063,-0.0418458618223667],[11,18,2,2,-1,11,18,1,1,2,12,19,1,1,2,-0.00027123570907860994,-0.2704207003116608,0.0568289905786514],[0,0,6,4,-1,0,0,3,2,2,3,2,3,2,2,-0.007324177771806717,0.2755667865276337,-0.0542529709637165],[4,1,6,6,-1,6,1,2,6,3,-0.0168517101556063,-0.3485291004180908,0.0453689992427826],[15,13,5,4,-1,15,15,5,2,2,0.0299021005630493,0.0316210798919201,-0.4311437010765076],[7,17,6,1,-1,9,17,2,1,3,0.0028902660124003887,0.0380299612879753,-0.3702709972858429],[16,19,4,1,-1,18,19,2,1,2,-0.0019242949783802032,0.2480027973651886,-0.059333298355341],[16,16,4,4,-1,18,16,2,4,2,0.004935414995998144,-0.0830684006214142,0.2204380929470062],[7,8,9,4,-1,10,8,3,4,3,0.0820756033062935,-0.0194134395569563,0.6908928751945496],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,-0.0002469948958605528,-0.2466056942939758,0.0647764503955841],[2,9,2,4,-1,2,9,1,2,2,3,11,1,2,2,-0.0018365769647061825,0.2883616089820862,-0.0533904582262039],[0,3,8,4,-1,0,3,4,2,2,4,5,4,2,2,-0.004955381155014038,0.1274082958698273,-0.1255941987037659],[0,1,8,1,-1,4,1,4,1,2,-0.008308662101626396,0.2347811013460159,-0.07167649269104],[0,5,8,9,-1,4,5,4,9,2,-0.1087991967797279,-0.2599223852157593,0.0586897395551205],[7,18,6,2,-1,9,18,2,2,3,-0.009678645059466362,-0.707204282283783,0.0187492594122887],[0,4,1,12,-1,0,8,1,4,3,-0.0271368306130171,-0.5838422775268555,0.021684130653739],[19,13,1,6,-1,19,15,1,2,3,-0.006538977846503258,-0.5974891185760498,0.0214803107082844],[2,8,6,8,-1,4,8,2,8,3,-0.0120956301689148,0.1326903998851776,-0.099722720682621],[0,0,9,17,-1,3,0,3,17,3,-0.1677609980106354,-0.5665506720542908,0.0321230888366699],[7,9,6,8,-1,9,9,2,8,3,-0.0132625503465533,0.1149559020996094,-0.1173838973045349],[5,10,9,4,-1,8,10,3,4,3,0.076744519174099,-0.0314132310450077,0.5993549227714539],[5,0,8,3,-1,5,1,8,1,3,0.005078522954136133,-0.0529119409620762,0.2334239929914475],[16,6,4,4,-1,16,6,2,2,2,18,8,2,2,2,0.0031800279393792152,-0.0777343884110451,0.1765290945768356],[17,4,2,8,-1,17,4,1,4,2,18,8,1,4,2,-0.0017729829996824265,0.1959162950515747,-0.0797521993517876],[2,16,1,3,-1,2,17,1,1,3,-0.00048560940194875,-0.2880037128925324,0.0490471199154854],[2,16,1,3,-1,2,17,1,1,3,0.00036554320831783116,0.0679228976368904,-0.2249943017959595],[11,0,1,3,-1,11,1,1,1,3,-0.0002693867136258632,0.1658217012882233,-0.0897440984845161],[11,2,9,7,-1,14,2,3,7,3,0.0786842331290245,0.0260816793888807,-0.5569373965263367],[10,2,3,6,-1,11,2,1,6,3,-0.0007377481088042259,0.1403687000274658,-0.1180030032992363],[5,9,15,2,-1,5,10,15,1,2,0.0239578299224377,0.0304707400500774,-0.4615997970104218],[8,16,6,2,-1,8,17,6,1,2,-0.001623908057808876,0.2632707953453064,-0.0567653700709343],[9,16,10,2,-1,9,16,5,1,2,14,17,5,1,2,-0.0009081974858418107,0.1546245962381363,-0.1108706966042519],[9,17,2,2,-1,9,17,1,1,2,10,18,1,1,2,0.0003980624896939844,0.0556303709745407,-0.2833195924758911],[10,15,6,4,-1,10,15,3,2,2,13,17,3,2,2,0.002050644950941205,-0.0916048362851143,0.1758553981781006],[4,5,15,12,-1,9,5,5,12,3,0.0267425496131182,0.062003031373024,-0.2448700070381165],[11,13,2,3,-1,11,14,2,1,3,-0.0021497008856385946,0.2944929897785187,-0.0532181486487389],[8,13,7,3,-1,8,14,7,1,3,0.005667165853083134,-0.0642982423305511,0.249056801199913],[1,12,1,2,-1,1,13,1,1,2,0.00006831790233263746,-0.1681963056325913,0.0965485796332359],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0.0001760043960530311,0.0653080120682716,-0.2426788061857224],[1,19,18,1,-1,7,19,6,1,3,0.004186160862445831,-0.0979885831475258,0.1805288940668106],[1,17,6,1,-1,4,17,3,1,2,-0.0021808340679854155,0.192312702536583,-0.0941239297389984],[1,3,1,12,-1,1,9,1,6,2,0.021730400621891,0.0355785116553307,-0.4508853852748871],[0,9,3,6,-1,0,11,3,2,3,-0.0147802699357271,-0.4392701089382172,0.0317355915904045],[5,4,3,10,-1,6,4,1,10,3,-0.0036145891062915325,0.1981147974729538,-0.0777014195919037],[6,17,2,1,-1,7,17,1,1,2,0.0018892709631472826,0.0199624393135309,-0.7204172015190125],[1,0,6,12,-1,3,0,2,12,3,-0.0013822480104863644,0.0984669476747513,-0.1488108038902283],[4,7,9,2,-1,7,7,3,2,3,-0.0039505911991000175,0.1159323006868362,-0.1279197037220001]]],[21,-1.012935996055603,[[6,11,9,1,-1,9,11,3,1,3,-0.0193955395370722,0.474747508764267,-0.1172109022736549],[17,10,2,10,-1,17,15,2,5,2,0.013118919916451,-0.255521297454834,0.1637880057096481],[4,10,2,10,-1,4,10,1,5,2,5,15,1,5,2,-0.0005160680157132447,0.1945261955261231,-0.17448890209198],[12,3,3,12,-1,13,3,1,12,3,-0.0131841599941254,0.441814512014389,-0.0900487527251244],[15,3,4,6,-1,15,3,2,3,2,17,6,2,3,2,0.0034657081123441458,-0.1347709000110626,0.1805634051561356],[12,8,3,3,-1,13,8,1,3,3,0.006298020016402006,-0.0541649796068668,0.3603338003158569],[4,14,2,4,-1,4,16,2,2,2,0.0016879989998415112,-0.1999794989824295,0.1202159970998764],[6,16,1,3,-1,6,17,1,1,3,0.00036039709812030196,0.1052414029836655,-0.2411606013774872],[1,1,2,3,-1,2,1,1,3,2,-0.001527684973552823,0.2813552916049957,-0.0689648166298866],[0,2,4,1,-1,2,2,2,1,2,0.00350335706025362,-0.0825195834040642,0.4071359038352966],[8,17,12,3,-1,12,17,4,3,3,-0.004733716137707233,0.1972700953483582,-0.117101401090622],[9,16,6,4,-1,11,16,2,4,3,-0.0115571497008204,-0.5606111288070679,0.0681709572672844],[4,6,3,6,-1,4,9,3,3,2,-0.0274457205086946,0.4971862137317658,-0.0623801499605179],[6,2,12,9,-1,6,5,12,3,3,-0.0528257787227631,0.169212207198143,-0.1309355050325394],[6,0,14,20,-1,6,0,7,10,2,13,10,7,10,2,-0.2984969913959503,-0.6464967131614685,0.0400768183171749],[15,16,2,2,-1,15,16,1,1,2,16,17,1,1,2,-0.00026307269581593573,0.2512794137001038,-0.0894948393106461],[15,16,2,2,-1,15,16,1,1,2,16,17,1,1,2,0.00023261709429789335,-0.0868439897894859,0.2383197993040085],[19,8,1,3,-1,19,9,1,1,3,0.00023631360090803355,0.1155446022748947,-0.189363494515419],[13,4,1,2,-1,13,5,1,1,2,0.0020742209162563086,-0.0485948510468006,0.5748599171638489],[0,4,4,2,-1,0,5,4,1,2,-0.007030888926237822,-0.5412080883979797,0.0487437509000301],[19,5,1,6,-1,19,7,1,2,3,0.00826522707939148,0.0264945197850466,-0.6172845959663391],[16,0,2,1,-1,17,0,1,1,2,0.0002004276029765606,-0.1176863014698029,0.1633386015892029],[13,1,1,3,-1,13,2,1,1,3,0.0016470040427520871,-0.0599549189209938,0.3517970144748688],[17,17,1,3,-1,17,18,1,1,3,-0.0003564253856893629,-0.344202995300293,0.0649482533335686],[5,4,8,8,-1,5,4,4,4,2,9,8,4,4,2,-0.0309358704835176,0.1997970044612885,-0.0976936966180801],[1,2,2,2,-1,1,2,1,1,2,2,3,1,1,2,-0.0006357877282425761,-0.3148139119148254,0.0594250410795212],[0,0,8,6,-1,0,0,4,3,2,4,3,4,3,2,-0.0118621801957488,0.2004369050264359,-0.0894475430250168],[6,3,4,2,-1,6,4,4,1,2,0.007150893099606037,-0.0390060618519783,0.5332716107368469],[1,0,3,3,-1,1,1,3,1,3,-0.0020059191156178713,-0.2846972048282623,0.0707236081361771],[6,1,7,2,-1,6,2,7,1,2,0.0036412389017641544,-0.1066031977534294,0.2494480013847351],[2,6,12,6,-1,6,6,4,6,3,-0.1346742957830429,0.4991008043289185,-0.0403322204947472],[1,16,9,2,-1,4,16,3,2,3,-0.002254765946418047,0.1685169041156769,-0.1111928001046181],[7,15,6,4,-1,9,15,2,4,3,0.004384228959679604,0.0861394926905632,-0.2743177115917206],[6,15,12,1,-1,12,15,6,1,2,-0.007336116861552,0.2487521022558212,-0.0959191620349884],[17,17,1,3,-1,17,18,1,1,3,0.0006466691265814006,0.0674315765500069,-0.3375408053398132],[17,15,2,2,-1,17,15,1,1,2,18,16,1,1,2,0.0002298376930411905,-0.0839030519127846,0.24584099650383],[3,13,3,3,-1,3,14,3,1,3,0.006703907158225775,0.0290793292224407,-0.6905593872070312],[10,17,1,3,-1,10,18,1,1,3,0.00005073488864582032,-0.1569671928882599,0.1196542978286743],[4,0,14,8,-1,11,0,7,8,2,-0.2033555954694748,-0.6950634717941284,0.0275075193494558],[2,0,12,2,-1,6,0,4,2,3,0.009493941441178322,-0.0874493718147278,0.2396833002567291],[2,0,4,3,-1,4,0,2,3,2,-0.002405524021014571,0.2115096002817154,-0.1314893066883087],[13,1,1,2,-1,13,2,1,1,2,-0.00011342419747961685,0.1523378938436508,-0.1272590011358261],[7,5,3,6,-1,8,5,1,6,3,0.0149922100827098,-0.0341279692947865,0.506240725517273],[18,2,2,2,-1,18,2,1,1,2,19,3,1,1,2,0.0007406820077449083,0.0487647503614426,-0.4022532105445862],[15,1,2,14,-1,16,1,1,14,2,-0.004245944786816835,0.2155476063489914,-0.0871269926428795],[15,6,2,2,-1,15,6,1,1,2,16,7,1,1,2,0.0006865510949864984,-0.0754187181591988,0.2640590965747833],[3,1,6,3,-1,5,1,2,3,3,-0.0167514607310295,-0.6772903203964233,0.0329187288880348],[7,16,2,2,-1,7,16,1,1,2,8,17,1,1,2,-0.00026301678735762835,0.2272586971521378,-0.0905348733067513],[5,17,2,2,-1,5,17,1,1,2,6,18,1,1,2,0.0004339861043263227,0.0558943785727024,-0.3559266924858093],[9,10,6,10,-1,11,10,2,10,3,-0.0201501492410898,0.1916276067495346,-0.0949299708008766],[10,17,6,3,-1,12,17,2,3,3,-0.0144521296024323,-0.6851034164428711,0.0254221707582474],[14,5,2,10,-1,14,10,2,5,2,-0.0211497396230698,0.3753319084644318,-0.0514965802431107],[11,12,6,2,-1,11,13,6,1,2,0.0211377702653408,0.0290830805897713,-0.8943036794662476],[8,1,1,3,-1,8,2,1,1,3,0.0011524349683895707,-0.0696949362754822,0.2729980051517487],[12,15,2,2,-1,12,15,1,1,2,13,16,1,1,2,-0.00019070580310653895,0.1822811961174011,-0.0983670726418495],[6,8,6,4,-1,6,8,3,2,2,9,10,3,2,2,-0.0363496318459511,-0.8369309902191162,0.0250557605177164],[7,5,3,5,-1,8,5,1,5,3,-0.009063207544386387,0.4146350026130676,-0.0544134490191936],[0,5,7,3,-1,0,6,7,1,3,-0.0020535490475594997,-0.1975031048059464,0.1050689965486527]]],[22,-0.9774749279022217,[[7,9,6,6,-1,9,9,2,6,3,-0.0227170195430517,0.2428855001926422,-0.1474552005529404],[5,7,8,8,-1,5,11,8,4,2,0.0255059506744146,-0.2855173945426941,0.1083720996975899],[4,9,2,6,-1,4,9,1,3,2,5,12,1,3,2,-0.0026640091091394424,0.2927573025226593,-0.1037271022796631],[10,11,6,1,-1,12,11,2,1,3,-0.003811528906226158,0.2142689973115921,-0.1381113976240158],[13,6,6,11,-1,15,6,2,11,3,-0.0167326908558607,0.2655026018619537,-0.0439113304018974],[8,17,2,2,-1,8,17,1,1,2,9,18,1,1,2,0.0004927701083943248,0.02110455930233,-0.4297136068344116],[4,12,12,1,-1,8,12,4,1,3,-0.0366911105811596,0.5399242043495178,-0.0436488017439842],[11,17,3,2,-1,11,18,3,1,2,0.0012615970335900784,-0.1293386965990067,0.1663877069950104],[8,17,6,1,-1,10,17,2,1,3,-0.008410685695707798,-0.9469841122627258,0.0214658491313457],[4,1,14,6,-1,4,3,14,2,3,0.0649027228355408,-0.0717277601361275,0.2661347985267639],[14,2,2,12,-1,14,8,2,6,2,0.0303050000220537,-0.0827824920415878,0.2769432067871094],[12,13,3,2,-1,12,14,3,1,2,0.0025875340215861797,-0.1296616941690445,0.1775663048028946],[6,1,6,1,-1,8,1,2,1,3,-0.00702404510229826,-0.6424317955970764,0.0399432107806206],[10,6,6,1,-1,12,6,2,1,3,-0.0010099769569933414,0.1417661011219025,-0.1165997013449669],[3,19,2,1,-1,4,19,1,1,2,-0.00004117907155887224,0.1568766981363297,-0.1112734004855156],[18,16,2,2,-1,18,16,1,1,2,19,17,1,1,2,-0.0004729315114673227,-0.3355455994606018,0.0459777303040028],[16,11,3,7,-1,17,11,1,7,3,-0.0017178079579025507,0.1695290952920914,-0.1057806983590126],[19,5,1,6,-1,19,8,1,3,2,-0.0133331697434187,-0.5825781226158142,0.0309784300625324],[9,8,4,3,-1,9,9,4,1,3,-0.0018783430568873882,0.1426687985658646,-0.111312597990036],[16,8,4,4,-1,16,8,2,2,2,18,10,2,2,2,-0.006576598156243563,0.2756136059761047,-0.0531003288924694],[2,8,2,2,-1,2,8,1,1,2,3,9,1,1,2,-0.00007721038127783686,0.1324024051427841,-0.111677996814251],[3,5,6,4,-1,3,5,3,2,2,6,7,3,2,2,0.0219685398042202,-0.0269681606441736,0.5006716847419739],[2,3,8,16,-1,2,3,4,8,2,6,11,4,8,2,-0.027445750311017,-0.240867406129837,0.0604782700538635],[17,17,1,3,-1,17,18,1,1,3,0.00007830584945622832,-0.1333488970994949,0.1012346968054771],[7,2,8,11,-1,11,2,4,11,2,0.0701906830072403,-0.0548637807369232,0.2480994015932083],[13,3,6,14,-1,16,3,3,14,2,-0.0719021335244179,-0.3784669041633606,0.0422109998762608],[0,9,18,2,-1,6,9,6,2,3,-0.1078097969293594,-0.3748658895492554,0.0428334400057793],[6,10,14,3,-1,6,11,14,1,3,0.0014364200178533792,0.0804763585329056,-0.1726378947496414],[10,9,9,3,-1,13,9,3,3,3,0.068289190530777,-0.0355957895517349,0.4076131880283356],[3,5,4,6,-1,3,5,2,3,2,5,8,2,3,2,-0.00680371792986989,0.1923379004001617,-0.0823680236935616],[3,7,3,7,-1,4,7,1,7,3,-0.0005619348958134651,0.1305712014436722,-0.1435514986515045],[2,8,11,6,-1,2,10,11,2,3,-0.0582766495645046,-0.3012543916702271,0.0528196506202221],[8,9,6,3,-1,8,10,6,1,3,-0.006120571866631508,0.2204390019178391,-0.0756917521357536],[3,3,3,11,-1,4,3,1,11,3,-0.0135943097993732,-0.3904936015605927,0.0418571084737778],[0,19,6,1,-1,3,19,3,1,2,0.0013626200379803777,-0.0953634232282639,0.1497032046318054],[18,18,1,2,-1,18,19,1,1,2,-0.0001507421984570101,-0.2394558042287827,0.0647983327507973],[8,0,12,6,-1,8,0,6,3,2,14,3,6,3,2,-0.077414259314537,0.5594198107719421,-0.0245168805122375],[19,5,1,3,-1,19,6,1,1,3,0.0009211787255480886,0.0549288615584373,-0.2793481051921845],[5,8,2,1,-1,6,8,1,1,2,0.001025078003294766,-0.0621673092246056,0.249763697385788],[13,11,2,1,-1,14,11,1,1,2,-0.000811747508123517,0.2343793958425522,-0.0657258108258247],[3,6,15,13,-1,8,6,5,13,3,0.0834310203790665,0.0509548000991344,-0.3102098107337952],[4,3,6,2,-1,6,3,2,2,3,-0.009201445616781712,-0.3924253880977631,0.0329269506037235],[0,18,1,2,-1,0,19,1,1,2,-0.00029086650465615094,-0.3103975057601929,0.0497118197381496],[7,8,2,6,-1,8,8,1,6,2,0.00775768980383873,-0.0440407507121563,0.3643135130405426],[3,0,6,19,-1,5,0,2,19,3,-0.1246609017252922,-0.819570779800415,0.0191506408154964],[3,1,6,5,-1,5,1,2,5,3,0.0132425501942635,0.0389888398349285,-0.3323068022727966],[17,14,3,6,-1,17,16,3,2,3,-0.006677012890577316,-0.357901394367218,0.0404602102935314],[17,13,2,6,-1,18,13,1,6,2,-0.0027479929849505424,0.2525390088558197,-0.0564278215169907],[17,18,2,2,-1,18,18,1,2,2,0.0008265965152531862,-0.07198865711689,0.2278047949075699],[11,14,9,4,-1,14,14,3,4,3,-0.0501534007489681,-0.630364716053009,0.027462050318718],[15,8,4,6,-1,15,8,2,3,2,17,11,2,3,2,0.007420314941555262,-0.0666107162833214,0.2778733968734741],[1,16,1,3,-1,1,17,1,1,3,-0.0006795178051106632,-0.3632706105709076,0.0427954308688641],[7,0,3,14,-1,8,0,1,14,3,-0.0019305750029161572,0.1419623047113419,-0.1075998023152351],[12,0,2,1,-1,13,0,1,1,2,-0.0003813267103396356,0.2159176021814346,-0.0702026635408401],[7,9,6,5,-1,10,9,3,5,2,-0.0709903463721275,0.4526660144329071,-0.0407504811882973],[15,5,4,9,-1,17,5,2,9,2,-0.0533680804073811,-0.6767405867576599,0.0192883405834436],[11,0,6,6,-1,13,0,2,6,3,-0.0200648494064808,-0.4336543083190918,0.0318532884120941],[16,15,2,2,-1,16,15,1,1,2,17,16,1,1,2,0.001197636011056602,-0.0265598706901073,0.5079718232154846],[16,15,2,2,-1,16,15,1,1,2,17,16,1,1,2,-0.0002269730030093342,0.1801259964704514,-0.0836065486073494],[13,2,2,18,-1,13,11,2,9,2,0.0152626996859908,-0.2023892998695374,0.067422017455101],[8,4,8,10,-1,8,9,8,5,2,-0.2081176936626434,0.6694386005401611,-0.0224521104246378],[8,3,2,3,-1,8,4,2,1,3,0.001551436958834529,-0.0751218423247337,0.17326919734478],[11,1,6,9,-1,11,4,6,3,3,-0.0529240109026432,0.2499251961708069,-0.0628791674971581],[15,4,5,6,-1,15,6,5,2,3,-0.0216488502919674,-0.2919428050518036,0.0526144914329052],[12,18,2,2,-1,12,18,1,1,2,13,19,1,1,2,-0.00022905069636180997,-0.2211730033159256,0.0631683394312859],[1,17,1,3,-1,1,18,1,1,3,0.00005017007060814649,-0.1151070967316628,0.1161144003272057],[12,19,2,1,-1,13,19,1,1,2,-0.0001641606941120699,0.1587152034044266,-0.0826006010174751],[8,10,6,6,-1,10,10,2,6,3,-0.0120032895356417,0.1221809014678001,-0.112296998500824],[14,2,6,5,-1,16,2,2,5,3,-0.0177841000258923,-0.3507278859615326,0.0313419215381145],[9,5,2,6,-1,9,7,2,2,3,-0.006345758214592934,0.1307806968688965,-0.1057441011071205],[1,15,2,2,-1,2,15,1,2,2,-0.0007952324231155217,0.1720467060804367,-0.086001992225647],[18,17,1,3,-1,18,18,1,1,3,-0.00031029590172693133,-0.2843317091464996,0.0518171191215515],[10,14,4,6,-1,10,16,4,2,3,-0.0170537102967501,0.3924242854118347,-0.0401432700455189],[9,7,3,2,-1,10,7,1,2,3,0.004650495946407318,-0.031837560236454,0.4123769998550415],[6,9,6,2,-1,6,9,3,1,2,9,10,3,1,2,-0.0103587601333857,-0.5699319839477539,0.0292483791708946],[0,2,1,12,-1,0,6,1,4,3,-0.0221962407231331,-0.4560528993606567,0.0262859892100096],[4,0,15,1,-1,9,0,5,1,3,-0.0070536029525101185,0.1599832028150559,-0.091594859957695],[9,0,8,2,-1,9,0,4,1,2,13,1,4,1,2,-0.0005709429970011115,-0.1407632976770401,0.1028741970658302],[12,2,8,1,-1,16,2,4,1,2,-0.0022152599412947893,0.1659359931945801,-0.0852739885449409],[7,1,10,6,-1,7,3,10,2,3,-0.0280848909169436,0.2702234089374542,-0.0558738112449646],[18,6,2,3,-1,18,7,2,1,3,0.0021515151020139456,0.0424728915095329,-0.3200584948062897],[4,12,2,2,-1,4,12,1,1,2,5,13,1,1,2,-0.00029733829433098435,0.1617716997861862,-0.0851155892014503],[6,6,6,2,-1,8,6,2,2,3,-0.0166947804391384,-0.4285877048969269,0.0305416099727154],[0,9,9,6,-1,3,9,3,6,3,0.1198299005627632,-0.0162772908806801,0.7984678149223328],[17,18,2,2,-1,18,18,1,2,2,-0.000354994204826653,0.1593593955039978,-0.0832728818058968],[11,2,6,16,-1,13,2,2,16,3,-0.0182262696325779,0.1952728033065796,-0.0739398896694183],[2,4,15,13,-1,7,4,5,13,3,-0.00040238600922748446,0.0791018083691597,-0.2080612927675247],[16,2,3,10,-1,17,2,1,10,3,0.0004089206049684435,0.1003663018345833,-0.1512821018695831],[6,10,2,1,-1,7,10,1,1,2,0.0009536811267025769,-0.0730116665363312,0.2175202071666718],[1,1,18,16,-1,10,1,9,16,2,0.4308179914951325,-0.0274506993591785,0.570615828037262],[14,4,3,15,-1,15,4,1,15,3,0.0005356483161449432,0.1158754006028175,-0.1279056072235107],[19,13,1,2,-1,19,14,1,1,2,0.00002443073026370257,-0.1681662946939468,0.0804499834775925],[2,6,5,8,-1,2,10,5,4,2,-0.0553456507623196,0.4533894956111908,-0.0312227793037891]]]];
\ No newline at end of file
+// Generated by sandbox/opencv_haarcascade_converter.js from opencv_haarcascade_eye.js,
+// 20x20 window, 24 stages, 1066 features, 0 tilted.
+
+tracking.type.HUMAN.data.eye = {"width":20,"height":20,"stages":[[-1,-1.4562760591506958,[[0,8,20,12,-1,0,14,20,6,2,0,0.129639595746994,-0.7730420827865601,0.6835014820098877],[9,1,4,15,-1,9,6,4,5,3,0,-0.0463268086314201,0.5735275149345398,-0.4909768998622894],[6,10,9,2,-1,9,10,3,2,3,0,-0.0161730907857418,0.6025434136390686,-0.3161070942878723],[7,0,10,9,-1,7,3,10,3,3,0,-0.0458288416266441,0.6417754888534546,-0.1554504036903381],[12,2,2,18,-1,12,8,2,6,3,0,-0.0537596195936203,0.5421931743621826,-0.2048082947731018],[8,6,8,6,-1,8,9,8,3,2,0,0.0341711901128292,-0.2338819056749344,0.4841090142726898]]],[0,-1.2550230026245117,[[2,0,17,18,-1,2,6,17,6,3,0,-0.2172762006521225,0.7109889984130859,-0.5936073064804077],[10,10,1,8,-1,10,14,1,4,2,0,0.0120719699189067,-0.2824048101902008,0.5901355147361755],[7,10,9,2,-1,10,10,3,2,3,0,-0.0178541392087936,0.5313752293586731,-0.2275896072387695],[5,1,6,6,-1,5,3,6,2,3,0,0.0223336108028889,-0.1755609959363937,0.633561372756958],[3,1,15,9,-1,3,4,15,3,3,0,-0.091420017182827,0.6156309247016907,-0.1689953058958054],[6,3,9,6,-1,6,5,9,2,3,0,0.028973650187254,-0.1225007995963097,0.7440117001533508],[8,17,6,3,-1,10,17,2,3,3,0,0.007820346392691135,0.1697437018156052,-0.6544165015220642],[9,10,9,1,-1,12,10,3,1,3,0,0.0203404892235994,-0.1255664974451065,0.8271045088768005],[1,7,6,11,-1,3,7,2,11,3,0,-0.0119261499494314,0.3860568106174469,-0.2099234014749527],[9,18,3,1,-1,10,18,1,1,3,0,-0.000972811016254127,-0.6376119256019592,0.129523903131485],[16,16,1,2,-1,16,17,1,1,2,0,0.000018322050891583785,-0.3463147878646851,0.2292426973581314],[9,17,6,3,-1,11,17,2,3,3,0,-0.008085441775619984,-0.6366580128669739,0.1307865977287293]]],[1,-1.372818946838379,[[8,0,5,18,-1,8,6,5,6,3,0,-0.1181226968765259,0.6784452199935913,-0.5004578232765198],[6,7,9,7,-1,9,7,3,7,3,0,-0.0343327596783638,0.6718636155128479,-0.3574487864971161],[14,6,6,10,-1,16,6,2,10,3,0,-0.0215307995676994,0.7222070097923279,-0.1819241940975189],[9,8,9,5,-1,12,8,3,5,3,0,-0.0219099707901478,0.6652938723564148,-0.2751022875308991],[3,7,9,6,-1,6,7,3,6,3,0,-0.0287135392427444,0.6995570063591003,-0.1961558014154434],[1,7,6,6,-1,3,7,2,6,3,0,-0.0114674801006913,0.5926734805107117,-0.2209735065698624],[16,0,4,18,-1,16,6,4,6,3,0,-0.0226111691445112,0.3448306918144226,-0.3837955892086029],[0,17,3,3,-1,0,18,3,1,3,0,-0.0019308089977130294,-0.794457197189331,0.1562865972518921],[16,0,2,1,-1,17,0,1,1,2,0,0.00005641991083393805,-0.3089601099491119,0.3543108999729157]]],[2,-1.2879480123519897,[[0,8,20,12,-1,0,14,20,6,2,0,0.1988652050495148,-0.5286070108413696,0.3553672134876251],[6,6,9,8,-1,9,6,3,8,3,0,-0.0360089391469955,0.4210968911647797,-0.393489807844162],[5,3,12,9,-1,5,6,12,3,3,0,-0.0775698497891426,0.4799154102802277,-0.2512216866016388],[4,16,1,2,-1,4,17,1,1,2,0,0.00008263085328508168,-0.3847548961639404,0.318492203950882],[18,10,2,1,-1,19,10,1,1,2,0,0.00032773229759186506,-0.2642731964588165,0.3254724144935608],[9,8,6,5,-1,11,8,2,5,3,0,-0.0185748506337404,0.4673658907413483,-0.1506727039813995],[0,0,2,1,-1,1,0,1,1,2,0,-0.00007000876212259755,0.2931315004825592,-0.2536509931087494],[6,8,6,6,-1,8,8,2,6,3,0,-0.0185521300882101,0.4627366065979004,-0.1314805001020432],[11,7,6,7,-1,13,7,2,7,3,0,-0.0130304200574756,0.4162721931934357,-0.1775148957967758],[19,14,1,2,-1,19,15,1,1,2,0,0.00006569414108525962,-0.2803510129451752,0.2668074071407318],[6,17,1,2,-1,6,18,1,1,2,0,0.00017005260451696813,-0.2702724933624268,0.2398165017366409],[14,7,2,7,-1,15,7,1,7,2,0,-0.0033129199873656034,0.4441143870353699,-0.1442888975143433],[6,8,2,4,-1,7,8,1,4,2,0,0.0017583490116521716,-0.1612619012594223,0.4294076859951019],[5,8,12,6,-1,5,10,12,2,3,0,-0.0251947492361069,0.4068729877471924,-0.1820258051156998],[2,17,1,3,-1,2,18,1,1,3,0,0.0014031709870323539,0.0847597867250443,-0.8001856803894043],[6,7,3,6,-1,7,7,1,6,3,0,-0.007399172987788916,0.5576609969139099,-0.1184315979480743]]],[3,-1.2179850339889526,[[6,7,9,12,-1,9,7,3,12,3,0,-0.0299430806189775,0.3581081032752991,-0.3848763108253479],[6,2,11,12,-1,6,6,11,4,3,0,-0.1256738007068634,0.3931693136692047,-0.3001225888729096],[1,12,5,8,-1,1,16,5,4,2,0,0.0053635272197425365,-0.4390861988067627,0.1925701051950455],[14,7,6,7,-1,16,7,2,7,3,0,-0.008097182027995586,0.399066686630249,-0.2340787053108215],[10,8,6,6,-1,12,8,2,6,3,0,-0.0165979098528624,0.4209528863430023,-0.2267484068870544],[16,18,4,2,-1,16,19,4,1,2,0,-0.0020199299324303865,-0.7415673136711121,0.1260118931531906],[18,17,2,3,-1,18,18,2,1,3,0,-0.0015202340437099338,-0.7615460157394409,0.0863736122846603],[9,7,3,7,-1,10,7,1,7,3,0,-0.004966394044458866,0.4218223989009857,-0.1790491938591003],[5,6,6,8,-1,7,6,2,8,3,0,-0.0192076005041599,0.4689489901065826,-0.1437875032424927],[2,6,6,11,-1,4,6,2,11,3,0,-0.0122226802632213,0.3284207880496979,-0.218021497130394],[8,10,12,8,-1,8,14,12,4,2,0,0.0575486682355404,-0.3676880896091461,0.2435711026191711],[7,17,6,3,-1,9,17,2,3,3,0,-0.00957940798252821,-0.7224506735801697,0.0636645630002022],[10,9,3,3,-1,11,9,1,3,3,0,-0.002954574069008231,0.358464390039444,-0.1669632941484451],[8,8,3,6,-1,9,8,1,6,3,0,-0.004201799165457487,0.390948086977005,-0.1204179003834724],[7,0,6,5,-1,9,0,2,5,3,0,-0.0136249903589487,-0.5876771807670593,0.0884047299623489],[6,17,1,3,-1,6,18,1,1,3,0,0.00006285311246756464,-0.2634845972061157,0.2141927927732468],[0,18,4,2,-1,0,19,4,1,2,0,-0.0026782939676195383,-0.7839016914367676,0.0805269628763199],[4,1,11,9,-1,4,4,11,3,3,0,-0.0705971792340279,0.414692610502243,-0.1398995965719223],[3,1,14,9,-1,3,4,14,3,3,0,0.0920936465263367,-0.1305518001317978,0.5043578147888184],[0,9,6,4,-1,2,9,2,4,3,0,-0.008800438605248928,0.3660975098609924,-0.1403664946556091],[18,13,1,2,-1,18,14,1,1,2,0,0.0000750809776945971,-0.2970443964004517,0.207029402256012],[13,5,3,11,-1,14,5,1,11,3,0,-0.002987045096233487,0.3561570048332214,-0.1544596999883652],[0,18,8,2,-1,0,18,4,1,2,4,19,4,1,2,0,-0.002644150983542204,-0.5435351729393005,0.1029511019587517]]],[4,-1.2905240058898926,[[5,8,12,5,-1,9,8,4,5,3,0,-0.0478624701499939,0.4152823984622955,-0.3418582081794739],[4,7,11,10,-1,4,12,11,5,2,0,0.087350532412529,-0.3874978125095367,0.2420420050621033],[14,9,6,4,-1,16,9,2,4,3,0,-0.0168494991958141,0.5308247804641724,-0.1728291064500809],[0,7,6,8,-1,3,7,3,8,2,0,-0.0288700293749571,0.3584350943565369,-0.2240259051322937],[0,16,3,3,-1,0,17,3,1,3,0,0.00256793899461627,0.1499049961566925,-0.6560940742492676],[7,11,12,1,-1,11,11,4,1,3,0,-0.0241166595369577,0.5588967800140381,-0.148102805018425],[4,8,9,4,-1,7,8,3,4,3,0,-0.0328266583383083,0.4646868109703064,-0.1078552976250649],[5,16,6,4,-1,7,16,2,4,3,0,-0.0152330603450537,-0.7395442724227905,0.056236881762743],[18,17,1,3,-1,18,18,1,1,3,0,-0.0003020951116923243,-0.4554882049560547,0.0970698371529579],[18,17,1,3,-1,18,18,1,1,3,0,0.0007536510820500553,0.0951472967863083,-0.5489501953125],[4,9,4,10,-1,4,9,2,5,2,6,14,2,5,2,0,-0.0106389503926039,0.4091297090053558,-0.1230840981006622],[4,8,6,4,-1,6,8,2,4,3,0,-0.007521783001720905,0.4028914868831635,-0.1604878008365631],[10,2,2,18,-1,10,8,2,6,3,0,-0.1067709997296333,0.6175932288169861,-0.0730911865830421],[0,5,8,6,-1,0,5,4,3,2,4,8,4,3,2,0,0.0162569191306829,-0.1310368031263351,0.3745365142822266],[6,0,6,5,-1,8,0,2,5,3,0,-0.020679360255599,-0.71402907371521,0.0523900091648102],[18,0,2,14,-1,18,7,2,7,2,0,0.0170523691922426,0.1282286047935486,-0.3108068108558655],[8,18,4,2,-1,10,18,2,2,2,0,-0.0057122060097754,-0.605565071105957,0.0818847566843033],[1,17,6,3,-1,1,18,6,1,3,0,0.000020851430235779844,-0.2681298851966858,0.1445384025573731],[11,8,3,5,-1,12,8,1,5,3,0,0.007928443141281605,-0.078795351088047,0.5676258206367493],[11,8,3,4,-1,12,8,1,4,3,0,-0.0025217379443347454,0.3706862926483154,-0.1362057030200958],[11,0,6,5,-1,13,0,2,5,3,0,-0.0224261991679668,-0.6870499849319458,0.0510628595948219],[1,7,6,7,-1,3,7,2,7,3,0,-0.007645144127309322,0.2349222004413605,-0.1790595948696137],[0,13,1,3,-1,0,14,1,1,3,0,-0.0011175329564139247,-0.5986905097961426,0.0743244364857674],[3,2,9,6,-1,3,4,9,2,3,0,0.0192127898335457,-0.1570255011320114,0.2973746955394745],[8,6,9,2,-1,8,7,9,1,2,0,0.00562934298068285,-0.0997690185904503,0.4213027060031891],[0,14,3,6,-1,0,16,3,2,3,0,-0.00956718623638153,-0.6085879802703857,0.0735062584280968],[1,11,6,4,-1,3,11,2,4,3,0,0.0112179601565003,-0.103208102285862,0.4190984964370728]]],[5,-1.160048007965088,[[6,9,9,3,-1,9,9,3,3,3,0,-0.0174864400178194,0.3130728006362915,-0.3368118107318878],[6,0,9,6,-1,6,2,9,2,3,0,0.0307146497070789,-0.1876619011163712,0.5378080010414124],[8,5,6,6,-1,8,7,6,2,3,0,-0.0221887193620205,0.3663788139820099,-0.1612481027841568],[1,12,2,1,-1,2,12,1,1,2,0,-0.000050700771680567414,0.2124571055173874,-0.2844462096691132],[10,10,6,2,-1,12,10,2,2,3,0,-0.007017042022198439,0.3954311013221741,-0.1317359060049057],[13,8,6,6,-1,15,8,2,6,3,0,-0.00685636093840003,0.3037385940551758,-0.2065781950950623],[6,16,6,4,-1,8,16,2,4,3,0,-0.0141292596235871,-0.7650300860404968,0.0982131883502007],[8,0,9,9,-1,8,3,9,3,3,0,-0.047915481030941,0.483073890209198,-0.1300680935382843],[18,17,1,3,-1,18,18,1,1,3,0,0.000047032979637151584,-0.2521657049655914,0.2438668012619019],[18,17,1,3,-1,18,18,1,1,3,0,0.0010221180273219943,0.0688576027750969,-0.6586114168167114],[7,10,3,3,-1,8,10,1,3,3,0,-0.002605610992759466,0.4294202923774719,-0.1302246004343033],[9,14,2,2,-1,9,14,1,1,2,10,15,1,1,2,0,0.00005450534081319347,-0.1928862035274506,0.2895849943161011],[9,14,2,2,-1,9,14,1,1,2,10,15,1,1,2,0,-0.00006672115705441684,0.3029071092605591,-0.1985436975955963],[0,8,19,12,-1,0,14,19,6,2,0,0.2628143131732941,-0.2329394072294235,0.2369246035814285],[7,6,9,14,-1,10,6,3,14,3,0,-0.0235696695744991,0.1940104067325592,-0.2848461866378784],[13,8,3,4,-1,14,8,1,4,3,0,-0.003912017215043306,0.5537897944450378,-0.0956656783819199],[4,17,1,3,-1,4,18,1,1,3,0,0.00005078879985376261,-0.239126592874527,0.217994898557663],[4,9,6,3,-1,6,9,2,3,3,0,-0.007873201742768288,0.4069742858409882,-0.1276804059743881],[2,18,5,2,-1,2,19,5,1,2,0,-0.0016778609715402126,-0.5774465799331665,0.0973247885704041],[7,8,2,2,-1,7,8,1,1,2,8,9,1,1,2,0,-0.0002683243073988706,0.2902188003063202,-0.1683126986026764],[7,8,2,2,-1,7,8,1,1,2,8,9,1,1,2,0,0.00007868718239478767,-0.1955157071352005,0.2772096991539002],[5,10,13,2,-1,5,11,13,1,2,0,0.0129535002633929,-0.0968383178114891,0.4032387137413025],[10,8,1,9,-1,10,11,1,3,3,0,-0.0130439596250653,0.4719856977462769,-0.0892875492572784],[15,8,2,12,-1,15,8,1,6,2,16,14,1,6,2,0,0.0030261781066656113,-0.1362338066101074,0.3068627119064331],[4,0,3,5,-1,5,0,1,5,3,0,-0.006043803878128529,-0.779541015625,0.0573163107037544],[12,6,3,7,-1,13,6,1,7,3,0,-0.0022507249377667904,0.3087705969810486,-0.1500630974769592],[7,16,6,4,-1,9,16,2,4,3,0,0.0158268101513386,0.0645518898963928,-0.7245556712150574],[9,16,2,1,-1,10,16,1,1,2,0,0.00006586450763279572,-0.1759884059429169,0.2321038991212845]]],[6,-1.2257250547409058,[[6,10,9,2,-1,9,10,3,2,3,0,-0.0278548691421747,0.4551844894886017,-0.1809991002082825],[0,6,15,14,-1,0,13,15,7,2,0,0.1289504021406174,-0.5256553292274475,0.1618890017271042],[9,1,5,6,-1,9,3,5,2,3,0,0.0244031809270382,-0.1497496068477631,0.4235737919807434],[3,9,3,4,-1,4,9,1,4,3,0,-0.0024458570405840874,0.3294866979122162,-0.1744769066572189],[5,7,3,6,-1,6,7,1,6,3,0,-0.0035336529836058617,0.4742664098739624,-0.0736183598637581],[17,16,1,2,-1,17,17,1,1,2,0,0.00005135815081303008,-0.3042193055152893,0.1563327014446259],[9,8,6,12,-1,11,8,2,12,3,0,-0.0162256807088852,0.2300218045711517,-0.2035982012748718],[6,10,6,1,-1,8,10,2,1,3,0,-0.004600700922310352,0.4045926928520203,-0.1348544061183929],[7,17,9,3,-1,10,17,3,3,3,0,-0.0219289995729923,-0.6872448921203613,0.0806842669844627],[14,18,6,2,-1,14,19,6,1,2,0,-0.002897121012210846,-0.6961960792541504,0.0485452190041542],[9,5,3,14,-1,10,5,1,14,3,0,-0.0044074649922549725,0.2516626119613648,-0.1623664945363998],[8,16,9,4,-1,11,16,3,4,3,0,0.0284371692687273,0.0603942610323429,-0.6674445867538452],[0,0,4,14,-1,0,7,4,7,2,0,0.0832128822803497,0.0643579214811325,-0.5362604260444641],[8,1,6,3,-1,10,1,2,3,3,0,-0.0124193299561739,-0.708168625831604,0.0575266107916832],[6,8,3,4,-1,7,8,1,4,3,0,-0.004699259996414185,0.5125433206558228,-0.0873508006334305],[4,8,3,4,-1,5,8,1,4,3,0,-0.0007802580948919058,0.266876608133316,-0.1796150952577591],[5,1,6,5,-1,7,1,2,5,3,0,-0.0197243392467499,-0.6756373047828674,0.0729419067502022],[1,18,1,2,-1,1,19,1,1,2,0,0.001026925048790872,0.0539193190634251,-0.5554018020629883],[7,0,6,6,-1,7,2,6,2,3,0,-0.0259571895003319,0.5636252760887146,-0.0718983933329582],[0,18,4,2,-1,0,19,4,1,2,0,-0.0012552699772641063,-0.5034663081169128,0.0896914526820183],[12,3,8,12,-1,12,7,8,4,3,0,-0.0499705784022808,0.1768511980772018,-0.2230195999145508],[12,9,3,4,-1,13,9,1,4,3,0,-0.002989961067214608,0.391224205493927,-0.1014975011348724],[12,8,3,5,-1,13,8,1,5,3,0,0.004854684229940176,-0.1177017986774445,0.4219093918800354],[16,0,2,1,-1,17,0,1,1,2,0,0.0001044886012095958,-0.1733397990465164,0.223444402217865],[5,17,1,3,-1,5,18,1,1,3,0,0.00005968926052446477,-0.2340963035821915,0.1655824035406113],[10,2,3,6,-1,10,4,3,2,3,0,-0.0134239196777344,0.4302381873130798,-0.0997236520051956],[4,17,2,3,-1,4,18,2,1,3,0,0.002258199965581298,0.0727209895849228,-0.5750101804733276],[12,7,1,9,-1,12,10,1,3,3,0,-0.0125462803989649,0.3618457913398743,-0.1145701035857201],[7,6,3,9,-1,8,6,1,9,3,0,-0.002870576921850443,0.2821053862571716,-0.1236755028367043],[17,13,3,6,-1,17,15,3,2,3,0,0.0197856407612562,0.0478767491877079,-0.806662380695343],[7,7,3,8,-1,8,7,1,8,3,0,0.004758893046528101,-0.1092538982629776,0.3374697864055634],[5,0,3,5,-1,6,0,1,5,3,0,-0.006997426971793175,-0.8029593825340271,0.0457067005336285],[4,6,9,8,-1,7,6,3,8,3,0,-0.0130334803834558,0.18680439889431,-0.176889106631279],[2,9,3,3,-1,3,9,1,3,3,0,-0.0013742579612880945,0.2772547900676727,-0.1280900985002518],[16,18,4,2,-1,16,19,4,1,2,0,0.0027657810132950544,0.0907589420676231,-0.4259473979473114],[17,10,3,10,-1,17,15,3,5,2,0,0.0002894184144679457,-0.388163298368454,0.089267797768116]]],[7,-1.2863140106201172,[[8,9,6,4,-1,10,9,2,4,3,0,-0.0144692296162248,0.3750782907009125,-0.2492828965187073],[5,2,10,12,-1,5,6,10,4,3,0,-0.1331762969493866,0.3016637861728668,-0.2241407036781311],[6,9,6,3,-1,8,9,2,3,3,0,-0.010132160037756,0.3698559105396271,-0.1785001009702683],[11,7,3,7,-1,12,7,1,7,3,0,-0.007851118221879005,0.4608676135540009,-0.1293139010667801],[12,8,6,4,-1,14,8,2,4,3,0,-0.0142958397045732,0.4484142959117889,-0.1022624000906944],[14,8,6,5,-1,16,8,2,5,3,0,-0.005960694048553705,0.279279887676239,-0.1532382965087891],[12,12,2,4,-1,12,14,2,2,2,0,0.010932769626379,-0.1514174044132233,0.3988964855670929],[3,15,1,2,-1,3,16,1,1,2,0,0.000050430990086169913,-0.2268157005310059,0.2164438962936401],[12,7,3,4,-1,13,7,1,4,3,0,-0.0058431681245565414,0.4542014896869659,-0.1258715987205505],[10,0,6,6,-1,12,0,2,6,3,0,-0.0223462097346783,-0.6269019246101379,0.0824031233787537],[10,6,3,8,-1,11,6,1,8,3,0,-0.00488366698846221,0.2635925114154816,-0.1468663066625595],[16,17,1,2,-1,16,18,1,1,2,0,0.00007550600275862962,-0.2450702041387558,0.1667888015508652],[16,16,1,3,-1,16,17,1,1,3,0,-0.0004902699729427695,-0.426499605178833,0.0899735614657402],[11,11,1,2,-1,11,12,1,1,2,0,0.0014861579984426498,-0.1204025000333786,0.3009765148162842],[3,7,6,9,-1,5,7,2,9,3,0,-0.0119883399456739,0.278524786233902,-0.122443400323391],[4,18,9,1,-1,7,18,3,1,3,0,0.0105022396892309,0.0404527597129345,-0.7405040860176086],[0,11,4,9,-1,0,14,4,3,3,0,-0.0309630092233419,-0.6284269094467163,0.048013761639595],[9,17,6,3,-1,11,17,2,3,3,0,0.0114145204424858,0.0394052118062973,-0.7167412042617798],[7,8,6,12,-1,9,8,2,12,3,0,-0.0123370001092553,0.1994132995605469,-0.1927430033683777],[6,8,3,4,-1,7,8,1,4,3,0,-0.005994226783514023,0.5131816267967224,-0.0616580583155155],[3,17,1,3,-1,3,18,1,1,3,0,-0.0011923230485990644,-0.72605299949646,0.0506527200341225],[11,9,6,4,-1,13,9,2,4,3,0,-0.0074582789093256,0.2960307896137238,-0.1175478994846344],[6,1,3,2,-1,7,1,1,2,3,0,0.0027877509128302336,0.0450687110424042,-0.6953541040420532],[1,0,2,1,-1,2,0,1,1,2,0,-0.0002250320976600051,0.200472503900528,-0.1577524989843369],[1,0,2,14,-1,1,0,1,7,2,2,7,1,7,2,0,-0.005036788992583752,0.292998194694519,-0.1170049980282784],[5,5,11,8,-1,5,9,11,4,2,0,0.0747421607375145,-0.1139231994748116,0.3025662004947662],[9,3,5,6,-1,9,5,5,2,3,0,0.0202555190771818,-0.1051589027047157,0.4067046046257019],[7,9,5,10,-1,7,14,5,5,2,0,0.0442145094275475,-0.2763164043426514,0.1236386969685555],[15,10,2,2,-1,16,10,1,2,2,0,-0.0008725955849513412,0.2435503005981445,-0.1330094933509827],[0,18,8,2,-1,0,19,8,1,2,0,-0.0024453739169985056,-0.5386617183685303,0.062510646879673],[7,17,1,3,-1,7,18,1,1,3,0,0.0000827253534225747,-0.2077220976352692,0.1627043932676315],[7,2,11,6,-1,7,4,11,2,3,0,-0.036627110093832,0.3656840920448303,-0.0903302803635597],[8,3,9,3,-1,8,4,9,1,3,0,0.0030996399000287056,-0.1318302005529404,0.2535429894924164],[0,9,2,2,-1,0,10,2,1,2,0,-0.0024709280114620924,-0.5685349702835083,0.0535054318606853],[0,5,3,6,-1,0,7,3,2,3,0,-0.0141146704554558,-0.4859901070594788,0.0584852509200573],[6,7,2,2,-1,6,7,1,1,2,7,8,1,1,2,0,0.0008453726186417043,-0.0800936371088028,0.4026564955711365],[7,6,3,6,-1,8,6,1,6,3,0,-0.007109863217920065,0.4470323920249939,-0.0629474371671677],[12,1,6,4,-1,14,1,2,4,3,0,-0.0191259607672691,-0.6642286777496338,0.0498227700591087],[9,11,6,8,-1,11,11,2,8,3,0,-0.005077301058918238,0.1737940013408661,-0.168505996465683],[17,15,3,3,-1,17,16,3,1,3,0,-0.002919828984886408,-0.6011028289794922,0.0574279390275478],[6,6,3,9,-1,6,9,3,3,3,0,-0.0249021500349045,0.233979806303978,-0.1181845963001251],[0,5,8,6,-1,0,5,4,3,2,4,8,4,3,2,0,0.02014777995646,-0.0894598215818405,0.3602440059185028],[0,6,1,3,-1,0,7,1,1,3,0,0.001759764039888978,0.0494584403932095,-0.6310262084007263],[17,0,2,6,-1,18,0,1,6,2,0,0.0013812039978802204,-0.1521805971860886,0.1897173970937729],[10,17,6,3,-1,12,17,2,3,3,0,-0.0109045403078198,-0.5809738039970398,0.0448627285659313],[13,15,2,2,-1,13,15,1,1,2,14,16,1,1,2,0,0.00007515717879869044,-0.1377734988927841,0.1954316049814224],[4,0,12,3,-1,4,1,12,1,3,0,0.003864977043122053,-0.1030222997069359,0.2537496984004974]]],[8,-1.1189440488815308,[[5,3,10,9,-1,5,6,10,3,3,0,-0.102158896625042,0.4168125987052918,-0.1665562987327576],[7,7,9,7,-1,10,7,3,7,3,0,-0.051939819008112,0.3302395045757294,-0.2071571052074432],[5,8,9,6,-1,8,8,3,6,3,0,-0.0427177809178829,0.2609373033046722,-0.1601389050483704],[0,16,6,2,-1,0,17,6,1,2,0,0.00043890418601222336,-0.3475053012371063,0.1391891986131668],[12,6,7,14,-1,12,13,7,7,2,0,0.0242643896490335,-0.4255205988883972,0.1357838064432144],[13,7,6,8,-1,15,7,2,8,3,0,-0.0238205995410681,0.3174980878829956,-0.1665204018354416],[2,10,6,3,-1,4,10,2,3,3,0,-0.007051818072795868,0.3094717860221863,-0.1333830058574677],[18,17,1,3,-1,18,18,1,1,3,0,-0.0006851715734228492,-0.6008226275444031,0.0877470001578331],[7,1,6,2,-1,7,2,6,1,2,0,0.0053705149330198765,-0.1231144964694977,0.3833355009555817],[6,0,6,4,-1,6,2,6,2,2,0,-0.0134035395458341,0.3387736976146698,-0.1014048978686333],[8,18,6,2,-1,10,18,2,2,3,0,-0.006685636006295681,-0.6119359731674194,0.0477402210235596],[7,6,5,2,-1,7,7,5,1,2,0,-0.0042887418530881405,0.2527579069137573,-0.1443451046943665],[6,7,3,6,-1,7,7,1,6,3,0,-0.0108767496421933,0.5477573275566101,-0.0594554804265499],[18,18,2,2,-1,18,18,1,1,2,19,19,1,1,2,0,0.0003788264002650976,0.0834103003144264,-0.4422636926174164],[16,8,3,7,-1,17,8,1,7,3,0,-0.002455014968290925,0.2333099991083145,-0.1396448016166687],[0,16,2,3,-1,0,17,2,1,3,0,0.0012721839593723416,0.0604802891612053,-0.4945608973503113],[5,19,6,1,-1,7,19,2,1,3,0,-0.004893315955996513,-0.6683326959609985,0.0462184995412827],[9,5,6,6,-1,9,7,6,2,3,0,0.0264499895274639,-0.0732353627681732,0.4442596137523651],[0,10,2,4,-1,0,12,2,2,2,0,-0.003370607038959861,-0.4246433973312378,0.0686765611171722],[0,9,4,3,-1,2,9,2,3,2,0,-0.0029559480026364326,0.1621803939342499,-0.1822299957275391],[1,10,6,9,-1,3,10,2,9,3,0,0.0306199099868536,-0.0586433410644531,0.532636284828186],[9,0,6,2,-1,11,0,2,2,3,0,-0.009576590731739998,-0.6056268215179443,0.0533459894359112],[14,1,2,1,-1,15,1,1,1,2,0,0.00006637249316554517,-0.1668083965778351,0.1928416043519974],[0,8,1,4,-1,0,10,1,2,2,0,0.005097595043480396,0.0441195107996464,-0.574588418006897],[15,6,2,2,-1,15,6,1,1,2,16,7,1,1,2,0,0.0003711271856445819,-0.1108639985322952,0.2310539036989212],[7,5,3,6,-1,8,5,1,6,3,0,-0.008660758845508099,0.4045628905296326,-0.062446091324091],[19,17,1,3,-1,19,18,1,1,3,0,0.0008748915861360729,0.0648751482367516,-0.4487104117870331],[7,10,3,1,-1,8,10,1,1,3,0,0.0011120870476588607,-0.09386146068573,0.3045391142368317],[12,1,6,6,-1,14,1,2,6,3,0,-0.0238378196954727,-0.5888742804527283,0.0466594211757183],[15,5,2,1,-1,16,5,1,1,2,0,0.00022272899514064193,-0.1489859968423843,0.1770195066928864],[8,2,7,4,-1,8,4,7,2,2,0,0.0244674701243639,-0.0557896010577679,0.4920830130577087],[4,0,14,15,-1,4,5,14,5,3,0,-0.1423932015895844,0.1519200056791306,-0.1877889931201935],[7,8,6,6,-1,9,8,2,6,3,0,-0.0201231203973293,0.2178010046482086,-0.1208190023899078],[11,17,1,3,-1,11,18,1,1,3,0,0.00011513679783092812,-0.1685658991336823,0.1645192950963974],[12,16,2,4,-1,12,16,1,2,2,13,18,1,2,2,0,-0.0027556740678846836,-0.6944203972816467,0.039449468255043],[10,13,2,1,-1,11,13,1,1,2,0,-0.00007584391278214753,0.1894136965274811,-0.151838406920433],[11,8,3,3,-1,12,8,1,3,3,0,-0.0070697711780667305,0.4706459939479828,-0.0579276196658611],[2,0,6,8,-1,4,0,2,8,3,0,-0.0373931787908077,-0.7589244842529297,0.0341160483658314],[3,5,6,6,-1,3,5,3,3,2,6,8,3,3,2,0,-0.0159956105053425,0.3067046999931335,-0.0875255763530731],[10,8,3,3,-1,11,8,1,3,3,0,-0.003118399064987898,0.2619537115097046,-0.0912148877978325],[5,17,4,2,-1,5,18,4,1,2,0,0.001065136049874127,-0.1742756068706513,0.1527764052152634],[8,16,5,2,-1,8,17,5,1,2,0,-0.0016029420075938106,0.3561263084411621,-0.0766299962997437],[0,4,3,3,-1,0,5,3,1,3,0,0.004361990839242935,0.04935697093606,-0.5922877192497253],[6,3,6,2,-1,8,3,2,2,3,0,-0.0107799097895622,-0.6392217874526978,0.0332045406103134],[4,4,9,3,-1,7,4,3,3,3,0,-0.004359086975455284,0.1610738933086395,-0.1522132009267807],[0,13,1,4,-1,0,15,1,2,2,0,0.007459606975317001,0.0331729613244534,-0.7500774264335632],[0,17,8,3,-1,0,18,8,1,3,0,0.008138544857501984,0.0263252798467875,-0.7173116207122803],[6,1,11,6,-1,6,3,11,2,3,0,-0.0333384908735752,0.3353661000728607,-0.070803590118885]]],[9,-1.1418989896774292,[[4,10,6,2,-1,6,10,2,2,3,0,0.0195539798587561,-0.1043972000479698,0.5312895178794861],[10,8,1,12,-1,10,14,1,6,2,0,0.0221229195594788,-0.2474727034568787,0.2084725052118301],[5,8,3,4,-1,6,8,1,4,3,0,-0.004182938951998949,0.3828943967819214,-0.1471157968044281],[0,17,1,3,-1,0,18,1,1,3,0,-0.0008638172876089811,-0.6263288855552673,0.1199325993657112],[0,17,1,3,-1,0,18,1,1,3,0,0.0007995861233212054,0.0925734713673592,-0.5516883134841919],[13,8,3,4,-1,14,8,1,4,3,0,0.009152757003903389,-0.0729298070073128,0.5551251173019409],[1,5,5,4,-1,1,7,5,2,2,0,-0.003938868176192045,0.2019603997468948,-0.2091203927993774],[18,14,1,2,-1,18,15,1,1,2,0,0.00014613410166930407,-0.278618186712265,0.1381741017103195],[13,8,2,4,-1,14,8,1,4,2,0,-0.0031691689509898424,0.3668589890003204,-0.0763082429766655],[10,6,6,8,-1,12,6,2,8,3,0,-0.0221893899142742,0.39096599817276,-0.1097154021263123],[8,6,6,10,-1,10,6,2,10,3,0,-0.007452360820025206,0.1283859014511108,-0.2415986955165863],[17,16,1,3,-1,17,17,1,1,3,0,0.000779970025178045,0.0719780698418617,-0.4397650063037872],[1,7,2,10,-1,2,7,1,10,2,0,-0.004678363911807537,0.2156984955072403,-0.1420592069625855],[5,9,6,3,-1,7,9,2,3,3,0,-0.0151886399835348,0.364587813615799,-0.08267592638731],[0,8,5,12,-1,0,14,5,6,2,0,0.0050619798712432384,-0.3438040912151337,0.0920682325959206],[0,11,1,3,-1,0,12,1,1,3,0,-0.0017351920250803232,-0.6172549724578857,0.0492144785821438],[6,16,6,4,-1,8,16,2,4,3,0,-0.012423450127244,-0.5855895280838013,0.0461126007139683],[0,6,2,6,-1,0,8,2,2,3,0,-0.0130314296111465,-0.5971078872680664,0.0406724587082863],[11,18,2,1,-1,12,18,1,1,2,0,-0.0012369629694148898,-0.6833416819572449,0.0331561788916588],[5,1,9,2,-1,5,2,9,1,2,0,0.006102210842072964,-0.0947292372584343,0.3010224103927612],[0,0,1,2,-1,0,1,1,1,2,0,0.0006695284973829985,0.0818168669939041,-0.351960301399231],[15,9,3,3,-1,16,9,1,3,3,0,-0.001797058037482202,0.2371897995471954,-0.1176870986819267],[18,16,1,3,-1,18,17,1,1,3,0,-0.0007107452838681638,-0.4476378858089447,0.0576824806630611],[11,10,6,1,-1,13,10,2,1,3,0,-0.005912647116929293,0.4342541098594666,-0.0668685734272003],[1,3,4,4,-1,3,3,2,4,2,0,-0.003313214983791113,0.181500107049942,-0.1418032050132752],[11,2,1,18,-1,11,8,1,6,3,0,-0.0608146600425243,0.4722171127796173,-0.0614106394350529],[9,1,5,12,-1,9,5,5,4,3,0,-0.0967141836881638,0.2768316864967346,-0.0944900363683701],[12,0,8,1,-1,16,0,4,1,2,0,0.003907355014234781,-0.1227853000164032,0.2105740010738373],[8,6,3,10,-1,9,6,1,10,3,0,-0.009043186902999878,0.3564156889915466,-0.0778062269091606],[19,2,1,6,-1,19,4,1,2,3,0,-0.004880003165453672,-0.4103479087352753,0.0696943774819374],[18,6,2,2,-1,18,7,2,1,2,0,-0.00435474282130599,-0.7301788926124573,0.0366551503539085],[7,7,3,4,-1,8,7,1,4,3,0,-0.009650062769651413,0.5518112778663635,-0.0531680807471275],[5,0,6,5,-1,7,0,2,5,3,0,-0.0173973105847836,-0.5708423256874084,0.0502140894532204],[0,3,7,3,-1,0,4,7,1,3,0,-0.006830432917922735,-0.4618028104305267,0.0502026900649071],[1,6,2,1,-1,2,6,1,1,2,0,0.00033255619928240776,-0.0953627303242683,0.2598375976085663],[4,8,2,10,-1,4,8,1,5,2,5,13,1,5,2,0,-0.0023100529797375202,0.2287247031927109,-0.1053353026509285],[2,18,18,2,-1,2,18,9,1,2,11,19,9,1,2,0,-0.0075426651164889336,-0.5699051022529602,0.0488634593784809],[2,7,4,4,-1,2,7,2,2,2,4,9,2,2,2,0,-0.0052723060362041,0.3514518141746521,-0.0823901072144508],[17,3,3,4,-1,18,3,1,4,3,0,-0.004857896827161312,-0.6041762232780457,0.0445394404232502],[16,9,2,8,-1,16,9,1,4,2,17,13,1,4,2,0,0.001586731057614088,-0.1034090965986252,0.2328201979398727],[15,7,1,6,-1,15,9,1,2,3,0,-0.004742781165987253,0.284902811050415,-0.0980904996395111],[14,2,2,2,-1,14,3,2,1,2,0,-0.0013515240279957652,0.2309643030166626,-0.113618403673172],[17,0,2,3,-1,17,1,2,1,3,0,0.0022526069078594446,0.0644783228635788,-0.4220589101314545],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0,-0.0003803865984082222,-0.3807620108127594,0.0600432902574539],[10,4,4,3,-1,10,5,4,1,3,0,0.004904392175376415,-0.076104998588562,0.3323217034339905],[0,2,8,6,-1,4,2,4,6,2,0,-0.009096967056393623,0.1428779065608978,-0.1688780039548874],[7,14,6,6,-1,7,16,6,2,3,0,-0.0069317929446697235,0.2725540995597839,-0.0928795635700226],[11,15,2,2,-1,11,16,2,1,2,0,0.0011471060570329428,-0.1527305990457535,0.1970240026712418],[7,1,9,4,-1,10,1,3,4,3,0,-0.0376628898084164,-0.5932043790817261,0.0407386012375355],[9,7,3,7,-1,10,7,1,7,3,0,-0.006816557142883539,0.2549408972263336,-0.0940819606184959],[6,17,2,2,-1,6,17,1,1,2,7,18,1,1,2,0,0.0006620556232519448,0.0467957183718681,-0.4845437109470367],[4,6,3,9,-1,5,6,1,9,3,0,-0.004220255184918642,0.2468214929103851,-0.0946739763021469],[0,10,19,10,-1,0,15,19,5,2,0,-0.0689865127205849,-0.6651480197906494,0.0359263904392719],[5,17,6,1,-1,7,17,2,1,3,0,0.006170760840177536,0.0258333198726177,-0.7268627285957336],[0,12,6,3,-1,3,12,3,3,2,0,0.0105362497270107,-0.0818289965391159,0.2976079881191254]]],[10,-1.1255199909210205,[[2,5,18,5,-1,8,5,6,5,3,0,-0.0627587288618088,0.2789908051490784,-0.2965610921382904],[1,15,6,4,-1,1,17,6,2,2,0,0.003451647935435176,-0.3463588058948517,0.2090384066104889],[14,10,6,6,-1,16,10,2,6,3,0,-0.007869948633015156,0.2414488941431046,-0.1920557022094727],[0,14,4,3,-1,0,15,4,1,3,0,-0.0034624869003891945,-0.5915178060531616,0.1248644962906838],[1,7,6,11,-1,3,7,2,11,3,0,-0.009481876157224178,0.1839154064655304,-0.2485826015472412],[13,17,7,2,-1,13,18,7,1,2,0,0.00023226840130519122,-0.3304725885391235,0.1099926009774208],[0,14,2,3,-1,0,15,2,1,3,0,0.0018101120367646217,0.0987440124154091,-0.4963478147983551],[0,0,6,2,-1,3,0,3,2,2,0,-0.005442243069410324,0.2934441864490509,-0.1309475004673004],[0,1,6,3,-1,3,1,3,3,2,0,0.007414812222123146,-0.1476269960403442,0.3327716886997223],[0,8,2,6,-1,0,10,2,2,3,0,-0.0155651401728392,-0.6840490102767944,0.0998726934194565],[1,2,6,14,-1,1,2,3,7,2,4,9,3,7,2,0,0.0287205204367638,-0.148332804441452,0.3090257942676544],[17,5,2,2,-1,17,5,1,1,2,18,6,1,1,2,0,0.00009668739221524447,-0.1743104010820389,0.2140295952558518],[11,10,9,4,-1,14,10,3,4,3,0,0.0523710586130619,-0.0701568573713303,0.4922299087047577],[2,9,12,4,-1,6,9,4,4,3,0,-0.0864856913685799,0.5075724720954895,-0.0752942115068436],[7,10,12,2,-1,11,10,4,2,3,0,-0.0421698689460754,0.4568096101284027,-0.0902199000120163],[2,13,1,2,-1,2,14,1,1,2,0,0.000045369830331765115,-0.2653827965259552,0.1618953943252564],[16,7,4,3,-1,16,8,4,1,3,0,0.0052918000146746635,0.0748901516199112,-0.540546715259552],[19,16,1,3,-1,19,17,1,1,3,0,-0.0007551165181212127,-0.4926199018955231,0.0587239488959312],[18,11,1,2,-1,18,12,1,1,2,0,0.00007510813884437084,-0.2143210023641586,0.1407776027917862],[12,7,8,2,-1,12,7,4,1,2,16,8,4,1,2,0,0.004998120944947004,-0.0905473381280899,0.3571606874465942],[14,9,2,4,-1,15,9,1,4,2,0,-0.0014929979806765914,0.2562345862388611,-0.1422906965017319],[14,2,6,4,-1,14,2,3,2,2,17,4,3,2,2,0,0.0027239411137998104,-0.1564925014972687,0.2108871042728424],[14,0,6,1,-1,17,0,3,1,2,0,0.002221832051873207,-0.1507298946380615,0.2680186927318573],[3,12,2,1,-1,4,12,1,1,2,0,-0.0007399307214654982,0.2954699099063873,-0.1069239005446434],[17,2,3,1,-1,18,2,1,1,3,0,0.0020113459322601557,0.0506143495440483,-0.7168337106704712],[1,16,18,2,-1,7,16,6,2,3,0,0.0114528704434633,-0.1271906942129135,0.241527795791626],[2,19,8,1,-1,6,19,4,1,2,0,-0.0010782170575112104,0.2481300979852676,-0.1346119940280914],[1,17,4,3,-1,1,18,4,1,3,0,0.00334176910109818,0.0535783097147942,-0.5227416753768921],[19,13,1,2,-1,19,14,1,1,2,0,0.00006939865124877542,-0.2169874012470245,0.1281217932701111],[9,16,10,4,-1,9,16,5,2,2,14,18,5,2,2,0,-0.0040982551872730255,0.2440188974142075,-0.1157058998942375],[12,9,2,4,-1,12,9,1,2,2,13,11,1,2,2,0,-0.0016289720078930259,0.2826147079467773,-0.1065946966409683],[19,11,1,9,-1,19,14,1,3,3,0,0.0139848599210382,0.0427158996462822,-0.7364631295204163]]],[11,-1.1729990243911743,[[6,6,14,14,-1,6,13,14,7,2,0,0.164165198802948,-0.4896030128002167,0.1760770976543427],[2,17,4,2,-1,2,18,4,1,2,0,0.0008341306238435209,-0.2822043001651764,0.2419957965612412],[0,2,1,3,-1,0,3,1,1,3,0,-0.0017193210078403354,-0.714858889579773,0.0861622169613838],[0,12,1,3,-1,0,13,1,1,3,0,-0.001565495040267706,-0.7297238111495972,0.0940706729888916],[15,15,4,4,-1,15,17,4,2,2,0,0.0019124479731544852,-0.3118715882301331,0.1814339011907578],[2,5,18,7,-1,8,5,6,7,3,0,-0.1351236999034882,0.2957729995250702,-0.2217925041913986],[1,16,5,3,-1,1,17,5,1,3,0,-0.004030054900795221,-0.6659513711929321,0.0854310169816017],[0,4,2,3,-1,0,5,2,1,3,0,-0.002864046022295952,-0.6208636164665222,0.0531060211360455],[0,6,2,6,-1,1,6,1,6,2,0,-0.0014065420255064964,0.2234628945589066,-0.2021100968122482],[16,14,4,3,-1,16,15,4,1,3,0,-0.0035820449702441692,-0.5403040051460266,0.0682136192917824],[0,0,10,6,-1,0,0,5,3,2,5,3,5,3,2,0,0.04154447093606,-0.0652158409357071,0.6210923194885254],[2,2,3,6,-1,3,2,1,6,3,0,-0.009170955047011375,-0.75553297996521,0.0526404492557049],[2,0,3,10,-1,3,0,1,10,3,0,0.006155273877084255,0.0909394025802612,-0.4424613118171692],[5,5,2,2,-1,5,6,2,1,2,0,-0.0010043520014733076,0.242923304438591,-0.1866979002952576],[12,6,4,4,-1,12,8,4,2,2,0,0.0115198297426105,-0.1176315024495125,0.3672345876693726],[13,5,7,3,-1,13,6,7,1,3,0,-0.008904073387384415,-0.4893133044242859,0.1089702025055885],[10,13,1,2,-1,10,14,1,1,2,0,0.0005397367058321834,-0.2185039967298508,0.1848998963832855],[16,16,4,2,-1,18,16,2,2,2,0,0.0013727260520681739,-0.1507291048765183,0.2917312979698181],[16,12,4,7,-1,18,12,2,7,2,0,-0.0108073903247714,0.4289745092391968,-0.1028013974428177],[16,17,1,3,-1,16,18,1,1,3,0,0.0012670770520344377,0.0741921588778496,-0.6420825123786926],[19,9,1,3,-1,19,10,1,1,3,0,0.002299112966284156,0.0471002794802189,-0.723352313041687],[18,7,2,6,-1,19,7,1,6,2,0,0.002718751085922122,-0.1708686947822571,0.235135093331337],[8,1,3,4,-1,9,1,1,4,3,0,-0.006661918014287949,-0.7897542715072632,0.0450846701860428],[14,0,6,9,-1,16,0,2,9,3,0,-0.0482666492462158,-0.6957991719245911,0.0419760793447495],[4,2,10,2,-1,9,2,5,2,2,0,0.0152146900072694,-0.1081828027963638,0.3646062016487122],[2,12,8,4,-1,2,12,4,2,2,6,14,4,2,2,0,-0.006008013151586056,0.309709906578064,-0.1135921031236649],[0,4,7,3,-1,0,5,7,1,3,0,0.006612715777009726,0.0806653425097466,-0.4665853083133698],[14,14,3,3,-1,15,14,1,3,3,0,-0.007960701361298561,-0.8720194101333618,0.0367745906114578],[0,3,4,3,-1,2,3,2,3,2,0,0.003884719917550683,-0.11666289716959,0.3307026922702789],[1,0,2,7,-1,2,0,1,7,2,0,-0.001098881009966135,0.2387257069349289,-0.1765675991773605]]],[12,-1.036829948425293,[[15,16,4,4,-1,15,18,4,2,2,0,0.0035903379321098328,-0.2368807941675186,0.2463164031505585],[5,8,12,4,-1,5,10,12,2,2,0,0.006481593009084463,-0.3137362003326416,0.1867575943470001],[3,17,1,2,-1,3,18,1,1,2,0,0.00007304840255528688,-0.2764435112476349,0.1649623960256577],[6,1,3,4,-1,7,1,1,4,3,0,-0.00385146401822567,-0.5601450800895691,0.1129473969340324],[6,2,3,4,-1,7,2,1,4,3,0,0.003858821000903845,0.0398489981889725,-0.5807185769081116],[6,8,9,12,-1,9,8,3,12,3,0,-0.0246512200683355,0.1675501018762589,-0.2534367144107819],[8,1,8,6,-1,8,3,8,2,3,0,0.0472455210983753,-0.1066208034753799,0.3945198059082031],[14,2,6,3,-1,17,2,3,3,2,0,0.00659646512940526,-0.1774425059556961,0.2728019058704376],[0,6,1,3,-1,0,7,1,1,3,0,-0.0013177490327507257,-0.5427265167236328,0.0486065894365311],[10,0,10,2,-1,15,0,5,2,2,0,-0.005026170983910561,0.2439424991607666,-0.1314364969730377],[11,0,3,2,-1,12,0,1,2,3,0,0.003463276894763112,0.0690493434667587,-0.7033624053001404],[3,19,10,1,-1,8,19,5,1,2,0,0.0021692588925361633,-0.1328946053981781,0.2209852933883667],[0,4,7,16,-1,0,12,7,8,2,0,0.0293958708643913,-0.2853052020072937,0.1354399025440216],[2,16,1,3,-1,2,17,1,1,3,0,-0.0009618144831620157,-0.580413818359375,0.0374506488442421],[7,8,12,6,-1,11,8,4,6,3,0,-0.1082099974155426,0.3946728110313416,-0.078655943274498],[14,9,6,7,-1,16,9,2,7,3,0,-0.0180248692631722,0.2735562920570374,-0.1341529935598373],[12,17,6,1,-1,14,17,2,1,3,0,0.006250984035432339,0.023388059809804,-0.8008859157562256],[16,1,3,1,-1,17,1,1,1,3,0,-0.0016088379779830575,-0.5676252245903015,0.0412156693637371],[0,17,8,2,-1,0,17,4,1,2,4,18,4,1,2,0,0.0007756475242786109,-0.1489126980304718,0.1908618062734604],[17,0,2,1,-1,18,0,1,1,2,0,0.00008712233830010518,-0.155575305223465,0.194282203912735],[4,15,6,5,-1,6,15,2,5,3,0,-0.0207553207874298,-0.6300653219223022,0.0361343808472157],[7,2,8,2,-1,7,3,8,1,2,0,-0.0062931738793849945,0.2560924887657166,-0.1058826968073845],[4,1,8,4,-1,4,3,8,2,2,0,0.0108441496267915,-0.1012485027313232,0.3032212853431702],[5,19,2,1,-1,6,19,1,1,2,0,-0.00006375277735060081,0.1911157965660095,-0.1384923011064529],[5,19,2,1,-1,6,19,1,1,2,0,0.00006648096314165741,-0.1520525068044663,0.2170630991458893],[16,17,1,3,-1,16,18,1,1,3,0,0.0013560829684138298,0.0494317896664143,-0.6427984237670898],[0,11,2,3,-1,1,11,1,3,2,0,-0.0009066255879588425,0.1798201054334641,-0.1404460966587067],[0,19,4,1,-1,2,19,2,1,2,0,0.0010473709553480148,-0.1093354970216751,0.242659404873848],[0,18,4,2,-1,2,18,2,2,2,0,-0.0010243969736620784,0.2716268002986908,-0.1182091981172562],[2,17,1,3,-1,2,18,1,1,3,0,-0.0012024149764329195,-0.701511025428772,0.0394898988306522],[5,7,11,2,-1,5,8,11,1,2,0,0.007691164966672659,-0.0922189131379128,0.3104628920555115],[9,2,4,10,-1,9,7,4,5,2,0,-0.139665499329567,0.6897938847541809,-0.0397061184048653],[0,2,4,3,-1,0,3,4,1,3,0,0.0021276050247251987,0.0972776114940643,-0.2884179949760437],[10,19,10,1,-1,15,19,5,1,2,0,-0.0027594310231506824,0.2416867017745972,-0.1127782016992569],[11,17,8,3,-1,15,17,4,3,2,0,0.005223613232374191,-0.1143027991056442,0.2425678074359894],[8,19,3,1,-1,9,19,1,1,3,0,-0.0012590440455824137,-0.5967938899993896,0.0476639606058598],[14,0,3,4,-1,15,0,1,4,3,0,-0.0037192099262028933,-0.464141309261322,0.0528476908802986],[10,6,4,3,-1,10,7,4,1,3,0,0.005969615187495947,-0.0732442885637283,0.3874309062957764],[0,8,3,2,-1,0,9,3,1,2,0,-0.005177672021090984,-0.7419322729110718,0.0404967106878757],[7,12,3,6,-1,7,14,3,2,3,0,0.005003510043025017,-0.1388880014419556,0.1876762062311173],[1,18,1,2,-1,1,19,1,1,2,0,-0.0005201345775276423,-0.5494061708450317,0.0494178496301174],[0,12,4,4,-1,2,12,2,4,2,0,0.00531687680631876,-0.0824829787015915,0.3174056112766266],[1,8,6,7,-1,3,8,2,7,3,0,-0.0147745897993445,0.2081609964370728,-0.1211555972695351],[0,8,4,5,-1,2,8,2,5,2,0,-0.0414164513349533,-0.8243780732154846,0.0333291888237]]],[13,-1.0492420196533203,[[19,16,1,3,-1,19,17,1,1,3,0,0.0009096252033486962,0.0845799669623375,-0.5611841082572937],[1,5,18,6,-1,7,5,6,6,3,0,-0.0561397895216942,0.1534174978733063,-0.2696731984615326],[2,15,4,2,-1,2,16,4,1,2,0,0.0010292009683325887,-0.2048998028039932,0.2015317976474762],[18,6,2,11,-1,19,6,1,11,2,0,0.00287830107845366,-0.1735114008188248,0.2129794955253601],[0,12,2,6,-1,0,14,2,2,3,0,-0.0074144392274320126,-0.5962486863136292,0.0470779500901699],[12,5,3,2,-1,12,6,3,1,2,0,-0.0014831849839538336,0.1902461051940918,-0.1598639041185379],[1,3,2,3,-1,1,4,2,1,3,0,0.0045968941412866116,0.0314471311867237,-0.6869434118270874],[16,14,4,4,-1,16,16,4,2,2,0,0.0024255330208688974,-0.23609359562397,0.1103610992431641],[6,8,12,5,-1,10,8,4,5,3,0,-0.0849505662918091,0.2310716062784195,-0.1377653032541275],[13,7,2,7,-1,14,7,1,7,2,0,-0.005014568101614714,0.3867610991001129,-0.0562173798680305],[1,8,2,6,-1,2,8,1,6,2,0,-0.002148206112906337,0.1819159984588623,-0.1761569976806641],[15,0,3,7,-1,16,0,1,7,3,0,-0.0103967702016234,-0.7535138130187988,0.0240919701755047],[4,2,6,2,-1,6,2,2,2,3,0,-0.0134667502716184,-0.7211886048316956,0.0349493697285652],[0,9,20,9,-1,0,12,20,3,3,0,-0.0844354778528214,-0.3379263877868652,0.0711138173937798],[10,14,2,2,-1,10,15,2,1,2,0,0.00247714901342988,-0.1176510974764824,0.225419893860817],[6,5,10,4,-1,6,7,10,2,2,0,0.015828050673008,-0.0695362165570259,0.313953697681427],[6,1,5,9,-1,6,4,5,3,3,0,0.0649169832468033,-0.0750435888767242,0.4067733883857727],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0,0.00029652469675056636,0.0739533603191376,-0.3454400897026062],[0,14,2,4,-1,0,16,2,2,2,0,0.001312952022999525,-0.1690943986177445,0.1525837033987045],[10,8,2,5,-1,11,8,1,5,2,0,-0.0058032129891216755,0.3526014983654022,-0.0834440663456917],[3,7,12,7,-1,7,7,4,7,3,0,-0.1479167938232422,0.4300465881824493,-0.0573099292814732],[0,0,6,6,-1,3,0,3,6,2,0,-0.016584150493145,0.2343268990516663,-0.1090764030814171],[1,0,4,4,-1,3,0,2,4,2,0,0.003018327057361603,-0.1360093951225281,0.264092892408371],[0,0,6,8,-1,2,0,2,8,3,0,-0.0364719182252884,-0.628097414970398,0.0435451082885265],[0,0,2,1,-1,1,0,1,1,2,0,-0.00007311922672670335,0.1647063046693802,-0.1646378040313721],[0,0,3,3,-1,0,1,3,1,3,0,-0.003671945072710514,-0.4742136001586914,0.0485869199037552],[5,4,2,4,-1,5,6,2,2,2,0,-0.004015117883682251,0.1822218000888825,-0.1409751027822495],[2,10,9,1,-1,5,10,3,1,3,0,0.0199480205774307,-0.0697876587510109,0.3670746088027954],[1,17,1,3,-1,1,18,1,1,3,0,0.0007669943734072149,0.0557292997837067,-0.4458543062210083],[0,17,2,3,-1,0,18,2,1,3,0,-0.0011806039838120341,-0.4687662124633789,0.0489022210240364],[0,15,16,3,-1,8,15,8,3,2,0,0.0158473495393991,-0.1212020963430405,0.2056653052568436],[0,5,4,1,-1,2,5,2,1,2,0,-0.0011985700111836195,0.2026209980249405,-0.1282382011413574],[1,0,6,20,-1,3,0,2,20,3,0,-0.1096495985984802,-0.8661919236183167,0.0303518492728472],[2,5,4,6,-1,2,5,2,3,2,4,8,2,3,2,0,-0.009253260679543018,0.2934311926364899,-0.0853619500994682],[9,16,6,3,-1,11,16,2,3,3,0,0.0146865304559469,0.0327986218035221,-0.7755656242370605],[11,17,6,1,-1,14,17,3,1,2,0,-0.0013514430029317737,0.244269996881485,-0.1150325015187264],[3,17,15,2,-1,8,17,5,2,3,0,-0.004372809082269669,0.2168767005205154,-0.1398448050022125],[18,0,2,3,-1,18,1,2,1,3,0,0.0034263390116393566,0.0456142202019691,-0.545677125453949],[13,1,7,4,-1,13,3,7,2,2,0,-0.0038404068909585476,0.149495005607605,-0.1506250947713852],[13,6,4,4,-1,13,6,2,2,2,15,8,2,2,2,0,0.0037988980766385794,-0.0873016268014908,0.2548153102397919],[17,6,3,4,-1,17,8,3,2,2,0,-0.0020094281062483788,0.1725907027721405,-0.1428847014904022],[14,9,2,2,-1,15,9,1,2,2,0,-0.002437070943415165,0.2684809863567352,-0.0818982198834419],[17,17,1,3,-1,17,18,1,1,3,0,0.001048539998009801,0.0461132600903511,-0.4724327921867371],[3,19,8,1,-1,7,19,4,1,2,0,0.00174607802182436,-0.1103043034672737,0.2037972956895828],[0,9,3,6,-1,0,12,3,3,2,0,0.005860862787812948,-0.1561965942382813,0.1592743992805481],[4,7,15,5,-1,9,7,5,5,3,0,-0.0277249794453382,0.1134911999106407,-0.2188514024019241],[6,9,9,5,-1,9,9,3,5,3,0,0.0470806397497654,-0.0416887290775776,0.5363004803657532],[8,1,6,2,-1,10,1,2,2,3,0,-0.007928377017378807,-0.5359513163566589,0.0442375093698502],[4,0,12,2,-1,10,0,6,2,2,0,-0.0128805404528975,0.2323794960975647,-0.102462500333786],[7,0,10,3,-1,12,0,5,3,2,0,0.0236047692596912,-0.0882914364337921,0.3056105971336365],[5,0,9,6,-1,5,2,9,2,3,0,0.0159022007137537,-0.1223810985684395,0.1784912049770355],[8,3,6,4,-1,8,5,6,2,2,0,0.007993949577212334,-0.0837290063500404,0.3231959044933319],[17,4,2,3,-1,17,5,2,1,3,0,0.005710086785256863,0.038479208946228,-0.6813815236091614]]],[14,-1.1122100353240967,[[5,2,4,3,-1,5,3,4,1,3,0,0.002248072065412998,-0.1641687005758286,0.4164853096008301],[5,9,2,6,-1,6,9,1,6,2,0,0.004581355024129152,-0.1246595978736877,0.4038512110710144],[14,10,2,6,-1,15,10,1,6,2,0,-0.0016073239967226982,0.260824590921402,-0.202825203537941],[7,4,3,3,-1,7,5,3,1,3,0,0.0025205370038747787,-0.1055722981691361,0.3666911125183106],[12,4,8,2,-1,12,4,4,1,2,16,5,4,1,2,0,0.0024119189474731684,-0.1387760043144226,0.2995991110801697],[15,8,1,6,-1,15,10,1,2,3,0,0.005715617910027504,-0.0776834636926651,0.4848192036151886],[4,17,11,3,-1,4,18,11,1,3,0,0.0031093840952962637,-0.1122900024056435,0.2921550869941711],[3,0,16,20,-1,3,10,16,10,2,0,-0.0868366286158562,-0.367796003818512,0.0725972428917885],[12,4,4,6,-1,12,6,4,2,3,0,0.0052652182057499886,-0.1089029014110565,0.3179126083850861],[11,0,6,6,-1,13,0,2,6,3,0,-0.0199135299772024,-0.5337343811988831,0.0705857127904892],[13,1,6,4,-1,13,1,3,2,2,16,3,3,2,2,0,0.00382978399284184,-0.135759100317955,0.2278887927532196],[11,0,6,4,-1,13,0,2,4,3,0,0.0104318596422672,0.0887979120016098,-0.4795897006988525],[8,6,6,9,-1,10,6,2,9,3,0,-0.0200404394418001,0.1574553996324539,-0.1777157038450241],[7,0,3,4,-1,8,0,1,4,3,0,-0.005296729039400816,-0.6843491792678833,0.0356714613735676],[0,17,14,2,-1,0,17,7,1,2,7,18,7,1,2,0,-0.0021624139044433832,0.2831803858280182,-0.098511278629303],[6,18,2,2,-1,6,18,1,1,2,7,19,1,1,2,0,-0.00035464888787828386,-0.3707734048366547,0.0809329524636269],[18,17,1,3,-1,18,18,1,1,3,0,-0.00018152060511056334,-0.322070300579071,0.0775510594248772],[17,18,2,2,-1,17,18,1,1,2,18,19,1,1,2,0,-0.000275630212854594,-0.3244127929210663,0.0879494771361351],[5,7,1,9,-1,5,10,1,3,3,0,0.006382381077855825,-0.0889247134327888,0.3172721862792969],[5,3,6,4,-1,7,3,2,4,3,0,0.0111509095877409,0.0710198432207108,-0.4049403965473175],[1,9,6,2,-1,1,9,3,1,2,4,10,3,1,2,0,-0.0010593760525807738,0.2605066895484924,-0.1176564022898674],[6,9,2,3,-1,7,9,1,3,2,0,0.002390648005530238,-0.0843886211514473,0.3123055100440979],[6,8,6,12,-1,8,8,2,12,3,0,-0.0110007496550679,0.1915224939584732,-0.1521002054214478],[4,18,2,2,-1,4,18,1,1,2,5,19,1,1,2,0,-0.00024643228971399367,-0.3176515996456146,0.0865822583436966],[9,1,6,6,-1,9,3,6,2,3,0,0.0230532698333263,-0.1008976027369499,0.2576929032802582],[6,17,6,2,-1,6,18,6,1,2,0,-0.0022135660983622074,0.4568921029567719,-0.0524047911167145],[3,18,16,2,-1,3,19,16,1,2,0,-0.000971397093962878,-0.3551838099956513,0.0800943821668625],[3,0,3,11,-1,4,0,1,11,3,0,0.0015676229959353805,0.1009142026305199,-0.2160304039716721],[13,18,3,1,-1,14,18,1,1,3,0,0.0007546080159954727,0.0578961782157421,-0.4046111106872559],[6,0,9,6,-1,6,2,9,2,3,0,-0.0206989701837301,0.3154363036155701,-0.0807130485773087],[1,2,12,4,-1,1,2,6,2,2,7,4,6,2,2,0,-0.0206199400126934,0.271816611289978,-0.0763586163520813],[3,3,6,4,-1,5,3,2,4,3,0,0.0216111298650503,0.0394934490323067,-0.5942965149879456],[12,0,8,1,-1,16,0,4,1,2,0,0.006567674223333597,-0.0983536690473557,0.2364927977323532],[9,0,6,2,-1,11,0,2,2,3,0,-0.008843479678034782,-0.5252342820167542,0.0430999211966991],[3,3,12,1,-1,9,3,6,1,2,0,-0.009426074102520943,0.2466513067483902,-0.0941307172179222],[2,7,6,2,-1,2,7,3,1,2,5,8,3,1,2,0,-0.001983023015782237,0.2674370110034943,-0.0900693163275719],[0,8,4,6,-1,0,10,4,2,3,0,-0.001735839992761612,0.1594001948833466,-0.157894104719162],[9,6,3,7,-1,10,6,1,7,3,0,-0.0135138696059585,0.4079233109951019,-0.0642231181263924],[9,6,6,13,-1,11,6,2,13,3,0,-0.0193940103054047,0.1801564991474152,-0.1373140066862106],[11,12,6,1,-1,13,12,2,1,3,0,-0.003268477041274309,0.2908039093017578,-0.0801619067788124],[18,9,2,6,-1,18,12,2,3,2,0,0.00041773589327931404,-0.2141298055648804,0.1127343997359276],[17,2,3,9,-1,18,2,1,9,3,0,-0.007635111920535564,-0.4536595940589905,0.0546250604093075],[13,8,4,6,-1,13,8,2,3,2,15,11,2,3,2,0,-0.008365297690033913,0.2647292017936707,-0.0943341106176376],[4,2,12,6,-1,10,2,6,6,2,0,0.027768449857831,-0.1013671010732651,0.2074397951364517],[4,14,16,6,-1,12,14,8,6,2,0,-0.0548912286758423,0.2884030938148499,-0.075312040746212],[6,19,10,1,-1,11,19,5,1,2,0,0.002579333959147334,-0.1108852997422218,0.2172496020793915],[6,17,1,3,-1,6,18,1,1,3,0,0.00006619651685468853,-0.1887210011482239,0.1444068998098373],[4,14,10,3,-1,4,15,10,1,3,0,0.005090725142508745,-0.0776012316346169,0.2939837872982025],[6,0,12,12,-1,6,4,12,4,3,0,-0.1044425964355469,0.2013310939073563,-0.1090397015213966],[5,7,4,2,-1,5,7,2,1,2,7,8,2,1,2,0,-0.0006727309082634747,0.1794590055942535,-0.1202367022633553],[17,5,3,2,-1,18,5,1,2,3,0,0.0032412849832326174,0.0406881310045719,-0.5460057258605957]]],[15,-1.2529590129852295,[[8,13,6,3,-1,8,14,6,1,3,0,0.005296532064676285,-0.1215452998876572,0.6442037224769592],[8,13,5,3,-1,8,14,5,1,3,0,-0.002532626036554575,0.5123322010040283,-0.111082598567009],[13,2,1,18,-1,13,11,1,9,2,0,-0.0029183230362832546,-0.5061542987823486,0.1150197982788086],[6,10,9,2,-1,9,10,3,2,3,0,-0.0236923396587372,0.3716728091239929,-0.1467268019914627],[11,0,7,4,-1,11,2,7,2,2,0,0.0201774705201387,-0.1738884001970291,0.4775949120521545],[1,0,6,8,-1,3,0,2,8,3,0,-0.021723210811615,-0.4388009011745453,0.1357689946889877],[9,15,3,3,-1,9,16,3,1,3,0,0.0028369780629873276,-0.1251206994056702,0.4678902924060822],[9,17,9,3,-1,9,18,9,1,3,0,0.002714842092245817,-0.0880188569426537,0.3686651885509491],[12,12,3,3,-1,12,13,3,1,3,0,0.003262568963691592,-0.0853353068232536,0.5164473056793213],[4,1,3,5,-1,5,1,1,5,3,0,-0.0035618850961327553,-0.445039302110672,0.0917381718754768],[10,14,2,3,-1,10,15,2,1,3,0,0.001922774943523109,-0.1107731014490128,0.3941699862480164],[18,17,2,2,-1,18,17,1,1,2,19,18,1,1,2,0,-0.0003511196991894394,-0.3777570128440857,0.1216617003083229],[18,18,2,2,-1,18,18,1,1,2,19,19,1,1,2,0,0.0001912177976919338,0.0748160183429718,-0.4076710045337677],[18,18,2,2,-1,18,18,1,1,2,19,19,1,1,2,0,-0.00026525629800744355,-0.3315171897411346,0.1129112020134926],[4,10,9,1,-1,7,10,3,1,3,0,0.0200867000967264,-0.0615981183946133,0.5612881779670715],[3,9,6,5,-1,5,9,2,5,3,0,0.0367832481861115,-0.0602513886988163,0.5219249129295349],[18,8,1,12,-1,18,14,1,6,2,0,0.0013941619545221329,-0.3550305068492889,0.1086302027106285],[0,2,8,6,-1,0,2,4,3,2,4,5,4,3,2,0,-0.0151816699653864,0.2273965030908585,-0.1625299006700516],[9,4,3,3,-1,9,5,3,1,3,0,0.0046796840615570545,-0.0575350411236286,0.4812423884868622],[3,18,2,2,-1,3,18,1,1,2,4,19,1,1,2,0,-0.00017988319450523704,-0.3058767020702362,0.1086815968155861],[6,4,4,3,-1,6,5,4,1,3,0,-0.0035850999411195517,0.3859694004058838,-0.0921940729022026],[16,7,4,2,-1,16,7,2,1,2,18,8,2,1,2,0,0.001079336041584611,-0.1119038984179497,0.31125208735466],[5,17,1,3,-1,5,18,1,1,3,0,0.00007328580250032246,-0.2023991048336029,0.155866801738739],[2,0,15,20,-1,2,10,15,10,2,0,0.1367873996496201,-0.2167285978794098,0.1442039012908936],[8,11,6,4,-1,8,11,3,2,2,11,13,3,2,2,0,-0.0117292599752545,0.4350377023220062,-0.0748865306377411],[8,16,4,3,-1,8,17,4,1,3,0,0.003923084121197462,-0.0502893291413784,0.5883116126060486],[8,18,2,2,-1,8,18,1,1,2,9,19,1,1,2,0,-0.0002981912111863494,-0.3823240101337433,0.0924511328339577],[2,16,13,3,-1,2,17,13,1,3,0,-0.004799277056008577,0.4848878979682922,-0.0731365233659744],[16,16,2,2,-1,16,16,1,1,2,17,17,1,1,2,0,-0.0003015589027199894,-0.3575735986232758,0.1058188006281853],[8,1,6,3,-1,10,1,2,3,3,0,0.0103907696902752,0.0529204681515694,-0.5724965929985046],[16,7,2,2,-1,16,7,1,1,2,17,8,1,1,2,0,-0.0009448804194107652,0.449668288230896,-0.0830755233764648],[14,7,4,2,-1,14,7,2,1,2,16,8,2,1,2,0,0.0012651870492845774,-0.0966954380273819,0.3130227029323578],[4,0,14,1,-1,11,0,7,1,2,0,0.0170945394784212,-0.081248976290226,0.3611383140087128],[10,4,8,2,-1,10,4,4,1,2,14,5,4,1,2,0,0.002597335958853364,-0.1133835017681122,0.2223394960165024],[8,2,3,2,-1,9,2,1,2,3,0,0.0014527440071105957,0.0697504431009293,-0.3672071099281311],[12,11,6,3,-1,12,12,6,1,3,0,0.00476386584341526,-0.0657889619469643,0.383285403251648],[1,5,1,4,-1,1,7,1,2,2,0,-0.006250108126550913,-0.7075446844100952,0.038350198417902],[1,1,1,18,-1,1,7,1,6,3,0,-0.003176532918587327,0.1375540047883987,-0.2324002981185913],[11,13,3,2,-1,11,14,3,1,2,0,0.003219116944819689,-0.1293545067310333,0.2273788005113602],[0,1,12,2,-1,0,1,6,1,2,6,2,6,1,2,0,-0.005636557936668396,0.380671501159668,-0.0672468394041061],[10,18,2,2,-1,10,18,1,1,2,11,19,1,1,2,0,-0.00023844049428589642,-0.3112238049507141,0.0838383585214615],[4,5,4,4,-1,4,5,2,2,2,6,7,2,2,2,0,-0.004101756028831005,0.2606728076934815,-0.1044974029064179],[6,7,1,3,-1,6,8,1,1,3,0,0.0013336989795789123,-0.0582501403987408,0.4768244028091431],[14,10,6,2,-1,16,10,2,2,3,0,-0.0012090239906683564,0.148345097899437,-0.1732946932315826]]],[16,-1.118873953819275,[[16,8,3,6,-1,17,8,1,6,3,0,-0.003176093101501465,0.3333333134651184,-0.166423499584198],[4,10,6,2,-1,6,10,2,2,3,0,0.0248580798506737,-0.0727288722991943,0.5667458176612854],[6,5,3,7,-1,7,5,1,7,3,0,-0.007759728003293276,0.4625856876373291,-0.0931121781468391],[0,13,6,6,-1,0,16,6,3,2,0,0.007823902182281017,-0.2741461098194122,0.1324304938316345],[12,5,1,9,-1,12,8,1,3,3,0,-0.010948839597404,0.2234548032283783,-0.1496544927358627],[5,9,3,3,-1,6,9,1,3,3,0,-0.0034349008928984404,0.3872498869895935,-0.0661217272281647],[7,5,6,13,-1,9,5,2,13,3,0,-0.0311562903225422,0.2407827973365784,-0.1140690967440605],[19,8,1,10,-1,19,13,1,5,2,0,0.001110051991418004,-0.2820797860622406,0.1327542960643768],[11,18,6,1,-1,13,18,2,1,3,0,0.003176274010911584,0.0345859304070473,-0.5137431025505066],[9,7,6,12,-1,11,7,2,12,3,0,-0.0279774591326714,0.2392677962779999,-0.1325591951608658],[12,7,6,6,-1,14,7,2,6,3,0,-0.0230979397892952,0.3901962041854858,-0.0784780085086823],[15,8,3,4,-1,16,8,1,4,3,0,-0.003973193001002073,0.3069106936454773,-0.0706014037132263],[6,11,4,2,-1,6,12,4,1,2,0,0.003033574903383851,-0.1400219053030014,0.191348597407341],[1,6,6,8,-1,3,6,2,8,3,0,-0.0108443703502417,0.1654873043298721,-0.1565777957439423],[11,15,6,5,-1,13,15,2,5,3,0,-0.0181505102664232,-0.6324359178543091,0.0395618192851543],[15,17,4,2,-1,15,18,4,1,2,0,0.0007105229888111353,-0.1851557046175003,0.1340880990028381],[13,11,6,1,-1,15,11,2,1,3,0,0.0108933402225375,-0.0267302300781012,0.6097180247306824],[5,18,2,2,-1,5,18,1,1,2,6,19,1,1,2,0,-0.0002878090017475188,-0.3006514012813568,0.0731714591383934],[4,8,4,4,-1,4,8,2,2,2,6,10,2,2,2,0,-0.0035855069290846586,0.2621760964393616,-0.0797140970826149],[11,7,9,3,-1,11,8,9,1,3,0,-0.0197592806071043,-0.5903922915458679,0.0406989715993404],[0,3,10,4,-1,0,3,5,2,2,5,5,5,2,2,0,-0.010845210403204,0.1636455953121185,-0.1258606016635895],[7,18,6,1,-1,9,18,2,1,3,0,-0.004318309016525745,-0.5747488141059875,0.0376443117856979],[0,8,3,3,-1,0,9,3,1,3,0,0.0014913700288161635,0.0609134696424007,-0.3022292852401733],[0,0,6,8,-1,0,0,3,4,2,3,4,3,4,2,0,0.0156756993383169,-0.0731459110975266,0.2937945127487183],[7,6,3,8,-1,8,6,1,8,3,0,-0.0110335601493716,0.393188089132309,-0.0470843203365803],[13,7,7,3,-1,13,8,7,1,3,0,0.008855575695633888,0.0376013815402985,-0.4910849034786224],[3,3,2,2,-1,3,4,2,1,2,0,-0.0008966567111201584,0.1795202046632767,-0.1108623966574669],[0,3,3,3,-1,0,4,3,1,3,0,-0.0030592409893870354,-0.4442946016788483,0.0510054305195808],[9,3,5,2,-1,9,4,5,1,2,0,0.006320117972791195,-0.0528410896658897,0.3719710111618042],[6,5,9,4,-1,9,5,3,4,3,0,0.020682830363512,0.0576671697199345,-0.3690159916877747],[3,10,12,3,-1,7,10,4,3,3,0,0.0998226627707481,-0.037377018481493,0.5816559195518494],[8,7,3,6,-1,9,7,1,6,3,0,-0.006585422903299332,0.2850944101810455,-0.0609780699014664],[5,5,6,5,-1,8,5,3,5,2,0,-0.0609003007411957,-0.5103176832199097,0.0377874001860619],[0,5,2,3,-1,0,6,2,1,3,0,-0.0029991709161549807,-0.4794301092624664,0.0388338901102543],[9,7,3,4,-1,10,7,1,4,3,0,-0.009890643879771233,0.4060907959938049,-0.047869648784399],[1,0,6,15,-1,3,0,2,15,3,0,-0.0826889276504517,-0.7067118287086487,0.0274877492338419],[15,1,3,5,-1,16,1,1,5,3,0,0.00500603998079896,0.028208440169692,-0.5290969014167786],[9,2,3,10,-1,10,2,1,10,3,0,0.006169503089040518,-0.0545548610389233,0.3283798098564148],[8,8,6,12,-1,10,8,2,12,3,0,-0.0033914761152118444,0.0921176671981812,-0.2163711041212082],[16,4,3,4,-1,16,6,3,2,2,0,-0.0026131230406463146,0.1365101933479309,-0.1378113031387329],[16,7,2,2,-1,16,7,1,1,2,17,8,1,1,2,0,0.0008049065945670009,-0.0686371102929115,0.3358106911182404],[13,0,6,9,-1,13,3,6,3,3,0,-0.0381065085530281,0.2944543063640595,-0.068239226937294],[7,17,1,3,-1,7,18,1,1,3,0,0.00007245079905260354,-0.167501300573349,0.1217823028564453],[12,1,4,2,-1,12,2,4,1,2,0,0.0015837959945201874,-0.0920428484678268,0.213489904999733],[17,3,1,3,-1,17,4,1,1,3,0,0.0012924340553581715,0.0629172325134277,-0.3617450892925263],[0,16,9,3,-1,0,17,9,1,3,0,0.00991467759013176,0.0195340607315302,-0.8101503849029541],[3,6,2,4,-1,3,6,1,2,2,4,8,1,2,2,0,-0.0017086310544982553,0.2552523910999298,-0.0682294592261314],[13,18,3,1,-1,14,18,1,1,3,0,0.002184439916163683,0.0233140494674444,-0.8429678082466125],[0,18,4,2,-1,2,18,2,2,2,0,-0.003424433059990406,0.2721368968486786,-0.0763952285051346],[1,19,2,1,-1,2,19,1,1,2,0,0.00027591470279730856,-0.1074284017086029,0.2288897037506104],[0,18,4,2,-1,0,19,4,1,2,0,-0.0006000517751090229,-0.2985421121120453,0.0634797364473343],[2,17,1,3,-1,2,18,1,1,3,0,-0.00025001438916660845,-0.2717896997928619,0.0696150064468384],[4,8,3,5,-1,5,8,1,5,3,0,0.006875139195472002,-0.0571858994662762,0.3669595122337341],[2,1,6,7,-1,4,1,2,7,3,0,0.0127619002014399,0.0679556876420975,-0.2853415012359619],[3,6,2,8,-1,3,6,1,4,2,4,10,1,4,2,0,-0.0014752789866179228,0.2068066000938416,-0.1005939021706581],[4,5,11,10,-1,4,10,11,5,2,0,0.1213881969451904,-0.0971267968416214,0.1978961974382401],[0,13,20,2,-1,10,13,10,2,2,0,-0.0500812791287899,0.2841717898845673,-0.0678799971938133],[1,13,16,3,-1,9,13,8,3,2,0,0.0314549505710602,-0.0894686728715897,0.2129842042922974],[16,4,4,4,-1,16,4,2,2,2,18,6,2,2,2,0,0.0018878319533541799,-0.1165644004940987,0.166635200381279],[16,0,4,12,-1,16,0,2,6,2,18,6,2,6,2,0,-0.005721196066588163,0.2370214015245438,-0.0907766073942184],[14,15,3,1,-1,15,15,1,1,3,0,-0.00018076719425152987,0.1795192956924439,-0.1079348027706146],[3,4,12,10,-1,3,9,12,5,2,0,-0.1976184993982315,0.4567429125308991,-0.0404801592230797],[9,18,2,2,-1,9,18,1,1,2,10,19,1,1,2,0,-0.00023846809926908463,-0.2373300939798355,0.0759221613407135],[9,18,2,2,-1,9,18,1,1,2,10,19,1,1,2,0,0.00021540730085689574,0.0816880166530609,-0.2868503034114838],[13,4,2,14,-1,13,4,1,7,2,14,11,1,7,2,0,0.0101630901917815,-0.0412500202655792,0.4803834855556488],[4,2,6,4,-1,7,2,3,4,2,0,-0.007218487095087767,0.1745858043432236,-0.1014650017023087],[0,0,18,20,-1,0,0,9,10,2,9,10,9,10,2,0,0.2426317036151886,0.05342648178339,-0.3231852948665619],[15,11,1,2,-1,15,12,1,1,2,0,0.0006930410163477063,-0.1149917989969254,0.1479393988847733],[16,10,2,4,-1,16,10,1,2,2,17,12,1,2,2,0,0.003547519911080599,-0.0394249781966209,0.5312618017196655],[18,17,2,2,-1,18,17,1,1,2,19,18,1,1,2,0,0.00021403690334409475,0.0697538331151009,-0.2731958031654358],[9,17,1,2,-1,9,18,1,1,2,0,-0.0005711946287192404,0.3436990082263947,-0.0576990097761154],[8,4,9,6,-1,11,4,3,6,3,0,-0.006629006937146187,0.1175848990678787,-0.1502013951539993]]],[17,-1.088881015777588,[[6,9,9,10,-1,9,9,3,10,3,0,-0.0265134498476982,0.2056864053010941,-0.2647390067577362],[5,0,5,4,-1,5,2,5,2,2,0,0.00977274589240551,-0.111928403377533,0.325705498456955],[5,7,11,4,-1,5,9,11,2,2,0,0.0322903506457806,-0.0985747575759888,0.3177917003631592],[2,4,2,14,-1,3,4,1,14,2,0,-0.00281032407656312,0.1521389931440353,-0.1968640983104706],[8,6,3,5,-1,9,6,1,5,3,0,-0.0109914299100637,0.5140765905380249,-0.0437072105705738],[8,4,3,9,-1,9,4,1,9,3,0,0.006313383113592863,-0.0927810221910477,0.3470247089862824],[0,8,20,6,-1,0,10,20,2,3,0,0.0871059820055962,0.030053649097681,-0.8281481862068176],[14,16,6,1,-1,17,16,3,1,2,0,0.0011799359926953912,-0.1292842030525208,0.2064612060785294],[17,18,2,2,-1,17,19,2,1,2,0,-0.0009305689018219709,-0.5002143979072571,0.0936669930815697],[8,17,6,3,-1,10,17,2,3,3,0,-0.0136871701106429,-0.793581485748291,-0.006673363968729973],[4,1,9,15,-1,7,1,3,15,3,0,-0.0759174525737762,0.3046964108943939,-0.0796558931469917],[11,5,3,12,-1,12,5,1,12,3,0,-0.0028559709899127483,0.2096146047115326,-0.1273255050182343],[0,15,4,3,-1,0,16,4,1,3,0,-0.004023151006549597,-0.6581727862358093,0.0506836399435997],[0,0,15,1,-1,5,0,5,1,3,0,0.0175580400973558,-0.0853826925158501,0.3617455959320068],[6,0,6,4,-1,8,0,2,4,3,0,0.0219882391393185,0.062943696975708,-0.7089633941650391],[2,0,9,3,-1,5,0,3,3,3,0,-0.002859958913177252,0.1468378007411957,-0.1646597981452942],[13,6,3,7,-1,14,6,1,7,3,0,-0.0100308498367667,0.4957993924617767,-0.0271883402019739],[7,6,4,2,-1,7,7,4,1,2,0,-0.006956032942980528,0.2797777950763702,-0.0779533311724663],[6,18,6,1,-1,8,18,2,1,3,0,-0.0038356808945536613,-0.58163982629776,0.0357399396598339],[18,6,2,2,-1,18,7,2,1,2,0,-0.0032647319603711367,-0.4994508028030396,0.0469864904880524],[6,4,7,3,-1,6,5,7,1,3,0,-0.007841235026717186,0.34532830119133,-0.0688104033470154],[12,7,3,1,-1,13,7,1,1,3,0,-0.00008171811350621283,0.1504171043634415,-0.1414667963981628],[15,1,2,10,-1,15,1,1,5,2,16,6,1,5,2,0,-0.0032448628917336464,0.227245107293129,-0.0928602069616318],[0,18,2,2,-1,0,19,2,1,2,0,-0.0007856115116737783,-0.4431901872158051,0.0578124411404133],[19,4,1,8,-1,19,8,1,4,2,0,-0.0006247424753382802,0.1395238935947418,-0.1466871947050095],[1,17,1,3,-1,1,18,1,1,3,0,-0.0003294294874649495,-0.2990157008171082,0.0760667398571968],[0,15,6,4,-1,0,15,3,2,2,3,17,3,2,2,0,0.0012605739757418633,-0.1612560003995895,0.1395380049943924],[19,0,1,18,-1,19,6,1,6,3,0,-0.0516670197248459,-0.5314283967018127,0.0407195203006268],[10,2,6,2,-1,12,2,2,2,3,0,-0.0152856195345521,-0.7820637822151184,0.0271837692707777],[2,8,12,2,-1,6,8,4,2,3,0,0.0690298229455948,-0.0364270210266113,0.7110251784324646],[16,0,4,1,-1,18,0,2,1,2,0,0.001452274969778955,-0.0968905165791512,0.2166842073202133],[8,4,2,6,-1,8,7,2,3,2,0,-0.0024765590205788612,0.1164531037211418,-0.1822797954082489],[14,5,2,10,-1,15,5,1,10,2,0,-0.0015134819550439715,0.1786397993564606,-0.1221496984362602],[13,4,2,2,-1,13,5,2,1,2,0,-0.0015099470037966967,0.1808623969554901,-0.1144606992602348],[11,1,3,6,-1,11,3,3,2,3,0,-0.006705462001264095,0.2510659992694855,-0.0918714627623558],[6,9,12,2,-1,10,9,4,2,3,0,-0.014075200073421,0.1370750963687897,-0.173335000872612],[9,16,4,2,-1,9,17,4,1,2,0,-0.0022400720044970512,0.4009298086166382,-0.0475768782198429],[5,14,15,4,-1,5,16,15,2,2,0,0.0197823699563742,-0.1904035061597824,0.1492341011762619],[18,16,2,2,-1,18,17,2,1,2,0,0.002600287087261677,0.0469717681407928,-0.4330765902996063],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0,-0.0005344562814570963,-0.4374423027038574,0.0415201894938946],[6,4,3,8,-1,7,4,1,8,3,0,-0.0174665097147226,0.6581817269325256,-0.0344474911689758],[5,9,3,1,-1,6,9,1,1,3,0,-0.00204255897551775,0.3965792953968048,-0.044052429497242],[0,8,1,6,-1,0,10,1,2,3,0,0.0026661779265850782,0.0587709583342075,-0.3280636966228485],[11,2,9,6,-1,14,2,3,6,3,0,-0.0559823699295521,-0.5173547267913818,0.0357918404042721],[12,2,6,4,-1,14,2,2,4,3,0,-0.0015066330088302493,0.1512386947870255,-0.1252018064260483],[1,7,2,4,-1,1,9,2,2,2,0,-0.0114723695442081,-0.6293053030967712,0.0347043313086033],[13,1,6,4,-1,13,3,6,2,2,0,0.0234096292406321,-0.0580633506178856,0.3866822123527527],[4,10,2,10,-1,4,10,1,5,2,5,15,1,5,2,0,-0.002324372995644808,0.1875409930944443,-0.0983946695923805],[2,16,9,3,-1,5,16,3,3,3,0,-0.0290392991155386,-0.5448690056800842,0.0409263409674168],[1,2,3,9,-1,2,2,1,9,3,0,-0.014474649913609,-0.6724839210510254,0.0231288503855467],[19,7,1,4,-1,19,9,1,2,2,0,-0.005208609160035849,-0.4327144026756287,0.0437806509435177],[14,11,6,8,-1,14,11,3,4,2,17,15,3,4,2,0,0.004938289988785982,-0.1087862029671669,0.1934258937835693],[15,12,4,6,-1,15,12,2,3,2,17,15,2,3,2,0,-0.004319393076002598,0.2408093065023422,-0.1038080006837845],[16,15,2,2,-1,16,15,1,1,2,17,16,1,1,2,0,0.0002370566944591701,-0.087349072098732,0.2046623975038528],[17,16,2,2,-1,17,16,1,1,2,18,17,1,1,2,0,0.0004785807977896184,0.0456245802342892,-0.3885467052459717],[17,16,2,2,-1,17,16,1,1,2,18,17,1,1,2,0,-0.0008534283842891455,-0.550779402256012,0.0358258895576],[2,3,2,2,-1,2,3,1,1,2,3,4,1,1,2,0,0.00005477212107507512,-0.1122523993253708,0.1750351935625076],[10,10,3,3,-1,11,10,1,3,3,0,-0.0038445889949798584,0.2452670037746429,-0.0811325684189796],[5,9,7,8,-1,5,13,7,4,2,0,-0.0401284582912922,-0.6312270760536194,0.0269726701080799],[7,16,2,2,-1,7,16,1,1,2,8,17,1,1,2,0,-0.0001788636000128463,0.1985509991645813,-0.1033368036150932],[7,16,2,2,-1,7,16,1,1,2,8,17,1,1,2,0,0.00017668239888735116,-0.0913590118288994,0.1984872072935104],[9,8,10,3,-1,14,8,5,3,2,0,0.0727633833885193,0.0500755794346333,-0.3385263085365295],[6,7,4,8,-1,6,7,2,4,2,8,11,2,4,2,0,0.0101816300302744,-0.0932299792766571,0.2005959004163742],[1,6,4,3,-1,1,7,4,1,3,0,0.0024409969337284565,0.0646366328001022,-0.2692174017429352],[6,10,6,10,-1,8,10,2,10,3,0,-0.003622748889029026,0.1316989064216614,-0.1251484006643295],[4,6,3,6,-1,5,6,1,6,3,0,-0.0013635610230267048,0.1635046005249023,-0.106659397482872]]],[18,-1.0408929586410522,[[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,0,-0.009699116460978985,0.6112532019615173,-0.0662253126502037],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,0,-0.009642653167247772,-1,0.0027699959464371204],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,0,-0.009638186544179916,1,-0.00029904270195402205],[14,8,2,6,-1,15,8,1,6,2,0,-0.004255393985658884,0.2846438884735107,-0.1554012000560761],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,0,-0.009622352197766304,-1,0.0439991801977158],[3,10,4,4,-1,3,10,2,2,2,5,12,2,2,2,0,-0.009123124182224274,0.8686934113502502,-0.0027267890982329845],[12,4,3,9,-1,13,4,1,9,3,0,-0.008624043315649033,0.4535248875617981,-0.0860713794827461],[12,3,1,12,-1,12,7,1,4,3,0,-0.008932414464652538,0.1337555944919586,-0.2601251900196075],[2,0,18,1,-1,8,0,6,1,3,0,-0.0142078101634979,0.3207764029502869,-0.0972264111042023],[10,0,10,6,-1,10,0,5,3,2,15,3,5,3,2,0,0.0259110108017921,-0.1296408027410507,0.2621864974498749],[18,16,2,2,-1,18,17,2,1,2,0,0.00020531509653665125,-0.1240428015589714,0.2106295973062515],[3,5,4,2,-1,3,5,2,1,2,5,6,2,1,2,0,-0.000054795680625829846,0.1197429969906807,-0.2320127934217453],[11,8,3,3,-1,12,8,1,3,3,0,0.006855519954115152,-0.0632761269807816,0.4104425013065338],[11,7,3,5,-1,12,7,1,5,3,0,-0.0122530404478312,0.5488333106040955,-0.0397311002016068],[3,19,15,1,-1,8,19,5,1,3,0,-0.0039058770053088665,0.2419098019599915,-0.0970960110425949],[8,13,3,2,-1,8,14,3,1,2,0,0.0027560980524867773,-0.1256967931985855,0.1945665031671524],[2,12,8,4,-1,2,12,4,2,2,6,14,4,2,2,0,-0.0077662160620093346,0.2976570129394531,-0.0968181565403938],[16,16,2,2,-1,16,16,1,1,2,17,17,1,1,2,0,0.00038997188676148653,0.0621884018182755,-0.4204089939594269],[7,0,3,2,-1,8,0,1,2,3,0,0.0033579880837351084,0.0474981404840946,-0.6321688294410706],[6,7,2,5,-1,7,7,1,5,2,0,-0.0167455393821001,0.7109813094139099,-0.0391573496162891],[18,0,2,17,-1,19,0,1,17,2,0,-0.0065409899689257145,-0.3504317104816437,0.0706169530749321],[16,16,1,3,-1,16,17,1,1,3,0,0.0003001634031534195,0.091902457177639,-0.2461867034435272],[14,8,3,7,-1,15,8,1,7,3,0,0.0149189904332161,-0.0519094504415989,0.5663604140281677],[10,17,2,2,-1,10,17,1,1,2,11,18,1,1,2,0,0.00048153079114854336,0.064659558236599,-0.3659060895442963],[4,9,1,3,-1,4,10,1,1,3,0,-0.00030211321427486837,0.1792656928300858,-0.1141066029667854],[18,10,2,3,-1,18,11,2,1,3,0,0.0003852141962852329,0.1034561991691589,-0.2007246017456055],[12,1,3,10,-1,13,1,1,10,3,0,0.008083713240921497,-0.0660734623670578,0.3028424978256226],[8,12,9,1,-1,11,12,3,1,3,0,-0.0228049699217081,0.5296235084533691,-0.0401189997792244],[5,18,2,2,-1,5,18,1,1,2,6,19,1,1,2,0,0.00019440450705587864,0.0818548202514648,-0.2466336041688919],[19,6,1,9,-1,19,9,1,3,3,0,-0.0128480903804302,-0.3497331142425537,0.0569162294268608],[4,7,2,4,-1,4,7,1,2,2,5,9,1,2,2,0,-0.001093729049898684,0.2336868047714233,-0.0916048064827919],[1,4,6,14,-1,3,4,2,14,3,0,0.0010032650316134095,0.1185218021273613,-0.1846919059753418],[10,5,9,3,-1,13,5,3,3,3,0,-0.0446884296834469,-0.6436246037483215,0.0303632691502571],[18,7,2,6,-1,18,9,2,2,3,0,0.00816575437784195,0.0436746589839458,-0.4300208985805512],[5,6,2,7,-1,6,6,1,7,2,0,-0.0117178102955222,0.4178147912025452,-0.0482336990535259],[10,4,6,8,-1,13,4,3,8,2,0,0.0842771306633949,0.053461279720068,-0.379521906375885],[0,8,2,9,-1,0,11,2,3,3,0,0.0142118399962783,0.0449009388685226,-0.4298149943351746],[0,7,5,3,-1,0,8,5,1,3,0,0.001502834027633071,0.0822276398539543,-0.2470639944076538],[8,1,7,2,-1,8,2,7,1,2,0,0.0100035797804594,-0.057221669703722,0.3460937142372131],[7,5,3,5,-1,8,5,1,5,3,0,-0.009070632047951221,0.450580894947052,-0.0427953191101551],[19,2,1,2,-1,19,3,1,1,2,0,-0.0003314162022434175,0.1833691000938416,-0.1075994968414307],[6,7,10,11,-1,11,7,5,11,2,0,0.19723279774189,-0.030363829806447,0.6642342805862427],[9,19,6,1,-1,11,19,2,1,3,0,-0.007125880103558302,-0.8922504782676697,0.0256699901074171],[3,0,12,1,-1,7,0,4,1,3,0,0.00869213417172432,-0.0707643702626228,0.2821052968502045],[4,1,6,5,-1,6,1,2,5,3,0,0.008926212787628174,0.0710782334208488,-0.3023256063461304],[6,12,12,6,-1,10,12,4,6,3,0,0.0572860091924667,0.0509741306304932,-0.3919695019721985],[16,13,2,3,-1,16,14,2,1,3,0,0.0037920880131423473,0.0338419415056705,-0.510162889957428],[7,14,4,2,-1,7,15,4,1,2,0,-0.0014508679741993546,0.3087914884090424,-0.063845083117485],[7,14,2,2,-1,7,15,2,1,2,0,0.00098390132188797,-0.1302956938743591,0.1460441052913666],[3,10,2,4,-1,3,10,1,2,2,4,12,1,2,2,0,-0.0017221809830516577,0.2915700972080231,-0.0685495585203171],[0,3,2,6,-1,0,5,2,2,3,0,0.0109482500702143,0.0343514084815979,-0.4770225882530212],[1,10,2,2,-1,1,10,1,1,2,2,11,1,1,2,0,-0.00001717630948405713,0.1605526953935623,-0.1169084012508392],[16,4,4,3,-1,16,5,4,1,3,0,-0.005488420836627483,-0.4341588914394379,0.0461062416434288],[5,10,2,4,-1,5,10,1,2,2,6,12,1,2,2,0,-0.0030975250992923975,0.3794333934783936,-0.05686055123806],[5,11,13,2,-1,5,12,13,1,2,0,0.006418208125978708,-0.1585821062326431,0.1233541965484619],[10,2,3,11,-1,11,2,1,11,3,0,0.0118312397971749,-0.0409292913973331,0.458789587020874],[10,2,4,4,-1,10,4,4,2,2,0,0.013540499843657,-0.0537255592644215,0.3505612015724182],[8,8,6,2,-1,10,8,2,2,3,0,-0.002593215089291334,0.1101052016019821,-0.1675221025943756],[11,2,3,3,-1,12,2,1,3,3,0,0.0016856270376592875,0.0665743574500084,-0.3083502054214478],[6,18,14,2,-1,6,18,7,1,2,13,19,7,1,2,0,0.002652469091117382,0.0663184821605682,-0.2786133885383606],[17,7,1,12,-1,17,11,1,4,3,0,-0.007734172977507114,0.1971835941076279,-0.1078291982412338],[10,5,10,3,-1,10,6,10,1,3,0,0.005094427149742842,0.0853374898433685,-0.2484700977802277],[6,1,3,3,-1,7,1,1,3,3,0,-0.0029162371065467596,-0.4747635126113892,0.033566489815712],[13,8,3,1,-1,14,8,1,1,3,0,0.0030121419113129377,-0.0475753806531429,0.4258680045604706],[10,14,2,6,-1,10,16,2,2,3,0,0.0031694869976490736,-0.1051945015788078,0.1716345995664597],[4,1,12,14,-1,8,1,4,14,3,0,0.2232756018638611,-0.0143702095374465,0.9248365163803101],[14,1,6,14,-1,16,1,2,14,3,0,-0.0955850481987,-0.7420663833618164,0.0278189703822136],[3,16,2,2,-1,3,16,1,1,2,4,17,1,1,2,0,0.00003477372956695035,-0.1276578009128571,0.129266694188118],[0,16,2,2,-1,0,17,2,1,2,0,0.00007245977030834183,-0.1651857942342758,0.1003680974245071]]],[19,-1.0566600561141968,[[15,6,4,6,-1,15,6,2,3,2,17,9,2,3,2,0,-0.006577827036380768,0.3381525874137878,-0.1528190970420837],[12,5,2,2,-1,12,6,2,1,2,0,-0.0010922809597104788,0.2228236943483353,-0.1930849999189377],[7,6,6,13,-1,9,6,2,13,3,0,-0.0297595895826817,0.2595987021923065,-0.1540940999984741],[1,9,6,5,-1,3,9,2,5,3,0,-0.0131475403904915,0.1903381049633026,-0.1654399931430817],[0,5,3,4,-1,0,7,3,2,2,0,-0.0014396329643204808,0.200717106461525,-0.1233894005417824],[4,1,16,2,-1,4,1,8,1,2,12,2,8,1,2,0,-0.0035928250290453434,0.2398552000522614,-0.129221498966217],[1,18,4,2,-1,1,18,2,1,2,3,19,2,1,2,0,-0.0015314699849113822,-0.4901489913463593,0.102750301361084],[7,7,3,4,-1,8,7,1,4,3,0,-0.0062372139655053616,0.31214639544487,-0.114056296646595],[3,4,9,3,-1,6,4,3,3,3,0,-0.033364649862051,-0.4952087998390198,0.0513284504413605],[4,6,6,10,-1,6,6,2,10,3,0,-0.0228276997804642,0.3255882859230042,-0.0650893077254295],[9,0,8,10,-1,13,0,4,10,2,0,-0.0861990973353386,-0.6764633059501648,0.0269856993108988],[8,0,8,1,-1,12,0,4,1,2,0,-0.002106598112732172,0.2245243042707443,-0.1261022984981537],[6,2,8,16,-1,6,2,4,8,2,10,10,4,8,2,0,0.0391201488673687,0.1132939979434013,-0.2686063051223755],[14,10,2,10,-1,14,10,1,5,2,15,15,1,5,2,0,0.0035082739777863026,-0.1135995984077454,0.2564977109432221],[12,11,1,2,-1,12,12,1,1,2,0,0.0005928989849053323,-0.1494296938180924,0.164098396897316],[16,0,3,8,-1,17,0,1,8,3,0,0.0007176685030572116,0.0999056920409203,-0.2196796983480454],[14,0,6,10,-1,17,0,3,10,2,0,-0.0218036007136106,-0.3171172142028809,0.082889586687088],[16,0,3,5,-1,17,0,1,5,3,0,-0.003296277951449156,-0.3804872930049896,0.0608193799853325],[4,5,11,2,-1,4,6,11,1,2,0,0.0024196270387619734,-0.0960130169987679,0.2854058146476746],[1,0,2,1,-1,2,0,1,1,2,0,-0.00044187481398694217,0.2212793976068497,-0.0974349081516266],[0,0,2,3,-1,0,1,2,1,3,0,0.0034523929934948683,0.0375531204044819,-0.5796905159950256],[11,6,6,11,-1,13,6,2,11,3,0,-0.0218346007168293,0.295621395111084,-0.0800483003258705],[14,0,3,1,-1,15,0,1,1,3,0,-0.00021309500152710825,0.2281450927257538,-0.1011418998241425],[19,7,1,2,-1,19,8,1,1,2,0,-0.0016166249988600612,-0.5054119825363159,0.0447645410895348],[17,0,3,9,-1,18,0,1,9,3,0,0.007595960982143879,0.0459865406155586,-0.4119768142700195],[12,7,3,4,-1,13,7,1,4,3,0,0.003860180964693427,-0.0865631699562073,0.2480999976396561],[0,1,14,2,-1,0,1,7,1,2,7,2,7,1,2,0,0.006062223110347986,-0.0755573734641075,0.2843326032161713],[3,1,3,2,-1,4,1,1,2,3,0,-0.0017097420059144497,-0.3529582023620606,0.0584104992449284],[4,0,15,2,-1,9,0,5,2,3,0,0.0165155790746212,-0.0804869532585144,0.2353743016719818],[10,2,6,1,-1,12,2,2,1,3,0,0.004846510011702776,0.041895218193531,-0.4844304919242859],[9,4,6,11,-1,11,4,2,11,3,0,-0.0311671700328588,0.1919230967760086,-0.1026815995573998],[2,16,2,4,-1,2,18,2,2,2,0,0.0006189228151924908,-0.210857704281807,0.0938869267702103],[6,17,6,3,-1,8,17,2,3,3,0,0.0119463102892041,0.0390961691737175,-0.6224862933158875],[7,9,6,2,-1,9,9,2,2,3,0,-0.0075677200220525265,0.1593683958053589,-0.1225078031420708],[6,8,9,2,-1,9,8,3,2,3,0,-0.0537474118173122,-0.5562217831611633,0.0411900095641613],[6,6,2,10,-1,6,6,1,5,2,7,11,1,5,2,0,0.0155135300010443,-0.0398268811404705,0.6240072846412659],[0,11,2,3,-1,0,12,2,1,3,0,0.0015246650436893106,0.0701386779546738,-0.3078907132148743],[11,15,4,1,-1,13,15,2,1,2,0,-0.0004831510013900697,0.178876593708992,-0.109586201608181],[6,17,1,2,-1,6,18,1,1,2,0,0.0027374739293009043,0.0274785906076431,-0.8848956823348999],[0,0,6,20,-1,2,0,2,20,3,0,-0.0657877177000046,-0.4643214046955109,0.0350371487438679],[3,10,2,2,-1,4,10,1,2,2,0,0.0012409730115905404,-0.0964792370796204,0.2877922058105469],[4,7,3,5,-1,5,7,1,5,3,0,0.0008139880956150591,0.1151171997189522,-0.1676616072654724],[3,12,6,2,-1,5,12,2,2,3,0,0.0239018201828003,-0.0326031893491745,0.6001734733581543],[6,15,7,4,-1,6,17,7,2,2,0,0.0275566000491381,-0.0661373436450958,0.2999447882175446],[17,16,2,2,-1,17,16,1,1,2,18,17,1,1,2,0,-0.00038070970913395286,-0.3388118147850037,0.0644507706165314],[15,1,3,16,-1,16,1,1,16,3,0,-0.0013335429830476642,0.1458866000175476,-0.1321762055158615],[6,16,6,3,-1,8,16,2,3,3,0,-0.009350799024105072,-0.5117782950401306,0.0349694713950157],[15,14,3,2,-1,15,15,3,1,2,0,0.00762152299284935,0.0232495293021202,-0.6961941123008728],[12,16,1,2,-1,12,17,1,1,2,0,-0.00005340786083252169,0.2372737973928452,-0.0869107097387314],[0,2,4,4,-1,0,2,2,2,2,2,4,2,2,2,0,-0.0015332329785451293,0.192284107208252,-0.1042239964008331],[1,1,6,4,-1,1,1,3,2,2,4,3,3,2,2,0,0.004313589073717594,-0.0962195470929146,0.2560121119022369],[1,18,1,2,-1,1,19,1,1,2,0,-0.000230428806389682,-0.3156475126743317,0.0588385984301567],[4,7,2,3,-1,4,8,2,1,3,0,-0.007841182872653008,-0.6634092926979065,0.0245009995996952],[1,0,9,14,-1,1,7,9,7,2,0,0.1710374057292938,0.033831499516964,-0.4561594128608704],[4,9,2,6,-1,4,9,1,3,2,5,12,1,3,2,0,-0.001601114054210484,0.2157489061355591,-0.0836225301027298],[3,9,4,3,-1,5,9,2,3,2,0,-0.0105357803404331,0.2455231994390488,-0.0823844894766808],[0,9,2,4,-1,0,11,2,2,2,0,-0.005835163872689009,-0.4780732989311218,0.0440862216055393],[16,6,3,10,-1,17,6,1,10,3,0,-0.0187061093747616,-0.6002402901649475,0.0214100405573845],[16,11,2,1,-1,17,11,1,1,2,0,-0.0009330743923783302,0.2432359009981155,-0.0741657167673111]]],[20,-0.9769343137741089,[[5,7,4,4,-1,5,9,4,2,2,0,0.0106462296098471,-0.1386138945817947,0.2649407088756561],[10,11,9,2,-1,13,11,3,2,3,0,0.0352982692420483,-0.075821727514267,0.3902106881141663],[15,10,2,2,-1,15,10,1,1,2,16,11,1,1,2,0,0.0007563838735222816,-0.095521442592144,0.2906199991703033],[10,6,6,14,-1,10,13,6,7,2,0,0.092497706413269,-0.2770423889160156,0.0794747024774551],[14,7,3,5,-1,15,7,1,5,3,0,-0.002934087999165058,0.2298953980207443,-0.0785500109195709],[6,11,12,3,-1,10,11,4,3,3,0,-0.0865358486771584,0.4774481058120728,-0.006823122035712004],[17,16,1,2,-1,17,17,1,1,2,0,0.000054699288739357144,-0.2264260947704315,0.0881921127438545],[8,5,5,4,-1,8,7,5,2,2,0,-0.0365925207734108,0.2735387086868286,-0.0986067429184914],[11,6,4,2,-1,11,7,4,1,2,0,0.0026469118893146515,-0.0440839789807796,0.3144528865814209],[3,4,8,2,-1,3,4,4,1,2,7,5,4,1,2,0,-0.004427181091159582,0.2382272928953171,-0.0867842733860016],[0,8,6,6,-1,2,8,2,6,3,0,-0.005188248120248318,0.1504276990890503,-0.1267210990190506],[7,4,6,2,-1,7,5,6,1,2,0,0.004553040023893118,-0.0559450201690197,0.3650163114070892],[7,3,6,3,-1,9,3,2,3,3,0,0.0145624103024602,0.0363977700471878,-0.5355919003486633],[2,17,3,3,-1,2,18,3,1,3,0,0.00006867756746942177,-0.1747962981462479,0.1106870993971825],[3,10,6,1,-1,5,10,2,1,3,0,-0.005974490195512772,0.3107787072658539,-0.0665302276611328],[7,2,6,2,-1,9,2,2,2,3,0,-0.0058691250160336494,-0.3190149068832398,0.063931830227375],[4,11,9,1,-1,7,11,3,1,3,0,-0.0111403102055192,0.2436479032039642,-0.0809351801872253],[7,7,11,12,-1,7,13,11,6,2,0,-0.0586435310542583,-0.7608326077461243,0.0308096297085285],[3,2,3,4,-1,4,2,1,4,3,0,-0.0046097282320261,-0.45315021276474,0.0298790596425533],[9,7,9,3,-1,12,7,3,3,3,0,-0.00930321030318737,0.1451337933540344,-0.1103316992521286],[15,11,2,6,-1,15,11,1,3,2,16,14,1,3,2,0,0.0013253629440441728,-0.0976989567279816,0.196464404463768],[0,5,5,3,-1,0,6,5,1,3,0,0.004980076104402542,0.0336480811238289,-0.3979220986366272],[8,1,6,12,-1,10,1,2,12,3,0,-0.007654216140508652,0.090841993689537,-0.1596754938364029],[3,7,15,13,-1,8,7,5,13,3,0,-0.3892059028148651,-0.6657109260559082,0.0190288294106722],[0,9,9,9,-1,0,12,9,3,3,0,-0.1001966968178749,-0.5755926966667175,0.0242827795445919],[16,0,3,8,-1,17,0,1,8,3,0,0.0007354121189564466,0.0879198014736176,-0.161953404545784],[16,2,4,2,-1,18,2,2,2,2,0,-0.0034802639856934547,0.2606449127197266,-0.0602008104324341],[13,0,6,5,-1,16,0,3,5,2,0,0.008400042541325092,-0.1097972989082336,0.1570730954408646],[15,1,3,2,-1,16,1,1,2,3,0,0.0023786011151969433,0.0360582396388054,-0.4727719128131867],[11,8,3,2,-1,12,8,1,2,3,0,0.007383168209344149,-0.0357563607394695,0.4949859082698822],[1,8,2,12,-1,1,8,1,6,2,2,14,1,6,2,0,0.003211562056094408,-0.1012556031346321,0.1574798971414566],[0,1,6,12,-1,2,1,2,12,3,0,-0.0782096683979034,-0.7662708163261414,0.0229658298194408],[19,17,1,3,-1,19,18,1,1,3,0,0.00005330398926162161,-0.1341435015201569,0.1111491993069649],[11,3,3,10,-1,12,3,1,10,3,0,-0.009641915559768677,0.2506802976131439,-0.0666081383824348],[8,1,9,8,-1,11,1,3,8,3,0,-0.0710926726460457,-0.4005681872367859,0.0402977913618088],[18,16,2,2,-1,18,16,1,1,2,19,17,1,1,2,0,0.00035171560011804104,0.041861180216074,-0.3296119868755341],[18,16,2,2,-1,18,16,1,1,2,19,17,1,1,2,0,-0.0003345815057400614,-0.2602983117103577,0.0678927376866341],[6,13,2,6,-1,6,15,2,2,3,0,-0.0041451421566307545,0.2396769970655441,-0.0720933377742767],[9,14,2,2,-1,9,15,2,1,2,0,0.003175450023263693,-0.0712352693080902,0.241284504532814],[14,10,2,4,-1,14,10,1,2,2,15,12,1,2,2,0,-0.005518449004739523,0.5032023787498474,-0.0296866800636053],[0,15,2,2,-1,0,15,1,1,2,1,16,1,1,2,0,-0.00030242869979701936,0.2487905025482178,-0.0567585788667202],[6,7,2,2,-1,6,7,1,1,2,7,8,1,1,2,0,-0.0013125919504091144,0.3174780011177063,-0.0418458618223667],[11,18,2,2,-1,11,18,1,1,2,12,19,1,1,2,0,-0.00027123570907860994,-0.2704207003116608,0.0568289905786514],[0,0,6,4,-1,0,0,3,2,2,3,2,3,2,2,0,-0.007324177771806717,0.2755667865276337,-0.0542529709637165],[4,1,6,6,-1,6,1,2,6,3,0,-0.0168517101556063,-0.3485291004180908,0.0453689992427826],[15,13,5,4,-1,15,15,5,2,2,0,0.0299021005630493,0.0316210798919201,-0.4311437010765076],[7,17,6,1,-1,9,17,2,1,3,0,0.0028902660124003887,0.0380299612879753,-0.3702709972858429],[16,19,4,1,-1,18,19,2,1,2,0,-0.0019242949783802032,0.2480027973651886,-0.059333298355341],[16,16,4,4,-1,18,16,2,4,2,0,0.004935414995998144,-0.0830684006214142,0.2204380929470062],[7,8,9,4,-1,10,8,3,4,3,0,0.0820756033062935,-0.0194134395569563,0.6908928751945496],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0,-0.0002469948958605528,-0.2466056942939758,0.0647764503955841],[2,9,2,4,-1,2,9,1,2,2,3,11,1,2,2,0,-0.0018365769647061825,0.2883616089820862,-0.0533904582262039],[0,3,8,4,-1,0,3,4,2,2,4,5,4,2,2,0,-0.004955381155014038,0.1274082958698273,-0.1255941987037659],[0,1,8,1,-1,4,1,4,1,2,0,-0.008308662101626396,0.2347811013460159,-0.07167649269104],[0,5,8,9,-1,4,5,4,9,2,0,-0.1087991967797279,-0.2599223852157593,0.0586897395551205],[7,18,6,2,-1,9,18,2,2,3,0,-0.009678645059466362,-0.707204282283783,0.0187492594122887],[0,4,1,12,-1,0,8,1,4,3,0,-0.0271368306130171,-0.5838422775268555,0.021684130653739],[19,13,1,6,-1,19,15,1,2,3,0,-0.006538977846503258,-0.5974891185760498,0.0214803107082844],[2,8,6,8,-1,4,8,2,8,3,0,-0.0120956301689148,0.1326903998851776,-0.099722720682621],[0,0,9,17,-1,3,0,3,17,3,0,-0.1677609980106354,-0.5665506720542908,0.0321230888366699],[7,9,6,8,-1,9,9,2,8,3,0,-0.0132625503465533,0.1149559020996094,-0.1173838973045349],[5,10,9,4,-1,8,10,3,4,3,0,0.076744519174099,-0.0314132310450077,0.5993549227714539],[5,0,8,3,-1,5,1,8,1,3,0,0.005078522954136133,-0.0529119409620762,0.2334239929914475],[16,6,4,4,-1,16,6,2,2,2,18,8,2,2,2,0,0.0031800279393792152,-0.0777343884110451,0.1765290945768356],[17,4,2,8,-1,17,4,1,4,2,18,8,1,4,2,0,-0.0017729829996824265,0.1959162950515747,-0.0797521993517876],[2,16,1,3,-1,2,17,1,1,3,0,-0.00048560940194875,-0.2880037128925324,0.0490471199154854],[2,16,1,3,-1,2,17,1,1,3,0,0.00036554320831783116,0.0679228976368904,-0.2249943017959595],[11,0,1,3,-1,11,1,1,1,3,0,-0.0002693867136258632,0.1658217012882233,-0.0897440984845161],[11,2,9,7,-1,14,2,3,7,3,0,0.0786842331290245,0.0260816793888807,-0.5569373965263367],[10,2,3,6,-1,11,2,1,6,3,0,-0.0007377481088042259,0.1403687000274658,-0.1180030032992363],[5,9,15,2,-1,5,10,15,1,2,0,0.0239578299224377,0.0304707400500774,-0.4615997970104218],[8,16,6,2,-1,8,17,6,1,2,0,-0.001623908057808876,0.2632707953453064,-0.0567653700709343],[9,16,10,2,-1,9,16,5,1,2,14,17,5,1,2,0,-0.0009081974858418107,0.1546245962381363,-0.1108706966042519],[9,17,2,2,-1,9,17,1,1,2,10,18,1,1,2,0,0.0003980624896939844,0.0556303709745407,-0.2833195924758911],[10,15,6,4,-1,10,15,3,2,2,13,17,3,2,2,0,0.002050644950941205,-0.0916048362851143,0.1758553981781006],[4,5,15,12,-1,9,5,5,12,3,0,0.0267425496131182,0.062003031373024,-0.2448700070381165],[11,13,2,3,-1,11,14,2,1,3,0,-0.0021497008856385946,0.2944929897785187,-0.0532181486487389],[8,13,7,3,-1,8,14,7,1,3,0,0.005667165853083134,-0.0642982423305511,0.249056801199913],[1,12,1,2,-1,1,13,1,1,2,0,0.00006831790233263746,-0.1681963056325913,0.0965485796332359],[16,18,2,2,-1,16,18,1,1,2,17,19,1,1,2,0,0.0001760043960530311,0.0653080120682716,-0.2426788061857224],[1,19,18,1,-1,7,19,6,1,3,0,0.004186160862445831,-0.0979885831475258,0.1805288940668106],[1,17,6,1,-1,4,17,3,1,2,0,-0.0021808340679854155,0.192312702536583,-0.0941239297389984],[1,3,1,12,-1,1,9,1,6,2,0,0.021730400621891,0.0355785116553307,-0.4508853852748871],[0,9,3,6,-1,0,11,3,2,3,0,-0.0147802699357271,-0.4392701089382172,0.0317355915904045],[5,4,3,10,-1,6,4,1,10,3,0,-0.0036145891062915325,0.1981147974729538,-0.0777014195919037],[6,17,2,1,-1,7,17,1,1,2,0,0.0018892709631472826,0.0199624393135309,-0.7204172015190125],[1,0,6,12,-1,3,0,2,12,3,0,-0.0013822480104863644,0.0984669476747513,-0.1488108038902283],[4,7,9,2,-1,7,7,3,2,3,0,-0.0039505911991000175,0.1159323006868362,-0.1279197037220001]]],[21,-1.012935996055603,[[6,11,9,1,-1,9,11,3,1,3,0,-0.0193955395370722,0.474747508764267,-0.1172109022736549],[17,10,2,10,-1,17,15,2,5,2,0,0.013118919916451,-0.255521297454834,0.1637880057096481],[4,10,2,10,-1,4,10,1,5,2,5,15,1,5,2,0,-0.0005160680157132447,0.1945261955261231,-0.17448890209198],[12,3,3,12,-1,13,3,1,12,3,0,-0.0131841599941254,0.441814512014389,-0.0900487527251244],[15,3,4,6,-1,15,3,2,3,2,17,6,2,3,2,0,0.0034657081123441458,-0.1347709000110626,0.1805634051561356],[12,8,3,3,-1,13,8,1,3,3,0,0.006298020016402006,-0.0541649796068668,0.3603338003158569],[4,14,2,4,-1,4,16,2,2,2,0,0.0016879989998415112,-0.1999794989824295,0.1202159970998764],[6,16,1,3,-1,6,17,1,1,3,0,0.00036039709812030196,0.1052414029836655,-0.2411606013774872],[1,1,2,3,-1,2,1,1,3,2,0,-0.001527684973552823,0.2813552916049957,-0.0689648166298866],[0,2,4,1,-1,2,2,2,1,2,0,0.00350335706025362,-0.0825195834040642,0.4071359038352966],[8,17,12,3,-1,12,17,4,3,3,0,-0.004733716137707233,0.1972700953483582,-0.117101401090622],[9,16,6,4,-1,11,16,2,4,3,0,-0.0115571497008204,-0.5606111288070679,0.0681709572672844],[4,6,3,6,-1,4,9,3,3,2,0,-0.0274457205086946,0.4971862137317658,-0.0623801499605179],[6,2,12,9,-1,6,5,12,3,3,0,-0.0528257787227631,0.169212207198143,-0.1309355050325394],[6,0,14,20,-1,6,0,7,10,2,13,10,7,10,2,0,-0.2984969913959503,-0.6464967131614685,0.0400768183171749],[15,16,2,2,-1,15,16,1,1,2,16,17,1,1,2,0,-0.00026307269581593573,0.2512794137001038,-0.0894948393106461],[15,16,2,2,-1,15,16,1,1,2,16,17,1,1,2,0,0.00023261709429789335,-0.0868439897894859,0.2383197993040085],[19,8,1,3,-1,19,9,1,1,3,0,0.00023631360090803355,0.1155446022748947,-0.189363494515419],[13,4,1,2,-1,13,5,1,1,2,0,0.0020742209162563086,-0.0485948510468006,0.5748599171638489],[0,4,4,2,-1,0,5,4,1,2,0,-0.007030888926237822,-0.5412080883979797,0.0487437509000301],[19,5,1,6,-1,19,7,1,2,3,0,0.00826522707939148,0.0264945197850466,-0.6172845959663391],[16,0,2,1,-1,17,0,1,1,2,0,0.0002004276029765606,-0.1176863014698029,0.1633386015892029],[13,1,1,3,-1,13,2,1,1,3,0,0.0016470040427520871,-0.0599549189209938,0.3517970144748688],[17,17,1,3,-1,17,18,1,1,3,0,-0.0003564253856893629,-0.344202995300293,0.0649482533335686],[5,4,8,8,-1,5,4,4,4,2,9,8,4,4,2,0,-0.0309358704835176,0.1997970044612885,-0.0976936966180801],[1,2,2,2,-1,1,2,1,1,2,2,3,1,1,2,0,-0.0006357877282425761,-0.3148139119148254,0.0594250410795212],[0,0,8,6,-1,0,0,4,3,2,4,3,4,3,2,0,-0.0118621801957488,0.2004369050264359,-0.0894475430250168],[6,3,4,2,-1,6,4,4,1,2,0,0.007150893099606037,-0.0390060618519783,0.5332716107368469],[1,0,3,3,-1,1,1,3,1,3,0,-0.0020059191156178713,-0.2846972048282623,0.0707236081361771],[6,1,7,2,-1,6,2,7,1,2,0,0.0036412389017641544,-0.1066031977534294,0.2494480013847351],[2,6,12,6,-1,6,6,4,6,3,0,-0.1346742957830429,0.4991008043289185,-0.0403322204947472],[1,16,9,2,-1,4,16,3,2,3,0,-0.002254765946418047,0.1685169041156769,-0.1111928001046181],[7,15,6,4,-1,9,15,2,4,3,0,0.004384228959679604,0.0861394926905632,-0.2743177115917206],[6,15,12,1,-1,12,15,6,1,2,0,-0.007336116861552,0.2487521022558212,-0.0959191620349884],[17,17,1,3,-1,17,18,1,1,3,0,0.0006466691265814006,0.0674315765500069,-0.3375408053398132],[17,15,2,2,-1,17,15,1,1,2,18,16,1,1,2,0,0.0002298376930411905,-0.0839030519127846,0.24584099650383],[3,13,3,3,-1,3,14,3,1,3,0,0.006703907158225775,0.0290793292224407,-0.6905593872070312],[10,17,1,3,-1,10,18,1,1,3,0,0.00005073488864582032,-0.1569671928882599,0.1196542978286743],[4,0,14,8,-1,11,0,7,8,2,0,-0.2033555954694748,-0.6950634717941284,0.0275075193494558],[2,0,12,2,-1,6,0,4,2,3,0,0.009493941441178322,-0.0874493718147278,0.2396833002567291],[2,0,4,3,-1,4,0,2,3,2,0,-0.002405524021014571,0.2115096002817154,-0.1314893066883087],[13,1,1,2,-1,13,2,1,1,2,0,-0.00011342419747961685,0.1523378938436508,-0.1272590011358261],[7,5,3,6,-1,8,5,1,6,3,0,0.0149922100827098,-0.0341279692947865,0.506240725517273],[18,2,2,2,-1,18,2,1,1,2,19,3,1,1,2,0,0.0007406820077449083,0.0487647503614426,-0.4022532105445862],[15,1,2,14,-1,16,1,1,14,2,0,-0.004245944786816835,0.2155476063489914,-0.0871269926428795],[15,6,2,2,-1,15,6,1,1,2,16,7,1,1,2,0,0.0006865510949864984,-0.0754187181591988,0.2640590965747833],[3,1,6,3,-1,5,1,2,3,3,0,-0.0167514607310295,-0.6772903203964233,0.0329187288880348],[7,16,2,2,-1,7,16,1,1,2,8,17,1,1,2,0,-0.00026301678735762835,0.2272586971521378,-0.0905348733067513],[5,17,2,2,-1,5,17,1,1,2,6,18,1,1,2,0,0.0004339861043263227,0.0558943785727024,-0.3559266924858093],[9,10,6,10,-1,11,10,2,10,3,0,-0.0201501492410898,0.1916276067495346,-0.0949299708008766],[10,17,6,3,-1,12,17,2,3,3,0,-0.0144521296024323,-0.6851034164428711,0.0254221707582474],[14,5,2,10,-1,14,10,2,5,2,0,-0.0211497396230698,0.3753319084644318,-0.0514965802431107],[11,12,6,2,-1,11,13,6,1,2,0,0.0211377702653408,0.0290830805897713,-0.8943036794662476],[8,1,1,3,-1,8,2,1,1,3,0,0.0011524349683895707,-0.0696949362754822,0.2729980051517487],[12,15,2,2,-1,12,15,1,1,2,13,16,1,1,2,0,-0.00019070580310653895,0.1822811961174011,-0.0983670726418495],[6,8,6,4,-1,6,8,3,2,2,9,10,3,2,2,0,-0.0363496318459511,-0.8369309902191162,0.0250557605177164],[7,5,3,5,-1,8,5,1,5,3,0,-0.009063207544386387,0.4146350026130676,-0.0544134490191936],[0,5,7,3,-1,0,6,7,1,3,0,-0.0020535490475594997,-0.1975031048059464,0.1050689965486527]]],[22,-0.9774749279022217,[[7,9,6,6,-1,9,9,2,6,3,0,-0.0227170195430517,0.2428855001926422,-0.1474552005529404],[5,7,8,8,-1,5,11,8,4,2,0,0.0255059506744146,-0.2855173945426941,0.1083720996975899],[4,9,2,6,-1,4,9,1,3,2,5,12,1,3,2,0,-0.0026640091091394424,0.2927573025226593,-0.1037271022796631],[10,11,6,1,-1,12,11,2,1,3,0,-0.003811528906226158,0.2142689973115921,-0.1381113976240158],[13,6,6,11,-1,15,6,2,11,3,0,-0.0167326908558607,0.2655026018619537,-0.0439113304018974],[8,17,2,2,-1,8,17,1,1,2,9,18,1,1,2,0,0.0004927701083943248,0.02110455930233,-0.4297136068344116],[4,12,12,1,-1,8,12,4,1,3,0,-0.0366911105811596,0.5399242043495178,-0.0436488017439842],[11,17,3,2,-1,11,18,3,1,2,0,0.0012615970335900784,-0.1293386965990067,0.1663877069950104],[8,17,6,1,-1,10,17,2,1,3,0,-0.008410685695707798,-0.9469841122627258,0.0214658491313457],[4,1,14,6,-1,4,3,14,2,3,0,0.0649027228355408,-0.0717277601361275,0.2661347985267639],[14,2,2,12,-1,14,8,2,6,2,0,0.0303050000220537,-0.0827824920415878,0.2769432067871094],[12,13,3,2,-1,12,14,3,1,2,0,0.0025875340215861797,-0.1296616941690445,0.1775663048028946],[6,1,6,1,-1,8,1,2,1,3,0,-0.00702404510229826,-0.6424317955970764,0.0399432107806206],[10,6,6,1,-1,12,6,2,1,3,0,-0.0010099769569933414,0.1417661011219025,-0.1165997013449669],[3,19,2,1,-1,4,19,1,1,2,0,-0.00004117907155887224,0.1568766981363297,-0.1112734004855156],[18,16,2,2,-1,18,16,1,1,2,19,17,1,1,2,0,-0.0004729315114673227,-0.3355455994606018,0.0459777303040028],[16,11,3,7,-1,17,11,1,7,3,0,-0.0017178079579025507,0.1695290952920914,-0.1057806983590126],[19,5,1,6,-1,19,8,1,3,2,0,-0.0133331697434187,-0.5825781226158142,0.0309784300625324],[9,8,4,3,-1,9,9,4,1,3,0,-0.0018783430568873882,0.1426687985658646,-0.111312597990036],[16,8,4,4,-1,16,8,2,2,2,18,10,2,2,2,0,-0.006576598156243563,0.2756136059761047,-0.0531003288924694],[2,8,2,2,-1,2,8,1,1,2,3,9,1,1,2,0,-0.00007721038127783686,0.1324024051427841,-0.111677996814251],[3,5,6,4,-1,3,5,3,2,2,6,7,3,2,2,0,0.0219685398042202,-0.0269681606441736,0.5006716847419739],[2,3,8,16,-1,2,3,4,8,2,6,11,4,8,2,0,-0.027445750311017,-0.240867406129837,0.0604782700538635],[17,17,1,3,-1,17,18,1,1,3,0,0.00007830584945622832,-0.1333488970994949,0.1012346968054771],[7,2,8,11,-1,11,2,4,11,2,0,0.0701906830072403,-0.0548637807369232,0.2480994015932083],[13,3,6,14,-1,16,3,3,14,2,0,-0.0719021335244179,-0.3784669041633606,0.0422109998762608],[0,9,18,2,-1,6,9,6,2,3,0,-0.1078097969293594,-0.3748658895492554,0.0428334400057793],[6,10,14,3,-1,6,11,14,1,3,0,0.0014364200178533792,0.0804763585329056,-0.1726378947496414],[10,9,9,3,-1,13,9,3,3,3,0,0.068289190530777,-0.0355957895517349,0.4076131880283356],[3,5,4,6,-1,3,5,2,3,2,5,8,2,3,2,0,-0.00680371792986989,0.1923379004001617,-0.0823680236935616],[3,7,3,7,-1,4,7,1,7,3,0,-0.0005619348958134651,0.1305712014436722,-0.1435514986515045],[2,8,11,6,-1,2,10,11,2,3,0,-0.0582766495645046,-0.3012543916702271,0.0528196506202221],[8,9,6,3,-1,8,10,6,1,3,0,-0.006120571866631508,0.2204390019178391,-0.0756917521357536],[3,3,3,11,-1,4,3,1,11,3,0,-0.0135943097993732,-0.3904936015605927,0.0418571084737778],[0,19,6,1,-1,3,19,3,1,2,0,0.0013626200379803777,-0.0953634232282639,0.1497032046318054],[18,18,1,2,-1,18,19,1,1,2,0,-0.0001507421984570101,-0.2394558042287827,0.0647983327507973],[8,0,12,6,-1,8,0,6,3,2,14,3,6,3,2,0,-0.077414259314537,0.5594198107719421,-0.0245168805122375],[19,5,1,3,-1,19,6,1,1,3,0,0.0009211787255480886,0.0549288615584373,-0.2793481051921845],[5,8,2,1,-1,6,8,1,1,2,0,0.001025078003294766,-0.0621673092246056,0.249763697385788],[13,11,2,1,-1,14,11,1,1,2,0,-0.000811747508123517,0.2343793958425522,-0.0657258108258247],[3,6,15,13,-1,8,6,5,13,3,0,0.0834310203790665,0.0509548000991344,-0.3102098107337952],[4,3,6,2,-1,6,3,2,2,3,0,-0.009201445616781712,-0.3924253880977631,0.0329269506037235],[0,18,1,2,-1,0,19,1,1,2,0,-0.00029086650465615094,-0.3103975057601929,0.0497118197381496],[7,8,2,6,-1,8,8,1,6,2,0,0.00775768980383873,-0.0440407507121563,0.3643135130405426],[3,0,6,19,-1,5,0,2,19,3,0,-0.1246609017252922,-0.819570779800415,0.0191506408154964],[3,1,6,5,-1,5,1,2,5,3,0,0.0132425501942635,0.0389888398349285,-0.3323068022727966],[17,14,3,6,-1,17,16,3,2,3,0,-0.006677012890577316,-0.357901394367218,0.0404602102935314],[17,13,2,6,-1,18,13,1,6,2,0,-0.0027479929849505424,0.2525390088558197,-0.0564278215169907],[17,18,2,2,-1,18,18,1,2,2,0,0.0008265965152531862,-0.07198865711689,0.2278047949075699],[11,14,9,4,-1,14,14,3,4,3,0,-0.0501534007489681,-0.630364716053009,0.027462050318718],[15,8,4,6,-1,15,8,2,3,2,17,11,2,3,2,0,0.007420314941555262,-0.0666107162833214,0.2778733968734741],[1,16,1,3,-1,1,17,1,1,3,0,-0.0006795178051106632,-0.3632706105709076,0.0427954308688641],[7,0,3,14,-1,8,0,1,14,3,0,-0.0019305750029161572,0.1419623047113419,-0.1075998023152351],[12,0,2,1,-1,13,0,1,1,2,0,-0.0003813267103396356,0.2159176021814346,-0.0702026635408401],[7,9,6,5,-1,10,9,3,5,2,0,-0.0709903463721275,0.4526660144329071,-0.0407504811882973],[15,5,4,9,-1,17,5,2,9,2,0,-0.0533680804073811,-0.6767405867576599,0.0192883405834436],[11,0,6,6,-1,13,0,2,6,3,0,-0.0200648494064808,-0.4336543083190918,0.0318532884120941],[16,15,2,2,-1,16,15,1,1,2,17,16,1,1,2,0,0.001197636011056602,-0.0265598706901073,0.5079718232154846],[16,15,2,2,-1,16,15,1,1,2,17,16,1,1,2,0,-0.0002269730030093342,0.1801259964704514,-0.0836065486073494],[13,2,2,18,-1,13,11,2,9,2,0,0.0152626996859908,-0.2023892998695374,0.067422017455101],[8,4,8,10,-1,8,9,8,5,2,0,-0.2081176936626434,0.6694386005401611,-0.0224521104246378],[8,3,2,3,-1,8,4,2,1,3,0,0.001551436958834529,-0.0751218423247337,0.17326919734478],[11,1,6,9,-1,11,4,6,3,3,0,-0.0529240109026432,0.2499251961708069,-0.0628791674971581],[15,4,5,6,-1,15,6,5,2,3,0,-0.0216488502919674,-0.2919428050518036,0.0526144914329052],[12,18,2,2,-1,12,18,1,1,2,13,19,1,1,2,0,-0.00022905069636180997,-0.2211730033159256,0.0631683394312859],[1,17,1,3,-1,1,18,1,1,3,0,0.00005017007060814649,-0.1151070967316628,0.1161144003272057],[12,19,2,1,-1,13,19,1,1,2,0,-0.0001641606941120699,0.1587152034044266,-0.0826006010174751],[8,10,6,6,-1,10,10,2,6,3,0,-0.0120032895356417,0.1221809014678001,-0.112296998500824],[14,2,6,5,-1,16,2,2,5,3,0,-0.0177841000258923,-0.3507278859615326,0.0313419215381145],[9,5,2,6,-1,9,7,2,2,3,0,-0.006345758214592934,0.1307806968688965,-0.1057441011071205],[1,15,2,2,-1,2,15,1,2,2,0,-0.0007952324231155217,0.1720467060804367,-0.086001992225647],[18,17,1,3,-1,18,18,1,1,3,0,-0.00031029590172693133,-0.2843317091464996,0.0518171191215515],[10,14,4,6,-1,10,16,4,2,3,0,-0.0170537102967501,0.3924242854118347,-0.0401432700455189],[9,7,3,2,-1,10,7,1,2,3,0,0.004650495946407318,-0.031837560236454,0.4123769998550415],[6,9,6,2,-1,6,9,3,1,2,9,10,3,1,2,0,-0.0103587601333857,-0.5699319839477539,0.0292483791708946],[0,2,1,12,-1,0,6,1,4,3,0,-0.0221962407231331,-0.4560528993606567,0.0262859892100096],[4,0,15,1,-1,9,0,5,1,3,0,-0.0070536029525101185,0.1599832028150559,-0.091594859957695],[9,0,8,2,-1,9,0,4,1,2,13,1,4,1,2,0,-0.0005709429970011115,-0.1407632976770401,0.1028741970658302],[12,2,8,1,-1,16,2,4,1,2,0,-0.0022152599412947893,0.1659359931945801,-0.0852739885449409],[7,1,10,6,-1,7,3,10,2,3,0,-0.0280848909169436,0.2702234089374542,-0.0558738112449646],[18,6,2,3,-1,18,7,2,1,3,0,0.0021515151020139456,0.0424728915095329,-0.3200584948062897],[4,12,2,2,-1,4,12,1,1,2,5,13,1,1,2,0,-0.00029733829433098435,0.1617716997861862,-0.0851155892014503],[6,6,6,2,-1,8,6,2,2,3,0,-0.0166947804391384,-0.4285877048969269,0.0305416099727154],[0,9,9,6,-1,3,9,3,6,3,0,0.1198299005627632,-0.0162772908806801,0.7984678149223328],[17,18,2,2,-1,18,18,1,2,2,0,-0.000354994204826653,0.1593593955039978,-0.0832728818058968],[11,2,6,16,-1,13,2,2,16,3,0,-0.0182262696325779,0.1952728033065796,-0.0739398896694183],[2,4,15,13,-1,7,4,5,13,3,0,-0.00040238600922748446,0.0791018083691597,-0.2080612927675247],[16,2,3,10,-1,17,2,1,10,3,0,0.0004089206049684435,0.1003663018345833,-0.1512821018695831],[6,10,2,1,-1,7,10,1,1,2,0,0.0009536811267025769,-0.0730116665363312,0.2175202071666718],[1,1,18,16,-1,10,1,9,16,2,0,0.4308179914951325,-0.0274506993591785,0.570615828037262],[14,4,3,15,-1,15,4,1,15,3,0,0.0005356483161449432,0.1158754006028175,-0.1279056072235107],[19,13,1,2,-1,19,14,1,1,2,0,0.00002443073026370257,-0.1681662946939468,0.0804499834775925],[2,6,5,8,-1,2,10,5,4,2,0,-0.0553456507623196,0.4533894956111908,-0.0312227793037891]]]]};
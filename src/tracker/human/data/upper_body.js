@@ -1 +1,4 @@
-tracking.type.HUMAN.data.upper_body = [[-1,-1.1264339685440063,[[5,5,12,6,-1,9,5,4,6,3,-0.0136960297822952,0.4507646858692169,-0.4217903017997742],[7,13,10,4,-1,7,15,10,2,2,0.0124414497986436,0.1649325042963028,-0.747934877872467],[3,14,9,4,-1,6,14,3,4,3,-0.0027094660326838493,0.3100470006465912,-0.3761714100837708],[15,6,5,6,-1,15,6,5,3,2,-0.1000801026821137,0.761821985244751,-0.074556976556778],[0,1,22,14,-1,11,1,11,14,2,-0.2511411905288696,-0.6415402889251709,0.1513922065496445],[1,11,20,4,-1,6,11,10,4,2,-0.1051065027713776,0.7145937085151672,-0.1449857950210571],[7,6,6,5,-1,7,6,3,5,2,-0.0884480178356171,0.7577317953109741,-0.0685868933796883],[5,13,12,4,-1,11,13,6,2,2,5,15,6,2,2,0.0108749102801085,0.146106094121933,-0.5426371097564697],[7,12,8,6,-1,7,12,4,3,2,11,15,4,3,2,0.0126905702054501,0.1167458966374397,-0.4964945912361145],[20,0,2,18,-1,20,9,2,9,2,-0.0321983993053436,-0.3852939009666443,0.0984379723668098],[8,6,6,12,-1,10,6,2,12,3,-0.003407717915251851,0.2520087063312531,-0.2238254994153976],[8,5,6,6,-1,10,5,2,6,3,0.0303243901580572,-0.1053444966673851,0.6573541760444641],[5,15,12,2,-1,5,16,12,1,2,0.004193050786852837,0.1287239938974381,-0.5316066145896912],[20,0,2,18,-1,20,9,2,9,2,0.0805014073848724,0.041696660220623,-0.7212303280830383],[0,0,2,18,-1,0,9,2,9,2,-0.0348220802843571,-0.497511088848114,0.1395993977785111],[13,7,6,4,-1,13,7,6,2,2,0.007551936898380518,-0.0921476781368256,0.1129434034228325],[2,14,7,4,-1,2,16,7,2,2,-0.0175721403211355,-0.5678442716598511,0.093572810292244],[13,7,7,4,-1,13,7,7,2,2,0.005201204214245081,-0.0792380794882774,0.0618789605796337],[4,6,4,12,-1,4,10,4,4,3,-0.0307989194989204,-0.566585123538971,0.0952714905142784],[8,4,6,10,-1,11,4,3,5,2,8,9,3,5,2,-0.0013465429656207561,0.2401147037744522,-0.2602663934230804]]],[0,-1.1226719617843628,[[6,8,6,10,-1,6,8,3,5,2,9,13,3,5,2,0.0019108939450234175,-0.4624095857143402,0.3061217069625855],[11,12,6,6,-1,11,15,6,3,2,0.00954640656709671,0.0919561386108398,-0.5350117087364197],[1,15,8,3,-1,5,15,4,3,2,-0.0434028096497059,0.5681784152984619,-0.1128493025898933],[6,9,10,4,-1,6,11,10,2,2,0.0503860302269459,-0.0803169310092926,0.7352185845375061],[11,5,8,3,-1,10,6,8,1,3,-0.0006848031771369278,0.2579864859580994,-0.2804940938949585],[0,13,22,5,-1,0,13,11,5,2,0.1154804974794388,0.0920655727386475,-0.7555689215660095],[2,13,14,3,-1,9,13,7,3,2,-0.0019348369678482413,0.2944079041481018,-0.2410271018743515],[11,5,2,10,-1,11,5,1,10,2,-0.0435288101434708,0.4920296967029572,-0.0396501012146473],[11,5,10,2,-1,11,5,10,1,2,-0.0302181504666805,0.7722792029380798,-0.0867865234613419],[14,0,8,8,-1,18,0,4,4,2,14,4,4,4,2,0.0245365891605616,0.0959448218345642,-0.4864296913146973],[5,0,3,10,-1,5,5,3,5,2,0.0239589903503656,0.1043784022331238,-0.5121983885765076],[16,0,3,12,-1,16,6,3,6,2,-0.0253708306699991,-0.3198154866695404,0.0914865732192993],[3,3,12,4,-1,3,3,6,2,2,9,5,6,2,2,-0.001860641990788281,0.2278396934270859,-0.2430797070264816],[2,2,20,3,-1,7,2,10,3,2,0.0225508008152246,0.0692075565457344,-0.3005428016185761],[11,7,3,8,-1,11,7,3,4,2,-0.049752090126276,-0.6107804775238037,0.094472773373127],[4,9,18,3,-1,4,10,18,1,3,-0.0266023892909288,0.5958176851272583,-0.0920460522174835],[3,3,16,14,-1,3,3,8,7,2,11,10,8,7,2,0.1076000034809113,0.1027851998806,-0.5430337190628052],[7,14,8,4,-1,7,14,4,4,2,0.0176906995475292,0.0660571381449699,-0.6321390867233276],[10,7,4,7,-1,10,7,2,7,2,-0.0624099187552929,0.6872419714927673,-0.0670705586671829],[11,9,6,5,-1,11,9,3,5,2,-0.0019801619928330183,0.0944115519523621,-0.0878194868564606],[0,6,22,4,-1,11,6,11,4,2,0.063668429851532,0.1153173968195915,-0.4812976121902466],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,-0.0307978298515081,0.3585476875305176,-0.1259379982948303],[4,14,6,4,-1,4,16,6,2,2,-0.00018353419727645814,0.1478839963674545,-0.2854681015014648],[12,14,6,4,-1,12,16,6,2,2,0.0017074620118364692,0.0799296572804451,-0.2523337006568909],[4,14,6,4,-1,4,16,6,2,2,-0.0153251998126507,-0.5771185755729675,0.0989083275198936],[10,6,6,6,-1,12,6,2,6,3,0.0413891896605492,-0.065550796687603,0.5736380219459534],[9,0,11,3,-1,8,1,11,1,3,-0.00045577771379612386,0.2259308993816376,-0.1910558044910431],[7,0,12,4,-1,13,0,6,2,2,7,2,6,2,2,-0.0134556898847222,-0.4023393094539642,0.0864776223897934],[6,6,6,6,-1,8,6,2,6,3,-0.0379783995449543,0.5525758862495422,-0.0815410166978836],[15,5,3,8,-1,15,9,3,4,2,-0.0171975009143353,-0.1836300939321518,0.0519998706877232],[5,2,12,7,-1,9,2,4,7,3,-0.0012581580085679889,0.1883004009723663,-0.2572666108608246],[5,5,12,4,-1,9,5,4,4,3,0.0677251070737839,-0.0809564515948296,0.7180324196815491],[7,3,4,7,-1,7,3,2,7,2,0.0354894287884235,0.1006807014346123,-0.5377414226531982]]],[1,-1.012747049331665,[[2,14,6,4,-1,5,14,3,4,2,-0.0053695798851549625,0.2747949957847595,-0.3417896032333374],[11,4,6,6,-1,13,4,2,6,3,0.0006269586738198996,-0.0986466333270073,0.10728420317173],[5,14,12,4,-1,5,14,6,2,2,11,16,6,2,2,-0.0164842698723078,-0.6497290730476379,0.0960377529263496],[3,12,16,6,-1,11,12,8,3,2,3,15,8,3,2,-0.0221040993928909,-0.4598448872566223,0.1630463004112244],[1,11,20,4,-1,6,11,10,4,2,0.1190413981676102,-0.0996003970503807,0.7372975945472717],[9,0,10,10,-1,14,0,5,5,2,9,5,5,5,2,-0.0020222070161253214,0.2102926969528198,-0.2457713037729263],[8,8,4,6,-1,8,8,2,6,2,0.0675003528594971,-0.1246778964996338,0.576542317867279],[1,7,20,11,-1,1,7,10,11,2,-0.1965593993663788,-0.6089174747467041,0.0996720567345619],[9,0,12,3,-1,9,0,6,3,2,0.0494311712682247,0.1375274956226349,-0.455808699131012],[13,0,6,6,-1,13,0,3,6,2,0.0233800895512104,0.0471418909728527,-0.3502770960330963],[5,0,12,8,-1,5,2,12,4,2,0.0013998650247231126,-0.2064304947853088,0.2432229965925217],[14,0,8,6,-1,18,0,4,3,2,14,3,4,3,2,0.011432689614594,0.0551873706281185,-0.3261989951133728],[7,6,8,6,-1,9,6,4,6,2,0.0487750694155693,-0.0689925104379654,0.7117180824279785],[11,3,6,6,-1,13,3,2,6,3,0.0652840211987495,0.0037155740428715944,0.5931897163391113],[5,3,6,6,-1,7,3,2,6,3,0.0006160322809591889,-0.232725203037262,0.2044153064489365],[13,0,8,6,-1,17,0,4,3,2,13,3,4,3,2,-0.0105274999514222,-0.3177379071712494,0.1017130985856056],[0,0,8,6,-1,0,0,4,3,2,4,3,4,3,2,0.0162313394248486,0.0917341932654381,-0.4714300930500031],[7,0,10,6,-1,12,0,5,3,2,7,3,5,3,2,0.00038958500954322517,-0.1299754977226257,0.1347548961639404],[0,15,22,2,-1,11,15,11,2,2,-0.0441656894981861,-0.6033102869987488,0.0647668763995171],[5,14,12,4,-1,5,15,12,2,2,-0.0136632099747658,-0.5276284217834473,0.0634857416152954],[5,13,6,4,-1,5,15,6,2,2,-0.0008823185926303267,0.1451025009155273,-0.2784520089626312],[3,9,17,3,-1,3,10,17,1,3,-0.0278191901743412,0.4364086985588074,-0.0851918607950211],[3,8,16,10,-1,3,8,8,5,2,11,13,8,5,2,0.0625609904527664,0.1002788990736008,-0.4223591983318329],[9,0,10,6,-1,14,0,5,3,2,9,3,5,3,2,-0.00044808178790844977,0.1485148966312408,-0.177312895655632],[3,0,12,4,-1,3,0,6,2,2,9,2,6,2,2,-0.0213631801307201,-0.6133446097373962,0.060539398342371],[4,10,14,3,-1,4,10,7,3,2,-0.0691223293542862,-0.8684576153755188,0.0393477492034435],[1,14,11,4,-1,1,16,11,2,2,-0.0305428393185139,-0.6402171850204468,0.0495938211679459],[7,0,12,6,-1,13,0,6,3,2,7,3,6,3,2,-0.0101011600345373,-0.1619915068149567,0.0572568997740746],[3,0,10,6,-1,3,0,5,3,2,8,3,5,3,2,-0.00022010109387338161,0.2135093063116074,-0.2019899934530258]]],[2,-1.0684469938278198,[[6,0,10,3,-1,6,0,5,3,2,0.0057967850007116795,-0.338441789150238,0.2506627142429352],[14,8,6,4,-1,14,8,6,2,2,0.0637951791286469,-0.0421116203069687,0.3574657142162323],[0,2,5,16,-1,0,10,5,8,2,-0.0643320381641388,-0.5066078901290894,0.1171773970127106],[0,3,22,5,-1,0,3,11,5,2,-0.1157428994774818,-0.5667849779129028,0.0958809033036232],[6,15,8,3,-1,10,15,4,3,2,-0.0039005130529403687,-0.4149822890758514,0.1485832035541534],[15,0,2,14,-1,15,0,1,14,2,0.0125129297375679,0.0536966696381569,-0.1416396051645279],[7,0,14,2,-1,7,0,14,1,2,0.0015871099894866347,-0.2596234083175659,0.1941833049058914],[1,11,20,5,-1,6,11,10,5,2,0.1629112064838409,-0.0612437687814236,0.785672128200531],[5,3,12,9,-1,9,6,4,3,9,-0.3325822055339813,0.7802013158798218,-0.0440364591777325],[10,1,12,3,-1,14,1,4,3,3,-0.0102888997644186,-0.1528968065977097,0.0620962306857109],[0,1,12,3,-1,4,1,4,3,3,0.0289560295641422,0.0847077965736389,-0.4782071113586426],[14,12,4,6,-1,14,12,2,6,2,-0.0003222151135560125,0.1395125985145569,-0.1881939023733139],[0,10,22,7,-1,11,10,11,7,2,0.1583528965711594,0.0666678100824356,-0.5457236170768738],[11,2,4,11,-1,11,2,2,11,2,-0.0425843112170696,0.2704033851623535,-0.0566545091569424],[3,14,16,4,-1,3,14,8,2,2,11,16,8,2,2,0.0275051407516003,0.0492711588740349,-0.7315763831138611],[12,12,6,6,-1,14,12,2,6,3,0.086879700422287,-0.0175324007868767,0.867826521396637],[4,12,6,6,-1,6,12,2,6,3,-0.0020130439661443233,0.1659394055604935,-0.2526623010635376],[11,14,6,4,-1,11,16,6,2,2,0.0004233017098158598,0.0942235514521599,-0.2462970018386841],[0,0,12,4,-1,0,0,6,2,2,6,2,6,2,2,0.0151944998651743,0.0736956372857094,-0.5006862282752991],[15,11,4,6,-1,15,11,2,6,2,-0.0061203669756650925,0.2138189971446991,-0.1673810034990311],[3,11,4,6,-1,5,11,2,6,2,0.0206602402031422,-0.0806361585855484,0.5782834887504578],[18,5,4,7,-1,18,5,2,7,2,-0.0603982508182526,-0.6341177225112915,0.0508990101516247],[4,5,7,4,-1,4,5,7,2,2,0.0353864803910255,0.0731911510229111,-0.5642666220664978],[9,6,12,3,-1,13,6,4,3,3,-0.065997838973999,0.328338086605072,-0.0263102594763041],[1,6,12,3,-1,5,6,4,3,3,0.0011004590196534991,-0.2311460971832275,0.2020651996135712],[0,0,22,10,-1,11,0,11,5,2,0,5,11,5,2,0.0844881534576416,0.074589841067791,-0.4371033906936646],[2,4,14,3,-1,2,5,14,1,3,-0.0292359907180071,0.6506476998329163,-0.0545318387448788],[13,3,8,6,-1,17,3,4,3,2,13,6,4,3,2,-0.0339169502258301,-0.2880434989929199,0.0321728810667992],[4,14,14,4,-1,4,14,7,2,2,11,16,7,2,2,-0.007910870015621185,-0.3366037905216217,0.1010069027543068],[11,2,4,11,-1,11,2,2,11,2,0.0519304312765598,0.0329209603369236,-0.1317653059959412],[11,2,11,4,-1,11,2,11,2,2,-0.068586103618145,0.5215355753898621,-0.066718578338623],[10,7,12,3,-1,10,7,6,3,2,-0.0019451669650152326,0.1539679020643234,-0.1989576071500778],[9,7,4,6,-1,9,7,2,6,2,0.0713662281632423,-0.0829271599650383,0.4529233872890472],[3,11,16,6,-1,11,11,8,3,2,3,14,8,3,2,-0.0266242399811745,-0.4400973916053772,0.1026711985468864],[1,3,8,6,-1,1,3,4,3,2,5,6,4,3,2,0.0252660606056452,0.055799201130867,-0.5556933879852295],[5,4,12,3,-1,5,5,12,1,3,0.005525568965822458,-0.1364029943943024,0.2825520038604736],[7,14,8,4,-1,11,14,4,4,2,-0.0029929999727755785,-0.3242157101631165,0.1212206035852432],[7,3,15,3,-1,7,4,15,1,3,0.0221921093761921,-0.0607410185039043,0.4347316026687622],[6,8,6,4,-1,6,8,6,2,2,-0.009426874108612537,-0.3345840871334076,0.1002969965338707],[10,7,12,3,-1,10,7,6,3,2,0.003439533058553934,-0.0838299095630646,0.179259404540062],[0,7,12,3,-1,6,7,6,3,2,-0.003299639094620943,0.1999042928218842,-0.2106847018003464],[7,7,9,4,-1,10,7,3,4,3,0.0261521507054567,-0.0806674063205719,0.3558126986026764]]],[3,-1.152006983757019,[[6,2,4,16,-1,6,10,4,8,2,-0.0227926503866911,0.4072526097297669,-0.3360992074012756],[8,4,6,6,-1,10,4,2,6,3,-0.0057334620505571365,0.2688218951225281,-0.2277535051107407],[1,11,20,3,-1,6,11,10,3,2,0.096941202878952,-0.0809050127863884,0.7432873845100403],[14,9,6,8,-1,17,9,3,4,2,14,13,3,4,2,-0.0282889995723963,0.4561010897159576,-0.0610963404178619],[11,0,9,4,-1,11,0,9,2,2,0.0038522849790751934,-0.2524180114269257,0.2090710997581482],[11,10,6,8,-1,14,10,3,4,2,11,14,3,4,2,0.0023100129328668118,-0.147134006023407,0.154603898525238],[5,16,12,2,-1,5,17,12,1,2,0.0011361920041963458,0.1768047958612442,-0.3053728938102722],[5,9,14,4,-1,5,11,14,2,2,0.0249628908932209,-0.1265290975570679,0.3744265139102936],[2,9,6,8,-1,2,9,3,4,2,5,13,3,4,2,-0.005898409988731146,0.2673898935317993,-0.1776257008314133],[15,8,6,4,-1,15,8,3,4,2,0.0118049001321197,0.0660779774188995,-0.3348213136196137],[1,8,6,4,-1,4,8,3,4,2,0.006440015975385904,0.1099480018019676,-0.3630348145961762],[13,5,8,5,-1,13,5,4,5,2,-0.0894073694944382,-0.4358046054840088,0.0149443103000522],[11,5,9,2,-1,11,5,9,1,2,-0.0314042307436466,0.695234477519989,-0.0548542886972427],[12,6,9,12,-1,15,10,3,4,9,-0.146079495549202,-0.2565006017684937,0.0569565407931805],[5,10,6,8,-1,5,10,3,4,2,8,14,3,4,2,0.0021142649929970503,-0.2498755007982254,0.1679255962371826],[9,5,5,12,-1,9,8,5,6,2,-0.0151193598285317,-0.3017987012863159,0.1039358973503113],[11,5,9,2,-1,11,5,9,1,2,0.0256209596991539,-0.074821300804615,0.536007821559906],[5,0,15,12,-1,10,4,5,4,9,-0.1441780030727387,-0.2049089968204498,0.0744577869772911],[1,13,8,5,-1,5,13,4,5,2,0.0259547792375088,-0.0905748680233955,0.4844220876693726],[14,8,6,4,-1,14,8,3,4,2,-0.021130720153451,-0.2268981039524078,0.0648760572075844],[8,8,4,6,-1,8,8,4,3,2,0.0164744593203068,0.1076800003647804,-0.3657059967517853],[7,0,12,9,-1,11,3,4,3,9,0.1092215031385422,0.0568273514509201,-0.3472855985164642],[7,13,6,4,-1,7,15,6,2,2,-0.00007458106119884178,0.1390427052974701,-0.259426087141037],[10,7,6,10,-1,13,7,3,5,2,10,12,3,5,2,-0.0277536008507013,0.3811129927635193,-0.0428961291909218],[6,7,6,10,-1,6,7,3,5,2,9,12,3,5,2,0.0327214300632477,-0.0908721536397934,0.3928917944431305],[7,0,12,2,-1,7,0,6,2,2,0.005560625810176134,0.084002248942852,-0.1939603984355927],[2,0,18,9,-1,2,3,18,3,3,-0.1071029007434845,-0.5898147225379944,0.056862760335207],[12,2,6,15,-1,12,2,3,15,2,-0.008051762357354164,0.1179059967398644,-0.1159565970301628],[4,2,6,15,-1,7,2,3,15,2,-0.1385001987218857,-0.9080532193183899,0.0414113588631153],[7,12,12,4,-1,7,13,12,2,2,0.0286209192126989,0.0199285894632339,-0.7369766235351562],[4,4,4,14,-1,4,4,2,7,2,6,11,2,7,2,0.026208970695734,-0.0615775510668755,0.6089993119239807],[12,6,9,12,-1,15,10,3,4,9,0.026527039706707,0.057193860411644,-0.0629923269152641],[1,6,9,12,-1,4,10,3,4,9,-0.0446224883198738,-0.3331815004348755,0.0932145714759827],[13,6,8,12,-1,17,6,4,6,2,13,12,4,6,2,-0.0142831197008491,0.1912523061037064,-0.1153056994080544],[7,14,8,3,-1,11,14,4,3,2,-0.0019681209232658148,-0.3129512071609497,0.0996828079223633],[5,5,12,3,-1,9,5,4,3,3,0.0528510808944702,-0.0589195489883423,0.5788791179656982],[10,0,2,18,-1,10,6,2,6,3,-0.00637118611484766,0.1918219029903412,-0.1909454017877579],[4,14,14,2,-1,4,14,7,2,2,-0.006472791079431772,-0.2472103983163834,0.1225292980670929],[3,0,6,4,-1,6,0,3,4,2,-0.0166909899562597,-0.4917466044425964,0.0503151006996632],[13,12,6,4,-1,13,12,3,4,2,-0.0148824099451303,0.1964661031961441,-0.0582503899931908],[1,0,8,4,-1,5,0,4,4,2,0.017529709264636,0.0763574987649918,-0.3655926883220673],[7,9,14,4,-1,14,9,7,2,2,7,11,7,2,2,0.0422213897109032,-0.0315604917705059,0.3601126968860626],[1,0,8,18,-1,1,0,4,9,2,5,9,4,9,2,-0.0655817463994026,0.3433471024036408,-0.0885569602251053],[13,8,6,4,-1,13,8,3,4,2,0.0167032107710838,0.0482100397348404,-0.1527362018823624],[9,8,4,6,-1,9,8,4,3,2,-0.006932874210178852,-0.3057363927364349,0.1182114034891129]]],[4,-1.0648390054702759,[[3,13,6,4,-1,6,13,3,4,2,-0.006343443877995014,0.3384028077125549,-0.3347485065460205],[11,4,6,7,-1,13,4,2,7,3,0.005247254855930805,-0.0935965329408646,0.1679117977619171],[6,8,6,4,-1,6,8,3,4,2,-0.0365850888192654,0.5367609858512878,-0.0854335278272629],[10,7,12,5,-1,13,7,6,5,2,0.005315369926393032,-0.1280411928892136,0.1444391012191773],[3,5,12,3,-1,9,5,6,3,2,-0.0039569609798491,0.1860544979572296,-0.2231141030788422],[13,5,4,6,-1,13,8,4,3,2,0.0339654199779034,0.0278357099741697,-0.5120338797569275],[5,5,4,6,-1,5,8,4,3,2,-0.0148528795689344,-0.4681495130062103,0.1135156005620956],[13,12,6,6,-1,15,12,2,6,3,-0.0029641329310834408,0.2659179866313934,-0.2818377017974854],[10,2,4,10,-1,10,2,4,5,2,-0.1079559028148651,-0.5752769708633423,0.1099163964390755],[13,12,6,6,-1,15,12,2,6,3,0.021237600594759,-0.10451590269804,0.466137707233429],[3,12,6,6,-1,5,12,2,6,3,-0.0261896401643753,0.4254482090473175,-0.0922789126634598],[11,12,6,6,-1,11,14,6,2,3,-0.0350105613470078,-0.7180119752883911,0.0728772506117821],[5,12,8,6,-1,5,12,4,3,2,9,15,4,3,2,0.00001502661962149432,-0.2719976007938385,0.106821596622467],[5,11,12,6,-1,11,11,6,3,2,5,14,6,3,2,-0.0277602504938841,-0.5018569231033325,0.1011821031570435],[0,9,22,8,-1,0,9,11,4,2,11,13,11,4,2,-0.0374391786754131,-0.3714151978492737,0.0837090387940407],[6,9,13,3,-1,6,10,13,1,3,-0.0141522595658898,0.3098280131816864,-0.0737676620483398],[0,2,8,6,-1,0,2,4,3,2,4,5,4,3,2,-0.0123310796916485,-0.3950768113136292,0.0832151770591736],[4,9,16,3,-1,4,10,16,1,3,0.002666634973138571,-0.1377612948417664,0.2424568980932236],[4,9,12,3,-1,4,10,12,1,3,-0.002944319974631071,0.2446078062057495,-0.1393789052963257],[16,2,5,16,-1,16,10,5,8,2,-0.1578892022371292,-0.5683224201202393,0.0361407212913036],[6,13,7,4,-1,6,15,7,2,2,0.0021553030237555504,0.0836605578660965,-0.4138025939464569],[1,7,20,8,-1,11,7,10,4,2,1,11,10,4,2,-0.0853670910000801,-0.5705329179763794,0.0529956594109535],[5,2,12,3,-1,5,3,12,1,3,0.003476174082607031,-0.1218981966376305,0.265532910823822],[13,13,6,4,-1,13,15,6,2,2,-0.0241042207926512,-0.5231543779373169,0.0255056601017714],[1,0,5,8,-1,1,4,5,4,2,-0.0307291503995657,-0.4673540890216827,0.0708444267511368],[5,0,13,8,-1,5,4,13,4,2,-0.0011937420349568129,0.1459686011075974,-0.2308627068996429],[9,1,4,8,-1,9,5,4,4,2,0.0323041006922722,-0.0653509274125099,0.5509138107299805],[11,2,8,8,-1,9,4,8,4,2,0.1495549976825714,0.0150020895525813,-0.8940045237541199],[11,2,8,8,-1,13,4,4,8,2,-0.004725466948002577,0.1485746055841446,-0.2101994007825851],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,0.0363607183098793,0.0285479500889778,-0.636689305305481],[0,10,12,4,-1,0,10,6,2,2,6,12,6,2,2,-0.0271099992096424,0.4966191053390503,-0.0736615732312202],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,-0.009539840742945671,-0.193846806883812,0.0585070811212063],[3,4,16,14,-1,7,4,8,14,2,0.105419896543026,-0.0747857317328453,0.4378111064434052],[13,13,6,4,-1,13,15,6,2,2,0.006380176171660423,0.053971529006958,-0.3382979035377502],[3,13,6,4,-1,3,15,6,2,2,-0.0227598492056131,-0.5937489867210388,0.0480465292930603],[11,5,2,10,-1,11,5,1,10,2,-0.017323749139905,-0.1603469997644424,0.0151871601119637],[11,5,10,2,-1,11,5,10,1,2,0.0298544093966484,-0.0656982436776161,0.4505734145641327],[4,0,18,4,-1,13,0,9,2,2,4,2,9,2,2,0.0232698395848274,0.0388054996728897,-0.3535487949848175],[6,5,4,6,-1,6,5,2,6,2,0.0408338718116283,0.0494048409163952,-0.5622245073318481],[16,6,6,6,-1,14,8,6,2,3,-0.1249888986349106,0.6776366829872131,-0.0154849402606487],[6,6,6,6,-1,8,8,2,6,3,-0.0655793771147728,0.6736323237419128,-0.0452696904540062],[4,0,18,12,-1,4,0,9,12,2,-0.3790175914764404,-0.4985372126102448,0.0239552296698093],[0,12,8,6,-1,2,12,4,6,2,0.0029792459681630135,-0.1843641996383667,0.162658303976059],[7,12,8,6,-1,7,12,4,6,2,0.0138036599382758,0.0636982172727585,-0.433898001909256],[7,6,3,12,-1,8,6,1,12,3,0.00356068997643888,-0.1145507022738457,0.2361861020326614],[15,5,6,6,-1,15,5,3,6,2,0.008877278305590153,0.0864168405532837,-0.1759098023176193]]],[5,-0.9506993293762207,[[2,12,8,3,-1,6,12,4,3,2,-0.006734482012689114,0.3075858950614929,-0.2976179122924805],[2,6,18,3,-1,8,6,6,3,3,-0.0139028802514076,0.2040069997310638,-0.2296725064516068],[0,11,22,2,-1,11,11,11,2,2,-0.0419635511934757,-0.5657541155815125,0.0867454931139946],[10,14,6,4,-1,10,16,6,2,2,-0.00005979479101370089,0.1583261042833328,-0.2310905009508133],[3,12,6,4,-1,6,12,3,4,2,0.008473953232169151,-0.1150123029947281,0.3975858986377716],[14,0,4,12,-1,14,0,4,6,2,-0.0653170570731163,-0.2388727962970734,0.1139170974493027],[5,10,6,4,-1,8,10,3,4,2,-0.004235850181430578,0.2233722060918808,-0.2421883940696716],[1,12,20,6,-1,11,12,10,3,2,1,15,10,3,2,0.0462292991578579,0.0968374013900757,-0.5342770218849182],[5,15,12,3,-1,9,15,4,3,3,0.00005224670167081058,-0.2418936043977737,0.1593236029148102],[13,1,3,10,-1,13,6,3,5,2,-0.0414200909435749,-0.3404498100280762,0.0437124818563461],[9,0,10,4,-1,9,0,5,4,2,-0.0102242799475789,-0.2475239038467407,0.155125305056572],[13,1,3,10,-1,13,6,3,5,2,0.0685812085866928,0.009717379696667194,-0.6182122230529785],[6,1,3,10,-1,6,6,3,5,2,-0.040700301527977,-0.6028478741645813,0.0709630697965622],[11,4,10,4,-1,11,4,10,2,2,-0.0899986997246742,0.466647207736969,-0.0485498905181885],[0,10,20,8,-1,0,10,10,4,2,10,14,10,4,2,0.0153073603287339,0.1478367000818253,-0.2711460888385773],[15,11,6,7,-1,17,11,2,7,3,0.00370168499648571,-0.1515340954065323,0.2093140929937363],[4,14,9,4,-1,4,16,9,2,2,-0.0319370999932289,-0.7233225703239441,0.0374201610684395],[15,0,6,8,-1,15,4,6,4,2,0.0474939085543156,0.0490000918507576,-0.4830318987369537],[1,11,6,7,-1,3,11,2,7,3,0.004462038166821003,-0.176983192563057,0.1982091069221497],[12,6,8,4,-1,12,6,8,2,2,-0.008128417655825615,0.112221896648407,-0.0508055202662945],[11,2,6,2,-1,11,2,6,1,2,-0.0125960195437074,0.4388906061649323,-0.0828989520668983],[11,0,11,8,-1,11,4,11,4,2,-0.001068993005901575,0.0687660872936249,-0.0826670080423355],[0,1,22,6,-1,0,1,11,3,2,11,4,11,3,2,-0.0482130907475948,-0.4667134881019592,0.0743107125163078],[11,6,3,12,-1,12,6,1,12,3,-0.00023418650380335748,0.0887251421809196,-0.1091964021325111],[0,1,14,7,-1,7,1,7,7,2,0.1009500026702881,0.0554442703723907,-0.552053689956665],[16,8,4,6,-1,16,8,2,6,2,0.0323404110968113,0.0497627407312393,-0.3663640022277832],[1,11,20,7,-1,6,11,10,7,2,0.1769921034574509,-0.0737656429409981,0.5430079102516174],[13,12,4,6,-1,13,15,4,3,2,-0.00018634319712873548,0.0957186669111252,-0.1821410953998566],[0,3,13,3,-1,0,4,13,1,3,0.006647313944995403,-0.1217313036322594,0.3033103942871094],[6,3,12,3,-1,6,4,12,1,3,-0.009927665814757347,0.3263852000236511,-0.0885337069630623],[0,4,22,10,-1,0,4,11,5,2,11,9,11,5,2,0.0525870993733406,0.1130395010113716,-0.3343687057495117],[14,3,8,4,-1,14,3,8,2,2,0.0049553681164979935,-0.1318328976631165,0.0976148098707199],[5,5,12,6,-1,5,5,6,3,2,11,8,6,3,2,-0.0238176602870226,-0.4102765023708344,0.0848498120903969],[11,6,6,6,-1,13,6,2,6,3,-0.0113637801259756,0.1887442022562027,-0.0835364162921906],[9,4,4,13,-1,10,4,2,13,2,-0.0019515539752319455,0.1898508965969086,-0.1777677983045578],[11,3,3,13,-1,12,3,1,13,3,-0.0135766696184874,0.2097575962543488,-0.0371154509484768],[9,5,4,6,-1,11,5,2,6,2,0.0164668206125498,-0.0823494121432304,0.3804722130298615],[7,2,12,15,-1,11,7,4,5,9,-0.1013626009225845,-0.1163323000073433,0.0678049102425575],[3,2,12,15,-1,7,7,4,5,9,-0.1024843007326126,-0.2885020971298218,0.1213968023657799],[5,2,12,12,-1,9,6,4,4,9,-0.2871756851673126,0.4693514108657837,-0.0829543098807335],[8,5,4,12,-1,8,8,4,6,2,0.050812978297472,0.0553938783705235,-0.6238328218460083],[8,9,8,7,-1,10,9,4,7,2,0.091063417494297,-0.023379560559988,0.4715529978275299],[6,9,8,7,-1,8,9,4,7,2,-0.0518453381955624,-0.6903154253959656,0.0454541184008121],[0,4,22,14,-1,11,4,11,7,2,0,11,11,7,2,0.1503123939037323,0.0459067113697529,-0.520677387714386],[2,12,18,6,-1,2,14,18,2,3,0.0415963195264339,0.0537062995135784,-0.4878216981887817]]],[6,-0.8504595160484314,[[6,5,6,5,-1,9,5,3,5,2,-0.005984771065413952,0.2785896062850952,-0.3092339038848877],[11,14,9,4,-1,14,14,3,4,3,-0.003903263946995139,0.2225704938173294,-0.2892822921276093],[6,14,6,4,-1,6,16,6,2,2,-0.00002236217915196903,0.1408437043428421,-0.3014316856861115],[15,6,6,5,-1,15,6,3,5,2,-0.0911670029163361,-0.6760801076889038,0.0560408197343349],[7,6,5,6,-1,7,6,5,3,2,0.0527556389570236,0.0746887475252151,-0.6325625777244568],[13,12,8,6,-1,13,12,4,6,2,0.0694585368037224,-0.1175492033362389,0.6386364102363586],[6,10,10,8,-1,6,12,10,4,2,-0.004820943810045719,0.2922593057155609,-0.1387241035699844],[2,13,18,2,-1,2,13,9,2,2,0.0321567505598068,0.0755752399563789,-0.5792791247367859],[1,15,8,3,-1,5,15,4,3,2,-0.0442984700202942,0.40226811170578,-0.1026460975408554],[14,7,6,4,-1,14,7,6,2,2,-0.007045210804790258,0.1512849926948547,-0.0567258708178997],[10,0,7,2,-1,10,0,7,1,2,0.0005160683067515492,-0.2302210032939911,0.1634387969970703],[17,8,4,6,-1,17,8,4,3,2,-0.0615283586084843,0.2555904090404511,-0.0467515103518963],[2,0,15,9,-1,7,3,5,3,9,-0.051367811858654,-0.2475582957267761,0.1430545002222061],[9,3,4,6,-1,9,6,4,3,2,0.009010709822177887,-0.1064876988530159,0.3127186000347138],[3,0,16,12,-1,3,6,16,6,2,0.022352259606123,0.154942199587822,-0.317362904548645],[11,0,3,10,-1,11,0,3,5,2,0.03149389103055,0.0720375329256058,-0.2894667088985443],[0,3,22,14,-1,11,3,11,14,2,-0.0520644597709179,-0.2708202004432678,0.1226018965244293],[10,3,6,7,-1,12,3,2,7,3,-0.006154938135296106,0.1644295006990433,-0.1065777987241745],[11,1,11,4,-1,10,2,11,2,2,0.0030305041000247,-0.1523413956165314,0.2044637948274612],[14,7,6,4,-1,14,7,6,2,2,-0.006802754011005163,0.0714481472969055,-0.0414583012461662],[5,5,4,12,-1,5,11,4,6,2,0.0686475336551666,-0.0528335385024548,0.5763890147209167],[2,6,20,9,-1,2,6,10,9,2,-0.0928830802440643,-0.2623670995235443,0.0824258103966713],[1,9,18,3,-1,7,9,6,3,3,-0.005290703848004341,0.140904501080513,-0.2205065041780472],[11,6,6,6,-1,13,6,2,6,3,0.0015640209894627333,-0.1014354974031448,0.1302697062492371],[8,13,6,4,-1,11,13,3,4,2,0.0107526201754808,0.0915153622627258,-0.3213397860527039],[10,14,6,4,-1,10,14,3,4,2,-0.0211063604801893,-0.2741023004055023,0.009177319705486298],[5,6,6,6,-1,7,6,2,6,3,0.00486631179228425,-0.1525872051715851,0.1971106976270676],[15,0,3,8,-1,16,1,1,8,3,0.0653964728116989,0.006592108868062496,-0.6434308886528015],[5,8,12,3,-1,9,8,4,3,3,0.00449026096612215,-0.1037724986672401,0.2800520956516266],[2,7,18,4,-1,2,9,18,2,2,0.0466148406267166,0.0547158494591713,-0.5217915177345276],[11,1,10,4,-1,11,1,5,4,2,0.1159745007753372,0.0396139994263649,-0.6478490233421326],[15,0,3,8,-1,16,1,1,8,3,0.0057222661562263966,-0.0548381693661213,0.1282801926136017],[7,0,8,3,-1,6,1,8,1,3,-0.0416332595050335,-0.8066583871841431,0.0359422899782658],[10,0,12,4,-1,16,0,6,2,2,10,2,6,2,2,-0.0472523905336857,-0.7919319272041321,0.0127373700961471],[5,2,12,3,-1,5,3,12,1,3,-0.0016451090341433883,0.2037672996520996,-0.1323063969612122],[8,2,14,3,-1,8,3,14,1,3,0.0025758889969438314,-0.0635034069418907,0.135300800204277],[0,0,12,4,-1,0,0,6,2,2,6,2,6,2,2,0.0207585897296667,0.0472869798541069,-0.5821200013160706],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,-0.0286014806479216,-0.4122197031974793,0.0242109801620245],[0,5,8,6,-1,0,5,4,3,2,4,8,4,3,2,-0.0286915805190802,-0.5540468096733093,0.0450686290860176],[14,14,6,4,-1,14,14,3,4,2,-0.0026637869887053967,0.1257023066282272,-0.1631949990987778],[6,12,10,4,-1,11,12,5,4,2,-0.004475072026252747,-0.2713806927204132,0.1029310002923012],[14,6,6,6,-1,12,8,6,2,3,0.0409370996057987,-0.0320654697716236,0.1309264004230499],[8,6,6,6,-1,10,8,2,6,3,0.0758271813392639,-0.0512215197086334,0.5659629702568054]]],[7,-0.91252201795578,[[2,8,6,10,-1,2,8,3,5,2,5,13,3,5,2,-0.004266996867954731,0.1770441979169846,-0.282654196023941],[11,3,4,9,-1,12,4,2,9,2,-0.0225779395550489,0.2365795969963074,-0.0423263683915138],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,-0.009810799732804298,-0.3856830894947052,0.0909823030233383],[11,5,3,9,-1,12,6,1,9,3,0.0038510379381477833,-0.1027040034532547,0.1926759034395218],[11,3,9,4,-1,10,4,9,2,2,-0.0020688450895249844,0.1665657013654709,-0.2139438986778259],[13,13,8,5,-1,13,13,4,5,2,-0.0583685003221035,0.3483357131481171,-0.0806054621934891],[1,13,8,5,-1,5,13,4,5,2,0.0562909208238125,-0.0616179890930653,0.6942182779312134],[7,13,8,3,-1,7,13,4,3,2,0.005577634088695049,0.0783748626708984,-0.4076493084430695],[8,13,6,4,-1,11,13,3,4,2,0.005097466986626387,0.1500179022550583,-0.2762084901332855],[11,7,3,8,-1,12,8,1,8,3,0.0241340193897486,-0.0376859717071056,0.4011130928993225],[5,1,6,8,-1,7,1,2,8,3,0.0026251180097460747,-0.1898688971996307,0.1666657030582428],[14,14,6,4,-1,14,16,6,2,2,-0.0231797192245722,-0.6080746054649353,0.0330169312655926],[11,7,8,3,-1,10,8,8,1,3,-0.001796036958694458,0.1832838952541351,-0.163005605340004],[12,3,3,12,-1,8,7,3,4,3,0.1132725030183792,0.0163923595100641,-0.3852145075798035],[8,5,5,6,-1,8,8,5,3,2,-0.011120930314064,-0.26789391040802,0.1203088015317917],[11,3,8,4,-1,11,3,8,2,2,0.00892985612154007,-0.0647662431001663,0.0524467006325722],[7,5,8,6,-1,9,5,4,6,2,0.0302645191550255,-0.0533437095582485,0.4917060136795044],[11,4,6,6,-1,9,6,6,2,3,0.130362406373024,0.009912349283695221,-0.8077524900436401],[11,4,6,6,-1,13,6,2,6,3,-0.00489419000223279,0.1415328979492188,-0.2422267943620682],[12,8,6,4,-1,12,8,3,4,2,-0.0180093497037888,-0.1835270971059799,0.0537842698395252],[5,15,8,3,-1,9,15,4,3,2,0.0000630286376690492,-0.2083622068166733,0.1386117935180664],[0,5,22,13,-1,0,5,11,13,2,-0.3812729120254517,-0.7652782201766968,0.0345780998468399],[2,12,9,6,-1,5,12,3,6,3,0.0161685701459646,-0.0785770490765572,0.3608635067939758],[19,1,3,10,-1,19,6,3,5,2,-0.0207253806293011,-0.3290519118309021,0.0816933363676071],[5,14,12,4,-1,5,16,12,2,2,-0.00014763489889446646,0.1044917032122612,-0.2762413918972015],[10,14,10,4,-1,10,16,10,2,2,-0.0169591698795557,-0.2415079027414322,0.0545696802437305],[1,3,14,3,-1,1,4,14,1,3,-0.0152211003005505,0.4103314876556397,-0.0683332532644272],[3,14,16,4,-1,11,14,8,2,2,3,16,8,2,2,-0.00960412435233593,-0.3356964886188507,0.0862504914402962],[0,14,6,4,-1,3,14,3,4,2,-0.0016476860037073493,0.1623633056879044,-0.1904449015855789],[10,1,11,4,-1,10,3,11,2,2,-0.1070583984255791,-0.8676710724830627,0.007394134066998959],[1,1,11,4,-1,1,3,11,2,2,-0.0188181605190039,-0.3687911033630371,0.0688466429710388],[9,3,6,6,-1,9,5,6,2,3,-0.005614218767732382,0.1732203960418701,-0.1251447051763535],[4,5,12,3,-1,4,6,12,1,3,0.007396929897367954,-0.0854673683643341,0.3202716112136841],[12,0,7,6,-1,12,3,7,3,2,0.009487091563642025,0.0631684064865112,-0.2091891020536423],[1,3,16,4,-1,1,4,16,2,2,0.0018458140548318624,-0.1543627977371216,0.1851702034473419],[4,9,15,3,-1,4,10,15,1,3,-0.0197473596781492,0.3307111859321594,-0.076775848865509],[2,4,18,6,-1,2,4,9,3,2,11,7,9,3,2,0.0324211604893208,0.0820211321115494,-0.4014750123023987],[13,5,4,13,-1,14,5,2,13,2,0.0029075390193611383,-0.077174037694931,0.1062069982290268],[4,6,6,4,-1,4,8,6,2,2,0.015189359895885,0.0603638999164104,-0.4136523902416229],[8,7,6,5,-1,8,7,3,5,2,-0.0306837391108274,0.4347062110900879,-0.0593813210725784],[10,8,4,6,-1,10,8,4,3,2,-0.0109734497964382,-0.2953523099422455,0.0855164676904678],[6,12,12,4,-1,6,12,6,4,2,-0.0395403616130352,-0.2876588106155396,0.034472968429327],[3,11,10,3,-1,8,11,5,3,2,-0.0379358716309071,0.3819986879825592,-0.0853647664189339],[12,2,3,12,-1,12,2,3,6,2,0.0306698102504015,0.0447380989789963,-0.1770364046096802],[0,2,14,16,-1,7,2,7,16,2,0.1719450950622559,-0.0592141784727573,0.4929103851318359],[1,5,20,4,-1,6,5,10,4,2,-0.0067055500112473965,0.1641025990247726,-0.2182646989822388],[0,1,18,15,-1,9,1,9,15,2,-0.3857786953449249,-0.6717677116394043,0.0423495918512344],[15,2,6,8,-1,15,4,6,4,2,0.0272130407392979,0.0122661497443914,-0.2295421063899994],[4,14,13,4,-1,4,15,13,2,2,-0.0192949809134007,-0.583734393119812,0.0383809991180897],[11,2,3,12,-1,12,2,1,12,3,0.007679224945604801,-0.0474903509020805,0.1596446037292481],[0,16,15,2,-1,0,17,15,1,2,0.00006024226968293078,-0.1173423975706101,0.1823665052652359],[12,14,6,4,-1,12,16,6,2,2,-0.0000664981416775845,0.0747451409697533,-0.1698943972587585],[5,13,12,4,-1,5,14,12,2,2,0.0043275849893689156,0.0737897977232933,-0.2844434976577759],[12,12,6,6,-1,12,14,6,2,3,-0.0331404693424702,-0.4060660898685455,0.0100287301465869],[0,9,15,3,-1,0,10,15,1,3,0.00991814024746418,-0.079339787364006,0.2819001078605652],[6,9,14,3,-1,6,10,14,1,3,-0.002357733901590109,0.1530122011899948,-0.1047597974538803],[4,12,7,6,-1,4,14,7,2,3,-0.026200819760561,-0.5418503284454346,0.044369250535965],[6,6,10,6,-1,11,6,5,3,2,6,9,5,3,2,0.0473286584019661,0.0188977494835854,-0.8266593217849731]]],[8,-1.1653599739074707,[[3,0,16,2,-1,3,0,8,2,2,0.0299217198044062,-0.3231500089168549,0.510928213596344],[5,9,12,9,-1,5,12,12,3,3,0.0561476089060307,-0.1257440000772476,0.6674917936325073],[6,9,10,6,-1,6,12,10,3,2,-0.0137598495930433,0.4069119095802307,-0.2107529938220978],[7,4,8,6,-1,7,6,8,2,3,-0.004378870129585266,0.2794013917446137,-0.209554597735405],[6,5,3,12,-1,6,11,3,6,2,0.0192088894546032,-0.0898006930947304,0.5093656182289124],[12,12,6,6,-1,14,12,2,6,3,-0.0008939359104260802,0.1070362031459808,-0.1229420006275177],[6,15,8,3,-1,10,15,4,3,2,-0.000629180227406323,-0.3784793019294739,0.1300881952047348],[4,13,14,4,-1,4,15,14,2,2,-0.0016248769825324416,0.1775002032518387,-0.2781121134757996],[10,4,11,3,-1,9,5,11,1,3,-0.004615196026861668,0.2407151013612747,-0.1426901072263718],[11,4,4,9,-1,12,5,2,9,2,0.0571628287434578,-0.0184748694300652,0.4508605897426605],[0,8,13,3,-1,0,9,13,1,3,-0.003826536936685443,0.2595176100730896,-0.1145515963435173],[13,2,6,10,-1,16,2,3,5,2,13,7,3,5,2,-0.0452351905405521,-0.3384900987148285,0.0345389507710934],[3,2,6,10,-1,3,2,3,5,2,6,7,3,5,2,0.0038135750219225883,0.1133399978280067,-0.2762039005756378],[11,2,4,11,-1,11,2,2,11,2,0.0451082587242126,0.0286020506173372,-0.1583766937255859],[4,2,12,3,-1,4,3,12,1,3,-0.002779497066512704,0.2889742851257324,-0.1082272008061409],[12,1,4,12,-1,12,1,2,12,2,0.00563668692484498,-0.1018479019403458,0.0787871032953262],[11,2,11,4,-1,11,2,11,2,2,-0.0529868192970753,0.5296499729156494,-0.0655433535575867],[11,0,4,9,-1,11,0,2,9,2,0.0747378915548325,0.0263206604868174,-0.3048720955848694],[11,0,9,4,-1,11,0,9,2,2,0.004155952017754316,-0.2297717034816742,0.1566217988729477],[16,2,6,10,-1,19,2,3,5,2,16,7,3,5,2,-0.0029388200491666794,-0.1691641062498093,0.0969966724514961],[11,0,6,3,-1,10,1,6,1,3,-0.0130655104294419,0.4025856852531433,-0.0716143697500229],[11,0,3,8,-1,12,1,1,8,3,-0.0349282510578632,-0.4944998919963837,0.0225478205829859],[11,0,8,3,-1,10,1,8,1,3,0.0021728971041738987,-0.1555256992578507,0.2013621926307678],[17,1,4,12,-1,19,1,2,6,2,17,7,2,6,2,0.0143873495981097,0.0363481007516384,-0.2946861982345581],[8,4,6,4,-1,8,6,6,2,2,0.006783013232052326,-0.0822483524680138,0.338575005531311],[8,5,8,5,-1,8,5,4,5,2,-0.0728838369250298,-0.3457767069339752,0.0196013208478689],[8,4,6,13,-1,10,4,2,13,3,-0.0045158518478274345,0.1705949008464813,-0.1974281966686249],[16,3,6,8,-1,19,3,3,4,2,16,7,3,4,2,-0.0137420799583197,-0.2121434956789017,0.0339536890387535],[0,3,6,8,-1,0,3,3,4,2,3,7,3,4,2,0.007805670145899057,0.071426697075367,-0.3422398865222931],[10,9,12,4,-1,16,9,6,2,2,10,11,6,2,2,0.0216499902307987,-0.0619250498712063,0.3726766109466553],[1,2,9,12,-1,4,6,3,4,9,-0.0677066370844841,-0.3030416071414948,0.0943575873970985],[15,12,4,6,-1,15,12,2,6,2,-0.0021855749655514956,0.1083177030086517,-0.1553054004907608],[5,15,12,3,-1,11,15,6,3,2,-0.002548306016251445,-0.2410344034433365,0.0929162874817848],[2,16,20,2,-1,2,16,10,2,2,-0.0672078132629395,-0.6625934839248657,0.016074649989605],[1,8,10,6,-1,1,8,5,3,2,6,11,5,3,2,0.0477993711829185,-0.0444126389920712,0.6056978702545166],[6,3,16,14,-1,14,3,8,7,2,6,10,8,7,2,-0.0911784172058105,0.2476149052381516,-0.0347624011337757],[1,4,6,8,-1,1,4,3,4,2,4,8,3,4,2,-0.003859248012304306,-0.253667414188385,0.1019499972462654],[7,2,12,4,-1,7,3,12,2,2,0.002410097047686577,-0.1213397011160851,0.1976791024208069],[1,9,6,9,-1,4,9,3,9,2,-0.0053831469267606735,0.1710394024848938,-0.1618983000516892],[12,14,10,4,-1,12,14,5,4,2,0.009100422263145447,-0.0609215497970581,0.1769524961709976],[2,12,12,5,-1,5,12,6,5,2,0.0022724110167473555,-0.090476967394352,0.2744063138961792],[15,12,6,6,-1,17,12,2,6,3,-0.080621562898159,-0.8804556727409363,0.0171932391822338],[1,12,6,6,-1,3,12,2,6,3,0.003896570997312665,-0.1703792065382004,0.1797958016395569],[8,12,6,6,-1,10,12,2,6,3,-0.004309364128857851,-0.2938205003738403,0.0863174721598625]]],[9,-0.9428492784500122,[[5,2,12,16,-1,5,10,12,8,2,-0.063116192817688,0.5551251769065857,-0.3599770963191986],[4,2,18,14,-1,4,9,18,7,2,0.0843502879142761,-0.1253127008676529,0.535676896572113],[5,4,12,14,-1,5,11,12,7,2,-0.2139073014259338,0.751568615436554,-0.0882708728313446],[2,5,20,8,-1,7,5,10,8,2,-0.0297449808567762,0.2010620981454849,-0.1210668981075287],[8,0,10,7,-1,8,0,5,7,2,-0.1198768019676209,0.6469219923019409,-0.0777476131916046],[12,0,5,8,-1,12,0,5,4,2,0.0030843529384583235,-0.0630676373839378,0.0778890773653984],[7,4,6,13,-1,10,4,3,13,2,-0.004556021187454462,0.1897227019071579,-0.1992907971143723],[7,14,8,4,-1,7,16,8,2,2,0.00044629329931922257,0.1405158936977387,-0.3029241859912872],[8,0,3,12,-1,9,0,1,12,3,-0.006495437119156122,0.3194229006767273,-0.1107200011610985],[11,6,3,12,-1,12,6,1,12,3,-0.0021751760505139828,0.1647725999355316,-0.0804247781634331],[4,0,3,12,-1,4,4,3,4,3,0.006587584037333727,0.1471655070781708,-0.301981508731842],[11,3,3,15,-1,12,3,1,15,3,0.0207012090831995,-0.0429966896772385,0.4012382030487061],[5,12,7,6,-1,5,14,7,2,3,0.0025877119041979313,0.1263054013252258,-0.2751812040805817],[11,6,3,12,-1,12,6,1,12,3,-0.0105450795963407,0.1963762938976288,-0.0397727787494659],[8,6,3,12,-1,9,6,1,12,3,0.006239696871489286,-0.0835634097456932,0.3665548861026764],[5,16,12,2,-1,5,16,6,2,2,0.0144586702808738,0.0633016973733902,-0.584989070892334],[1,12,20,6,-1,6,12,10,6,2,0.0312634408473969,-0.1067527011036873,0.3485285937786102],[8,11,9,4,-1,11,11,3,4,3,0.0014865349512547255,0.1370967030525208,-0.1373165994882584],[5,11,9,4,-1,8,11,3,4,3,-0.00017898039368446916,0.1783964931964874,-0.2575171887874603],[11,6,9,12,-1,14,10,3,4,9,0.0777144730091095,0.0570818483829498,-0.2427340000867844],[2,6,9,12,-1,5,10,3,4,9,0.0222282707691193,0.145937904715538,-0.2099460959434509],[5,9,12,2,-1,5,10,12,1,2,0.0016969949938356876,-0.1441888958215714,0.2737540900707245],[0,3,16,3,-1,4,3,8,3,2,-0.0200234707444906,-0.3755624890327454,0.0816276967525482],[11,6,3,12,-1,12,6,1,12,3,0.0038644319865852594,-0.0644904300570488,0.159216895699501],[0,2,14,3,-1,0,3,14,1,3,-0.0030527650378644466,0.2675152122974396,-0.1053185015916824],[10,2,12,3,-1,10,3,12,1,3,0.00561123201623559,-0.068567730486393,0.2123499065637589],[5,14,12,3,-1,11,14,6,3,2,0.004662226885557175,0.1425414979457855,-0.2089271992444992],[8,13,8,3,-1,8,13,4,3,2,0.0024710448924452066,0.072614386677742,-0.1883390992879868],[9,2,4,8,-1,9,6,4,4,2,0.0126550002023578,-0.0836052596569061,0.4326224029064179],[15,1,3,11,-1,16,2,1,11,3,-0.0177245195955038,0.1743223071098328,-0.0284798201173544],[8,1,10,4,-1,7,2,10,2,2,-0.0007232127245515585,0.1534397006034851,-0.2401217967271805],[5,5,15,3,-1,5,6,15,1,3,-0.0062155709601938725,0.2516668140888214,-0.0855198875069618],[5,1,9,5,-1,8,1,3,5,3,0.0416327714920044,0.050593800842762,-0.609654426574707],[14,0,4,18,-1,15,0,2,18,2,0.0239183008670807,-0.0368096604943275,0.3905547857284546],[6,0,5,16,-1,6,8,5,8,2,-0.007435313891619444,0.1501857936382294,-0.1862781941890717],[12,4,4,8,-1,12,8,4,4,2,-0.0205714497715235,-0.2857455909252167,0.0483023785054684],[11,4,10,2,-1,11,4,10,1,2,-0.007383198011666536,0.3668056130409241,-0.0960677564144135],[10,0,12,3,-1,14,0,4,3,3,0.009722292423248291,0.0638980194926262,-0.172625795006752],[0,2,20,13,-1,5,2,10,13,2,-0.0218076296150684,0.1802726984024048,-0.1910911947488785],[12,4,4,8,-1,12,8,4,4,2,0.058147668838501,0.00857099611312151,-0.4625082910060883],[6,4,4,8,-1,6,8,4,4,2,-0.009453950449824333,-0.2890872955322266,0.1142157018184662],[11,6,3,12,-1,12,6,1,12,3,-0.0210807099938393,0.3757005035877228,-0.0255910307168961],[8,6,3,12,-1,9,6,1,12,3,-0.004062957130372524,0.2714667022228241,-0.1084538027644157],[7,1,14,2,-1,7,1,7,2,2,-0.1282662004232407,1,-0.0010962430387735367]]],[10,-0.9562031030654907,[[4,8,14,10,-1,4,13,14,5,2,-0.1266229003667831,0.6226822137832642,-0.1481045931577683],[11,14,9,4,-1,14,14,3,4,3,-0.0070846290327608585,0.2013377994298935,-0.1772895008325577],[1,7,17,8,-1,1,11,17,4,2,0.1145920008420944,-0.0889758467674255,0.5739554166793823],[10,12,7,6,-1,10,15,7,3,2,0.003347215009853244,0.0757082030177116,-0.282221794128418],[10,1,8,9,-1,10,1,4,9,2,0.0519242286682129,-0.1394848972558975,0.2568109035491943],[11,2,4,11,-1,11,2,2,11,2,-0.0413439087569714,0.2241418063640595,-0.0436536706984043],[6,9,4,9,-1,8,9,2,9,2,-0.0320564694702625,-0.5940976142883301,0.0518911592662334],[8,3,12,4,-1,14,3,6,2,2,8,5,6,2,2,-0.00405908701941371,0.1640208065509796,-0.1552838981151581],[5,14,7,4,-1,5,16,7,2,2,-0.00009187671821564436,0.1058787032961845,-0.28261598944664],[13,0,4,13,-1,13,0,2,13,2,0.028358219191432,0.0573840290307999,-0.0670941472053528],[9,0,13,4,-1,9,0,13,2,2,-0.074662521481514,0.5691670775413513,-0.0487856417894363],[12,9,4,9,-1,12,12,4,3,3,-0.003655649023130536,0.2236949056386948,-0.122021496295929],[7,4,12,2,-1,7,4,12,1,2,0.0031778779812157154,0.12240319699049,-0.2768172919750214],[12,5,10,6,-1,17,5,5,3,2,12,8,5,3,2,0.0380443409085274,0.023216400295496,-0.5373290181159973],[1,0,17,3,-1,1,1,17,1,3,0.008783139288425446,-0.0743375569581985,0.3285123109817505],[15,4,6,8,-1,18,4,3,4,2,15,8,3,4,2,-0.005981809925287962,-0.1950477957725525,0.0669768527150154],[3,2,4,14,-1,3,2,2,7,2,5,9,2,7,2,-0.0016369449440389872,0.1467480063438416,-0.1802414953708649],[14,8,6,4,-1,14,8,6,2,2,-0.0991931334137917,0.6836351752281189,-0.0296527203172445],[8,8,4,6,-1,8,8,2,6,2,-0.0103520099073648,0.3422530889511108,-0.0811415389180183],[12,1,4,16,-1,14,1,2,8,2,12,9,2,8,2,0.0256379097700119,0.0514169000089169,-0.1669799983501434],[7,0,6,8,-1,7,0,3,4,2,10,4,3,4,2,-0.0012416959507390857,0.124889001250267,-0.2134622037410736],[8,12,6,5,-1,8,12,3,5,2,0.0015018839621916413,0.0979343876242638,-0.263850212097168],[7,5,6,12,-1,7,5,3,6,2,10,11,3,6,2,-0.0327036790549755,0.5750488042831421,-0.0458754003047943],[15,5,6,6,-1,15,5,3,6,2,0.0212971698492765,0.061069380491972,-0.2248021960258484],[6,10,3,8,-1,6,14,3,4,2,-0.0008835801854729652,0.0956257879734039,-0.275645911693573],[4,0,14,3,-1,4,1,14,1,3,-0.003655686043202877,0.2410708963871002,-0.1035951972007752],[0,9,8,3,-1,4,9,4,3,2,0.0343004614114761,0.0390627011656761,-0.6244534850120544],[9,3,4,6,-1,9,6,4,3,2,0.0114923501387239,-0.0692460536956787,0.3825817108154297],[3,0,10,10,-1,3,0,5,5,2,8,5,5,5,2,-0.0031294790096580982,0.1127336993813515,-0.2312251031398773],[5,13,12,4,-1,5,13,6,4,2,-0.0040945871733129025,-0.1719598025083542,0.1311265975236893],[6,12,10,3,-1,11,12,5,3,2,-0.0030921408906579018,-0.2546038925647736,0.0966591611504555],[12,15,10,3,-1,12,15,5,3,2,-0.0416721291840076,0.2732776999473572,-0.0630946233868599],[0,15,10,3,-1,5,15,5,3,2,0.0113844601437449,-0.0718725174665451,0.4116039872169495],[3,0,17,14,-1,3,7,17,7,2,-0.0239341501146555,0.1319234073162079,-0.1795483976602554],[9,0,4,16,-1,9,0,2,8,2,11,8,2,8,2,-0.0315541699528694,-0.5879213213920593,0.0417828895151615],[11,4,6,8,-1,11,8,6,4,2,-0.024033859372139,-0.1553476005792618,0.0277002602815628],[0,9,12,3,-1,0,10,12,1,3,0.0315894708037376,-0.0391502790153027,0.6095172166824341],[1,5,20,8,-1,11,5,10,4,2,1,9,10,4,2,-0.0242148600518703,-0.2458761930465698,0.0911332964897156],[1,8,13,3,-1,1,9,13,1,3,0.0019322870066389441,-0.1164783984422684,0.1881929039955139],[8,8,14,3,-1,8,9,14,1,3,-0.0036017759703099728,0.0976005122065544,-0.0489180907607079],[4,16,14,2,-1,4,17,14,1,2,0.003151611890643835,0.0658088698983192,-0.3157765865325928],[11,1,3,6,-1,12,2,1,6,3,-0.0636770725250244,-0.8641548156738281,-0.0009909732034429908],[11,1,6,3,-1,10,2,6,1,3,-0.003908502869307995,0.208262100815773,-0.1056023016571999],[13,1,6,10,-1,16,1,3,5,2,13,6,3,5,2,-0.026837719604373,-0.1837512999773026,0.0295453295111656],[11,0,10,3,-1,10,1,10,1,3,0.0031312298960983753,-0.1262668967247009,0.1688859015703201],[12,1,3,12,-1,13,2,1,12,3,-0.0734918713569641,-1,0.0056774187833070755],[10,1,12,3,-1,9,2,12,1,3,0.0180348195135593,-0.0686174109578133,0.3343813121318817],[13,1,6,10,-1,16,1,3,5,2,13,6,3,5,2,0.0686559975147247,0.0046462309546768665,-0.8066462874412537],[3,1,6,10,-1,3,1,3,5,2,6,6,3,5,2,-0.004697089083492756,-0.2012176960706711,0.1158004030585289],[14,7,6,10,-1,17,7,3,5,2,14,12,3,5,2,0.0467838905751705,-0.0358026996254921,0.4162563979625702],[3,2,6,8,-1,3,2,3,4,2,6,6,3,4,2,0.004594605881720781,0.0884575769305229,-0.2689448893070221],[11,14,9,4,-1,14,14,3,4,3,-0.0013852829579263926,0.0813912227749825,-0.1488042026758194],[1,8,15,8,-1,1,12,15,4,2,0.0217887591570616,-0.0916404575109482,0.2126124948263168],[9,12,8,4,-1,9,14,8,2,2,-0.0001338009024038911,0.0964247435331345,-0.1471737027168274],[6,5,7,6,-1,6,7,7,2,3,-0.0479904115200043,-0.6198713183403015,0.0387607105076313],[9,5,6,5,-1,9,5,3,5,2,0.020026009529829,-0.0359724201261997,0.1939342021942139],[0,12,8,6,-1,2,12,4,6,2,0.0010723130544647574,-0.194474995136261,0.1206495016813278],[14,8,6,4,-1,14,8,3,4,2,0.0226650908589363,0.0487194396555424,-0.236407995223999],[8,8,4,6,-1,8,8,4,3,2,-0.0110421096906066,-0.2610734105110169,0.100754901766777],[9,4,6,8,-1,11,4,2,8,3,-0.0128110498189926,0.1519962996244431,-0.0885529592633247],[7,4,6,8,-1,9,4,2,8,3,-0.0366286486387253,0.3885886073112488,-0.0773045495152473]]],[11,-0.8770840764045715,[[0,15,10,3,-1,5,15,5,3,2,-0.0546066388487816,0.5580134987831116,-0.1416888982057571],[11,5,3,9,-1,12,6,1,9,3,0.0335337407886982,-0.0273862797766924,0.4438177049160004],[11,5,9,3,-1,10,6,9,1,3,-0.009963530115783215,0.2519390881061554,-0.1464754045009613],[12,6,8,4,-1,12,6,8,2,2,0.0018188880058005452,-0.1126412004232407,0.1152326017618179],[10,6,4,8,-1,10,6,2,8,2,-0.0487938299775124,0.5131710767745972,-0.078665018081665],[13,0,5,12,-1,13,0,5,6,2,-0.0133577696979046,-0.1419797986745834,0.1186259984970093],[1,3,12,4,-1,4,3,6,4,2,0.0011562240542843938,-0.2094922065734863,0.1569304019212723],[15,7,6,5,-1,15,7,3,5,2,-0.006238451227545738,-0.1433645039796829,0.1130355000495911],[1,7,12,3,-1,1,8,12,1,3,0.0044234818778932095,-0.1035858020186424,0.2458948940038681],[15,7,6,5,-1,15,7,3,5,2,0.052964448928833,0.0125615503638983,-0.6255180835723877],[1,7,6,5,-1,4,7,3,5,2,0.005584468133747578,0.083967886865139,-0.2465379983186722],[12,13,6,4,-1,12,15,6,2,2,-0.00041809541289694607,0.0695880725979805,-0.1355881989002228],[5,12,12,6,-1,5,12,6,3,2,11,15,6,3,2,-0.00896371342241764,-0.3044273853302002,0.0698947235941887],[11,5,2,9,-1,11,5,1,9,2,0.0244790501892567,-0.0316518284380436,0.2030878961086273],[11,5,9,2,-1,11,5,9,1,2,-0.0258423294872046,0.5040106177330017,-0.0639220625162125],[10,12,9,4,-1,13,12,3,4,3,-0.002078562043607235,0.1098022013902664,-0.11839559674263],[8,6,6,6,-1,8,6,6,3,2,0.0680303424596787,0.0422907397150993,-0.5185551047325134],[10,14,6,4,-1,10,14,3,4,2,-0.007063976023346186,-0.200311005115509,0.0249556098133326],[0,2,14,3,-1,0,3,14,1,3,-0.0034848200157284737,0.231353297829628,-0.0969895571470261],[8,2,12,3,-1,8,3,12,1,3,0.013147160410881,-0.0374509505927563,0.2584278881549835],[8,7,5,6,-1,8,7,5,3,2,-0.0142716597765684,-0.3011017143726349,0.0796723365783691],[12,6,8,3,-1,12,6,4,3,2,0.012653480283916,0.0490391403436661,-0.1498810946941376],[4,10,4,6,-1,6,10,2,6,2,-0.0044893440790474415,0.1720885932445526,-0.1535564959049225],[1,11,20,4,-1,6,11,10,4,2,0.0323654003441334,-0.0904931128025055,0.3577916026115418],[6,10,8,7,-1,8,10,4,7,2,0.004612580873072147,0.1144519001245499,-0.2651948928833008],[11,3,3,9,-1,12,4,1,9,3,0.0286459308117628,-0.0359885394573212,0.3002552092075348],[0,8,22,4,-1,11,8,11,4,2,-0.0235719792544842,-0.2487282007932663,0.0919671207666397],[3,10,16,3,-1,3,10,8,3,2,-0.0107397995889187,-0.2136776000261307,0.0964774116873741],[11,3,9,3,-1,10,4,9,1,3,0.023728659376502,-0.0709161981940269,0.4382875859737396],[5,3,12,9,-1,9,6,4,3,9,-0.3280070126056671,0.5884003043174744,-0.0317567884922028],[7,12,4,6,-1,9,12,2,6,2,0.000007500856099795783,-0.1828856021165848,0.1202294006943703],[9,12,6,6,-1,9,12,3,6,2,0.030071409419179,0.0278020203113556,-0.4322428107261658],[2,13,16,5,-1,10,13,8,5,2,-0.002193660940974951,0.1359242051839829,-0.1403862982988358],[12,12,8,3,-1,12,12,4,3,2,0.0201743394136429,-0.0616289190948009,0.3157976865768433],[10,4,12,2,-1,10,4,6,2,2,0.009746020659804344,0.0889580324292183,-0.2259400933980942],[11,3,8,4,-1,11,3,4,4,2,-0.0129583403468132,-0.1220085024833679,0.0865180864930153],[4,6,10,3,-1,9,6,5,3,2,0.0114454999566078,-0.0641823336482048,0.3027974963188171],[10,1,6,8,-1,13,1,3,4,2,10,5,3,4,2,-0.003380256937816739,0.111776702105999,-0.1292237937450409],[11,1,6,6,-1,11,1,6,3,2,0.0203662104904652,0.1010453999042511,-0.2599115967750549],[11,6,6,4,-1,11,8,6,2,2,0.0380586497485638,0.0131683498620987,-0.7558063268661499],[2,2,12,3,-1,2,3,12,1,3,0.002305000089108944,-0.1076664999127388,0.1875766962766647],[11,3,8,4,-1,11,3,4,4,2,0.051847118884325,-0.0223205294460058,0.187958300113678],[1,0,8,6,-1,1,0,4,3,2,5,3,4,3,2,0.0113830296322703,0.0602261610329151,-0.3596178889274597],[8,3,14,3,-1,8,4,14,1,3,0.00825531780719757,-0.0851313918828964,0.2349344044923782],[11,3,4,8,-1,11,3,4,4,2,-0.0269843395799398,-0.2147939950227737,0.0936567336320877],[6,0,12,10,-1,9,0,6,10,2,-0.0102899800986052,0.0582548901438713,-0.0839509293437004],[4,16,14,2,-1,4,17,14,1,2,-0.000014419780200114474,0.1039287000894547,-0.1731729954481125],[10,11,12,3,-1,10,12,12,1,3,0.0100651402026415,-0.0413111187517643,0.1761602014303207],[3,0,4,6,-1,5,0,2,6,2,-0.0001487022964283824,0.1565753966569901,-0.1203005984425545],[16,12,6,4,-1,16,12,3,4,2,-0.0031059589236974716,0.1167488023638725,-0.0913724601268768],[0,13,10,4,-1,5,13,5,4,2,0.0107080303132534,-0.0776082277297974,0.2791610062122345],[3,1,16,4,-1,11,1,8,2,2,3,3,8,2,2,-0.00977921299636364,-0.290609210729599,0.0715626403689384],[0,1,11,4,-1,0,3,11,2,2,0.020121980458498,0.0439949594438076,-0.4253950119018555],[6,8,11,6,-1,6,11,11,3,2,-0.0632951632142067,0.3703423142433167,-0.052549809217453],[8,5,5,10,-1,8,10,5,5,2,-0.0872895568609238,-0.6429927945137024,0.0319528691470623],[9,2,4,6,-1,9,5,4,3,2,0.0203985404223204,-0.0459555983543396,0.4626615941524506],[2,3,12,6,-1,2,3,6,3,2,8,6,6,3,2,-0.004031300079077482,0.1384084969758987,-0.1798083931207657],[13,3,7,9,-1,13,6,7,3,3,-0.0157345198094845,-0.1847718060016632,0.0699830800294876],[2,3,7,9,-1,2,6,7,3,3,0.003333288012072444,0.1127765029668808,-0.1951379030942917],[11,0,3,6,-1,12,1,1,6,3,0.0436891615390778,0.005951093975454569,-0.5542343854904175],[3,3,13,3,-1,3,4,13,1,3,-0.002092061098664999,0.1916346997022629,-0.0971361100673676],[8,3,14,3,-1,8,4,14,1,3,0.0020574270747601986,-0.1019743010401726,0.1408381015062332],[3,6,7,12,-1,3,9,7,6,2,0.008801812306046486,0.1198780983686447,-0.1563854962587357],[12,13,6,4,-1,12,15,6,2,2,-0.0168825294822454,-0.1843809932470322,0.0194928701967001],[4,13,6,4,-1,4,15,6,2,2,-0.000616478908341378,0.106651097536087,-0.221640095114708],[6,1,15,2,-1,6,2,15,1,2,0.000103173399111256,-0.1122889965772629,0.1385865062475205],[4,3,3,12,-1,5,3,1,12,3,0.01531632989645,-0.0506394095718861,0.4111982882022858],[14,4,2,12,-1,14,4,2,6,2,0.0106606902554631,0.0588208101689816,-0.1645466983318329],[11,0,6,3,-1,10,1,6,1,3,-0.019296869635582,0.3926095962524414,-0.0527611896395683],[4,9,14,5,-1,4,9,7,5,2,0.0100181102752686,0.1006847023963928,-0.1975626945495606],[11,2,10,3,-1,10,3,10,1,3,-0.0272637903690338,0.3533208966255188,-0.0553055517375469],[9,12,7,6,-1,9,14,7,2,3,0.005449431017041206,0.0672537684440613,-0.1838447004556656]]],[12,-0.8526716828346252,[[1,8,8,10,-1,1,8,4,5,2,5,13,4,5,2,-0.0574348606169224,0.5058255195617676,-0.1227457001805306],[5,5,12,5,-1,9,5,4,5,3,-0.1275065988302231,0.5760596990585327,-0.0437109284102917],[8,8,4,6,-1,8,8,2,6,2,-0.0636756420135498,0.5712252259254456,-0.0499683208763599],[7,6,8,10,-1,7,11,8,5,2,-0.0119284801185131,0.2164193987846375,-0.1848026961088181],[6,14,6,4,-1,9,14,3,4,2,0.00013247699826024473,-0.2268567979335785,0.1064827963709831],[5,15,12,2,-1,5,16,12,1,2,0.0006414026720449328,0.0947516784071922,-0.2689200937747955],[6,4,10,6,-1,6,6,10,2,3,-0.0029463530518114567,0.1391091048717499,-0.1709107011556625],[9,12,8,6,-1,9,14,8,2,3,0.005338474176824093,0.0839692428708076,-0.0954419896006584],[1,11,20,5,-1,6,11,10,5,2,0.0587031506001949,-0.0696475207805634,0.336294412612915],[10,8,8,4,-1,10,8,4,4,2,-0.002540630055591464,0.0961760133504868,-0.1575814038515091],[2,4,18,6,-1,2,6,18,2,3,-0.031899519264698,-0.2795648872852325,0.0703595131635666],[8,4,12,11,-1,8,4,6,11,2,-0.3202270865440369,-0.9080504775047302,0.0075922380201518536],[11,5,11,2,-1,11,5,11,1,2,0.0357962511479855,-0.0500707700848579,0.4210157990455627],[3,6,18,9,-1,9,9,6,3,9,-0.1907916069030762,-0.2206103056669235,0.0651847869157791],[3,2,10,9,-1,8,2,5,9,2,-0.0121818296611309,0.1347943991422653,-0.1666775047779083],[14,5,6,6,-1,16,5,2,6,3,-0.0321657992899418,-0.2510541081428528,0.0193445608019829],[5,5,12,6,-1,8,5,6,6,2,0.0362996309995651,-0.0594907812774181,0.4000773131847382],[11,3,10,4,-1,11,3,5,4,2,0.0202245805412531,0.0564897991716862,-0.1341823935508728],[6,3,8,6,-1,6,3,4,3,2,10,6,4,3,2,-0.0253931302577257,0.3650783896446228,-0.066002182662487],[16,0,3,15,-1,16,5,3,5,3,-0.0120223695412278,-0.1765505969524384,0.0739976391196251],[3,0,3,15,-1,3,5,3,5,3,0.0479651391506195,0.0446685589849949,-0.4458498060703278],[5,2,12,16,-1,8,2,6,16,2,-0.2056401968002319,-0.732545018196106,0.0199552308768034],[6,8,4,6,-1,8,8,2,6,2,-0.001660170964896679,0.1163327023386955,-0.1548850983381271],[5,9,13,9,-1,5,12,13,3,3,0.0868996232748032,-0.0541075505316257,0.2695240080356598],[11,7,8,3,-1,11,7,4,3,2,-0.0011374129680916667,-0.1431442946195602,0.1244433000683785],[7,0,9,4,-1,10,0,3,4,3,0.030976340174675,0.0298648606985807,-0.3260793089866638],[7,6,6,5,-1,10,6,3,5,2,0.0269780103117228,-0.0450982488691807,0.3612884879112244],[2,7,18,6,-1,8,9,6,2,9,0.1942182034254074,0.0322551913559437,-0.6898170113563538],[11,4,10,3,-1,10,5,10,1,3,-0.0204433593899012,0.2930010855197907,-0.064483217895031],[13,14,8,4,-1,13,16,8,2,2,-0.0404204502701759,-0.768233597278595,0.0122819803655148],[1,14,8,4,-1,1,16,8,2,2,-0.012641429901123,-0.2757379114627838,0.061901118606329],[11,4,3,10,-1,12,5,1,10,3,-0.0396702997386456,0.3282839059829712,-0.0203649997711182],[11,4,10,3,-1,10,5,10,1,3,0.0202467292547226,-0.0583936013281345,0.3306053876876831],[2,12,18,6,-1,11,12,9,3,2,2,15,9,3,2,0.008961116895079613,0.0900963172316551,-0.2234300971031189],[5,2,8,6,-1,5,2,4,3,2,9,5,4,3,2,-0.008305571973323822,0.1417534947395325,-0.1260726004838944],[8,14,6,4,-1,8,16,6,2,2,-0.000028248139642528258,0.0945169627666473,-0.2181037068367004],[1,10,6,8,-1,1,10,3,4,2,4,14,3,4,2,-0.00519393989816308,0.1330431997776032,-0.1334158033132553],[7,2,15,9,-1,12,5,5,3,9,0.1177311018109322,0.02958619967103,-0.2402082979679108],[0,2,15,9,-1,5,5,5,3,9,0.0678967013955116,0.080913707613945,-0.2345446050167084],[10,5,6,7,-1,12,5,2,7,3,-0.0266836993396282,0.3059098124504089,-0.0641520470380783],[5,14,12,4,-1,5,14,6,2,2,11,16,6,2,2,0.003505821106955409,0.0893419682979584,-0.2277368009090424],[10,1,12,3,-1,10,2,12,1,3,-0.0006584437214769423,0.1245813965797424,-0.0913524404168129],[8,1,3,12,-1,9,1,1,12,3,0.0072530400939285755,-0.0692851766943932,0.2548288106918335],[14,2,6,7,-1,14,2,3,7,2,-0.0280561298131943,-0.2086703926324844,0.0335395783185959],[1,0,12,9,-1,5,3,4,3,9,-0.0512051805853844,-0.2410742938518524,0.0644394084811211],[8,3,7,6,-1,8,6,7,3,2,0.0292346496134996,-0.0508038401603699,0.3648504912853241],[1,12,20,3,-1,6,12,10,3,2,-0.1021952033042908,0.4012348055839539,-0.0429021194577217],[5,2,12,16,-1,5,6,12,8,2,0.0151049699634314,0.1048149019479752,-0.1847243010997772],[4,3,7,6,-1,4,6,7,3,2,-0.0125706503167748,-0.2054093927145004,0.093013197183609],[9,5,6,6,-1,11,5,2,6,3,0.0122530702501535,-0.0592851005494595,0.2392731010913849],[7,0,8,2,-1,7,0,8,1,2,-0.0261669903993607,-0.6996678709983826,0.0249067097902298],[5,14,12,2,-1,5,15,12,1,2,0.0070817661471664906,0.0241731200367212,-0.5514479279518127],[3,11,16,6,-1,3,13,16,2,3,0.0214268509298563,0.0641688406467438,-0.2599790096282959],[11,5,3,8,-1,11,5,3,4,2,0.0181897096335888,0.0358382500708103,-0.1802058070898056],[2,15,12,3,-1,8,15,6,3,2,0.0174157992005348,-0.0838620364665985,0.3333852887153626],[4,13,15,3,-1,9,13,5,3,3,-0.0014878029469400644,0.1207885965704918,-0.1276932060718536],[2,3,12,4,-1,2,3,6,2,2,8,5,6,2,2,0.0075296638533473015,-0.0700147077441216,0.3218109011650085],[17,5,4,7,-1,17,5,2,7,2,-0.0614990182220936,0.4646979868412018,-0.0100737102329731],[5,4,7,4,-1,5,4,7,2,2,-0.0001913329033413902,-0.1409429013729096,0.1383011043071747],[2,2,18,3,-1,8,2,6,3,3,-0.0244222898036242,-0.2529231011867523,0.0676841735839844],[2,2,18,9,-1,8,5,6,3,9,-0.2613632082939148,0.3400354087352753,-0.0584625490009785],[15,6,6,4,-1,15,6,3,4,2,-0.0760467797517776,-0.7851415872573853,0.005270854104310274],[0,1,12,3,-1,0,2,12,1,3,-0.0030279329512268305,0.1852705925703049,-0.0906919613480568],[16,2,6,4,-1,16,2,6,2,2,-0.00802191998809576,-0.1254058033227921,0.030594889074564],[0,9,14,6,-1,7,9,7,6,2,-0.2070596069097519,-0.7541192173957825,0.021201130002737],[13,5,8,4,-1,13,5,4,4,2,-0.0953228175640106,-0.2962307035923004,0.013138709589839],[9,5,4,8,-1,9,5,4,4,2,0.009592162445187569,0.0843243226408958,-0.217465803027153],[12,4,3,14,-1,12,11,3,7,2,-0.0130894696339965,0.0936075001955032,-0.0657541304826736],[1,13,20,5,-1,6,13,10,5,2,0.0117328800261021,-0.0800390467047691,0.2329193949699402],[12,4,3,14,-1,12,11,3,7,2,0.1523904949426651,0.009929913096129894,-0.6519606709480286],[7,4,3,14,-1,7,11,3,7,2,-0.0645915120840073,0.2837221920490265,-0.0600588284432888],[16,2,6,4,-1,16,2,6,2,2,-0.0554930306971073,0.2665910124778748,-0.0103364195674658],[6,2,4,6,-1,6,2,2,6,2,-0.0502874106168747,-0.6950147151947021,0.0278498791158199],[7,4,15,14,-1,7,11,15,7,2,-0.4779424965381622,-0.9287195205688477,0.00590501120314002],[1,16,16,2,-1,1,17,16,1,2,-0.0143985198810697,-0.4554106891155243,0.0364099815487862]]],[13,-0.7418665885925293,[[0,6,12,4,-1,3,6,6,4,2,0.0019511899445205927,-0.2493699043989182,0.1411163955926895],[6,9,10,9,-1,6,12,10,3,3,-0.0466346703469753,0.378405898809433,-0.0784017369151115],[0,6,6,5,-1,3,6,3,5,2,0.0161937493830919,0.0752133131027222,-0.4199146926403046],[11,14,7,4,-1,11,16,7,2,2,-0.00012459639401640743,0.0685761868953705,-0.1793542057275772],[7,8,8,2,-1,7,8,8,1,2,0.007325779180973768,0.1032209992408752,-0.2609927952289581],[10,13,7,4,-1,10,15,7,2,2,-0.000015020779756014235,0.0731225982308388,-0.16718889772892],[1,16,20,2,-1,11,16,10,2,2,-0.034522008150816,-0.3932698965072632,0.0767271667718887],[5,12,14,4,-1,5,12,7,4,2,-0.0826795101165771,-0.7467781901359558,0.0155306002125144],[8,8,4,6,-1,8,8,2,6,2,0.0821624025702477,-0.0692495033144951,0.379146009683609],[17,2,2,14,-1,17,2,2,7,2,0.0341878309845924,0.0426086597144604,-0.1542989015579224],[7,1,8,4,-1,11,1,4,4,2,-0.0178913697600365,-0.3063957095146179,0.0781183987855911],[5,7,12,3,-1,9,7,4,3,3,0.0331309996545315,-0.0561838001012802,0.3740524053573608],[2,14,6,4,-1,5,14,3,4,2,-0.005748671013861895,0.1249035000801086,-0.205278605222702],[10,9,12,4,-1,16,9,6,2,2,10,11,6,2,2,0.0335368290543556,-0.0483442209661007,0.2672440111637116],[6,14,9,4,-1,9,14,3,4,3,0.0247238297015429,0.0836789682507515,-0.3373064994812012],[11,9,2,6,-1,11,9,1,6,2,0.0022355809342116117,0.1037459000945091,-0.1307191997766495],[3,9,14,9,-1,3,12,14,3,3,-0.002432216890156269,0.1564508974552155,-0.1328445971012116],[5,10,16,6,-1,5,12,16,2,3,0.0259991195052862,-0.0803431272506714,0.216101199388504],[5,12,10,6,-1,5,12,5,3,2,10,15,5,3,2,0.00003696568819577806,-0.1787101030349731,0.1056312024593353],[4,13,18,5,-1,4,13,9,5,2,-0.1629150062799454,-0.6914169788360596,0.0223747305572033],[0,13,18,5,-1,9,13,9,5,2,0.1300814002752304,-0.0427690409123898,0.4637356996536255],[4,9,16,3,-1,4,10,16,1,3,0.0276585407555103,-0.0371086001396179,0.3838658034801483],[5,1,15,2,-1,5,1,15,1,2,-0.0100204199552536,-0.2632805109024048,0.0748586803674698],[13,5,2,9,-1,13,5,1,9,2,-0.0304599404335022,0.3230090141296387,-0.0258583705872297],[9,5,9,2,-1,9,5,9,1,2,0.0013251040363684297,0.1444766968488693,-0.2108217030763626],[1,11,20,5,-1,6,11,10,5,2,-0.027931010350585,0.1437451988458633,-0.1616230010986328],[3,9,13,3,-1,3,10,13,1,3,-0.008864272385835648,0.2300062030553818,-0.0950950980186462],[18,5,4,12,-1,20,5,2,6,2,18,11,2,6,2,-0.0122139696031809,-0.2464639991521835,0.0655220225453377],[4,12,5,6,-1,4,15,5,3,2,-0.0487375296652317,-0.7912771105766296,0.0254164095968008],[15,1,2,8,-1,15,1,1,8,2,0.0611852891743183,-0.00012226430408190936,-0.9054586887359619],[7,1,8,2,-1,7,1,8,1,2,0.0264536794275045,0.0265628006309271,-0.6395434141159058],[18,5,4,12,-1,20,5,2,6,2,18,11,2,6,2,0.008858991786837578,0.0541458502411842,-0.2160128057003021],[10,4,10,2,-1,10,4,10,1,2,0.034847941249609,-0.0457493588328362,0.4393540024757385],[2,4,20,4,-1,7,4,10,4,2,-0.145982101559639,-0.5556176900863647,0.00952499732375145],[1,9,8,3,-1,5,9,4,3,2,-0.0504565685987473,-0.7528784871101379,0.0202147103846073],[18,5,4,12,-1,20,5,2,6,2,18,11,2,6,2,-0.0854437798261642,-1,-0.001368134981021285],[0,5,4,12,-1,0,5,2,6,2,2,11,2,6,2,0.0132489800453186,0.0634007006883621,-0.2541181147098541],[6,0,14,18,-1,6,9,14,9,2,-0.6593561172485352,-1,0.007737848907709122],[4,4,12,3,-1,4,5,12,1,3,0.005087931174784899,-0.0832077413797379,0.188762903213501],[8,4,14,3,-1,8,5,14,1,3,-0.003407163079828024,0.1457829028367996,-0.0919603332877159],[4,13,14,3,-1,4,14,14,1,3,-0.0216562692075968,-0.6536489129066467,0.0271297506988049],[8,2,6,14,-1,11,2,3,7,2,8,9,3,7,2,0.009435734711587429,0.064360111951828,-0.2388547956943512],[0,13,15,4,-1,0,14,15,2,2,-0.007517756894230843,0.2451906055212021,-0.0682218372821808],[11,14,7,4,-1,11,16,7,2,2,0.0160676296800375,0.007606978062540293,-0.3166871964931488],[11,7,7,3,-1,10,8,7,1,3,-0.0018057749839499593,0.1271037012338638,-0.1214571967720985],[10,6,6,6,-1,10,9,6,3,2,-0.0441549010574818,-0.4857960939407349,0.0234448593109846],[2,0,4,14,-1,2,0,2,7,2,4,7,2,7,2,0.007546269800513983,0.0684307664632797,-0.2331652045249939],[2,6,18,5,-1,8,6,6,5,3,0.1086826026439667,-0.0416639111936092,0.3945221900939941],[2,0,18,18,-1,8,0,6,18,3,0.6124870181083679,0.0207021702080965,-0.984947919845581],[13,1,4,8,-1,14,2,2,8,2,0.0498282909393311,0.0027304550167173147,-0.4018169939517975],[4,0,12,18,-1,4,0,6,9,2,10,9,6,9,2,-0.0727687180042267,0.3267647922039032,-0.0491443388164043],[12,14,6,4,-1,12,16,6,2,2,0.0243143104016781,-0.007813571020960808,0.5822330117225647],[4,14,6,4,-1,4,16,6,2,2,-0.00017177179688587785,0.0816699117422104,-0.2037622034549713],[11,8,2,6,-1,11,8,1,6,2,-0.0400952696800232,0.5468152165412903,-0.0171795394271612],[1,10,20,6,-1,1,10,10,3,2,11,13,10,3,2,-0.0896345674991608,-0.8161401152610779,0.0212838891893625],[13,1,7,9,-1,10,4,7,3,3,0.1869214028120041,0.00839807465672493,-0.6018530130386353],[5,3,4,6,-1,5,6,4,3,2,-0.0430383794009686,-0.8789898753166199,0.0149307297542691],[13,0,2,12,-1,13,6,2,6,2,-0.00018602630007080734,0.0401562415063381,-0.0826044380664825],[7,11,8,3,-1,11,11,4,3,2,-0.0014392189914360642,-0.1710239946842194,0.0912035405635834],[9,6,12,11,-1,12,6,6,11,2,0.0421606190502644,-0.0358610190451145,0.1517430990934372],[6,8,10,9,-1,11,8,5,9,2,0.0075991409830749035,0.1087452992796898,-0.1614716053009033],[11,14,6,4,-1,11,14,3,4,2,-0.005753932986408472,-0.2567706108093262,0.058457151055336],[3,6,12,4,-1,7,6,4,4,3,-0.0277367495000362,0.2232517004013062,-0.0740715116262436],[10,5,6,7,-1,12,5,2,7,3,-0.0256761107593775,0.1883108019828796,-0.0538603812456131],[8,0,6,4,-1,11,0,3,4,2,0.0158907305449247,0.0517095401883125,-0.3847657144069672],[10,6,6,12,-1,12,6,2,12,3,-0.0863742679357529,-0.5568069815635681,0.009492211975157261],[6,6,6,12,-1,8,6,2,12,3,0.0019480630289763212,-0.1080721989274025,0.1477168053388596]]],[14,-0.8364096879959106,[[6,9,9,6,-1,6,12,9,3,2,-0.006853166036307812,0.2893550992012024,-0.2768914103507996],[14,6,6,6,-1,14,6,6,3,2,-0.069217637181282,0.3490979075431824,-0.0497410893440247],[1,13,20,5,-1,6,13,10,5,2,-0.1309297978878021,0.4279156029224396,-0.096156008541584],[8,14,6,4,-1,8,16,6,2,2,-0.000029759139579255134,0.1167578026652336,-0.2467838972806931],[4,7,8,3,-1,4,7,4,3,2,-0.0471007898449898,0.372591108083725,-0.05907291918993],[16,0,2,15,-1,16,0,1,15,2,0.0441245101392269,0.0789040997624397,-0.2552854120731354],[9,3,12,2,-1,9,3,12,1,2,0.004254030995070934,-0.23612380027771,0.1285677999258041],[7,1,8,6,-1,9,1,4,6,2,-0.0010833570268005133,0.1434731036424637,-0.1420363038778305],[6,15,8,3,-1,10,15,4,3,2,0.00005992523074382916,-0.1992727071046829,0.0885029137134552],[8,3,6,6,-1,10,3,2,6,3,-0.0730214864015579,-0.8066626191139221,0.032041858881712],[1,1,16,3,-1,1,2,16,1,3,0.007949505001306534,-0.0658784434199333,0.2707126140594482],[9,1,12,3,-1,9,2,12,1,3,-0.00033911041100509465,0.1349073946475983,-0.1335476040840149],[0,0,22,6,-1,0,0,11,3,2,11,3,11,3,2,-0.0260101798921824,-0.280745804309845,0.0779026597738266],[10,5,4,6,-1,10,5,2,6,2,-0.0311530902981758,0.2702265977859497,-0.0269943401217461],[10,0,8,5,-1,10,0,4,5,2,0.010946249589324,-0.1599372029304504,0.1035069972276688],[12,4,4,10,-1,13,5,2,10,2,0.073101207613945,-0.0041365791112184525,0.5233982801437378],[10,4,10,4,-1,9,5,10,2,2,0.0302071496844292,-0.0492294207215309,0.4284898936748505],[15,1,2,8,-1,15,1,1,8,2,0.0649852603673935,0.003911861218512058,-1.0003379583358765],[7,1,8,2,-1,7,1,8,1,2,-0.029119249433279,-0.7702599167823792,0.0239308103919029],[17,0,3,11,-1,18,1,1,11,3,0.0504583083093166,0.006928355898708105,-0.518547773361206],[9,8,4,6,-1,9,8,4,3,2,-0.038890179246664,-0.4817684888839722,0.0302702896296978],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0.0583193711936474,-0.0221013892441988,0.283935010433197],[2,12,18,6,-1,8,14,6,2,9,-0.0108036901801825,0.1284206062555313,-0.1384977996349335],[14,7,3,10,-1,14,12,3,5,2,0.009452526457607746,-0.0571944192051888,0.1775905042886734],[3,8,16,10,-1,3,8,8,5,2,11,13,8,5,2,0.0152291702106595,0.1050117015838623,-0.2051838934421539],[15,12,4,6,-1,15,15,4,3,2,-0.0008943569846451283,0.0686682537198067,-0.1466601043939591],[2,8,18,10,-1,2,8,9,5,2,11,13,9,5,2,-0.0183224994689226,-0.2361371964216232,0.083538331091404],[10,1,12,3,-1,10,2,12,1,3,0.0025474189314991236,-0.0847315266728401,0.1721152067184448],[1,1,12,3,-1,1,2,12,1,3,-0.001495179021731019,0.1864299029111862,-0.1275333017110825],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,0.024796150624752,0.0329235605895519,-0.4095472991466522],[2,4,14,4,-1,2,5,14,2,2,-0.002897686092182994,0.1448003947734833,-0.1040467992424965],[8,4,12,3,-1,8,5,12,1,3,0.007036116905510426,-0.0679165571928024,0.2154435068368912],[1,0,8,8,-1,1,0,4,4,2,5,4,4,4,2,-0.011870389804244,-0.2553744912147522,0.074443407356739],[13,0,8,6,-1,17,0,4,3,2,13,3,4,3,2,0.002476589987054467,0.068313367664814,-0.1611132025718689],[1,0,8,6,-1,1,0,4,3,2,5,3,4,3,2,0.0212845504283905,0.0370908714830875,-0.4691652059555054],[9,6,6,5,-1,9,6,3,5,2,-0.0103694796562195,0.1080783978104591,-0.0604898706078529],[5,6,8,3,-1,9,6,4,3,2,0.0107324803248048,-0.0585823804140091,0.3195860981941223],[13,3,6,9,-1,10,6,6,3,3,-0.2323516011238098,-1,0.008251174353063107],[9,3,9,6,-1,12,6,3,6,3,-0.000060572529037017375,0.080201767385006,-0.2358305007219315],[4,11,18,3,-1,4,12,18,1,3,-0.0027367009315639734,0.153690904378891,-0.0788008794188499],[0,13,15,4,-1,5,13,5,4,3,0.0311680100858212,-0.0418529510498047,0.3737446963787079],[15,12,4,6,-1,15,15,4,3,2,0.0454151295125484,0.006659450009465218,-0.9997528791427612],[3,12,4,6,-1,3,15,4,3,2,-0.0013742819428443909,0.1058785021305084,-0.1923477947711945],[9,12,6,6,-1,11,12,2,6,3,0.0030089360661804676,0.0940386429429054,-0.1544273048639298],[6,9,9,7,-1,9,9,3,7,3,-0.0710713863372803,-0.5495526790618896,0.025523129850626],[13,10,6,8,-1,16,10,3,4,2,13,14,3,4,2,0.0010958979837596416,-0.0613276585936546,0.0576776191592216],[3,10,6,8,-1,3,10,3,4,2,6,14,3,4,2,-0.0237067993730307,0.2948609888553619,-0.0665534734725952],[7,10,8,4,-1,7,10,4,4,2,0.006888203788548708,0.0738617032766342,-0.2572773098945618],[7,5,6,11,-1,10,5,3,11,2,-0.0491580404341221,0.3240630924701691,-0.0527858398854733],[10,6,6,6,-1,10,9,6,3,2,0.0713694170117378,0.0132099203765392,-0.7482113242149353],[6,6,6,6,-1,6,9,6,3,2,-0.008451748639345169,-0.2065279930830002,0.0931395962834358],[8,6,12,8,-1,12,6,4,8,3,-0.1555441021919251,-0.5073614120483398,0.0115754203870893],[2,11,12,3,-1,6,11,4,3,3,-0.0459768213331699,0.334333211183548,-0.0565582811832428],[14,3,6,8,-1,17,3,3,4,2,14,7,3,4,2,0.0179002191871405,0.0340919904410839,-0.2856503129005432],[0,5,13,3,-1,0,6,13,1,3,0.00673511391505599,-0.0665388181805611,0.2332212030887604],[14,0,6,6,-1,14,2,6,2,3,0.006454410031437874,0.0472244992852211,-0.1442237049341202],[3,0,6,6,-1,3,2,6,2,3,-0.0110290497541428,-0.2644239962100983,0.0625426918268204],[8,8,14,3,-1,8,9,14,1,3,-0.0033727919217199087,0.1257591992616653,-0.0683576464653015],[7,2,2,15,-1,8,2,1,15,2,-0.0022960419300943613,-0.1557330936193466,0.0946819707751274],[4,14,16,4,-1,4,14,8,4,2,-0.0795031636953354,-0.3824613988399506,0.0172012597322464],[1,6,20,12,-1,6,6,10,12,2,-0.2524088025093079,0.3013980984687805,-0.0589428097009659],[5,10,16,6,-1,13,10,8,3,2,5,13,8,3,2,0.0363130792975426,0.0211058706045151,-0.2081169039011002],[1,10,16,6,-1,1,10,8,3,2,9,13,8,3,2,0.0687375217676163,-0.0324002988636494,0.5134530067443848],[8,8,14,6,-1,8,8,7,6,2,-0.2181455045938492,-0.7009329199790955,0.0162609796971083],[0,8,14,6,-1,7,8,7,6,2,-0.1977089941501617,-0.6781736016273499,0.0179375503212214],[5,6,12,11,-1,8,6,6,11,2,-0.1013111993670464,0.3647063076496124,-0.0499694384634495],[1,3,8,6,-1,1,3,4,3,2,5,6,4,3,2,0.005414669867604971,0.0660865902900696,-0.2332739979028702],[13,1,7,6,-1,13,1,7,3,2,-0.0405901782214642,0.2146472036838532,-0.0430333092808723],[1,4,5,10,-1,1,9,5,5,2,-0.0013324919855222106,0.1297567933797836,-0.1279428005218506],[18,6,3,8,-1,18,10,3,4,2,0.005757058970630169,0.0434699989855289,-0.1197730004787445],[1,6,3,8,-1,1,10,3,4,2,-0.004087275825440884,-0.2018010020256043,0.0926248729228973],[8,5,13,3,-1,8,6,13,1,3,0.021345280110836,-0.026310870423913,0.2914252877235413],[1,5,13,3,-1,1,6,13,1,3,-0.0024241849314421415,0.1713156998157501,-0.1172301024198532],[18,0,3,12,-1,19,0,1,12,3,0.0606775507330894,-0.0048347217962145805,0.565771222114563],[1,0,3,12,-1,2,0,1,12,3,0.00031573011074215174,-0.114995501935482,0.1309486031532288],[4,2,18,2,-1,4,2,9,2,2,-0.0014639530563727021,0.107084296643734,-0.0821887478232384],[6,3,6,6,-1,9,3,3,6,2,-0.0816292762756348,-0.7009016275405884,0.0213186405599117],[9,5,12,11,-1,12,5,6,11,2,-0.0002292363060405478,0.0524490103125572,-0.0572733990848064],[1,5,12,11,-1,4,5,6,11,2,0.00867326557636261,-0.1094440966844559,0.1453080028295517],[8,4,8,8,-1,8,4,4,8,2,-0.0009560341131873429,0.0547286607325077,-0.0766770094633102],[0,8,22,4,-1,0,8,11,2,2,11,10,11,2,2,-0.0568146891891956,-0.724937379360199,0.0177913308143616],[8,6,8,4,-1,8,6,4,4,2,0.006426883861422539,-0.0377686992287636,0.0834547504782677],[6,3,8,8,-1,10,3,4,8,2,0.005245125852525234,-0.0758067518472672,0.2154906988143921],[3,6,16,4,-1,11,6,8,2,2,3,8,8,2,2,0.006757744122296572,0.0771638676524162,-0.2495719939470291],[2,14,16,4,-1,10,14,8,4,2,-0.005749417934566736,0.142455592751503,-0.1274092048406601],[11,13,6,5,-1,11,13,3,5,2,-0.006776065099984407,-0.2331600934267044,0.0399752110242844],[5,13,6,5,-1,8,13,3,5,2,0.0003524727944750339,-0.1308315992355347,0.1157741025090218],[12,2,2,7,-1,12,2,1,7,2,0.0014523849822580814,-0.0927244573831558,0.0654869601130486]]],[15,-0.7232239842414856,[[0,9,21,9,-1,7,12,7,3,9,-0.3116379976272583,0.380620002746582,-0.1111584007740021],[5,3,12,9,-1,9,6,4,3,9,-0.3033824861049652,0.5123680830001831,-0.0504597313702106],[3,9,16,8,-1,3,9,8,4,2,11,13,8,4,2,-0.01094517018646,-0.222920298576355,0.1054809987545013],[7,0,14,18,-1,7,0,7,18,2,-0.028011079877615,0.0706877931952477,-0.0864785090088844],[5,8,6,4,-1,5,8,3,4,2,-0.0522561594843864,0.5785626769065857,-0.008794490247964859],[3,11,16,4,-1,11,11,8,2,2,3,13,8,2,2,-0.005945544224232435,-0.2564198076725006,0.0945845320820808],[6,9,6,8,-1,6,9,3,4,2,9,13,3,4,2,0.002559439977630973,-0.2571848034858704,0.1288242936134338],[7,0,14,18,-1,7,0,7,18,2,-0.1209926009178162,-0.1229322031140328,0.0258294306695461],[1,0,14,18,-1,8,0,7,18,2,-0.4420821964740753,-0.7454655170440674,0.0425867103040218],[13,14,8,3,-1,13,14,4,3,2,-0.006684264168143272,0.1351564973592758,-0.1640930026769638],[8,4,6,4,-1,8,6,6,2,2,0.009827070869505405,-0.080305352807045,0.2985329926013947],[6,6,14,4,-1,13,6,7,2,2,6,8,7,2,2,0.0586385987699032,0.0275564193725586,-0.8224250078201294],[7,3,11,4,-1,6,4,11,2,2,-0.003054695902392268,-0.1929274946451187,0.1108272969722748],[7,0,12,4,-1,13,0,6,2,2,7,2,6,2,2,-0.00733401020988822,-0.2430793941020966,0.0667446032166481],[4,0,14,4,-1,4,0,7,2,2,11,2,7,2,2,-0.0105262296274304,-0.3113602101802826,0.0628508478403091],[15,8,6,9,-1,17,8,2,9,3,0.1048116013407707,0.0126217203214765,-0.6737608909606934],[1,8,6,9,-1,3,8,2,9,3,0.0009426937904208899,-0.1707167029380798,0.1028065010905266],[12,5,5,9,-1,12,8,5,3,3,0.008439738303422928,-0.0530145689845085,0.0885990783572197],[5,5,5,9,-1,5,8,5,3,3,-0.0305516701191664,0.352648913860321,-0.0691484734416008],[17,9,4,6,-1,17,9,2,6,2,-0.0491123795509338,-0.5821937918663025,0.0140432203188539],[1,9,4,6,-1,3,9,2,6,2,0.005809803027659655,0.0708724334836006,-0.2536281943321228],[4,3,14,3,-1,4,4,14,1,3,0.0255410708487034,-0.0451369397342205,0.406744509935379],[6,0,10,3,-1,5,1,10,1,3,-0.0487112887203693,-0.7024015784263611,0.0243178699165583],[10,4,11,14,-1,10,11,11,7,2,-0.3262439072132111,-0.5061904788017273,0.005544530227780342],[2,5,6,6,-1,2,7,6,2,3,-0.00018120040476787835,0.131325900554657,-0.1213954985141754],[12,2,5,12,-1,12,6,5,4,3,-0.1298076957464218,-0.6820899248123169,0.0164145492017269],[5,16,12,2,-1,5,17,12,1,2,0.00835280679166317,0.0300403907895088,-0.5090913772583008],[3,4,18,3,-1,3,5,18,1,3,0.005454708822071552,-0.0824020728468895,0.1800798028707504],[1,4,11,14,-1,1,11,11,7,2,-0.3169954121112824,-0.8661301136016846,0.0182291399687529],[8,12,11,4,-1,8,14,11,2,2,0.0005842486280016601,0.0424097292125225,-0.1311808973550797],[7,11,8,7,-1,11,11,4,7,2,-0.00970468483865261,-0.274326890707016,0.0559204295277596],[12,2,4,11,-1,12,2,2,11,2,0.0168343205004931,-0.0833064168691635,0.0677927583456039],[10,4,11,2,-1,10,4,11,1,2,-0.0306853801012039,0.4212690889835358,-0.0453393310308456],[16,0,2,14,-1,16,0,1,14,2,0.0413949191570282,0.0199717506766319,-0.1972219049930573],[6,0,14,2,-1,6,0,14,1,2,0.034910149872303,-0.053826879709959,0.3504027128219605],[19,4,2,12,-1,19,4,1,12,2,-0.005249503999948502,-0.1136389002203941,0.0550805702805519],[8,2,6,10,-1,8,7,6,5,2,0.1204561963677406,0.017451599240303,-0.9395803213119507],[19,4,2,12,-1,19,4,1,12,2,0.042130421847105,-0.0143432803452015,0.6005985140800476],[11,3,6,8,-1,11,3,6,4,2,0.0191208496689796,0.0858645066618919,-0.1858649998903275],[11,2,10,6,-1,11,2,5,6,2,0.00844706129282713,-0.0694521814584732,0.0734614208340645],[3,5,13,2,-1,3,6,13,1,2,0.0017696130089461803,-0.0799966603517532,0.1947980970144272],[5,4,12,6,-1,5,6,12,2,3,0.0579959489405155,0.0276330001652241,-0.5409700870513916],[6,9,9,9,-1,9,9,3,9,3,-0.0798840224742889,-0.5430768132209778,0.0232198294252157],[19,1,3,12,-1,20,2,1,12,3,0.0665762424468994,0.006841680966317654,-0.8122456073760986],[2,13,9,5,-1,5,13,3,5,3,0.0641699433326721,-0.0248466897755861,0.6079813241958618],[11,2,10,6,-1,11,2,5,6,2,-0.2940478026866913,-1,0.00464401813223958],[11,2,6,10,-1,11,2,6,5,2,-0.009572772309184074,-0.1415735930204392,0.1012165024876595],[1,6,21,3,-1,8,6,7,3,3,-0.0235744491219521,0.1171545013785362,-0.1318469047546387],[5,5,3,8,-1,5,9,3,4,2,-0.005125621799379587,-0.1762325018644333,0.1017735973000526],[10,5,7,6,-1,10,7,7,2,3,0.0976630598306656,0.0044896239414811134,-0.8041555285453796],[10,0,7,6,-1,8,2,7,2,3,0.0320886895060539,-0.0580484308302403,0.3019489049911499],[13,5,6,6,-1,13,7,6,2,3,-0.0865172073245049,-0.755298912525177,0.0028089359402656555],[5,5,7,6,-1,5,7,7,2,3,-0.0285409707576036,-0.3508501946926117,0.0440815910696983],[9,1,6,8,-1,12,1,3,4,2,9,5,3,4,2,-0.00538446893915534,0.0923489034175873,-0.070033848285675],[7,1,6,8,-1,7,1,3,4,2,10,5,3,4,2,-0.0222804397344589,0.249494194984436,-0.0706586763262749],[7,0,9,4,-1,10,0,3,4,3,0.005102542228996754,0.0608996897935867,-0.1547394990921021],[1,9,14,3,-1,1,10,14,1,3,0.003713380079716444,-0.087124302983284,0.1719526052474976],[5,9,15,3,-1,5,10,15,1,3,-0.00404052808880806,0.1505451947450638,-0.099685050547123],[3,1,12,3,-1,2,2,12,1,3,0.0489449016749859,0.0206377804279327,-0.711139976978302],[5,12,12,6,-1,11,12,6,3,2,5,15,6,3,2,-0.004083220846951008,-0.161049097776413,0.0886750072240829],[5,12,12,4,-1,5,12,6,2,2,11,14,6,2,2,-0.0022145630791783333,-0.2190154045820236,0.1004524007439613],[15,4,3,9,-1,16,5,1,9,3,-0.064257450401783,-0.5769470930099487,0.0102538801729679],[7,4,9,3,-1,6,5,9,1,3,0.0118954200297594,-0.070560596883297,0.2614729106426239],[13,3,7,4,-1,13,5,7,2,2,-0.0449882596731186,-0.6844028234481812,0.00996747799217701],[4,0,9,5,-1,7,0,3,5,3,0.006348433904349804,0.0847386568784714,-0.1629998981952667],[10,6,6,6,-1,12,6,2,6,3,-0.0565874390304089,0.4896005094051361,-0.0196411404758692],[0,6,12,4,-1,0,6,6,2,2,6,8,6,2,2,0.0358534008264542,0.0196954403072596,-0.6810833811759949],[10,11,9,6,-1,13,11,3,6,3,-0.004545098170638084,0.0690726563334465,-0.0912766382098198],[2,6,16,8,-1,2,10,16,4,2,0.1060857027769089,-0.0499939918518066,0.3213947117328644],[17,0,2,10,-1,17,0,1,10,2,-0.0459244102239609,-0.8274418115615845,0.0121494196355343],[5,0,10,2,-1,5,0,10,1,2,-0.012273239903152,-0.306692898273468,0.0516933985054493],[9,11,13,3,-1,9,12,13,1,3,0.0806673914194107,0.0021730009466409683,-1.0002529621124268],[0,11,13,3,-1,0,12,13,1,3,-0.0230448599904776,0.4508534967899323,-0.0362739786505699],[18,6,4,12,-1,18,9,4,6,2,0.0187029093503952,0.0469454601407051,-0.2179626971483231],[6,4,9,7,-1,9,4,3,7,3,-0.0968200266361237,0.4039891064167023,-0.0378190912306309],[11,9,6,7,-1,13,9,2,7,3,0.0605257898569107,0.0157271604984999,-0.4566167891025543],[5,9,6,7,-1,7,9,2,7,3,0.0104185696691275,0.0627266466617584,-0.2444117963314056],[1,13,20,5,-1,6,13,10,5,2,0.0107262097299099,-0.0719688534736633,0.2209997028112412],[7,9,8,6,-1,9,9,4,6,2,-0.0027160700410604477,0.1288274973630905,-0.1462963074445725],[5,5,12,4,-1,8,5,6,4,2,0.008586756885051727,-0.0686456635594368,0.2584058940410614]]],[16,-0.7688630819320679,[[1,11,20,6,-1,6,11,10,6,2,-0.0258516706526279,0.1801179945468903,-0.2474593073129654],[1,8,20,7,-1,6,8,10,7,2,0.1405462026596069,-0.0513192899525166,0.4076690971851349],[2,9,18,6,-1,8,11,6,2,9,-0.2725507915019989,0.4994125962257385,-0.0450339317321777],[8,13,9,4,-1,8,15,9,2,2,0.0013978329952806234,0.0536005087196827,-0.2179338932037354],[1,12,9,6,-1,1,15,9,3,2,-0.0350598804652691,-0.2994329035282135,0.0899913236498833],[9,2,8,6,-1,13,2,4,3,2,9,5,4,3,2,-0.0032894399482756853,0.1026419997215271,-0.0947112515568733],[0,5,22,5,-1,11,5,11,5,2,0.1824229061603546,0.0256266705691814,-0.6876572966575623],[2,0,18,18,-1,2,9,18,9,2,-0.078741081058979,0.1081041991710663,-0.1449752002954483],[6,7,3,8,-1,6,11,3,4,2,0.0139451297000051,-0.0713719129562378,0.3131574988365173],[11,12,8,6,-1,13,12,4,6,2,0.0446802787482738,-0.0304461494088173,0.3926362991333008],[3,8,6,8,-1,3,8,3,4,2,6,12,3,4,2,-0.002644177060574293,0.1159669980406761,-0.1780045032501221],[11,6,7,4,-1,11,8,7,2,2,-0.0051071979105472565,-0.1173994019627571,0.0678234472870827],[9,2,4,6,-1,11,2,2,6,2,-0.0325821787118912,-0.5912901759147644,0.0333520211279392],[3,14,16,4,-1,11,14,8,2,2,3,16,8,2,2,-0.0277558397501707,-0.706493616104126,0.016761489212513],[5,14,6,4,-1,5,16,6,2,2,-0.000060038521041860804,0.073832668364048,-0.2293335944414139],[9,5,4,6,-1,9,5,2,6,2,0.0305061805993319,-0.0380560606718063,0.4411535859107971],[5,12,12,6,-1,8,12,6,6,2,-0.0062056961469352245,-0.1775723993778229,0.0937074720859528],[7,14,8,4,-1,7,16,8,2,2,-0.00807662308216095,-0.202566996216774,0.0740596428513527],[1,3,18,3,-1,1,4,18,1,3,-0.0332099087536335,0.463722288608551,-0.0349030084908009],[8,3,14,3,-1,8,4,14,1,3,0.0355306081473827,-0.0316795185208321,0.4520249962806702],[1,0,14,4,-1,1,0,7,2,2,8,2,7,2,2,0.0162976402789354,0.0441890396177769,-0.34845370054245],[10,10,12,3,-1,10,11,12,1,3,0.009998535737395287,-0.0482553206384182,0.1607805043458939],[1,10,12,3,-1,1,11,12,1,3,-0.005239077843725681,0.2323659956455231,-0.076032742857933],[10,7,8,3,-1,10,7,4,3,2,-0.0032508899457752705,0.0543693900108337,-0.0910402536392212],[11,0,6,6,-1,9,2,6,2,3,0.0556407906115055,-0.0388111285865307,0.4203402101993561],[17,0,2,10,-1,17,0,1,10,2,0.0339989811182022,0.0222513303160667,-0.3561536073684692],[4,7,8,3,-1,8,7,4,3,2,-0.004310389049351215,0.112874299287796,-0.1763073056936264],[13,0,8,6,-1,13,2,8,2,3,-0.007924646139144897,-0.1099233999848366,0.0350996293127537],[1,0,8,6,-1,1,2,8,2,3,0.044273380190134,0.028094569221139,-0.609214186668396],[17,0,2,10,-1,17,0,1,10,2,0.059907328337431,0.0009754433995112777,-0.9052320718765259],[5,0,10,2,-1,5,0,10,1,2,0.0333788692951202,0.0177232790738344,-0.8525460958480835],[10,6,6,4,-1,10,6,3,4,2,0.0146941700950265,-0.0490315109491348,0.2799833118915558],[0,4,14,3,-1,0,5,14,1,3,-0.0053877499885857105,0.1821904927492142,-0.0823825225234032],[3,3,16,10,-1,11,3,8,5,2,3,8,8,5,2,-0.0179768893867731,-0.1938468962907791,0.0849847570061684],[1,5,12,3,-1,1,6,12,1,3,-0.0044651641510427,0.176329106092453,-0.0950757712125778],[9,6,13,4,-1,9,8,13,2,2,0.069372296333313,0.003177032107487321,-0.675544023513794],[7,5,8,6,-1,7,5,4,3,2,11,8,4,3,2,-0.0170022696256638,-0.3382794857025147,0.0447317287325859],[13,3,4,11,-1,14,4,2,11,2,0.0172742400318384,-0.0247697103768587,0.1185202971100807],[9,2,11,2,-1,9,2,11,1,2,0.0403887294232845,-0.0329676792025566,0.4732314050197601],[5,13,12,4,-1,5,14,12,2,2,0.014215400442481,0.0298468600958586,-0.4415706098079681],[0,9,16,4,-1,0,9,8,2,2,8,11,8,2,2,0.0416277199983597,-0.045953918248415,0.3297838866710663],[7,10,9,7,-1,10,10,3,7,3,-0.001741684041917324,0.0872863084077835,-0.0888622030615807],[10,7,5,6,-1,10,7,5,3,2,-0.009807704016566277,-0.2102667987346649,0.077401876449585],[11,5,10,3,-1,11,5,5,3,2,0.0218366496264935,0.0432117693126202,-0.1533042043447495],[2,13,12,5,-1,5,13,6,5,2,-0.0707430988550186,0.3301903903484345,-0.0527479499578476],[17,9,4,7,-1,17,9,2,7,2,-0.0111810201779008,-0.1149393990635872,0.0278584603220224],[0,6,12,3,-1,0,7,12,1,3,-0.0146235600113869,0.323270708322525,-0.0441660583019257],[18,6,2,10,-1,18,6,1,10,2,-0.009670255705714226,-0.1815731972455978,0.03615453094244],[1,14,8,3,-1,5,14,4,3,2,0.008343960158526897,-0.0524739101529121,0.2744483947753906],[6,11,12,3,-1,10,11,4,3,3,0.0229705590754747,0.0349300503730774,-0.1577367037534714],[0,14,8,3,-1,4,14,4,3,2,-0.008273424580693245,0.1161279007792473,-0.1196577027440071],[5,11,16,3,-1,9,11,8,3,2,0.008707440458238125,-0.0408297888934612,0.1048133000731468],[1,9,4,7,-1,3,9,2,7,2,-0.0188258197158575,-0.3879455029964447,0.0473507009446621],[6,12,10,6,-1,6,14,10,2,3,-0.007209294009953737,-0.198869600892067,0.0759528502821922],[0,16,12,2,-1,0,17,12,1,2,0.00016543369565624744,-0.1067482978105545,0.1551059931516647],[12,5,4,12,-1,14,5,2,6,2,12,11,2,6,2,0.008929453790187836,-0.0670596435666084,0.0902067869901657],[6,11,6,6,-1,8,11,2,6,3,0.003199164057150483,0.0744457468390465,-0.1968283951282501],[4,16,15,2,-1,4,17,15,1,2,-0.00011280879698460922,0.0797033905982971,-0.1366118937730789],[5,0,12,9,-1,9,3,4,3,9,-0.0696137994527817,-0.210105299949646,0.0657716169953346],[8,0,6,9,-1,8,3,6,3,3,-0.026066679507494,0.2869651019573212,-0.057495791465044],[1,0,3,13,-1,2,0,1,13,3,0.0120507404208183,-0.0468205101788044,0.2799476981163025],[10,1,6,4,-1,10,1,3,4,2,-0.0396258495748043,-0.3705450892448425,0.0114761395379901],[8,1,6,9,-1,10,1,2,9,3,-0.002737990114837885,0.0943711325526237,-0.1620323061943054],[8,3,6,6,-1,10,3,2,6,3,-0.0652625635266304,-0.6780838966369629,0.0194304697215557],[3,5,11,2,-1,3,5,11,1,2,0.0231916196644306,0.0261343102902174,-0.4666424989700317],[9,5,6,6,-1,11,5,2,6,3,0.0477419309318066,-0.0252911895513535,0.2909249067306519],[6,4,6,10,-1,6,9,6,5,2,-0.128300204873085,-0.8718711733818054,0.0138835404068232],[11,2,3,12,-1,12,2,1,12,3,-0.0426892600953579,-0.6764482259750366,0.006877128034830093],[8,2,3,12,-1,9,2,1,12,3,0.006281124893575907,-0.0648037493228912,0.2099442034959793],[18,9,4,9,-1,18,9,2,9,2,0.0275320801883936,0.0153665402904153,-0.2145736962556839],[1,5,6,6,-1,1,8,6,3,2,-0.00034494648571126163,0.1182949990034103,-0.1064111962914467],[10,6,6,6,-1,12,6,2,6,3,-0.0321870110929012,0.2067631930112839,-0.0278047490864992],[10,2,2,12,-1,11,2,1,12,2,-0.0024451729841530323,-0.1897021979093552,0.0766128376126289],[11,0,5,6,-1,11,3,5,3,2,0.0396311208605766,0.0114572802558541,-0.4411228001117706],[6,0,5,6,-1,6,3,5,3,2,-0.009008211083710194,-0.2032909989356995,0.0719978883862495],[13,9,5,8,-1,13,13,5,4,2,-0.0605949088931084,0.258318305015564,-0.0322740003466606],[0,9,20,2,-1,10,9,10,2,2,0.0336786396801472,0.0365656390786171,-0.332331508398056],[14,7,3,10,-1,14,12,3,5,2,0.014565410092473,-0.0492692105472088,0.1828067004680634],[11,5,11,2,-1,11,5,11,1,2,0.004010343924164772,-0.1243560016155243,0.1124764010310173],[14,7,3,10,-1,14,12,3,5,2,0.001798950950615108,-0.0546759888529778,0.1070184037089348],[5,13,12,2,-1,5,14,12,1,2,-0.00016359580331481993,0.0817552283406258,-0.1623550057411194],[11,8,4,9,-1,11,11,4,3,3,-0.0319938994944096,0.1863123029470444,-0.0173506308346987],[1,8,12,6,-1,1,10,12,2,3,-0.0817376673221588,-0.7596148252487183,0.0144199002534151],[16,8,3,8,-1,16,12,3,4,2,-0.0882625505328178,-1,0.0005314648151397705],[3,8,3,8,-1,3,12,3,4,2,-0.0579979009926319,-0.8939151167869568,0.0124950995668769],[11,8,4,9,-1,11,11,4,3,3,0.0206914097070694,-0.0371675081551075,0.0972085520625114],[7,8,4,9,-1,7,11,4,3,3,-0.006033605895936489,0.1754779070615768,-0.0869168564677238],[7,3,15,12,-1,12,7,5,4,9,0.1578976064920425,0.0306049603968859,-0.2219929993152618],[4,10,14,4,-1,4,10,7,2,2,11,12,7,2,2,0.0033271119464188814,0.1120152026414871,-0.1638471037149429],[9,10,10,6,-1,14,10,5,3,2,9,13,5,3,2,0.1138323992490768,0.001807803986594081,-0.9998143911361694],[3,10,10,6,-1,3,10,5,3,2,8,13,5,3,2,0.0391889698803425,-0.0394944287836552,0.3413948118686676],[16,7,6,6,-1,18,7,2,6,3,-0.00473829684779048,-0.0816014036536217,0.0354984514415264],[3,5,14,2,-1,10,5,7,2,2,0.0234581604599953,-0.0407674796879292,0.3479276895523071],[18,2,4,12,-1,20,2,2,6,2,18,8,2,6,2,0.0165052209049463,0.0201702807098627,-0.1553200930356979],[3,14,12,4,-1,3,15,12,2,2,0.0202629491686821,0.0212923791259527,-0.6261150240898132],[7,6,9,6,-1,7,9,9,3,2,-0.009139323607087135,-0.1363748013973236,0.0638918429613113],[1,14,6,4,-1,4,14,3,4,2,-0.0562079809606075,0.4067111909389496,-0.033258218318224],[12,5,5,12,-1,12,8,5,6,2,0.006686883978545666,0.0641743093729019,-0.0939662382006645],[5,0,3,17,-1,6,0,1,17,3,0.005886227823793888,-0.0657899603247643,0.2018133997917175],[16,7,6,6,-1,18,7,2,6,3,-0.115173801779747,-1,0.002534775994718075],[0,7,6,6,-1,2,7,2,6,3,0.005579371005296707,0.0706422030925751,-0.1963742971420288],[14,0,3,18,-1,15,0,1,18,3,0.0321800000965595,-0.0147377196699381,0.2242016047239304],[0,5,5,10,-1,0,10,5,5,2,-0.0009159878245554864,0.1147874966263771,-0.1176707968115807]]],[17,-0.7757309079170227,[[5,12,12,4,-1,5,13,12,2,2,0.009134623222053051,0.0886986628174782,-0.3859564960002899],[7,9,8,6,-1,7,11,8,2,3,-0.0024696369655430317,0.1677206009626389,-0.1464917063713074],[2,10,15,4,-1,2,12,15,2,2,0.0589350201189518,-0.0133940000087023,0.618326723575592],[5,15,12,3,-1,5,15,6,3,2,-0.008910005912184715,-0.2695023119449616,0.0729398131370544],[7,4,3,14,-1,8,4,1,14,3,0.0177438799291849,-0.0502171888947487,0.4316602051258087],[7,15,8,3,-1,7,15,4,3,2,0.0110566504299641,0.0391558595001698,-0.5286077260971069],[1,2,8,6,-1,1,2,4,3,2,5,5,4,3,2,0.0161613207310438,0.069581039249897,-0.3761014044284821],[14,9,6,8,-1,17,9,3,4,2,14,13,3,4,2,-0.0278790891170502,0.2322065979242325,-0.0559795796871185],[0,0,6,8,-1,0,0,3,4,2,3,4,3,4,2,-0.0115568395704031,-0.3123108148574829,0.0743399634957314],[14,9,6,8,-1,17,9,3,4,2,14,13,3,4,2,-0.0696514770388603,-0.4190568923950195,0.006969478912651539],[2,9,6,8,-1,2,9,3,4,2,5,13,3,4,2,-0.005034472793340683,0.1318362057209015,-0.1970203071832657],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,-0.0860981196165085,0.657277524471283,-0.009566457010805607],[2,10,6,8,-1,2,10,3,4,2,5,14,3,4,2,0.0255463197827339,-0.0401363410055637,0.5484703779220581],[13,1,6,8,-1,16,1,3,4,2,13,5,3,4,2,-0.0268708802759647,-0.2530665099620819,0.0441817194223404],[3,3,12,3,-1,3,4,12,1,3,0.009585968218743801,-0.0818824619054794,0.2689467072486877],[13,1,6,8,-1,16,1,3,4,2,13,5,3,4,2,0.026683809235692,0.0265933498740196,-0.4412704110145569],[3,1,6,8,-1,3,1,3,4,2,6,5,3,4,2,-0.0144908400252461,-0.3569746911525726,0.0700729414820671],[3,3,16,3,-1,3,4,16,1,3,-0.002244839910417795,0.20088230073452,-0.1222817003726959],[7,13,6,4,-1,7,15,6,2,2,0.004879571031779051,0.0458209812641144,-0.3949818909168243],[10,14,6,4,-1,10,16,6,2,2,-0.006126299034804106,-0.1882608979940414,0.0788120776414871],[2,10,15,3,-1,2,11,15,1,3,0.0169529691338539,-0.0616842210292816,0.3360370099544525],[8,12,8,6,-1,10,12,4,6,2,-0.00455471919849515,-0.194713905453682,0.0531471893191338],[2,4,13,4,-1,2,5,13,2,2,-0.0012753040064126253,0.148008793592453,-0.1424434930086136],[9,9,12,3,-1,9,10,12,1,3,0.0220602806657553,-0.0354067385196686,0.3377530872821808],[3,13,16,4,-1,3,13,8,2,2,11,15,8,2,2,0.0210503898561001,0.0422891303896904,-0.4588645100593567],[8,12,8,6,-1,10,12,4,6,2,0.095637209713459,-0.0131716495379806,0.5553498268127441],[6,12,8,6,-1,8,12,4,6,2,-0.0036728319246321917,-0.1884289979934692,0.0954581424593925],[9,4,13,2,-1,9,5,13,1,2,0.00016345079347956926,-0.0604448094964027,0.1053673028945923],[7,3,8,12,-1,7,9,8,6,2,0.2533828914165497,0.0160262603312731,-0.9999446868896484],[3,6,17,3,-1,3,7,17,1,3,-0.0461133308708668,0.5424798727035522,-0.0278902091085911],[3,0,14,4,-1,3,0,7,2,2,10,2,7,2,2,0.00525882700458169,0.0798673033714294,-0.2070070952177048],[11,4,6,5,-1,11,4,3,5,2,-0.1344957053661346,-0.4127010107040405,0.00815002154558897],[11,4,5,6,-1,11,4,5,3,2,0.0016953679732978344,0.1103534996509552,-0.1680212020874023],[10,5,4,6,-1,10,5,2,6,2,0.0394921414554119,-0.0134100103750825,0.3844763934612274],[4,12,12,3,-1,8,12,4,3,3,-0.0009363478166051209,0.109868198633194,-0.1731048971414566],[8,6,8,7,-1,8,6,4,7,2,-0.0444957092404366,0.1947119981050491,-0.0407688990235329],[5,0,8,12,-1,5,0,4,6,2,9,6,4,6,2,0.0606301091611385,-0.0422523692250252,0.5141298770904541],[7,0,12,4,-1,13,0,6,2,2,7,2,6,2,2,0.007506764028221369,0.0420869700610638,-0.1608040034770966],[1,4,6,5,-1,4,4,3,5,2,0.009926041588187218,0.0641195327043533,-0.2621530890464783],[15,0,7,4,-1,15,0,7,2,2,0.0605285204946995,0.0241899695247412,-0.3660838901996613],[5,2,8,6,-1,5,2,4,3,2,9,5,4,3,2,-0.006805423181504011,0.1250838935375214,-0.138897106051445],[4,2,15,3,-1,4,3,15,1,3,-0.0020940289832651615,0.1399659961462021,-0.0827063992619514],[4,1,14,3,-1,4,2,14,1,3,-0.00969043467193842,0.2668136060237885,-0.0715769901871681],[15,5,4,6,-1,15,8,4,3,2,0.0183203499764204,0.0313219800591469,-0.2346061021089554],[0,1,17,2,-1,0,2,17,1,2,0.0005042995908297598,-0.1166971996426582,0.1651464998722076],[15,5,4,6,-1,15,8,4,3,2,-0.004701628815382719,-0.1200615018606186,0.0592004284262657],[3,5,4,6,-1,3,8,4,3,2,-0.0199268702417612,-0.3948509991168976,0.0411430187523365],[3,0,18,3,-1,3,1,18,1,3,0.007401308044791222,-0.0763312578201294,0.2106536030769348],[7,1,6,4,-1,10,1,3,4,2,0.0148796299472451,0.0479790717363358,-0.3401476144790649],[0,11,22,7,-1,0,11,11,7,2,0.1552755981683731,0.0322258807718754,-0.469380795955658],[3,5,4,12,-1,3,5,2,6,2,5,11,2,6,2,-0.007078633178025484,0.1219948008656502,-0.1200494021177292],[14,7,3,10,-1,14,12,3,5,2,0.0298721697181463,-0.0436775088310242,0.2352982014417648],[4,11,14,4,-1,4,11,7,2,2,11,13,7,2,2,0.0305551700294018,0.0317758806049824,-0.5782545208930969],[7,11,8,6,-1,11,11,4,3,2,7,14,4,3,2,0.0102845700457692,0.0472028106451035,-0.2956649959087372],[3,5,3,13,-1,4,5,1,13,3,0.0198087096214294,-0.0457759387791157,0.3323101997375488],[17,1,4,12,-1,19,1,2,6,2,17,7,2,6,2,0.0272188801318407,0.0255772192031145,-0.3318088054656982],[1,1,4,12,-1,1,1,2,6,2,3,7,2,6,2,0.0140976803377271,0.0521574206650257,-0.2935838103294373],[7,0,13,16,-1,7,4,13,8,2,0.2428656965494156,0.0146924601867795,-0.6985487937927246],[1,4,13,2,-1,1,5,13,1,2,0.0124195702373981,-0.0471058785915375,0.3669505119323731],[9,14,6,4,-1,9,16,6,2,2,0.001350388047285378,0.0537913590669632,-0.2095365971326828],[2,4,17,3,-1,2,5,17,1,3,-0.0156262908130884,0.2788845896720886,-0.060053750872612],[14,0,3,10,-1,15,1,1,10,3,0.0158501397818327,-0.0303249098360538,0.1028752028942108],[7,0,8,3,-1,6,1,8,1,3,-0.0408689193427563,-0.8040220737457275,0.0176014993339777],[14,0,3,10,-1,15,1,1,10,3,0.0641086399555206,0.0025845379568636417,-0.5385494232177734],[8,0,10,3,-1,7,1,10,1,3,0.0499271005392075,0.0218633003532887,-0.6178072094917297],[11,1,2,7,-1,11,1,1,7,2,0.0146554196253419,0.0196633692830801,-0.2042617052793503],[8,0,3,14,-1,9,0,1,14,3,-0.0240948107093573,0.3760913014411926,-0.0409541018307209],[11,1,2,7,-1,11,1,1,7,2,0.0294177699834108,-0.008690384216606617,0.4044741988182068],[11,1,7,2,-1,11,1,7,1,2,-0.0141586400568485,0.3781171143054962,-0.0403216406702995],[7,9,9,8,-1,10,9,3,8,3,-0.046754989773035,0.2210430949926376,-0.0289961099624634],[1,7,4,8,-1,3,7,2,8,2,-0.0114379497244954,-0.2503308951854706,0.0582142882049084],[17,11,4,6,-1,17,11,2,6,2,-0.0425987802445889,0.3756220042705536,-0.0163490902632475],[8,12,6,6,-1,10,12,2,6,3,-0.0152011597529054,-0.3563781976699829,0.0386903695762157],[11,0,3,6,-1,12,1,1,6,3,0.0433788485825062,0.0033045639283955097,-0.4672946929931641],[11,0,6,3,-1,10,1,6,1,3,0.005515301134437323,-0.0835836082696915,0.187931701540947],[9,14,9,4,-1,12,14,3,4,3,-0.007812692783772945,-0.1658685952425003,0.0438011288642883],[8,2,6,4,-1,8,2,6,2,2,0.0416526012122631,-0.031804520636797,0.4351752102375031],[10,10,4,6,-1,10,10,2,6,2,0.003441758919507265,0.0422822795808315,-0.1308895945549011],[1,8,18,2,-1,1,9,18,1,2,0.00013004569336771965,-0.112600103020668,0.1396459937095642],[8,8,14,3,-1,8,9,14,1,3,-0.0773477330803871,0.7075064778327942,-0.005413406994193792],[3,15,14,3,-1,10,15,7,3,2,-0.0016143550164997578,0.1192042008042336,-0.1188426986336708],[8,8,14,3,-1,8,9,14,1,3,-0.0009827924659475684,0.0631562769412994,-0.0527811013162136],[4,14,9,4,-1,7,14,3,4,3,-0.0456674695014954,-0.3450087010860443,0.0446007288992405]]],[18,-0.697633683681488,[[10,6,4,8,-1,10,6,2,8,2,0.0733159780502319,-0.1141010969877243,0.400358110666275],[2,11,18,3,-1,8,11,6,3,3,0.0252756699919701,-0.0720138773322105,0.3609578013420105],[10,0,12,4,-1,10,0,12,2,2,0.0188738591969013,-0.1723437011241913,0.1822322010993958],[6,6,16,4,-1,14,6,8,2,2,6,8,8,2,2,0.00007460772030754015,-0.0816272869706154,0.0888885036110878],[6,3,4,14,-1,7,3,2,14,2,0.00042250280966982245,-0.1284023970365524,0.1179141998291016],[12,12,6,6,-1,14,12,2,6,3,0.0144024603068829,0.0209603402763605,0.1902469992637634],[4,12,6,6,-1,6,12,2,6,3,-0.0020460959058254957,0.0957124978303909,-0.2151706069707871],[14,8,3,8,-1,14,12,3,4,2,0.007112844847142696,-0.0561004802584648,0.2098432034254074],[0,6,16,4,-1,0,6,8,2,2,8,8,8,2,2,-0.006583217065781355,-0.2113818973302841,0.0760941505432129],[9,10,5,6,-1,9,13,5,3,2,-0.0004125295963604003,0.1310734003782272,-0.1567085981369019],[7,5,6,12,-1,7,5,3,6,2,10,11,3,6,2,-0.0443308316171169,0.540480375289917,-0.0190594792366028],[1,5,21,9,-1,8,8,7,3,9,0.0117001300677657,0.0517124012112617,-0.1721616983413696],[8,6,3,12,-1,9,6,1,12,3,0.0035091140307486057,-0.0767679512500763,0.1777625977993012],[11,3,3,11,-1,12,4,1,11,3,0.0155975697562099,0.0383078902959824,-0.147300198674202],[11,5,9,3,-1,10,6,9,1,3,-0.0362853705883026,0.3534766137599945,-0.0450184904038906],[12,11,6,6,-1,12,13,6,2,3,-0.045118298381567,-0.5707414150238037,0.0106467101722956],[0,1,9,9,-1,3,1,3,9,3,0.0137345800176263,0.066018357872963,-0.2048089057207108],[6,0,12,12,-1,9,0,6,12,2,-0.0271209795027971,0.0480942092835903,-0.0513949617743492],[7,14,6,4,-1,10,14,3,4,2,-0.0015354059869423509,-0.2354800999164581,0.0530746094882488],[8,7,13,3,-1,8,8,13,1,3,0.003600081894546747,-0.0589443407952785,0.1182541027665138],[2,13,12,4,-1,5,13,6,4,2,0.006891652941703796,-0.0500144883990288,0.2690939903259277],[15,3,2,13,-1,15,3,1,13,2,0.003537344979122281,-0.1294703930616379,0.0886970385909081],[9,5,11,2,-1,9,5,11,1,2,-0.004143156111240387,-0.1788363009691238,0.0690981075167656],[13,2,2,16,-1,13,10,2,8,2,-0.1076257973909378,-1,0.0047263409942388535],[7,2,2,16,-1,7,10,2,8,2,0.009794620797038078,-0.0540387704968452,0.2411547005176544],[14,0,7,6,-1,12,2,7,2,3,0.0100542800500989,-0.0806248933076859,0.1162756010890007],[7,3,6,12,-1,7,3,3,6,2,10,9,3,6,2,-0.000873507175128907,-0.1819397956132889,0.0774685069918633],[9,14,8,4,-1,9,16,8,2,2,0.0009428326156921685,0.0462650507688522,-0.2273202985525131],[11,3,11,3,-1,10,4,11,1,3,0.00035424059024080634,-0.1182428970932961,0.110956996679306],[11,1,4,6,-1,12,2,2,6,2,-0.0385877899825573,-0.3028686940670013,0.003185617970302701],[11,1,6,4,-1,10,2,6,2,2,-0.004950467962771654,0.137581005692482,-0.0916903465986252],[10,10,6,8,-1,12,10,2,8,3,-0.0254536308348179,-0.2301352024078369,0.0197479296475649],[2,4,12,4,-1,2,4,6,2,2,8,6,6,2,2,0.015836700797081,-0.0452521592378616,0.2933708131313324],[14,1,3,10,-1,15,2,1,10,3,0.0103798797354102,0.0597066916525364,-0.1641553044319153],[0,7,22,7,-1,11,7,11,7,2,0.0431784503161907,0.063460536301136,-0.2136048972606659],[8,2,14,3,-1,8,3,14,1,3,-0.002250867895781994,0.1064511016011238,-0.0595391802489758],[0,2,14,3,-1,0,3,14,1,3,0.005074371118098497,-0.0943770334124565,0.2299972027540207],[14,1,3,10,-1,15,2,1,10,3,-0.0306706503033638,0.2597576081752777,-0.0231882091611624],[8,1,10,3,-1,7,2,10,1,3,0.0024162670597434044,0.0879190564155579,-0.1928738057613373],[12,3,3,10,-1,13,4,1,10,3,-0.00934058427810669,-0.1093555986881256,0.0293585006147623],[11,4,10,3,-1,10,5,10,1,3,0.0205137301236391,-0.0525113493204117,0.3054544925689697],[12,1,7,6,-1,12,3,7,2,3,-0.0436303801834583,-0.4531044960021973,0.0182615704834461],[0,3,14,3,-1,0,4,14,1,3,0.0034857920836657286,-0.0970931202173233,0.1487710028886795],[8,0,12,4,-1,14,0,6,2,2,8,2,6,2,2,0.0104116098955274,0.0429157316684723,-0.2484963983297348],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,-0.007515529170632362,-0.2662334144115448,0.0516023188829422],[8,4,12,3,-1,8,5,12,1,3,0.007215755060315132,-0.0618781596422195,0.1831496953964233],[0,1,14,2,-1,7,1,7,2,2,0.0009109086240641773,-0.0974202826619148,0.1222369968891144],[5,0,15,11,-1,10,0,5,11,3,-0.400699108839035,-0.8183109164237976,0.004745359066873789],[2,0,15,11,-1,7,0,5,11,3,-0.0048033627681434155,0.0941939875483513,-0.1443651020526886],[11,6,6,12,-1,14,6,3,6,2,11,12,3,6,2,-0.0211474299430847,0.2953240871429443,-0.0447512716054916],[7,5,6,6,-1,9,5,2,6,3,0.0186022594571114,-0.0429937802255154,0.2970671951770783],[14,13,6,5,-1,14,13,3,5,2,-0.008105171844363213,0.1236922964453697,-0.1324644982814789],[6,10,6,8,-1,8,10,2,8,3,-0.008321592584252357,-0.1902258992195129,0.0891510173678398],[10,10,6,6,-1,12,10,2,6,3,0.0031376329716295004,0.0415848195552826,-0.0795528963208199],[6,10,6,6,-1,8,10,2,6,3,0.0165560692548752,0.0449088588356972,-0.36947301030159],[6,11,14,3,-1,6,11,7,3,2,0.0299197304993868,-0.0377202592790127,0.2428061962127686],[3,1,7,6,-1,3,3,7,2,3,-0.0519882887601852,-0.6937226057052612,0.0189267806708813],[11,8,6,10,-1,14,8,3,5,2,11,13,3,5,2,0.0755281075835228,-0.0126113500446081,0.2573269009590149],[8,5,3,13,-1,9,5,1,13,3,-0.0025031189434230328,0.1380728036165237,-0.0916624665260315],[11,0,6,4,-1,11,0,3,4,2,-0.0005964693846181035,-0.0636546164751053,0.025937270373106],[11,0,4,6,-1,11,0,4,3,2,0.0103193400427699,0.0837918370962143,-0.1740830987691879],[14,3,2,12,-1,14,3,2,6,2,0.009381668642163277,0.0278715305030346,-0.1114158034324646],[5,4,10,7,-1,10,4,5,7,2,0.0100234104320407,-0.0699662491679192,0.2190064042806625],[8,9,6,6,-1,10,9,2,6,3,-0.0008370020077563822,0.100976899266243,-0.1426136046648026],[0,8,12,9,-1,4,11,4,3,9,0.0224687103182077,0.0940282121300697,-0.138074204325676],[13,12,4,6,-1,13,15,4,3,2,0.0391152091324329,-0.005396939814090729,0.6518750786781311],[5,12,5,6,-1,5,15,5,3,2,-0.001567056984640658,0.07088603079319,-0.2001060992479324],[12,4,2,11,-1,12,4,1,11,2,0.006074989214539528,0.0353959389030933,-0.0439185909926891],[9,4,11,2,-1,9,4,11,1,2,-0.0431668907403946,0.5988184809684753,-0.0234801806509495],[11,8,6,10,-1,14,8,3,5,2,11,13,3,5,2,0.002330208895727992,-0.0728186890482903,0.0439402088522911],[5,8,6,10,-1,5,8,3,5,2,8,13,3,5,2,0.0552365891635418,-0.0351179204881191,0.3635514974594116],[11,7,6,10,-1,14,7,3,5,2,11,12,3,5,2,0.0277743991464376,0.0300742909312248,-0.1002677008509636],[2,1,18,3,-1,2,2,18,1,3,0.008478408679366112,-0.0562433004379272,0.2171134948730469],[16,4,6,7,-1,16,4,3,7,2,0.0132693601772189,0.0431383699178696,-0.1642978042364121],[5,7,6,10,-1,5,7,3,5,2,8,12,3,5,2,-0.0340722799301147,0.3941879868507385,-0.0329146385192871],[12,0,3,14,-1,12,7,3,7,2,-0.005936597008258104,0.064854122698307,-0.0869715884327888],[7,10,8,7,-1,11,10,4,7,2,-0.005199730861932039,-0.2171074002981186,0.0654410123825073],[8,0,12,3,-1,8,1,12,1,3,0.003044113051146269,-0.0471716411411762,0.0946628674864769],[3,0,13,4,-1,3,1,13,2,2,-0.000223754599574022,0.1173989996314049,-0.10451590269804],[7,11,12,4,-1,7,12,12,2,2,0.0494941398501396,0.009955204091966152,-0.8820502161979675],[0,0,8,18,-1,4,0,4,18,2,0.077127031981945,-0.0366387590765953,0.3715699911117554],[14,13,6,5,-1,14,13,3,5,2,-0.003705482929944992,0.0462130792438984,-0.0794984996318817],[0,5,22,4,-1,11,5,11,4,2,0.1365543007850647,0.0208025798201561,-0.6469228267669678],[11,2,10,9,-1,11,5,10,3,3,-0.1691939979791641,-0.9014499187469482,0.00043158119660802186],[1,2,10,9,-1,1,5,10,3,3,0.005252514965832233,0.0866862162947655,-0.1575164049863815],[18,6,2,12,-1,18,6,1,12,2,0.0579522587358952,0.0013485850067809224,-1.0001620054244995],[2,6,2,12,-1,3,6,1,12,2,-0.0306814592331648,-0.6734688878059387,0.0177308097481728],[15,6,4,12,-1,15,9,4,6,2,-0.0285564009100199,0.2491353005170822,-0.0218073595315218],[3,6,4,12,-1,3,9,4,6,2,0.005831119138747454,0.1010965034365654,-0.1258653998374939],[14,13,6,5,-1,14,13,3,5,2,0.002887073904275894,-0.0454622805118561,0.1479419022798538],[2,13,6,5,-1,5,13,3,5,2,-0.005357589107006788,0.1084545999765396,-0.2063605934381485],[8,12,12,5,-1,11,12,6,5,2,0.0208518300205469,-0.0256414301693439,0.1200079992413521],[2,12,12,5,-1,5,12,6,5,2,0.0029372319113463163,-0.0588329806923866,0.2396713942289352],[12,12,6,6,-1,12,14,6,2,3,0.0101090697571635,0.044724740087986,-0.250249594449997],[0,10,16,8,-1,4,10,8,8,2,0.0620026402175426,0.0312366802245378,-0.3877547979354858],[13,1,8,8,-1,15,1,4,8,2,0.0017331680282950401,-0.0766425207257271,0.0587383098900318],[1,1,8,8,-1,3,1,4,8,2,-0.0466489009559155,0.4780037105083466,-0.0282232593744993],[14,8,3,8,-1,14,12,3,4,2,-0.0405850112438202,0.1959132999181747,-0.0296085495501757],[10,4,7,6,-1,10,4,7,3,2,0.0142973596230149,0.0804227814078331,-0.2002439945936203],[9,10,4,8,-1,9,14,4,4,2,-0.001421564957126975,0.0976939424872398,-0.1309012025594711],[5,8,3,8,-1,5,12,3,4,2,0.005268362816423178,-0.0583763718605042,0.2437804043292999]]],[19,-0.6897674202919006,[[6,9,4,9,-1,6,12,4,3,3,-0.0026198190171271563,0.1867370009422302,-0.1912652999162674],[6,3,16,4,-1,14,3,8,2,2,6,5,8,2,2,-0.0286290999501944,0.1288710981607437,-0.0261868499219418],[1,3,20,4,-1,1,3,10,2,2,11,5,10,2,2,0.007171886973083019,0.088158592581749,-0.2032734006643295],[9,5,6,12,-1,12,5,3,6,2,9,11,3,6,2,0.0116410404443741,-0.0210582502186298,0.1759178936481476],[1,6,2,12,-1,2,6,1,12,2,0.005676432978361845,0.0499411597847939,-0.2732929885387421],[19,0,2,16,-1,19,0,1,16,2,-0.0443926900625229,0.5676612854003906,-0.0186747796833515],[1,0,2,16,-1,2,0,1,16,2,0.0001336761051788926,-0.1299030929803848,0.1354229003190994],[13,5,5,9,-1,13,8,5,3,3,-0.0441119484603405,0.226848304271698,-0.0133183998987079],[5,16,12,2,-1,5,17,12,1,2,0.0029443150851875544,0.0431614592671394,-0.2931117117404938],[5,14,12,4,-1,5,15,12,2,2,0.0035300010349601507,0.0771937221288681,-0.2632498145103455],[5,3,12,9,-1,9,6,4,3,9,0.1011921018362045,-0.0549242608249187,0.3243021965026856],[7,5,13,2,-1,7,6,13,1,2,-0.0223485697060823,0.3080311119556427,-0.0225184895098209],[8,1,12,2,-1,8,1,12,1,2,0.006475538015365601,-0.1204577013850212,0.1318611055612564],[0,4,22,8,-1,11,4,11,4,2,0,8,11,4,2,0.0109043195843697,0.1021798998117447,-0.1830884963274002],[2,3,6,4,-1,5,3,3,4,2,-0.0112566296011209,-0.2918663918972015,0.0554912202060223],[7,11,15,3,-1,7,12,15,1,3,0.0036791800521314144,-0.0506146885454655,0.0826633125543594],[5,7,6,7,-1,8,7,3,7,2,-0.0917212888598442,-0.771275520324707,0.019312959164381],[7,12,12,4,-1,13,12,6,2,2,7,14,6,2,2,0.0400998890399933,0.007866352796554565,-0.8130282759666443],[0,11,16,2,-1,8,11,8,2,2,-0.054956428706646,0.2905952036380768,-0.0598255805671215],[18,3,4,10,-1,18,3,4,5,2,0.2480465024709702,0.0116651896387339,-0.6912195086479187],[2,2,17,3,-1,2,3,17,1,3,-0.0342848002910614,0.4535839855670929,-0.0320712514221668],[10,14,12,4,-1,16,14,6,2,2,10,16,6,2,2,0.0254392307251692,0.0194671507924795,-0.3792799115180969],[1,9,11,6,-1,1,11,11,2,3,-0.0127206603065133,-0.2121143043041229,0.0615338310599327],[4,9,18,3,-1,4,10,18,1,3,0.0108310002833605,-0.0514436811208725,0.1694768965244293],[0,9,18,3,-1,0,10,18,1,3,-0.0219315700232983,0.2483938932418823,-0.0566363595426083],[11,5,11,12,-1,11,11,11,6,2,0.2939789891242981,0.0114115299656987,-0.9369606971740723],[5,12,6,6,-1,5,14,6,2,3,-0.0163422599434853,-0.3158954977989197,0.0443719811737537],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,-0.0442804992198944,0.2033734023571014,-0.021462319418788],[0,5,11,12,-1,0,11,11,6,2,0.265033096075058,0.0116331502795219,-0.9122017025947571],[15,3,2,12,-1,15,3,2,6,2,-0.0763784795999527,0.1868827044963837,-0.0196720808744431],[3,0,12,4,-1,3,0,6,2,2,9,2,6,2,2,-0.010061570443213,-0.2646203935146332,0.0466202609241009],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,0.0249217301607132,-0.0191313903778791,0.201545000076294],[5,12,8,6,-1,5,12,4,3,2,9,15,4,3,2,0.000015098409676284064,-0.1624169051647186,0.0761839672923088],[8,11,10,5,-1,8,11,5,5,2,-0.1008191034197807,-1,0.0007475150050595403],[4,11,10,5,-1,9,11,5,5,2,0.065058596432209,-0.0404686406254768,0.3516007959842682],[6,6,12,12,-1,12,6,6,6,2,6,12,6,6,2,-0.1219023987650871,-0.536245584487915,0.0186370201408863],[7,10,6,8,-1,7,12,6,4,2,-0.0009852073853835464,0.1139819994568825,-0.1129883006215096],[7,8,15,10,-1,7,13,15,5,2,-0.2530061900615692,-0.4337590932846069,0.0123674003407359],[0,0,22,4,-1,0,0,11,2,2,11,2,11,2,2,0.0075246659107506275,0.0673554763197899,-0.1858396977186203],[10,3,12,3,-1,10,4,12,1,3,0.004810221027582884,-0.0658700615167618,0.1284891068935394],[0,3,13,3,-1,0,4,13,1,3,-0.0014562129508703947,0.1811068952083588,-0.1124845966696739],[9,3,4,12,-1,9,6,4,6,2,-0.005654632113873959,0.1036984026432037,-0.1411557048559189],[4,5,9,6,-1,4,8,9,3,2,-0.0319512896239758,-0.3297160863876343,0.0482818111777306],[11,6,2,9,-1,11,6,1,9,2,0.0421903803944588,-0.0116448104381561,0.1370130032300949],[9,2,4,8,-1,9,6,4,4,2,0.0126066599041224,-0.0603958815336227,0.2421005964279175],[7,0,8,10,-1,7,5,8,5,2,-0.006008386146277189,0.0956776067614555,-0.202482596039772],[11,5,9,2,-1,11,5,9,1,2,0.0406763888895512,-0.0385064296424389,0.3982402980327606],[17,0,3,11,-1,18,1,1,11,3,-0.0130102196708322,-0.0778704434633255,0.032533310353756],[5,0,11,3,-1,4,1,11,1,3,-0.0566469691693783,-0.952935516834259,0.0173756591975689],[9,6,4,7,-1,9,6,2,7,2,0.037307970225811,-0.0332614406943321,0.4685631990432739],[3,11,6,6,-1,3,13,6,2,3,-0.027986379340291,-0.4635669887065888,0.0285240299999714],[6,10,16,8,-1,6,12,16,4,2,-0.0750148966908455,0.2451989948749542,-0.0158301591873169],[11,6,9,3,-1,10,7,9,1,3,0.0276730805635452,-0.036458358168602,0.3721557855606079],[12,11,8,6,-1,12,13,8,2,3,-0.0173129606992006,-0.2211765944957733,0.0432326197624207],[0,10,16,8,-1,0,12,16,4,2,-0.0588939487934113,0.3972674906253815,-0.0376325286924839],[10,14,12,4,-1,16,14,6,2,2,10,16,6,2,2,0.0131936799734831,0.0248577296733856,-0.1751435995101929],[2,11,8,6,-1,2,13,8,2,3,0.0382306799292564,0.0296351108700037,-0.4345274865627289],[6,11,16,4,-1,14,11,8,2,2,6,13,8,2,2,0.0168453995138407,0.0393387489020824,-0.2376572042703629],[0,11,22,6,-1,11,11,11,6,2,-0.1155946031212807,-0.4000687897205353,0.0323905386030674],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,-0.0017385910032317042,0.0485458187758923,-0.0614746809005737],[2,10,6,8,-1,2,10,3,4,2,5,14,3,4,2,-0.0336976684629917,0.2434500008821487,-0.0655046030879021],[6,4,15,12,-1,11,8,5,4,9,-0.3472279906272888,-0.33612060546875,0.0155012002214789],[0,4,18,12,-1,6,8,6,4,9,0.0586680397391319,0.0680680572986603,-0.2210492938756943],[15,7,2,8,-1,15,7,1,8,2,0.0237181894481182,-0.014779569581151,0.4732834100723267],[3,3,10,3,-1,2,4,10,1,3,0.0288127008825541,0.033309880644083,-0.467976987361908],[4,2,14,3,-1,4,3,14,1,3,0.0410237498581409,-0.0282930005341768,0.4942755103111267],[10,8,8,2,-1,10,8,8,1,2,-0.00012017590051982552,0.1036365032196045,-0.1210749000310898],[15,5,4,7,-1,15,5,2,7,2,-0.1090807020664215,-1,0.003297199960798025],[3,6,5,6,-1,3,9,5,3,2,-0.0459673590958118,0.6481946110725403,-0.0192335192114115],[14,1,8,6,-1,18,1,4,3,2,14,4,4,3,2,-0.0193457193672657,-0.3314554989337921,0.0390085391700268],[0,1,8,6,-1,0,1,4,3,2,4,4,4,3,2,0.0123127903789282,0.0410296283662319,-0.2794392108917236],[17,0,4,12,-1,18,0,2,12,2,0.002153522102162242,-0.0675450563430786,0.1164774000644684],[1,0,4,12,-1,2,0,2,12,2,-0.0321587882936001,0.5474163889884949,-0.0237302295863628],[9,16,12,2,-1,9,17,12,1,2,-0.027592359110713,-0.7531942129135132,0.008406621403992176],[1,16,12,2,-1,1,17,12,1,2,0.0222645103931427,0.0121467402204871,-0.902912974357605],[10,15,12,3,-1,10,16,12,1,3,0.0153613798320293,-0.0316411890089512,0.3213280141353607],[0,15,12,3,-1,0,16,12,1,3,-0.0123606603592634,0.292486310005188,-0.0453037582337856],[10,14,12,4,-1,16,14,6,2,2,10,16,6,2,2,0.0229787491261959,-0.0120544796809554,0.1906094998121262],[0,14,12,4,-1,0,14,6,2,2,6,16,6,2,2,0.0232963804155588,0.0314090512692928,-0.5185608267784119],[9,11,12,4,-1,15,11,6,2,2,9,13,6,2,2,0.0005738424952141941,-0.1029348969459534,0.0815484523773193],[0,11,16,4,-1,0,11,8,2,2,8,13,8,2,2,-0.0330204702913761,0.4247055947780609,-0.0447946786880493],[8,12,9,6,-1,8,14,9,2,3,-0.0217130295932293,-0.1482526063919067,0.012959879823029],[5,12,9,6,-1,5,14,9,2,3,-0.00009743092232383788,0.1189963966608048,-0.1475397050380707],[4,5,16,2,-1,4,5,8,2,2,-0.009290773421525955,-0.116354301571846,0.0541046410799026],[1,10,10,8,-1,1,10,5,4,2,6,14,5,4,2,0.0372448489069939,-0.0344212017953396,0.3794392943382263],[16,2,5,9,-1,13,5,5,3,3,0.1527702957391739,0.007272540125995874,-0.341550886631012],[4,4,4,6,-1,6,4,2,6,2,-0.0126634500920773,-0.3059667050838471,0.038231261074543],[9,2,9,7,-1,12,2,3,7,3,-0.0748884230852127,-0.3465895056724548,0.0155016500502825],[4,2,9,7,-1,7,2,3,7,3,-0.040114589035511,0.3262982070446014,-0.0413136705756187],[16,2,5,9,-1,13,5,5,3,3,-0.0964921116828918,0.1017284989356995,-0.0171560104936361],[6,2,9,5,-1,9,5,3,5,3,-0.167128399014473,-0.7765511870384216,0.0180295594036579],[5,12,14,6,-1,5,14,14,2,3,-0.008298194035887718,-0.143971398472786,0.058948140591383],[6,4,4,12,-1,6,4,2,6,2,8,10,2,6,2,-0.0037844169419258833,0.1709517985582352,-0.0782564431428909],[9,4,10,8,-1,9,4,5,8,2,-0.1607642024755478,0.2313822954893112,-0.0134280500933528],[7,5,6,8,-1,7,5,3,4,2,10,9,3,4,2,0.0006454443791881204,-0.1442440003156662,0.0832878202199936],[8,7,6,8,-1,11,7,3,4,2,8,11,3,4,2,0.0227373093366623,-0.0341558195650578,0.355198085308075],[2,4,11,2,-1,2,4,11,1,2,-0.003903005039319396,-0.1873676925897598,0.0646280124783516],[16,0,3,13,-1,17,0,1,13,3,-0.0511454306542873,0.6689270734786987,-0.011180049739778],[2,0,18,3,-1,2,1,18,1,3,-0.006048236973583698,0.1862275004386902,-0.0630187019705772],[15,8,6,4,-1,15,8,3,4,2,0.0117435697466135,0.0254492796957493,-0.1333124935626984],[2,0,13,3,-1,2,1,13,1,3,0.0008412089082412422,-0.0933334678411484,0.133158802986145],[4,4,18,4,-1,4,6,18,2,2,-0.0377561710774899,-0.2313880026340485,0.0405697897076607],[3,3,10,9,-1,8,3,5,9,2,-0.0208675600588322,0.1005609035491943,-0.117441900074482],[2,7,18,6,-1,8,9,6,2,9,-0.0398021787405014,-0.1158571988344193,0.1266818940639496]]],[20,-0.6816900968551636,[[10,4,11,2,-1,10,4,11,1,2,0.008454618975520134,-0.162896603345871,0.1983439028263092],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0.0516104511916637,-0.0308270901441574,0.3374255001544952],[2,6,6,12,-1,2,6,3,6,2,5,12,3,6,2,-0.0649094432592392,0.286022812128067,-0.0598486512899399],[3,4,16,6,-1,3,6,16,2,3,-0.004395140800625086,0.1130265966057777,-0.1263208985328674],[1,11,16,3,-1,5,11,8,3,2,-0.0827568024396896,-0.6079095005989075,0.0219671800732613],[12,10,8,3,-1,12,10,4,3,2,-0.0048698862083256245,0.0858661904931068,-0.0890095233917236],[0,9,17,9,-1,0,12,17,3,3,0.0915124416351318,-0.0533453486859798,0.2673287093639374],[8,4,6,10,-1,11,4,3,5,2,8,9,3,5,2,0.0036815661005675793,0.070915699005127,-0.1794120967388153],[2,4,16,8,-1,2,4,8,4,2,10,8,8,4,2,0.006303270813077688,0.1237815022468567,-0.1239148005843163],[9,6,12,4,-1,15,6,6,2,2,9,8,6,2,2,0.0005876413197256625,-0.0638136565685272,0.095545768737793],[9,3,4,6,-1,9,6,4,3,2,0.0146803203970194,-0.0491835288703442,0.2904059886932373],[15,5,7,4,-1,15,5,7,2,2,0.0035624930169433355,-0.0975631475448608,0.0489328317344189],[0,6,18,6,-1,0,6,9,3,2,9,9,9,3,2,-0.007447334006428719,-0.159524604678154,0.0847726464271545],[4,2,15,3,-1,4,3,15,1,3,0.0540109910070896,-0.0205651503056288,0.5734071731567383],[2,0,6,6,-1,5,0,3,6,2,-0.002361391903832555,0.1495765000581741,-0.0751481130719185],[13,4,8,6,-1,17,4,4,3,2,13,7,4,3,2,0.0406654588878155,0.0147623997181654,-0.5968567132949829],[4,2,13,6,-1,4,4,13,2,3,0.0932583808898926,0.013036210089922,-0.6864386200904846],[9,8,12,3,-1,9,9,12,1,3,0.002859374973922968,-0.0549046397209167,0.0980746671557426],[1,8,16,3,-1,1,9,16,1,3,-0.004975640214979649,0.1675197035074234,-0.0825638324022293],[11,4,5,8,-1,11,8,5,4,2,-0.002206113887950778,0.0714861825108528,-0.0846847966313362],[3,4,11,2,-1,3,4,11,1,2,0.00437875185161829,0.075296439230442,-0.1698897033929825],[10,7,12,3,-1,10,8,12,1,3,-0.004914332181215286,0.1627433001995087,-0.0575791895389557],[9,3,7,8,-1,9,3,7,4,2,-0.003019121941179037,-0.124500997364521,0.1152698025107384],[13,2,2,12,-1,13,2,2,6,2,0.006822717841714621,0.0371669717133045,-0.1009344980120659],[0,9,12,4,-1,0,9,6,2,2,6,11,6,2,2,0.0351169817149639,-0.0429974310100079,0.3295919895172119],[11,7,8,6,-1,13,7,4,6,2,-0.0014400649815797806,-0.0989222601056099,0.0671088919043541],[0,8,6,6,-1,2,8,2,6,3,-0.004669935908168554,-0.1800343990325928,0.0680383965373039],[11,7,8,6,-1,13,7,4,6,2,0.037647720426321,-0.0210317503660917,0.1662711948156357],[3,7,8,6,-1,5,7,4,6,2,0.005174546968191862,-0.118460901081562,0.1091919019818306],[10,6,6,4,-1,10,6,3,4,2,0.0077274879440665245,-0.0550973303616047,0.2275228053331375],[4,8,12,10,-1,4,8,6,5,2,10,13,6,5,2,0.0291588492691517,0.0778855830430985,-0.177755206823349],[15,7,6,10,-1,17,7,2,10,3,0.0002988537889905274,-0.0788752809166908,0.0511631108820438],[6,14,6,4,-1,9,14,3,4,2,0.00014456070493906736,-0.1609764993190765,0.0815740302205086],[8,13,10,4,-1,8,13,5,4,2,0.047840740531683,0.0142105501145124,-0.3131667971611023],[2,0,4,18,-1,4,0,2,18,2,0.0439434684813023,-0.0310024805366993,0.42450350522995],[11,0,8,10,-1,11,0,8,5,2,-0.1760338991880417,-0.2162521928548813,0.0137106403708458],[0,7,12,3,-1,0,8,12,1,3,-0.0270105507224798,0.454482913017273,-0.0285076200962067],[17,0,2,10,-1,17,0,1,10,2,0.006453466136008501,-0.0496607087552547,0.0830717235803604],[5,6,6,4,-1,5,8,6,2,2,-0.007111507002264261,-0.2250981032848358,0.0650333613157272],[15,10,7,6,-1,15,12,7,2,3,-0.0251848492771387,-0.174803301692009,0.0187510997056961],[0,10,7,6,-1,0,12,7,2,3,-0.00008804743265500292,0.1267789006233215,-0.1070457994937897],[13,12,6,6,-1,15,12,2,6,3,-0.0360202193260193,0.2464960068464279,-0.0497720800340176],[1,11,20,7,-1,11,11,10,7,2,0.007608457002788782,0.100414402782917,-0.1367384046316147],[13,5,4,9,-1,13,8,4,3,3,-0.00824049673974514,0.11703260242939,-0.0527819618582726],[2,12,8,6,-1,2,12,4,3,2,6,15,4,3,2,-0.0007247481844387949,-0.1165003031492233,0.1133349016308785],[9,14,6,4,-1,9,16,6,2,2,-0.00007827227818779647,0.0644256770610809,-0.1589460968971252],[7,12,8,6,-1,7,12,4,3,2,11,15,4,3,2,-0.0020254699047654867,-0.1702708005905151,0.0712168663740158],[6,1,12,14,-1,12,1,6,7,2,6,8,6,7,2,-0.1188203021883965,0.3287855088710785,-0.015325210057199],[5,5,4,9,-1,5,8,4,3,3,-0.016258429735899,0.2184889018535614,-0.0562531985342503],[5,13,12,4,-1,11,13,6,2,2,5,15,6,2,2,-0.006842979229986668,-0.233134999871254,0.0571078211069107],[9,7,8,3,-1,8,8,8,1,3,0.0349397100508213,-0.0273338295519352,0.4565196931362152],[7,5,8,10,-1,7,10,8,5,2,0.2297977954149246,0.0145089896395803,-0.8716508746147156],[7,1,8,3,-1,6,2,8,1,3,0.043360598385334,0.008446759544312954,-0.8750032782554626],[10,14,12,3,-1,10,15,12,1,3,-0.0011806190013885498,0.0781866982579231,-0.0528342090547085],[0,6,18,12,-1,0,12,18,6,2,-0.4177268147468567,-0.8072922229766846,0.0130481300875545],[9,8,6,6,-1,9,11,6,3,2,-0.0463152304291725,0.2937507927417755,-0.0351923890411854],[3,2,4,12,-1,3,2,2,6,2,5,8,2,6,2,-0.0402713008224964,-0.5817453265190125,0.019768500700593],[13,2,2,12,-1,13,2,2,6,2,-0.0430124402046204,0.1088251024484634,-0.0269776098430157],[2,4,6,8,-1,2,4,3,4,2,5,8,3,4,2,0.0028285770677030087,0.0768370479345322,-0.1572055071592331],[14,10,4,6,-1,14,10,2,6,2,-0.0332046113908291,-0.2315258979797363,0.0159325394779444],[0,0,2,12,-1,0,6,2,6,2,-0.0004809735110029578,0.1104374006390572,-0.1158946007490158],[13,2,2,12,-1,13,2,2,6,2,0.0029704240150749683,-0.0342437401413918,0.06910739839077],[9,2,12,2,-1,9,2,6,2,2,0.0118931904435158,0.0801228806376457,-0.2050309032201767],[10,9,12,4,-1,16,9,6,2,2,10,11,6,2,2,-0.0639636069536209,-0.8553075194358826,0.006478352937847376],[0,9,12,4,-1,0,9,6,2,2,6,11,6,2,2,-0.005609354004263878,0.1627894937992096,-0.1007907018065453],[17,9,4,9,-1,17,12,4,3,3,0.007597933989018202,0.0541234090924263,-0.124312698841095],[1,9,10,6,-1,1,9,5,3,2,6,12,5,3,2,0.0134808197617531,-0.0637513026595116,0.252506285905838],[8,12,9,4,-1,8,14,9,2,2,-0.0009461375884711742,0.0428358688950539,-0.0768371000885963],[2,8,6,10,-1,2,8,3,5,2,5,13,3,5,2,-0.0380624905228615,0.192521795630455,-0.0639471337199211],[7,10,12,6,-1,10,10,6,6,2,0.1241089999675751,0.007941659539937973,-0.4265302121639252],[3,10,12,6,-1,6,10,6,6,2,-0.0922284424304962,-0.5521062016487122,0.0289649106562138],[20,0,2,12,-1,20,6,2,6,2,0.0151067702099681,0.0276093408465385,-0.1668844968080521],[0,0,2,12,-1,0,6,2,6,2,-0.0236542504280806,-0.3437967896461487,0.0395133309066296],[14,3,4,15,-1,14,3,2,15,2,0.0478813908994198,0.008066108450293541,-0.1818519979715347],[0,1,16,14,-1,0,1,8,7,2,8,8,8,7,2,0.0854152888059616,-0.0467524081468582,0.2716900110244751],[11,0,8,10,-1,11,0,8,5,2,0.0031524940859526396,-0.086421400308609,0.0683360025286675],[0,3,16,4,-1,0,3,8,2,2,8,5,8,2,2,-0.003009987063705921,0.089336208999157,-0.1362684965133667],[13,0,7,12,-1,13,4,7,4,3,-0.058112520724535,-0.1974812000989914,0.0265364404767752],[5,3,11,15,-1,5,8,11,5,3,0.1277566999197006,-0.0498380400240421,0.3489640057086945],[13,0,7,12,-1,13,4,7,4,3,0.1201129034161568,-0.006331343203783035,0.3793754875659943],[2,0,7,12,-1,2,4,7,4,3,0.0047567482106387615,0.1049041971564293,-0.1354257017374039],[4,5,18,12,-1,10,9,6,4,9,-0.0159023497253656,0.0617863014340401,-0.0983760803937912],[4,7,14,6,-1,4,7,7,3,2,11,10,7,3,2,-0.0564237087965012,-0.6337103247642517,0.0202245991677046],[7,9,13,3,-1,7,10,13,1,3,-0.0796413272619247,-1,0.0008742830832488835],[2,9,13,3,-1,2,10,13,1,3,-0.00207313010469079,0.1384645998477936,-0.0958653017878532],[5,9,17,3,-1,5,10,17,1,3,0.005847036838531494,-0.0570338405668736,0.1169179975986481],[1,1,10,9,-1,1,4,10,3,3,-0.0261389501392841,-0.2236243933439255,0.0555466301739216],[4,1,16,8,-1,4,3,16,4,2,-0.000657816301099956,0.0929992273449898,-0.0841521173715591],[6,5,6,12,-1,8,5,2,12,3,-0.0560413897037506,0.3507285118103027,-0.0314722806215286],[11,7,6,5,-1,11,7,3,5,2,0.0977998003363609,0.0101244300603867,-0.377140611410141],[5,4,9,5,-1,8,4,3,5,3,0.0045515140518546104,-0.0783113613724709,0.1416697055101395],[2,12,18,4,-1,11,12,9,2,2,2,14,9,2,2,0.0101683801040053,0.0521139912307262,-0.2442279011011124],[11,4,9,3,-1,10,5,9,1,3,0.0628854036331177,-0.0182555094361305,0.6284729242324829],[15,0,2,10,-1,15,0,1,10,2,-0.0480641312897205,-0.8681743144989014,0.006606483832001686],[0,5,18,12,-1,6,9,6,4,9,0.0184799004346132,0.0699778124690056,-0.159293994307518],[14,9,4,6,-1,14,9,2,6,2,0.0245498400181532,-0.0175191201269627,0.1796191930770874],[5,6,3,12,-1,5,10,3,4,3,0.0392274707555771,-0.0474179908633232,0.2794578969478607],[11,0,3,9,-1,12,1,1,9,3,0.0412481985986233,0.0114593701437116,-0.434774786233902],[1,9,4,9,-1,1,12,4,3,3,-0.0008432114263996482,0.1275885999202728,-0.0970105603337288],[18,9,4,9,-1,18,12,4,3,3,-0.0136887403205037,-0.1623619049787521,0.043290950357914],[6,9,6,4,-1,9,9,3,4,2,-0.0559825114905834,-0.7543113827705383,0.0157977100461721],[11,0,3,9,-1,12,1,1,9,3,0.073578268289566,-0.0014777439646422863,-1.000035047531128],[11,0,9,3,-1,10,1,9,1,3,0.0037084969226270914,-0.0971846431493759,0.1243532970547676],[5,15,12,2,-1,5,16,12,1,2,-0.000014889879821566865,0.0714653432369232,-0.1684084981679916],[0,0,22,2,-1,11,0,11,2,2,0.1048756018280983,0.0150766503065825,-0.711594820022583],[20,0,2,13,-1,20,0,1,13,2,0.0125874895602465,-0.0207713004201651,0.1746868044137955],[0,0,2,13,-1,1,0,1,13,2,-0.00022228389570955187,0.1178164035081863,-0.0926274582743645],[10,1,6,6,-1,12,1,2,6,3,-0.0777604132890701,-0.7460541129112244,0.003632818115875125],[6,1,6,6,-1,8,1,2,6,3,0.0450434200465679,0.022217869758606,-0.5005291104316711],[10,7,12,3,-1,10,8,12,1,3,0.0035614410880953074,-0.0512132197618485,0.0899865031242371],[0,7,12,3,-1,0,8,12,1,3,-0.0007410236867144704,0.1393804997205734,-0.1027221977710724]]],[21,-0.6068928837776184,[[1,9,8,6,-1,1,9,4,3,2,5,12,4,3,2,-0.00856001302599907,0.1657890975475311,-0.1641291975975037],[10,10,7,4,-1,10,12,7,2,2,0.0307988096028566,-0.0334956496953964,0.285786509513855],[8,10,4,6,-1,10,10,2,6,2,-0.0003731941105797887,0.1252344995737076,-0.1211517006158829],[13,6,8,4,-1,13,6,4,4,2,-0.0192538499832153,-0.087740883231163,0.0390665717422962],[10,1,8,7,-1,12,3,4,7,2,-0.008540164679288864,0.1315227001905441,-0.1300774067640305],[8,5,8,7,-1,8,5,4,7,2,0.1242434978485107,0.0190199799835682,-0.7824705243110657],[6,5,8,7,-1,10,5,4,7,2,0.0400934182107449,-0.0407437682151794,0.3885174989700317],[6,3,16,12,-1,14,3,8,6,2,6,9,8,6,2,-0.00004416955925989896,0.0455269701778889,-0.0880638062953949],[4,11,6,6,-1,4,13,6,2,3,-0.0176628492772579,-0.3137181103229523,0.0517943389713764],[4,2,18,14,-1,13,2,9,7,2,4,9,9,7,2,0.0523685105144978,-0.0358459986746311,0.1500973999500275],[5,0,11,12,-1,5,3,11,6,2,-0.0287192799150944,-0.1984937936067581,0.0780990719795227],[4,7,16,9,-1,4,10,16,3,3,0.06943579018116,-0.0550737306475639,0.2178084999322891],[0,1,18,3,-1,0,2,18,1,3,0.0547944381833076,-0.0302236899733543,0.6299396753311157],[12,13,6,4,-1,12,15,6,2,2,-0.0153155000880361,-0.1505279988050461,0.0201943702995777],[1,10,6,8,-1,1,10,3,4,2,4,14,3,4,2,0.0290019698441029,-0.0207389891147614,0.4564509987831116],[14,12,8,6,-1,18,12,4,3,2,14,15,4,3,2,-0.0232647694647312,0.1467252969741821,-0.0380813516676426],[9,3,12,3,-1,13,7,4,3,3,0.0190631095319986,0.0729212388396263,-0.2272370010614395],[8,12,6,6,-1,8,12,3,6,2,0.0012208239641040564,0.0734713226556778,-0.1912292987108231],[4,8,14,10,-1,4,13,14,5,2,-0.175659105181694,0.2592468857765198,-0.0560151189565659],[11,2,8,8,-1,11,2,4,8,2,-0.0380421318113804,0.1611361056566238,-0.0437588207423687],[9,6,4,8,-1,9,6,4,4,2,0.0301302596926689,0.0578308291733265,-0.297741711139679],[18,3,4,10,-1,18,3,4,5,2,0.0200892202556133,-0.060509629547596,0.0334416814148426],[5,15,12,3,-1,9,15,4,3,3,0.0002619338920339942,-0.1517544984817505,0.1109410971403122],[11,8,4,6,-1,11,8,4,3,2,0.0403106287121773,0.0174771193414927,-0.1418537944555283],[11,8,6,4,-1,11,8,3,4,2,-0.002934301970526576,-0.1696013957262039,0.0935302525758743],[3,13,16,5,-1,7,13,8,5,2,0.0145545201376081,-0.0758445262908936,0.2777166068553925],[6,2,4,12,-1,6,2,2,6,2,8,8,2,6,2,0.0034086001105606556,0.0739333108067513,-0.1962659060955048],[2,14,18,4,-1,11,14,9,2,2,2,16,9,2,2,-0.0067988429218530655,-0.2013248056173325,0.0582760386168957],[3,1,12,3,-1,3,2,12,1,3,-0.005045793019235134,0.1944606006145477,-0.0716915801167488],[6,1,16,3,-1,6,2,16,1,3,0.0104650100693107,-0.0473145917057991,0.1931611001491547],[5,3,8,3,-1,9,3,4,3,2,-0.0016713530058041215,0.0929151475429535,-0.1189012974500656],[16,3,4,6,-1,16,3,4,3,2,-0.0427043586969376,0.169610396027565,-0.0206326507031918],[4,3,10,4,-1,4,3,5,4,2,0.2036782950162888,0.0232468992471695,-0.4942026138305664],[14,5,6,8,-1,17,5,3,4,2,14,9,3,4,2,-0.0008337948238477111,0.0500010699033737,-0.0737798064947128],[1,2,14,12,-1,1,5,14,6,2,0.1785476952791214,0.0155882900580764,-0.7765008211135864],[11,2,6,12,-1,11,5,6,6,2,-0.1353528946638107,-0.5229911208152771,0.0031595760956406593],[5,2,6,12,-1,5,5,6,6,2,0.0465552695095539,-0.041891060769558,0.3032479882240295],[11,5,8,5,-1,11,5,4,5,2,0.0226636491715908,0.038851160556078,-0.0851962268352509],[4,0,9,18,-1,7,0,3,18,3,-0.2302772998809815,-0.935030996799469,0.0139423497021198],[11,14,6,4,-1,11,16,6,2,2,0.0257141403853893,-0.009146077558398247,0.7806320190429688],[5,14,6,4,-1,5,16,6,2,2,-0.000007372851086984156,0.0627309232950211,-0.2004217058420181],[12,13,6,4,-1,12,15,6,2,2,-0.0197578892111778,-0.2343472987413406,0.0146009000018239],[1,6,13,3,-1,1,7,13,1,3,-0.0041893101297318935,0.1497139930725098,-0.0693688690662384],[10,6,12,3,-1,10,7,12,1,3,0.0011314969742670655,-0.0692035928368568,0.1044744029641151],[1,8,6,4,-1,4,8,3,4,2,0.0063914088532328606,0.0561340302228928,-0.198627695441246],[14,12,6,6,-1,16,12,2,6,3,-0.0037047569639980793,0.0968172922730446,-0.0952822864055634],[2,12,6,6,-1,4,12,2,6,3,0.0306274592876434,-0.0500796400010586,0.2602388858795166],[7,15,12,3,-1,11,15,4,3,3,0.0324444398283958,0.0310999397188425,-0.2078860998153687],[1,12,8,5,-1,5,12,4,5,2,0.0116515597328544,-0.0583119504153728,0.2537410855293274],[14,5,6,8,-1,17,5,3,4,2,14,9,3,4,2,-0.0365152209997177,-0.2674919068813324,0.0205362495034933],[2,5,6,8,-1,2,5,3,4,2,5,9,3,4,2,0.0174746308475733,0.0474169813096523,-0.3371900916099548],[14,11,8,6,-1,18,11,4,3,2,14,14,4,3,2,-0.0015204170485958457,0.0589338093996048,-0.0958449468016624],[4,0,8,6,-1,4,0,4,3,2,8,3,4,3,2,0.0477611795067787,0.0108497003093362,-0.8663501739501953],[14,3,7,4,-1,14,3,7,2,2,-0.063569113612175,0.2585859894752502,-0.0181565806269646],[0,11,8,6,-1,0,11,4,3,2,4,14,4,3,2,-0.0017476839711889625,0.0757502466440201,-0.1429527997970581],[4,13,14,4,-1,4,15,14,2,2,-0.004676255863159895,-0.0912233963608742,0.1313527971506119],[5,3,9,8,-1,8,3,3,8,3,0.0222021006047726,-0.0533974505960941,0.2074397951364517],[5,0,15,8,-1,10,0,5,8,3,-0.2464735954999924,-0.456102192401886,0.00357778905890882],[2,0,15,8,-1,7,0,5,8,3,0.005014878232032061,0.0888718292117119,-0.1623649001121521],[14,0,6,11,-1,16,0,2,11,3,-0.0420239716768265,0.1280557960271835,-0.0119267599657178],[0,16,18,2,-1,6,16,6,2,3,-0.1089551970362663,-0.6646612286567688,0.015905549749732],[5,3,12,9,-1,9,6,4,3,9,-0.3667292892932892,0.3637480139732361,-0.0312062297016382],[8,3,4,7,-1,8,3,2,7,2,0.009588450193405151,0.0910735502839088,-0.1249236017465591],[10,3,6,8,-1,12,3,2,8,3,0.0016124530229717493,0.033751979470253,-0.0587492398917675],[6,3,6,8,-1,8,3,2,8,3,-0.0178824309259653,0.2099276930093765,-0.0632152333855629],[7,13,12,4,-1,7,15,12,2,2,-0.00006665501859970391,0.0550200305879116,-0.1790881007909775],[3,9,16,8,-1,3,9,8,4,2,11,13,8,4,2,-0.0109126102179289,-0.1787886023521423,0.0640889033675194],[9,0,13,3,-1,9,1,13,1,3,-0.0019031569827347994,0.1101256012916565,-0.0625764429569244],[4,0,4,12,-1,4,0,2,6,2,6,6,2,6,2,0.004732205998152494,0.0606118105351925,-0.1752125024795532],[1,11,20,4,-1,6,11,10,4,2,0.1795500069856644,-0.0264137107878923,0.514631986618042],[3,14,6,4,-1,6,14,3,4,2,-0.0018869279883801937,0.070732869207859,-0.1897756010293961],[10,6,12,3,-1,10,7,12,1,3,-0.003532242029905319,0.0958002880215645,-0.0492516607046127],[0,6,12,3,-1,0,7,12,1,3,0.001081840950064361,-0.0970824882388115,0.1409244984388351],[6,2,14,6,-1,6,4,14,2,3,-0.0954552590847015,-0.683765172958374,0.008818701840937138],[4,1,6,4,-1,4,1,6,2,2,0.0016179149970412254,-0.0951295793056488,0.1135148033499718],[1,0,21,18,-1,8,0,7,18,3,0.6554787755012512,0.009763598442077637,-0.5658118724822998],[5,0,14,2,-1,5,0,7,2,2,-0.0779737234115601,0.3557372987270355,-0.0331261307001114],[14,8,4,9,-1,14,11,4,3,3,0.0202090293169022,0.0393016114830971,-0.1358025074005127],[2,0,6,10,-1,4,0,2,10,3,0.0903235897421837,-0.0159329306334257,0.6940913200378418],[5,11,12,4,-1,11,11,6,2,2,5,13,6,2,2,-0.006204883102327585,-0.1703765988349915,0.0680906772613525],[8,5,4,6,-1,10,5,2,6,2,-0.0157372504472733,0.1625010967254639,-0.0665289387106895],[7,1,15,9,-1,12,4,5,3,9,-0.0353970415890217,-0.0897665470838547,0.0491357408463955],[0,1,15,9,-1,5,4,5,3,9,0.0328508615493774,0.0851581394672394,-0.1300231963396072],[5,0,12,16,-1,11,0,6,8,2,5,8,6,8,2,-0.0840240567922592,0.306584894657135,-0.0393136218190193],[8,10,6,5,-1,11,10,3,5,2,0.002134765964001417,0.0833869501948357,-0.1223948001861572],[10,4,8,9,-1,10,7,8,3,3,0.1792261004447937,0.0026004109531641006,-0.999890923500061],[4,4,8,9,-1,4,7,8,3,3,0.1185439005494118,0.0110983699560165,-0.8962950706481934],[8,3,12,3,-1,8,4,12,1,3,-0.0027351840399205685,0.1158913001418114,-0.0635892078280449],[0,3,13,3,-1,0,4,13,1,3,0.006609288044273853,-0.0794914290308952,0.1850122958421707],[10,1,12,3,-1,14,1,4,3,3,-0.0210720095783472,-0.1470849961042404,0.0260712802410126],[0,1,12,3,-1,4,1,4,3,3,0.0134116197004914,0.0486455895006657,-0.2204180061817169],[8,3,12,3,-1,8,4,12,1,3,-0.0206615403294563,0.2137404978275299,-0.0222432296723127],[8,4,6,4,-1,8,4,3,4,2,-0.1093925014138222,-0.7923508882522583,0.0119324997067451],[13,2,2,11,-1,13,2,1,11,2,0.0545732714235783,-0.008706408552825451,0.3822610974311829],[9,2,11,2,-1,9,2,11,1,2,-0.0278459899127483,0.4209634065628052,-0.0343008190393448],[11,1,3,16,-1,11,9,3,8,2,0.1497317999601364,0.005585744045674801,-0.7102707028388977],[7,1,4,9,-1,7,4,4,3,3,0.0545480214059353,0.0192897692322731,-0.5506185293197632],[12,4,4,8,-1,12,8,4,4,2,0.0054990737698972225,0.0436438918113709,-0.1223369985818863],[1,7,6,4,-1,1,9,6,2,2,0.0003598805924411863,-0.0950050204992294,0.1250164061784744],[12,4,4,8,-1,12,8,4,4,2,-0.0510030686855316,-0.3464818894863129,0.0141243999823928],[6,4,4,8,-1,6,8,4,4,2,-0.0593791306018829,0.6884043216705322,-0.0207809992134571],[19,3,3,12,-1,20,4,1,12,3,0.0689760372042656,0.008567813783884048,-0.6909855008125305],[3,3,12,3,-1,2,4,12,1,3,-0.004395483061671257,-0.1738288998603821,0.0691059902310371],[13,6,3,7,-1,14,7,1,7,3,0.013838030397892,-0.0293981190770864,0.1968578994274139],[8,12,6,4,-1,11,12,3,4,2,-0.007531697861850262,-0.3579084873199463,0.0396854504942894],[10,8,10,10,-1,15,8,5,5,2,10,13,5,5,2,-0.0882997065782547,-0.2377042025327683,0.003023232100531459],[2,8,10,10,-1,2,8,5,5,2,7,13,5,5,2,-0.0441387593746185,0.2654140889644623,-0.051865179091692]]],[22,-0.5688105821609497,[[1,11,20,3,-1,6,11,10,3,2,-0.0925825834274292,0.3618328869342804,-0.0782759636640549],[13,8,6,4,-1,13,8,3,4,2,-0.004814398009330034,-0.1268171966075897,0.0677237883210182],[4,11,8,4,-1,8,11,4,4,2,0.0323651283979416,-0.0460871085524559,0.326920211315155],[9,5,10,6,-1,9,5,5,6,2,-0.0170285701751709,0.0913064032793045,-0.1166059002280235],[4,8,6,9,-1,7,8,3,9,2,-0.1130862012505531,-0.7963135838508606,0.0584269911050797],[4,5,16,4,-1,4,5,8,4,2,-0.003563375910744071,-0.082610622048378,0.1016670018434525],[2,4,18,6,-1,8,6,6,2,9,-0.2410956025123596,0.2792722880840302,-0.0807449668645859],[11,1,2,11,-1,11,1,1,11,2,0.0225992891937494,0.0517445988953114,-0.288654088973999],[7,1,6,8,-1,7,1,3,4,2,10,5,3,4,2,0.0200022701174021,-0.0579623617231846,0.2904478907585144],[7,10,8,6,-1,9,10,4,6,2,-0.0019348099594935775,0.0988086834549904,-0.1236845999956131],[6,12,9,4,-1,9,12,3,4,3,-0.007575771771371365,-0.2007191032171249,0.0927412882447243],[10,12,9,4,-1,13,12,3,4,3,0.0333818197250366,-0.0345307588577271,0.3087649941444397],[8,0,10,8,-1,8,0,5,8,2,0.0474189817905426,-0.1356326937675476,0.1101675033569336],[9,6,12,4,-1,15,6,6,2,2,9,8,6,2,2,-0.00541731296107173,-0.1605008989572525,0.0726122930645943],[4,9,14,5,-1,11,9,7,5,2,-0.009694255888462067,-0.1637648940086365,0.0844264701008797],[14,6,6,6,-1,12,8,6,2,3,-0.0606321692466736,0.1647441983222961,-0.0269814003258944],[6,4,6,7,-1,8,4,2,7,3,0.005030286032706499,-0.1099682971835136,0.1348073035478592],[14,9,6,6,-1,14,12,6,3,2,-0.0877922028303146,-0.6831796765327454,0.0108346100896597],[2,9,6,6,-1,2,12,6,3,2,0.0303904097527266,-0.0424505695700645,0.3077059984207153],[13,8,4,8,-1,13,8,2,8,2,-0.0515663400292397,-0.6284000873565674,0.009706983342766762],[5,8,4,9,-1,7,8,2,9,2,-0.000424469995778054,0.084595613181591,-0.1807512938976288],[2,4,18,12,-1,8,8,6,4,9,-0.1213535964488983,-0.127174898982048,0.0965750589966774],[3,5,10,6,-1,8,5,5,6,2,-0.0151505600661039,0.0930375531315804,-0.1312790066003799],[6,0,12,8,-1,6,0,6,8,2,0.039446409791708,0.0255436394363642,-0.1146064028143883],[0,11,8,7,-1,2,11,4,7,2,-0.008246547542512417,0.2400871068239212,-0.0516802482306957],[15,11,6,7,-1,17,11,2,7,3,0.0352623611688614,-0.0335550494492054,0.2057549953460693],[3,16,14,2,-1,3,17,14,1,2,0.0117030600085855,0.0235292501747608,-0.4998390078544617],[9,15,13,3,-1,9,16,13,1,3,0.0429699681699276,-0.012683330103755,0.5404338836669922],[0,15,13,3,-1,0,16,13,1,3,-0.0158117990940809,0.3956415057182312,-0.0355683900415897],[5,13,12,3,-1,5,14,12,1,3,0.004625335801392794,0.0523705407977104,-0.2298993021249771],[0,14,14,3,-1,0,15,14,1,3,-0.0015898230485618114,0.1379200965166092,-0.086783193051815],[13,5,6,6,-1,15,5,2,6,3,0.0006232908926904202,-0.0866438299417496,0.0577100291848183],[3,5,6,6,-1,5,5,2,6,3,0.007099492941051722,0.0757976174354553,-0.1689887046813965],[2,3,20,4,-1,7,3,10,4,2,0.0696087777614594,-0.0124546997249126,0.2084520012140274],[4,13,12,2,-1,4,14,12,1,2,-0.0187595207244158,-0.5500862002372742,0.0210402794182301],[9,6,9,6,-1,12,6,3,6,3,0.0465137884020805,-0.0259040091186762,0.1832201927900314],[8,5,6,7,-1,10,5,2,7,3,0.0216385796666145,-0.0388739109039307,0.2991969883441925],[15,0,3,10,-1,16,1,1,10,3,-0.0767725706100464,-1,0.0039020550902932882],[7,0,10,3,-1,6,1,10,1,3,0.0405355282127857,0.0188806802034378,-0.6603388786315918],[11,4,8,6,-1,15,4,4,3,2,11,7,4,3,2,0.040338758379221,0.009287740103900433,-0.3442203104496002],[7,0,12,3,-1,6,1,12,1,3,0.0434042401611805,-0.0221117790788412,0.5122771263122559],[19,4,3,11,-1,20,5,1,11,3,0.01689513027668,0.0300584807991982,-0.1864860057830811],[1,11,6,7,-1,3,11,2,7,3,0.0030269259586930275,-0.1397909969091415,0.0875445604324341],[7,4,15,14,-1,7,11,15,7,2,-0.3717184066772461,-0.2967667877674103,0.0162415504455566],[3,4,11,3,-1,2,5,11,1,3,-0.0257987398654222,-0.4371350109577179,0.0267681498080492],[14,6,3,8,-1,15,7,1,8,3,-0.00908266007900238,0.0995484963059425,-0.038500539958477],[3,0,3,18,-1,4,0,1,18,3,-0.001797717995941639,0.1381019949913025,-0.0753872320055962],[14,3,8,4,-1,14,3,8,2,2,0.1243569999933243,0.004606402944773436,-0.3690980076789856],[8,3,4,8,-1,8,3,2,8,2,-0.0129014896228909,-0.2043330073356628,0.0531336106359959],[18,2,4,12,-1,15,5,4,6,2,-0.0133520998060703,-0.1051217019557953,0.0597462393343449],[2,9,17,3,-1,2,10,17,1,3,-0.0306505206972361,0.3436650037765503,-0.0396178103983402],[7,9,14,3,-1,7,10,14,1,3,0.0020778391044586897,-0.05075528845191,0.0729307532310486],[8,2,6,8,-1,8,2,3,4,2,11,6,3,4,2,-0.0611611790955067,0.7837166786193848,-0.0139401303604245],[11,4,8,6,-1,15,4,4,3,2,11,7,4,3,2,-0.0666819736361504,-0.6701030731201172,0.0042770858854055405],[3,4,8,6,-1,3,4,4,3,2,7,7,4,3,2,0.02735985070467,0.0242531802505255,-0.4267185926437378],[3,1,18,3,-1,3,2,18,1,3,-0.0024731201119720936,0.096493236720562,-0.0574338398873806],[0,9,8,3,-1,4,9,4,3,2,-0.0107214897871017,-0.2157561033964157,0.0442569702863693],[13,2,9,10,-1,13,7,9,5,2,-0.1393698006868362,-0.3637753129005432,0.0100051397457719],[1,2,8,12,-1,1,2,4,6,2,5,8,4,6,2,-0.0568677112460136,0.3032726943492889,-0.0372307896614075],[12,5,8,6,-1,16,5,4,3,2,12,8,4,3,2,-0.0657765120267868,-1,0.0012443619780242443],[1,0,17,3,-1,1,1,17,1,3,-0.0015500129666179419,0.128985807299614,-0.0855282470583916],[4,0,15,2,-1,4,1,15,1,2,0.0008790955180302262,-0.0799063816666603,0.1284713000059128],[5,0,12,4,-1,5,2,12,2,2,0.0029614660888910294,0.089433841407299,-0.17047980427742],[7,4,15,14,-1,7,11,15,7,2,-0.5073503851890564,-0.8419762849807739,0.002359210979193449],[8,2,9,2,-1,8,2,9,1,2,0.0354092009365559,0.0171374902129173,-0.5905207991600037],[16,0,2,13,-1,16,0,1,13,2,-0.046220239251852,0.4738368988037109,-0.0114230895414948],[6,0,13,2,-1,6,0,13,1,2,0.0408750995993614,-0.0267140790820122,0.421398788690567],[12,7,2,9,-1,12,7,1,9,2,-0.0576518103480339,0.5602129101753235,-0.009575729258358479],[10,7,9,2,-1,10,7,9,1,2,0.0033733060117810965,0.0723236203193665,-0.1551048010587692],[9,0,11,10,-1,9,5,11,5,2,-0.3409616053104401,-1,-0.00031605950789526105],[8,5,9,2,-1,8,5,9,1,2,-0.005585051141679287,-0.1576807051897049,0.0736257433891296],[13,2,9,10,-1,13,7,9,5,2,-0.1106723994016647,0.2364044040441513,-0.0126707796007395],[0,2,9,10,-1,0,7,9,5,2,0.0432464107871056,-0.0493464209139347,0.301131010055542],[17,2,3,8,-1,17,6,3,4,2,-0.005891649983823299,-0.1472765058279038,0.0613457001745701],[2,2,3,8,-1,2,6,3,4,2,-0.000028674090572167188,0.1153924018144608,-0.1469265073537827],[4,4,18,4,-1,13,4,9,2,2,4,6,9,2,2,0.0261749103665352,-0.0229605808854103,0.2100441008806229],[0,4,18,4,-1,0,4,9,2,2,9,6,9,2,2,-0.0019902619533240795,0.0972506329417229,-0.1324492990970612],[4,1,14,4,-1,11,1,7,2,2,4,3,7,2,2,-0.0169608406722546,-0.3194906115531921,0.0361882895231247],[0,0,21,8,-1,7,0,7,8,3,-0.156347393989563,0.3193452954292297,-0.0419170707464218],[5,0,14,18,-1,12,0,7,9,2,5,9,7,9,2,-0.2386395037174225,0.3818357884883881,-0.008656753227114677],[1,11,16,4,-1,5,11,8,4,2,-0.0776415020227432,-0.3315665125846863,0.0334911495447159],[6,9,10,6,-1,6,11,10,2,3,-0.0452578999102116,0.4605852961540222,-0.0313548594713211],[5,10,12,4,-1,5,11,12,2,2,-0.0333907902240753,-0.729747474193573,0.0162069909274578],[15,4,6,6,-1,15,4,3,6,2,0.0730794668197632,-0.0192014500498772,0.3401190936565399],[7,4,6,6,-1,7,4,6,3,2,-0.0545362308621407,0.3322716057300568,-0.0331634283065796],[12,5,8,6,-1,16,5,4,3,2,12,8,4,3,2,0.0395526885986328,0.0118175595998764,-0.321317195892334],[5,5,8,4,-1,5,5,8,2,2,0.0005916013033129275,-0.1176635026931763,0.0880023613572121],[17,6,3,12,-1,17,10,3,4,3,0.0353797301650047,0.0182861909270287,-0.1620689034461975],[5,7,9,2,-1,5,7,9,1,2,0.0201524905860424,0.0228259395807981,-0.4303478896617889],[14,6,3,8,-1,15,7,1,8,3,-0.029185289517045,0.1825695931911469,-0.0163763090968132],[5,7,12,2,-1,5,8,12,1,2,-0.0217057801783085,-0.6697772145271301,0.0167823601514101],[4,5,18,3,-1,4,6,18,1,3,0.0425842702388763,-0.0168524999171495,0.3436039984226227],[1,6,15,9,-1,6,6,5,9,3,-0.1266373991966248,0.2674858868122101,-0.0361077897250652],[19,4,3,10,-1,19,4,3,5,2,0.1426007002592087,0.0144452704116702,-0.1972950994968414],[0,12,18,6,-1,0,15,18,3,2,0.0535609312355518,0.0173247996717691,-0.5960922241210938],[6,13,13,4,-1,6,15,13,2,2,-0.005938095971941948,-0.0651562735438347,0.0596456006169319],[3,5,8,9,-1,3,8,8,3,3,-0.006649732124060392,0.1427001953125,-0.0796698182821274],[6,8,10,8,-1,6,10,10,4,2,-0.0030137640424072742,0.1399628967046738,-0.094831757247448],[4,6,13,6,-1,4,9,13,3,2,-0.017213050276041,-0.1726574003696442,0.0694516524672508],[14,3,2,12,-1,14,3,2,6,2,0.1077570989727974,-0.004675754811614752,0.9216187000274658],[8,3,12,2,-1,8,3,6,2,2,0.0587385408580303,-0.0424589812755585,0.2883234918117523],[13,1,5,12,-1,13,1,5,6,2,-0.3047547936439514,-1,0.00002691848021640908],[9,1,12,5,-1,9,1,6,5,2,0.2039577960968018,0.0253179892897606,-0.5027515888214111],[8,12,8,3,-1,8,12,4,3,2,-0.009779428131878376,-0.1906087994575501,0.030577139928937],[5,12,12,4,-1,8,12,6,4,2,-0.022775499150157,0.2704837024211884,-0.0510012097656727],[13,8,6,4,-1,13,8,3,4,2,0.009808037430047989,0.0241802502423525,-0.0750008374452591],[9,8,4,6,-1,9,8,4,3,2,-0.0111309699714184,-0.238257497549057,0.0643887221813202]]],[23,-0.658242404460907,[[1,7,20,11,-1,6,7,10,11,2,-0.2138068974018097,0.2768664062023163,-0.092777818441391],[10,13,12,3,-1,10,14,12,1,3,-0.0033374479971826077,0.141192302107811,-0.0519071593880653],[1,10,6,4,-1,4,10,3,4,2,-0.0287385508418083,-0.3624325096607208,0.0319380201399326],[15,10,6,4,-1,15,10,3,4,2,-0.0035554158966988325,0.1196912005543709,-0.0523067489266396],[0,13,12,3,-1,0,14,12,1,3,-0.0107324598357081,0.2860266864299774,-0.0605550594627857],[4,10,14,8,-1,4,14,14,4,2,0.0873102396726608,-0.0336133912205696,0.4778678119182587],[5,14,12,4,-1,5,15,12,2,2,0.0021971999667584896,0.0602079704403877,-0.2154375016689301],[5,16,12,2,-1,5,17,12,1,2,-0.00007430274854414165,0.1414128988981247,-0.1271156072616577],[1,0,20,12,-1,6,0,10,12,2,-0.2931401133537293,-0.5559828877449036,0.00781057495623827],[7,12,15,5,-1,12,12,5,5,3,0.0779965370893478,-0.0202381405979395,0.2223376929759979],[6,0,15,2,-1,6,0,15,1,2,0.004973357077687979,-0.1541032940149307,0.0988745167851448],[6,5,12,8,-1,12,5,6,4,2,6,9,6,4,2,-0.0622326508164406,-0.2525390982627869,0.0258643291890621],[4,5,12,8,-1,4,5,6,4,2,10,9,6,4,2,-0.007475054822862148,-0.1907179057598114,0.0845282003283501],[6,2,16,6,-1,14,2,8,3,2,6,5,8,3,2,0.0222460106015205,-0.0310246292501688,0.1528923958539963],[1,2,16,14,-1,1,2,8,7,2,9,9,8,7,2,-0.0123052597045898,0.1169324964284897,-0.1109255999326706],[11,14,6,4,-1,11,14,3,4,2,-0.0013985290424898267,-0.2043567001819611,0.0875922590494156],[3,8,12,9,-1,7,11,4,3,9,0.3636125028133392,-0.0187503192573786,0.8505452871322632],[8,3,14,4,-1,15,3,7,2,2,8,5,7,2,2,-0.003881573909893632,0.0806438773870468,-0.1052099987864494],[9,0,6,8,-1,11,2,2,8,3,-0.052500631660223,0.3800252079963684,-0.0360490791499615],[12,13,6,4,-1,12,15,6,2,2,-0.0007960231159813702,0.0337949693202972,-0.0756038799881935],[4,13,6,4,-1,4,15,6,2,2,-0.0200660899281502,-0.4384298920631409,0.0333891995251179],[6,16,16,2,-1,6,17,16,1,2,-0.0024233239237219095,-0.0930052474141121,0.0497728288173676],[0,3,12,3,-1,0,4,12,1,3,-0.006873742211610079,0.2037483006715775,-0.0581658482551575],[8,3,14,3,-1,8,4,14,1,3,0.0065535600297153,-0.0702933967113495,0.1440014988183975],[6,2,3,16,-1,6,6,3,8,2,-0.0167806800454855,-0.3222652077674866,0.0437172502279282],[5,2,14,14,-1,12,2,7,7,2,5,9,7,7,2,0.0254480708390474,0.0434619188308716,-0.1537698954343796],[5,8,3,8,-1,5,12,3,4,2,0.003465656889602542,-0.0631199926137924,0.2139452993869782],[14,7,7,4,-1,14,7,7,2,2,0.1013225018978119,-0.0170958302915096,0.1885329931974411],[4,6,12,9,-1,8,9,4,3,9,0.1071430966258049,0.0354068912565708,-0.348690390586853],[7,11,15,6,-1,12,11,5,6,3,-0.0145009998232126,0.0379035808146,-0.0491692088544369],[0,11,15,6,-1,5,11,5,6,3,-0.1535475999116898,0.3504832088947296,-0.0327740088105202],[15,7,6,8,-1,18,7,3,4,2,15,11,3,4,2,-0.0651375874876976,-0.4138002097606659,0.007313762791454792],[0,7,22,10,-1,0,7,11,5,2,11,12,11,5,2,-0.002920483937487006,-0.1375668048858643,0.0907953903079033],[1,8,20,8,-1,6,8,10,8,2,-0.3410457074642181,-0.6725202798843384,0.0152002302929759],[2,5,7,6,-1,2,7,7,2,3,-0.00004447825995157473,0.096579946577549,-0.1040342003107071],[7,2,15,8,-1,7,4,15,4,2,-0.1117222979664803,-0.4223442077636719,0.0049457307904958725],[3,1,14,8,-1,3,3,14,4,2,0.0020429869182407856,0.09947469830513,-0.103845402598381],[9,2,13,2,-1,9,3,13,1,2,-0.007257130928337574,-0.1504963040351868,0.0297248400747776],[8,3,6,8,-1,10,3,2,8,3,-0.008445117622613907,0.0956485792994499,-0.1180536970496178],[7,1,15,2,-1,7,2,15,1,2,-0.0301949698477983,0.4657062888145447,-0.0143868997693062],[0,1,15,2,-1,0,2,15,1,2,0.0005742391804233193,-0.1038231030106545,0.15052829682827],[6,0,12,3,-1,6,1,12,1,3,0.0008201461168937385,-0.0751325264573097,0.1036375984549522],[4,0,9,4,-1,7,0,3,4,3,0.007074818015098572,0.0660621672868729,-0.1763841956853867],[12,3,8,3,-1,12,3,4,3,2,0.0483046695590019,-0.0177676603198051,0.2682015895843506],[8,12,6,4,-1,11,12,3,4,2,0.007904181256890297,0.0515227392315865,-0.2063236981630325],[12,1,10,4,-1,12,1,5,4,2,0.0847054868936539,0.007225038018077612,-0.5951473712921143],[0,1,10,4,-1,5,1,5,4,2,0.00039120440487749875,-0.1066353023052216,0.1110381036996841],[16,13,6,5,-1,16,13,3,5,2,0.0159593205899,-0.0485736913979054,0.2583200931549072],[0,13,6,5,-1,3,13,3,5,2,-0.0018649259582161903,0.1155126988887787,-0.1504859030246735],[18,11,4,7,-1,18,11,2,7,2,0.0127279795706272,0.0479302406311035,-0.3031023144721985],[0,11,4,7,-1,2,11,2,7,2,-0.0015954229747876525,-0.1553757041692734,0.0832148864865303],[15,0,6,14,-1,17,0,2,14,3,0.2023489028215408,0.001162586035206914,-1.000020980834961],[1,0,6,14,-1,3,0,2,14,3,-0.0391968712210655,0.3088454902172089,-0.0445240214467049],[13,0,4,14,-1,15,0,2,7,2,13,7,2,7,2,0.0158106405287981,-0.015927329659462,0.1014444977045059],[5,0,4,14,-1,5,0,2,7,2,7,7,2,7,2,-0.0021568681113421917,0.0952053815126419,-0.1291096061468124],[13,2,6,4,-1,13,2,3,4,2,-0.0346043594181538,0.2784355878829956,-0.0107750603929162],[1,7,12,4,-1,1,7,6,2,2,7,9,6,2,2,-0.0026206790935248137,-0.1374453008174896,0.0929454565048218],[4,13,18,3,-1,4,14,18,1,3,0.004669282119721174,-0.0583318211138248,0.1573383957147598],[2,6,2,12,-1,2,12,2,6,2,0.0786235332489014,0.0111308302730322,-0.9713814854621887],[4,11,16,4,-1,12,11,8,2,2,4,13,8,2,2,0.0395567305386066,0.0021708509884774685,-0.4342544972896576],[2,11,16,4,-1,2,11,8,2,2,10,13,8,2,2,0.0040571438148617744,0.086120717227459,-0.1557939946651459],[10,12,12,4,-1,16,12,6,2,2,10,14,6,2,2,-0.0150146698579192,0.1352397948503494,-0.0257240198552608],[0,12,12,4,-1,0,12,6,2,2,6,14,6,2,2,0.0004618325037881732,-0.107668898999691,0.1363386958837509],[12,12,10,6,-1,17,12,5,3,2,12,15,5,3,2,0.0528752095997334,0.005455574952065945,-0.3938291072845459],[0,10,10,8,-1,0,10,5,4,2,5,14,5,4,2,-0.0595108605921268,0.2869082093238831,-0.0428760796785355],[8,0,7,4,-1,8,2,7,2,2,0.0166503600776196,0.0286052990704775,-0.3034949004650116],[0,3,14,3,-1,0,4,14,1,3,0.014959629625082,-0.0526990294456482,0.2182525992393494],[15,1,6,8,-1,18,1,3,4,2,15,5,3,4,2,-0.009622426703572273,-0.2143145054578781,0.048350628465414],[2,3,7,4,-1,2,5,7,2,2,-0.0453042611479759,-0.8730847835540771,0.0124497702345252],[13,2,6,4,-1,13,2,3,4,2,-0.00744652422145009,-0.1358620971441269,0.033087320625782],[3,2,6,4,-1,6,2,3,4,2,-0.0011953880311921239,0.1484857052564621,-0.0852916464209557],[5,1,16,4,-1,5,2,16,2,2,0.0056622507981956005,-0.0532124489545822,0.1296795010566711],[4,15,13,3,-1,4,16,13,1,3,0.0139713604003191,0.0253388304263353,-0.4209741055965424],[12,6,3,12,-1,13,6,1,12,3,-0.004521621856838465,0.1262152940034866,-0.0631354302167892],[0,16,16,2,-1,8,16,8,2,2,0.004777615889906883,-0.0628999173641205,0.1772444993257523],[3,2,16,10,-1,3,7,16,5,2,-0.0058305878192186356,0.0879060029983521,-0.1555338054895401],[7,1,12,4,-1,10,4,6,4,2,-0.0158792808651924,-0.1269443035125732,0.102802999317646],[14,1,2,9,-1,14,1,1,9,2,0.0019526369869709015,-0.0768034532666206,0.0472977496683598],[4,10,3,8,-1,4,14,3,4,2,0.0245216507464647,-0.0277146808803082,0.4035046994686127],[11,12,6,6,-1,11,14,6,2,3,-0.0845293998718262,1,-0.0021367999725043774],[5,12,6,6,-1,5,14,6,2,3,0.0016844070050865412,0.0740434005856514,-0.1633481979370117],[12,6,3,12,-1,13,6,1,12,3,0.0133990598842502,-0.0424531809985638,0.2416412979364395],[10,6,8,3,-1,9,7,8,1,3,0.0441826395690441,0.0180395692586899,-0.643968403339386],[12,6,3,12,-1,13,6,1,12,3,0.0383272394537926,0.007584923878312111,-0.3653421103954315],[7,6,3,12,-1,8,6,1,12,3,0.0025997089687734842,-0.0885534808039665,0.1376366019248962],[14,1,2,9,-1,14,1,1,9,2,0.0107754804193974,0.0457531698048115,-0.1195600032806397],[11,4,10,3,-1,10,5,10,1,3,-0.0204336494207382,0.220201700925827,-0.0519258417189121],[8,11,9,4,-1,11,11,3,4,3,-0.1240272969007492,0.8884658217430115,-0.005123448092490435],[7,5,2,12,-1,8,5,1,12,2,0.004783847834914923,0.0530470311641693,-0.2108590006828308],[13,1,3,16,-1,14,1,1,16,3,-0.0458953492343426,0.4448269009590149,-0.0151171199977398],[7,4,6,6,-1,9,4,2,6,3,0.0144737903028727,-0.0452014096081257,0.2355625033378601],[10,4,2,12,-1,10,4,1,12,2,0.0018887920305132866,0.0764433816075325,-0.1638537049293518],[0,0,18,5,-1,9,0,9,5,2,-0.1908206939697266,0.6466202139854431,-0.0182426199316978],[16,3,2,12,-1,16,3,1,12,2,0.0721584632992744,0.00628364784643054,-0.7482234835624695],[6,3,12,2,-1,6,3,12,1,2,0.0009780294494703412,0.0790631026029587,-0.1316365003585815],[13,6,4,7,-1,14,7,2,7,2,0.0004860225017182529,-0.0425949096679688,0.0694627612829208],[7,3,13,2,-1,7,3,13,1,2,-0.0108828004449606,-0.2450307011604309,0.0523261614143848],[5,14,17,4,-1,5,15,17,2,2,0.00011573769734241068,-0.0667293071746826,0.0870889127254486],[0,13,18,3,-1,0,14,18,1,3,0.0020960739348083735,-0.0761545673012733,0.1359816938638687],[6,13,14,3,-1,6,14,14,1,3,0.04366435110569,0.008481215685606003,-0.8109716773033142],[2,13,14,3,-1,2,14,14,1,3,-0.0011464370181784034,0.1272123008966446,-0.0847834199666977],[5,13,12,2,-1,5,14,12,1,2,-0.005561354104429483,-0.1972253024578095,0.0544110685586929],[0,5,4,8,-1,0,9,4,4,2,0.0340838506817818,-0.0323385484516621,0.3406228125095367],[15,7,6,8,-1,18,7,3,4,2,15,11,3,4,2,0.051227081567049,-0.0132620399817824,0.2395363003015518],[9,2,4,7,-1,11,2,2,7,2,0.033531729131937,0.0202799197286367,-0.4833905100822449],[8,4,14,3,-1,8,5,14,1,3,0.0153962196782231,-0.0293201897293329,0.1586609929800034],[0,4,12,3,-1,0,5,12,1,3,-0.0175507701933384,0.2748897075653076,-0.0377983190119267],[13,2,4,9,-1,13,5,4,3,3,-0.0757056474685669,-0.8221439719200134,0.0038814740255475044],[5,2,4,9,-1,5,5,4,3,3,-0.005347535014152527,-0.1671075969934464,0.0771806165575981],[12,6,6,4,-1,12,8,6,2,2,-0.003343527903780341,-0.1067349016666412,0.0475754700601101],[5,5,12,3,-1,11,5,6,3,2,0.0193282701075077,-0.0465632900595665,0.2471656054258347],[7,1,8,12,-1,7,4,8,6,2,0.0853689834475517,0.0232969205826521,-0.5000224709510803],[9,3,6,7,-1,11,5,2,7,3,0.0025927850510925055,-0.1118225008249283,0.1104608997702599],[12,1,9,6,-1,10,3,9,2,3,-0.009106123819947243,0.0471070110797882,-0.0558076612651348],[11,7,8,3,-1,11,7,4,3,2,0.1017069965600967,-0.015966609120369,0.6985731720924377],[14,1,2,9,-1,14,1,1,9,2,0.0228549800813198,-0.0172262191772461,0.1222568973898888],[1,7,6,8,-1,1,7,3,4,2,4,11,3,4,2,-0.0165770798921585,-0.2222582995891571,0.0565783008933067],[11,0,4,6,-1,11,0,2,6,2,-0.0236414205282927,-0.2773405015468597,0.0160768907517195],[7,0,4,6,-1,9,0,2,6,2,0.005638523027300835,0.0454392805695534,-0.225496307015419],[0,7,22,4,-1,11,7,11,2,2,0,9,11,2,2,0.00574220297858119,-0.0785687789320946,0.1523496061563492],[3,5,4,8,-1,3,9,4,4,2,-0.00043363519944250584,0.0959209501743317,-0.1127424016594887],[5,4,12,3,-1,9,4,4,3,3,0.0102679198607802,-0.0493329912424088,0.248108297586441],[10,2,12,3,-1,10,2,6,3,2,0.0138657195493579,0.0705479383468628,-0.1859433054924011]]],[24,-30.6205997467041,[[5,2,6,16,-1,5,10,6,8,2,-0.0469806306064129,0.1707855015993118,-0.1568731069564819],[12,6,8,4,-1,12,6,8,2,2,-0.1196796000003815,0.5173841714859009,-0.0117475902661681],[3,12,6,6,-1,5,12,2,6,3,-0.0284771807491779,0.2350520044565201,-0.0574244111776352],[12,1,3,12,-1,12,1,3,6,2,0.1969747990369797,-0.0009312382899224758,1.0037239789962769],[10,1,12,3,-1,10,1,6,3,2,0.007903908379375935,0.083357498049736,-0.1652749925851822],[4,8,16,4,-1,8,8,8,4,2,0.0393389798700809,-0.0006560587207786739,0.3236146867275238],[6,10,4,6,-1,8,10,2,6,2,-0.0015762429684400558,0.0911294668912888,-0.141643300652504],[7,14,9,4,-1,10,14,3,4,3,0.00020851049339398742,-0.1380268037319183,0.0772129893302917],[8,10,4,7,-1,10,10,2,7,2,-0.00026843539671972394,0.1364672034978867,-0.0942557528614998],[12,12,4,6,-1,12,12,2,6,2,0.008850638754665852,0.024603420868516,-0.1688468009233475],[6,12,4,6,-1,8,12,2,6,2,-0.0008481392287649214,-0.139724001288414,0.1156672984361649],[9,12,4,6,-1,9,15,4,3,2,-0.00003709015072672628,0.0752842724323273,-0.1770814955234528],[5,12,6,6,-1,7,12,2,6,3,-0.0215339101850986,0.2023303061723709,-0.0669784769415855],[6,2,11,16,-1,6,6,11,8,2,0.0117136603221297,0.086853489279747,-0.1125181019306183],[11,2,6,2,-1,11,2,6,1,2,-0.009836563840508461,0.3016479015350342,-0.050179660320282],[10,1,6,8,-1,13,1,3,4,2,10,5,3,4,2,-0.006210499908775091,0.0682242289185524,-0.0944418236613274],[5,2,12,2,-1,11,2,6,2,2,-0.0200343001633883,-0.2865754961967468,0.0457285009324551],[10,13,8,3,-1,10,13,4,3,2,-0.00022154829639475793,0.0716037601232529,-0.0871150493621826],[5,0,12,6,-1,11,0,6,6,2,-0.005243611987680197,0.1343950033187866,-0.090288907289505],[10,7,12,3,-1,10,8,12,1,3,-0.01171122957021,0.1487469971179962,-0.0259517803788185],[0,7,12,3,-1,0,8,12,1,3,0.005858792923390865,-0.0669820234179497,0.1809632927179337],[20,0,2,18,-1,20,9,2,9,2,0.1043256968259811,0.0102093303576112,-0.7954081296920776],[0,0,2,18,-1,0,9,2,9,2,-0.0170491300523281,-0.2051631063222885,0.0644709914922714],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0.0258776992559433,-0.0300797205418348,0.1604197025299072],[1,5,6,10,-1,1,10,6,5,2,-0.004063733853399754,0.1087096035480499,-0.1166540011763573],[16,1,4,12,-1,16,5,4,4,3,-0.0192867200821638,-0.1250395029783249,0.0280551891773939],[2,1,4,12,-1,2,5,4,4,3,-0.000007213030130515108,0.1184526011347771,-0.1236701980233192],[3,12,16,4,-1,11,12,8,2,2,3,14,8,2,2,-0.0026098350062966347,-0.14498670399189,0.0823187604546547],[0,2,12,2,-1,0,3,12,1,2,0.000323037791531533,-0.0958554968237877,0.1199266016483307],[6,2,13,3,-1,6,3,13,1,3,-0.0011308960383757949,0.1288295984268189,-0.0826974734663963],[1,0,10,6,-1,1,0,5,3,2,6,3,5,3,2,0.0171764697879553,0.0360246598720551,-0.308738112449646],[9,11,12,5,-1,13,11,4,5,3,-0.0105153303593397,0.0963303372263908,-0.1078578010201454],[2,6,6,12,-1,2,6,3,6,2,5,12,3,6,2,0.0505835004150867,-0.0347158014774323,0.4513450860977173],[9,12,8,6,-1,13,12,4,3,2,9,15,4,3,2,0.0008758293115533888,-0.0956771522760391,0.073631688952446],[1,7,6,8,-1,1,7,3,4,2,4,11,3,4,2,-0.0319572202861309,-0.3147349059581757,0.0363292805850506],[14,6,3,8,-1,15,7,1,8,3,0.0005986333126202226,-0.0426766909658909,0.0543428994715214],[2,14,12,4,-1,6,14,4,4,3,-0.006627094931900501,0.0735109224915504,-0.1730908006429672],[14,4,2,11,-1,14,4,1,11,2,-0.0731865167617798,0.6877769231796265,-0.005678114946931601],[8,6,8,3,-1,7,7,8,1,3,0.0202908404171467,-0.0407205410301685,0.3045086860656738],[6,12,12,3,-1,6,13,12,1,3,-0.0030989840161055326,-0.1278737038373947,0.054329689592123],[2,3,18,3,-1,2,4,18,1,3,-0.001125885988585651,0.1198007985949516,-0.0834772363305092],[11,6,9,9,-1,14,6,3,9,3,0.0003999304899480194,-0.0954270735383034,0.0769529119133949],[3,13,11,4,-1,3,15,11,2,2,0.0112025402486324,0.0251253098249435,-0.4031470119953156],[17,5,4,6,-1,17,5,2,6,2,-0.0217539705336094,-0.2304240018129349,0.0153385195881128],[1,5,4,6,-1,3,5,2,6,2,0.0000769124599173665,-0.0955814868211746,0.1038817018270493],[6,0,16,3,-1,10,0,8,3,2,0.0910115391016006,-0.008716830052435398,0.7559375166893005],[8,6,3,12,-1,9,6,1,12,3,-0.004316078964620829,0.1349443942308426,-0.0701520964503288],[14,2,2,8,-1,14,2,1,8,2,-0.0505811907351017,-0.6611269116401672,0.002267640084028244],[9,0,12,3,-1,9,0,6,3,2,-0.00839260034263134,-0.1288360953330994,0.0779204815626144],[6,0,16,3,-1,10,0,8,3,2,0.0550406612455845,0.007785378955304623,-0.2782005071640015],[0,0,16,3,-1,4,0,8,3,2,-0.0418625511229038,0.4333544969558716,-0.0291946399956942],[8,12,14,3,-1,8,13,14,1,3,-0.0074230520986020565,0.1315450072288513,-0.0320475101470947],[8,4,11,2,-1,8,4,11,1,2,0.0019948489498347044,0.0832996889948845,-0.1166255995631218],[2,5,20,13,-1,2,5,10,13,2,0.0418514311313629,0.041461169719696,-0.1281515955924988],[0,2,18,9,-1,6,5,6,3,9,0.2784438133239746,-0.0226128101348877,0.5223631858825684],[10,13,12,3,-1,10,14,12,1,3,-0.0071095931343734264,0.1290251016616821,-0.0279447995126247],[8,11,6,7,-1,10,11,2,7,3,0.0111756101250649,0.0513666607439518,-0.1955953985452652],[5,6,12,11,-1,9,6,4,11,3,-0.0103642102330923,-0.0726313814520836,0.1519950926303864],[3,6,6,6,-1,5,6,2,6,3,-0.00940943043678999,-0.2099336981773377,0.053346861153841],[13,4,6,13,-1,15,4,2,13,3,-0.1037501022219658,-0.3369319140911102,0.003944201860576868],[3,4,6,13,-1,5,4,2,13,3,-0.0009597762837074697,0.1030761003494263,-0.1057410016655922],[5,10,12,3,-1,9,10,4,3,3,-0.0558168105781078,0.2607400119304657,-0.0448851808905602],[5,8,12,6,-1,8,8,6,6,2,-0.134309396147728,-0.8166074752807617,0.0154108600690961],[14,2,2,8,-1,14,2,1,8,2,0.0604569502174854,-0.0030265029054135084,-0.9999178051948547],[8,2,8,2,-1,8,2,8,1,2,0.0243590790778399,0.0241913106292486,-0.466321587562561],[8,6,9,5,-1,11,6,3,5,3,0.0527357794344425,-0.0242667607963085,0.2146047949790955],[0,3,14,4,-1,0,3,7,2,2,7,5,7,2,2,-0.005562603939324617,0.1087993979454041,-0.1212090998888016],[12,1,3,8,-1,13,2,1,8,3,0.0908552631735802,0.0001095690022339113,-0.999757707118988],[10,1,8,3,-1,9,2,8,1,3,-0.0346811898052692,-0.4540998041629791,0.0236911494284868],[14,3,6,6,-1,14,5,6,2,3,-0.000029579090551123954,0.0480313189327717,-0.0498729683458805],[4,1,6,10,-1,4,1,3,5,2,7,6,3,5,2,0.0262771304696798,-0.0294567607343197,0.3397437036037445],[18,1,3,13,-1,19,1,1,13,3,-0.0462760217487812,0.4549660980701447,-0.0103595796972513],[1,1,3,13,-1,2,1,1,13,3,0.00012048200005665421,-0.1057519987225533,0.1009673029184341],[11,1,2,8,-1,11,1,1,8,2,0.006815439090132713,0.0284956097602844,-0.0997650697827339],[11,1,8,2,-1,11,1,8,1,2,0.0016169620212167501,-0.1325616985559464,0.0878289788961411],[8,4,6,6,-1,8,6,6,2,3,0.0145633798092604,-0.0430799014866352,0.251132607460022],[5,4,7,6,-1,5,6,7,2,3,0.0203529093414545,0.0394636392593384,-0.3251897096633911],[9,11,13,3,-1,9,12,13,1,3,-0.0207892693579197,0.1899335980415344,-0.021271999925375],[0,11,13,3,-1,0,12,13,1,3,0.0317801013588905,-0.0237682200968266,0.4395782947540283],[12,10,9,8,-1,12,14,9,4,2,0.1245922967791557,0.006527539808303118,-0.9999179840087891],[1,10,9,8,-1,1,14,9,4,2,-0.0840070396661758,-0.3562028110027313,0.02891656011343],[4,10,18,8,-1,13,10,9,4,2,4,14,9,4,2,0.009677214547991753,0.0640739426016808,-0.1548271030187607],[0,10,18,8,-1,0,10,9,4,2,9,14,9,4,2,0.1040503978729248,-0.0226520504802465,0.5762320756912231],[12,2,4,12,-1,12,2,2,12,2,0.0408144108951092,-0.0373685695230961,0.0772985070943832],[0,5,20,13,-1,10,5,10,13,2,-0.4691618978977203,-0.7730463147163391,0.0136070800945163],[10,6,9,6,-1,10,8,9,2,3,-0.1372341960668564,-1,-0.0017328710528090596],[3,6,9,6,-1,3,8,9,2,3,0.03756944835186,0.0314127095043659,-0.355124294757843],[7,4,15,8,-1,7,6,15,4,2,-0.012645379640162,-0.0713228806853294,0.0418895483016968],[9,2,12,2,-1,9,2,12,1,2,0.0399338603019714,-0.0334470011293888,0.3593294024467468],[12,6,6,4,-1,12,6,6,2,2,0.0172074399888515,0.0261265300214291,-0.0776343792676926],[7,0,13,3,-1,6,1,13,1,3,0.0597022287547588,-0.0237179808318615,0.5732179880142212],[3,0,18,2,-1,3,0,9,2,2,0.0799178034067154,-0.009754756465554237,0.4346744120121002],[4,5,13,12,-1,4,9,13,4,3,0.113517202436924,-0.0389219708740711,0.2612080872058868],[4,6,18,9,-1,10,9,6,3,9,0.4837945103645325,0.007845266722142696,-0.6502416133880615],[8,5,6,11,-1,10,5,2,11,3,-0.1004507020115852,-0.80072021484375,0.0122501999139786],[6,2,16,16,-1,6,6,16,8,2,0.2717601954936981,0.004463658202439547,-0.6939312219619751],[0,2,16,16,-1,0,6,16,8,2,-0.1230124980211258,0.324838399887085,-0.0338415503501892],[18,1,2,12,-1,18,7,2,6,2,0.0611887499690056,0.007153601851314306,-0.7781751751899719],[2,1,2,12,-1,2,7,2,6,2,-0.007882824167609215,-0.1975423991680145,0.0677954331040382],[8,3,14,9,-1,8,6,14,3,3,-0.2558487951755524,-1,0.0014300020411610603],[0,3,14,9,-1,0,6,14,3,3,0.1309846937656403,-0.0166683103889227,0.7454720735549927],[10,6,4,9,-1,10,9,4,3,3,-0.0845530778169632,-0.6342390179634094,0.008314279839396477],[0,6,3,12,-1,0,12,3,6,2,-0.0882977172732353,-0.8570597171783447,0.0105499401688576],[16,2,6,9,-1,13,5,6,3,3,-0.1037487983703613,0.1207318007946014,-0.0224885791540146],[10,0,12,4,-1,9,1,12,2,2,0.0014872249448671937,-0.1109644025564194,0.1040541008114815],[11,0,10,18,-1,16,0,5,9,2,11,9,5,9,2,0.2136403024196625,0.007384107913821936,-0.4976033866405487],[1,0,10,18,-1,1,0,5,9,2,6,9,5,9,2,0.0262943096458912,-0.0632127001881599,0.2628476023674011],[7,12,14,3,-1,7,12,7,3,2,-0.0026777000166475773,0.0564883500337601,-0.1017431020736694],[7,11,8,3,-1,11,11,4,3,2,-0.002126154024153948,-0.1644288003444672,0.0661599636077881],[2,13,18,4,-1,2,13,9,4,2,-0.008220091462135315,-0.1613277941942215,0.0835154727101326],[10,6,4,6,-1,10,6,2,6,2,-0.0117018800228834,0.215161994099617,-0.0591160506010056],[8,9,6,9,-1,10,9,2,9,3,-0.0007046074024401605,0.0961422994732857,-0.1300875991582871],[3,11,13,3,-1,3,12,13,1,3,-0.0019671309273689985,0.1260503977537155,-0.088542640209198],[18,10,4,6,-1,18,10,2,6,2,-0.009500407613813877,-0.2360457926988602,0.0459226295351982],[5,5,9,5,-1,8,5,3,5,3,0.0268023703247309,-0.0489667691290379,0.238871306180954],[13,0,2,14,-1,13,0,1,14,2,0.0221774205565453,-0.0125605901703238,0.2708427011966705],[2,0,18,7,-1,8,0,6,7,3,0.0933828800916672,0.0338358506560326,-0.3970789015293121],[13,4,6,8,-1,16,4,3,4,2,13,8,3,4,2,-0.0131510803475976,-0.1136426031589508,0.0259307399392128],[3,4,6,8,-1,3,4,3,4,2,6,8,3,4,2,0.0026929581072181463,0.0682023465633392,-0.1629091054201126],[8,5,12,2,-1,8,6,12,1,2,-0.005751912947744131,0.1319772005081177,-0.0577118992805481],[7,0,3,12,-1,8,0,1,12,3,-0.0011071159970015287,0.1455008983612061,-0.0773000419139862],[15,0,3,10,-1,16,1,1,10,3,0.0318051800131798,0.0141812795773149,-0.2180342972278595],[2,4,12,12,-1,6,8,4,4,9,0.4072949886322022,-0.0137729402631521,0.7485334873199463],[5,10,13,3,-1,5,11,13,1,3,0.0701730772852898,0.0115358103066683,-0.8609462976455688],[5,15,12,2,-1,5,16,12,1,2,-0.00019437450100667775,0.0630099922418594,-0.1511144042015076],[17,8,5,6,-1,17,11,5,3,2,0.0394255593419075,0.0241153296083212,-0.4725382030010223],[5,12,6,6,-1,5,14,6,2,3,0.0026128459721803665,0.0539631508290768,-0.1742976009845734]]],[25,-30.691600799560547,[[10,6,4,7,-1,10,6,2,7,2,0.1046843007206917,-0.0475701093673706,0.4245404899120331],[12,3,4,10,-1,13,4,2,10,2,-0.042946420609951,0.1632889062166214,-0.0126551697030663],[10,3,10,4,-1,9,4,10,2,2,-0.008157772943377495,0.1023579984903336,-0.1087663024663925],[12,4,2,12,-1,12,4,1,12,2,0.002181369112804532,0.0879852473735809,-0.0558997616171837],[1,11,15,3,-1,6,11,5,3,3,-0.006515751127153635,0.0828638523817062,-0.1373631954193115],[11,6,6,9,-1,13,6,2,9,3,0.0247165001928806,0.0167552102357149,0.133712500333786],[5,6,6,9,-1,7,6,2,9,3,-0.000593962671700865,-0.1377137005329132,0.1050129011273384],[8,5,6,6,-1,10,5,2,6,3,0.0293738208711147,-0.0445813983678818,0.4273186028003693],[1,2,6,8,-1,1,2,3,4,2,4,6,3,4,2,-0.0165769197046757,-0.2982746064662933,0.0297183692455292],[14,0,4,9,-1,14,3,4,3,3,0.009456949308514595,0.0536169484257698,-0.0766755267977715],[0,0,18,9,-1,0,3,18,3,3,0.0745819136500359,-0.046554408967495,0.3017961084842682],[9,5,5,12,-1,9,8,5,6,2,-0.0380556210875511,-0.2825511991977692,0.0203556902706623],[3,5,16,3,-1,3,6,16,1,3,0.0110655399039388,-0.0539425984025002,0.2313262969255447],[16,2,6,8,-1,19,2,3,4,2,16,6,3,4,2,0.0135382199659944,0.0281029809266329,-0.2180289030075073],[0,2,6,8,-1,0,2,3,4,2,3,6,3,4,2,0.004691475071012974,0.0636170208454132,-0.1746082007884979],[5,2,12,16,-1,5,10,12,8,2,0.4305444061756134,-0.0210623797029257,0.571977972984314],[5,11,8,6,-1,5,11,4,3,2,9,14,4,3,2,0.0014298999449238181,-0.1678003966808319,0.076851062476635],[8,2,6,8,-1,11,2,3,4,2,8,6,3,4,2,0.0278552304953337,-0.0356479696929455,0.2895691096782684],[0,6,7,12,-1,0,10,7,4,3,0.0143916700035334,0.0833004266023636,-0.1295132040977478],[16,8,6,8,-1,16,10,6,4,2,-0.0776373818516731,-1,0.0008142662118189037],[0,8,6,8,-1,0,10,6,4,2,0.0160511992871761,-0.0540085881948471,0.2196779996156693],[4,0,17,3,-1,4,1,17,1,3,-0.070988729596138,0.6160213947296143,-0.0164764001965523],[7,4,4,14,-1,8,4,2,14,2,-0.0583109892904758,-0.959553599357605,0.012517100200057],[9,5,5,12,-1,9,8,5,6,2,-0.00795474462211132,-0.0936840027570724,0.0338969603180885],[10,4,10,4,-1,9,5,10,2,2,-0.0496857985854149,0.3146679997444153,-0.0297160502523184],[13,1,3,13,-1,14,2,1,13,3,0.0977515280246735,0.0007590572931803763,-0.6700987219810486],[9,1,13,3,-1,8,2,13,1,3,0.0759088024497032,0.0160733293741941,-0.6625136137008667],[4,16,14,2,-1,4,17,14,1,2,0.001333346008323133,0.0522413998842239,-0.1880871057510376],[0,16,15,2,-1,0,17,15,1,2,0.0006972861010581255,-0.0890448018908501,0.1664233952760696],[11,4,2,6,-1,11,4,1,6,2,0.0208895094692707,0.021368719637394,-0.160834401845932],[0,6,4,9,-1,0,9,4,3,3,-0.0017649700166657567,0.1239852979779244,-0.08592239767313],[14,0,7,6,-1,12,2,7,2,3,0.0027779850643128157,-0.0443661510944366,0.029322549700737],[8,4,6,10,-1,8,4,3,5,2,11,9,3,5,2,0.0007997453212738037,-0.1235152035951614,0.088818296790123],[7,7,8,10,-1,11,7,4,5,2,7,12,4,5,2,0.0007021595956757665,-0.0801541805267334,0.1454429030418396],[5,6,12,8,-1,5,6,6,4,2,11,10,6,4,2,-0.0406044200062752,-0.3604758083820343,0.0343148596584797],[8,6,8,8,-1,12,6,4,4,2,8,10,4,4,2,-0.0416868515312672,-0.2092776000499725,0.00858083926141262],[6,6,8,8,-1,6,6,4,4,2,10,10,4,4,2,-0.0463901981711388,0.5376852750778198,-0.0226325001567602],[12,4,6,6,-1,10,6,6,2,3,-0.1582203060388565,-1,0.001431231969036162],[5,7,10,8,-1,5,7,5,4,2,10,11,5,4,2,-0.0756833702325821,-0.8050302863121033,0.0128438398241997],[4,5,18,3,-1,4,6,18,1,3,-0.0578083284199238,0.3867568075656891,-0.0126303201541305],[3,16,15,2,-1,3,17,15,1,2,-0.000045112581574358046,0.0749589875340462,-0.1343374997377396],[3,10,16,2,-1,3,11,16,1,2,0.0392054803669453,0.0219805799424648,-0.4574862122535706],[3,12,6,6,-1,5,12,2,6,3,0.044945240020752,-0.0237634591758251,0.4871528148651123],[18,2,3,13,-1,19,2,1,13,3,-0.0578491911292076,0.3556363880634308,-0.00623805308714509],[4,10,12,4,-1,8,10,4,4,3,-0.1039723977446556,-0.6226279139518738,0.015022880397737],[7,7,14,7,-1,7,7,7,7,2,-0.2523828148841858,-0.5905948281288147,-0.00019238379900343716],[1,7,14,7,-1,8,7,7,7,2,0.1967588067054749,0.0126251596957445,-0.7275320887565613],[11,0,8,13,-1,11,0,4,13,2,0.0374124199151993,-0.023478340357542,0.1214763969182968],[0,6,4,12,-1,0,6,2,6,2,2,12,2,6,2,-0.008047067560255527,-0.1816778928041458,0.0497434996068478],[14,2,2,12,-1,14,2,1,12,2,0.0412974916398525,0.0102590499445796,-0.146795004606247],[2,2,8,12,-1,2,2,4,6,2,6,8,4,6,2,-0.0507357306778431,0.2267964035272598,-0.0498070493340492],[17,0,4,16,-1,17,8,4,8,2,-0.0003614510933402926,0.0417982786893845,-0.0704108327627182],[1,0,4,16,-1,1,8,4,8,2,-0.1235945001244545,0.5828350186347961,-0.0168224293738604],[6,1,16,16,-1,6,9,16,8,2,0.0570716187357903,-0.0405320711433887,0.1707827001810074],[8,0,6,7,-1,10,2,2,7,3,0.005856154020875692,-0.1382790058851242,0.0825652331113815],[15,1,6,6,-1,13,3,6,2,3,-0.1147285029292107,-0.4675404131412506,0.003434899030253291],[7,1,6,6,-1,9,3,2,6,3,0.0205186996608973,0.0815079435706139,-0.1689410954713821],[14,2,2,12,-1,14,2,1,12,2,0.0546297691762447,-0.007476374972611666,0.2364037930965424],[5,11,12,6,-1,5,14,12,3,2,-0.0693129673600197,0.3007157146930695,-0.0347853004932404],[5,13,12,4,-1,5,14,12,2,2,-0.0074176848866045475,-0.287665605545044,0.047531820833683],[2,15,18,2,-1,2,16,18,1,2,0.0102232601493597,-0.0308347996324301,0.3924953937530518],[18,4,4,14,-1,20,4,2,7,2,18,11,2,7,2,-0.0273466594517231,-0.156954899430275,0.0139675298705697],[0,4,4,14,-1,0,4,2,7,2,2,11,2,7,2,0.0338751003146172,0.026063309982419,-0.3900640904903412],[11,0,3,12,-1,12,0,1,12,3,0.0451747216284275,0.008919920772314072,-0.5676915049552917],[9,3,4,6,-1,9,6,4,3,2,0.0114882299676538,-0.0454914197325706,0.2510992884635925],[7,4,15,10,-1,7,9,15,5,2,-0.0104961497709155,0.0648954436182976,-0.1062353998422623],[4,2,9,12,-1,4,6,9,4,3,0.006088120862841606,0.0809291824698448,-0.1477614939212799],[3,1,17,3,-1,3,2,17,1,3,-0.0026524660643190145,0.1206251978874207,-0.0726748630404472],[0,1,16,3,-1,0,2,16,1,3,0.0023559860419481993,-0.0818112716078758,0.141265407204628],[7,4,15,10,-1,7,9,15,5,2,-0.2677721977233887,-0.7808383107185364,0.004452604800462723],[0,4,15,10,-1,0,9,15,5,2,0.1596579998731613,0.0283816494047642,-0.3896783888339996],[15,0,6,18,-1,15,9,6,9,2,0.0518993698060513,-0.0343053191900253,0.1592101007699966],[3,14,12,4,-1,3,14,6,2,2,9,16,6,2,2,-0.0013652780326083302,-0.137554794549942,0.0727199986577034],[13,0,9,5,-1,16,3,3,5,3,0.2249729931354523,-0.00480172922834754,0.9999485015869141],[9,7,9,2,-1,9,7,9,1,2,0.0031434150878340006,0.0551515705883503,-0.1664316058158875],[12,6,3,7,-1,13,7,1,7,3,-0.006294033955782652,0.0628960281610489,-0.0604363791644573],[3,4,8,8,-1,7,4,4,8,2,0.0513019114732742,-0.0316718108952045,0.3853493928909302],[7,8,12,3,-1,11,8,4,3,3,-0.0669808089733124,-0.1092590019106865,0.008995875716209412],[8,6,5,6,-1,8,6,5,3,2,0.0514647588133812,0.026210019364953,-0.4215933978557587],[10,7,10,6,-1,10,10,10,3,2,-0.0909821391105652,0.3276037871837616,-0.007813438773155212],[0,9,16,3,-1,0,10,16,1,3,0.005284897051751614,-0.0793995708227158,0.1499817967414856],[7,9,12,3,-1,7,10,12,1,3,-0.0015017699915915728,0.0977031067013741,-0.0735320374369621],[2,10,8,6,-1,2,13,8,3,2,-0.002541519934311509,0.0678011327981949,-0.1488324999809265],[16,6,4,12,-1,16,9,4,6,2,0.0442528203129768,0.0164758302271366,-0.2288018018007278],[3,11,8,6,-1,3,11,4,3,2,7,14,4,3,2,-0.0334571599960327,0.4196678996086121,-0.032553531229496],[4,5,16,10,-1,12,5,8,5,2,4,10,8,5,2,0.1352989971637726,0.009089408442378044,-0.7383912205696106],[7,10,3,8,-1,7,14,3,4,2,-0.0374409705400467,-0.4261302053928375,0.0239723902195692],[9,14,6,4,-1,9,16,6,2,2,-0.000014479730452876538,0.0567837804555893,-0.1588882952928543],[2,9,15,9,-1,2,12,15,3,3,-0.1183928027749062,0.5050063133239746,-0.0218596495687962],[11,2,8,6,-1,15,2,4,3,2,11,5,4,3,2,-0.008500068448483944,0.052339930087328,-0.0459250211715698],[4,11,8,6,-1,4,13,8,2,3,-0.0141895096749067,-0.235970601439476,0.0403583496809006],[16,0,2,14,-1,16,0,1,14,2,0.0735994204878807,0.0032680039294064045,-0.5885360240936279],[6,0,14,2,-1,6,0,14,1,2,0.054971270263195,-0.0201965197920799,0.5548272728919983],[13,9,7,6,-1,13,11,7,2,3,-0.0228161606937647,-0.1758957952260971,0.0178517401218414],[10,6,7,3,-1,9,7,7,1,3,0.0023204670287668705,-0.0817499235272408,0.128330796957016],[18,2,3,13,-1,19,2,1,13,3,-0.1079790964722633,-1,0.0017423679819330573],[1,2,3,13,-1,2,2,1,13,3,-0.0411119312047958,0.584326982498169,-0.0188788697123528],[5,1,12,4,-1,11,1,6,2,2,5,3,6,2,2,-0.003569565014913678,-0.1755847036838532,0.0647314265370369],[7,8,6,6,-1,7,10,6,2,3,-0.066358670592308,-1,0.00920676626265049],[8,13,14,3,-1,8,14,14,1,3,-0.0189445801079273,0.2578308880329132,-0.0189449395984411],[10,5,6,6,-1,12,7,2,6,3,-0.1287126988172531,-0.5847725868225098,0.0144664896652102],[15,6,4,8,-1,16,7,2,8,2,0.0024218629114329815,-0.0735908970236778,0.0703321024775505],[0,13,14,4,-1,0,13,7,2,2,7,15,7,2,2,0.0297184605151415,-0.0230119694024324,0.4054276943206787],[1,7,21,6,-1,8,9,7,2,9,0.1755502969026566,0.0208087302744389,-0.3728564977645874],[7,4,6,8,-1,7,4,3,4,2,10,8,3,4,2,0.0371224507689476,-0.0279596298933029,0.3590877950191498],[7,4,8,8,-1,11,4,4,4,2,7,8,4,4,2,-0.0038044541142880917,-0.1333799064159393,0.092061348259449],[10,6,7,4,-1,9,7,7,2,2,-0.0109307002276182,0.2319630980491638,-0.0445358790457249],[11,2,6,7,-1,11,2,3,7,2,0.1610362976789475,-0.008769134990870953,0.2204516977071762],[11,2,7,6,-1,11,2,7,3,2,0.0259712301194668,0.0644210129976273,-0.1891908049583435],[11,4,8,6,-1,11,4,4,6,2,0.1263820976018906,-0.0103621799498796,0.170571893453598],[11,4,6,8,-1,11,4,6,4,2,-0.009139340370893478,-0.1382824927568436,0.0867900624871254],[12,3,8,5,-1,12,3,4,5,2,0.0177220907062292,0.0397198908030987,-0.1229425966739655],[10,3,5,8,-1,10,3,5,4,2,-0.0824257507920265,0.300231009721756,-0.0331659205257893],[13,0,9,5,-1,16,3,3,5,3,0.0438925288617611,-0.0130563396960497,0.0987286865711212],[2,6,10,12,-1,2,9,10,6,2,0.0035575369838625193,0.111862801015377,-0.0927978232502937],[15,6,5,12,-1,15,9,5,6,2,-0.0152988201007247,-0.1300787925720215,0.023159010335803],[3,7,13,3,-1,3,8,13,1,3,-0.002650445094332099,0.1352628022432327,-0.073355458676815],[4,7,17,3,-1,4,8,17,1,3,0.0416368618607521,-0.019068980589509,0.3585799932479858],[2,9,7,6,-1,2,11,7,2,3,-0.00752902589738369,-0.186723604798317,0.0582484491169453],[13,9,9,4,-1,13,11,9,2,2,-0.0400314889848232,0.2296977937221527,-0.0146082304418087],[9,0,5,9,-1,6,3,5,3,3,-0.1362470984458923,-0.8708646297454834,0.0112111996859312],[9,3,8,3,-1,9,3,4,3,2,0.004512400832027197,-0.0356449596583843,0.1010309979319572],[3,0,4,13,-1,4,0,2,13,2,0.0541180707514286,-0.0146894101053476,0.6765226721763611],[13,0,8,6,-1,15,0,4,6,2,-0.0345539599657059,0.218545600771904,-0.009784664958715439],[3,0,6,5,-1,6,0,3,5,2,-0.0255208406597376,-0.4689800143241882,0.024060370400548],[9,0,12,5,-1,9,0,6,5,2,-0.0354737006127834,0.134275496006012,-0.0214386992156506],[1,2,6,8,-1,3,2,2,8,3,0.00028683411073870957,-0.0973002836108208,0.107609398663044],[18,2,4,6,-1,18,2,2,6,2,-0.0787175893783569,-1,0.0027187850791960955],[0,2,4,6,-1,2,2,2,6,2,-0.00015701749362051487,0.1119965985417366,-0.0994413793087006],[16,9,6,6,-1,16,11,6,2,3,0.0160265695303679,0.0341982617974281,-0.1910049021244049],[10,0,12,6,-1,13,3,6,6,2,-0.0191647298634052,0.0890248268842697,-0.1191970035433769],[14,2,3,12,-1,10,6,3,4,3,-0.0394451506435871,-0.1071799024939537,0.0376152098178864],[8,3,6,7,-1,11,3,3,7,2,0.002241743030026555,-0.0905810073018074,0.1754747033119202],[16,1,3,15,-1,17,1,1,15,3,-0.0038842540234327316,0.0926973298192024,-0.0424313694238663],[0,1,6,8,-1,2,1,2,8,3,-0.021914629265666,-0.2801750898361206,0.0375376716256142],[13,0,3,14,-1,14,0,1,14,3,-0.037512119859457,0.3621852099895477,-0.0175074506551027],[6,0,3,14,-1,7,0,1,14,3,-0.0008437404758296907,0.1234840005636215,-0.0802458673715591],[4,13,18,2,-1,4,13,9,2,2,-0.0026424999814480543,0.0525657385587692,-0.0833354368805885],[2,9,15,3,-1,7,9,5,3,3,-0.0928368121385574,-0.4206038117408752,0.0233604293316603],[9,5,10,6,-1,14,5,5,3,2,9,8,5,3,2,0.0824630707502365,-0.002981540048494935,0.7899919748306274],[3,5,10,6,-1,3,5,5,3,2,8,8,5,3,2,-0.0698649510741234,0.7380297183990479,-0.0140212997794151],[14,3,2,12,-1,14,3,1,12,2,0.0454393401741982,-0.0113211600109935,0.1997369974851608],[8,3,12,2,-1,8,3,12,1,2,-0.0502977892756462,0.6076467037200928,-0.0176328904926777],[12,7,6,6,-1,14,7,2,6,3,0.0604561492800713,-0.005935459863394499,0.3162288963794708],[4,7,6,6,-1,6,7,2,6,3,-0.00467693479731679,-0.1809061020612717,0.0596601888537407],[7,0,8,3,-1,7,0,4,3,2,0.0003653006860986352,-0.0912200435996056,0.1109272986650467],[9,0,4,6,-1,11,0,2,6,2,-0.0194912608712912,-0.3707557022571564,0.0284163095057011],[10,0,12,12,-1,13,0,6,12,2,0.0200564507395029,-0.0581596791744232,0.0781052336096764],[0,0,12,12,-1,3,0,6,12,2,-0.0393711812794209,0.2901248931884766,-0.0418756604194641],[16,5,6,4,-1,16,5,3,4,2,0.0215236507356167,0.0165730807930231,-0.2361485064029694],[0,5,6,4,-1,3,5,3,4,2,-0.0031294699292629957,-0.1646640002727509,0.0622338093817234],[9,0,12,5,-1,9,0,6,5,2,0.002858961932361126,-0.0380984097719193,0.0557516291737556]]],[26,-30.60930061340332,[[1,8,8,10,-1,1,8,4,5,2,5,13,4,5,2,-0.0205761305987835,0.1735112965106964,-0.1505803018808365],[8,16,14,2,-1,8,16,7,2,2,0.0161259490996599,-0.04161237180233,0.2398445010185242],[0,11,16,3,-1,8,11,8,3,2,-0.0123525802046061,0.097780853509903,-0.1239183023571968],[10,16,12,2,-1,10,16,6,2,2,-0.005747389979660511,0.0776152089238167,-0.0962367281317711],[0,16,12,2,-1,6,16,6,2,2,0.0029579061083495617,-0.067683719098568,0.2659420967102051],[3,11,18,6,-1,12,11,9,3,2,3,14,9,3,2,-0.008347222581505775,-0.1118817999958992,0.1373637020587921],[7,13,6,4,-1,7,15,6,2,2,-0.0005840878002345562,0.0459431111812592,-0.1648653000593185],[10,11,6,6,-1,10,13,6,2,3,-0.0003513683914206922,0.0977910086512566,-0.0643578618764877],[6,14,9,4,-1,9,14,3,4,3,0.00008412687748204917,-0.1384762972593308,0.088727742433548],[5,4,16,10,-1,5,9,16,5,2,-0.2659249007701874,-0.6752539873123169,0.01618866994977],[11,7,3,8,-1,11,7,3,4,2,0.0043727741576731205,0.0728847980499268,-0.1256036013364792],[13,10,6,6,-1,13,12,6,2,3,-0.0022660531103610992,0.0872692465782166,-0.0683554336428642],[0,6,22,12,-1,0,6,11,6,2,11,12,11,6,2,-0.006529073230922222,-0.1219756007194519,0.0809279307723045],[9,5,6,12,-1,12,5,3,6,2,9,11,3,6,2,0.0964362472295761,-0.008263730444014072,0.4912739992141724],[7,5,6,12,-1,7,5,3,6,2,10,11,3,6,2,-0.0435948185622692,0.4557530879974365,-0.0256003905087709],[14,1,6,9,-1,14,4,6,3,3,-0.0210983194410801,-0.118927501142025,0.0235395897179842],[2,1,6,9,-1,2,4,6,3,3,-0.002520001959055662,0.12724469602108,-0.0907517224550247],[13,4,4,6,-1,13,7,4,3,2,-0.008924168534576893,-0.1151432022452354,0.0434970296919346],[5,4,4,6,-1,5,7,4,3,2,0.003459017025306821,0.063537172973156,-0.1826142966747284],[10,13,12,3,-1,10,14,12,1,3,-0.0036076800897717476,0.1200591027736664,-0.0524491108953953],[3,3,15,3,-1,3,4,15,1,3,0.0537788905203342,-0.0186757892370224,0.5231301784515381],[13,5,2,9,-1,13,5,1,9,2,0.0452451892197132,-0.0175049193203449,0.2187184989452362],[9,5,9,2,-1,9,5,9,1,2,0.0013272929936647415,0.0786599591374397,-0.1355167031288147],[6,2,14,10,-1,6,2,7,10,2,0.0123936403542757,0.0289523005485535,-0.0721495375037193],[8,2,12,2,-1,8,2,12,1,2,-0.0377027802169323,0.4185005128383637,-0.0303553491830826],[17,0,2,13,-1,17,0,1,13,2,-0.0489104092121124,0.3736500144004822,-0.005677110981196165],[5,0,13,2,-1,5,0,13,1,2,-0.005996169988065958,-0.2075642049312592,0.0704388469457626],[12,4,3,10,-1,12,4,3,5,2,0.0566319301724434,-0.0172929391264915,0.2549839913845062],[0,6,12,3,-1,0,7,12,1,3,0.0316502302885056,-0.0206582508981228,0.4839827120304108],[6,6,15,3,-1,6,7,15,1,3,-0.0211529899388552,0.2002878934144974,-0.0248726103454828],[8,8,5,9,-1,8,11,5,3,3,0.0876765325665474,-0.02499970048666,0.4112659990787506],[10,11,7,6,-1,10,13,7,2,3,0.0532998815178871,-0.008676622994244099,0.3744659125804901],[5,11,7,6,-1,5,13,7,2,3,-0.00026251509552821517,0.0992318466305733,-0.1198920011520386],[5,12,13,4,-1,5,13,13,2,2,-0.008589760400354862,-0.1859301030635834,0.0343707799911499],[9,4,4,6,-1,9,7,4,3,2,0.0169404707849026,-0.0347682610154152,0.2728826105594635],[13,1,2,9,-1,13,1,1,9,2,0.050596110522747,0.0036170349922031164,-0.3946076035499573],[5,2,8,6,-1,5,2,4,3,2,9,5,4,3,2,-0.008304843679070473,0.0985777974128723,-0.1166628003120422],[11,0,4,8,-1,12,1,2,8,2,0.0105862701311708,0.0391171500086784,-0.0858436673879623],[11,0,8,4,-1,10,1,8,2,2,-0.0325586013495922,-0.3735215067863464,0.0254101008176804],[7,9,15,3,-1,7,10,15,1,3,-0.0323521308600903,0.2612997889518738,-0.0286310408264399],[5,10,12,3,-1,5,11,12,1,3,0.0255470499396324,0.0338848903775215,-0.3045232892036438],[15,2,7,6,-1,15,4,7,2,3,0.0422524400055408,0.008951033465564251,-0.240912601351738],[0,2,7,6,-1,0,4,7,2,3,0.0038109479937702417,-0.0726389363408089,0.1463439017534256],[12,3,2,7,-1,12,3,1,7,2,0.0208217091858387,-0.0362719409167767,0.1832471936941147],[10,3,7,2,-1,10,3,7,1,2,0.0264977905899286,0.0281601101160049,-0.3951719999313355],[2,3,20,14,-1,12,3,10,7,2,2,10,10,7,2,0.2028353065252304,-0.009378229267895222,0.4486894905567169],[5,2,12,8,-1,11,2,6,8,2,-0.1799661070108414,-0.7959595918655396,0.0120278401300311],[18,4,4,8,-1,18,8,4,4,2,-0.0709680914878845,-0.7695127725601196,0.001091807964257896],[6,4,6,8,-1,6,4,3,4,2,9,8,3,4,2,0.0027555041015148163,0.070150263607502,-0.1291518062353134],[12,2,4,6,-1,12,2,2,6,2,-0.0770044028759003,-0.4915507137775421,0.00280674803070724],[10,2,6,4,-1,10,2,6,2,2,-0.0202579107135534,0.2356823980808258,-0.0434327982366085],[9,3,8,15,-1,11,3,4,15,2,-0.0864218175411224,-0.3454168140888214,0.0112488502636552],[1,11,8,7,-1,3,11,4,7,2,-0.0672459527850151,-0.6875290274620056,0.0118686696514487],[13,7,6,10,-1,15,7,2,10,3,-0.1299038976430893,-0.7906926870346069,0.0025537670589983463],[2,3,10,14,-1,7,3,5,14,2,-0.3039467036724091,-0.8998935222625732,0.008150172419846058],[6,5,15,12,-1,11,5,5,12,3,-0.4198854863643646,-0.7730332016944885,0.0013665149454027414],[1,5,15,12,-1,6,5,5,12,3,-0.1685128957033157,0.2431939989328384,-0.0412807390093803],[9,14,8,4,-1,9,16,8,2,2,0.0028788880445063114,0.0205771699547768,-0.1859090030193329],[9,6,4,10,-1,11,6,2,10,2,-0.040223840624094,0.4309926927089691,-0.0231047105044127],[8,6,10,4,-1,8,8,10,2,2,0.003968704026192427,0.0436015203595161,-0.0922335684299469],[2,14,7,4,-1,2,16,7,2,2,-0.0276507195085287,-0.6170787215232849,0.0146805699914694],[7,9,15,3,-1,7,10,15,1,3,-0.002303430112078786,0.0903495922684669,-0.0616645514965057],[0,10,16,4,-1,0,10,8,2,2,8,12,8,2,2,-0.029040789231658,0.2773793935775757,-0.0392188690602779],[10,11,6,7,-1,12,11,2,7,3,0.0132882604375482,0.0311382599174976,-0.1355874985456467],[8,13,6,5,-1,11,13,3,5,2,0.00003396892861928791,-0.1356292963027954,0.0764675810933113],[10,11,6,7,-1,12,11,2,7,3,-0.0068583860993385315,-0.103658102452755,0.0259391590952873],[6,11,6,7,-1,8,11,2,7,3,-0.0143609195947647,-0.2113649994134903,0.0529731400310993],[18,4,4,8,-1,18,8,4,4,2,-0.0174686796963215,-0.105181097984314,0.0177150797098875],[4,6,8,11,-1,8,6,4,11,2,-0.09854456782341,0.2564946115016937,-0.0442296415567398],[7,5,8,12,-1,9,5,4,12,2,-0.00281234597787261,-0.0738003626465797,0.1540094017982483],[5,3,6,6,-1,7,3,2,6,3,0.0021941340528428555,-0.1421629935503006,0.0891392230987549],[11,2,10,6,-1,11,2,10,3,2,0.0468207597732544,0.0293640904128551,-0.0627548918128014],[11,1,8,9,-1,11,1,4,9,2,0.3289175927639008,0.0130156902596354,-0.7834712862968445],[12,4,3,10,-1,12,4,3,5,2,-0.0204705204814672,-0.0768143534660339,0.0398004688322544],[11,1,11,4,-1,11,1,11,2,2,0.0886770263314247,-0.0403123684227467,0.2845386862754822],[18,4,4,8,-1,18,8,4,4,2,-0.0011557979742065072,0.0421993210911751,-0.0414462089538574],[0,4,4,8,-1,0,8,4,4,2,0.0605245381593704,-0.0169187001883984,0.6723713874816895],[12,2,2,12,-1,12,2,1,12,2,0.040830459445715,0.0133648402988911,-0.3111329972743988],[4,12,12,3,-1,4,13,12,1,3,-0.0031132870353758335,-0.1726278066635132,0.0593822188675404],[2,12,18,3,-1,2,13,18,1,3,-0.004363862797617912,0.1726533025503159,-0.0624239705502987],[0,0,16,3,-1,0,1,16,1,3,-0.0328340902924538,0.4027537107467651,-0.0257990397512913],[12,2,2,12,-1,12,2,1,12,2,0.0643770024180412,-0.004738063085824251,0.7522106766700745],[10,2,12,2,-1,10,2,12,1,2,0.0276427306234837,0.0376444794237614,-0.2922027111053467],[13,10,6,7,-1,15,10,2,7,3,0.0221711993217468,-0.0246540699154139,0.2053381055593491],[5,13,12,2,-1,11,13,6,2,2,0.0015859310515224934,0.0894637927412987,-0.1261173039674759],[16,8,6,8,-1,19,8,3,4,2,16,12,3,4,2,-0.0188720505684614,0.1307265013456345,-0.0369537100195885],[4,1,8,6,-1,4,3,8,2,3,-0.013306169770658,-0.229632094502449,0.042687188833952],[18,0,4,9,-1,18,3,4,3,3,-0.0704071223735809,-0.7111750841140747,0.006695758085697889],[8,2,6,8,-1,8,6,6,4,2,0.0417489297688007,-0.0329278707504272,0.3003528118133545],[8,1,6,4,-1,8,3,6,2,2,0.0053282231092453,0.0518117509782314,-0.1906909048557282],[1,2,12,3,-1,1,3,12,1,3,0.00240949890576303,-0.0806879699230194,0.1251012980937958],[7,2,12,3,-1,7,3,12,1,3,-0.006240597926080227,0.1074063032865524,-0.0399790108203888],[1,0,16,18,-1,1,9,16,9,2,-0.6731246709823608,-1,0.0100708100944757],[16,8,6,8,-1,19,8,3,4,2,16,12,3,4,2,-0.0929835587739944,-1,-0.002426136052235961],[0,8,6,8,-1,0,8,3,4,2,3,12,3,4,2,0.0336297601461411,0.0241228695958853,-0.413879007101059],[18,4,4,6,-1,18,7,4,3,2,0.0238806195557117,0.009661420248448849,-0.2197377979755402],[0,12,14,3,-1,0,13,14,1,3,0.0012738780351355672,-0.0835551172494888,0.1226968988776207],[3,12,16,3,-1,3,13,16,1,3,0.0184141397476196,0.0307981409132481,-0.35609170794487],[0,4,4,6,-1,0,7,4,3,2,-0.0564695782959461,0.886317789554596,-0.0126983001828194],[9,14,8,4,-1,9,16,8,2,2,-0.0004621976113412529,0.0346819013357162,-0.0828508287668228],[0,13,14,3,-1,0,14,14,1,3,-0.0190608594566584,0.3536941111087799,-0.0276117604225874],[4,14,14,2,-1,4,15,14,1,2,0.0015762279508635402,0.0409399084746838,-0.2251740992069244],[3,12,15,6,-1,3,15,15,3,2,0.0201018806546927,-0.0239955503493547,0.4109125137329102],[7,12,14,6,-1,7,15,14,3,2,0.0027211669366806746,0.0281224492937326,-0.1420011967420578],[0,0,14,4,-1,0,2,14,2,2,-0.109444297850132,0.950857400894165,-0.00943553727120161],[13,10,6,7,-1,15,10,2,7,3,-0.0012755279894918203,0.0569029003381729,-0.0834297835826874],[3,10,6,7,-1,5,10,2,7,3,-0.080578401684761,-0.9513928890228271,0.008226866833865643],[2,4,18,4,-1,8,4,6,4,3,-0.1204798966646195,-0.3027386963367462,0.0284893400967121],[5,3,12,9,-1,9,6,4,3,9,-0.1829497069120407,0.2386613041162491,-0.0627739429473877],[10,8,10,7,-1,10,8,5,7,2,-0.171064093708992,-0.5939468145370483,0.0031515269074589014],[5,2,4,16,-1,5,6,4,8,2,-0.0734148770570755,-0.8693308234214783,0.0100843897089362],[16,8,6,8,-1,19,8,3,4,2,16,12,3,4,2,0.0242382995784283,-0.0217561107128859,0.1621855944395065],[0,12,17,4,-1,0,14,17,2,2,-0.0071713668294250965,-0.0973455905914307,0.0921484977006912],[7,12,14,6,-1,7,15,14,3,2,-0.0333443991839886,0.0746453925967216,-0.022160679101944],[0,13,12,4,-1,0,13,6,2,2,6,15,6,2,2,0.0007290790090337396,-0.0949718132615089,0.1182674020528793],[10,13,12,3,-1,10,14,12,1,3,-0.0010217289673164487,0.0564262308180332,-0.037573829293251],[7,11,8,6,-1,7,11,4,3,2,11,14,4,3,2,-0.0008490093750879169,-0.1388314962387085,0.0700473263859749],[9,6,12,9,-1,12,6,6,9,2,0.0998505130410194,-0.0140115898102522,0.2611567974090576],[1,6,12,8,-1,4,6,6,8,2,-0.1309006959199905,0.7137935161590576,-0.0116437999531627],[8,12,6,6,-1,8,14,6,2,3,0.009121052920818329,0.0454028099775314,-0.2183001041412354],[1,4,20,14,-1,1,4,10,7,2,11,11,10,7,2,0.201064795255661,-0.0207532700151205,0.5123022198677063],[18,0,4,10,-1,19,1,2,10,2,0.0473893098533154,0.009477912448346615,-0.4794239103794098],[2,2,6,12,-1,2,5,6,6,2,-0.0571185387670994,0.3916605114936829,-0.0267039109021425],[16,5,4,9,-1,16,8,4,3,3,-0.008370062336325645,-0.1339945942163467,0.0484609007835388],[6,9,8,4,-1,10,9,4,4,2,0.004091389011591673,-0.0594897791743279,0.1743853986263275],[7,8,14,3,-1,7,8,7,3,2,0.071899488568306,0.0117231803014874,-0.3627477884292603],[0,8,18,3,-1,9,8,9,3,2,-0.003688825061544776,0.0757636278867722,-0.1503359973430634],[14,6,8,4,-1,14,6,8,2,2,-0.007479521911591291,0.1502785980701447,-0.0458704903721809],[0,3,18,2,-1,9,3,9,2,2,-0.0125825898721814,-0.1991554945707321,0.063917450606823],[6,6,10,8,-1,6,8,10,4,2,0.0035687079653143883,-0.1211723983287811,0.1095608025789261],[1,5,10,12,-1,1,8,10,6,2,0.001736380043439567,0.1225852966308594,-0.0935562625527382],[11,6,3,12,-1,12,6,1,12,3,-0.0014523629797622561,0.0967225283384323,-0.0807396993041039],[8,6,3,12,-1,9,6,1,12,3,0.0031017749570310116,-0.0690764710307121,0.1539645940065384],[11,1,3,13,-1,12,1,1,13,3,-0.008550958707928658,-0.1518629044294357,0.0403469204902649],[8,2,3,13,-1,9,2,1,13,3,-0.001896618981845677,0.1217254996299744,-0.0985434427857399]]],[27,-30.601499557495117,[[6,6,2,12,-1,6,12,2,6,2,-0.0237547401338816,0.1709530055522919,-0.115342803299427],[17,4,2,9,-1,17,4,1,9,2,-0.007380662951618433,0.0880671963095665,-0.0403177700936794],[0,0,12,4,-1,0,1,12,2,2,0.0011198900174349546,-0.0798953026533127,0.1344889998435974],[8,4,12,4,-1,14,4,6,2,2,8,6,6,2,2,0.0337187312543392,-0.0152200302109122,0.2991417050361633],[6,13,6,4,-1,6,15,6,2,2,-0.0002802266099024564,0.0635997280478477,-0.1561919003725052],[7,13,12,4,-1,7,15,12,2,2,-0.003952392842620611,-0.00979613233357668,0.1057164967060089],[1,8,6,4,-1,4,8,3,4,2,0.002139712916687131,0.0899535864591599,-0.1448377966880798],[15,8,6,10,-1,15,8,3,10,2,-0.067521296441555,0.2093243002891541,-0.053923811763525],[1,8,6,10,-1,4,8,3,10,2,0.0103789502754807,-0.0641771629452705,0.2781462967395783],[16,12,6,4,-1,16,12,3,4,2,0.00629031378775835,-0.0492537207901478,0.08216842263937],[1,6,6,8,-1,1,6,3,4,2,4,10,3,4,2,0.009397427551448345,0.0845377370715141,-0.2288530021905899],[11,1,4,11,-1,12,2,2,11,2,0.0101209301501513,0.0333371199667454,-0.0816642567515373],[11,1,11,4,-1,10,2,11,2,2,0.003153193974867463,-0.1022099032998085,0.1183736026287079],[12,0,4,7,-1,13,1,2,7,2,0.0751372873783112,0.0027504051104187965,-1.0000959634780884],[10,0,7,4,-1,9,1,7,2,2,-0.0023692219983786345,0.0990924835205078,-0.114251896739006],[13,5,2,12,-1,13,5,1,12,2,-0.0245103798806667,0.2870832085609436,-0.0161488000303507],[7,5,2,12,-1,8,5,1,12,2,-0.0019670750480145216,-0.1153137013316155,0.0868165567517281],[8,5,9,4,-1,11,5,3,4,3,0.0308453794568777,-0.0240906104445457,0.1960754990577698],[7,0,10,3,-1,6,1,10,1,3,0.0238163098692894,0.0328240394592285,-0.3571043908596039],[17,4,2,9,-1,17,4,1,9,2,-0.0401991307735443,-0.5285078883171082,0.0060749719850718975],[5,4,9,2,-1,5,4,9,1,2,-0.006887610070407391,0.2205885052680969,-0.0591514892876148],[12,10,4,8,-1,12,10,2,8,2,-0.00025466730585321784,0.071897879242897,-0.0849620327353477],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,0.009846819564700127,0.0413667596876621,-0.2398452013731003],[7,7,15,3,-1,7,8,15,1,3,0.0279344003647566,-0.0236471593379974,0.2473800927400589],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,-0.0229603908956051,-0.4518792927265167,0.0223057791590691],[10,14,6,4,-1,10,14,3,4,2,0.00032323438790626824,-0.0875360071659088,0.0784909576177597],[0,8,17,3,-1,0,9,17,1,3,0.031954899430275,-0.0262023899704218,0.3920490145683289],[6,13,10,5,-1,6,13,5,5,2,0.0019027979578822851,0.0627627819776535,-0.1610735058784485],[5,11,8,5,-1,9,11,4,5,2,-0.0032691629603505135,0.1016800031065941,-0.1043248027563095],[14,8,4,6,-1,14,8,2,6,2,0.0100402003154159,-0.0280465800315142,0.12117899954319],[0,10,5,8,-1,0,14,5,4,2,-0.034158680588007,-0.28974449634552,0.0352826602756977],[7,7,15,3,-1,7,8,15,1,3,0.001761525054462254,-0.0555830709636211,0.0741584524512291],[2,11,7,4,-1,2,13,7,2,2,-0.0211346503347158,0.2513059079647064,-0.0403546392917633],[8,3,11,12,-1,8,6,11,6,2,0.029759369790554,0.0380295403301716,-0.1422636955976486],[2,4,12,4,-1,2,4,6,2,2,8,6,6,2,2,0.014866080135107,-0.0397216901183128,0.2752254009246826],[19,2,3,12,-1,20,3,1,12,3,-0.0358294285833836,-0.3345197141170502,0.009683924727141857],[1,6,12,4,-1,1,6,6,2,2,7,8,6,2,2,-0.0032887340057641268,-0.1425821930170059,0.0685762092471123],[9,9,13,3,-1,9,10,13,1,3,0.0427148789167404,-0.0142404399812222,0.3876529932022095],[0,5,12,6,-1,0,5,6,3,2,6,8,6,3,2,0.0012328879674896598,0.078623853623867,-0.1186942011117935],[11,0,3,13,-1,12,0,1,13,3,-0.0104476204141974,-0.1488299071788788,0.0315711684525013],[8,0,3,13,-1,9,0,1,13,3,0.0126563599333167,-0.0465724617242813,0.262126088142395],[14,6,8,8,-1,14,10,8,4,2,0.0498497188091278,0.0170153398066759,-0.1426873058080673],[0,8,8,6,-1,0,10,8,2,3,-0.0186072401702404,0.2333865016698837,-0.0470949411392212],[9,9,13,3,-1,9,10,13,1,3,-0.0543973706662655,-0.405113011598587,0.008160647004842758],[0,9,13,3,-1,0,10,13,1,3,0.002915390068665147,-0.0893139466643333,0.1333537995815277],[4,14,14,4,-1,11,14,7,2,2,4,16,7,2,2,-0.00591540802270174,-0.2041452974081039,0.0484757013618946],[0,3,6,6,-1,2,3,2,6,3,-0.001984132919460535,0.1342810988426209,-0.0758927911520004],[2,6,20,4,-1,7,6,10,4,2,-0.004404752049595118,0.0418521389365196,-0.1011909022927284],[2,7,6,6,-1,4,7,2,6,3,0.017982879653573,0.0439786799252033,-0.2505401968955994],[15,8,6,10,-1,17,8,2,10,3,-0.0780595019459724,-0.3302507102489471,0.006308942101895809],[1,8,6,10,-1,3,8,2,10,3,0.0072548650205135345,-0.1087217032909393,0.0994110181927681],[9,9,13,3,-1,9,10,13,1,3,-0.002787186997011304,0.1365929991006851,-0.0847996398806572],[6,8,4,6,-1,6,8,4,3,2,-0.009379841387271881,-0.1187245026230812,0.0791080594062805],[16,5,6,13,-1,16,5,3,13,2,-0.054926410317421,0.1438207030296326,-0.0300722699612379],[0,5,6,13,-1,3,5,3,13,2,-0.004421907942742109,0.1066642999649048,-0.1083810031414032],[4,10,18,2,-1,4,10,9,2,2,0.0010763059835880995,0.0273809898644686,-0.0554460510611534],[0,7,21,7,-1,7,7,7,7,3,-0.0725140124559402,-0.1089344993233681,0.100975401699543],[5,6,12,12,-1,9,6,4,12,3,-0.1647219061851502,0.3036536872386932,-0.0436662100255489],[10,4,10,3,-1,9,5,10,1,3,0.0798378065228462,-0.0108286803588271,0.8997743725776672],[9,9,9,7,-1,12,9,3,7,3,-0.0005241361213847995,0.0852306336164474,-0.1205397993326187],[11,5,9,4,-1,14,8,3,4,3,-0.0216322708874941,-0.2109203934669495,0.0655825436115265],[12,3,3,10,-1,12,3,3,5,2,0.12691530585289,-0.004593574907630682,0.4508964121341705],[8,3,12,2,-1,8,3,6,2,2,0.0954723507165909,-0.0207988992333412,0.5247465968132019],[14,6,4,8,-1,14,10,4,4,2,-0.0829360783100128,0.8497673869132996,-0.005051050800830126],[4,6,4,8,-1,4,10,4,4,2,0.0077482969500124454,-0.0553182885050774,0.1714583039283752],[6,0,11,12,-1,6,3,11,6,2,-0.0217684395611286,-0.1594793051481247,0.0608737990260124],[8,0,6,6,-1,8,3,6,3,2,-0.0001107260977732949,0.078877292573452,-0.1317763030529022],[10,0,10,4,-1,10,0,5,4,2,0.0031122909858822823,-0.0430468395352364,0.0623925812542439],[2,0,10,4,-1,7,0,5,4,2,-0.00286929402500391,0.1374697983264923,-0.0804942175745964],[10,3,8,8,-1,14,3,4,4,2,10,7,4,4,2,0.1057576015591621,0.0010569440200924873,-0.9999381899833679],[4,3,8,8,-1,4,3,4,4,2,8,7,4,4,2,0.046192679554224,0.0172280203551054,-0.5260491967201233],[2,9,18,5,-1,8,9,6,5,3,-0.2547619044780731,-0.629272997379303,0.0136986197903752],[0,15,16,3,-1,0,16,16,1,3,-0.00273740291595459,0.1274753957986832,-0.0695915222167969],[6,16,12,2,-1,6,17,12,1,2,0.0021854760125279427,0.0418547615408897,-0.2648145854473114],[3,0,4,8,-1,3,4,4,4,2,-0.0240507107228041,-0.2619110941886902,0.0344899408519268],[15,6,6,6,-1,13,8,6,2,3,0.1021142974495888,-0.0153028601780534,0.3999275863170624],[7,6,6,6,-1,9,8,2,6,3,0.1028165966272354,-0.0290206708014011,0.3688715994358063],[13,12,6,6,-1,13,14,6,2,3,0.0392064899206162,0.008904501795768738,-0.4324299991130829],[3,12,6,6,-1,3,14,6,2,3,-0.0378308594226837,-0.6273121237754822,0.0148828299716115],[8,13,14,4,-1,8,14,14,2,2,0.0125078903511167,-0.0178650598973036,0.1415614038705826],[0,13,14,4,-1,0,14,14,2,2,-0.0154775902628899,0.3167665004730225,-0.0335108302533627],[3,13,17,2,-1,3,14,17,1,2,-0.004588569980114698,-0.1522215008735657,0.0732118636369705],[4,6,12,4,-1,8,6,4,4,3,-0.0205059703439474,0.117253802716732,-0.0974579229950905],[8,7,9,4,-1,11,7,3,4,3,-0.1309832036495209,0.5433806777000427,-0.005880312994122505],[10,0,6,8,-1,8,2,6,4,2,0.0478882789611816,-0.0271208100020885,0.357236385345459],[9,2,12,12,-1,9,6,12,4,3,0.2544153034687042,0.002568094991147518,-0.9998825788497925],[11,0,6,3,-1,10,1,6,1,3,0.0020652529783546925,-0.0942550003528595,0.1006835997104645],[13,1,3,7,-1,14,2,1,7,3,0.0301417801529169,-0.015984520316124,0.242095097899437],[2,3,12,9,-1,6,6,4,3,9,0.1230550035834312,0.0439024604856968,-0.2904686033725739],[19,2,3,12,-1,20,3,1,12,3,0.0114368898794055,0.031826701015234,-0.1056960970163345],[3,5,12,5,-1,7,5,4,5,3,0.014229659922421,-0.0645187273621559,0.1617898941040039],[13,1,3,7,-1,14,2,1,7,3,-0.0198080390691757,0.2090989947319031,-0.0272454600781202],[9,1,7,3,-1,8,2,7,1,3,-0.0326347090303898,-0.4626514911651611,0.023877989500761],[9,7,8,6,-1,13,7,4,3,2,9,10,4,3,2,0.0815682113170624,-0.0109838200733066,0.745175302028656],[4,14,14,4,-1,4,15,14,2,2,0.0017331159906461835,0.0628325790166855,-0.1580016016960144],[10,14,6,4,-1,10,14,3,4,2,0.00415245583280921,0.0285209491848946,-0.0839238166809082],[6,14,6,4,-1,9,14,3,4,2,0.00020917340589221567,-0.1653665006160736,0.0831703767180443],[14,0,4,16,-1,16,0,2,8,2,14,8,2,8,2,-0.0006955016870051622,0.0572988986968994,-0.0986681282520294],[0,15,20,3,-1,5,15,10,3,2,0.1011473014950752,-0.027031859382987,0.509372889995575],[16,5,3,13,-1,17,5,1,13,3,0.0203715302050114,-0.0159913394600153,0.2111019045114517],[2,6,13,8,-1,2,10,13,4,2,0.1949035972356796,0.0111691495403647,-0.8062657713890076],[16,5,3,13,-1,17,5,1,13,3,-0.0015187750104814768,0.0886704325675964,-0.0657796934247017],[7,12,7,4,-1,7,14,7,2,2,-0.00002230028076155577,0.0702371001243591,-0.1365679949522018],[15,1,4,9,-1,15,4,4,3,3,0.007024181075394154,0.0452642701566219,-0.1224663034081459],[0,4,16,2,-1,0,5,16,1,2,-0.005851373076438904,0.1454869955778122,-0.0775128677487373],[8,4,12,2,-1,8,5,12,1,2,-0.0122288698330522,-0.1576232016086578,0.0330916009843349],[6,3,9,15,-1,9,8,3,5,9,-0.2747533917427063,0.4141589999198914,-0.0233061797916889],[12,3,3,8,-1,12,7,3,4,2,-0.00830733124166727,-0.0661589726805687,0.0454233698546886],[5,6,12,4,-1,5,6,6,2,2,11,8,6,2,2,0.014967099763453,0.0395800210535526,-0.2447497993707657],[16,3,3,14,-1,17,3,1,14,3,0.00351219205185771,-0.0326085910201073,0.0720805525779724],[3,3,3,14,-1,4,3,1,14,3,0.006067619193345308,-0.0662842467427254,0.1645577996969223],[0,4,22,4,-1,11,4,11,2,2,0,6,11,2,2,-0.006094884127378464,-0.1678411960601807,0.068097747862339],[1,4,4,9,-1,1,7,4,3,3,-0.00447105010971427,0.1434886008501053,-0.0752860531210899],[7,13,12,4,-1,7,15,12,2,2,0.0276299994438887,-0.0060715568251907825,0.462352991104126],[3,13,12,4,-1,3,15,12,2,2,-0.004177834838628769,-0.0944801867008209,0.1026868969202042],[11,14,6,4,-1,11,16,6,2,2,-0.0001499701029388234,0.0459039695560932,-0.1268998980522156],[1,0,13,3,-1,1,1,13,1,3,0.009342165663838387,-0.047851350158453,0.2377692013978958],[11,0,6,4,-1,11,2,6,2,2,-0.009045479819178581,-0.1488175988197327,0.0257176607847214],[4,14,14,4,-1,4,14,7,2,2,11,16,7,2,2,-0.0010563050163909793,-0.124652199447155,0.0821189433336258],[6,0,12,2,-1,6,1,12,1,2,-0.0156021695584059,0.3047155141830444,-0.0245032906532288],[5,0,6,4,-1,5,2,6,2,2,-0.008958861231803894,-0.2362405955791473,0.0462901405990124],[11,0,3,6,-1,12,1,1,6,3,-0.007645292207598686,0.1139314025640488,-0.0265730600804091],[11,0,6,3,-1,10,1,6,1,3,-0.0192949008196592,0.2882001996040344,-0.0359068810939789],[7,12,8,6,-1,9,12,4,6,2,0.008625028654932976,0.0610060207545757,-0.1683263033628464],[1,1,5,10,-1,1,6,5,5,2,0.0258834902197123,-0.0401428490877151,0.2326312065124512],[13,0,2,12,-1,13,6,2,6,2,-0.0749461129307747,0.7116879820823669,-0.006023740861564875],[7,0,2,12,-1,7,6,2,6,2,-0.0002680812031030655,0.0777179002761841,-0.1535875052213669],[12,1,8,14,-1,16,1,4,7,2,12,8,4,7,2,0.0610414408147335,-0.0340701602399349,0.2583329081535339],[1,0,8,10,-1,1,0,4,5,2,5,5,4,5,2,-0.004792064893990755,-0.1507782936096191,0.084577240049839],[6,6,16,4,-1,10,6,8,4,2,-0.1261063069105148,-0.4840453863143921,0.008696543984115124],[1,14,13,2,-1,1,15,13,1,2,-0.0228792708367109,0.677341878414154,-0.0148561000823975],[2,7,20,3,-1,7,7,10,3,2,-0.0006276051281020045,0.0509103499352932,-0.1407644003629684],[11,2,9,4,-1,14,5,3,4,3,-0.0105431796982884,-0.0907072499394417,0.1128190010786057],[6,5,13,2,-1,6,6,13,1,2,-0.0024953829124569893,0.0895237624645233,-0.0755412876605988],[3,0,6,15,-1,6,0,3,15,2,0.0609861500561237,-0.0320069789886475,0.3300091028213501]]],[28,-30.55500030517578,[[3,12,8,6,-1,5,12,4,6,2,-0.0412418097257614,0.2484184056520462,-0.0698791295289993],[13,1,4,7,-1,14,2,2,7,2,-0.0746634975075722,-0.7543368935585022,0.004049370996654034],[9,1,7,4,-1,8,2,7,2,2,-0.0238036792725325,0.2431309968233109,-0.0452839285135269],[11,11,6,4,-1,11,13,6,2,2,0.0320286191999912,-0.0122305396944284,0.3981122076511383],[0,12,8,6,-1,0,12,4,3,2,4,15,4,3,2,0.00038454410969279706,0.0692448392510414,-0.172887995839119],[11,11,6,4,-1,11,13,6,2,2,-0.0020599530544131994,0.0450832508504391,-0.0638244822621346],[2,6,6,12,-1,2,6,3,6,2,5,12,3,6,2,0.0591745004057884,0.0137560898438096,0.5806397795677185],[11,11,6,4,-1,11,13,6,2,2,-0.00812045019119978,-0.0790601968765259,0.0320978797972202],[5,11,9,4,-1,8,11,3,4,3,-0.005436244886368513,0.0802850127220154,-0.1388078927993774],[8,13,9,5,-1,11,13,3,5,3,0.0407687798142433,0.0352651290595531,-0.1682104021310806],[3,15,8,3,-1,7,15,4,3,2,-0.0107057699933648,-0.1322779953479767,0.0971477031707764],[4,12,14,6,-1,11,12,7,3,2,4,15,7,3,2,-0.0021374409552663565,-0.1113512963056564,0.1050119996070862],[2,15,8,3,-1,6,15,4,3,2,-0.006006903015077114,0.0797014236450195,-0.1450355052947998],[11,11,6,4,-1,11,13,6,2,2,0.006858435925096273,-0.02862917073071,0.1549434959888458],[6,5,6,7,-1,8,5,2,7,3,0.00843087024986744,-0.0687258765101433,0.1357143968343735],[8,4,9,12,-1,11,8,3,4,9,-0.0319182090461254,-0.0900216475129128,0.0701727569103241],[5,4,9,12,-1,8,8,3,4,9,0.1434696018695831,0.0379361994564533,-0.3384973108768463],[14,12,6,4,-1,14,14,6,2,2,-0.0535015314817429,-1,-0.0013069049455225468],[2,12,6,4,-1,2,14,6,2,2,-0.00043198501225560904,0.0631404593586922,-0.1489108055830002],[9,6,6,8,-1,11,6,2,8,3,-0.0368255116045475,0.1641896069049835,-0.0365471988916397],[7,4,8,6,-1,7,6,8,2,3,-0.0932306125760078,-0.8185548186302185,0.0104887299239635],[13,7,6,4,-1,13,7,6,2,2,-0.007588650099933147,0.0961899235844612,-0.0323927290737629],[10,2,12,3,-1,9,3,12,1,3,0.0019316580146551132,-0.097133457660675,0.0968365371227264],[12,4,6,6,-1,14,6,2,6,3,-0.1761084944009781,-1,0.0003906486090272665],[10,4,6,6,-1,8,6,6,2,3,-0.0045753358863294125,-0.1424594074487686,0.0726295337080956],[11,5,3,9,-1,12,6,1,9,3,-0.0715556964278221,0.7012476921081543,-0.008119278587400913],[4,0,16,2,-1,4,0,16,1,2,-0.005193918943405151,-0.1759340018033981,0.0669202581048012],[12,12,8,3,-1,12,12,4,3,2,0.00974101759493351,-0.0406328588724136,0.153662696480751],[10,0,12,6,-1,13,3,6,6,2,-0.0191977303475142,0.0884047225117683,-0.1111958995461464],[9,2,4,6,-1,9,5,4,3,2,0.007771397940814495,-0.0515310801565647,0.2334187030792236],[0,2,18,9,-1,6,5,6,3,9,0.0467417798936367,0.0586589500308037,-0.2182534039020538],[16,2,3,9,-1,17,3,1,9,3,-0.0670518204569817,-0.7696895003318787,0.002273333026096225],[6,2,9,3,-1,5,3,9,1,3,0.0104036098346114,-0.0572082698345184,0.1987476944923401],[10,1,12,4,-1,14,1,4,4,3,0.0681366175413132,0.010924750007689,-0.235147699713707],[0,1,12,4,-1,4,1,4,4,3,0.005546273197978735,0.0764302089810371,-0.1504815071821213],[6,14,12,4,-1,12,14,6,2,2,6,16,6,2,2,0.0358278900384903,0.005233020056039095,-0.9050955772399902],[4,2,13,3,-1,4,3,13,1,3,0.0100990803912282,-0.0494383499026299,0.1923664957284927],[7,2,13,3,-1,7,3,13,1,3,-0.0007300035213120282,0.0800386890769005,-0.0598758608102798],[1,12,20,2,-1,11,12,10,2,2,-0.0626273080706596,-0.6877195239067078,0.0144093399867415],[5,2,12,3,-1,9,2,4,3,3,0.004146360792219639,0.0620688796043396,-0.1413860023021698],[4,8,14,9,-1,11,8,7,9,2,-0.1413605958223343,0.5943986773490906,-0.0169105306267738],[10,2,4,8,-1,10,2,2,8,2,0.0701470673084259,0.0035781029146164656,-0.8454138040542603],[8,2,4,8,-1,10,2,2,8,2,0.0018181180348619819,-0.0590311288833618,0.1770997941493988],[16,1,2,16,-1,16,9,2,8,2,0.0631495416164398,-0.007969151251018047,0.2457547038793564],[2,8,9,4,-1,5,8,3,4,3,0.0017065559513866901,-0.1377667933702469,0.0722865983843803],[16,1,2,16,-1,16,9,2,8,2,-0.0418441593647003,-0.1020454987883568,0.0194128807634115],[4,1,2,16,-1,4,9,2,8,2,0.0618760287761688,0.017572570592165,-0.5961120128631592],[10,7,8,6,-1,14,7,4,3,2,10,10,4,3,2,0.0862066075205803,-0.008324669674038887,0.5927473902702332],[4,7,8,6,-1,4,7,4,3,2,8,10,4,3,2,0.015561250038445,0.0559087917208672,-0.2017468065023422],[12,8,2,7,-1,12,8,1,7,2,0.001968336058780551,0.0841097831726074,-0.0951142832636833],[5,8,6,8,-1,5,8,3,4,2,8,12,3,4,2,-0.0032295130658894777,0.1985978931188583,-0.0603710412979126],[12,8,2,7,-1,12,8,1,7,2,0.0438614599406719,-0.007549563888460398,0.2778531014919281],[10,8,7,2,-1,10,8,7,1,2,-0.0007158804219216108,0.1067167967557907,-0.1160534024238586],[5,9,13,8,-1,5,11,13,4,2,-0.0115850800648332,0.1392320990562439,-0.0726817175745964],[7,9,4,9,-1,9,9,2,9,2,-0.0241320300847292,-0.3434329926967621,0.0285876393318176],[9,6,6,10,-1,11,6,2,10,3,-0.00596701679751277,0.0628549680113792,-0.0632379129528999],[7,6,6,10,-1,9,6,2,10,3,-0.0572982616722584,0.3351210057735443,-0.0344256795942783],[6,0,14,6,-1,13,0,7,3,2,6,3,7,3,2,-0.1444053053855896,-1,-0.00020486500579863787],[2,0,14,6,-1,2,0,7,3,2,9,3,7,3,2,-0.0161520093679428,-0.1801726073026657,0.0606980808079243],[3,6,16,3,-1,3,7,16,1,3,0.0003113234124612063,-0.0873939692974091,0.1081447973847389],[1,6,15,3,-1,1,7,15,1,3,-0.003490513889119029,0.1308909952640533,-0.082502506673336],[8,5,8,4,-1,8,7,8,2,2,-0.051078200340271,-0.6674498915672302,0.009767080657184124],[2,4,12,10,-1,8,4,6,10,2,0.2302789986133575,0.008931868709623814,-0.8889254927635193],[7,0,14,16,-1,7,0,7,16,2,0.0332602895796299,-0.0388468205928802,0.1187155023217201],[1,1,18,3,-1,10,1,9,3,2,0.0036332090385258198,-0.0818652883172035,0.1200636997818947],[8,8,12,2,-1,8,8,6,2,2,-0.00013659459364134818,0.0290940403938293,-0.086412712931633],[8,1,6,4,-1,11,1,3,4,2,0.004266383126378059,0.0596425905823708,-0.1677787005901337],[11,0,4,10,-1,12,1,2,10,2,-0.0377263687551022,0.2520141899585724,-0.0114804599434137],[11,0,10,4,-1,10,1,10,2,2,-0.0377239510416985,0.3615080118179321,-0.0251649804413319],[13,7,9,4,-1,16,7,3,4,3,-0.0352175310254097,-0.2076825946569443,0.0156594999134541],[11,1,6,2,-1,11,1,6,1,2,-0.0262501500546932,0.6436303853988647,-0.0139710800722241],[8,8,12,2,-1,8,8,6,2,2,0.0711328312754631,0.005070141050964594,-0.8105366826057434],[7,12,6,5,-1,10,12,3,5,2,0.002835876075550914,0.0800347328186035,-0.1176605001091957],[10,7,9,11,-1,13,7,3,11,3,0.0034837881103157997,0.0697094574570656,-0.1213672012090683],[6,15,8,3,-1,10,15,4,3,2,0.000029538539820350707,-0.170905202627182,0.0700920671224594],[19,3,2,12,-1,19,3,1,12,2,0.0263452306389809,-0.0110464496538043,0.3546783924102783],[1,3,2,12,-1,2,3,1,12,2,0.00033180779428221285,-0.0897638499736786,0.1040273979306221],[11,1,9,10,-1,14,1,3,10,3,0.009960798546671867,-0.1057467013597488,0.0874811634421349],[1,3,16,6,-1,5,3,8,6,2,0.0690684765577316,-0.0231357607990503,0.377659797668457],[7,1,12,12,-1,11,1,4,12,3,-0.0338048711419106,-0.0800529271364212,0.0661719888448715],[2,8,12,2,-1,8,8,6,2,2,-0.002110389992594719,0.0729132369160652,-0.1698666960000992],[14,7,3,10,-1,14,12,3,5,2,0.0716755837202072,-0.0226680207997561,0.4375745952129364],[1,15,18,3,-1,10,15,9,3,2,-0.0176371298730373,0.1471055001020432,-0.0776481479406357],[9,0,13,3,-1,9,1,13,1,3,0.002155943075194955,-0.0445614792406559,0.0806162506341934],[5,0,12,3,-1,5,1,12,1,3,-0.002992337103933096,0.1601323038339615,-0.0726281702518463],[12,1,2,15,-1,12,1,1,15,2,-0.0283516198396683,-0.2483552992343903,0.007849362678825855],[8,1,2,15,-1,9,1,1,15,2,-0.005384241230785847,-0.1329039037227631,0.0786153525114059],[12,2,3,13,-1,13,2,1,13,3,0.0165137201547623,-0.0308675803244114,0.2291049957275391],[1,6,4,8,-1,3,6,2,8,2,-0.0234800595790148,-0.3465690016746521,0.0284779109060764],[17,1,4,12,-1,19,1,2,6,2,17,7,2,6,2,0.0648044571280479,0.003268118016421795,-0.8184831738471985],[1,1,4,12,-1,1,1,2,6,2,3,7,2,6,2,0.0029363438952714205,0.0683719962835312,-0.1603825986385346],[17,0,4,7,-1,17,0,2,7,2,0.0193526390939951,0.0123308096081018,-0.1775151044130325],[1,0,4,7,-1,3,0,2,7,2,-0.0014157049590721726,0.1624874025583267,-0.0848219692707062],[12,2,3,13,-1,13,2,1,13,3,-0.0321656800806522,0.2549557983875275,-0.0153878200799227],[7,4,5,9,-1,7,7,5,3,3,0.0998839288949966,0.0116309802979231,-0.8693922162055969],[12,2,3,13,-1,13,2,1,13,3,-0.0008550985949113965,0.0375091396272182,-0.0413151308894157],[7,2,3,13,-1,8,2,1,13,3,0.0199486799538136,-0.0332114398479462,0.2654669880867004],[3,5,17,4,-1,3,6,17,2,2,-0.0168213602155447,-0.1950453072786331,0.045578271150589],[2,3,18,3,-1,2,4,18,1,3,-0.0816850811243057,0.8082371950149536,-0.0100283799692988],[11,11,6,4,-1,11,13,6,2,2,-0.0003946711076423526,0.0378688685595989,-0.0743217021226883],[5,11,6,4,-1,5,13,6,2,2,-0.0419395789504051,-0.753102719783783,0.0124947801232338],[15,5,6,4,-1,15,5,6,2,2,0.1231978014111519,0.0015212129801511765,-0.8745682835578918],[7,5,4,6,-1,7,5,2,6,2,0.004316234961152077,0.0959173664450645,-0.0982868820428848],[13,1,8,8,-1,15,1,4,8,2,0.0017064419807866216,-0.0672838464379311,0.0583726689219475],[3,1,12,12,-1,7,1,4,12,3,0.068853497505188,0.0398532710969448,-0.2701404094696045],[14,2,4,12,-1,14,2,2,12,2,0.0015133110573515296,0.0368038304150105,-0.0786387771368027],[4,2,4,12,-1,6,2,2,12,2,0.0166717004030943,-0.0522084794938564,0.2547613978385925],[15,0,2,14,-1,15,0,1,14,2,-0.0024927379563450813,-0.0683529227972031,0.0391825288534164],[5,0,2,14,-1,6,0,1,14,2,0.0017946650041267276,0.0756416171789169,-0.1844301968812943],[15,1,7,15,-1,15,6,7,5,3,0.0657645165920258,-0.0279573798179626,0.1377072930335999],[6,1,7,6,-1,4,3,7,2,3,-0.0324156284332275,0.2495771944522858,-0.0384017415344715],[1,4,20,14,-1,11,4,10,7,2,1,11,10,7,2,0.1598522067070007,0.0231395307928324,-0.4587697982788086],[1,2,6,8,-1,3,2,2,8,3,0.0330030508339405,-0.0285496506839991,0.3648226857185364],[15,0,2,13,-1,15,0,1,13,2,0.008329241536557674,0.0234221108257771,-0.129927396774292],[2,1,9,10,-1,5,1,3,10,3,-0.1470738053321838,-1,0.0103427702561021],[9,9,6,6,-1,11,9,2,6,3,0.1062593013048172,0.002890158910304308,-0.621051013469696],[5,5,8,4,-1,5,5,8,2,2,0.0479050017893314,-0.0254373103380203,0.3859503865242004],[5,8,14,4,-1,5,9,14,2,2,0.0435629487037659,0.0129636703059077,-0.315745085477829],[0,7,20,2,-1,10,7,10,2,2,-0.0664015114307404,0.3718433976173401,-0.0242482293397188],[8,0,10,10,-1,8,0,5,10,2,0.0010357169667258859,-0.0338571593165398,0.0728181377053261],[4,0,10,10,-1,9,0,5,10,2,-0.1001026034355164,-0.2616243064403534,0.0405613481998444],[5,1,15,10,-1,10,1,5,10,3,-0.1402942985296249,0.1618638038635254,-0.0374638698995113],[0,9,18,4,-1,0,10,18,2,2,-0.036629181355238,-0.3798868954181671,0.0224937591701746],[8,8,10,6,-1,8,10,10,2,3,0.1852793991565704,-0.0034648380242288113,0.9997292160987854],[4,8,10,6,-1,4,10,10,2,3,0.0134529303759336,0.0661910176277161,-0.1520805060863495],[11,6,10,12,-1,11,10,10,4,3,0.0846280604600906,-0.032134260982275,0.2287780046463013],[8,5,4,8,-1,8,5,4,4,2,-0.0875683724880219,0.4322968125343323,-0.0247350297868252],[17,8,5,6,-1,17,11,5,3,2,0.026502339169383,0.0235266294330359,-0.2984949946403503],[8,11,4,7,-1,10,11,2,7,2,-0.0182730592787266,0.508780300617218,-0.019735949113965],[9,5,12,3,-1,9,6,12,1,3,-0.001199536956846714,0.0748677626252174,-0.0738613903522491],[2,9,13,3,-1,2,10,13,1,3,0.0313812308013439,-0.0262804795056582,0.3658395111560822],[3,13,16,3,-1,3,13,8,3,2,0.0231786705553532,0.0371552594006062,-0.2546856999397278],[5,12,8,4,-1,9,12,4,4,2,-0.0136446999385953,0.207176998257637,-0.042792771011591],[14,8,6,9,-1,14,11,6,3,3,0.007831527851521969,0.0360285192728043,-0.0803370401263237],[4,10,12,3,-1,4,11,12,1,3,-0.0100357802584767,-0.2225376963615418,0.0429500304162502],[6,7,11,9,-1,6,10,11,3,3,-0.0511321313679218,0.3058665096759796,-0.0270545892417431],[4,1,9,4,-1,7,4,3,4,3,-0.0695447027683258,0.3468846082687378,-0.031736221164465],[12,1,9,9,-1,15,1,3,9,3,-0.0240793600678444,0.1329156011343002,-0.0302777793258429],[1,1,9,9,-1,4,1,3,9,3,-0.006663051899522543,-0.1847348064184189,0.0787502527236938],[14,1,6,6,-1,16,1,2,6,3,0.0431476905941963,-0.00915665365755558,0.2948581874370575],[4,6,4,6,-1,6,6,2,6,2,-0.0138083398342133,-0.2847915887832642,0.0326221883296967],[7,5,12,7,-1,10,5,6,7,2,0.1635189950466156,-0.0037377059925347567,0.5604218244552612],[3,5,12,7,-1,6,5,6,7,2,-0.0240861494094133,0.1584143042564392,-0.0662945136427879]]]];
\ No newline at end of file
+// Generated by sandbox/opencv_haarcascade_converter.js from opencv_haarcascade_upper_body.js,
+// 22x18 window, 30 stages, 2423 features, 474 tilted.
+
+tracking.type.HUMAN.data.upper_body = {"width":22,"height":18,"stages":[[-1,-1.1264339685440063,[[5,5,12,6,-1,9,5,4,6,3,0,-0.0136960297822952,0.4507646858692169,-0.4217903017997742],[7,13,10,4,-1,7,15,10,2,2,0,0.0124414497986436,0.1649325042963028,-0.747934877872467],[3,14,9,4,-1,6,14,3,4,3,0,-0.0027094660326838493,0.3100470006465912,-0.3761714100837708],[15,6,5,6,-1,15,6,5,3,2,1,-0.1000801026821137,0.761821985244751,-0.074556976556778],[0,1,22,14,-1,11,1,11,14,2,0,-0.2511411905288696,-0.6415402889251709,0.1513922065496445],[1,11,20,4,-1,6,11,10,4,2,0,-0.1051065027713776,0.7145937085151672,-0.1449857950210571],[7,6,6,5,-1,7,6,3,5,2,1,-0.0884480178356171,0.7577317953109741,-0.0685868933796883],[5,13,12,4,-1,11,13,6,2,2,5,15,6,2,2,0,0.0108749102801085,0.146106094121933,-0.5426371097564697],[7,12,8,6,-1,7,12,4,3,2,11,15,4,3,2,0,0.0126905702054501,0.1167458966374397,-0.4964945912361145],[20,0,2,18,-1,20,9,2,9,2,0,-0.0321983993053436,-0.3852939009666443,0.0984379723668098],[8,6,6,12,-1,10,6,2,12,3,0,-0.003407717915251851,0.2520087063312531,-0.2238254994153976],[8,5,6,6,-1,10,5,2,6,3,0,0.0303243901580572,-0.1053444966673851,0.6573541760444641],[5,15,12,2,-1,5,16,12,1,2,0,0.004193050786852837,0.1287239938974381,-0.5316066145896912],[20,0,2,18,-1,20,9,2,9,2,0,0.0805014073848724,0.041696660220623,-0.7212303280830383],[0,0,2,18,-1,0,9,2,9,2,0,-0.0348220802843571,-0.497511088848114,0.1395993977785111],[13,7,6,4,-1,13,7,6,2,2,1,0.007551936898380518,-0.0921476781368256,0.1129434034228325],[2,14,7,4,-1,2,16,7,2,2,0,-0.0175721403211355,-0.5678442716598511,0.093572810292244],[13,7,7,4,-1,13,7,7,2,2,1,0.005201204214245081,-0.0792380794882774,0.0618789605796337],[4,6,4,12,-1,4,10,4,4,3,0,-0.0307989194989204,-0.566585123538971,0.0952714905142784],[8,4,6,10,-1,11,4,3,5,2,8,9,3,5,2,0,-0.0013465429656207561,0.2401147037744522,-0.2602663934230804]]],[0,-1.1226719617843628,[[6,8,6,10,-1,6,8,3,5,2,9,13,3,5,2,0,0.0019108939450234175,-0.4624095857143402,0.3061217069625855],[11,12,6,6,-1,11,15,6,3,2,0,0.00954640656709671,0.0919561386108398,-0.5350117087364197],[1,15,8,3,-1,5,15,4,3,2,0,-0.0434028096497059,0.5681784152984619,-0.1128493025898933],[6,9,10,4,-1,6,11,10,2,2,0,0.0503860302269459,-0.0803169310092926,0.7352185845375061],[11,5,8,3,-1,10,6,8,1,3,1,-0.0006848031771369278,0.2579864859580994,-0.2804940938949585],[0,13,22,5,-1,0,13,11,5,2,0,0.1154804974794388,0.0920655727386475,-0.7555689215660095],[2,13,14,3,-1,9,13,7,3,2,0,-0.0019348369678482413,0.2944079041481018,-0.2410271018743515],[11,5,2,10,-1,11,5,1,10,2,1,-0.0435288101434708,0.4920296967029572,-0.0396501012146473],[11,5,10,2,-1,11,5,10,1,2,1,-0.0302181504666805,0.7722792029380798,-0.0867865234613419],[14,0,8,8,-1,18,0,4,4,2,14,4,4,4,2,0,0.0245365891605616,0.0959448218345642,-0.4864296913146973],[5,0,3,10,-1,5,5,3,5,2,0,0.0239589903503656,0.1043784022331238,-0.5121983885765076],[16,0,3,12,-1,16,6,3,6,2,0,-0.0253708306699991,-0.3198154866695404,0.0914865732192993],[3,3,12,4,-1,3,3,6,2,2,9,5,6,2,2,0,-0.001860641990788281,0.2278396934270859,-0.2430797070264816],[2,2,20,3,-1,7,2,10,3,2,0,0.0225508008152246,0.0692075565457344,-0.3005428016185761],[11,7,3,8,-1,11,7,3,4,2,1,-0.049752090126276,-0.6107804775238037,0.094472773373127],[4,9,18,3,-1,4,10,18,1,3,0,-0.0266023892909288,0.5958176851272583,-0.0920460522174835],[3,3,16,14,-1,3,3,8,7,2,11,10,8,7,2,0,0.1076000034809113,0.1027851998806,-0.5430337190628052],[7,14,8,4,-1,7,14,4,4,2,0,0.0176906995475292,0.0660571381449699,-0.6321390867233276],[10,7,4,7,-1,10,7,2,7,2,1,-0.0624099187552929,0.6872419714927673,-0.0670705586671829],[11,9,6,5,-1,11,9,3,5,2,0,-0.0019801619928330183,0.0944115519523621,-0.0878194868564606],[0,6,22,4,-1,11,6,11,4,2,0,0.063668429851532,0.1153173968195915,-0.4812976121902466],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0,-0.0307978298515081,0.3585476875305176,-0.1259379982948303],[4,14,6,4,-1,4,16,6,2,2,0,-0.00018353419727645814,0.1478839963674545,-0.2854681015014648],[12,14,6,4,-1,12,16,6,2,2,0,0.0017074620118364692,0.0799296572804451,-0.2523337006568909],[4,14,6,4,-1,4,16,6,2,2,0,-0.0153251998126507,-0.5771185755729675,0.0989083275198936],[10,6,6,6,-1,12,6,2,6,3,0,0.0413891896605492,-0.065550796687603,0.5736380219459534],[9,0,11,3,-1,8,1,11,1,3,1,-0.00045577771379612386,0.2259308993816376,-0.1910558044910431],[7,0,12,4,-1,13,0,6,2,2,7,2,6,2,2,0,-0.0134556898847222,-0.4023393094539642,0.0864776223897934],[6,6,6,6,-1,8,6,2,6,3,0,-0.0379783995449543,0.5525758862495422,-0.0815410166978836],[15,5,3,8,-1,15,9,3,4,2,0,-0.0171975009143353,-0.1836300939321518,0.0519998706877232],[5,2,12,7,-1,9,2,4,7,3,0,-0.0012581580085679889,0.1883004009723663,-0.2572666108608246],[5,5,12,4,-1,9,5,4,4,3,0,0.0677251070737839,-0.0809564515948296,0.7180324196815491],[7,3,4,7,-1,7,3,2,7,2,1,0.0354894287884235,0.1006807014346123,-0.5377414226531982]]],[1,-1.012747049331665,[[2,14,6,4,-1,5,14,3,4,2,0,-0.0053695798851549625,0.2747949957847595,-0.3417896032333374],[11,4,6,6,-1,13,4,2,6,3,0,0.0006269586738198996,-0.0986466333270073,0.10728420317173],[5,14,12,4,-1,5,14,6,2,2,11,16,6,2,2,0,-0.0164842698723078,-0.6497290730476379,0.0960377529263496],[3,12,16,6,-1,11,12,8,3,2,3,15,8,3,2,0,-0.0221040993928909,-0.4598448872566223,0.1630463004112244],[1,11,20,4,-1,6,11,10,4,2,0,0.1190413981676102,-0.0996003970503807,0.7372975945472717],[9,0,10,10,-1,14,0,5,5,2,9,5,5,5,2,0,-0.0020222070161253214,0.2102926969528198,-0.2457713037729263],[8,8,4,6,-1,8,8,2,6,2,1,0.0675003528594971,-0.1246778964996338,0.576542317867279],[1,7,20,11,-1,1,7,10,11,2,0,-0.1965593993663788,-0.6089174747467041,0.0996720567345619],[9,0,12,3,-1,9,0,6,3,2,1,0.0494311712682247,0.1375274956226349,-0.455808699131012],[13,0,6,6,-1,13,0,3,6,2,0,0.0233800895512104,0.0471418909728527,-0.3502770960330963],[5,0,12,8,-1,5,2,12,4,2,0,0.0013998650247231126,-0.2064304947853088,0.2432229965925217],[14,0,8,6,-1,18,0,4,3,2,14,3,4,3,2,0,0.011432689614594,0.0551873706281185,-0.3261989951133728],[7,6,8,6,-1,9,6,4,6,2,0,0.0487750694155693,-0.0689925104379654,0.7117180824279785],[11,3,6,6,-1,13,3,2,6,3,0,0.0652840211987495,0.0037155740428715944,0.5931897163391113],[5,3,6,6,-1,7,3,2,6,3,0,0.0006160322809591889,-0.232725203037262,0.2044153064489365],[13,0,8,6,-1,17,0,4,3,2,13,3,4,3,2,0,-0.0105274999514222,-0.3177379071712494,0.1017130985856056],[0,0,8,6,-1,0,0,4,3,2,4,3,4,3,2,0,0.0162313394248486,0.0917341932654381,-0.4714300930500031],[7,0,10,6,-1,12,0,5,3,2,7,3,5,3,2,0,0.00038958500954322517,-0.1299754977226257,0.1347548961639404],[0,15,22,2,-1,11,15,11,2,2,0,-0.0441656894981861,-0.6033102869987488,0.0647668763995171],[5,14,12,4,-1,5,15,12,2,2,0,-0.0136632099747658,-0.5276284217834473,0.0634857416152954],[5,13,6,4,-1,5,15,6,2,2,0,-0.0008823185926303267,0.1451025009155273,-0.2784520089626312],[3,9,17,3,-1,3,10,17,1,3,0,-0.0278191901743412,0.4364086985588074,-0.0851918607950211],[3,8,16,10,-1,3,8,8,5,2,11,13,8,5,2,0,0.0625609904527664,0.1002788990736008,-0.4223591983318329],[9,0,10,6,-1,14,0,5,3,2,9,3,5,3,2,0,-0.00044808178790844977,0.1485148966312408,-0.177312895655632],[3,0,12,4,-1,3,0,6,2,2,9,2,6,2,2,0,-0.0213631801307201,-0.6133446097373962,0.060539398342371],[4,10,14,3,-1,4,10,7,3,2,0,-0.0691223293542862,-0.8684576153755188,0.0393477492034435],[1,14,11,4,-1,1,16,11,2,2,0,-0.0305428393185139,-0.6402171850204468,0.0495938211679459],[7,0,12,6,-1,13,0,6,3,2,7,3,6,3,2,0,-0.0101011600345373,-0.1619915068149567,0.0572568997740746],[3,0,10,6,-1,3,0,5,3,2,8,3,5,3,2,0,-0.00022010109387338161,0.2135093063116074,-0.2019899934530258]]],[2,-1.0684469938278198,[[6,0,10,3,-1,6,0,5,3,2,1,0.0057967850007116795,-0.338441789150238,0.2506627142429352],[14,8,6,4,-1,14,8,6,2,2,1,0.0637951791286469,-0.0421116203069687,0.3574657142162323],[0,2,5,16,-1,0,10,5,8,2,0,-0.0643320381641388,-0.5066078901290894,0.1171773970127106],[0,3,22,5,-1,0,3,11,5,2,0,-0.1157428994774818,-0.5667849779129028,0.0958809033036232],[6,15,8,3,-1,10,15,4,3,2,0,-0.0039005130529403687,-0.4149822890758514,0.1485832035541534],[15,0,2,14,-1,15,0,1,14,2,1,0.0125129297375679,0.0536966696381569,-0.1416396051645279],[7,0,14,2,-1,7,0,14,1,2,1,0.0015871099894866347,-0.2596234083175659,0.1941833049058914],[1,11,20,5,-1,6,11,10,5,2,0,0.1629112064838409,-0.0612437687814236,0.785672128200531],[5,3,12,9,-1,9,6,4,3,9,0,-0.3325822055339813,0.7802013158798218,-0.0440364591777325],[10,1,12,3,-1,14,1,4,3,3,0,-0.0102888997644186,-0.1528968065977097,0.0620962306857109],[0,1,12,3,-1,4,1,4,3,3,0,0.0289560295641422,0.0847077965736389,-0.4782071113586426],[14,12,4,6,-1,14,12,2,6,2,0,-0.0003222151135560125,0.1395125985145569,-0.1881939023733139],[0,10,22,7,-1,11,10,11,7,2,0,0.1583528965711594,0.0666678100824356,-0.5457236170768738],[11,2,4,11,-1,11,2,2,11,2,1,-0.0425843112170696,0.2704033851623535,-0.0566545091569424],[3,14,16,4,-1,3,14,8,2,2,11,16,8,2,2,0,0.0275051407516003,0.0492711588740349,-0.7315763831138611],[12,12,6,6,-1,14,12,2,6,3,0,0.086879700422287,-0.0175324007868767,0.867826521396637],[4,12,6,6,-1,6,12,2,6,3,0,-0.0020130439661443233,0.1659394055604935,-0.2526623010635376],[11,14,6,4,-1,11,16,6,2,2,0,0.0004233017098158598,0.0942235514521599,-0.2462970018386841],[0,0,12,4,-1,0,0,6,2,2,6,2,6,2,2,0,0.0151944998651743,0.0736956372857094,-0.5006862282752991],[15,11,4,6,-1,15,11,2,6,2,0,-0.0061203669756650925,0.2138189971446991,-0.1673810034990311],[3,11,4,6,-1,5,11,2,6,2,0,0.0206602402031422,-0.0806361585855484,0.5782834887504578],[18,5,4,7,-1,18,5,2,7,2,1,-0.0603982508182526,-0.6341177225112915,0.0508990101516247],[4,5,7,4,-1,4,5,7,2,2,1,0.0353864803910255,0.0731911510229111,-0.5642666220664978],[9,6,12,3,-1,13,6,4,3,3,0,-0.065997838973999,0.328338086605072,-0.0263102594763041],[1,6,12,3,-1,5,6,4,3,3,0,0.0011004590196534991,-0.2311460971832275,0.2020651996135712],[0,0,22,10,-1,11,0,11,5,2,0,5,11,5,2,0,0.0844881534576416,0.074589841067791,-0.4371033906936646],[2,4,14,3,-1,2,5,14,1,3,0,-0.0292359907180071,0.6506476998329163,-0.0545318387448788],[13,3,8,6,-1,17,3,4,3,2,13,6,4,3,2,0,-0.0339169502258301,-0.2880434989929199,0.0321728810667992],[4,14,14,4,-1,4,14,7,2,2,11,16,7,2,2,0,-0.007910870015621185,-0.3366037905216217,0.1010069027543068],[11,2,4,11,-1,11,2,2,11,2,1,0.0519304312765598,0.0329209603369236,-0.1317653059959412],[11,2,11,4,-1,11,2,11,2,2,1,-0.068586103618145,0.5215355753898621,-0.066718578338623],[10,7,12,3,-1,10,7,6,3,2,0,-0.0019451669650152326,0.1539679020643234,-0.1989576071500778],[9,7,4,6,-1,9,7,2,6,2,1,0.0713662281632423,-0.0829271599650383,0.4529233872890472],[3,11,16,6,-1,11,11,8,3,2,3,14,8,3,2,0,-0.0266242399811745,-0.4400973916053772,0.1026711985468864],[1,3,8,6,-1,1,3,4,3,2,5,6,4,3,2,0,0.0252660606056452,0.055799201130867,-0.5556933879852295],[5,4,12,3,-1,5,5,12,1,3,0,0.005525568965822458,-0.1364029943943024,0.2825520038604736],[7,14,8,4,-1,11,14,4,4,2,0,-0.0029929999727755785,-0.3242157101631165,0.1212206035852432],[7,3,15,3,-1,7,4,15,1,3,0,0.0221921093761921,-0.0607410185039043,0.4347316026687622],[6,8,6,4,-1,6,8,6,2,2,1,-0.009426874108612537,-0.3345840871334076,0.1002969965338707],[10,7,12,3,-1,10,7,6,3,2,0,0.003439533058553934,-0.0838299095630646,0.179259404540062],[0,7,12,3,-1,6,7,6,3,2,0,-0.003299639094620943,0.1999042928218842,-0.2106847018003464],[7,7,9,4,-1,10,7,3,4,3,0,0.0261521507054567,-0.0806674063205719,0.3558126986026764]]],[3,-1.152006983757019,[[6,2,4,16,-1,6,10,4,8,2,0,-0.0227926503866911,0.4072526097297669,-0.3360992074012756],[8,4,6,6,-1,10,4,2,6,3,0,-0.0057334620505571365,0.2688218951225281,-0.2277535051107407],[1,11,20,3,-1,6,11,10,3,2,0,0.096941202878952,-0.0809050127863884,0.7432873845100403],[14,9,6,8,-1,17,9,3,4,2,14,13,3,4,2,0,-0.0282889995723963,0.4561010897159576,-0.0610963404178619],[11,0,9,4,-1,11,0,9,2,2,1,0.0038522849790751934,-0.2524180114269257,0.2090710997581482],[11,10,6,8,-1,14,10,3,4,2,11,14,3,4,2,0,0.0023100129328668118,-0.147134006023407,0.154603898525238],[5,16,12,2,-1,5,17,12,1,2,0,0.0011361920041963458,0.1768047958612442,-0.3053728938102722],[5,9,14,4,-1,5,11,14,2,2,0,0.0249628908932209,-0.1265290975570679,0.3744265139102936],[2,9,6,8,-1,2,9,3,4,2,5,13,3,4,2,0,-0.005898409988731146,0.2673898935317993,-0.1776257008314133],[15,8,6,4,-1,15,8,3,4,2,0,0.0118049001321197,0.0660779774188995,-0.3348213136196137],[1,8,6,4,-1,4,8,3,4,2,0,0.006440015975385904,0.1099480018019676,-0.3630348145961762],[13,5,8,5,-1,13,5,4,5,2,1,-0.0894073694944382,-0.4358046054840088,0.0149443103000522],[11,5,9,2,-1,11,5,9,1,2,1,-0.0314042307436466,0.695234477519989,-0.0548542886972427],[12,6,9,12,-1,15,10,3,4,9,0,-0.146079495549202,-0.2565006017684937,0.0569565407931805],[5,10,6,8,-1,5,10,3,4,2,8,14,3,4,2,0,0.0021142649929970503,-0.2498755007982254,0.1679255962371826],[9,5,5,12,-1,9,8,5,6,2,0,-0.0151193598285317,-0.3017987012863159,0.1039358973503113],[11,5,9,2,-1,11,5,9,1,2,1,0.0256209596991539,-0.074821300804615,0.536007821559906],[5,0,15,12,-1,10,4,5,4,9,0,-0.1441780030727387,-0.2049089968204498,0.0744577869772911],[1,13,8,5,-1,5,13,4,5,2,0,0.0259547792375088,-0.0905748680233955,0.4844220876693726],[14,8,6,4,-1,14,8,3,4,2,1,-0.021130720153451,-0.2268981039524078,0.0648760572075844],[8,8,4,6,-1,8,8,4,3,2,1,0.0164744593203068,0.1076800003647804,-0.3657059967517853],[7,0,12,9,-1,11,3,4,3,9,0,0.1092215031385422,0.0568273514509201,-0.3472855985164642],[7,13,6,4,-1,7,15,6,2,2,0,-0.00007458106119884178,0.1390427052974701,-0.259426087141037],[10,7,6,10,-1,13,7,3,5,2,10,12,3,5,2,0,-0.0277536008507013,0.3811129927635193,-0.0428961291909218],[6,7,6,10,-1,6,7,3,5,2,9,12,3,5,2,0,0.0327214300632477,-0.0908721536397934,0.3928917944431305],[7,0,12,2,-1,7,0,6,2,2,0,0.005560625810176134,0.084002248942852,-0.1939603984355927],[2,0,18,9,-1,2,3,18,3,3,0,-0.1071029007434845,-0.5898147225379944,0.056862760335207],[12,2,6,15,-1,12,2,3,15,2,0,-0.008051762357354164,0.1179059967398644,-0.1159565970301628],[4,2,6,15,-1,7,2,3,15,2,0,-0.1385001987218857,-0.9080532193183899,0.0414113588631153],[7,12,12,4,-1,7,13,12,2,2,0,0.0286209192126989,0.0199285894632339,-0.7369766235351562],[4,4,4,14,-1,4,4,2,7,2,6,11,2,7,2,0,0.026208970695734,-0.0615775510668755,0.6089993119239807],[12,6,9,12,-1,15,10,3,4,9,0,0.026527039706707,0.057193860411644,-0.0629923269152641],[1,6,9,12,-1,4,10,3,4,9,0,-0.0446224883198738,-0.3331815004348755,0.0932145714759827],[13,6,8,12,-1,17,6,4,6,2,13,12,4,6,2,0,-0.0142831197008491,0.1912523061037064,-0.1153056994080544],[7,14,8,3,-1,11,14,4,3,2,0,-0.0019681209232658148,-0.3129512071609497,0.0996828079223633],[5,5,12,3,-1,9,5,4,3,3,0,0.0528510808944702,-0.0589195489883423,0.5788791179656982],[10,0,2,18,-1,10,6,2,6,3,0,-0.00637118611484766,0.1918219029903412,-0.1909454017877579],[4,14,14,2,-1,4,14,7,2,2,0,-0.006472791079431772,-0.2472103983163834,0.1225292980670929],[3,0,6,4,-1,6,0,3,4,2,0,-0.0166909899562597,-0.4917466044425964,0.0503151006996632],[13,12,6,4,-1,13,12,3,4,2,0,-0.0148824099451303,0.1964661031961441,-0.0582503899931908],[1,0,8,4,-1,5,0,4,4,2,0,0.017529709264636,0.0763574987649918,-0.3655926883220673],[7,9,14,4,-1,14,9,7,2,2,7,11,7,2,2,0,0.0422213897109032,-0.0315604917705059,0.3601126968860626],[1,0,8,18,-1,1,0,4,9,2,5,9,4,9,2,0,-0.0655817463994026,0.3433471024036408,-0.0885569602251053],[13,8,6,4,-1,13,8,3,4,2,1,0.0167032107710838,0.0482100397348404,-0.1527362018823624],[9,8,4,6,-1,9,8,4,3,2,1,-0.006932874210178852,-0.3057363927364349,0.1182114034891129]]],[4,-1.0648390054702759,[[3,13,6,4,-1,6,13,3,4,2,0,-0.006343443877995014,0.3384028077125549,-0.3347485065460205],[11,4,6,7,-1,13,4,2,7,3,0,0.005247254855930805,-0.0935965329408646,0.1679117977619171],[6,8,6,4,-1,6,8,3,4,2,1,-0.0365850888192654,0.5367609858512878,-0.0854335278272629],[10,7,12,5,-1,13,7,6,5,2,0,0.005315369926393032,-0.1280411928892136,0.1444391012191773],[3,5,12,3,-1,9,5,6,3,2,0,-0.0039569609798491,0.1860544979572296,-0.2231141030788422],[13,5,4,6,-1,13,8,4,3,2,0,0.0339654199779034,0.0278357099741697,-0.5120338797569275],[5,5,4,6,-1,5,8,4,3,2,0,-0.0148528795689344,-0.4681495130062103,0.1135156005620956],[13,12,6,6,-1,15,12,2,6,3,0,-0.0029641329310834408,0.2659179866313934,-0.2818377017974854],[10,2,4,10,-1,10,2,4,5,2,1,-0.1079559028148651,-0.5752769708633423,0.1099163964390755],[13,12,6,6,-1,15,12,2,6,3,0,0.021237600594759,-0.10451590269804,0.466137707233429],[3,12,6,6,-1,5,12,2,6,3,0,-0.0261896401643753,0.4254482090473175,-0.0922789126634598],[11,12,6,6,-1,11,14,6,2,3,0,-0.0350105613470078,-0.7180119752883911,0.0728772506117821],[5,12,8,6,-1,5,12,4,3,2,9,15,4,3,2,0,0.00001502661962149432,-0.2719976007938385,0.106821596622467],[5,11,12,6,-1,11,11,6,3,2,5,14,6,3,2,0,-0.0277602504938841,-0.5018569231033325,0.1011821031570435],[0,9,22,8,-1,0,9,11,4,2,11,13,11,4,2,0,-0.0374391786754131,-0.3714151978492737,0.0837090387940407],[6,9,13,3,-1,6,10,13,1,3,0,-0.0141522595658898,0.3098280131816864,-0.0737676620483398],[0,2,8,6,-1,0,2,4,3,2,4,5,4,3,2,0,-0.0123310796916485,-0.3950768113136292,0.0832151770591736],[4,9,16,3,-1,4,10,16,1,3,0,0.002666634973138571,-0.1377612948417664,0.2424568980932236],[4,9,12,3,-1,4,10,12,1,3,0,-0.002944319974631071,0.2446078062057495,-0.1393789052963257],[16,2,5,16,-1,16,10,5,8,2,0,-0.1578892022371292,-0.5683224201202393,0.0361407212913036],[6,13,7,4,-1,6,15,7,2,2,0,0.0021553030237555504,0.0836605578660965,-0.4138025939464569],[1,7,20,8,-1,11,7,10,4,2,1,11,10,4,2,0,-0.0853670910000801,-0.5705329179763794,0.0529956594109535],[5,2,12,3,-1,5,3,12,1,3,0,0.003476174082607031,-0.1218981966376305,0.265532910823822],[13,13,6,4,-1,13,15,6,2,2,0,-0.0241042207926512,-0.5231543779373169,0.0255056601017714],[1,0,5,8,-1,1,4,5,4,2,0,-0.0307291503995657,-0.4673540890216827,0.0708444267511368],[5,0,13,8,-1,5,4,13,4,2,0,-0.0011937420349568129,0.1459686011075974,-0.2308627068996429],[9,1,4,8,-1,9,5,4,4,2,0,0.0323041006922722,-0.0653509274125099,0.5509138107299805],[11,2,8,8,-1,9,4,8,4,2,1,0.1495549976825714,0.0150020895525813,-0.8940045237541199],[11,2,8,8,-1,13,4,4,8,2,1,-0.004725466948002577,0.1485746055841446,-0.2101994007825851],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,0,0.0363607183098793,0.0285479500889778,-0.636689305305481],[0,10,12,4,-1,0,10,6,2,2,6,12,6,2,2,0,-0.0271099992096424,0.4966191053390503,-0.0736615732312202],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,0,-0.009539840742945671,-0.193846806883812,0.0585070811212063],[3,4,16,14,-1,7,4,8,14,2,0,0.105419896543026,-0.0747857317328453,0.4378111064434052],[13,13,6,4,-1,13,15,6,2,2,0,0.006380176171660423,0.053971529006958,-0.3382979035377502],[3,13,6,4,-1,3,15,6,2,2,0,-0.0227598492056131,-0.5937489867210388,0.0480465292930603],[11,5,2,10,-1,11,5,1,10,2,1,-0.017323749139905,-0.1603469997644424,0.0151871601119637],[11,5,10,2,-1,11,5,10,1,2,1,0.0298544093966484,-0.0656982436776161,0.4505734145641327],[4,0,18,4,-1,13,0,9,2,2,4,2,9,2,2,0,0.0232698395848274,0.0388054996728897,-0.3535487949848175],[6,5,4,6,-1,6,5,2,6,2,1,0.0408338718116283,0.0494048409163952,-0.5622245073318481],[16,6,6,6,-1,14,8,6,2,3,1,-0.1249888986349106,0.6776366829872131,-0.0154849402606487],[6,6,6,6,-1,8,8,2,6,3,1,-0.0655793771147728,0.6736323237419128,-0.0452696904540062],[4,0,18,12,-1,4,0,9,12,2,0,-0.3790175914764404,-0.4985372126102448,0.0239552296698093],[0,12,8,6,-1,2,12,4,6,2,0,0.0029792459681630135,-0.1843641996383667,0.162658303976059],[7,12,8,6,-1,7,12,4,6,2,0,0.0138036599382758,0.0636982172727585,-0.433898001909256],[7,6,3,12,-1,8,6,1,12,3,0,0.00356068997643888,-0.1145507022738457,0.2361861020326614],[15,5,6,6,-1,15,5,3,6,2,1,0.008877278305590153,0.0864168405532837,-0.1759098023176193]]],[5,-0.9506993293762207,[[2,12,8,3,-1,6,12,4,3,2,0,-0.006734482012689114,0.3075858950614929,-0.2976179122924805],[2,6,18,3,-1,8,6,6,3,3,0,-0.0139028802514076,0.2040069997310638,-0.2296725064516068],[0,11,22,2,-1,11,11,11,2,2,0,-0.0419635511934757,-0.5657541155815125,0.0867454931139946],[10,14,6,4,-1,10,16,6,2,2,0,-0.00005979479101370089,0.1583261042833328,-0.2310905009508133],[3,12,6,4,-1,6,12,3,4,2,0,0.008473953232169151,-0.1150123029947281,0.3975858986377716],[14,0,4,12,-1,14,0,4,6,2,1,-0.0653170570731163,-0.2388727962970734,0.1139170974493027],[5,10,6,4,-1,8,10,3,4,2,0,-0.004235850181430578,0.2233722060918808,-0.2421883940696716],[1,12,20,6,-1,11,12,10,3,2,1,15,10,3,2,0,0.0462292991578579,0.0968374013900757,-0.5342770218849182],[5,15,12,3,-1,9,15,4,3,3,0,0.00005224670167081058,-0.2418936043977737,0.1593236029148102],[13,1,3,10,-1,13,6,3,5,2,0,-0.0414200909435749,-0.3404498100280762,0.0437124818563461],[9,0,10,4,-1,9,0,5,4,2,1,-0.0102242799475789,-0.2475239038467407,0.155125305056572],[13,1,3,10,-1,13,6,3,5,2,0,0.0685812085866928,0.009717379696667194,-0.6182122230529785],[6,1,3,10,-1,6,6,3,5,2,0,-0.040700301527977,-0.6028478741645813,0.0709630697965622],[11,4,10,4,-1,11,4,10,2,2,1,-0.0899986997246742,0.466647207736969,-0.0485498905181885],[0,10,20,8,-1,0,10,10,4,2,10,14,10,4,2,0,0.0153073603287339,0.1478367000818253,-0.2711460888385773],[15,11,6,7,-1,17,11,2,7,3,0,0.00370168499648571,-0.1515340954065323,0.2093140929937363],[4,14,9,4,-1,4,16,9,2,2,0,-0.0319370999932289,-0.7233225703239441,0.0374201610684395],[15,0,6,8,-1,15,4,6,4,2,0,0.0474939085543156,0.0490000918507576,-0.4830318987369537],[1,11,6,7,-1,3,11,2,7,3,0,0.004462038166821003,-0.176983192563057,0.1982091069221497],[12,6,8,4,-1,12,6,8,2,2,1,-0.008128417655825615,0.112221896648407,-0.0508055202662945],[11,2,6,2,-1,11,2,6,1,2,1,-0.0125960195437074,0.4388906061649323,-0.0828989520668983],[11,0,11,8,-1,11,4,11,4,2,0,-0.001068993005901575,0.0687660872936249,-0.0826670080423355],[0,1,22,6,-1,0,1,11,3,2,11,4,11,3,2,0,-0.0482130907475948,-0.4667134881019592,0.0743107125163078],[11,6,3,12,-1,12,6,1,12,3,0,-0.00023418650380335748,0.0887251421809196,-0.1091964021325111],[0,1,14,7,-1,7,1,7,7,2,0,0.1009500026702881,0.0554442703723907,-0.552053689956665],[16,8,4,6,-1,16,8,2,6,2,1,0.0323404110968113,0.0497627407312393,-0.3663640022277832],[1,11,20,7,-1,6,11,10,7,2,0,0.1769921034574509,-0.0737656429409981,0.5430079102516174],[13,12,4,6,-1,13,15,4,3,2,0,-0.00018634319712873548,0.0957186669111252,-0.1821410953998566],[0,3,13,3,-1,0,4,13,1,3,0,0.006647313944995403,-0.1217313036322594,0.3033103942871094],[6,3,12,3,-1,6,4,12,1,3,0,-0.009927665814757347,0.3263852000236511,-0.0885337069630623],[0,4,22,10,-1,0,4,11,5,2,11,9,11,5,2,0,0.0525870993733406,0.1130395010113716,-0.3343687057495117],[14,3,8,4,-1,14,3,8,2,2,1,0.0049553681164979935,-0.1318328976631165,0.0976148098707199],[5,5,12,6,-1,5,5,6,3,2,11,8,6,3,2,0,-0.0238176602870226,-0.4102765023708344,0.0848498120903969],[11,6,6,6,-1,13,6,2,6,3,0,-0.0113637801259756,0.1887442022562027,-0.0835364162921906],[9,4,4,13,-1,10,4,2,13,2,0,-0.0019515539752319455,0.1898508965969086,-0.1777677983045578],[11,3,3,13,-1,12,3,1,13,3,0,-0.0135766696184874,0.2097575962543488,-0.0371154509484768],[9,5,4,6,-1,11,5,2,6,2,0,0.0164668206125498,-0.0823494121432304,0.3804722130298615],[7,2,12,15,-1,11,7,4,5,9,0,-0.1013626009225845,-0.1163323000073433,0.0678049102425575],[3,2,12,15,-1,7,7,4,5,9,0,-0.1024843007326126,-0.2885020971298218,0.1213968023657799],[5,2,12,12,-1,9,6,4,4,9,0,-0.2871756851673126,0.4693514108657837,-0.0829543098807335],[8,5,4,12,-1,8,8,4,6,2,0,0.050812978297472,0.0553938783705235,-0.6238328218460083],[8,9,8,7,-1,10,9,4,7,2,0,0.091063417494297,-0.023379560559988,0.4715529978275299],[6,9,8,7,-1,8,9,4,7,2,0,-0.0518453381955624,-0.6903154253959656,0.0454541184008121],[0,4,22,14,-1,11,4,11,7,2,0,11,11,7,2,0,0.1503123939037323,0.0459067113697529,-0.520677387714386],[2,12,18,6,-1,2,14,18,2,3,0,0.0415963195264339,0.0537062995135784,-0.4878216981887817]]],[6,-0.8504595160484314,[[6,5,6,5,-1,9,5,3,5,2,0,-0.005984771065413952,0.2785896062850952,-0.3092339038848877],[11,14,9,4,-1,14,14,3,4,3,0,-0.003903263946995139,0.2225704938173294,-0.2892822921276093],[6,14,6,4,-1,6,16,6,2,2,0,-0.00002236217915196903,0.1408437043428421,-0.3014316856861115],[15,6,6,5,-1,15,6,3,5,2,1,-0.0911670029163361,-0.6760801076889038,0.0560408197343349],[7,6,5,6,-1,7,6,5,3,2,1,0.0527556389570236,0.0746887475252151,-0.6325625777244568],[13,12,8,6,-1,13,12,4,6,2,0,0.0694585368037224,-0.1175492033362389,0.6386364102363586],[6,10,10,8,-1,6,12,10,4,2,0,-0.004820943810045719,0.2922593057155609,-0.1387241035699844],[2,13,18,2,-1,2,13,9,2,2,0,0.0321567505598068,0.0755752399563789,-0.5792791247367859],[1,15,8,3,-1,5,15,4,3,2,0,-0.0442984700202942,0.40226811170578,-0.1026460975408554],[14,7,6,4,-1,14,7,6,2,2,1,-0.007045210804790258,0.1512849926948547,-0.0567258708178997],[10,0,7,2,-1,10,0,7,1,2,1,0.0005160683067515492,-0.2302210032939911,0.1634387969970703],[17,8,4,6,-1,17,8,4,3,2,1,-0.0615283586084843,0.2555904090404511,-0.0467515103518963],[2,0,15,9,-1,7,3,5,3,9,0,-0.051367811858654,-0.2475582957267761,0.1430545002222061],[9,3,4,6,-1,9,6,4,3,2,0,0.009010709822177887,-0.1064876988530159,0.3127186000347138],[3,0,16,12,-1,3,6,16,6,2,0,0.022352259606123,0.154942199587822,-0.317362904548645],[11,0,3,10,-1,11,0,3,5,2,1,0.03149389103055,0.0720375329256058,-0.2894667088985443],[0,3,22,14,-1,11,3,11,14,2,0,-0.0520644597709179,-0.2708202004432678,0.1226018965244293],[10,3,6,7,-1,12,3,2,7,3,0,-0.006154938135296106,0.1644295006990433,-0.1065777987241745],[11,1,11,4,-1,10,2,11,2,2,1,0.0030305041000247,-0.1523413956165314,0.2044637948274612],[14,7,6,4,-1,14,7,6,2,2,1,-0.006802754011005163,0.0714481472969055,-0.0414583012461662],[5,5,4,12,-1,5,11,4,6,2,0,0.0686475336551666,-0.0528335385024548,0.5763890147209167],[2,6,20,9,-1,2,6,10,9,2,0,-0.0928830802440643,-0.2623670995235443,0.0824258103966713],[1,9,18,3,-1,7,9,6,3,3,0,-0.005290703848004341,0.140904501080513,-0.2205065041780472],[11,6,6,6,-1,13,6,2,6,3,0,0.0015640209894627333,-0.1014354974031448,0.1302697062492371],[8,13,6,4,-1,11,13,3,4,2,0,0.0107526201754808,0.0915153622627258,-0.3213397860527039],[10,14,6,4,-1,10,14,3,4,2,0,-0.0211063604801893,-0.2741023004055023,0.009177319705486298],[5,6,6,6,-1,7,6,2,6,3,0,0.00486631179228425,-0.1525872051715851,0.1971106976270676],[15,0,3,8,-1,16,1,1,8,3,1,0.0653964728116989,0.006592108868062496,-0.6434308886528015],[5,8,12,3,-1,9,8,4,3,3,0,0.00449026096612215,-0.1037724986672401,0.2800520956516266],[2,7,18,4,-1,2,9,18,2,2,0,0.0466148406267166,0.0547158494591713,-0.5217915177345276],[11,1,10,4,-1,11,1,5,4,2,1,0.1159745007753372,0.0396139994263649,-0.6478490233421326],[15,0,3,8,-1,16,1,1,8,3,1,0.0057222661562263966,-0.0548381693661213,0.1282801926136017],[7,0,8,3,-1,6,1,8,1,3,1,-0.0416332595050335,-0.8066583871841431,0.0359422899782658],[10,0,12,4,-1,16,0,6,2,2,10,2,6,2,2,0,-0.0472523905336857,-0.7919319272041321,0.0127373700961471],[5,2,12,3,-1,5,3,12,1,3,0,-0.0016451090341433883,0.2037672996520996,-0.1323063969612122],[8,2,14,3,-1,8,3,14,1,3,0,0.0025758889969438314,-0.0635034069418907,0.135300800204277],[0,0,12,4,-1,0,0,6,2,2,6,2,6,2,2,0,0.0207585897296667,0.0472869798541069,-0.5821200013160706],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,0,-0.0286014806479216,-0.4122197031974793,0.0242109801620245],[0,5,8,6,-1,0,5,4,3,2,4,8,4,3,2,0,-0.0286915805190802,-0.5540468096733093,0.0450686290860176],[14,14,6,4,-1,14,14,3,4,2,0,-0.0026637869887053967,0.1257023066282272,-0.1631949990987778],[6,12,10,4,-1,11,12,5,4,2,0,-0.004475072026252747,-0.2713806927204132,0.1029310002923012],[14,6,6,6,-1,12,8,6,2,3,1,0.0409370996057987,-0.0320654697716236,0.1309264004230499],[8,6,6,6,-1,10,8,2,6,3,1,0.0758271813392639,-0.0512215197086334,0.5659629702568054]]],[7,-0.91252201795578,[[2,8,6,10,-1,2,8,3,5,2,5,13,3,5,2,0,-0.004266996867954731,0.1770441979169846,-0.282654196023941],[11,3,4,9,-1,12,4,2,9,2,1,-0.0225779395550489,0.2365795969963074,-0.0423263683915138],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,0,-0.009810799732804298,-0.3856830894947052,0.0909823030233383],[11,5,3,9,-1,12,6,1,9,3,1,0.0038510379381477833,-0.1027040034532547,0.1926759034395218],[11,3,9,4,-1,10,4,9,2,2,1,-0.0020688450895249844,0.1665657013654709,-0.2139438986778259],[13,13,8,5,-1,13,13,4,5,2,0,-0.0583685003221035,0.3483357131481171,-0.0806054621934891],[1,13,8,5,-1,5,13,4,5,2,0,0.0562909208238125,-0.0616179890930653,0.6942182779312134],[7,13,8,3,-1,7,13,4,3,2,0,0.005577634088695049,0.0783748626708984,-0.4076493084430695],[8,13,6,4,-1,11,13,3,4,2,0,0.005097466986626387,0.1500179022550583,-0.2762084901332855],[11,7,3,8,-1,12,8,1,8,3,1,0.0241340193897486,-0.0376859717071056,0.4011130928993225],[5,1,6,8,-1,7,1,2,8,3,0,0.0026251180097460747,-0.1898688971996307,0.1666657030582428],[14,14,6,4,-1,14,16,6,2,2,0,-0.0231797192245722,-0.6080746054649353,0.0330169312655926],[11,7,8,3,-1,10,8,8,1,3,1,-0.001796036958694458,0.1832838952541351,-0.163005605340004],[12,3,3,12,-1,8,7,3,4,3,1,0.1132725030183792,0.0163923595100641,-0.3852145075798035],[8,5,5,6,-1,8,8,5,3,2,0,-0.011120930314064,-0.26789391040802,0.1203088015317917],[11,3,8,4,-1,11,3,8,2,2,1,0.00892985612154007,-0.0647662431001663,0.0524467006325722],[7,5,8,6,-1,9,5,4,6,2,0,0.0302645191550255,-0.0533437095582485,0.4917060136795044],[11,4,6,6,-1,9,6,6,2,3,1,0.130362406373024,0.009912349283695221,-0.8077524900436401],[11,4,6,6,-1,13,6,2,6,3,1,-0.00489419000223279,0.1415328979492188,-0.2422267943620682],[12,8,6,4,-1,12,8,3,4,2,1,-0.0180093497037888,-0.1835270971059799,0.0537842698395252],[5,15,8,3,-1,9,15,4,3,2,0,0.0000630286376690492,-0.2083622068166733,0.1386117935180664],[0,5,22,13,-1,0,5,11,13,2,0,-0.3812729120254517,-0.7652782201766968,0.0345780998468399],[2,12,9,6,-1,5,12,3,6,3,0,0.0161685701459646,-0.0785770490765572,0.3608635067939758],[19,1,3,10,-1,19,6,3,5,2,0,-0.0207253806293011,-0.3290519118309021,0.0816933363676071],[5,14,12,4,-1,5,16,12,2,2,0,-0.00014763489889446646,0.1044917032122612,-0.2762413918972015],[10,14,10,4,-1,10,16,10,2,2,0,-0.0169591698795557,-0.2415079027414322,0.0545696802437305],[1,3,14,3,-1,1,4,14,1,3,0,-0.0152211003005505,0.4103314876556397,-0.0683332532644272],[3,14,16,4,-1,11,14,8,2,2,3,16,8,2,2,0,-0.00960412435233593,-0.3356964886188507,0.0862504914402962],[0,14,6,4,-1,3,14,3,4,2,0,-0.0016476860037073493,0.1623633056879044,-0.1904449015855789],[10,1,11,4,-1,10,3,11,2,2,0,-0.1070583984255791,-0.8676710724830627,0.007394134066998959],[1,1,11,4,-1,1,3,11,2,2,0,-0.0188181605190039,-0.3687911033630371,0.0688466429710388],[9,3,6,6,-1,9,5,6,2,3,0,-0.005614218767732382,0.1732203960418701,-0.1251447051763535],[4,5,12,3,-1,4,6,12,1,3,0,0.007396929897367954,-0.0854673683643341,0.3202716112136841],[12,0,7,6,-1,12,3,7,3,2,0,0.009487091563642025,0.0631684064865112,-0.2091891020536423],[1,3,16,4,-1,1,4,16,2,2,0,0.0018458140548318624,-0.1543627977371216,0.1851702034473419],[4,9,15,3,-1,4,10,15,1,3,0,-0.0197473596781492,0.3307111859321594,-0.076775848865509],[2,4,18,6,-1,2,4,9,3,2,11,7,9,3,2,0,0.0324211604893208,0.0820211321115494,-0.4014750123023987],[13,5,4,13,-1,14,5,2,13,2,0,0.0029075390193611383,-0.077174037694931,0.1062069982290268],[4,6,6,4,-1,4,8,6,2,2,0,0.015189359895885,0.0603638999164104,-0.4136523902416229],[8,7,6,5,-1,8,7,3,5,2,0,-0.0306837391108274,0.4347062110900879,-0.0593813210725784],[10,8,4,6,-1,10,8,4,3,2,1,-0.0109734497964382,-0.2953523099422455,0.0855164676904678],[6,12,12,4,-1,6,12,6,4,2,0,-0.0395403616130352,-0.2876588106155396,0.034472968429327],[3,11,10,3,-1,8,11,5,3,2,0,-0.0379358716309071,0.3819986879825592,-0.0853647664189339],[12,2,3,12,-1,12,2,3,6,2,1,0.0306698102504015,0.0447380989789963,-0.1770364046096802],[0,2,14,16,-1,7,2,7,16,2,0,0.1719450950622559,-0.0592141784727573,0.4929103851318359],[1,5,20,4,-1,6,5,10,4,2,0,-0.0067055500112473965,0.1641025990247726,-0.2182646989822388],[0,1,18,15,-1,9,1,9,15,2,0,-0.3857786953449249,-0.6717677116394043,0.0423495918512344],[15,2,6,8,-1,15,4,6,4,2,0,0.0272130407392979,0.0122661497443914,-0.2295421063899994],[4,14,13,4,-1,4,15,13,2,2,0,-0.0192949809134007,-0.583734393119812,0.0383809991180897],[11,2,3,12,-1,12,2,1,12,3,0,0.007679224945604801,-0.0474903509020805,0.1596446037292481],[0,16,15,2,-1,0,17,15,1,2,0,0.00006024226968293078,-0.1173423975706101,0.1823665052652359],[12,14,6,4,-1,12,16,6,2,2,0,-0.0000664981416775845,0.0747451409697533,-0.1698943972587585],[5,13,12,4,-1,5,14,12,2,2,0,0.0043275849893689156,0.0737897977232933,-0.2844434976577759],[12,12,6,6,-1,12,14,6,2,3,0,-0.0331404693424702,-0.4060660898685455,0.0100287301465869],[0,9,15,3,-1,0,10,15,1,3,0,0.00991814024746418,-0.079339787364006,0.2819001078605652],[6,9,14,3,-1,6,10,14,1,3,0,-0.002357733901590109,0.1530122011899948,-0.1047597974538803],[4,12,7,6,-1,4,14,7,2,3,0,-0.026200819760561,-0.5418503284454346,0.044369250535965],[6,6,10,6,-1,11,6,5,3,2,6,9,5,3,2,0,0.0473286584019661,0.0188977494835854,-0.8266593217849731]]],[8,-1.1653599739074707,[[3,0,16,2,-1,3,0,8,2,2,1,0.0299217198044062,-0.3231500089168549,0.510928213596344],[5,9,12,9,-1,5,12,12,3,3,0,0.0561476089060307,-0.1257440000772476,0.6674917936325073],[6,9,10,6,-1,6,12,10,3,2,0,-0.0137598495930433,0.4069119095802307,-0.2107529938220978],[7,4,8,6,-1,7,6,8,2,3,0,-0.004378870129585266,0.2794013917446137,-0.209554597735405],[6,5,3,12,-1,6,11,3,6,2,0,0.0192088894546032,-0.0898006930947304,0.5093656182289124],[12,12,6,6,-1,14,12,2,6,3,0,-0.0008939359104260802,0.1070362031459808,-0.1229420006275177],[6,15,8,3,-1,10,15,4,3,2,0,-0.000629180227406323,-0.3784793019294739,0.1300881952047348],[4,13,14,4,-1,4,15,14,2,2,0,-0.0016248769825324416,0.1775002032518387,-0.2781121134757996],[10,4,11,3,-1,9,5,11,1,3,1,-0.004615196026861668,0.2407151013612747,-0.1426901072263718],[11,4,4,9,-1,12,5,2,9,2,1,0.0571628287434578,-0.0184748694300652,0.4508605897426605],[0,8,13,3,-1,0,9,13,1,3,0,-0.003826536936685443,0.2595176100730896,-0.1145515963435173],[13,2,6,10,-1,16,2,3,5,2,13,7,3,5,2,0,-0.0452351905405521,-0.3384900987148285,0.0345389507710934],[3,2,6,10,-1,3,2,3,5,2,6,7,3,5,2,0,0.0038135750219225883,0.1133399978280067,-0.2762039005756378],[11,2,4,11,-1,11,2,2,11,2,1,0.0451082587242126,0.0286020506173372,-0.1583766937255859],[4,2,12,3,-1,4,3,12,1,3,0,-0.002779497066512704,0.2889742851257324,-0.1082272008061409],[12,1,4,12,-1,12,1,2,12,2,1,0.00563668692484498,-0.1018479019403458,0.0787871032953262],[11,2,11,4,-1,11,2,11,2,2,1,-0.0529868192970753,0.5296499729156494,-0.0655433535575867],[11,0,4,9,-1,11,0,2,9,2,1,0.0747378915548325,0.0263206604868174,-0.3048720955848694],[11,0,9,4,-1,11,0,9,2,2,1,0.004155952017754316,-0.2297717034816742,0.1566217988729477],[16,2,6,10,-1,19,2,3,5,2,16,7,3,5,2,0,-0.0029388200491666794,-0.1691641062498093,0.0969966724514961],[11,0,6,3,-1,10,1,6,1,3,1,-0.0130655104294419,0.4025856852531433,-0.0716143697500229],[11,0,3,8,-1,12,1,1,8,3,1,-0.0349282510578632,-0.4944998919963837,0.0225478205829859],[11,0,8,3,-1,10,1,8,1,3,1,0.0021728971041738987,-0.1555256992578507,0.2013621926307678],[17,1,4,12,-1,19,1,2,6,2,17,7,2,6,2,0,0.0143873495981097,0.0363481007516384,-0.2946861982345581],[8,4,6,4,-1,8,6,6,2,2,0,0.006783013232052326,-0.0822483524680138,0.338575005531311],[8,5,8,5,-1,8,5,4,5,2,0,-0.0728838369250298,-0.3457767069339752,0.0196013208478689],[8,4,6,13,-1,10,4,2,13,3,0,-0.0045158518478274345,0.1705949008464813,-0.1974281966686249],[16,3,6,8,-1,19,3,3,4,2,16,7,3,4,2,0,-0.0137420799583197,-0.2121434956789017,0.0339536890387535],[0,3,6,8,-1,0,3,3,4,2,3,7,3,4,2,0,0.007805670145899057,0.071426697075367,-0.3422398865222931],[10,9,12,4,-1,16,9,6,2,2,10,11,6,2,2,0,0.0216499902307987,-0.0619250498712063,0.3726766109466553],[1,2,9,12,-1,4,6,3,4,9,0,-0.0677066370844841,-0.3030416071414948,0.0943575873970985],[15,12,4,6,-1,15,12,2,6,2,0,-0.0021855749655514956,0.1083177030086517,-0.1553054004907608],[5,15,12,3,-1,11,15,6,3,2,0,-0.002548306016251445,-0.2410344034433365,0.0929162874817848],[2,16,20,2,-1,2,16,10,2,2,0,-0.0672078132629395,-0.6625934839248657,0.016074649989605],[1,8,10,6,-1,1,8,5,3,2,6,11,5,3,2,0,0.0477993711829185,-0.0444126389920712,0.6056978702545166],[6,3,16,14,-1,14,3,8,7,2,6,10,8,7,2,0,-0.0911784172058105,0.2476149052381516,-0.0347624011337757],[1,4,6,8,-1,1,4,3,4,2,4,8,3,4,2,0,-0.003859248012304306,-0.253667414188385,0.1019499972462654],[7,2,12,4,-1,7,3,12,2,2,0,0.002410097047686577,-0.1213397011160851,0.1976791024208069],[1,9,6,9,-1,4,9,3,9,2,0,-0.0053831469267606735,0.1710394024848938,-0.1618983000516892],[12,14,10,4,-1,12,14,5,4,2,0,0.009100422263145447,-0.0609215497970581,0.1769524961709976],[2,12,12,5,-1,5,12,6,5,2,0,0.0022724110167473555,-0.090476967394352,0.2744063138961792],[15,12,6,6,-1,17,12,2,6,3,0,-0.080621562898159,-0.8804556727409363,0.0171932391822338],[1,12,6,6,-1,3,12,2,6,3,0,0.003896570997312665,-0.1703792065382004,0.1797958016395569],[8,12,6,6,-1,10,12,2,6,3,0,-0.004309364128857851,-0.2938205003738403,0.0863174721598625]]],[9,-0.9428492784500122,[[5,2,12,16,-1,5,10,12,8,2,0,-0.063116192817688,0.5551251769065857,-0.3599770963191986],[4,2,18,14,-1,4,9,18,7,2,0,0.0843502879142761,-0.1253127008676529,0.535676896572113],[5,4,12,14,-1,5,11,12,7,2,0,-0.2139073014259338,0.751568615436554,-0.0882708728313446],[2,5,20,8,-1,7,5,10,8,2,0,-0.0297449808567762,0.2010620981454849,-0.1210668981075287],[8,0,10,7,-1,8,0,5,7,2,1,-0.1198768019676209,0.6469219923019409,-0.0777476131916046],[12,0,5,8,-1,12,0,5,4,2,1,0.0030843529384583235,-0.0630676373839378,0.0778890773653984],[7,4,6,13,-1,10,4,3,13,2,0,-0.004556021187454462,0.1897227019071579,-0.1992907971143723],[7,14,8,4,-1,7,16,8,2,2,0,0.00044629329931922257,0.1405158936977387,-0.3029241859912872],[8,0,3,12,-1,9,0,1,12,3,0,-0.006495437119156122,0.3194229006767273,-0.1107200011610985],[11,6,3,12,-1,12,6,1,12,3,0,-0.0021751760505139828,0.1647725999355316,-0.0804247781634331],[4,0,3,12,-1,4,4,3,4,3,0,0.006587584037333727,0.1471655070781708,-0.301981508731842],[11,3,3,15,-1,12,3,1,15,3,0,0.0207012090831995,-0.0429966896772385,0.4012382030487061],[5,12,7,6,-1,5,14,7,2,3,0,0.0025877119041979313,0.1263054013252258,-0.2751812040805817],[11,6,3,12,-1,12,6,1,12,3,0,-0.0105450795963407,0.1963762938976288,-0.0397727787494659],[8,6,3,12,-1,9,6,1,12,3,0,0.006239696871489286,-0.0835634097456932,0.3665548861026764],[5,16,12,2,-1,5,16,6,2,2,0,0.0144586702808738,0.0633016973733902,-0.584989070892334],[1,12,20,6,-1,6,12,10,6,2,0,0.0312634408473969,-0.1067527011036873,0.3485285937786102],[8,11,9,4,-1,11,11,3,4,3,0,0.0014865349512547255,0.1370967030525208,-0.1373165994882584],[5,11,9,4,-1,8,11,3,4,3,0,-0.00017898039368446916,0.1783964931964874,-0.2575171887874603],[11,6,9,12,-1,14,10,3,4,9,0,0.0777144730091095,0.0570818483829498,-0.2427340000867844],[2,6,9,12,-1,5,10,3,4,9,0,0.0222282707691193,0.145937904715538,-0.2099460959434509],[5,9,12,2,-1,5,10,12,1,2,0,0.0016969949938356876,-0.1441888958215714,0.2737540900707245],[0,3,16,3,-1,4,3,8,3,2,0,-0.0200234707444906,-0.3755624890327454,0.0816276967525482],[11,6,3,12,-1,12,6,1,12,3,0,0.0038644319865852594,-0.0644904300570488,0.159216895699501],[0,2,14,3,-1,0,3,14,1,3,0,-0.0030527650378644466,0.2675152122974396,-0.1053185015916824],[10,2,12,3,-1,10,3,12,1,3,0,0.00561123201623559,-0.068567730486393,0.2123499065637589],[5,14,12,3,-1,11,14,6,3,2,0,0.004662226885557175,0.1425414979457855,-0.2089271992444992],[8,13,8,3,-1,8,13,4,3,2,0,0.0024710448924452066,0.072614386677742,-0.1883390992879868],[9,2,4,8,-1,9,6,4,4,2,0,0.0126550002023578,-0.0836052596569061,0.4326224029064179],[15,1,3,11,-1,16,2,1,11,3,1,-0.0177245195955038,0.1743223071098328,-0.0284798201173544],[8,1,10,4,-1,7,2,10,2,2,1,-0.0007232127245515585,0.1534397006034851,-0.2401217967271805],[5,5,15,3,-1,5,6,15,1,3,0,-0.0062155709601938725,0.2516668140888214,-0.0855198875069618],[5,1,9,5,-1,8,1,3,5,3,0,0.0416327714920044,0.050593800842762,-0.609654426574707],[14,0,4,18,-1,15,0,2,18,2,0,0.0239183008670807,-0.0368096604943275,0.3905547857284546],[6,0,5,16,-1,6,8,5,8,2,0,-0.007435313891619444,0.1501857936382294,-0.1862781941890717],[12,4,4,8,-1,12,8,4,4,2,0,-0.0205714497715235,-0.2857455909252167,0.0483023785054684],[11,4,10,2,-1,11,4,10,1,2,1,-0.007383198011666536,0.3668056130409241,-0.0960677564144135],[10,0,12,3,-1,14,0,4,3,3,0,0.009722292423248291,0.0638980194926262,-0.172625795006752],[0,2,20,13,-1,5,2,10,13,2,0,-0.0218076296150684,0.1802726984024048,-0.1910911947488785],[12,4,4,8,-1,12,8,4,4,2,0,0.058147668838501,0.00857099611312151,-0.4625082910060883],[6,4,4,8,-1,6,8,4,4,2,0,-0.009453950449824333,-0.2890872955322266,0.1142157018184662],[11,6,3,12,-1,12,6,1,12,3,0,-0.0210807099938393,0.3757005035877228,-0.0255910307168961],[8,6,3,12,-1,9,6,1,12,3,0,-0.004062957130372524,0.2714667022228241,-0.1084538027644157],[7,1,14,2,-1,7,1,7,2,2,0,-0.1282662004232407,1,-0.0010962430387735367]]],[10,-0.9562031030654907,[[4,8,14,10,-1,4,13,14,5,2,0,-0.1266229003667831,0.6226822137832642,-0.1481045931577683],[11,14,9,4,-1,14,14,3,4,3,0,-0.0070846290327608585,0.2013377994298935,-0.1772895008325577],[1,7,17,8,-1,1,11,17,4,2,0,0.1145920008420944,-0.0889758467674255,0.5739554166793823],[10,12,7,6,-1,10,15,7,3,2,0,0.003347215009853244,0.0757082030177116,-0.282221794128418],[10,1,8,9,-1,10,1,4,9,2,1,0.0519242286682129,-0.1394848972558975,0.2568109035491943],[11,2,4,11,-1,11,2,2,11,2,1,-0.0413439087569714,0.2241418063640595,-0.0436536706984043],[6,9,4,9,-1,8,9,2,9,2,0,-0.0320564694702625,-0.5940976142883301,0.0518911592662334],[8,3,12,4,-1,14,3,6,2,2,8,5,6,2,2,0,-0.00405908701941371,0.1640208065509796,-0.1552838981151581],[5,14,7,4,-1,5,16,7,2,2,0,-0.00009187671821564436,0.1058787032961845,-0.28261598944664],[13,0,4,13,-1,13,0,2,13,2,1,0.028358219191432,0.0573840290307999,-0.0670941472053528],[9,0,13,4,-1,9,0,13,2,2,1,-0.074662521481514,0.5691670775413513,-0.0487856417894363],[12,9,4,9,-1,12,12,4,3,3,0,-0.003655649023130536,0.2236949056386948,-0.122021496295929],[7,4,12,2,-1,7,4,12,1,2,1,0.0031778779812157154,0.12240319699049,-0.2768172919750214],[12,5,10,6,-1,17,5,5,3,2,12,8,5,3,2,0,0.0380443409085274,0.023216400295496,-0.5373290181159973],[1,0,17,3,-1,1,1,17,1,3,0,0.008783139288425446,-0.0743375569581985,0.3285123109817505],[15,4,6,8,-1,18,4,3,4,2,15,8,3,4,2,0,-0.005981809925287962,-0.1950477957725525,0.0669768527150154],[3,2,4,14,-1,3,2,2,7,2,5,9,2,7,2,0,-0.0016369449440389872,0.1467480063438416,-0.1802414953708649],[14,8,6,4,-1,14,8,6,2,2,1,-0.0991931334137917,0.6836351752281189,-0.0296527203172445],[8,8,4,6,-1,8,8,2,6,2,1,-0.0103520099073648,0.3422530889511108,-0.0811415389180183],[12,1,4,16,-1,14,1,2,8,2,12,9,2,8,2,0,0.0256379097700119,0.0514169000089169,-0.1669799983501434],[7,0,6,8,-1,7,0,3,4,2,10,4,3,4,2,0,-0.0012416959507390857,0.124889001250267,-0.2134622037410736],[8,12,6,5,-1,8,12,3,5,2,0,0.0015018839621916413,0.0979343876242638,-0.263850212097168],[7,5,6,12,-1,7,5,3,6,2,10,11,3,6,2,0,-0.0327036790549755,0.5750488042831421,-0.0458754003047943],[15,5,6,6,-1,15,5,3,6,2,1,0.0212971698492765,0.061069380491972,-0.2248021960258484],[6,10,3,8,-1,6,14,3,4,2,0,-0.0008835801854729652,0.0956257879734039,-0.275645911693573],[4,0,14,3,-1,4,1,14,1,3,0,-0.003655686043202877,0.2410708963871002,-0.1035951972007752],[0,9,8,3,-1,4,9,4,3,2,0,0.0343004614114761,0.0390627011656761,-0.6244534850120544],[9,3,4,6,-1,9,6,4,3,2,0,0.0114923501387239,-0.0692460536956787,0.3825817108154297],[3,0,10,10,-1,3,0,5,5,2,8,5,5,5,2,0,-0.0031294790096580982,0.1127336993813515,-0.2312251031398773],[5,13,12,4,-1,5,13,6,4,2,0,-0.0040945871733129025,-0.1719598025083542,0.1311265975236893],[6,12,10,3,-1,11,12,5,3,2,0,-0.0030921408906579018,-0.2546038925647736,0.0966591611504555],[12,15,10,3,-1,12,15,5,3,2,0,-0.0416721291840076,0.2732776999473572,-0.0630946233868599],[0,15,10,3,-1,5,15,5,3,2,0,0.0113844601437449,-0.0718725174665451,0.4116039872169495],[3,0,17,14,-1,3,7,17,7,2,0,-0.0239341501146555,0.1319234073162079,-0.1795483976602554],[9,0,4,16,-1,9,0,2,8,2,11,8,2,8,2,0,-0.0315541699528694,-0.5879213213920593,0.0417828895151615],[11,4,6,8,-1,11,8,6,4,2,0,-0.024033859372139,-0.1553476005792618,0.0277002602815628],[0,9,12,3,-1,0,10,12,1,3,0,0.0315894708037376,-0.0391502790153027,0.6095172166824341],[1,5,20,8,-1,11,5,10,4,2,1,9,10,4,2,0,-0.0242148600518703,-0.2458761930465698,0.0911332964897156],[1,8,13,3,-1,1,9,13,1,3,0,0.0019322870066389441,-0.1164783984422684,0.1881929039955139],[8,8,14,3,-1,8,9,14,1,3,0,-0.0036017759703099728,0.0976005122065544,-0.0489180907607079],[4,16,14,2,-1,4,17,14,1,2,0,0.003151611890643835,0.0658088698983192,-0.3157765865325928],[11,1,3,6,-1,12,2,1,6,3,1,-0.0636770725250244,-0.8641548156738281,-0.0009909732034429908],[11,1,6,3,-1,10,2,6,1,3,1,-0.003908502869307995,0.208262100815773,-0.1056023016571999],[13,1,6,10,-1,16,1,3,5,2,13,6,3,5,2,0,-0.026837719604373,-0.1837512999773026,0.0295453295111656],[11,0,10,3,-1,10,1,10,1,3,1,0.0031312298960983753,-0.1262668967247009,0.1688859015703201],[12,1,3,12,-1,13,2,1,12,3,1,-0.0734918713569641,-1,0.0056774187833070755],[10,1,12,3,-1,9,2,12,1,3,1,0.0180348195135593,-0.0686174109578133,0.3343813121318817],[13,1,6,10,-1,16,1,3,5,2,13,6,3,5,2,0,0.0686559975147247,0.0046462309546768665,-0.8066462874412537],[3,1,6,10,-1,3,1,3,5,2,6,6,3,5,2,0,-0.004697089083492756,-0.2012176960706711,0.1158004030585289],[14,7,6,10,-1,17,7,3,5,2,14,12,3,5,2,0,0.0467838905751705,-0.0358026996254921,0.4162563979625702],[3,2,6,8,-1,3,2,3,4,2,6,6,3,4,2,0,0.004594605881720781,0.0884575769305229,-0.2689448893070221],[11,14,9,4,-1,14,14,3,4,3,0,-0.0013852829579263926,0.0813912227749825,-0.1488042026758194],[1,8,15,8,-1,1,12,15,4,2,0,0.0217887591570616,-0.0916404575109482,0.2126124948263168],[9,12,8,4,-1,9,14,8,2,2,0,-0.0001338009024038911,0.0964247435331345,-0.1471737027168274],[6,5,7,6,-1,6,7,7,2,3,0,-0.0479904115200043,-0.6198713183403015,0.0387607105076313],[9,5,6,5,-1,9,5,3,5,2,0,0.020026009529829,-0.0359724201261997,0.1939342021942139],[0,12,8,6,-1,2,12,4,6,2,0,0.0010723130544647574,-0.194474995136261,0.1206495016813278],[14,8,6,4,-1,14,8,3,4,2,1,0.0226650908589363,0.0487194396555424,-0.236407995223999],[8,8,4,6,-1,8,8,4,3,2,1,-0.0110421096906066,-0.2610734105110169,0.100754901766777],[9,4,6,8,-1,11,4,2,8,3,0,-0.0128110498189926,0.1519962996244431,-0.0885529592633247],[7,4,6,8,-1,9,4,2,8,3,0,-0.0366286486387253,0.3885886073112488,-0.0773045495152473]]],[11,-0.8770840764045715,[[0,15,10,3,-1,5,15,5,3,2,0,-0.0546066388487816,0.5580134987831116,-0.1416888982057571],[11,5,3,9,-1,12,6,1,9,3,1,0.0335337407886982,-0.0273862797766924,0.4438177049160004],[11,5,9,3,-1,10,6,9,1,3,1,-0.009963530115783215,0.2519390881061554,-0.1464754045009613],[12,6,8,4,-1,12,6,8,2,2,1,0.0018188880058005452,-0.1126412004232407,0.1152326017618179],[10,6,4,8,-1,10,6,2,8,2,1,-0.0487938299775124,0.5131710767745972,-0.078665018081665],[13,0,5,12,-1,13,0,5,6,2,1,-0.0133577696979046,-0.1419797986745834,0.1186259984970093],[1,3,12,4,-1,4,3,6,4,2,0,0.0011562240542843938,-0.2094922065734863,0.1569304019212723],[15,7,6,5,-1,15,7,3,5,2,0,-0.006238451227545738,-0.1433645039796829,0.1130355000495911],[1,7,12,3,-1,1,8,12,1,3,0,0.0044234818778932095,-0.1035858020186424,0.2458948940038681],[15,7,6,5,-1,15,7,3,5,2,0,0.052964448928833,0.0125615503638983,-0.6255180835723877],[1,7,6,5,-1,4,7,3,5,2,0,0.005584468133747578,0.083967886865139,-0.2465379983186722],[12,13,6,4,-1,12,15,6,2,2,0,-0.00041809541289694607,0.0695880725979805,-0.1355881989002228],[5,12,12,6,-1,5,12,6,3,2,11,15,6,3,2,0,-0.00896371342241764,-0.3044273853302002,0.0698947235941887],[11,5,2,9,-1,11,5,1,9,2,1,0.0244790501892567,-0.0316518284380436,0.2030878961086273],[11,5,9,2,-1,11,5,9,1,2,1,-0.0258423294872046,0.5040106177330017,-0.0639220625162125],[10,12,9,4,-1,13,12,3,4,3,0,-0.002078562043607235,0.1098022013902664,-0.11839559674263],[8,6,6,6,-1,8,6,6,3,2,1,0.0680303424596787,0.0422907397150993,-0.5185551047325134],[10,14,6,4,-1,10,14,3,4,2,0,-0.007063976023346186,-0.200311005115509,0.0249556098133326],[0,2,14,3,-1,0,3,14,1,3,0,-0.0034848200157284737,0.231353297829628,-0.0969895571470261],[8,2,12,3,-1,8,3,12,1,3,0,0.013147160410881,-0.0374509505927563,0.2584278881549835],[8,7,5,6,-1,8,7,5,3,2,1,-0.0142716597765684,-0.3011017143726349,0.0796723365783691],[12,6,8,3,-1,12,6,4,3,2,1,0.012653480283916,0.0490391403436661,-0.1498810946941376],[4,10,4,6,-1,6,10,2,6,2,0,-0.0044893440790474415,0.1720885932445526,-0.1535564959049225],[1,11,20,4,-1,6,11,10,4,2,0,0.0323654003441334,-0.0904931128025055,0.3577916026115418],[6,10,8,7,-1,8,10,4,7,2,0,0.004612580873072147,0.1144519001245499,-0.2651948928833008],[11,3,3,9,-1,12,4,1,9,3,1,0.0286459308117628,-0.0359885394573212,0.3002552092075348],[0,8,22,4,-1,11,8,11,4,2,0,-0.0235719792544842,-0.2487282007932663,0.0919671207666397],[3,10,16,3,-1,3,10,8,3,2,0,-0.0107397995889187,-0.2136776000261307,0.0964774116873741],[11,3,9,3,-1,10,4,9,1,3,1,0.023728659376502,-0.0709161981940269,0.4382875859737396],[5,3,12,9,-1,9,6,4,3,9,0,-0.3280070126056671,0.5884003043174744,-0.0317567884922028],[7,12,4,6,-1,9,12,2,6,2,0,0.000007500856099795783,-0.1828856021165848,0.1202294006943703],[9,12,6,6,-1,9,12,3,6,2,0,0.030071409419179,0.0278020203113556,-0.4322428107261658],[2,13,16,5,-1,10,13,8,5,2,0,-0.002193660940974951,0.1359242051839829,-0.1403862982988358],[12,12,8,3,-1,12,12,4,3,2,0,0.0201743394136429,-0.0616289190948009,0.3157976865768433],[10,4,12,2,-1,10,4,6,2,2,1,0.009746020659804344,0.0889580324292183,-0.2259400933980942],[11,3,8,4,-1,11,3,4,4,2,1,-0.0129583403468132,-0.1220085024833679,0.0865180864930153],[4,6,10,3,-1,9,6,5,3,2,0,0.0114454999566078,-0.0641823336482048,0.3027974963188171],[10,1,6,8,-1,13,1,3,4,2,10,5,3,4,2,0,-0.003380256937816739,0.111776702105999,-0.1292237937450409],[11,1,6,6,-1,11,1,6,3,2,1,0.0203662104904652,0.1010453999042511,-0.2599115967750549],[11,6,6,4,-1,11,8,6,2,2,0,0.0380586497485638,0.0131683498620987,-0.7558063268661499],[2,2,12,3,-1,2,3,12,1,3,0,0.002305000089108944,-0.1076664999127388,0.1875766962766647],[11,3,8,4,-1,11,3,4,4,2,1,0.051847118884325,-0.0223205294460058,0.187958300113678],[1,0,8,6,-1,1,0,4,3,2,5,3,4,3,2,0,0.0113830296322703,0.0602261610329151,-0.3596178889274597],[8,3,14,3,-1,8,4,14,1,3,0,0.00825531780719757,-0.0851313918828964,0.2349344044923782],[11,3,4,8,-1,11,3,4,4,2,1,-0.0269843395799398,-0.2147939950227737,0.0936567336320877],[6,0,12,10,-1,9,0,6,10,2,0,-0.0102899800986052,0.0582548901438713,-0.0839509293437004],[4,16,14,2,-1,4,17,14,1,2,0,-0.000014419780200114474,0.1039287000894547,-0.1731729954481125],[10,11,12,3,-1,10,12,12,1,3,0,0.0100651402026415,-0.0413111187517643,0.1761602014303207],[3,0,4,6,-1,5,0,2,6,2,0,-0.0001487022964283824,0.1565753966569901,-0.1203005984425545],[16,12,6,4,-1,16,12,3,4,2,0,-0.0031059589236974716,0.1167488023638725,-0.0913724601268768],[0,13,10,4,-1,5,13,5,4,2,0,0.0107080303132534,-0.0776082277297974,0.2791610062122345],[3,1,16,4,-1,11,1,8,2,2,3,3,8,2,2,0,-0.00977921299636364,-0.290609210729599,0.0715626403689384],[0,1,11,4,-1,0,3,11,2,2,0,0.020121980458498,0.0439949594438076,-0.4253950119018555],[6,8,11,6,-1,6,11,11,3,2,0,-0.0632951632142067,0.3703423142433167,-0.052549809217453],[8,5,5,10,-1,8,10,5,5,2,0,-0.0872895568609238,-0.6429927945137024,0.0319528691470623],[9,2,4,6,-1,9,5,4,3,2,0,0.0203985404223204,-0.0459555983543396,0.4626615941524506],[2,3,12,6,-1,2,3,6,3,2,8,6,6,3,2,0,-0.004031300079077482,0.1384084969758987,-0.1798083931207657],[13,3,7,9,-1,13,6,7,3,3,0,-0.0157345198094845,-0.1847718060016632,0.0699830800294876],[2,3,7,9,-1,2,6,7,3,3,0,0.003333288012072444,0.1127765029668808,-0.1951379030942917],[11,0,3,6,-1,12,1,1,6,3,1,0.0436891615390778,0.005951093975454569,-0.5542343854904175],[3,3,13,3,-1,3,4,13,1,3,0,-0.002092061098664999,0.1916346997022629,-0.0971361100673676],[8,3,14,3,-1,8,4,14,1,3,0,0.0020574270747601986,-0.1019743010401726,0.1408381015062332],[3,6,7,12,-1,3,9,7,6,2,0,0.008801812306046486,0.1198780983686447,-0.1563854962587357],[12,13,6,4,-1,12,15,6,2,2,0,-0.0168825294822454,-0.1843809932470322,0.0194928701967001],[4,13,6,4,-1,4,15,6,2,2,0,-0.000616478908341378,0.106651097536087,-0.221640095114708],[6,1,15,2,-1,6,2,15,1,2,0,0.000103173399111256,-0.1122889965772629,0.1385865062475205],[4,3,3,12,-1,5,3,1,12,3,0,0.01531632989645,-0.0506394095718861,0.4111982882022858],[14,4,2,12,-1,14,4,2,6,2,1,0.0106606902554631,0.0588208101689816,-0.1645466983318329],[11,0,6,3,-1,10,1,6,1,3,1,-0.019296869635582,0.3926095962524414,-0.0527611896395683],[4,9,14,5,-1,4,9,7,5,2,0,0.0100181102752686,0.1006847023963928,-0.1975626945495606],[11,2,10,3,-1,10,3,10,1,3,1,-0.0272637903690338,0.3533208966255188,-0.0553055517375469],[9,12,7,6,-1,9,14,7,2,3,0,0.005449431017041206,0.0672537684440613,-0.1838447004556656]]],[12,-0.8526716828346252,[[1,8,8,10,-1,1,8,4,5,2,5,13,4,5,2,0,-0.0574348606169224,0.5058255195617676,-0.1227457001805306],[5,5,12,5,-1,9,5,4,5,3,0,-0.1275065988302231,0.5760596990585327,-0.0437109284102917],[8,8,4,6,-1,8,8,2,6,2,1,-0.0636756420135498,0.5712252259254456,-0.0499683208763599],[7,6,8,10,-1,7,11,8,5,2,0,-0.0119284801185131,0.2164193987846375,-0.1848026961088181],[6,14,6,4,-1,9,14,3,4,2,0,0.00013247699826024473,-0.2268567979335785,0.1064827963709831],[5,15,12,2,-1,5,16,12,1,2,0,0.0006414026720449328,0.0947516784071922,-0.2689200937747955],[6,4,10,6,-1,6,6,10,2,3,0,-0.0029463530518114567,0.1391091048717499,-0.1709107011556625],[9,12,8,6,-1,9,14,8,2,3,0,0.005338474176824093,0.0839692428708076,-0.0954419896006584],[1,11,20,5,-1,6,11,10,5,2,0,0.0587031506001949,-0.0696475207805634,0.336294412612915],[10,8,8,4,-1,10,8,4,4,2,0,-0.002540630055591464,0.0961760133504868,-0.1575814038515091],[2,4,18,6,-1,2,6,18,2,3,0,-0.031899519264698,-0.2795648872852325,0.0703595131635666],[8,4,12,11,-1,8,4,6,11,2,0,-0.3202270865440369,-0.9080504775047302,0.0075922380201518536],[11,5,11,2,-1,11,5,11,1,2,1,0.0357962511479855,-0.0500707700848579,0.4210157990455627],[3,6,18,9,-1,9,9,6,3,9,0,-0.1907916069030762,-0.2206103056669235,0.0651847869157791],[3,2,10,9,-1,8,2,5,9,2,0,-0.0121818296611309,0.1347943991422653,-0.1666775047779083],[14,5,6,6,-1,16,5,2,6,3,0,-0.0321657992899418,-0.2510541081428528,0.0193445608019829],[5,5,12,6,-1,8,5,6,6,2,0,0.0362996309995651,-0.0594907812774181,0.4000773131847382],[11,3,10,4,-1,11,3,5,4,2,1,0.0202245805412531,0.0564897991716862,-0.1341823935508728],[6,3,8,6,-1,6,3,4,3,2,10,6,4,3,2,0,-0.0253931302577257,0.3650783896446228,-0.066002182662487],[16,0,3,15,-1,16,5,3,5,3,0,-0.0120223695412278,-0.1765505969524384,0.0739976391196251],[3,0,3,15,-1,3,5,3,5,3,0,0.0479651391506195,0.0446685589849949,-0.4458498060703278],[5,2,12,16,-1,8,2,6,16,2,0,-0.2056401968002319,-0.732545018196106,0.0199552308768034],[6,8,4,6,-1,8,8,2,6,2,0,-0.001660170964896679,0.1163327023386955,-0.1548850983381271],[5,9,13,9,-1,5,12,13,3,3,0,0.0868996232748032,-0.0541075505316257,0.2695240080356598],[11,7,8,3,-1,11,7,4,3,2,1,-0.0011374129680916667,-0.1431442946195602,0.1244433000683785],[7,0,9,4,-1,10,0,3,4,3,0,0.030976340174675,0.0298648606985807,-0.3260793089866638],[7,6,6,5,-1,10,6,3,5,2,0,0.0269780103117228,-0.0450982488691807,0.3612884879112244],[2,7,18,6,-1,8,9,6,2,9,0,0.1942182034254074,0.0322551913559437,-0.6898170113563538],[11,4,10,3,-1,10,5,10,1,3,1,-0.0204433593899012,0.2930010855197907,-0.064483217895031],[13,14,8,4,-1,13,16,8,2,2,0,-0.0404204502701759,-0.768233597278595,0.0122819803655148],[1,14,8,4,-1,1,16,8,2,2,0,-0.012641429901123,-0.2757379114627838,0.061901118606329],[11,4,3,10,-1,12,5,1,10,3,1,-0.0396702997386456,0.3282839059829712,-0.0203649997711182],[11,4,10,3,-1,10,5,10,1,3,1,0.0202467292547226,-0.0583936013281345,0.3306053876876831],[2,12,18,6,-1,11,12,9,3,2,2,15,9,3,2,0,0.008961116895079613,0.0900963172316551,-0.2234300971031189],[5,2,8,6,-1,5,2,4,3,2,9,5,4,3,2,0,-0.008305571973323822,0.1417534947395325,-0.1260726004838944],[8,14,6,4,-1,8,16,6,2,2,0,-0.000028248139642528258,0.0945169627666473,-0.2181037068367004],[1,10,6,8,-1,1,10,3,4,2,4,14,3,4,2,0,-0.00519393989816308,0.1330431997776032,-0.1334158033132553],[7,2,15,9,-1,12,5,5,3,9,0,0.1177311018109322,0.02958619967103,-0.2402082979679108],[0,2,15,9,-1,5,5,5,3,9,0,0.0678967013955116,0.080913707613945,-0.2345446050167084],[10,5,6,7,-1,12,5,2,7,3,0,-0.0266836993396282,0.3059098124504089,-0.0641520470380783],[5,14,12,4,-1,5,14,6,2,2,11,16,6,2,2,0,0.003505821106955409,0.0893419682979584,-0.2277368009090424],[10,1,12,3,-1,10,2,12,1,3,0,-0.0006584437214769423,0.1245813965797424,-0.0913524404168129],[8,1,3,12,-1,9,1,1,12,3,0,0.0072530400939285755,-0.0692851766943932,0.2548288106918335],[14,2,6,7,-1,14,2,3,7,2,0,-0.0280561298131943,-0.2086703926324844,0.0335395783185959],[1,0,12,9,-1,5,3,4,3,9,0,-0.0512051805853844,-0.2410742938518524,0.0644394084811211],[8,3,7,6,-1,8,6,7,3,2,0,0.0292346496134996,-0.0508038401603699,0.3648504912853241],[1,12,20,3,-1,6,12,10,3,2,0,-0.1021952033042908,0.4012348055839539,-0.0429021194577217],[5,2,12,16,-1,5,6,12,8,2,0,0.0151049699634314,0.1048149019479752,-0.1847243010997772],[4,3,7,6,-1,4,6,7,3,2,0,-0.0125706503167748,-0.2054093927145004,0.093013197183609],[9,5,6,6,-1,11,5,2,6,3,0,0.0122530702501535,-0.0592851005494595,0.2392731010913849],[7,0,8,2,-1,7,0,8,1,2,1,-0.0261669903993607,-0.6996678709983826,0.0249067097902298],[5,14,12,2,-1,5,15,12,1,2,0,0.0070817661471664906,0.0241731200367212,-0.5514479279518127],[3,11,16,6,-1,3,13,16,2,3,0,0.0214268509298563,0.0641688406467438,-0.2599790096282959],[11,5,3,8,-1,11,5,3,4,2,1,0.0181897096335888,0.0358382500708103,-0.1802058070898056],[2,15,12,3,-1,8,15,6,3,2,0,0.0174157992005348,-0.0838620364665985,0.3333852887153626],[4,13,15,3,-1,9,13,5,3,3,0,-0.0014878029469400644,0.1207885965704918,-0.1276932060718536],[2,3,12,4,-1,2,3,6,2,2,8,5,6,2,2,0,0.0075296638533473015,-0.0700147077441216,0.3218109011650085],[17,5,4,7,-1,17,5,2,7,2,1,-0.0614990182220936,0.4646979868412018,-0.0100737102329731],[5,4,7,4,-1,5,4,7,2,2,1,-0.0001913329033413902,-0.1409429013729096,0.1383011043071747],[2,2,18,3,-1,8,2,6,3,3,0,-0.0244222898036242,-0.2529231011867523,0.0676841735839844],[2,2,18,9,-1,8,5,6,3,9,0,-0.2613632082939148,0.3400354087352753,-0.0584625490009785],[15,6,6,4,-1,15,6,3,4,2,0,-0.0760467797517776,-0.7851415872573853,0.005270854104310274],[0,1,12,3,-1,0,2,12,1,3,0,-0.0030279329512268305,0.1852705925703049,-0.0906919613480568],[16,2,6,4,-1,16,2,6,2,2,1,-0.00802191998809576,-0.1254058033227921,0.030594889074564],[0,9,14,6,-1,7,9,7,6,2,0,-0.2070596069097519,-0.7541192173957825,0.021201130002737],[13,5,8,4,-1,13,5,4,4,2,1,-0.0953228175640106,-0.2962307035923004,0.013138709589839],[9,5,4,8,-1,9,5,4,4,2,1,0.009592162445187569,0.0843243226408958,-0.217465803027153],[12,4,3,14,-1,12,11,3,7,2,0,-0.0130894696339965,0.0936075001955032,-0.0657541304826736],[1,13,20,5,-1,6,13,10,5,2,0,0.0117328800261021,-0.0800390467047691,0.2329193949699402],[12,4,3,14,-1,12,11,3,7,2,0,0.1523904949426651,0.009929913096129894,-0.6519606709480286],[7,4,3,14,-1,7,11,3,7,2,0,-0.0645915120840073,0.2837221920490265,-0.0600588284432888],[16,2,6,4,-1,16,2,6,2,2,1,-0.0554930306971073,0.2665910124778748,-0.0103364195674658],[6,2,4,6,-1,6,2,2,6,2,1,-0.0502874106168747,-0.6950147151947021,0.0278498791158199],[7,4,15,14,-1,7,11,15,7,2,0,-0.4779424965381622,-0.9287195205688477,0.00590501120314002],[1,16,16,2,-1,1,17,16,1,2,0,-0.0143985198810697,-0.4554106891155243,0.0364099815487862]]],[13,-0.7418665885925293,[[0,6,12,4,-1,3,6,6,4,2,0,0.0019511899445205927,-0.2493699043989182,0.1411163955926895],[6,9,10,9,-1,6,12,10,3,3,0,-0.0466346703469753,0.378405898809433,-0.0784017369151115],[0,6,6,5,-1,3,6,3,5,2,0,0.0161937493830919,0.0752133131027222,-0.4199146926403046],[11,14,7,4,-1,11,16,7,2,2,0,-0.00012459639401640743,0.0685761868953705,-0.1793542057275772],[7,8,8,2,-1,7,8,8,1,2,1,0.007325779180973768,0.1032209992408752,-0.2609927952289581],[10,13,7,4,-1,10,15,7,2,2,0,-0.000015020779756014235,0.0731225982308388,-0.16718889772892],[1,16,20,2,-1,11,16,10,2,2,0,-0.034522008150816,-0.3932698965072632,0.0767271667718887],[5,12,14,4,-1,5,12,7,4,2,0,-0.0826795101165771,-0.7467781901359558,0.0155306002125144],[8,8,4,6,-1,8,8,2,6,2,1,0.0821624025702477,-0.0692495033144951,0.379146009683609],[17,2,2,14,-1,17,2,2,7,2,1,0.0341878309845924,0.0426086597144604,-0.1542989015579224],[7,1,8,4,-1,11,1,4,4,2,0,-0.0178913697600365,-0.3063957095146179,0.0781183987855911],[5,7,12,3,-1,9,7,4,3,3,0,0.0331309996545315,-0.0561838001012802,0.3740524053573608],[2,14,6,4,-1,5,14,3,4,2,0,-0.005748671013861895,0.1249035000801086,-0.205278605222702],[10,9,12,4,-1,16,9,6,2,2,10,11,6,2,2,0,0.0335368290543556,-0.0483442209661007,0.2672440111637116],[6,14,9,4,-1,9,14,3,4,3,0,0.0247238297015429,0.0836789682507515,-0.3373064994812012],[11,9,2,6,-1,11,9,1,6,2,1,0.0022355809342116117,0.1037459000945091,-0.1307191997766495],[3,9,14,9,-1,3,12,14,3,3,0,-0.002432216890156269,0.1564508974552155,-0.1328445971012116],[5,10,16,6,-1,5,12,16,2,3,0,0.0259991195052862,-0.0803431272506714,0.216101199388504],[5,12,10,6,-1,5,12,5,3,2,10,15,5,3,2,0,0.00003696568819577806,-0.1787101030349731,0.1056312024593353],[4,13,18,5,-1,4,13,9,5,2,0,-0.1629150062799454,-0.6914169788360596,0.0223747305572033],[0,13,18,5,-1,9,13,9,5,2,0,0.1300814002752304,-0.0427690409123898,0.4637356996536255],[4,9,16,3,-1,4,10,16,1,3,0,0.0276585407555103,-0.0371086001396179,0.3838658034801483],[5,1,15,2,-1,5,1,15,1,2,1,-0.0100204199552536,-0.2632805109024048,0.0748586803674698],[13,5,2,9,-1,13,5,1,9,2,1,-0.0304599404335022,0.3230090141296387,-0.0258583705872297],[9,5,9,2,-1,9,5,9,1,2,1,0.0013251040363684297,0.1444766968488693,-0.2108217030763626],[1,11,20,5,-1,6,11,10,5,2,0,-0.027931010350585,0.1437451988458633,-0.1616230010986328],[3,9,13,3,-1,3,10,13,1,3,0,-0.008864272385835648,0.2300062030553818,-0.0950950980186462],[18,5,4,12,-1,20,5,2,6,2,18,11,2,6,2,0,-0.0122139696031809,-0.2464639991521835,0.0655220225453377],[4,12,5,6,-1,4,15,5,3,2,0,-0.0487375296652317,-0.7912771105766296,0.0254164095968008],[15,1,2,8,-1,15,1,1,8,2,1,0.0611852891743183,-0.00012226430408190936,-0.9054586887359619],[7,1,8,2,-1,7,1,8,1,2,1,0.0264536794275045,0.0265628006309271,-0.6395434141159058],[18,5,4,12,-1,20,5,2,6,2,18,11,2,6,2,0,0.008858991786837578,0.0541458502411842,-0.2160128057003021],[10,4,10,2,-1,10,4,10,1,2,1,0.034847941249609,-0.0457493588328362,0.4393540024757385],[2,4,20,4,-1,7,4,10,4,2,0,-0.145982101559639,-0.5556176900863647,0.00952499732375145],[1,9,8,3,-1,5,9,4,3,2,0,-0.0504565685987473,-0.7528784871101379,0.0202147103846073],[18,5,4,12,-1,20,5,2,6,2,18,11,2,6,2,0,-0.0854437798261642,-1,-0.001368134981021285],[0,5,4,12,-1,0,5,2,6,2,2,11,2,6,2,0,0.0132489800453186,0.0634007006883621,-0.2541181147098541],[6,0,14,18,-1,6,9,14,9,2,0,-0.6593561172485352,-1,0.007737848907709122],[4,4,12,3,-1,4,5,12,1,3,0,0.005087931174784899,-0.0832077413797379,0.188762903213501],[8,4,14,3,-1,8,5,14,1,3,0,-0.003407163079828024,0.1457829028367996,-0.0919603332877159],[4,13,14,3,-1,4,14,14,1,3,0,-0.0216562692075968,-0.6536489129066467,0.0271297506988049],[8,2,6,14,-1,11,2,3,7,2,8,9,3,7,2,0,0.009435734711587429,0.064360111951828,-0.2388547956943512],[0,13,15,4,-1,0,14,15,2,2,0,-0.007517756894230843,0.2451906055212021,-0.0682218372821808],[11,14,7,4,-1,11,16,7,2,2,0,0.0160676296800375,0.007606978062540293,-0.3166871964931488],[11,7,7,3,-1,10,8,7,1,3,1,-0.0018057749839499593,0.1271037012338638,-0.1214571967720985],[10,6,6,6,-1,10,9,6,3,2,0,-0.0441549010574818,-0.4857960939407349,0.0234448593109846],[2,0,4,14,-1,2,0,2,7,2,4,7,2,7,2,0,0.007546269800513983,0.0684307664632797,-0.2331652045249939],[2,6,18,5,-1,8,6,6,5,3,0,0.1086826026439667,-0.0416639111936092,0.3945221900939941],[2,0,18,18,-1,8,0,6,18,3,0,0.6124870181083679,0.0207021702080965,-0.984947919845581],[13,1,4,8,-1,14,2,2,8,2,1,0.0498282909393311,0.0027304550167173147,-0.4018169939517975],[4,0,12,18,-1,4,0,6,9,2,10,9,6,9,2,0,-0.0727687180042267,0.3267647922039032,-0.0491443388164043],[12,14,6,4,-1,12,16,6,2,2,0,0.0243143104016781,-0.007813571020960808,0.5822330117225647],[4,14,6,4,-1,4,16,6,2,2,0,-0.00017177179688587785,0.0816699117422104,-0.2037622034549713],[11,8,2,6,-1,11,8,1,6,2,1,-0.0400952696800232,0.5468152165412903,-0.0171795394271612],[1,10,20,6,-1,1,10,10,3,2,11,13,10,3,2,0,-0.0896345674991608,-0.8161401152610779,0.0212838891893625],[13,1,7,9,-1,10,4,7,3,3,1,0.1869214028120041,0.00839807465672493,-0.6018530130386353],[5,3,4,6,-1,5,6,4,3,2,0,-0.0430383794009686,-0.8789898753166199,0.0149307297542691],[13,0,2,12,-1,13,6,2,6,2,0,-0.00018602630007080734,0.0401562415063381,-0.0826044380664825],[7,11,8,3,-1,11,11,4,3,2,0,-0.0014392189914360642,-0.1710239946842194,0.0912035405635834],[9,6,12,11,-1,12,6,6,11,2,0,0.0421606190502644,-0.0358610190451145,0.1517430990934372],[6,8,10,9,-1,11,8,5,9,2,0,0.0075991409830749035,0.1087452992796898,-0.1614716053009033],[11,14,6,4,-1,11,14,3,4,2,0,-0.005753932986408472,-0.2567706108093262,0.058457151055336],[3,6,12,4,-1,7,6,4,4,3,0,-0.0277367495000362,0.2232517004013062,-0.0740715116262436],[10,5,6,7,-1,12,5,2,7,3,0,-0.0256761107593775,0.1883108019828796,-0.0538603812456131],[8,0,6,4,-1,11,0,3,4,2,0,0.0158907305449247,0.0517095401883125,-0.3847657144069672],[10,6,6,12,-1,12,6,2,12,3,0,-0.0863742679357529,-0.5568069815635681,0.009492211975157261],[6,6,6,12,-1,8,6,2,12,3,0,0.0019480630289763212,-0.1080721989274025,0.1477168053388596]]],[14,-0.8364096879959106,[[6,9,9,6,-1,6,12,9,3,2,0,-0.006853166036307812,0.2893550992012024,-0.2768914103507996],[14,6,6,6,-1,14,6,6,3,2,1,-0.069217637181282,0.3490979075431824,-0.0497410893440247],[1,13,20,5,-1,6,13,10,5,2,0,-0.1309297978878021,0.4279156029224396,-0.096156008541584],[8,14,6,4,-1,8,16,6,2,2,0,-0.000029759139579255134,0.1167578026652336,-0.2467838972806931],[4,7,8,3,-1,4,7,4,3,2,1,-0.0471007898449898,0.372591108083725,-0.05907291918993],[16,0,2,15,-1,16,0,1,15,2,1,0.0441245101392269,0.0789040997624397,-0.2552854120731354],[9,3,12,2,-1,9,3,12,1,2,1,0.004254030995070934,-0.23612380027771,0.1285677999258041],[7,1,8,6,-1,9,1,4,6,2,0,-0.0010833570268005133,0.1434731036424637,-0.1420363038778305],[6,15,8,3,-1,10,15,4,3,2,0,0.00005992523074382916,-0.1992727071046829,0.0885029137134552],[8,3,6,6,-1,10,3,2,6,3,0,-0.0730214864015579,-0.8066626191139221,0.032041858881712],[1,1,16,3,-1,1,2,16,1,3,0,0.007949505001306534,-0.0658784434199333,0.2707126140594482],[9,1,12,3,-1,9,2,12,1,3,0,-0.00033911041100509465,0.1349073946475983,-0.1335476040840149],[0,0,22,6,-1,0,0,11,3,2,11,3,11,3,2,0,-0.0260101798921824,-0.280745804309845,0.0779026597738266],[10,5,4,6,-1,10,5,2,6,2,0,-0.0311530902981758,0.2702265977859497,-0.0269943401217461],[10,0,8,5,-1,10,0,4,5,2,1,0.010946249589324,-0.1599372029304504,0.1035069972276688],[12,4,4,10,-1,13,5,2,10,2,1,0.073101207613945,-0.0041365791112184525,0.5233982801437378],[10,4,10,4,-1,9,5,10,2,2,1,0.0302071496844292,-0.0492294207215309,0.4284898936748505],[15,1,2,8,-1,15,1,1,8,2,1,0.0649852603673935,0.003911861218512058,-1.0003379583358765],[7,1,8,2,-1,7,1,8,1,2,1,-0.029119249433279,-0.7702599167823792,0.0239308103919029],[17,0,3,11,-1,18,1,1,11,3,1,0.0504583083093166,0.006928355898708105,-0.518547773361206],[9,8,4,6,-1,9,8,4,3,2,1,-0.038890179246664,-0.4817684888839722,0.0302702896296978],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0,0.0583193711936474,-0.0221013892441988,0.283935010433197],[2,12,18,6,-1,8,14,6,2,9,0,-0.0108036901801825,0.1284206062555313,-0.1384977996349335],[14,7,3,10,-1,14,12,3,5,2,0,0.009452526457607746,-0.0571944192051888,0.1775905042886734],[3,8,16,10,-1,3,8,8,5,2,11,13,8,5,2,0,0.0152291702106595,0.1050117015838623,-0.2051838934421539],[15,12,4,6,-1,15,15,4,3,2,0,-0.0008943569846451283,0.0686682537198067,-0.1466601043939591],[2,8,18,10,-1,2,8,9,5,2,11,13,9,5,2,0,-0.0183224994689226,-0.2361371964216232,0.083538331091404],[10,1,12,3,-1,10,2,12,1,3,0,0.0025474189314991236,-0.0847315266728401,0.1721152067184448],[1,1,12,3,-1,1,2,12,1,3,0,-0.001495179021731019,0.1864299029111862,-0.1275333017110825],[8,0,14,4,-1,15,0,7,2,2,8,2,7,2,2,0,0.024796150624752,0.0329235605895519,-0.4095472991466522],[2,4,14,4,-1,2,5,14,2,2,0,-0.002897686092182994,0.1448003947734833,-0.1040467992424965],[8,4,12,3,-1,8,5,12,1,3,0,0.007036116905510426,-0.0679165571928024,0.2154435068368912],[1,0,8,8,-1,1,0,4,4,2,5,4,4,4,2,0,-0.011870389804244,-0.2553744912147522,0.074443407356739],[13,0,8,6,-1,17,0,4,3,2,13,3,4,3,2,0,0.002476589987054467,0.068313367664814,-0.1611132025718689],[1,0,8,6,-1,1,0,4,3,2,5,3,4,3,2,0,0.0212845504283905,0.0370908714830875,-0.4691652059555054],[9,6,6,5,-1,9,6,3,5,2,0,-0.0103694796562195,0.1080783978104591,-0.0604898706078529],[5,6,8,3,-1,9,6,4,3,2,0,0.0107324803248048,-0.0585823804140091,0.3195860981941223],[13,3,6,9,-1,10,6,6,3,3,1,-0.2323516011238098,-1,0.008251174353063107],[9,3,9,6,-1,12,6,3,6,3,1,-0.000060572529037017375,0.080201767385006,-0.2358305007219315],[4,11,18,3,-1,4,12,18,1,3,0,-0.0027367009315639734,0.153690904378891,-0.0788008794188499],[0,13,15,4,-1,5,13,5,4,3,0,0.0311680100858212,-0.0418529510498047,0.3737446963787079],[15,12,4,6,-1,15,15,4,3,2,0,0.0454151295125484,0.006659450009465218,-0.9997528791427612],[3,12,4,6,-1,3,15,4,3,2,0,-0.0013742819428443909,0.1058785021305084,-0.1923477947711945],[9,12,6,6,-1,11,12,2,6,3,0,0.0030089360661804676,0.0940386429429054,-0.1544273048639298],[6,9,9,7,-1,9,9,3,7,3,0,-0.0710713863372803,-0.5495526790618896,0.025523129850626],[13,10,6,8,-1,16,10,3,4,2,13,14,3,4,2,0,0.0010958979837596416,-0.0613276585936546,0.0576776191592216],[3,10,6,8,-1,3,10,3,4,2,6,14,3,4,2,0,-0.0237067993730307,0.2948609888553619,-0.0665534734725952],[7,10,8,4,-1,7,10,4,4,2,0,0.006888203788548708,0.0738617032766342,-0.2572773098945618],[7,5,6,11,-1,10,5,3,11,2,0,-0.0491580404341221,0.3240630924701691,-0.0527858398854733],[10,6,6,6,-1,10,9,6,3,2,0,0.0713694170117378,0.0132099203765392,-0.7482113242149353],[6,6,6,6,-1,6,9,6,3,2,0,-0.008451748639345169,-0.2065279930830002,0.0931395962834358],[8,6,12,8,-1,12,6,4,8,3,0,-0.1555441021919251,-0.5073614120483398,0.0115754203870893],[2,11,12,3,-1,6,11,4,3,3,0,-0.0459768213331699,0.334333211183548,-0.0565582811832428],[14,3,6,8,-1,17,3,3,4,2,14,7,3,4,2,0,0.0179002191871405,0.0340919904410839,-0.2856503129005432],[0,5,13,3,-1,0,6,13,1,3,0,0.00673511391505599,-0.0665388181805611,0.2332212030887604],[14,0,6,6,-1,14,2,6,2,3,0,0.006454410031437874,0.0472244992852211,-0.1442237049341202],[3,0,6,6,-1,3,2,6,2,3,0,-0.0110290497541428,-0.2644239962100983,0.0625426918268204],[8,8,14,3,-1,8,9,14,1,3,0,-0.0033727919217199087,0.1257591992616653,-0.0683576464653015],[7,2,2,15,-1,8,2,1,15,2,0,-0.0022960419300943613,-0.1557330936193466,0.0946819707751274],[4,14,16,4,-1,4,14,8,4,2,0,-0.0795031636953354,-0.3824613988399506,0.0172012597322464],[1,6,20,12,-1,6,6,10,12,2,0,-0.2524088025093079,0.3013980984687805,-0.0589428097009659],[5,10,16,6,-1,13,10,8,3,2,5,13,8,3,2,0,0.0363130792975426,0.0211058706045151,-0.2081169039011002],[1,10,16,6,-1,1,10,8,3,2,9,13,8,3,2,0,0.0687375217676163,-0.0324002988636494,0.5134530067443848],[8,8,14,6,-1,8,8,7,6,2,0,-0.2181455045938492,-0.7009329199790955,0.0162609796971083],[0,8,14,6,-1,7,8,7,6,2,0,-0.1977089941501617,-0.6781736016273499,0.0179375503212214],[5,6,12,11,-1,8,6,6,11,2,0,-0.1013111993670464,0.3647063076496124,-0.0499694384634495],[1,3,8,6,-1,1,3,4,3,2,5,6,4,3,2,0,0.005414669867604971,0.0660865902900696,-0.2332739979028702],[13,1,7,6,-1,13,1,7,3,2,1,-0.0405901782214642,0.2146472036838532,-0.0430333092808723],[1,4,5,10,-1,1,9,5,5,2,0,-0.0013324919855222106,0.1297567933797836,-0.1279428005218506],[18,6,3,8,-1,18,10,3,4,2,0,0.005757058970630169,0.0434699989855289,-0.1197730004787445],[1,6,3,8,-1,1,10,3,4,2,0,-0.004087275825440884,-0.2018010020256043,0.0926248729228973],[8,5,13,3,-1,8,6,13,1,3,0,0.021345280110836,-0.026310870423913,0.2914252877235413],[1,5,13,3,-1,1,6,13,1,3,0,-0.0024241849314421415,0.1713156998157501,-0.1172301024198532],[18,0,3,12,-1,19,0,1,12,3,0,0.0606775507330894,-0.0048347217962145805,0.565771222114563],[1,0,3,12,-1,2,0,1,12,3,0,0.00031573011074215174,-0.114995501935482,0.1309486031532288],[4,2,18,2,-1,4,2,9,2,2,0,-0.0014639530563727021,0.107084296643734,-0.0821887478232384],[6,3,6,6,-1,9,3,3,6,2,0,-0.0816292762756348,-0.7009016275405884,0.0213186405599117],[9,5,12,11,-1,12,5,6,11,2,0,-0.0002292363060405478,0.0524490103125572,-0.0572733990848064],[1,5,12,11,-1,4,5,6,11,2,0,0.00867326557636261,-0.1094440966844559,0.1453080028295517],[8,4,8,8,-1,8,4,4,8,2,0,-0.0009560341131873429,0.0547286607325077,-0.0766770094633102],[0,8,22,4,-1,0,8,11,2,2,11,10,11,2,2,0,-0.0568146891891956,-0.724937379360199,0.0177913308143616],[8,6,8,4,-1,8,6,4,4,2,0,0.006426883861422539,-0.0377686992287636,0.0834547504782677],[6,3,8,8,-1,10,3,4,8,2,0,0.005245125852525234,-0.0758067518472672,0.2154906988143921],[3,6,16,4,-1,11,6,8,2,2,3,8,8,2,2,0,0.006757744122296572,0.0771638676524162,-0.2495719939470291],[2,14,16,4,-1,10,14,8,4,2,0,-0.005749417934566736,0.142455592751503,-0.1274092048406601],[11,13,6,5,-1,11,13,3,5,2,0,-0.006776065099984407,-0.2331600934267044,0.0399752110242844],[5,13,6,5,-1,8,13,3,5,2,0,0.0003524727944750339,-0.1308315992355347,0.1157741025090218],[12,2,2,7,-1,12,2,1,7,2,1,0.0014523849822580814,-0.0927244573831558,0.0654869601130486]]],[15,-0.7232239842414856,[[0,9,21,9,-1,7,12,7,3,9,0,-0.3116379976272583,0.380620002746582,-0.1111584007740021],[5,3,12,9,-1,9,6,4,3,9,0,-0.3033824861049652,0.5123680830001831,-0.0504597313702106],[3,9,16,8,-1,3,9,8,4,2,11,13,8,4,2,0,-0.01094517018646,-0.222920298576355,0.1054809987545013],[7,0,14,18,-1,7,0,7,18,2,0,-0.028011079877615,0.0706877931952477,-0.0864785090088844],[5,8,6,4,-1,5,8,3,4,2,1,-0.0522561594843864,0.5785626769065857,-0.008794490247964859],[3,11,16,4,-1,11,11,8,2,2,3,13,8,2,2,0,-0.005945544224232435,-0.2564198076725006,0.0945845320820808],[6,9,6,8,-1,6,9,3,4,2,9,13,3,4,2,0,0.002559439977630973,-0.2571848034858704,0.1288242936134338],[7,0,14,18,-1,7,0,7,18,2,0,-0.1209926009178162,-0.1229322031140328,0.0258294306695461],[1,0,14,18,-1,8,0,7,18,2,0,-0.4420821964740753,-0.7454655170440674,0.0425867103040218],[13,14,8,3,-1,13,14,4,3,2,0,-0.006684264168143272,0.1351564973592758,-0.1640930026769638],[8,4,6,4,-1,8,6,6,2,2,0,0.009827070869505405,-0.080305352807045,0.2985329926013947],[6,6,14,4,-1,13,6,7,2,2,6,8,7,2,2,0,0.0586385987699032,0.0275564193725586,-0.8224250078201294],[7,3,11,4,-1,6,4,11,2,2,1,-0.003054695902392268,-0.1929274946451187,0.1108272969722748],[7,0,12,4,-1,13,0,6,2,2,7,2,6,2,2,0,-0.00733401020988822,-0.2430793941020966,0.0667446032166481],[4,0,14,4,-1,4,0,7,2,2,11,2,7,2,2,0,-0.0105262296274304,-0.3113602101802826,0.0628508478403091],[15,8,6,9,-1,17,8,2,9,3,0,0.1048116013407707,0.0126217203214765,-0.6737608909606934],[1,8,6,9,-1,3,8,2,9,3,0,0.0009426937904208899,-0.1707167029380798,0.1028065010905266],[12,5,5,9,-1,12,8,5,3,3,0,0.008439738303422928,-0.0530145689845085,0.0885990783572197],[5,5,5,9,-1,5,8,5,3,3,0,-0.0305516701191664,0.352648913860321,-0.0691484734416008],[17,9,4,6,-1,17,9,2,6,2,0,-0.0491123795509338,-0.5821937918663025,0.0140432203188539],[1,9,4,6,-1,3,9,2,6,2,0,0.005809803027659655,0.0708724334836006,-0.2536281943321228],[4,3,14,3,-1,4,4,14,1,3,0,0.0255410708487034,-0.0451369397342205,0.406744509935379],[6,0,10,3,-1,5,1,10,1,3,1,-0.0487112887203693,-0.7024015784263611,0.0243178699165583],[10,4,11,14,-1,10,11,11,7,2,0,-0.3262439072132111,-0.5061904788017273,0.005544530227780342],[2,5,6,6,-1,2,7,6,2,3,0,-0.00018120040476787835,0.131325900554657,-0.1213954985141754],[12,2,5,12,-1,12,6,5,4,3,0,-0.1298076957464218,-0.6820899248123169,0.0164145492017269],[5,16,12,2,-1,5,17,12,1,2,0,0.00835280679166317,0.0300403907895088,-0.5090913772583008],[3,4,18,3,-1,3,5,18,1,3,0,0.005454708822071552,-0.0824020728468895,0.1800798028707504],[1,4,11,14,-1,1,11,11,7,2,0,-0.3169954121112824,-0.8661301136016846,0.0182291399687529],[8,12,11,4,-1,8,14,11,2,2,0,0.0005842486280016601,0.0424097292125225,-0.1311808973550797],[7,11,8,7,-1,11,11,4,7,2,0,-0.00970468483865261,-0.274326890707016,0.0559204295277596],[12,2,4,11,-1,12,2,2,11,2,1,0.0168343205004931,-0.0833064168691635,0.0677927583456039],[10,4,11,2,-1,10,4,11,1,2,1,-0.0306853801012039,0.4212690889835358,-0.0453393310308456],[16,0,2,14,-1,16,0,1,14,2,1,0.0413949191570282,0.0199717506766319,-0.1972219049930573],[6,0,14,2,-1,6,0,14,1,2,1,0.034910149872303,-0.053826879709959,0.3504027128219605],[19,4,2,12,-1,19,4,1,12,2,1,-0.005249503999948502,-0.1136389002203941,0.0550805702805519],[8,2,6,10,-1,8,7,6,5,2,0,0.1204561963677406,0.017451599240303,-0.9395803213119507],[19,4,2,12,-1,19,4,1,12,2,1,0.042130421847105,-0.0143432803452015,0.6005985140800476],[11,3,6,8,-1,11,3,6,4,2,1,0.0191208496689796,0.0858645066618919,-0.1858649998903275],[11,2,10,6,-1,11,2,5,6,2,1,0.00844706129282713,-0.0694521814584732,0.0734614208340645],[3,5,13,2,-1,3,6,13,1,2,0,0.0017696130089461803,-0.0799966603517532,0.1947980970144272],[5,4,12,6,-1,5,6,12,2,3,0,0.0579959489405155,0.0276330001652241,-0.5409700870513916],[6,9,9,9,-1,9,9,3,9,3,0,-0.0798840224742889,-0.5430768132209778,0.0232198294252157],[19,1,3,12,-1,20,2,1,12,3,1,0.0665762424468994,0.006841680966317654,-0.8122456073760986],[2,13,9,5,-1,5,13,3,5,3,0,0.0641699433326721,-0.0248466897755861,0.6079813241958618],[11,2,10,6,-1,11,2,5,6,2,1,-0.2940478026866913,-1,0.00464401813223958],[11,2,6,10,-1,11,2,6,5,2,1,-0.009572772309184074,-0.1415735930204392,0.1012165024876595],[1,6,21,3,-1,8,6,7,3,3,0,-0.0235744491219521,0.1171545013785362,-0.1318469047546387],[5,5,3,8,-1,5,9,3,4,2,0,-0.005125621799379587,-0.1762325018644333,0.1017735973000526],[10,5,7,6,-1,10,7,7,2,3,0,0.0976630598306656,0.0044896239414811134,-0.8041555285453796],[10,0,7,6,-1,8,2,7,2,3,1,0.0320886895060539,-0.0580484308302403,0.3019489049911499],[13,5,6,6,-1,13,7,6,2,3,0,-0.0865172073245049,-0.755298912525177,0.0028089359402656555],[5,5,7,6,-1,5,7,7,2,3,0,-0.0285409707576036,-0.3508501946926117,0.0440815910696983],[9,1,6,8,-1,12,1,3,4,2,9,5,3,4,2,0,-0.00538446893915534,0.0923489034175873,-0.070033848285675],[7,1,6,8,-1,7,1,3,4,2,10,5,3,4,2,0,-0.0222804397344589,0.249494194984436,-0.0706586763262749],[7,0,9,4,-1,10,0,3,4,3,0,0.005102542228996754,0.0608996897935867,-0.1547394990921021],[1,9,14,3,-1,1,10,14,1,3,0,0.003713380079716444,-0.087124302983284,0.1719526052474976],[5,9,15,3,-1,5,10,15,1,3,0,-0.00404052808880806,0.1505451947450638,-0.099685050547123],[3,1,12,3,-1,2,2,12,1,3,1,0.0489449016749859,0.0206377804279327,-0.711139976978302],[5,12,12,6,-1,11,12,6,3,2,5,15,6,3,2,0,-0.004083220846951008,-0.161049097776413,0.0886750072240829],[5,12,12,4,-1,5,12,6,2,2,11,14,6,2,2,0,-0.0022145630791783333,-0.2190154045820236,0.1004524007439613],[15,4,3,9,-1,16,5,1,9,3,1,-0.064257450401783,-0.5769470930099487,0.0102538801729679],[7,4,9,3,-1,6,5,9,1,3,1,0.0118954200297594,-0.070560596883297,0.2614729106426239],[13,3,7,4,-1,13,5,7,2,2,0,-0.0449882596731186,-0.6844028234481812,0.00996747799217701],[4,0,9,5,-1,7,0,3,5,3,0,0.006348433904349804,0.0847386568784714,-0.1629998981952667],[10,6,6,6,-1,12,6,2,6,3,0,-0.0565874390304089,0.4896005094051361,-0.0196411404758692],[0,6,12,4,-1,0,6,6,2,2,6,8,6,2,2,0,0.0358534008264542,0.0196954403072596,-0.6810833811759949],[10,11,9,6,-1,13,11,3,6,3,0,-0.004545098170638084,0.0690726563334465,-0.0912766382098198],[2,6,16,8,-1,2,10,16,4,2,0,0.1060857027769089,-0.0499939918518066,0.3213947117328644],[17,0,2,10,-1,17,0,1,10,2,1,-0.0459244102239609,-0.8274418115615845,0.0121494196355343],[5,0,10,2,-1,5,0,10,1,2,1,-0.012273239903152,-0.306692898273468,0.0516933985054493],[9,11,13,3,-1,9,12,13,1,3,0,0.0806673914194107,0.0021730009466409683,-1.0002529621124268],[0,11,13,3,-1,0,12,13,1,3,0,-0.0230448599904776,0.4508534967899323,-0.0362739786505699],[18,6,4,12,-1,18,9,4,6,2,0,0.0187029093503952,0.0469454601407051,-0.2179626971483231],[6,4,9,7,-1,9,4,3,7,3,0,-0.0968200266361237,0.4039891064167023,-0.0378190912306309],[11,9,6,7,-1,13,9,2,7,3,0,0.0605257898569107,0.0157271604984999,-0.4566167891025543],[5,9,6,7,-1,7,9,2,7,3,0,0.0104185696691275,0.0627266466617584,-0.2444117963314056],[1,13,20,5,-1,6,13,10,5,2,0,0.0107262097299099,-0.0719688534736633,0.2209997028112412],[7,9,8,6,-1,9,9,4,6,2,0,-0.0027160700410604477,0.1288274973630905,-0.1462963074445725],[5,5,12,4,-1,8,5,6,4,2,0,0.008586756885051727,-0.0686456635594368,0.2584058940410614]]],[16,-0.7688630819320679,[[1,11,20,6,-1,6,11,10,6,2,0,-0.0258516706526279,0.1801179945468903,-0.2474593073129654],[1,8,20,7,-1,6,8,10,7,2,0,0.1405462026596069,-0.0513192899525166,0.4076690971851349],[2,9,18,6,-1,8,11,6,2,9,0,-0.2725507915019989,0.4994125962257385,-0.0450339317321777],[8,13,9,4,-1,8,15,9,2,2,0,0.0013978329952806234,0.0536005087196827,-0.2179338932037354],[1,12,9,6,-1,1,15,9,3,2,0,-0.0350598804652691,-0.2994329035282135,0.0899913236498833],[9,2,8,6,-1,13,2,4,3,2,9,5,4,3,2,0,-0.0032894399482756853,0.1026419997215271,-0.0947112515568733],[0,5,22,5,-1,11,5,11,5,2,0,0.1824229061603546,0.0256266705691814,-0.6876572966575623],[2,0,18,18,-1,2,9,18,9,2,0,-0.078741081058979,0.1081041991710663,-0.1449752002954483],[6,7,3,8,-1,6,11,3,4,2,0,0.0139451297000051,-0.0713719129562378,0.3131574988365173],[11,12,8,6,-1,13,12,4,6,2,0,0.0446802787482738,-0.0304461494088173,0.3926362991333008],[3,8,6,8,-1,3,8,3,4,2,6,12,3,4,2,0,-0.002644177060574293,0.1159669980406761,-0.1780045032501221],[11,6,7,4,-1,11,8,7,2,2,0,-0.0051071979105472565,-0.1173994019627571,0.0678234472870827],[9,2,4,6,-1,11,2,2,6,2,0,-0.0325821787118912,-0.5912901759147644,0.0333520211279392],[3,14,16,4,-1,11,14,8,2,2,3,16,8,2,2,0,-0.0277558397501707,-0.706493616104126,0.016761489212513],[5,14,6,4,-1,5,16,6,2,2,0,-0.000060038521041860804,0.073832668364048,-0.2293335944414139],[9,5,4,6,-1,9,5,2,6,2,0,0.0305061805993319,-0.0380560606718063,0.4411535859107971],[5,12,12,6,-1,8,12,6,6,2,0,-0.0062056961469352245,-0.1775723993778229,0.0937074720859528],[7,14,8,4,-1,7,16,8,2,2,0,-0.00807662308216095,-0.202566996216774,0.0740596428513527],[1,3,18,3,-1,1,4,18,1,3,0,-0.0332099087536335,0.463722288608551,-0.0349030084908009],[8,3,14,3,-1,8,4,14,1,3,0,0.0355306081473827,-0.0316795185208321,0.4520249962806702],[1,0,14,4,-1,1,0,7,2,2,8,2,7,2,2,0,0.0162976402789354,0.0441890396177769,-0.34845370054245],[10,10,12,3,-1,10,11,12,1,3,0,0.009998535737395287,-0.0482553206384182,0.1607805043458939],[1,10,12,3,-1,1,11,12,1,3,0,-0.005239077843725681,0.2323659956455231,-0.076032742857933],[10,7,8,3,-1,10,7,4,3,2,0,-0.0032508899457752705,0.0543693900108337,-0.0910402536392212],[11,0,6,6,-1,9,2,6,2,3,1,0.0556407906115055,-0.0388111285865307,0.4203402101993561],[17,0,2,10,-1,17,0,1,10,2,1,0.0339989811182022,0.0222513303160667,-0.3561536073684692],[4,7,8,3,-1,8,7,4,3,2,0,-0.004310389049351215,0.112874299287796,-0.1763073056936264],[13,0,8,6,-1,13,2,8,2,3,0,-0.007924646139144897,-0.1099233999848366,0.0350996293127537],[1,0,8,6,-1,1,2,8,2,3,0,0.044273380190134,0.028094569221139,-0.609214186668396],[17,0,2,10,-1,17,0,1,10,2,1,0.059907328337431,0.0009754433995112777,-0.9052320718765259],[5,0,10,2,-1,5,0,10,1,2,1,0.0333788692951202,0.0177232790738344,-0.8525460958480835],[10,6,6,4,-1,10,6,3,4,2,0,0.0146941700950265,-0.0490315109491348,0.2799833118915558],[0,4,14,3,-1,0,5,14,1,3,0,-0.0053877499885857105,0.1821904927492142,-0.0823825225234032],[3,3,16,10,-1,11,3,8,5,2,3,8,8,5,2,0,-0.0179768893867731,-0.1938468962907791,0.0849847570061684],[1,5,12,3,-1,1,6,12,1,3,0,-0.0044651641510427,0.176329106092453,-0.0950757712125778],[9,6,13,4,-1,9,8,13,2,2,0,0.069372296333313,0.003177032107487321,-0.675544023513794],[7,5,8,6,-1,7,5,4,3,2,11,8,4,3,2,0,-0.0170022696256638,-0.3382794857025147,0.0447317287325859],[13,3,4,11,-1,14,4,2,11,2,1,0.0172742400318384,-0.0247697103768587,0.1185202971100807],[9,2,11,2,-1,9,2,11,1,2,1,0.0403887294232845,-0.0329676792025566,0.4732314050197601],[5,13,12,4,-1,5,14,12,2,2,0,0.014215400442481,0.0298468600958586,-0.4415706098079681],[0,9,16,4,-1,0,9,8,2,2,8,11,8,2,2,0,0.0416277199983597,-0.045953918248415,0.3297838866710663],[7,10,9,7,-1,10,10,3,7,3,0,-0.001741684041917324,0.0872863084077835,-0.0888622030615807],[10,7,5,6,-1,10,7,5,3,2,1,-0.009807704016566277,-0.2102667987346649,0.077401876449585],[11,5,10,3,-1,11,5,5,3,2,1,0.0218366496264935,0.0432117693126202,-0.1533042043447495],[2,13,12,5,-1,5,13,6,5,2,0,-0.0707430988550186,0.3301903903484345,-0.0527479499578476],[17,9,4,7,-1,17,9,2,7,2,0,-0.0111810201779008,-0.1149393990635872,0.0278584603220224],[0,6,12,3,-1,0,7,12,1,3,0,-0.0146235600113869,0.323270708322525,-0.0441660583019257],[18,6,2,10,-1,18,6,1,10,2,1,-0.009670255705714226,-0.1815731972455978,0.03615453094244],[1,14,8,3,-1,5,14,4,3,2,0,0.008343960158526897,-0.0524739101529121,0.2744483947753906],[6,11,12,3,-1,10,11,4,3,3,0,0.0229705590754747,0.0349300503730774,-0.1577367037534714],[0,14,8,3,-1,4,14,4,3,2,0,-0.008273424580693245,0.1161279007792473,-0.1196577027440071],[5,11,16,3,-1,9,11,8,3,2,0,0.008707440458238125,-0.0408297888934612,0.1048133000731468],[1,9,4,7,-1,3,9,2,7,2,0,-0.0188258197158575,-0.3879455029964447,0.0473507009446621],[6,12,10,6,-1,6,14,10,2,3,0,-0.007209294009953737,-0.198869600892067,0.0759528502821922],[0,16,12,2,-1,0,17,12,1,2,0,0.00016543369565624744,-0.1067482978105545,0.1551059931516647],[12,5,4,12,-1,14,5,2,6,2,12,11,2,6,2,0,0.008929453790187836,-0.0670596435666084,0.0902067869901657],[6,11,6,6,-1,8,11,2,6,3,0,0.003199164057150483,0.0744457468390465,-0.1968283951282501],[4,16,15,2,-1,4,17,15,1,2,0,-0.00011280879698460922,0.0797033905982971,-0.1366118937730789],[5,0,12,9,-1,9,3,4,3,9,0,-0.0696137994527817,-0.210105299949646,0.0657716169953346],[8,0,6,9,-1,8,3,6,3,3,0,-0.026066679507494,0.2869651019573212,-0.057495791465044],[1,0,3,13,-1,2,0,1,13,3,0,0.0120507404208183,-0.0468205101788044,0.2799476981163025],[10,1,6,4,-1,10,1,3,4,2,0,-0.0396258495748043,-0.3705450892448425,0.0114761395379901],[8,1,6,9,-1,10,1,2,9,3,0,-0.002737990114837885,0.0943711325526237,-0.1620323061943054],[8,3,6,6,-1,10,3,2,6,3,0,-0.0652625635266304,-0.6780838966369629,0.0194304697215557],[3,5,11,2,-1,3,5,11,1,2,1,0.0231916196644306,0.0261343102902174,-0.4666424989700317],[9,5,6,6,-1,11,5,2,6,3,0,0.0477419309318066,-0.0252911895513535,0.2909249067306519],[6,4,6,10,-1,6,9,6,5,2,0,-0.128300204873085,-0.8718711733818054,0.0138835404068232],[11,2,3,12,-1,12,2,1,12,3,0,-0.0426892600953579,-0.6764482259750366,0.006877128034830093],[8,2,3,12,-1,9,2,1,12,3,0,0.006281124893575907,-0.0648037493228912,0.2099442034959793],[18,9,4,9,-1,18,9,2,9,2,0,0.0275320801883936,0.0153665402904153,-0.2145736962556839],[1,5,6,6,-1,1,8,6,3,2,0,-0.00034494648571126163,0.1182949990034103,-0.1064111962914467],[10,6,6,6,-1,12,6,2,6,3,0,-0.0321870110929012,0.2067631930112839,-0.0278047490864992],[10,2,2,12,-1,11,2,1,12,2,0,-0.0024451729841530323,-0.1897021979093552,0.0766128376126289],[11,0,5,6,-1,11,3,5,3,2,0,0.0396311208605766,0.0114572802558541,-0.4411228001117706],[6,0,5,6,-1,6,3,5,3,2,0,-0.009008211083710194,-0.2032909989356995,0.0719978883862495],[13,9,5,8,-1,13,13,5,4,2,0,-0.0605949088931084,0.258318305015564,-0.0322740003466606],[0,9,20,2,-1,10,9,10,2,2,0,0.0336786396801472,0.0365656390786171,-0.332331508398056],[14,7,3,10,-1,14,12,3,5,2,0,0.014565410092473,-0.0492692105472088,0.1828067004680634],[11,5,11,2,-1,11,5,11,1,2,1,0.004010343924164772,-0.1243560016155243,0.1124764010310173],[14,7,3,10,-1,14,12,3,5,2,0,0.001798950950615108,-0.0546759888529778,0.1070184037089348],[5,13,12,2,-1,5,14,12,1,2,0,-0.00016359580331481993,0.0817552283406258,-0.1623550057411194],[11,8,4,9,-1,11,11,4,3,3,0,-0.0319938994944096,0.1863123029470444,-0.0173506308346987],[1,8,12,6,-1,1,10,12,2,3,0,-0.0817376673221588,-0.7596148252487183,0.0144199002534151],[16,8,3,8,-1,16,12,3,4,2,0,-0.0882625505328178,-1,0.0005314648151397705],[3,8,3,8,-1,3,12,3,4,2,0,-0.0579979009926319,-0.8939151167869568,0.0124950995668769],[11,8,4,9,-1,11,11,4,3,3,0,0.0206914097070694,-0.0371675081551075,0.0972085520625114],[7,8,4,9,-1,7,11,4,3,3,0,-0.006033605895936489,0.1754779070615768,-0.0869168564677238],[7,3,15,12,-1,12,7,5,4,9,0,0.1578976064920425,0.0306049603968859,-0.2219929993152618],[4,10,14,4,-1,4,10,7,2,2,11,12,7,2,2,0,0.0033271119464188814,0.1120152026414871,-0.1638471037149429],[9,10,10,6,-1,14,10,5,3,2,9,13,5,3,2,0,0.1138323992490768,0.001807803986594081,-0.9998143911361694],[3,10,10,6,-1,3,10,5,3,2,8,13,5,3,2,0,0.0391889698803425,-0.0394944287836552,0.3413948118686676],[16,7,6,6,-1,18,7,2,6,3,0,-0.00473829684779048,-0.0816014036536217,0.0354984514415264],[3,5,14,2,-1,10,5,7,2,2,0,0.0234581604599953,-0.0407674796879292,0.3479276895523071],[18,2,4,12,-1,20,2,2,6,2,18,8,2,6,2,0,0.0165052209049463,0.0201702807098627,-0.1553200930356979],[3,14,12,4,-1,3,15,12,2,2,0,0.0202629491686821,0.0212923791259527,-0.6261150240898132],[7,6,9,6,-1,7,9,9,3,2,0,-0.009139323607087135,-0.1363748013973236,0.0638918429613113],[1,14,6,4,-1,4,14,3,4,2,0,-0.0562079809606075,0.4067111909389496,-0.033258218318224],[12,5,5,12,-1,12,8,5,6,2,0,0.006686883978545666,0.0641743093729019,-0.0939662382006645],[5,0,3,17,-1,6,0,1,17,3,0,0.005886227823793888,-0.0657899603247643,0.2018133997917175],[16,7,6,6,-1,18,7,2,6,3,0,-0.115173801779747,-1,0.002534775994718075],[0,7,6,6,-1,2,7,2,6,3,0,0.005579371005296707,0.0706422030925751,-0.1963742971420288],[14,0,3,18,-1,15,0,1,18,3,0,0.0321800000965595,-0.0147377196699381,0.2242016047239304],[0,5,5,10,-1,0,10,5,5,2,0,-0.0009159878245554864,0.1147874966263771,-0.1176707968115807]]],[17,-0.7757309079170227,[[5,12,12,4,-1,5,13,12,2,2,0,0.009134623222053051,0.0886986628174782,-0.3859564960002899],[7,9,8,6,-1,7,11,8,2,3,0,-0.0024696369655430317,0.1677206009626389,-0.1464917063713074],[2,10,15,4,-1,2,12,15,2,2,0,0.0589350201189518,-0.0133940000087023,0.618326723575592],[5,15,12,3,-1,5,15,6,3,2,0,-0.008910005912184715,-0.2695023119449616,0.0729398131370544],[7,4,3,14,-1,8,4,1,14,3,0,0.0177438799291849,-0.0502171888947487,0.4316602051258087],[7,15,8,3,-1,7,15,4,3,2,0,0.0110566504299641,0.0391558595001698,-0.5286077260971069],[1,2,8,6,-1,1,2,4,3,2,5,5,4,3,2,0,0.0161613207310438,0.069581039249897,-0.3761014044284821],[14,9,6,8,-1,17,9,3,4,2,14,13,3,4,2,0,-0.0278790891170502,0.2322065979242325,-0.0559795796871185],[0,0,6,8,-1,0,0,3,4,2,3,4,3,4,2,0,-0.0115568395704031,-0.3123108148574829,0.0743399634957314],[14,9,6,8,-1,17,9,3,4,2,14,13,3,4,2,0,-0.0696514770388603,-0.4190568923950195,0.006969478912651539],[2,9,6,8,-1,2,9,3,4,2,5,13,3,4,2,0,-0.005034472793340683,0.1318362057209015,-0.1970203071832657],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,0,-0.0860981196165085,0.657277524471283,-0.009566457010805607],[2,10,6,8,-1,2,10,3,4,2,5,14,3,4,2,0,0.0255463197827339,-0.0401363410055637,0.5484703779220581],[13,1,6,8,-1,16,1,3,4,2,13,5,3,4,2,0,-0.0268708802759647,-0.2530665099620819,0.0441817194223404],[3,3,12,3,-1,3,4,12,1,3,0,0.009585968218743801,-0.0818824619054794,0.2689467072486877],[13,1,6,8,-1,16,1,3,4,2,13,5,3,4,2,0,0.026683809235692,0.0265933498740196,-0.4412704110145569],[3,1,6,8,-1,3,1,3,4,2,6,5,3,4,2,0,-0.0144908400252461,-0.3569746911525726,0.0700729414820671],[3,3,16,3,-1,3,4,16,1,3,0,-0.002244839910417795,0.20088230073452,-0.1222817003726959],[7,13,6,4,-1,7,15,6,2,2,0,0.004879571031779051,0.0458209812641144,-0.3949818909168243],[10,14,6,4,-1,10,16,6,2,2,0,-0.006126299034804106,-0.1882608979940414,0.0788120776414871],[2,10,15,3,-1,2,11,15,1,3,0,0.0169529691338539,-0.0616842210292816,0.3360370099544525],[8,12,8,6,-1,10,12,4,6,2,0,-0.00455471919849515,-0.194713905453682,0.0531471893191338],[2,4,13,4,-1,2,5,13,2,2,0,-0.0012753040064126253,0.148008793592453,-0.1424434930086136],[9,9,12,3,-1,9,10,12,1,3,0,0.0220602806657553,-0.0354067385196686,0.3377530872821808],[3,13,16,4,-1,3,13,8,2,2,11,15,8,2,2,0,0.0210503898561001,0.0422891303896904,-0.4588645100593567],[8,12,8,6,-1,10,12,4,6,2,0,0.095637209713459,-0.0131716495379806,0.5553498268127441],[6,12,8,6,-1,8,12,4,6,2,0,-0.0036728319246321917,-0.1884289979934692,0.0954581424593925],[9,4,13,2,-1,9,5,13,1,2,0,0.00016345079347956926,-0.0604448094964027,0.1053673028945923],[7,3,8,12,-1,7,9,8,6,2,0,0.2533828914165497,0.0160262603312731,-0.9999446868896484],[3,6,17,3,-1,3,7,17,1,3,0,-0.0461133308708668,0.5424798727035522,-0.0278902091085911],[3,0,14,4,-1,3,0,7,2,2,10,2,7,2,2,0,0.00525882700458169,0.0798673033714294,-0.2070070952177048],[11,4,6,5,-1,11,4,3,5,2,1,-0.1344957053661346,-0.4127010107040405,0.00815002154558897],[11,4,5,6,-1,11,4,5,3,2,1,0.0016953679732978344,0.1103534996509552,-0.1680212020874023],[10,5,4,6,-1,10,5,2,6,2,0,0.0394921414554119,-0.0134100103750825,0.3844763934612274],[4,12,12,3,-1,8,12,4,3,3,0,-0.0009363478166051209,0.109868198633194,-0.1731048971414566],[8,6,8,7,-1,8,6,4,7,2,0,-0.0444957092404366,0.1947119981050491,-0.0407688990235329],[5,0,8,12,-1,5,0,4,6,2,9,6,4,6,2,0,0.0606301091611385,-0.0422523692250252,0.5141298770904541],[7,0,12,4,-1,13,0,6,2,2,7,2,6,2,2,0,0.007506764028221369,0.0420869700610638,-0.1608040034770966],[1,4,6,5,-1,4,4,3,5,2,0,0.009926041588187218,0.0641195327043533,-0.2621530890464783],[15,0,7,4,-1,15,0,7,2,2,1,0.0605285204946995,0.0241899695247412,-0.3660838901996613],[5,2,8,6,-1,5,2,4,3,2,9,5,4,3,2,0,-0.006805423181504011,0.1250838935375214,-0.138897106051445],[4,2,15,3,-1,4,3,15,1,3,0,-0.0020940289832651615,0.1399659961462021,-0.0827063992619514],[4,1,14,3,-1,4,2,14,1,3,0,-0.00969043467193842,0.2668136060237885,-0.0715769901871681],[15,5,4,6,-1,15,8,4,3,2,0,0.0183203499764204,0.0313219800591469,-0.2346061021089554],[0,1,17,2,-1,0,2,17,1,2,0,0.0005042995908297598,-0.1166971996426582,0.1651464998722076],[15,5,4,6,-1,15,8,4,3,2,0,-0.004701628815382719,-0.1200615018606186,0.0592004284262657],[3,5,4,6,-1,3,8,4,3,2,0,-0.0199268702417612,-0.3948509991168976,0.0411430187523365],[3,0,18,3,-1,3,1,18,1,3,0,0.007401308044791222,-0.0763312578201294,0.2106536030769348],[7,1,6,4,-1,10,1,3,4,2,0,0.0148796299472451,0.0479790717363358,-0.3401476144790649],[0,11,22,7,-1,0,11,11,7,2,0,0.1552755981683731,0.0322258807718754,-0.469380795955658],[3,5,4,12,-1,3,5,2,6,2,5,11,2,6,2,0,-0.007078633178025484,0.1219948008656502,-0.1200494021177292],[14,7,3,10,-1,14,12,3,5,2,0,0.0298721697181463,-0.0436775088310242,0.2352982014417648],[4,11,14,4,-1,4,11,7,2,2,11,13,7,2,2,0,0.0305551700294018,0.0317758806049824,-0.5782545208930969],[7,11,8,6,-1,11,11,4,3,2,7,14,4,3,2,0,0.0102845700457692,0.0472028106451035,-0.2956649959087372],[3,5,3,13,-1,4,5,1,13,3,0,0.0198087096214294,-0.0457759387791157,0.3323101997375488],[17,1,4,12,-1,19,1,2,6,2,17,7,2,6,2,0,0.0272188801318407,0.0255772192031145,-0.3318088054656982],[1,1,4,12,-1,1,1,2,6,2,3,7,2,6,2,0,0.0140976803377271,0.0521574206650257,-0.2935838103294373],[7,0,13,16,-1,7,4,13,8,2,0,0.2428656965494156,0.0146924601867795,-0.6985487937927246],[1,4,13,2,-1,1,5,13,1,2,0,0.0124195702373981,-0.0471058785915375,0.3669505119323731],[9,14,6,4,-1,9,16,6,2,2,0,0.001350388047285378,0.0537913590669632,-0.2095365971326828],[2,4,17,3,-1,2,5,17,1,3,0,-0.0156262908130884,0.2788845896720886,-0.060053750872612],[14,0,3,10,-1,15,1,1,10,3,1,0.0158501397818327,-0.0303249098360538,0.1028752028942108],[7,0,8,3,-1,6,1,8,1,3,1,-0.0408689193427563,-0.8040220737457275,0.0176014993339777],[14,0,3,10,-1,15,1,1,10,3,1,0.0641086399555206,0.0025845379568636417,-0.5385494232177734],[8,0,10,3,-1,7,1,10,1,3,1,0.0499271005392075,0.0218633003532887,-0.6178072094917297],[11,1,2,7,-1,11,1,1,7,2,1,0.0146554196253419,0.0196633692830801,-0.2042617052793503],[8,0,3,14,-1,9,0,1,14,3,0,-0.0240948107093573,0.3760913014411926,-0.0409541018307209],[11,1,2,7,-1,11,1,1,7,2,1,0.0294177699834108,-0.008690384216606617,0.4044741988182068],[11,1,7,2,-1,11,1,7,1,2,1,-0.0141586400568485,0.3781171143054962,-0.0403216406702995],[7,9,9,8,-1,10,9,3,8,3,0,-0.046754989773035,0.2210430949926376,-0.0289961099624634],[1,7,4,8,-1,3,7,2,8,2,0,-0.0114379497244954,-0.2503308951854706,0.0582142882049084],[17,11,4,6,-1,17,11,2,6,2,0,-0.0425987802445889,0.3756220042705536,-0.0163490902632475],[8,12,6,6,-1,10,12,2,6,3,0,-0.0152011597529054,-0.3563781976699829,0.0386903695762157],[11,0,3,6,-1,12,1,1,6,3,1,0.0433788485825062,0.0033045639283955097,-0.4672946929931641],[11,0,6,3,-1,10,1,6,1,3,1,0.005515301134437323,-0.0835836082696915,0.187931701540947],[9,14,9,4,-1,12,14,3,4,3,0,-0.007812692783772945,-0.1658685952425003,0.0438011288642883],[8,2,6,4,-1,8,2,6,2,2,1,0.0416526012122631,-0.031804520636797,0.4351752102375031],[10,10,4,6,-1,10,10,2,6,2,0,0.003441758919507265,0.0422822795808315,-0.1308895945549011],[1,8,18,2,-1,1,9,18,1,2,0,0.00013004569336771965,-0.112600103020668,0.1396459937095642],[8,8,14,3,-1,8,9,14,1,3,0,-0.0773477330803871,0.7075064778327942,-0.005413406994193792],[3,15,14,3,-1,10,15,7,3,2,0,-0.0016143550164997578,0.1192042008042336,-0.1188426986336708],[8,8,14,3,-1,8,9,14,1,3,0,-0.0009827924659475684,0.0631562769412994,-0.0527811013162136],[4,14,9,4,-1,7,14,3,4,3,0,-0.0456674695014954,-0.3450087010860443,0.0446007288992405]]],[18,-0.697633683681488,[[10,6,4,8,-1,10,6,2,8,2,1,0.0733159780502319,-0.1141010969877243,0.400358110666275],[2,11,18,3,-1,8,11,6,3,3,0,0.0252756699919701,-0.0720138773322105,0.3609578013420105],[10,0,12,4,-1,10,0,12,2,2,1,0.0188738591969013,-0.1723437011241913,0.1822322010993958],[6,6,16,4,-1,14,6,8,2,2,6,8,8,2,2,0,0.00007460772030754015,-0.0816272869706154,0.0888885036110878],[6,3,4,14,-1,7,3,2,14,2,0,0.00042250280966982245,-0.1284023970365524,0.1179141998291016],[12,12,6,6,-1,14,12,2,6,3,0,0.0144024603068829,0.0209603402763605,0.1902469992637634],[4,12,6,6,-1,6,12,2,6,3,0,-0.0020460959058254957,0.0957124978303909,-0.2151706069707871],[14,8,3,8,-1,14,12,3,4,2,0,0.007112844847142696,-0.0561004802584648,0.2098432034254074],[0,6,16,4,-1,0,6,8,2,2,8,8,8,2,2,0,-0.006583217065781355,-0.2113818973302841,0.0760941505432129],[9,10,5,6,-1,9,13,5,3,2,0,-0.0004125295963604003,0.1310734003782272,-0.1567085981369019],[7,5,6,12,-1,7,5,3,6,2,10,11,3,6,2,0,-0.0443308316171169,0.540480375289917,-0.0190594792366028],[1,5,21,9,-1,8,8,7,3,9,0,0.0117001300677657,0.0517124012112617,-0.1721616983413696],[8,6,3,12,-1,9,6,1,12,3,0,0.0035091140307486057,-0.0767679512500763,0.1777625977993012],[11,3,3,11,-1,12,4,1,11,3,1,0.0155975697562099,0.0383078902959824,-0.147300198674202],[11,5,9,3,-1,10,6,9,1,3,1,-0.0362853705883026,0.3534766137599945,-0.0450184904038906],[12,11,6,6,-1,12,13,6,2,3,0,-0.045118298381567,-0.5707414150238037,0.0106467101722956],[0,1,9,9,-1,3,1,3,9,3,0,0.0137345800176263,0.066018357872963,-0.2048089057207108],[6,0,12,12,-1,9,0,6,12,2,0,-0.0271209795027971,0.0480942092835903,-0.0513949617743492],[7,14,6,4,-1,10,14,3,4,2,0,-0.0015354059869423509,-0.2354800999164581,0.0530746094882488],[8,7,13,3,-1,8,8,13,1,3,0,0.003600081894546747,-0.0589443407952785,0.1182541027665138],[2,13,12,4,-1,5,13,6,4,2,0,0.006891652941703796,-0.0500144883990288,0.2690939903259277],[15,3,2,13,-1,15,3,1,13,2,1,0.003537344979122281,-0.1294703930616379,0.0886970385909081],[9,5,11,2,-1,9,5,11,1,2,1,-0.004143156111240387,-0.1788363009691238,0.0690981075167656],[13,2,2,16,-1,13,10,2,8,2,0,-0.1076257973909378,-1,0.0047263409942388535],[7,2,2,16,-1,7,10,2,8,2,0,0.009794620797038078,-0.0540387704968452,0.2411547005176544],[14,0,7,6,-1,12,2,7,2,3,1,0.0100542800500989,-0.0806248933076859,0.1162756010890007],[7,3,6,12,-1,7,3,3,6,2,10,9,3,6,2,0,-0.000873507175128907,-0.1819397956132889,0.0774685069918633],[9,14,8,4,-1,9,16,8,2,2,0,0.0009428326156921685,0.0462650507688522,-0.2273202985525131],[11,3,11,3,-1,10,4,11,1,3,1,0.00035424059024080634,-0.1182428970932961,0.110956996679306],[11,1,4,6,-1,12,2,2,6,2,1,-0.0385877899825573,-0.3028686940670013,0.003185617970302701],[11,1,6,4,-1,10,2,6,2,2,1,-0.004950467962771654,0.137581005692482,-0.0916903465986252],[10,10,6,8,-1,12,10,2,8,3,0,-0.0254536308348179,-0.2301352024078369,0.0197479296475649],[2,4,12,4,-1,2,4,6,2,2,8,6,6,2,2,0,0.015836700797081,-0.0452521592378616,0.2933708131313324],[14,1,3,10,-1,15,2,1,10,3,1,0.0103798797354102,0.0597066916525364,-0.1641553044319153],[0,7,22,7,-1,11,7,11,7,2,0,0.0431784503161907,0.063460536301136,-0.2136048972606659],[8,2,14,3,-1,8,3,14,1,3,0,-0.002250867895781994,0.1064511016011238,-0.0595391802489758],[0,2,14,3,-1,0,3,14,1,3,0,0.005074371118098497,-0.0943770334124565,0.2299972027540207],[14,1,3,10,-1,15,2,1,10,3,1,-0.0306706503033638,0.2597576081752777,-0.0231882091611624],[8,1,10,3,-1,7,2,10,1,3,1,0.0024162670597434044,0.0879190564155579,-0.1928738057613373],[12,3,3,10,-1,13,4,1,10,3,1,-0.00934058427810669,-0.1093555986881256,0.0293585006147623],[11,4,10,3,-1,10,5,10,1,3,1,0.0205137301236391,-0.0525113493204117,0.3054544925689697],[12,1,7,6,-1,12,3,7,2,3,0,-0.0436303801834583,-0.4531044960021973,0.0182615704834461],[0,3,14,3,-1,0,4,14,1,3,0,0.0034857920836657286,-0.0970931202173233,0.1487710028886795],[8,0,12,4,-1,14,0,6,2,2,8,2,6,2,2,0,0.0104116098955274,0.0429157316684723,-0.2484963983297348],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,0,-0.007515529170632362,-0.2662334144115448,0.0516023188829422],[8,4,12,3,-1,8,5,12,1,3,0,0.007215755060315132,-0.0618781596422195,0.1831496953964233],[0,1,14,2,-1,7,1,7,2,2,0,0.0009109086240641773,-0.0974202826619148,0.1222369968891144],[5,0,15,11,-1,10,0,5,11,3,0,-0.400699108839035,-0.8183109164237976,0.004745359066873789],[2,0,15,11,-1,7,0,5,11,3,0,-0.0048033627681434155,0.0941939875483513,-0.1443651020526886],[11,6,6,12,-1,14,6,3,6,2,11,12,3,6,2,0,-0.0211474299430847,0.2953240871429443,-0.0447512716054916],[7,5,6,6,-1,9,5,2,6,3,0,0.0186022594571114,-0.0429937802255154,0.2970671951770783],[14,13,6,5,-1,14,13,3,5,2,0,-0.008105171844363213,0.1236922964453697,-0.1324644982814789],[6,10,6,8,-1,8,10,2,8,3,0,-0.008321592584252357,-0.1902258992195129,0.0891510173678398],[10,10,6,6,-1,12,10,2,6,3,0,0.0031376329716295004,0.0415848195552826,-0.0795528963208199],[6,10,6,6,-1,8,10,2,6,3,0,0.0165560692548752,0.0449088588356972,-0.36947301030159],[6,11,14,3,-1,6,11,7,3,2,0,0.0299197304993868,-0.0377202592790127,0.2428061962127686],[3,1,7,6,-1,3,3,7,2,3,0,-0.0519882887601852,-0.6937226057052612,0.0189267806708813],[11,8,6,10,-1,14,8,3,5,2,11,13,3,5,2,0,0.0755281075835228,-0.0126113500446081,0.2573269009590149],[8,5,3,13,-1,9,5,1,13,3,0,-0.0025031189434230328,0.1380728036165237,-0.0916624665260315],[11,0,6,4,-1,11,0,3,4,2,1,-0.0005964693846181035,-0.0636546164751053,0.025937270373106],[11,0,4,6,-1,11,0,4,3,2,1,0.0103193400427699,0.0837918370962143,-0.1740830987691879],[14,3,2,12,-1,14,3,2,6,2,1,0.009381668642163277,0.0278715305030346,-0.1114158034324646],[5,4,10,7,-1,10,4,5,7,2,0,0.0100234104320407,-0.0699662491679192,0.2190064042806625],[8,9,6,6,-1,10,9,2,6,3,0,-0.0008370020077563822,0.100976899266243,-0.1426136046648026],[0,8,12,9,-1,4,11,4,3,9,0,0.0224687103182077,0.0940282121300697,-0.138074204325676],[13,12,4,6,-1,13,15,4,3,2,0,0.0391152091324329,-0.005396939814090729,0.6518750786781311],[5,12,5,6,-1,5,15,5,3,2,0,-0.001567056984640658,0.07088603079319,-0.2001060992479324],[12,4,2,11,-1,12,4,1,11,2,1,0.006074989214539528,0.0353959389030933,-0.0439185909926891],[9,4,11,2,-1,9,4,11,1,2,1,-0.0431668907403946,0.5988184809684753,-0.0234801806509495],[11,8,6,10,-1,14,8,3,5,2,11,13,3,5,2,0,0.002330208895727992,-0.0728186890482903,0.0439402088522911],[5,8,6,10,-1,5,8,3,5,2,8,13,3,5,2,0,0.0552365891635418,-0.0351179204881191,0.3635514974594116],[11,7,6,10,-1,14,7,3,5,2,11,12,3,5,2,0,0.0277743991464376,0.0300742909312248,-0.1002677008509636],[2,1,18,3,-1,2,2,18,1,3,0,0.008478408679366112,-0.0562433004379272,0.2171134948730469],[16,4,6,7,-1,16,4,3,7,2,0,0.0132693601772189,0.0431383699178696,-0.1642978042364121],[5,7,6,10,-1,5,7,3,5,2,8,12,3,5,2,0,-0.0340722799301147,0.3941879868507385,-0.0329146385192871],[12,0,3,14,-1,12,7,3,7,2,0,-0.005936597008258104,0.064854122698307,-0.0869715884327888],[7,10,8,7,-1,11,10,4,7,2,0,-0.005199730861932039,-0.2171074002981186,0.0654410123825073],[8,0,12,3,-1,8,1,12,1,3,0,0.003044113051146269,-0.0471716411411762,0.0946628674864769],[3,0,13,4,-1,3,1,13,2,2,0,-0.000223754599574022,0.1173989996314049,-0.10451590269804],[7,11,12,4,-1,7,12,12,2,2,0,0.0494941398501396,0.009955204091966152,-0.8820502161979675],[0,0,8,18,-1,4,0,4,18,2,0,0.077127031981945,-0.0366387590765953,0.3715699911117554],[14,13,6,5,-1,14,13,3,5,2,0,-0.003705482929944992,0.0462130792438984,-0.0794984996318817],[0,5,22,4,-1,11,5,11,4,2,0,0.1365543007850647,0.0208025798201561,-0.6469228267669678],[11,2,10,9,-1,11,5,10,3,3,0,-0.1691939979791641,-0.9014499187469482,0.00043158119660802186],[1,2,10,9,-1,1,5,10,3,3,0,0.005252514965832233,0.0866862162947655,-0.1575164049863815],[18,6,2,12,-1,18,6,1,12,2,0,0.0579522587358952,0.0013485850067809224,-1.0001620054244995],[2,6,2,12,-1,3,6,1,12,2,0,-0.0306814592331648,-0.6734688878059387,0.0177308097481728],[15,6,4,12,-1,15,9,4,6,2,0,-0.0285564009100199,0.2491353005170822,-0.0218073595315218],[3,6,4,12,-1,3,9,4,6,2,0,0.005831119138747454,0.1010965034365654,-0.1258653998374939],[14,13,6,5,-1,14,13,3,5,2,0,0.002887073904275894,-0.0454622805118561,0.1479419022798538],[2,13,6,5,-1,5,13,3,5,2,0,-0.005357589107006788,0.1084545999765396,-0.2063605934381485],[8,12,12,5,-1,11,12,6,5,2,0,0.0208518300205469,-0.0256414301693439,0.1200079992413521],[2,12,12,5,-1,5,12,6,5,2,0,0.0029372319113463163,-0.0588329806923866,0.2396713942289352],[12,12,6,6,-1,12,14,6,2,3,0,0.0101090697571635,0.044724740087986,-0.250249594449997],[0,10,16,8,-1,4,10,8,8,2,0,0.0620026402175426,0.0312366802245378,-0.3877547979354858],[13,1,8,8,-1,15,1,4,8,2,0,0.0017331680282950401,-0.0766425207257271,0.0587383098900318],[1,1,8,8,-1,3,1,4,8,2,0,-0.0466489009559155,0.4780037105083466,-0.0282232593744993],[14,8,3,8,-1,14,12,3,4,2,0,-0.0405850112438202,0.1959132999181747,-0.0296085495501757],[10,4,7,6,-1,10,4,7,3,2,1,0.0142973596230149,0.0804227814078331,-0.2002439945936203],[9,10,4,8,-1,9,14,4,4,2,0,-0.001421564957126975,0.0976939424872398,-0.1309012025594711],[5,8,3,8,-1,5,12,3,4,2,0,0.005268362816423178,-0.0583763718605042,0.2437804043292999]]],[19,-0.6897674202919006,[[6,9,4,9,-1,6,12,4,3,3,0,-0.0026198190171271563,0.1867370009422302,-0.1912652999162674],[6,3,16,4,-1,14,3,8,2,2,6,5,8,2,2,0,-0.0286290999501944,0.1288710981607437,-0.0261868499219418],[1,3,20,4,-1,1,3,10,2,2,11,5,10,2,2,0,0.007171886973083019,0.088158592581749,-0.2032734006643295],[9,5,6,12,-1,12,5,3,6,2,9,11,3,6,2,0,0.0116410404443741,-0.0210582502186298,0.1759178936481476],[1,6,2,12,-1,2,6,1,12,2,0,0.005676432978361845,0.0499411597847939,-0.2732929885387421],[19,0,2,16,-1,19,0,1,16,2,0,-0.0443926900625229,0.5676612854003906,-0.0186747796833515],[1,0,2,16,-1,2,0,1,16,2,0,0.0001336761051788926,-0.1299030929803848,0.1354229003190994],[13,5,5,9,-1,13,8,5,3,3,0,-0.0441119484603405,0.226848304271698,-0.0133183998987079],[5,16,12,2,-1,5,17,12,1,2,0,0.0029443150851875544,0.0431614592671394,-0.2931117117404938],[5,14,12,4,-1,5,15,12,2,2,0,0.0035300010349601507,0.0771937221288681,-0.2632498145103455],[5,3,12,9,-1,9,6,4,3,9,0,0.1011921018362045,-0.0549242608249187,0.3243021965026856],[7,5,13,2,-1,7,6,13,1,2,0,-0.0223485697060823,0.3080311119556427,-0.0225184895098209],[8,1,12,2,-1,8,1,12,1,2,1,0.006475538015365601,-0.1204577013850212,0.1318611055612564],[0,4,22,8,-1,11,4,11,4,2,0,8,11,4,2,0,0.0109043195843697,0.1021798998117447,-0.1830884963274002],[2,3,6,4,-1,5,3,3,4,2,0,-0.0112566296011209,-0.2918663918972015,0.0554912202060223],[7,11,15,3,-1,7,12,15,1,3,0,0.0036791800521314144,-0.0506146885454655,0.0826633125543594],[5,7,6,7,-1,8,7,3,7,2,0,-0.0917212888598442,-0.771275520324707,0.019312959164381],[7,12,12,4,-1,13,12,6,2,2,7,14,6,2,2,0,0.0400998890399933,0.007866352796554565,-0.8130282759666443],[0,11,16,2,-1,8,11,8,2,2,0,-0.054956428706646,0.2905952036380768,-0.0598255805671215],[18,3,4,10,-1,18,3,4,5,2,1,0.2480465024709702,0.0116651896387339,-0.6912195086479187],[2,2,17,3,-1,2,3,17,1,3,0,-0.0342848002910614,0.4535839855670929,-0.0320712514221668],[10,14,12,4,-1,16,14,6,2,2,10,16,6,2,2,0,0.0254392307251692,0.0194671507924795,-0.3792799115180969],[1,9,11,6,-1,1,11,11,2,3,0,-0.0127206603065133,-0.2121143043041229,0.0615338310599327],[4,9,18,3,-1,4,10,18,1,3,0,0.0108310002833605,-0.0514436811208725,0.1694768965244293],[0,9,18,3,-1,0,10,18,1,3,0,-0.0219315700232983,0.2483938932418823,-0.0566363595426083],[11,5,11,12,-1,11,11,11,6,2,0,0.2939789891242981,0.0114115299656987,-0.9369606971740723],[5,12,6,6,-1,5,14,6,2,3,0,-0.0163422599434853,-0.3158954977989197,0.0443719811737537],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,0,-0.0442804992198944,0.2033734023571014,-0.021462319418788],[0,5,11,12,-1,0,11,11,6,2,0,0.265033096075058,0.0116331502795219,-0.9122017025947571],[15,3,2,12,-1,15,3,2,6,2,1,-0.0763784795999527,0.1868827044963837,-0.0196720808744431],[3,0,12,4,-1,3,0,6,2,2,9,2,6,2,2,0,-0.010061570443213,-0.2646203935146332,0.0466202609241009],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,0,0.0249217301607132,-0.0191313903778791,0.201545000076294],[5,12,8,6,-1,5,12,4,3,2,9,15,4,3,2,0,0.000015098409676284064,-0.1624169051647186,0.0761839672923088],[8,11,10,5,-1,8,11,5,5,2,0,-0.1008191034197807,-1,0.0007475150050595403],[4,11,10,5,-1,9,11,5,5,2,0,0.065058596432209,-0.0404686406254768,0.3516007959842682],[6,6,12,12,-1,12,6,6,6,2,6,12,6,6,2,0,-0.1219023987650871,-0.536245584487915,0.0186370201408863],[7,10,6,8,-1,7,12,6,4,2,0,-0.0009852073853835464,0.1139819994568825,-0.1129883006215096],[7,8,15,10,-1,7,13,15,5,2,0,-0.2530061900615692,-0.4337590932846069,0.0123674003407359],[0,0,22,4,-1,0,0,11,2,2,11,2,11,2,2,0,0.0075246659107506275,0.0673554763197899,-0.1858396977186203],[10,3,12,3,-1,10,4,12,1,3,0,0.004810221027582884,-0.0658700615167618,0.1284891068935394],[0,3,13,3,-1,0,4,13,1,3,0,-0.0014562129508703947,0.1811068952083588,-0.1124845966696739],[9,3,4,12,-1,9,6,4,6,2,0,-0.005654632113873959,0.1036984026432037,-0.1411557048559189],[4,5,9,6,-1,4,8,9,3,2,0,-0.0319512896239758,-0.3297160863876343,0.0482818111777306],[11,6,2,9,-1,11,6,1,9,2,1,0.0421903803944588,-0.0116448104381561,0.1370130032300949],[9,2,4,8,-1,9,6,4,4,2,0,0.0126066599041224,-0.0603958815336227,0.2421005964279175],[7,0,8,10,-1,7,5,8,5,2,0,-0.006008386146277189,0.0956776067614555,-0.202482596039772],[11,5,9,2,-1,11,5,9,1,2,1,0.0406763888895512,-0.0385064296424389,0.3982402980327606],[17,0,3,11,-1,18,1,1,11,3,1,-0.0130102196708322,-0.0778704434633255,0.032533310353756],[5,0,11,3,-1,4,1,11,1,3,1,-0.0566469691693783,-0.952935516834259,0.0173756591975689],[9,6,4,7,-1,9,6,2,7,2,0,0.037307970225811,-0.0332614406943321,0.4685631990432739],[3,11,6,6,-1,3,13,6,2,3,0,-0.027986379340291,-0.4635669887065888,0.0285240299999714],[6,10,16,8,-1,6,12,16,4,2,0,-0.0750148966908455,0.2451989948749542,-0.0158301591873169],[11,6,9,3,-1,10,7,9,1,3,1,0.0276730805635452,-0.036458358168602,0.3721557855606079],[12,11,8,6,-1,12,13,8,2,3,0,-0.0173129606992006,-0.2211765944957733,0.0432326197624207],[0,10,16,8,-1,0,12,16,4,2,0,-0.0588939487934113,0.3972674906253815,-0.0376325286924839],[10,14,12,4,-1,16,14,6,2,2,10,16,6,2,2,0,0.0131936799734831,0.0248577296733856,-0.1751435995101929],[2,11,8,6,-1,2,13,8,2,3,0,0.0382306799292564,0.0296351108700037,-0.4345274865627289],[6,11,16,4,-1,14,11,8,2,2,6,13,8,2,2,0,0.0168453995138407,0.0393387489020824,-0.2376572042703629],[0,11,22,6,-1,11,11,11,6,2,0,-0.1155946031212807,-0.4000687897205353,0.0323905386030674],[14,10,6,8,-1,17,10,3,4,2,14,14,3,4,2,0,-0.0017385910032317042,0.0485458187758923,-0.0614746809005737],[2,10,6,8,-1,2,10,3,4,2,5,14,3,4,2,0,-0.0336976684629917,0.2434500008821487,-0.0655046030879021],[6,4,15,12,-1,11,8,5,4,9,0,-0.3472279906272888,-0.33612060546875,0.0155012002214789],[0,4,18,12,-1,6,8,6,4,9,0,0.0586680397391319,0.0680680572986603,-0.2210492938756943],[15,7,2,8,-1,15,7,1,8,2,1,0.0237181894481182,-0.014779569581151,0.4732834100723267],[3,3,10,3,-1,2,4,10,1,3,1,0.0288127008825541,0.033309880644083,-0.467976987361908],[4,2,14,3,-1,4,3,14,1,3,0,0.0410237498581409,-0.0282930005341768,0.4942755103111267],[10,8,8,2,-1,10,8,8,1,2,1,-0.00012017590051982552,0.1036365032196045,-0.1210749000310898],[15,5,4,7,-1,15,5,2,7,2,1,-0.1090807020664215,-1,0.003297199960798025],[3,6,5,6,-1,3,9,5,3,2,0,-0.0459673590958118,0.6481946110725403,-0.0192335192114115],[14,1,8,6,-1,18,1,4,3,2,14,4,4,3,2,0,-0.0193457193672657,-0.3314554989337921,0.0390085391700268],[0,1,8,6,-1,0,1,4,3,2,4,4,4,3,2,0,0.0123127903789282,0.0410296283662319,-0.2794392108917236],[17,0,4,12,-1,18,0,2,12,2,0,0.002153522102162242,-0.0675450563430786,0.1164774000644684],[1,0,4,12,-1,2,0,2,12,2,0,-0.0321587882936001,0.5474163889884949,-0.0237302295863628],[9,16,12,2,-1,9,17,12,1,2,0,-0.027592359110713,-0.7531942129135132,0.008406621403992176],[1,16,12,2,-1,1,17,12,1,2,0,0.0222645103931427,0.0121467402204871,-0.902912974357605],[10,15,12,3,-1,10,16,12,1,3,0,0.0153613798320293,-0.0316411890089512,0.3213280141353607],[0,15,12,3,-1,0,16,12,1,3,0,-0.0123606603592634,0.292486310005188,-0.0453037582337856],[10,14,12,4,-1,16,14,6,2,2,10,16,6,2,2,0,0.0229787491261959,-0.0120544796809554,0.1906094998121262],[0,14,12,4,-1,0,14,6,2,2,6,16,6,2,2,0,0.0232963804155588,0.0314090512692928,-0.5185608267784119],[9,11,12,4,-1,15,11,6,2,2,9,13,6,2,2,0,0.0005738424952141941,-0.1029348969459534,0.0815484523773193],[0,11,16,4,-1,0,11,8,2,2,8,13,8,2,2,0,-0.0330204702913761,0.4247055947780609,-0.0447946786880493],[8,12,9,6,-1,8,14,9,2,3,0,-0.0217130295932293,-0.1482526063919067,0.012959879823029],[5,12,9,6,-1,5,14,9,2,3,0,-0.00009743092232383788,0.1189963966608048,-0.1475397050380707],[4,5,16,2,-1,4,5,8,2,2,0,-0.009290773421525955,-0.116354301571846,0.0541046410799026],[1,10,10,8,-1,1,10,5,4,2,6,14,5,4,2,0,0.0372448489069939,-0.0344212017953396,0.3794392943382263],[16,2,5,9,-1,13,5,5,3,3,1,0.1527702957391739,0.007272540125995874,-0.341550886631012],[4,4,4,6,-1,6,4,2,6,2,0,-0.0126634500920773,-0.3059667050838471,0.038231261074543],[9,2,9,7,-1,12,2,3,7,3,0,-0.0748884230852127,-0.3465895056724548,0.0155016500502825],[4,2,9,7,-1,7,2,3,7,3,0,-0.040114589035511,0.3262982070446014,-0.0413136705756187],[16,2,5,9,-1,13,5,5,3,3,1,-0.0964921116828918,0.1017284989356995,-0.0171560104936361],[6,2,9,5,-1,9,5,3,5,3,1,-0.167128399014473,-0.7765511870384216,0.0180295594036579],[5,12,14,6,-1,5,14,14,2,3,0,-0.008298194035887718,-0.143971398472786,0.058948140591383],[6,4,4,12,-1,6,4,2,6,2,8,10,2,6,2,0,-0.0037844169419258833,0.1709517985582352,-0.0782564431428909],[9,4,10,8,-1,9,4,5,8,2,0,-0.1607642024755478,0.2313822954893112,-0.0134280500933528],[7,5,6,8,-1,7,5,3,4,2,10,9,3,4,2,0,0.0006454443791881204,-0.1442440003156662,0.0832878202199936],[8,7,6,8,-1,11,7,3,4,2,8,11,3,4,2,0,0.0227373093366623,-0.0341558195650578,0.355198085308075],[2,4,11,2,-1,2,4,11,1,2,1,-0.003903005039319396,-0.1873676925897598,0.0646280124783516],[16,0,3,13,-1,17,0,1,13,3,0,-0.0511454306542873,0.6689270734786987,-0.011180049739778],[2,0,18,3,-1,2,1,18,1,3,0,-0.006048236973583698,0.1862275004386902,-0.0630187019705772],[15,8,6,4,-1,15,8,3,4,2,0,0.0117435697466135,0.0254492796957493,-0.1333124935626984],[2,0,13,3,-1,2,1,13,1,3,0,0.0008412089082412422,-0.0933334678411484,0.133158802986145],[4,4,18,4,-1,4,6,18,2,2,0,-0.0377561710774899,-0.2313880026340485,0.0405697897076607],[3,3,10,9,-1,8,3,5,9,2,0,-0.0208675600588322,0.1005609035491943,-0.117441900074482],[2,7,18,6,-1,8,9,6,2,9,0,-0.0398021787405014,-0.1158571988344193,0.1266818940639496]]],[20,-0.6816900968551636,[[10,4,11,2,-1,10,4,11,1,2,1,0.008454618975520134,-0.162896603345871,0.1983439028263092],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0,0.0516104511916637,-0.0308270901441574,0.3374255001544952],[2,6,6,12,-1,2,6,3,6,2,5,12,3,6,2,0,-0.0649094432592392,0.286022812128067,-0.0598486512899399],[3,4,16,6,-1,3,6,16,2,3,0,-0.004395140800625086,0.1130265966057777,-0.1263208985328674],[1,11,16,3,-1,5,11,8,3,2,0,-0.0827568024396896,-0.6079095005989075,0.0219671800732613],[12,10,8,3,-1,12,10,4,3,2,0,-0.0048698862083256245,0.0858661904931068,-0.0890095233917236],[0,9,17,9,-1,0,12,17,3,3,0,0.0915124416351318,-0.0533453486859798,0.2673287093639374],[8,4,6,10,-1,11,4,3,5,2,8,9,3,5,2,0,0.0036815661005675793,0.070915699005127,-0.1794120967388153],[2,4,16,8,-1,2,4,8,4,2,10,8,8,4,2,0,0.006303270813077688,0.1237815022468567,-0.1239148005843163],[9,6,12,4,-1,15,6,6,2,2,9,8,6,2,2,0,0.0005876413197256625,-0.0638136565685272,0.095545768737793],[9,3,4,6,-1,9,6,4,3,2,0,0.0146803203970194,-0.0491835288703442,0.2904059886932373],[15,5,7,4,-1,15,5,7,2,2,1,0.0035624930169433355,-0.0975631475448608,0.0489328317344189],[0,6,18,6,-1,0,6,9,3,2,9,9,9,3,2,0,-0.007447334006428719,-0.159524604678154,0.0847726464271545],[4,2,15,3,-1,4,3,15,1,3,0,0.0540109910070896,-0.0205651503056288,0.5734071731567383],[2,0,6,6,-1,5,0,3,6,2,0,-0.002361391903832555,0.1495765000581741,-0.0751481130719185],[13,4,8,6,-1,17,4,4,3,2,13,7,4,3,2,0,0.0406654588878155,0.0147623997181654,-0.5968567132949829],[4,2,13,6,-1,4,4,13,2,3,0,0.0932583808898926,0.013036210089922,-0.6864386200904846],[9,8,12,3,-1,9,9,12,1,3,0,0.002859374973922968,-0.0549046397209167,0.0980746671557426],[1,8,16,3,-1,1,9,16,1,3,0,-0.004975640214979649,0.1675197035074234,-0.0825638324022293],[11,4,5,8,-1,11,8,5,4,2,0,-0.002206113887950778,0.0714861825108528,-0.0846847966313362],[3,4,11,2,-1,3,4,11,1,2,1,0.00437875185161829,0.075296439230442,-0.1698897033929825],[10,7,12,3,-1,10,8,12,1,3,0,-0.004914332181215286,0.1627433001995087,-0.0575791895389557],[9,3,7,8,-1,9,3,7,4,2,1,-0.003019121941179037,-0.124500997364521,0.1152698025107384],[13,2,2,12,-1,13,2,2,6,2,1,0.006822717841714621,0.0371669717133045,-0.1009344980120659],[0,9,12,4,-1,0,9,6,2,2,6,11,6,2,2,0,0.0351169817149639,-0.0429974310100079,0.3295919895172119],[11,7,8,6,-1,13,7,4,6,2,0,-0.0014400649815797806,-0.0989222601056099,0.0671088919043541],[0,8,6,6,-1,2,8,2,6,3,0,-0.004669935908168554,-0.1800343990325928,0.0680383965373039],[11,7,8,6,-1,13,7,4,6,2,0,0.037647720426321,-0.0210317503660917,0.1662711948156357],[3,7,8,6,-1,5,7,4,6,2,0,0.005174546968191862,-0.118460901081562,0.1091919019818306],[10,6,6,4,-1,10,6,3,4,2,0,0.0077274879440665245,-0.0550973303616047,0.2275228053331375],[4,8,12,10,-1,4,8,6,5,2,10,13,6,5,2,0,0.0291588492691517,0.0778855830430985,-0.177755206823349],[15,7,6,10,-1,17,7,2,10,3,0,0.0002988537889905274,-0.0788752809166908,0.0511631108820438],[6,14,6,4,-1,9,14,3,4,2,0,0.00014456070493906736,-0.1609764993190765,0.0815740302205086],[8,13,10,4,-1,8,13,5,4,2,0,0.047840740531683,0.0142105501145124,-0.3131667971611023],[2,0,4,18,-1,4,0,2,18,2,0,0.0439434684813023,-0.0310024805366993,0.42450350522995],[11,0,8,10,-1,11,0,8,5,2,1,-0.1760338991880417,-0.2162521928548813,0.0137106403708458],[0,7,12,3,-1,0,8,12,1,3,0,-0.0270105507224798,0.454482913017273,-0.0285076200962067],[17,0,2,10,-1,17,0,1,10,2,1,0.006453466136008501,-0.0496607087552547,0.0830717235803604],[5,6,6,4,-1,5,8,6,2,2,0,-0.007111507002264261,-0.2250981032848358,0.0650333613157272],[15,10,7,6,-1,15,12,7,2,3,0,-0.0251848492771387,-0.174803301692009,0.0187510997056961],[0,10,7,6,-1,0,12,7,2,3,0,-0.00008804743265500292,0.1267789006233215,-0.1070457994937897],[13,12,6,6,-1,15,12,2,6,3,0,-0.0360202193260193,0.2464960068464279,-0.0497720800340176],[1,11,20,7,-1,11,11,10,7,2,0,0.007608457002788782,0.100414402782917,-0.1367384046316147],[13,5,4,9,-1,13,8,4,3,3,0,-0.00824049673974514,0.11703260242939,-0.0527819618582726],[2,12,8,6,-1,2,12,4,3,2,6,15,4,3,2,0,-0.0007247481844387949,-0.1165003031492233,0.1133349016308785],[9,14,6,4,-1,9,16,6,2,2,0,-0.00007827227818779647,0.0644256770610809,-0.1589460968971252],[7,12,8,6,-1,7,12,4,3,2,11,15,4,3,2,0,-0.0020254699047654867,-0.1702708005905151,0.0712168663740158],[6,1,12,14,-1,12,1,6,7,2,6,8,6,7,2,0,-0.1188203021883965,0.3287855088710785,-0.015325210057199],[5,5,4,9,-1,5,8,4,3,3,0,-0.016258429735899,0.2184889018535614,-0.0562531985342503],[5,13,12,4,-1,11,13,6,2,2,5,15,6,2,2,0,-0.006842979229986668,-0.233134999871254,0.0571078211069107],[9,7,8,3,-1,8,8,8,1,3,1,0.0349397100508213,-0.0273338295519352,0.4565196931362152],[7,5,8,10,-1,7,10,8,5,2,0,0.2297977954149246,0.0145089896395803,-0.8716508746147156],[7,1,8,3,-1,6,2,8,1,3,1,0.043360598385334,0.008446759544312954,-0.8750032782554626],[10,14,12,3,-1,10,15,12,1,3,0,-0.0011806190013885498,0.0781866982579231,-0.0528342090547085],[0,6,18,12,-1,0,12,18,6,2,0,-0.4177268147468567,-0.8072922229766846,0.0130481300875545],[9,8,6,6,-1,9,11,6,3,2,0,-0.0463152304291725,0.2937507927417755,-0.0351923890411854],[3,2,4,12,-1,3,2,2,6,2,5,8,2,6,2,0,-0.0402713008224964,-0.5817453265190125,0.019768500700593],[13,2,2,12,-1,13,2,2,6,2,1,-0.0430124402046204,0.1088251024484634,-0.0269776098430157],[2,4,6,8,-1,2,4,3,4,2,5,8,3,4,2,0,0.0028285770677030087,0.0768370479345322,-0.1572055071592331],[14,10,4,6,-1,14,10,2,6,2,0,-0.0332046113908291,-0.2315258979797363,0.0159325394779444],[0,0,2,12,-1,0,6,2,6,2,0,-0.0004809735110029578,0.1104374006390572,-0.1158946007490158],[13,2,2,12,-1,13,2,2,6,2,1,0.0029704240150749683,-0.0342437401413918,0.06910739839077],[9,2,12,2,-1,9,2,6,2,2,1,0.0118931904435158,0.0801228806376457,-0.2050309032201767],[10,9,12,4,-1,16,9,6,2,2,10,11,6,2,2,0,-0.0639636069536209,-0.8553075194358826,0.006478352937847376],[0,9,12,4,-1,0,9,6,2,2,6,11,6,2,2,0,-0.005609354004263878,0.1627894937992096,-0.1007907018065453],[17,9,4,9,-1,17,12,4,3,3,0,0.007597933989018202,0.0541234090924263,-0.124312698841095],[1,9,10,6,-1,1,9,5,3,2,6,12,5,3,2,0,0.0134808197617531,-0.0637513026595116,0.252506285905838],[8,12,9,4,-1,8,14,9,2,2,0,-0.0009461375884711742,0.0428358688950539,-0.0768371000885963],[2,8,6,10,-1,2,8,3,5,2,5,13,3,5,2,0,-0.0380624905228615,0.192521795630455,-0.0639471337199211],[7,10,12,6,-1,10,10,6,6,2,0,0.1241089999675751,0.007941659539937973,-0.4265302121639252],[3,10,12,6,-1,6,10,6,6,2,0,-0.0922284424304962,-0.5521062016487122,0.0289649106562138],[20,0,2,12,-1,20,6,2,6,2,0,0.0151067702099681,0.0276093408465385,-0.1668844968080521],[0,0,2,12,-1,0,6,2,6,2,0,-0.0236542504280806,-0.3437967896461487,0.0395133309066296],[14,3,4,15,-1,14,3,2,15,2,0,0.0478813908994198,0.008066108450293541,-0.1818519979715347],[0,1,16,14,-1,0,1,8,7,2,8,8,8,7,2,0,0.0854152888059616,-0.0467524081468582,0.2716900110244751],[11,0,8,10,-1,11,0,8,5,2,1,0.0031524940859526396,-0.086421400308609,0.0683360025286675],[0,3,16,4,-1,0,3,8,2,2,8,5,8,2,2,0,-0.003009987063705921,0.089336208999157,-0.1362684965133667],[13,0,7,12,-1,13,4,7,4,3,0,-0.058112520724535,-0.1974812000989914,0.0265364404767752],[5,3,11,15,-1,5,8,11,5,3,0,0.1277566999197006,-0.0498380400240421,0.3489640057086945],[13,0,7,12,-1,13,4,7,4,3,0,0.1201129034161568,-0.006331343203783035,0.3793754875659943],[2,0,7,12,-1,2,4,7,4,3,0,0.0047567482106387615,0.1049041971564293,-0.1354257017374039],[4,5,18,12,-1,10,9,6,4,9,0,-0.0159023497253656,0.0617863014340401,-0.0983760803937912],[4,7,14,6,-1,4,7,7,3,2,11,10,7,3,2,0,-0.0564237087965012,-0.6337103247642517,0.0202245991677046],[7,9,13,3,-1,7,10,13,1,3,0,-0.0796413272619247,-1,0.0008742830832488835],[2,9,13,3,-1,2,10,13,1,3,0,-0.00207313010469079,0.1384645998477936,-0.0958653017878532],[5,9,17,3,-1,5,10,17,1,3,0,0.005847036838531494,-0.0570338405668736,0.1169179975986481],[1,1,10,9,-1,1,4,10,3,3,0,-0.0261389501392841,-0.2236243933439255,0.0555466301739216],[4,1,16,8,-1,4,3,16,4,2,0,-0.000657816301099956,0.0929992273449898,-0.0841521173715591],[6,5,6,12,-1,8,5,2,12,3,0,-0.0560413897037506,0.3507285118103027,-0.0314722806215286],[11,7,6,5,-1,11,7,3,5,2,1,0.0977998003363609,0.0101244300603867,-0.377140611410141],[5,4,9,5,-1,8,4,3,5,3,0,0.0045515140518546104,-0.0783113613724709,0.1416697055101395],[2,12,18,4,-1,11,12,9,2,2,2,14,9,2,2,0,0.0101683801040053,0.0521139912307262,-0.2442279011011124],[11,4,9,3,-1,10,5,9,1,3,1,0.0628854036331177,-0.0182555094361305,0.6284729242324829],[15,0,2,10,-1,15,0,1,10,2,1,-0.0480641312897205,-0.8681743144989014,0.006606483832001686],[0,5,18,12,-1,6,9,6,4,9,0,0.0184799004346132,0.0699778124690056,-0.159293994307518],[14,9,4,6,-1,14,9,2,6,2,0,0.0245498400181532,-0.0175191201269627,0.1796191930770874],[5,6,3,12,-1,5,10,3,4,3,0,0.0392274707555771,-0.0474179908633232,0.2794578969478607],[11,0,3,9,-1,12,1,1,9,3,1,0.0412481985986233,0.0114593701437116,-0.434774786233902],[1,9,4,9,-1,1,12,4,3,3,0,-0.0008432114263996482,0.1275885999202728,-0.0970105603337288],[18,9,4,9,-1,18,12,4,3,3,0,-0.0136887403205037,-0.1623619049787521,0.043290950357914],[6,9,6,4,-1,9,9,3,4,2,0,-0.0559825114905834,-0.7543113827705383,0.0157977100461721],[11,0,3,9,-1,12,1,1,9,3,1,0.073578268289566,-0.0014777439646422863,-1.000035047531128],[11,0,9,3,-1,10,1,9,1,3,1,0.0037084969226270914,-0.0971846431493759,0.1243532970547676],[5,15,12,2,-1,5,16,12,1,2,0,-0.000014889879821566865,0.0714653432369232,-0.1684084981679916],[0,0,22,2,-1,11,0,11,2,2,0,0.1048756018280983,0.0150766503065825,-0.711594820022583],[20,0,2,13,-1,20,0,1,13,2,0,0.0125874895602465,-0.0207713004201651,0.1746868044137955],[0,0,2,13,-1,1,0,1,13,2,0,-0.00022228389570955187,0.1178164035081863,-0.0926274582743645],[10,1,6,6,-1,12,1,2,6,3,0,-0.0777604132890701,-0.7460541129112244,0.003632818115875125],[6,1,6,6,-1,8,1,2,6,3,0,0.0450434200465679,0.022217869758606,-0.5005291104316711],[10,7,12,3,-1,10,8,12,1,3,0,0.0035614410880953074,-0.0512132197618485,0.0899865031242371],[0,7,12,3,-1,0,8,12,1,3,0,-0.0007410236867144704,0.1393804997205734,-0.1027221977710724]]],[21,-0.6068928837776184,[[1,9,8,6,-1,1,9,4,3,2,5,12,4,3,2,0,-0.00856001302599907,0.1657890975475311,-0.1641291975975037],[10,10,7,4,-1,10,12,7,2,2,0,0.0307988096028566,-0.0334956496953964,0.285786509513855],[8,10,4,6,-1,10,10,2,6,2,0,-0.0003731941105797887,0.1252344995737076,-0.1211517006158829],[13,6,8,4,-1,13,6,4,4,2,1,-0.0192538499832153,-0.087740883231163,0.0390665717422962],[10,1,8,7,-1,12,3,4,7,2,1,-0.008540164679288864,0.1315227001905441,-0.1300774067640305],[8,5,8,7,-1,8,5,4,7,2,0,0.1242434978485107,0.0190199799835682,-0.7824705243110657],[6,5,8,7,-1,10,5,4,7,2,0,0.0400934182107449,-0.0407437682151794,0.3885174989700317],[6,3,16,12,-1,14,3,8,6,2,6,9,8,6,2,0,-0.00004416955925989896,0.0455269701778889,-0.0880638062953949],[4,11,6,6,-1,4,13,6,2,3,0,-0.0176628492772579,-0.3137181103229523,0.0517943389713764],[4,2,18,14,-1,13,2,9,7,2,4,9,9,7,2,0,0.0523685105144978,-0.0358459986746311,0.1500973999500275],[5,0,11,12,-1,5,3,11,6,2,0,-0.0287192799150944,-0.1984937936067581,0.0780990719795227],[4,7,16,9,-1,4,10,16,3,3,0,0.06943579018116,-0.0550737306475639,0.2178084999322891],[0,1,18,3,-1,0,2,18,1,3,0,0.0547944381833076,-0.0302236899733543,0.6299396753311157],[12,13,6,4,-1,12,15,6,2,2,0,-0.0153155000880361,-0.1505279988050461,0.0201943702995777],[1,10,6,8,-1,1,10,3,4,2,4,14,3,4,2,0,0.0290019698441029,-0.0207389891147614,0.4564509987831116],[14,12,8,6,-1,18,12,4,3,2,14,15,4,3,2,0,-0.0232647694647312,0.1467252969741821,-0.0380813516676426],[9,3,12,3,-1,13,7,4,3,3,1,0.0190631095319986,0.0729212388396263,-0.2272370010614395],[8,12,6,6,-1,8,12,3,6,2,0,0.0012208239641040564,0.0734713226556778,-0.1912292987108231],[4,8,14,10,-1,4,13,14,5,2,0,-0.175659105181694,0.2592468857765198,-0.0560151189565659],[11,2,8,8,-1,11,2,4,8,2,1,-0.0380421318113804,0.1611361056566238,-0.0437588207423687],[9,6,4,8,-1,9,6,4,4,2,1,0.0301302596926689,0.0578308291733265,-0.297741711139679],[18,3,4,10,-1,18,3,4,5,2,1,0.0200892202556133,-0.060509629547596,0.0334416814148426],[5,15,12,3,-1,9,15,4,3,3,0,0.0002619338920339942,-0.1517544984817505,0.1109410971403122],[11,8,4,6,-1,11,8,4,3,2,1,0.0403106287121773,0.0174771193414927,-0.1418537944555283],[11,8,6,4,-1,11,8,3,4,2,1,-0.002934301970526576,-0.1696013957262039,0.0935302525758743],[3,13,16,5,-1,7,13,8,5,2,0,0.0145545201376081,-0.0758445262908936,0.2777166068553925],[6,2,4,12,-1,6,2,2,6,2,8,8,2,6,2,0,0.0034086001105606556,0.0739333108067513,-0.1962659060955048],[2,14,18,4,-1,11,14,9,2,2,2,16,9,2,2,0,-0.0067988429218530655,-0.2013248056173325,0.0582760386168957],[3,1,12,3,-1,3,2,12,1,3,0,-0.005045793019235134,0.1944606006145477,-0.0716915801167488],[6,1,16,3,-1,6,2,16,1,3,0,0.0104650100693107,-0.0473145917057991,0.1931611001491547],[5,3,8,3,-1,9,3,4,3,2,0,-0.0016713530058041215,0.0929151475429535,-0.1189012974500656],[16,3,4,6,-1,16,3,4,3,2,1,-0.0427043586969376,0.169610396027565,-0.0206326507031918],[4,3,10,4,-1,4,3,5,4,2,1,0.2036782950162888,0.0232468992471695,-0.4942026138305664],[14,5,6,8,-1,17,5,3,4,2,14,9,3,4,2,0,-0.0008337948238477111,0.0500010699033737,-0.0737798064947128],[1,2,14,12,-1,1,5,14,6,2,0,0.1785476952791214,0.0155882900580764,-0.7765008211135864],[11,2,6,12,-1,11,5,6,6,2,0,-0.1353528946638107,-0.5229911208152771,0.0031595760956406593],[5,2,6,12,-1,5,5,6,6,2,0,0.0465552695095539,-0.041891060769558,0.3032479882240295],[11,5,8,5,-1,11,5,4,5,2,1,0.0226636491715908,0.038851160556078,-0.0851962268352509],[4,0,9,18,-1,7,0,3,18,3,0,-0.2302772998809815,-0.935030996799469,0.0139423497021198],[11,14,6,4,-1,11,16,6,2,2,0,0.0257141403853893,-0.009146077558398247,0.7806320190429688],[5,14,6,4,-1,5,16,6,2,2,0,-0.000007372851086984156,0.0627309232950211,-0.2004217058420181],[12,13,6,4,-1,12,15,6,2,2,0,-0.0197578892111778,-0.2343472987413406,0.0146009000018239],[1,6,13,3,-1,1,7,13,1,3,0,-0.0041893101297318935,0.1497139930725098,-0.0693688690662384],[10,6,12,3,-1,10,7,12,1,3,0,0.0011314969742670655,-0.0692035928368568,0.1044744029641151],[1,8,6,4,-1,4,8,3,4,2,0,0.0063914088532328606,0.0561340302228928,-0.198627695441246],[14,12,6,6,-1,16,12,2,6,3,0,-0.0037047569639980793,0.0968172922730446,-0.0952822864055634],[2,12,6,6,-1,4,12,2,6,3,0,0.0306274592876434,-0.0500796400010586,0.2602388858795166],[7,15,12,3,-1,11,15,4,3,3,0,0.0324444398283958,0.0310999397188425,-0.2078860998153687],[1,12,8,5,-1,5,12,4,5,2,0,0.0116515597328544,-0.0583119504153728,0.2537410855293274],[14,5,6,8,-1,17,5,3,4,2,14,9,3,4,2,0,-0.0365152209997177,-0.2674919068813324,0.0205362495034933],[2,5,6,8,-1,2,5,3,4,2,5,9,3,4,2,0,0.0174746308475733,0.0474169813096523,-0.3371900916099548],[14,11,8,6,-1,18,11,4,3,2,14,14,4,3,2,0,-0.0015204170485958457,0.0589338093996048,-0.0958449468016624],[4,0,8,6,-1,4,0,4,3,2,8,3,4,3,2,0,0.0477611795067787,0.0108497003093362,-0.8663501739501953],[14,3,7,4,-1,14,3,7,2,2,1,-0.063569113612175,0.2585859894752502,-0.0181565806269646],[0,11,8,6,-1,0,11,4,3,2,4,14,4,3,2,0,-0.0017476839711889625,0.0757502466440201,-0.1429527997970581],[4,13,14,4,-1,4,15,14,2,2,0,-0.004676255863159895,-0.0912233963608742,0.1313527971506119],[5,3,9,8,-1,8,3,3,8,3,0,0.0222021006047726,-0.0533974505960941,0.2074397951364517],[5,0,15,8,-1,10,0,5,8,3,0,-0.2464735954999924,-0.456102192401886,0.00357778905890882],[2,0,15,8,-1,7,0,5,8,3,0,0.005014878232032061,0.0888718292117119,-0.1623649001121521],[14,0,6,11,-1,16,0,2,11,3,0,-0.0420239716768265,0.1280557960271835,-0.0119267599657178],[0,16,18,2,-1,6,16,6,2,3,0,-0.1089551970362663,-0.6646612286567688,0.015905549749732],[5,3,12,9,-1,9,6,4,3,9,0,-0.3667292892932892,0.3637480139732361,-0.0312062297016382],[8,3,4,7,-1,8,3,2,7,2,1,0.009588450193405151,0.0910735502839088,-0.1249236017465591],[10,3,6,8,-1,12,3,2,8,3,0,0.0016124530229717493,0.033751979470253,-0.0587492398917675],[6,3,6,8,-1,8,3,2,8,3,0,-0.0178824309259653,0.2099276930093765,-0.0632152333855629],[7,13,12,4,-1,7,15,12,2,2,0,-0.00006665501859970391,0.0550200305879116,-0.1790881007909775],[3,9,16,8,-1,3,9,8,4,2,11,13,8,4,2,0,-0.0109126102179289,-0.1787886023521423,0.0640889033675194],[9,0,13,3,-1,9,1,13,1,3,0,-0.0019031569827347994,0.1101256012916565,-0.0625764429569244],[4,0,4,12,-1,4,0,2,6,2,6,6,2,6,2,0,0.004732205998152494,0.0606118105351925,-0.1752125024795532],[1,11,20,4,-1,6,11,10,4,2,0,0.1795500069856644,-0.0264137107878923,0.514631986618042],[3,14,6,4,-1,6,14,3,4,2,0,-0.0018869279883801937,0.070732869207859,-0.1897756010293961],[10,6,12,3,-1,10,7,12,1,3,0,-0.003532242029905319,0.0958002880215645,-0.0492516607046127],[0,6,12,3,-1,0,7,12,1,3,0,0.001081840950064361,-0.0970824882388115,0.1409244984388351],[6,2,14,6,-1,6,4,14,2,3,0,-0.0954552590847015,-0.683765172958374,0.008818701840937138],[4,1,6,4,-1,4,1,6,2,2,1,0.0016179149970412254,-0.0951295793056488,0.1135148033499718],[1,0,21,18,-1,8,0,7,18,3,0,0.6554787755012512,0.009763598442077637,-0.5658118724822998],[5,0,14,2,-1,5,0,7,2,2,1,-0.0779737234115601,0.3557372987270355,-0.0331261307001114],[14,8,4,9,-1,14,11,4,3,3,0,0.0202090293169022,0.0393016114830971,-0.1358025074005127],[2,0,6,10,-1,4,0,2,10,3,0,0.0903235897421837,-0.0159329306334257,0.6940913200378418],[5,11,12,4,-1,11,11,6,2,2,5,13,6,2,2,0,-0.006204883102327585,-0.1703765988349915,0.0680906772613525],[8,5,4,6,-1,10,5,2,6,2,0,-0.0157372504472733,0.1625010967254639,-0.0665289387106895],[7,1,15,9,-1,12,4,5,3,9,0,-0.0353970415890217,-0.0897665470838547,0.0491357408463955],[0,1,15,9,-1,5,4,5,3,9,0,0.0328508615493774,0.0851581394672394,-0.1300231963396072],[5,0,12,16,-1,11,0,6,8,2,5,8,6,8,2,0,-0.0840240567922592,0.306584894657135,-0.0393136218190193],[8,10,6,5,-1,11,10,3,5,2,0,0.002134765964001417,0.0833869501948357,-0.1223948001861572],[10,4,8,9,-1,10,7,8,3,3,0,0.1792261004447937,0.0026004109531641006,-0.999890923500061],[4,4,8,9,-1,4,7,8,3,3,0,0.1185439005494118,0.0110983699560165,-0.8962950706481934],[8,3,12,3,-1,8,4,12,1,3,0,-0.0027351840399205685,0.1158913001418114,-0.0635892078280449],[0,3,13,3,-1,0,4,13,1,3,0,0.006609288044273853,-0.0794914290308952,0.1850122958421707],[10,1,12,3,-1,14,1,4,3,3,0,-0.0210720095783472,-0.1470849961042404,0.0260712802410126],[0,1,12,3,-1,4,1,4,3,3,0,0.0134116197004914,0.0486455895006657,-0.2204180061817169],[8,3,12,3,-1,8,4,12,1,3,0,-0.0206615403294563,0.2137404978275299,-0.0222432296723127],[8,4,6,4,-1,8,4,3,4,2,1,-0.1093925014138222,-0.7923508882522583,0.0119324997067451],[13,2,2,11,-1,13,2,1,11,2,1,0.0545732714235783,-0.008706408552825451,0.3822610974311829],[9,2,11,2,-1,9,2,11,1,2,1,-0.0278459899127483,0.4209634065628052,-0.0343008190393448],[11,1,3,16,-1,11,9,3,8,2,0,0.1497317999601364,0.005585744045674801,-0.7102707028388977],[7,1,4,9,-1,7,4,4,3,3,0,0.0545480214059353,0.0192897692322731,-0.5506185293197632],[12,4,4,8,-1,12,8,4,4,2,0,0.0054990737698972225,0.0436438918113709,-0.1223369985818863],[1,7,6,4,-1,1,9,6,2,2,0,0.0003598805924411863,-0.0950050204992294,0.1250164061784744],[12,4,4,8,-1,12,8,4,4,2,0,-0.0510030686855316,-0.3464818894863129,0.0141243999823928],[6,4,4,8,-1,6,8,4,4,2,0,-0.0593791306018829,0.6884043216705322,-0.0207809992134571],[19,3,3,12,-1,20,4,1,12,3,1,0.0689760372042656,0.008567813783884048,-0.6909855008125305],[3,3,12,3,-1,2,4,12,1,3,1,-0.004395483061671257,-0.1738288998603821,0.0691059902310371],[13,6,3,7,-1,14,7,1,7,3,1,0.013838030397892,-0.0293981190770864,0.1968578994274139],[8,12,6,4,-1,11,12,3,4,2,0,-0.007531697861850262,-0.3579084873199463,0.0396854504942894],[10,8,10,10,-1,15,8,5,5,2,10,13,5,5,2,0,-0.0882997065782547,-0.2377042025327683,0.003023232100531459],[2,8,10,10,-1,2,8,5,5,2,7,13,5,5,2,0,-0.0441387593746185,0.2654140889644623,-0.051865179091692]]],[22,-0.5688105821609497,[[1,11,20,3,-1,6,11,10,3,2,0,-0.0925825834274292,0.3618328869342804,-0.0782759636640549],[13,8,6,4,-1,13,8,3,4,2,1,-0.004814398009330034,-0.1268171966075897,0.0677237883210182],[4,11,8,4,-1,8,11,4,4,2,0,0.0323651283979416,-0.0460871085524559,0.326920211315155],[9,5,10,6,-1,9,5,5,6,2,0,-0.0170285701751709,0.0913064032793045,-0.1166059002280235],[4,8,6,9,-1,7,8,3,9,2,0,-0.1130862012505531,-0.7963135838508606,0.0584269911050797],[4,5,16,4,-1,4,5,8,4,2,0,-0.003563375910744071,-0.082610622048378,0.1016670018434525],[2,4,18,6,-1,8,6,6,2,9,0,-0.2410956025123596,0.2792722880840302,-0.0807449668645859],[11,1,2,11,-1,11,1,1,11,2,1,0.0225992891937494,0.0517445988953114,-0.288654088973999],[7,1,6,8,-1,7,1,3,4,2,10,5,3,4,2,0,0.0200022701174021,-0.0579623617231846,0.2904478907585144],[7,10,8,6,-1,9,10,4,6,2,0,-0.0019348099594935775,0.0988086834549904,-0.1236845999956131],[6,12,9,4,-1,9,12,3,4,3,0,-0.007575771771371365,-0.2007191032171249,0.0927412882447243],[10,12,9,4,-1,13,12,3,4,3,0,0.0333818197250366,-0.0345307588577271,0.3087649941444397],[8,0,10,8,-1,8,0,5,8,2,1,0.0474189817905426,-0.1356326937675476,0.1101675033569336],[9,6,12,4,-1,15,6,6,2,2,9,8,6,2,2,0,-0.00541731296107173,-0.1605008989572525,0.0726122930645943],[4,9,14,5,-1,11,9,7,5,2,0,-0.009694255888462067,-0.1637648940086365,0.0844264701008797],[14,6,6,6,-1,12,8,6,2,3,1,-0.0606321692466736,0.1647441983222961,-0.0269814003258944],[6,4,6,7,-1,8,4,2,7,3,0,0.005030286032706499,-0.1099682971835136,0.1348073035478592],[14,9,6,6,-1,14,12,6,3,2,0,-0.0877922028303146,-0.6831796765327454,0.0108346100896597],[2,9,6,6,-1,2,12,6,3,2,0,0.0303904097527266,-0.0424505695700645,0.3077059984207153],[13,8,4,8,-1,13,8,2,8,2,0,-0.0515663400292397,-0.6284000873565674,0.009706983342766762],[5,8,4,9,-1,7,8,2,9,2,0,-0.000424469995778054,0.084595613181591,-0.1807512938976288],[2,4,18,12,-1,8,8,6,4,9,0,-0.1213535964488983,-0.127174898982048,0.0965750589966774],[3,5,10,6,-1,8,5,5,6,2,0,-0.0151505600661039,0.0930375531315804,-0.1312790066003799],[6,0,12,8,-1,6,0,6,8,2,0,0.039446409791708,0.0255436394363642,-0.1146064028143883],[0,11,8,7,-1,2,11,4,7,2,0,-0.008246547542512417,0.2400871068239212,-0.0516802482306957],[15,11,6,7,-1,17,11,2,7,3,0,0.0352623611688614,-0.0335550494492054,0.2057549953460693],[3,16,14,2,-1,3,17,14,1,2,0,0.0117030600085855,0.0235292501747608,-0.4998390078544617],[9,15,13,3,-1,9,16,13,1,3,0,0.0429699681699276,-0.012683330103755,0.5404338836669922],[0,15,13,3,-1,0,16,13,1,3,0,-0.0158117990940809,0.3956415057182312,-0.0355683900415897],[5,13,12,3,-1,5,14,12,1,3,0,0.004625335801392794,0.0523705407977104,-0.2298993021249771],[0,14,14,3,-1,0,15,14,1,3,0,-0.0015898230485618114,0.1379200965166092,-0.086783193051815],[13,5,6,6,-1,15,5,2,6,3,0,0.0006232908926904202,-0.0866438299417496,0.0577100291848183],[3,5,6,6,-1,5,5,2,6,3,0,0.007099492941051722,0.0757976174354553,-0.1689887046813965],[2,3,20,4,-1,7,3,10,4,2,0,0.0696087777614594,-0.0124546997249126,0.2084520012140274],[4,13,12,2,-1,4,14,12,1,2,0,-0.0187595207244158,-0.5500862002372742,0.0210402794182301],[9,6,9,6,-1,12,6,3,6,3,0,0.0465137884020805,-0.0259040091186762,0.1832201927900314],[8,5,6,7,-1,10,5,2,7,3,0,0.0216385796666145,-0.0388739109039307,0.2991969883441925],[15,0,3,10,-1,16,1,1,10,3,1,-0.0767725706100464,-1,0.0039020550902932882],[7,0,10,3,-1,6,1,10,1,3,1,0.0405355282127857,0.0188806802034378,-0.6603388786315918],[11,4,8,6,-1,15,4,4,3,2,11,7,4,3,2,0,0.040338758379221,0.009287740103900433,-0.3442203104496002],[7,0,12,3,-1,6,1,12,1,3,1,0.0434042401611805,-0.0221117790788412,0.5122771263122559],[19,4,3,11,-1,20,5,1,11,3,1,0.01689513027668,0.0300584807991982,-0.1864860057830811],[1,11,6,7,-1,3,11,2,7,3,0,0.0030269259586930275,-0.1397909969091415,0.0875445604324341],[7,4,15,14,-1,7,11,15,7,2,0,-0.3717184066772461,-0.2967667877674103,0.0162415504455566],[3,4,11,3,-1,2,5,11,1,3,1,-0.0257987398654222,-0.4371350109577179,0.0267681498080492],[14,6,3,8,-1,15,7,1,8,3,1,-0.00908266007900238,0.0995484963059425,-0.038500539958477],[3,0,3,18,-1,4,0,1,18,3,0,-0.001797717995941639,0.1381019949913025,-0.0753872320055962],[14,3,8,4,-1,14,3,8,2,2,1,0.1243569999933243,0.004606402944773436,-0.3690980076789856],[8,3,4,8,-1,8,3,2,8,2,1,-0.0129014896228909,-0.2043330073356628,0.0531336106359959],[18,2,4,12,-1,15,5,4,6,2,1,-0.0133520998060703,-0.1051217019557953,0.0597462393343449],[2,9,17,3,-1,2,10,17,1,3,0,-0.0306505206972361,0.3436650037765503,-0.0396178103983402],[7,9,14,3,-1,7,10,14,1,3,0,0.0020778391044586897,-0.05075528845191,0.0729307532310486],[8,2,6,8,-1,8,2,3,4,2,11,6,3,4,2,0,-0.0611611790955067,0.7837166786193848,-0.0139401303604245],[11,4,8,6,-1,15,4,4,3,2,11,7,4,3,2,0,-0.0666819736361504,-0.6701030731201172,0.0042770858854055405],[3,4,8,6,-1,3,4,4,3,2,7,7,4,3,2,0,0.02735985070467,0.0242531802505255,-0.4267185926437378],[3,1,18,3,-1,3,2,18,1,3,0,-0.0024731201119720936,0.096493236720562,-0.0574338398873806],[0,9,8,3,-1,4,9,4,3,2,0,-0.0107214897871017,-0.2157561033964157,0.0442569702863693],[13,2,9,10,-1,13,7,9,5,2,0,-0.1393698006868362,-0.3637753129005432,0.0100051397457719],[1,2,8,12,-1,1,2,4,6,2,5,8,4,6,2,0,-0.0568677112460136,0.3032726943492889,-0.0372307896614075],[12,5,8,6,-1,16,5,4,3,2,12,8,4,3,2,0,-0.0657765120267868,-1,0.0012443619780242443],[1,0,17,3,-1,1,1,17,1,3,0,-0.0015500129666179419,0.128985807299614,-0.0855282470583916],[4,0,15,2,-1,4,1,15,1,2,0,0.0008790955180302262,-0.0799063816666603,0.1284713000059128],[5,0,12,4,-1,5,2,12,2,2,0,0.0029614660888910294,0.089433841407299,-0.17047980427742],[7,4,15,14,-1,7,11,15,7,2,0,-0.5073503851890564,-0.8419762849807739,0.002359210979193449],[8,2,9,2,-1,8,2,9,1,2,1,0.0354092009365559,0.0171374902129173,-0.5905207991600037],[16,0,2,13,-1,16,0,1,13,2,1,-0.046220239251852,0.4738368988037109,-0.0114230895414948],[6,0,13,2,-1,6,0,13,1,2,1,0.0408750995993614,-0.0267140790820122,0.421398788690567],[12,7,2,9,-1,12,7,1,9,2,1,-0.0576518103480339,0.5602129101753235,-0.009575729258358479],[10,7,9,2,-1,10,7,9,1,2,1,0.0033733060117810965,0.0723236203193665,-0.1551048010587692],[9,0,11,10,-1,9,5,11,5,2,0,-0.3409616053104401,-1,-0.00031605950789526105],[8,5,9,2,-1,8,5,9,1,2,1,-0.005585051141679287,-0.1576807051897049,0.0736257433891296],[13,2,9,10,-1,13,7,9,5,2,0,-0.1106723994016647,0.2364044040441513,-0.0126707796007395],[0,2,9,10,-1,0,7,9,5,2,0,0.0432464107871056,-0.0493464209139347,0.301131010055542],[17,2,3,8,-1,17,6,3,4,2,0,-0.005891649983823299,-0.1472765058279038,0.0613457001745701],[2,2,3,8,-1,2,6,3,4,2,0,-0.000028674090572167188,0.1153924018144608,-0.1469265073537827],[4,4,18,4,-1,13,4,9,2,2,4,6,9,2,2,0,0.0261749103665352,-0.0229605808854103,0.2100441008806229],[0,4,18,4,-1,0,4,9,2,2,9,6,9,2,2,0,-0.0019902619533240795,0.0972506329417229,-0.1324492990970612],[4,1,14,4,-1,11,1,7,2,2,4,3,7,2,2,0,-0.0169608406722546,-0.3194906115531921,0.0361882895231247],[0,0,21,8,-1,7,0,7,8,3,0,-0.156347393989563,0.3193452954292297,-0.0419170707464218],[5,0,14,18,-1,12,0,7,9,2,5,9,7,9,2,0,-0.2386395037174225,0.3818357884883881,-0.008656753227114677],[1,11,16,4,-1,5,11,8,4,2,0,-0.0776415020227432,-0.3315665125846863,0.0334911495447159],[6,9,10,6,-1,6,11,10,2,3,0,-0.0452578999102116,0.4605852961540222,-0.0313548594713211],[5,10,12,4,-1,5,11,12,2,2,0,-0.0333907902240753,-0.729747474193573,0.0162069909274578],[15,4,6,6,-1,15,4,3,6,2,1,0.0730794668197632,-0.0192014500498772,0.3401190936565399],[7,4,6,6,-1,7,4,6,3,2,1,-0.0545362308621407,0.3322716057300568,-0.0331634283065796],[12,5,8,6,-1,16,5,4,3,2,12,8,4,3,2,0,0.0395526885986328,0.0118175595998764,-0.321317195892334],[5,5,8,4,-1,5,5,8,2,2,1,0.0005916013033129275,-0.1176635026931763,0.0880023613572121],[17,6,3,12,-1,17,10,3,4,3,0,0.0353797301650047,0.0182861909270287,-0.1620689034461975],[5,7,9,2,-1,5,7,9,1,2,1,0.0201524905860424,0.0228259395807981,-0.4303478896617889],[14,6,3,8,-1,15,7,1,8,3,1,-0.029185289517045,0.1825695931911469,-0.0163763090968132],[5,7,12,2,-1,5,8,12,1,2,0,-0.0217057801783085,-0.6697772145271301,0.0167823601514101],[4,5,18,3,-1,4,6,18,1,3,0,0.0425842702388763,-0.0168524999171495,0.3436039984226227],[1,6,15,9,-1,6,6,5,9,3,0,-0.1266373991966248,0.2674858868122101,-0.0361077897250652],[19,4,3,10,-1,19,4,3,5,2,1,0.1426007002592087,0.0144452704116702,-0.1972950994968414],[0,12,18,6,-1,0,15,18,3,2,0,0.0535609312355518,0.0173247996717691,-0.5960922241210938],[6,13,13,4,-1,6,15,13,2,2,0,-0.005938095971941948,-0.0651562735438347,0.0596456006169319],[3,5,8,9,-1,3,8,8,3,3,0,-0.006649732124060392,0.1427001953125,-0.0796698182821274],[6,8,10,8,-1,6,10,10,4,2,0,-0.0030137640424072742,0.1399628967046738,-0.094831757247448],[4,6,13,6,-1,4,9,13,3,2,0,-0.017213050276041,-0.1726574003696442,0.0694516524672508],[14,3,2,12,-1,14,3,2,6,2,1,0.1077570989727974,-0.004675754811614752,0.9216187000274658],[8,3,12,2,-1,8,3,6,2,2,1,0.0587385408580303,-0.0424589812755585,0.2883234918117523],[13,1,5,12,-1,13,1,5,6,2,1,-0.3047547936439514,-1,0.00002691848021640908],[9,1,12,5,-1,9,1,6,5,2,1,0.2039577960968018,0.0253179892897606,-0.5027515888214111],[8,12,8,3,-1,8,12,4,3,2,0,-0.009779428131878376,-0.1906087994575501,0.030577139928937],[5,12,12,4,-1,8,12,6,4,2,0,-0.022775499150157,0.2704837024211884,-0.0510012097656727],[13,8,6,4,-1,13,8,3,4,2,1,0.009808037430047989,0.0241802502423525,-0.0750008374452591],[9,8,4,6,-1,9,8,4,3,2,1,-0.0111309699714184,-0.238257497549057,0.0643887221813202]]],[23,-0.658242404460907,[[1,7,20,11,-1,6,7,10,11,2,0,-0.2138068974018097,0.2768664062023163,-0.092777818441391],[10,13,12,3,-1,10,14,12,1,3,0,-0.0033374479971826077,0.141192302107811,-0.0519071593880653],[1,10,6,4,-1,4,10,3,4,2,0,-0.0287385508418083,-0.3624325096607208,0.0319380201399326],[15,10,6,4,-1,15,10,3,4,2,0,-0.0035554158966988325,0.1196912005543709,-0.0523067489266396],[0,13,12,3,-1,0,14,12,1,3,0,-0.0107324598357081,0.2860266864299774,-0.0605550594627857],[4,10,14,8,-1,4,14,14,4,2,0,0.0873102396726608,-0.0336133912205696,0.4778678119182587],[5,14,12,4,-1,5,15,12,2,2,0,0.0021971999667584896,0.0602079704403877,-0.2154375016689301],[5,16,12,2,-1,5,17,12,1,2,0,-0.00007430274854414165,0.1414128988981247,-0.1271156072616577],[1,0,20,12,-1,6,0,10,12,2,0,-0.2931401133537293,-0.5559828877449036,0.00781057495623827],[7,12,15,5,-1,12,12,5,5,3,0,0.0779965370893478,-0.0202381405979395,0.2223376929759979],[6,0,15,2,-1,6,0,15,1,2,1,0.004973357077687979,-0.1541032940149307,0.0988745167851448],[6,5,12,8,-1,12,5,6,4,2,6,9,6,4,2,0,-0.0622326508164406,-0.2525390982627869,0.0258643291890621],[4,5,12,8,-1,4,5,6,4,2,10,9,6,4,2,0,-0.007475054822862148,-0.1907179057598114,0.0845282003283501],[6,2,16,6,-1,14,2,8,3,2,6,5,8,3,2,0,0.0222460106015205,-0.0310246292501688,0.1528923958539963],[1,2,16,14,-1,1,2,8,7,2,9,9,8,7,2,0,-0.0123052597045898,0.1169324964284897,-0.1109255999326706],[11,14,6,4,-1,11,14,3,4,2,0,-0.0013985290424898267,-0.2043567001819611,0.0875922590494156],[3,8,12,9,-1,7,11,4,3,9,0,0.3636125028133392,-0.0187503192573786,0.8505452871322632],[8,3,14,4,-1,15,3,7,2,2,8,5,7,2,2,0,-0.003881573909893632,0.0806438773870468,-0.1052099987864494],[9,0,6,8,-1,11,2,2,8,3,1,-0.052500631660223,0.3800252079963684,-0.0360490791499615],[12,13,6,4,-1,12,15,6,2,2,0,-0.0007960231159813702,0.0337949693202972,-0.0756038799881935],[4,13,6,4,-1,4,15,6,2,2,0,-0.0200660899281502,-0.4384298920631409,0.0333891995251179],[6,16,16,2,-1,6,17,16,1,2,0,-0.0024233239237219095,-0.0930052474141121,0.0497728288173676],[0,3,12,3,-1,0,4,12,1,3,0,-0.006873742211610079,0.2037483006715775,-0.0581658482551575],[8,3,14,3,-1,8,4,14,1,3,0,0.0065535600297153,-0.0702933967113495,0.1440014988183975],[6,2,3,16,-1,6,6,3,8,2,0,-0.0167806800454855,-0.3222652077674866,0.0437172502279282],[5,2,14,14,-1,12,2,7,7,2,5,9,7,7,2,0,0.0254480708390474,0.0434619188308716,-0.1537698954343796],[5,8,3,8,-1,5,12,3,4,2,0,0.003465656889602542,-0.0631199926137924,0.2139452993869782],[14,7,7,4,-1,14,7,7,2,2,1,0.1013225018978119,-0.0170958302915096,0.1885329931974411],[4,6,12,9,-1,8,9,4,3,9,0,0.1071430966258049,0.0354068912565708,-0.348690390586853],[7,11,15,6,-1,12,11,5,6,3,0,-0.0145009998232126,0.0379035808146,-0.0491692088544369],[0,11,15,6,-1,5,11,5,6,3,0,-0.1535475999116898,0.3504832088947296,-0.0327740088105202],[15,7,6,8,-1,18,7,3,4,2,15,11,3,4,2,0,-0.0651375874876976,-0.4138002097606659,0.007313762791454792],[0,7,22,10,-1,0,7,11,5,2,11,12,11,5,2,0,-0.002920483937487006,-0.1375668048858643,0.0907953903079033],[1,8,20,8,-1,6,8,10,8,2,0,-0.3410457074642181,-0.6725202798843384,0.0152002302929759],[2,5,7,6,-1,2,7,7,2,3,0,-0.00004447825995157473,0.096579946577549,-0.1040342003107071],[7,2,15,8,-1,7,4,15,4,2,0,-0.1117222979664803,-0.4223442077636719,0.0049457307904958725],[3,1,14,8,-1,3,3,14,4,2,0,0.0020429869182407856,0.09947469830513,-0.103845402598381],[9,2,13,2,-1,9,3,13,1,2,0,-0.007257130928337574,-0.1504963040351868,0.0297248400747776],[8,3,6,8,-1,10,3,2,8,3,0,-0.008445117622613907,0.0956485792994499,-0.1180536970496178],[7,1,15,2,-1,7,2,15,1,2,0,-0.0301949698477983,0.4657062888145447,-0.0143868997693062],[0,1,15,2,-1,0,2,15,1,2,0,0.0005742391804233193,-0.1038231030106545,0.15052829682827],[6,0,12,3,-1,6,1,12,1,3,0,0.0008201461168937385,-0.0751325264573097,0.1036375984549522],[4,0,9,4,-1,7,0,3,4,3,0,0.007074818015098572,0.0660621672868729,-0.1763841956853867],[12,3,8,3,-1,12,3,4,3,2,1,0.0483046695590019,-0.0177676603198051,0.2682015895843506],[8,12,6,4,-1,11,12,3,4,2,0,0.007904181256890297,0.0515227392315865,-0.2063236981630325],[12,1,10,4,-1,12,1,5,4,2,0,0.0847054868936539,0.007225038018077612,-0.5951473712921143],[0,1,10,4,-1,5,1,5,4,2,0,0.00039120440487749875,-0.1066353023052216,0.1110381036996841],[16,13,6,5,-1,16,13,3,5,2,0,0.0159593205899,-0.0485736913979054,0.2583200931549072],[0,13,6,5,-1,3,13,3,5,2,0,-0.0018649259582161903,0.1155126988887787,-0.1504859030246735],[18,11,4,7,-1,18,11,2,7,2,0,0.0127279795706272,0.0479302406311035,-0.3031023144721985],[0,11,4,7,-1,2,11,2,7,2,0,-0.0015954229747876525,-0.1553757041692734,0.0832148864865303],[15,0,6,14,-1,17,0,2,14,3,0,0.2023489028215408,0.001162586035206914,-1.000020980834961],[1,0,6,14,-1,3,0,2,14,3,0,-0.0391968712210655,0.3088454902172089,-0.0445240214467049],[13,0,4,14,-1,15,0,2,7,2,13,7,2,7,2,0,0.0158106405287981,-0.015927329659462,0.1014444977045059],[5,0,4,14,-1,5,0,2,7,2,7,7,2,7,2,0,-0.0021568681113421917,0.0952053815126419,-0.1291096061468124],[13,2,6,4,-1,13,2,3,4,2,0,-0.0346043594181538,0.2784355878829956,-0.0107750603929162],[1,7,12,4,-1,1,7,6,2,2,7,9,6,2,2,0,-0.0026206790935248137,-0.1374453008174896,0.0929454565048218],[4,13,18,3,-1,4,14,18,1,3,0,0.004669282119721174,-0.0583318211138248,0.1573383957147598],[2,6,2,12,-1,2,12,2,6,2,0,0.0786235332489014,0.0111308302730322,-0.9713814854621887],[4,11,16,4,-1,12,11,8,2,2,4,13,8,2,2,0,0.0395567305386066,0.0021708509884774685,-0.4342544972896576],[2,11,16,4,-1,2,11,8,2,2,10,13,8,2,2,0,0.0040571438148617744,0.086120717227459,-0.1557939946651459],[10,12,12,4,-1,16,12,6,2,2,10,14,6,2,2,0,-0.0150146698579192,0.1352397948503494,-0.0257240198552608],[0,12,12,4,-1,0,12,6,2,2,6,14,6,2,2,0,0.0004618325037881732,-0.107668898999691,0.1363386958837509],[12,12,10,6,-1,17,12,5,3,2,12,15,5,3,2,0,0.0528752095997334,0.005455574952065945,-0.3938291072845459],[0,10,10,8,-1,0,10,5,4,2,5,14,5,4,2,0,-0.0595108605921268,0.2869082093238831,-0.0428760796785355],[8,0,7,4,-1,8,2,7,2,2,0,0.0166503600776196,0.0286052990704775,-0.3034949004650116],[0,3,14,3,-1,0,4,14,1,3,0,0.014959629625082,-0.0526990294456482,0.2182525992393494],[15,1,6,8,-1,18,1,3,4,2,15,5,3,4,2,0,-0.009622426703572273,-0.2143145054578781,0.048350628465414],[2,3,7,4,-1,2,5,7,2,2,0,-0.0453042611479759,-0.8730847835540771,0.0124497702345252],[13,2,6,4,-1,13,2,3,4,2,0,-0.00744652422145009,-0.1358620971441269,0.033087320625782],[3,2,6,4,-1,6,2,3,4,2,0,-0.0011953880311921239,0.1484857052564621,-0.0852916464209557],[5,1,16,4,-1,5,2,16,2,2,0,0.0056622507981956005,-0.0532124489545822,0.1296795010566711],[4,15,13,3,-1,4,16,13,1,3,0,0.0139713604003191,0.0253388304263353,-0.4209741055965424],[12,6,3,12,-1,13,6,1,12,3,0,-0.004521621856838465,0.1262152940034866,-0.0631354302167892],[0,16,16,2,-1,8,16,8,2,2,0,0.004777615889906883,-0.0628999173641205,0.1772444993257523],[3,2,16,10,-1,3,7,16,5,2,0,-0.0058305878192186356,0.0879060029983521,-0.1555338054895401],[7,1,12,4,-1,10,4,6,4,2,1,-0.0158792808651924,-0.1269443035125732,0.102802999317646],[14,1,2,9,-1,14,1,1,9,2,1,0.0019526369869709015,-0.0768034532666206,0.0472977496683598],[4,10,3,8,-1,4,14,3,4,2,0,0.0245216507464647,-0.0277146808803082,0.4035046994686127],[11,12,6,6,-1,11,14,6,2,3,0,-0.0845293998718262,1,-0.0021367999725043774],[5,12,6,6,-1,5,14,6,2,3,0,0.0016844070050865412,0.0740434005856514,-0.1633481979370117],[12,6,3,12,-1,13,6,1,12,3,0,0.0133990598842502,-0.0424531809985638,0.2416412979364395],[10,6,8,3,-1,9,7,8,1,3,1,0.0441826395690441,0.0180395692586899,-0.643968403339386],[12,6,3,12,-1,13,6,1,12,3,0,0.0383272394537926,0.007584923878312111,-0.3653421103954315],[7,6,3,12,-1,8,6,1,12,3,0,0.0025997089687734842,-0.0885534808039665,0.1376366019248962],[14,1,2,9,-1,14,1,1,9,2,1,0.0107754804193974,0.0457531698048115,-0.1195600032806397],[11,4,10,3,-1,10,5,10,1,3,1,-0.0204336494207382,0.220201700925827,-0.0519258417189121],[8,11,9,4,-1,11,11,3,4,3,0,-0.1240272969007492,0.8884658217430115,-0.005123448092490435],[7,5,2,12,-1,8,5,1,12,2,0,0.004783847834914923,0.0530470311641693,-0.2108590006828308],[13,1,3,16,-1,14,1,1,16,3,0,-0.0458953492343426,0.4448269009590149,-0.0151171199977398],[7,4,6,6,-1,9,4,2,6,3,0,0.0144737903028727,-0.0452014096081257,0.2355625033378601],[10,4,2,12,-1,10,4,1,12,2,0,0.0018887920305132866,0.0764433816075325,-0.1638537049293518],[0,0,18,5,-1,9,0,9,5,2,0,-0.1908206939697266,0.6466202139854431,-0.0182426199316978],[16,3,2,12,-1,16,3,1,12,2,1,0.0721584632992744,0.00628364784643054,-0.7482234835624695],[6,3,12,2,-1,6,3,12,1,2,1,0.0009780294494703412,0.0790631026029587,-0.1316365003585815],[13,6,4,7,-1,14,7,2,7,2,1,0.0004860225017182529,-0.0425949096679688,0.0694627612829208],[7,3,13,2,-1,7,3,13,1,2,1,-0.0108828004449606,-0.2450307011604309,0.0523261614143848],[5,14,17,4,-1,5,15,17,2,2,0,0.00011573769734241068,-0.0667293071746826,0.0870889127254486],[0,13,18,3,-1,0,14,18,1,3,0,0.0020960739348083735,-0.0761545673012733,0.1359816938638687],[6,13,14,3,-1,6,14,14,1,3,0,0.04366435110569,0.008481215685606003,-0.8109716773033142],[2,13,14,3,-1,2,14,14,1,3,0,-0.0011464370181784034,0.1272123008966446,-0.0847834199666977],[5,13,12,2,-1,5,14,12,1,2,0,-0.005561354104429483,-0.1972253024578095,0.0544110685586929],[0,5,4,8,-1,0,9,4,4,2,0,0.0340838506817818,-0.0323385484516621,0.3406228125095367],[15,7,6,8,-1,18,7,3,4,2,15,11,3,4,2,0,0.051227081567049,-0.0132620399817824,0.2395363003015518],[9,2,4,7,-1,11,2,2,7,2,0,0.033531729131937,0.0202799197286367,-0.4833905100822449],[8,4,14,3,-1,8,5,14,1,3,0,0.0153962196782231,-0.0293201897293329,0.1586609929800034],[0,4,12,3,-1,0,5,12,1,3,0,-0.0175507701933384,0.2748897075653076,-0.0377983190119267],[13,2,4,9,-1,13,5,4,3,3,0,-0.0757056474685669,-0.8221439719200134,0.0038814740255475044],[5,2,4,9,-1,5,5,4,3,3,0,-0.005347535014152527,-0.1671075969934464,0.0771806165575981],[12,6,6,4,-1,12,8,6,2,2,0,-0.003343527903780341,-0.1067349016666412,0.0475754700601101],[5,5,12,3,-1,11,5,6,3,2,0,0.0193282701075077,-0.0465632900595665,0.2471656054258347],[7,1,8,12,-1,7,4,8,6,2,0,0.0853689834475517,0.0232969205826521,-0.5000224709510803],[9,3,6,7,-1,11,5,2,7,3,1,0.0025927850510925055,-0.1118225008249283,0.1104608997702599],[12,1,9,6,-1,10,3,9,2,3,1,-0.009106123819947243,0.0471070110797882,-0.0558076612651348],[11,7,8,3,-1,11,7,4,3,2,1,0.1017069965600967,-0.015966609120369,0.6985731720924377],[14,1,2,9,-1,14,1,1,9,2,1,0.0228549800813198,-0.0172262191772461,0.1222568973898888],[1,7,6,8,-1,1,7,3,4,2,4,11,3,4,2,0,-0.0165770798921585,-0.2222582995891571,0.0565783008933067],[11,0,4,6,-1,11,0,2,6,2,0,-0.0236414205282927,-0.2773405015468597,0.0160768907517195],[7,0,4,6,-1,9,0,2,6,2,0,0.005638523027300835,0.0454392805695534,-0.225496307015419],[0,7,22,4,-1,11,7,11,2,2,0,9,11,2,2,0,0.00574220297858119,-0.0785687789320946,0.1523496061563492],[3,5,4,8,-1,3,9,4,4,2,0,-0.00043363519944250584,0.0959209501743317,-0.1127424016594887],[5,4,12,3,-1,9,4,4,3,3,0,0.0102679198607802,-0.0493329912424088,0.248108297586441],[10,2,12,3,-1,10,2,6,3,2,1,0.0138657195493579,0.0705479383468628,-0.1859433054924011]]],[24,-30.6205997467041,[[5,2,6,16,-1,5,10,6,8,2,0,-0.0469806306064129,0.1707855015993118,-0.1568731069564819],[12,6,8,4,-1,12,6,8,2,2,1,-0.1196796000003815,0.5173841714859009,-0.0117475902661681],[3,12,6,6,-1,5,12,2,6,3,0,-0.0284771807491779,0.2350520044565201,-0.0574244111776352],[12,1,3,12,-1,12,1,3,6,2,1,0.1969747990369797,-0.0009312382899224758,1.0037239789962769],[10,1,12,3,-1,10,1,6,3,2,1,0.007903908379375935,0.083357498049736,-0.1652749925851822],[4,8,16,4,-1,8,8,8,4,2,0,0.0393389798700809,-0.0006560587207786739,0.3236146867275238],[6,10,4,6,-1,8,10,2,6,2,0,-0.0015762429684400558,0.0911294668912888,-0.141643300652504],[7,14,9,4,-1,10,14,3,4,3,0,0.00020851049339398742,-0.1380268037319183,0.0772129893302917],[8,10,4,7,-1,10,10,2,7,2,0,-0.00026843539671972394,0.1364672034978867,-0.0942557528614998],[12,12,4,6,-1,12,12,2,6,2,0,0.008850638754665852,0.024603420868516,-0.1688468009233475],[6,12,4,6,-1,8,12,2,6,2,0,-0.0008481392287649214,-0.139724001288414,0.1156672984361649],[9,12,4,6,-1,9,15,4,3,2,0,-0.00003709015072672628,0.0752842724323273,-0.1770814955234528],[5,12,6,6,-1,7,12,2,6,3,0,-0.0215339101850986,0.2023303061723709,-0.0669784769415855],[6,2,11,16,-1,6,6,11,8,2,0,0.0117136603221297,0.086853489279747,-0.1125181019306183],[11,2,6,2,-1,11,2,6,1,2,1,-0.009836563840508461,0.3016479015350342,-0.050179660320282],[10,1,6,8,-1,13,1,3,4,2,10,5,3,4,2,0,-0.006210499908775091,0.0682242289185524,-0.0944418236613274],[5,2,12,2,-1,11,2,6,2,2,0,-0.0200343001633883,-0.2865754961967468,0.0457285009324551],[10,13,8,3,-1,10,13,4,3,2,0,-0.00022154829639475793,0.0716037601232529,-0.0871150493621826],[5,0,12,6,-1,11,0,6,6,2,0,-0.005243611987680197,0.1343950033187866,-0.090288907289505],[10,7,12,3,-1,10,8,12,1,3,0,-0.01171122957021,0.1487469971179962,-0.0259517803788185],[0,7,12,3,-1,0,8,12,1,3,0,0.005858792923390865,-0.0669820234179497,0.1809632927179337],[20,0,2,18,-1,20,9,2,9,2,0,0.1043256968259811,0.0102093303576112,-0.7954081296920776],[0,0,2,18,-1,0,9,2,9,2,0,-0.0170491300523281,-0.2051631063222885,0.0644709914922714],[14,6,6,12,-1,17,6,3,6,2,14,12,3,6,2,0,0.0258776992559433,-0.0300797205418348,0.1604197025299072],[1,5,6,10,-1,1,10,6,5,2,0,-0.004063733853399754,0.1087096035480499,-0.1166540011763573],[16,1,4,12,-1,16,5,4,4,3,0,-0.0192867200821638,-0.1250395029783249,0.0280551891773939],[2,1,4,12,-1,2,5,4,4,3,0,-0.000007213030130515108,0.1184526011347771,-0.1236701980233192],[3,12,16,4,-1,11,12,8,2,2,3,14,8,2,2,0,-0.0026098350062966347,-0.14498670399189,0.0823187604546547],[0,2,12,2,-1,0,3,12,1,2,0,0.000323037791531533,-0.0958554968237877,0.1199266016483307],[6,2,13,3,-1,6,3,13,1,3,0,-0.0011308960383757949,0.1288295984268189,-0.0826974734663963],[1,0,10,6,-1,1,0,5,3,2,6,3,5,3,2,0,0.0171764697879553,0.0360246598720551,-0.308738112449646],[9,11,12,5,-1,13,11,4,5,3,0,-0.0105153303593397,0.0963303372263908,-0.1078578010201454],[2,6,6,12,-1,2,6,3,6,2,5,12,3,6,2,0,0.0505835004150867,-0.0347158014774323,0.4513450860977173],[9,12,8,6,-1,13,12,4,3,2,9,15,4,3,2,0,0.0008758293115533888,-0.0956771522760391,0.073631688952446],[1,7,6,8,-1,1,7,3,4,2,4,11,3,4,2,0,-0.0319572202861309,-0.3147349059581757,0.0363292805850506],[14,6,3,8,-1,15,7,1,8,3,1,0.0005986333126202226,-0.0426766909658909,0.0543428994715214],[2,14,12,4,-1,6,14,4,4,3,0,-0.006627094931900501,0.0735109224915504,-0.1730908006429672],[14,4,2,11,-1,14,4,1,11,2,1,-0.0731865167617798,0.6877769231796265,-0.005678114946931601],[8,6,8,3,-1,7,7,8,1,3,1,0.0202908404171467,-0.0407205410301685,0.3045086860656738],[6,12,12,3,-1,6,13,12,1,3,0,-0.0030989840161055326,-0.1278737038373947,0.054329689592123],[2,3,18,3,-1,2,4,18,1,3,0,-0.001125885988585651,0.1198007985949516,-0.0834772363305092],[11,6,9,9,-1,14,6,3,9,3,0,0.0003999304899480194,-0.0954270735383034,0.0769529119133949],[3,13,11,4,-1,3,15,11,2,2,0,0.0112025402486324,0.0251253098249435,-0.4031470119953156],[17,5,4,6,-1,17,5,2,6,2,0,-0.0217539705336094,-0.2304240018129349,0.0153385195881128],[1,5,4,6,-1,3,5,2,6,2,0,0.0000769124599173665,-0.0955814868211746,0.1038817018270493],[6,0,16,3,-1,10,0,8,3,2,0,0.0910115391016006,-0.008716830052435398,0.7559375166893005],[8,6,3,12,-1,9,6,1,12,3,0,-0.004316078964620829,0.1349443942308426,-0.0701520964503288],[14,2,2,8,-1,14,2,1,8,2,1,-0.0505811907351017,-0.6611269116401672,0.002267640084028244],[9,0,12,3,-1,9,0,6,3,2,1,-0.00839260034263134,-0.1288360953330994,0.0779204815626144],[6,0,16,3,-1,10,0,8,3,2,0,0.0550406612455845,0.007785378955304623,-0.2782005071640015],[0,0,16,3,-1,4,0,8,3,2,0,-0.0418625511229038,0.4333544969558716,-0.0291946399956942],[8,12,14,3,-1,8,13,14,1,3,0,-0.0074230520986020565,0.1315450072288513,-0.0320475101470947],[8,4,11,2,-1,8,4,11,1,2,1,0.0019948489498347044,0.0832996889948845,-0.1166255995631218],[2,5,20,13,-1,2,5,10,13,2,0,0.0418514311313629,0.041461169719696,-0.1281515955924988],[0,2,18,9,-1,6,5,6,3,9,0,0.2784438133239746,-0.0226128101348877,0.5223631858825684],[10,13,12,3,-1,10,14,12,1,3,0,-0.0071095931343734264,0.1290251016616821,-0.0279447995126247],[8,11,6,7,-1,10,11,2,7,3,0,0.0111756101250649,0.0513666607439518,-0.1955953985452652],[5,6,12,11,-1,9,6,4,11,3,0,-0.0103642102330923,-0.0726313814520836,0.1519950926303864],[3,6,6,6,-1,5,6,2,6,3,0,-0.00940943043678999,-0.2099336981773377,0.053346861153841],[13,4,6,13,-1,15,4,2,13,3,0,-0.1037501022219658,-0.3369319140911102,0.003944201860576868],[3,4,6,13,-1,5,4,2,13,3,0,-0.0009597762837074697,0.1030761003494263,-0.1057410016655922],[5,10,12,3,-1,9,10,4,3,3,0,-0.0558168105781078,0.2607400119304657,-0.0448851808905602],[5,8,12,6,-1,8,8,6,6,2,0,-0.134309396147728,-0.8166074752807617,0.0154108600690961],[14,2,2,8,-1,14,2,1,8,2,1,0.0604569502174854,-0.0030265029054135084,-0.9999178051948547],[8,2,8,2,-1,8,2,8,1,2,1,0.0243590790778399,0.0241913106292486,-0.466321587562561],[8,6,9,5,-1,11,6,3,5,3,0,0.0527357794344425,-0.0242667607963085,0.2146047949790955],[0,3,14,4,-1,0,3,7,2,2,7,5,7,2,2,0,-0.005562603939324617,0.1087993979454041,-0.1212090998888016],[12,1,3,8,-1,13,2,1,8,3,1,0.0908552631735802,0.0001095690022339113,-0.999757707118988],[10,1,8,3,-1,9,2,8,1,3,1,-0.0346811898052692,-0.4540998041629791,0.0236911494284868],[14,3,6,6,-1,14,5,6,2,3,0,-0.000029579090551123954,0.0480313189327717,-0.0498729683458805],[4,1,6,10,-1,4,1,3,5,2,7,6,3,5,2,0,0.0262771304696798,-0.0294567607343197,0.3397437036037445],[18,1,3,13,-1,19,1,1,13,3,0,-0.0462760217487812,0.4549660980701447,-0.0103595796972513],[1,1,3,13,-1,2,1,1,13,3,0,0.00012048200005665421,-0.1057519987225533,0.1009673029184341],[11,1,2,8,-1,11,1,1,8,2,1,0.006815439090132713,0.0284956097602844,-0.0997650697827339],[11,1,8,2,-1,11,1,8,1,2,1,0.0016169620212167501,-0.1325616985559464,0.0878289788961411],[8,4,6,6,-1,8,6,6,2,3,0,0.0145633798092604,-0.0430799014866352,0.251132607460022],[5,4,7,6,-1,5,6,7,2,3,0,0.0203529093414545,0.0394636392593384,-0.3251897096633911],[9,11,13,3,-1,9,12,13,1,3,0,-0.0207892693579197,0.1899335980415344,-0.021271999925375],[0,11,13,3,-1,0,12,13,1,3,0,0.0317801013588905,-0.0237682200968266,0.4395782947540283],[12,10,9,8,-1,12,14,9,4,2,0,0.1245922967791557,0.006527539808303118,-0.9999179840087891],[1,10,9,8,-1,1,14,9,4,2,0,-0.0840070396661758,-0.3562028110027313,0.02891656011343],[4,10,18,8,-1,13,10,9,4,2,4,14,9,4,2,0,0.009677214547991753,0.0640739426016808,-0.1548271030187607],[0,10,18,8,-1,0,10,9,4,2,9,14,9,4,2,0,0.1040503978729248,-0.0226520504802465,0.5762320756912231],[12,2,4,12,-1,12,2,2,12,2,1,0.0408144108951092,-0.0373685695230961,0.0772985070943832],[0,5,20,13,-1,10,5,10,13,2,0,-0.4691618978977203,-0.7730463147163391,0.0136070800945163],[10,6,9,6,-1,10,8,9,2,3,0,-0.1372341960668564,-1,-0.0017328710528090596],[3,6,9,6,-1,3,8,9,2,3,0,0.03756944835186,0.0314127095043659,-0.355124294757843],[7,4,15,8,-1,7,6,15,4,2,0,-0.012645379640162,-0.0713228806853294,0.0418895483016968],[9,2,12,2,-1,9,2,12,1,2,1,0.0399338603019714,-0.0334470011293888,0.3593294024467468],[12,6,6,4,-1,12,6,6,2,2,1,0.0172074399888515,0.0261265300214291,-0.0776343792676926],[7,0,13,3,-1,6,1,13,1,3,1,0.0597022287547588,-0.0237179808318615,0.5732179880142212],[3,0,18,2,-1,3,0,9,2,2,0,0.0799178034067154,-0.009754756465554237,0.4346744120121002],[4,5,13,12,-1,4,9,13,4,3,0,0.113517202436924,-0.0389219708740711,0.2612080872058868],[4,6,18,9,-1,10,9,6,3,9,0,0.4837945103645325,0.007845266722142696,-0.6502416133880615],[8,5,6,11,-1,10,5,2,11,3,0,-0.1004507020115852,-0.80072021484375,0.0122501999139786],[6,2,16,16,-1,6,6,16,8,2,0,0.2717601954936981,0.004463658202439547,-0.6939312219619751],[0,2,16,16,-1,0,6,16,8,2,0,-0.1230124980211258,0.324838399887085,-0.0338415503501892],[18,1,2,12,-1,18,7,2,6,2,0,0.0611887499690056,0.007153601851314306,-0.7781751751899719],[2,1,2,12,-1,2,7,2,6,2,0,-0.007882824167609215,-0.1975423991680145,0.0677954331040382],[8,3,14,9,-1,8,6,14,3,3,0,-0.2558487951755524,-1,0.0014300020411610603],[0,3,14,9,-1,0,6,14,3,3,0,0.1309846937656403,-0.0166683103889227,0.7454720735549927],[10,6,4,9,-1,10,9,4,3,3,0,-0.0845530778169632,-0.6342390179634094,0.008314279839396477],[0,6,3,12,-1,0,12,3,6,2,0,-0.0882977172732353,-0.8570597171783447,0.0105499401688576],[16,2,6,9,-1,13,5,6,3,3,1,-0.1037487983703613,0.1207318007946014,-0.0224885791540146],[10,0,12,4,-1,9,1,12,2,2,1,0.0014872249448671937,-0.1109644025564194,0.1040541008114815],[11,0,10,18,-1,16,0,5,9,2,11,9,5,9,2,0,0.2136403024196625,0.007384107913821936,-0.4976033866405487],[1,0,10,18,-1,1,0,5,9,2,6,9,5,9,2,0,0.0262943096458912,-0.0632127001881599,0.2628476023674011],[7,12,14,3,-1,7,12,7,3,2,0,-0.0026777000166475773,0.0564883500337601,-0.1017431020736694],[7,11,8,3,-1,11,11,4,3,2,0,-0.002126154024153948,-0.1644288003444672,0.0661599636077881],[2,13,18,4,-1,2,13,9,4,2,0,-0.008220091462135315,-0.1613277941942215,0.0835154727101326],[10,6,4,6,-1,10,6,2,6,2,1,-0.0117018800228834,0.215161994099617,-0.0591160506010056],[8,9,6,9,-1,10,9,2,9,3,0,-0.0007046074024401605,0.0961422994732857,-0.1300875991582871],[3,11,13,3,-1,3,12,13,1,3,0,-0.0019671309273689985,0.1260503977537155,-0.088542640209198],[18,10,4,6,-1,18,10,2,6,2,0,-0.009500407613813877,-0.2360457926988602,0.0459226295351982],[5,5,9,5,-1,8,5,3,5,3,0,0.0268023703247309,-0.0489667691290379,0.238871306180954],[13,0,2,14,-1,13,0,1,14,2,0,0.0221774205565453,-0.0125605901703238,0.2708427011966705],[2,0,18,7,-1,8,0,6,7,3,0,0.0933828800916672,0.0338358506560326,-0.3970789015293121],[13,4,6,8,-1,16,4,3,4,2,13,8,3,4,2,0,-0.0131510803475976,-0.1136426031589508,0.0259307399392128],[3,4,6,8,-1,3,4,3,4,2,6,8,3,4,2,0,0.0026929581072181463,0.0682023465633392,-0.1629091054201126],[8,5,12,2,-1,8,6,12,1,2,0,-0.005751912947744131,0.1319772005081177,-0.0577118992805481],[7,0,3,12,-1,8,0,1,12,3,0,-0.0011071159970015287,0.1455008983612061,-0.0773000419139862],[15,0,3,10,-1,16,1,1,10,3,1,0.0318051800131798,0.0141812795773149,-0.2180342972278595],[2,4,12,12,-1,6,8,4,4,9,0,0.4072949886322022,-0.0137729402631521,0.7485334873199463],[5,10,13,3,-1,5,11,13,1,3,0,0.0701730772852898,0.0115358103066683,-0.8609462976455688],[5,15,12,2,-1,5,16,12,1,2,0,-0.00019437450100667775,0.0630099922418594,-0.1511144042015076],[17,8,5,6,-1,17,11,5,3,2,0,0.0394255593419075,0.0241153296083212,-0.4725382030010223],[5,12,6,6,-1,5,14,6,2,3,0,0.0026128459721803665,0.0539631508290768,-0.1742976009845734]]],[25,-30.691600799560547,[[10,6,4,7,-1,10,6,2,7,2,1,0.1046843007206917,-0.0475701093673706,0.4245404899120331],[12,3,4,10,-1,13,4,2,10,2,1,-0.042946420609951,0.1632889062166214,-0.0126551697030663],[10,3,10,4,-1,9,4,10,2,2,1,-0.008157772943377495,0.1023579984903336,-0.1087663024663925],[12,4,2,12,-1,12,4,1,12,2,1,0.002181369112804532,0.0879852473735809,-0.0558997616171837],[1,11,15,3,-1,6,11,5,3,3,0,-0.006515751127153635,0.0828638523817062,-0.1373631954193115],[11,6,6,9,-1,13,6,2,9,3,0,0.0247165001928806,0.0167552102357149,0.133712500333786],[5,6,6,9,-1,7,6,2,9,3,0,-0.000593962671700865,-0.1377137005329132,0.1050129011273384],[8,5,6,6,-1,10,5,2,6,3,0,0.0293738208711147,-0.0445813983678818,0.4273186028003693],[1,2,6,8,-1,1,2,3,4,2,4,6,3,4,2,0,-0.0165769197046757,-0.2982746064662933,0.0297183692455292],[14,0,4,9,-1,14,3,4,3,3,0,0.009456949308514595,0.0536169484257698,-0.0766755267977715],[0,0,18,9,-1,0,3,18,3,3,0,0.0745819136500359,-0.046554408967495,0.3017961084842682],[9,5,5,12,-1,9,8,5,6,2,0,-0.0380556210875511,-0.2825511991977692,0.0203556902706623],[3,5,16,3,-1,3,6,16,1,3,0,0.0110655399039388,-0.0539425984025002,0.2313262969255447],[16,2,6,8,-1,19,2,3,4,2,16,6,3,4,2,0,0.0135382199659944,0.0281029809266329,-0.2180289030075073],[0,2,6,8,-1,0,2,3,4,2,3,6,3,4,2,0,0.004691475071012974,0.0636170208454132,-0.1746082007884979],[5,2,12,16,-1,5,10,12,8,2,0,0.4305444061756134,-0.0210623797029257,0.571977972984314],[5,11,8,6,-1,5,11,4,3,2,9,14,4,3,2,0,0.0014298999449238181,-0.1678003966808319,0.076851062476635],[8,2,6,8,-1,11,2,3,4,2,8,6,3,4,2,0,0.0278552304953337,-0.0356479696929455,0.2895691096782684],[0,6,7,12,-1,0,10,7,4,3,0,0.0143916700035334,0.0833004266023636,-0.1295132040977478],[16,8,6,8,-1,16,10,6,4,2,0,-0.0776373818516731,-1,0.0008142662118189037],[0,8,6,8,-1,0,10,6,4,2,0,0.0160511992871761,-0.0540085881948471,0.2196779996156693],[4,0,17,3,-1,4,1,17,1,3,0,-0.070988729596138,0.6160213947296143,-0.0164764001965523],[7,4,4,14,-1,8,4,2,14,2,0,-0.0583109892904758,-0.959553599357605,0.012517100200057],[9,5,5,12,-1,9,8,5,6,2,0,-0.00795474462211132,-0.0936840027570724,0.0338969603180885],[10,4,10,4,-1,9,5,10,2,2,1,-0.0496857985854149,0.3146679997444153,-0.0297160502523184],[13,1,3,13,-1,14,2,1,13,3,1,0.0977515280246735,0.0007590572931803763,-0.6700987219810486],[9,1,13,3,-1,8,2,13,1,3,1,0.0759088024497032,0.0160733293741941,-0.6625136137008667],[4,16,14,2,-1,4,17,14,1,2,0,0.001333346008323133,0.0522413998842239,-0.1880871057510376],[0,16,15,2,-1,0,17,15,1,2,0,0.0006972861010581255,-0.0890448018908501,0.1664233952760696],[11,4,2,6,-1,11,4,1,6,2,1,0.0208895094692707,0.021368719637394,-0.160834401845932],[0,6,4,9,-1,0,9,4,3,3,0,-0.0017649700166657567,0.1239852979779244,-0.08592239767313],[14,0,7,6,-1,12,2,7,2,3,1,0.0027779850643128157,-0.0443661510944366,0.029322549700737],[8,4,6,10,-1,8,4,3,5,2,11,9,3,5,2,0,0.0007997453212738037,-0.1235152035951614,0.088818296790123],[7,7,8,10,-1,11,7,4,5,2,7,12,4,5,2,0,0.0007021595956757665,-0.0801541805267334,0.1454429030418396],[5,6,12,8,-1,5,6,6,4,2,11,10,6,4,2,0,-0.0406044200062752,-0.3604758083820343,0.0343148596584797],[8,6,8,8,-1,12,6,4,4,2,8,10,4,4,2,0,-0.0416868515312672,-0.2092776000499725,0.00858083926141262],[6,6,8,8,-1,6,6,4,4,2,10,10,4,4,2,0,-0.0463901981711388,0.5376852750778198,-0.0226325001567602],[12,4,6,6,-1,10,6,6,2,3,1,-0.1582203060388565,-1,0.001431231969036162],[5,7,10,8,-1,5,7,5,4,2,10,11,5,4,2,0,-0.0756833702325821,-0.8050302863121033,0.0128438398241997],[4,5,18,3,-1,4,6,18,1,3,0,-0.0578083284199238,0.3867568075656891,-0.0126303201541305],[3,16,15,2,-1,3,17,15,1,2,0,-0.000045112581574358046,0.0749589875340462,-0.1343374997377396],[3,10,16,2,-1,3,11,16,1,2,0,0.0392054803669453,0.0219805799424648,-0.4574862122535706],[3,12,6,6,-1,5,12,2,6,3,0,0.044945240020752,-0.0237634591758251,0.4871528148651123],[18,2,3,13,-1,19,2,1,13,3,0,-0.0578491911292076,0.3556363880634308,-0.00623805308714509],[4,10,12,4,-1,8,10,4,4,3,0,-0.1039723977446556,-0.6226279139518738,0.015022880397737],[7,7,14,7,-1,7,7,7,7,2,0,-0.2523828148841858,-0.5905948281288147,-0.00019238379900343716],[1,7,14,7,-1,8,7,7,7,2,0,0.1967588067054749,0.0126251596957445,-0.7275320887565613],[11,0,8,13,-1,11,0,4,13,2,0,0.0374124199151993,-0.023478340357542,0.1214763969182968],[0,6,4,12,-1,0,6,2,6,2,2,12,2,6,2,0,-0.008047067560255527,-0.1816778928041458,0.0497434996068478],[14,2,2,12,-1,14,2,1,12,2,1,0.0412974916398525,0.0102590499445796,-0.146795004606247],[2,2,8,12,-1,2,2,4,6,2,6,8,4,6,2,0,-0.0507357306778431,0.2267964035272598,-0.0498070493340492],[17,0,4,16,-1,17,8,4,8,2,0,-0.0003614510933402926,0.0417982786893845,-0.0704108327627182],[1,0,4,16,-1,1,8,4,8,2,0,-0.1235945001244545,0.5828350186347961,-0.0168224293738604],[6,1,16,16,-1,6,9,16,8,2,0,0.0570716187357903,-0.0405320711433887,0.1707827001810074],[8,0,6,7,-1,10,2,2,7,3,1,0.005856154020875692,-0.1382790058851242,0.0825652331113815],[15,1,6,6,-1,13,3,6,2,3,1,-0.1147285029292107,-0.4675404131412506,0.003434899030253291],[7,1,6,6,-1,9,3,2,6,3,1,0.0205186996608973,0.0815079435706139,-0.1689410954713821],[14,2,2,12,-1,14,2,1,12,2,1,0.0546297691762447,-0.007476374972611666,0.2364037930965424],[5,11,12,6,-1,5,14,12,3,2,0,-0.0693129673600197,0.3007157146930695,-0.0347853004932404],[5,13,12,4,-1,5,14,12,2,2,0,-0.0074176848866045475,-0.287665605545044,0.047531820833683],[2,15,18,2,-1,2,16,18,1,2,0,0.0102232601493597,-0.0308347996324301,0.3924953937530518],[18,4,4,14,-1,20,4,2,7,2,18,11,2,7,2,0,-0.0273466594517231,-0.156954899430275,0.0139675298705697],[0,4,4,14,-1,0,4,2,7,2,2,11,2,7,2,0,0.0338751003146172,0.026063309982419,-0.3900640904903412],[11,0,3,12,-1,12,0,1,12,3,0,0.0451747216284275,0.008919920772314072,-0.5676915049552917],[9,3,4,6,-1,9,6,4,3,2,0,0.0114882299676538,-0.0454914197325706,0.2510992884635925],[7,4,15,10,-1,7,9,15,5,2,0,-0.0104961497709155,0.0648954436182976,-0.1062353998422623],[4,2,9,12,-1,4,6,9,4,3,0,0.006088120862841606,0.0809291824698448,-0.1477614939212799],[3,1,17,3,-1,3,2,17,1,3,0,-0.0026524660643190145,0.1206251978874207,-0.0726748630404472],[0,1,16,3,-1,0,2,16,1,3,0,0.0023559860419481993,-0.0818112716078758,0.141265407204628],[7,4,15,10,-1,7,9,15,5,2,0,-0.2677721977233887,-0.7808383107185364,0.004452604800462723],[0,4,15,10,-1,0,9,15,5,2,0,0.1596579998731613,0.0283816494047642,-0.3896783888339996],[15,0,6,18,-1,15,9,6,9,2,0,0.0518993698060513,-0.0343053191900253,0.1592101007699966],[3,14,12,4,-1,3,14,6,2,2,9,16,6,2,2,0,-0.0013652780326083302,-0.137554794549942,0.0727199986577034],[13,0,9,5,-1,16,3,3,5,3,1,0.2249729931354523,-0.00480172922834754,0.9999485015869141],[9,7,9,2,-1,9,7,9,1,2,1,0.0031434150878340006,0.0551515705883503,-0.1664316058158875],[12,6,3,7,-1,13,7,1,7,3,1,-0.006294033955782652,0.0628960281610489,-0.0604363791644573],[3,4,8,8,-1,7,4,4,8,2,0,0.0513019114732742,-0.0316718108952045,0.3853493928909302],[7,8,12,3,-1,11,8,4,3,3,0,-0.0669808089733124,-0.1092590019106865,0.008995875716209412],[8,6,5,6,-1,8,6,5,3,2,1,0.0514647588133812,0.026210019364953,-0.4215933978557587],[10,7,10,6,-1,10,10,10,3,2,0,-0.0909821391105652,0.3276037871837616,-0.007813438773155212],[0,9,16,3,-1,0,10,16,1,3,0,0.005284897051751614,-0.0793995708227158,0.1499817967414856],[7,9,12,3,-1,7,10,12,1,3,0,-0.0015017699915915728,0.0977031067013741,-0.0735320374369621],[2,10,8,6,-1,2,13,8,3,2,0,-0.002541519934311509,0.0678011327981949,-0.1488324999809265],[16,6,4,12,-1,16,9,4,6,2,0,0.0442528203129768,0.0164758302271366,-0.2288018018007278],[3,11,8,6,-1,3,11,4,3,2,7,14,4,3,2,0,-0.0334571599960327,0.4196678996086121,-0.032553531229496],[4,5,16,10,-1,12,5,8,5,2,4,10,8,5,2,0,0.1352989971637726,0.009089408442378044,-0.7383912205696106],[7,10,3,8,-1,7,14,3,4,2,0,-0.0374409705400467,-0.4261302053928375,0.0239723902195692],[9,14,6,4,-1,9,16,6,2,2,0,-0.000014479730452876538,0.0567837804555893,-0.1588882952928543],[2,9,15,9,-1,2,12,15,3,3,0,-0.1183928027749062,0.5050063133239746,-0.0218596495687962],[11,2,8,6,-1,15,2,4,3,2,11,5,4,3,2,0,-0.008500068448483944,0.052339930087328,-0.0459250211715698],[4,11,8,6,-1,4,13,8,2,3,0,-0.0141895096749067,-0.235970601439476,0.0403583496809006],[16,0,2,14,-1,16,0,1,14,2,1,0.0735994204878807,0.0032680039294064045,-0.5885360240936279],[6,0,14,2,-1,6,0,14,1,2,1,0.054971270263195,-0.0201965197920799,0.5548272728919983],[13,9,7,6,-1,13,11,7,2,3,0,-0.0228161606937647,-0.1758957952260971,0.0178517401218414],[10,6,7,3,-1,9,7,7,1,3,1,0.0023204670287668705,-0.0817499235272408,0.128330796957016],[18,2,3,13,-1,19,2,1,13,3,0,-0.1079790964722633,-1,0.0017423679819330573],[1,2,3,13,-1,2,2,1,13,3,0,-0.0411119312047958,0.584326982498169,-0.0188788697123528],[5,1,12,4,-1,11,1,6,2,2,5,3,6,2,2,0,-0.003569565014913678,-0.1755847036838532,0.0647314265370369],[7,8,6,6,-1,7,10,6,2,3,0,-0.066358670592308,-1,0.00920676626265049],[8,13,14,3,-1,8,14,14,1,3,0,-0.0189445801079273,0.2578308880329132,-0.0189449395984411],[10,5,6,6,-1,12,7,2,6,3,1,-0.1287126988172531,-0.5847725868225098,0.0144664896652102],[15,6,4,8,-1,16,7,2,8,2,1,0.0024218629114329815,-0.0735908970236778,0.0703321024775505],[0,13,14,4,-1,0,13,7,2,2,7,15,7,2,2,0,0.0297184605151415,-0.0230119694024324,0.4054276943206787],[1,7,21,6,-1,8,9,7,2,9,0,0.1755502969026566,0.0208087302744389,-0.3728564977645874],[7,4,6,8,-1,7,4,3,4,2,10,8,3,4,2,0,0.0371224507689476,-0.0279596298933029,0.3590877950191498],[7,4,8,8,-1,11,4,4,4,2,7,8,4,4,2,0,-0.0038044541142880917,-0.1333799064159393,0.092061348259449],[10,6,7,4,-1,9,7,7,2,2,1,-0.0109307002276182,0.2319630980491638,-0.0445358790457249],[11,2,6,7,-1,11,2,3,7,2,1,0.1610362976789475,-0.008769134990870953,0.2204516977071762],[11,2,7,6,-1,11,2,7,3,2,1,0.0259712301194668,0.0644210129976273,-0.1891908049583435],[11,4,8,6,-1,11,4,4,6,2,1,0.1263820976018906,-0.0103621799498796,0.170571893453598],[11,4,6,8,-1,11,4,6,4,2,1,-0.009139340370893478,-0.1382824927568436,0.0867900624871254],[12,3,8,5,-1,12,3,4,5,2,1,0.0177220907062292,0.0397198908030987,-0.1229425966739655],[10,3,5,8,-1,10,3,5,4,2,1,-0.0824257507920265,0.300231009721756,-0.0331659205257893],[13,0,9,5,-1,16,3,3,5,3,1,0.0438925288617611,-0.0130563396960497,0.0987286865711212],[2,6,10,12,-1,2,9,10,6,2,0,0.0035575369838625193,0.111862801015377,-0.0927978232502937],[15,6,5,12,-1,15,9,5,6,2,0,-0.0152988201007247,-0.1300787925720215,0.023159010335803],[3,7,13,3,-1,3,8,13,1,3,0,-0.002650445094332099,0.1352628022432327,-0.073355458676815],[4,7,17,3,-1,4,8,17,1,3,0,0.0416368618607521,-0.019068980589509,0.3585799932479858],[2,9,7,6,-1,2,11,7,2,3,0,-0.00752902589738369,-0.186723604798317,0.0582484491169453],[13,9,9,4,-1,13,11,9,2,2,0,-0.0400314889848232,0.2296977937221527,-0.0146082304418087],[9,0,5,9,-1,6,3,5,3,3,1,-0.1362470984458923,-0.8708646297454834,0.0112111996859312],[9,3,8,3,-1,9,3,4,3,2,0,0.004512400832027197,-0.0356449596583843,0.1010309979319572],[3,0,4,13,-1,4,0,2,13,2,0,0.0541180707514286,-0.0146894101053476,0.6765226721763611],[13,0,8,6,-1,15,0,4,6,2,0,-0.0345539599657059,0.218545600771904,-0.009784664958715439],[3,0,6,5,-1,6,0,3,5,2,0,-0.0255208406597376,-0.4689800143241882,0.024060370400548],[9,0,12,5,-1,9,0,6,5,2,0,-0.0354737006127834,0.134275496006012,-0.0214386992156506],[1,2,6,8,-1,3,2,2,8,3,0,0.00028683411073870957,-0.0973002836108208,0.107609398663044],[18,2,4,6,-1,18,2,2,6,2,0,-0.0787175893783569,-1,0.0027187850791960955],[0,2,4,6,-1,2,2,2,6,2,0,-0.00015701749362051487,0.1119965985417366,-0.0994413793087006],[16,9,6,6,-1,16,11,6,2,3,0,0.0160265695303679,0.0341982617974281,-0.1910049021244049],[10,0,12,6,-1,13,3,6,6,2,1,-0.0191647298634052,0.0890248268842697,-0.1191970035433769],[14,2,3,12,-1,10,6,3,4,3,1,-0.0394451506435871,-0.1071799024939537,0.0376152098178864],[8,3,6,7,-1,11,3,3,7,2,0,0.002241743030026555,-0.0905810073018074,0.1754747033119202],[16,1,3,15,-1,17,1,1,15,3,0,-0.0038842540234327316,0.0926973298192024,-0.0424313694238663],[0,1,6,8,-1,2,1,2,8,3,0,-0.021914629265666,-0.2801750898361206,0.0375376716256142],[13,0,3,14,-1,14,0,1,14,3,0,-0.037512119859457,0.3621852099895477,-0.0175074506551027],[6,0,3,14,-1,7,0,1,14,3,0,-0.0008437404758296907,0.1234840005636215,-0.0802458673715591],[4,13,18,2,-1,4,13,9,2,2,0,-0.0026424999814480543,0.0525657385587692,-0.0833354368805885],[2,9,15,3,-1,7,9,5,3,3,0,-0.0928368121385574,-0.4206038117408752,0.0233604293316603],[9,5,10,6,-1,14,5,5,3,2,9,8,5,3,2,0,0.0824630707502365,-0.002981540048494935,0.7899919748306274],[3,5,10,6,-1,3,5,5,3,2,8,8,5,3,2,0,-0.0698649510741234,0.7380297183990479,-0.0140212997794151],[14,3,2,12,-1,14,3,1,12,2,1,0.0454393401741982,-0.0113211600109935,0.1997369974851608],[8,3,12,2,-1,8,3,12,1,2,1,-0.0502977892756462,0.6076467037200928,-0.0176328904926777],[12,7,6,6,-1,14,7,2,6,3,0,0.0604561492800713,-0.005935459863394499,0.3162288963794708],[4,7,6,6,-1,6,7,2,6,3,0,-0.00467693479731679,-0.1809061020612717,0.0596601888537407],[7,0,8,3,-1,7,0,4,3,2,0,0.0003653006860986352,-0.0912200435996056,0.1109272986650467],[9,0,4,6,-1,11,0,2,6,2,0,-0.0194912608712912,-0.3707557022571564,0.0284163095057011],[10,0,12,12,-1,13,0,6,12,2,0,0.0200564507395029,-0.0581596791744232,0.0781052336096764],[0,0,12,12,-1,3,0,6,12,2,0,-0.0393711812794209,0.2901248931884766,-0.0418756604194641],[16,5,6,4,-1,16,5,3,4,2,0,0.0215236507356167,0.0165730807930231,-0.2361485064029694],[0,5,6,4,-1,3,5,3,4,2,0,-0.0031294699292629957,-0.1646640002727509,0.0622338093817234],[9,0,12,5,-1,9,0,6,5,2,0,0.002858961932361126,-0.0380984097719193,0.0557516291737556]]],[26,-30.60930061340332,[[1,8,8,10,-1,1,8,4,5,2,5,13,4,5,2,0,-0.0205761305987835,0.1735112965106964,-0.1505803018808365],[8,16,14,2,-1,8,16,7,2,2,0,0.0161259490996599,-0.04161237180233,0.2398445010185242],[0,11,16,3,-1,8,11,8,3,2,0,-0.0123525802046061,0.097780853509903,-0.1239183023571968],[10,16,12,2,-1,10,16,6,2,2,0,-0.005747389979660511,0.0776152089238167,-0.0962367281317711],[0,16,12,2,-1,6,16,6,2,2,0,0.0029579061083495617,-0.067683719098568,0.2659420967102051],[3,11,18,6,-1,12,11,9,3,2,3,14,9,3,2,0,-0.008347222581505775,-0.1118817999958992,0.1373637020587921],[7,13,6,4,-1,7,15,6,2,2,0,-0.0005840878002345562,0.0459431111812592,-0.1648653000593185],[10,11,6,6,-1,10,13,6,2,3,0,-0.0003513683914206922,0.0977910086512566,-0.0643578618764877],[6,14,9,4,-1,9,14,3,4,3,0,0.00008412687748204917,-0.1384762972593308,0.088727742433548],[5,4,16,10,-1,5,9,16,5,2,0,-0.2659249007701874,-0.6752539873123169,0.01618866994977],[11,7,3,8,-1,11,7,3,4,2,1,0.0043727741576731205,0.0728847980499268,-0.1256036013364792],[13,10,6,6,-1,13,12,6,2,3,0,-0.0022660531103610992,0.0872692465782166,-0.0683554336428642],[0,6,22,12,-1,0,6,11,6,2,11,12,11,6,2,0,-0.006529073230922222,-0.1219756007194519,0.0809279307723045],[9,5,6,12,-1,12,5,3,6,2,9,11,3,6,2,0,0.0964362472295761,-0.008263730444014072,0.4912739992141724],[7,5,6,12,-1,7,5,3,6,2,10,11,3,6,2,0,-0.0435948185622692,0.4557530879974365,-0.0256003905087709],[14,1,6,9,-1,14,4,6,3,3,0,-0.0210983194410801,-0.118927501142025,0.0235395897179842],[2,1,6,9,-1,2,4,6,3,3,0,-0.002520001959055662,0.12724469602108,-0.0907517224550247],[13,4,4,6,-1,13,7,4,3,2,0,-0.008924168534576893,-0.1151432022452354,0.0434970296919346],[5,4,4,6,-1,5,7,4,3,2,0,0.003459017025306821,0.063537172973156,-0.1826142966747284],[10,13,12,3,-1,10,14,12,1,3,0,-0.0036076800897717476,0.1200591027736664,-0.0524491108953953],[3,3,15,3,-1,3,4,15,1,3,0,0.0537788905203342,-0.0186757892370224,0.5231301784515381],[13,5,2,9,-1,13,5,1,9,2,1,0.0452451892197132,-0.0175049193203449,0.2187184989452362],[9,5,9,2,-1,9,5,9,1,2,1,0.0013272929936647415,0.0786599591374397,-0.1355167031288147],[6,2,14,10,-1,6,2,7,10,2,0,0.0123936403542757,0.0289523005485535,-0.0721495375037193],[8,2,12,2,-1,8,2,12,1,2,1,-0.0377027802169323,0.4185005128383637,-0.0303553491830826],[17,0,2,13,-1,17,0,1,13,2,1,-0.0489104092121124,0.3736500144004822,-0.005677110981196165],[5,0,13,2,-1,5,0,13,1,2,1,-0.005996169988065958,-0.2075642049312592,0.0704388469457626],[12,4,3,10,-1,12,4,3,5,2,1,0.0566319301724434,-0.0172929391264915,0.2549839913845062],[0,6,12,3,-1,0,7,12,1,3,0,0.0316502302885056,-0.0206582508981228,0.4839827120304108],[6,6,15,3,-1,6,7,15,1,3,0,-0.0211529899388552,0.2002878934144974,-0.0248726103454828],[8,8,5,9,-1,8,11,5,3,3,0,0.0876765325665474,-0.02499970048666,0.4112659990787506],[10,11,7,6,-1,10,13,7,2,3,0,0.0532998815178871,-0.008676622994244099,0.3744659125804901],[5,11,7,6,-1,5,13,7,2,3,0,-0.00026251509552821517,0.0992318466305733,-0.1198920011520386],[5,12,13,4,-1,5,13,13,2,2,0,-0.008589760400354862,-0.1859301030635834,0.0343707799911499],[9,4,4,6,-1,9,7,4,3,2,0,0.0169404707849026,-0.0347682610154152,0.2728826105594635],[13,1,2,9,-1,13,1,1,9,2,1,0.050596110522747,0.0036170349922031164,-0.3946076035499573],[5,2,8,6,-1,5,2,4,3,2,9,5,4,3,2,0,-0.008304843679070473,0.0985777974128723,-0.1166628003120422],[11,0,4,8,-1,12,1,2,8,2,1,0.0105862701311708,0.0391171500086784,-0.0858436673879623],[11,0,8,4,-1,10,1,8,2,2,1,-0.0325586013495922,-0.3735215067863464,0.0254101008176804],[7,9,15,3,-1,7,10,15,1,3,0,-0.0323521308600903,0.2612997889518738,-0.0286310408264399],[5,10,12,3,-1,5,11,12,1,3,0,0.0255470499396324,0.0338848903775215,-0.3045232892036438],[15,2,7,6,-1,15,4,7,2,3,0,0.0422524400055408,0.008951033465564251,-0.240912601351738],[0,2,7,6,-1,0,4,7,2,3,0,0.0038109479937702417,-0.0726389363408089,0.1463439017534256],[12,3,2,7,-1,12,3,1,7,2,1,0.0208217091858387,-0.0362719409167767,0.1832471936941147],[10,3,7,2,-1,10,3,7,1,2,1,0.0264977905899286,0.0281601101160049,-0.3951719999313355],[2,3,20,14,-1,12,3,10,7,2,2,10,10,7,2,0,0.2028353065252304,-0.009378229267895222,0.4486894905567169],[5,2,12,8,-1,11,2,6,8,2,0,-0.1799661070108414,-0.7959595918655396,0.0120278401300311],[18,4,4,8,-1,18,8,4,4,2,0,-0.0709680914878845,-0.7695127725601196,0.001091807964257896],[6,4,6,8,-1,6,4,3,4,2,9,8,3,4,2,0,0.0027555041015148163,0.070150263607502,-0.1291518062353134],[12,2,4,6,-1,12,2,2,6,2,1,-0.0770044028759003,-0.4915507137775421,0.00280674803070724],[10,2,6,4,-1,10,2,6,2,2,1,-0.0202579107135534,0.2356823980808258,-0.0434327982366085],[9,3,8,15,-1,11,3,4,15,2,0,-0.0864218175411224,-0.3454168140888214,0.0112488502636552],[1,11,8,7,-1,3,11,4,7,2,0,-0.0672459527850151,-0.6875290274620056,0.0118686696514487],[13,7,6,10,-1,15,7,2,10,3,0,-0.1299038976430893,-0.7906926870346069,0.0025537670589983463],[2,3,10,14,-1,7,3,5,14,2,0,-0.3039467036724091,-0.8998935222625732,0.008150172419846058],[6,5,15,12,-1,11,5,5,12,3,0,-0.4198854863643646,-0.7730332016944885,0.0013665149454027414],[1,5,15,12,-1,6,5,5,12,3,0,-0.1685128957033157,0.2431939989328384,-0.0412807390093803],[9,14,8,4,-1,9,16,8,2,2,0,0.0028788880445063114,0.0205771699547768,-0.1859090030193329],[9,6,4,10,-1,11,6,2,10,2,0,-0.040223840624094,0.4309926927089691,-0.0231047105044127],[8,6,10,4,-1,8,8,10,2,2,0,0.003968704026192427,0.0436015203595161,-0.0922335684299469],[2,14,7,4,-1,2,16,7,2,2,0,-0.0276507195085287,-0.6170787215232849,0.0146805699914694],[7,9,15,3,-1,7,10,15,1,3,0,-0.002303430112078786,0.0903495922684669,-0.0616645514965057],[0,10,16,4,-1,0,10,8,2,2,8,12,8,2,2,0,-0.029040789231658,0.2773793935775757,-0.0392188690602779],[10,11,6,7,-1,12,11,2,7,3,0,0.0132882604375482,0.0311382599174976,-0.1355874985456467],[8,13,6,5,-1,11,13,3,5,2,0,0.00003396892861928791,-0.1356292963027954,0.0764675810933113],[10,11,6,7,-1,12,11,2,7,3,0,-0.0068583860993385315,-0.103658102452755,0.0259391590952873],[6,11,6,7,-1,8,11,2,7,3,0,-0.0143609195947647,-0.2113649994134903,0.0529731400310993],[18,4,4,8,-1,18,8,4,4,2,0,-0.0174686796963215,-0.105181097984314,0.0177150797098875],[4,6,8,11,-1,8,6,4,11,2,0,-0.09854456782341,0.2564946115016937,-0.0442296415567398],[7,5,8,12,-1,9,5,4,12,2,0,-0.00281234597787261,-0.0738003626465797,0.1540094017982483],[5,3,6,6,-1,7,3,2,6,3,0,0.0021941340528428555,-0.1421629935503006,0.0891392230987549],[11,2,10,6,-1,11,2,10,3,2,1,0.0468207597732544,0.0293640904128551,-0.0627548918128014],[11,1,8,9,-1,11,1,4,9,2,1,0.3289175927639008,0.0130156902596354,-0.7834712862968445],[12,4,3,10,-1,12,4,3,5,2,1,-0.0204705204814672,-0.0768143534660339,0.0398004688322544],[11,1,11,4,-1,11,1,11,2,2,1,0.0886770263314247,-0.0403123684227467,0.2845386862754822],[18,4,4,8,-1,18,8,4,4,2,0,-0.0011557979742065072,0.0421993210911751,-0.0414462089538574],[0,4,4,8,-1,0,8,4,4,2,0,0.0605245381593704,-0.0169187001883984,0.6723713874816895],[12,2,2,12,-1,12,2,1,12,2,1,0.040830459445715,0.0133648402988911,-0.3111329972743988],[4,12,12,3,-1,4,13,12,1,3,0,-0.0031132870353758335,-0.1726278066635132,0.0593822188675404],[2,12,18,3,-1,2,13,18,1,3,0,-0.004363862797617912,0.1726533025503159,-0.0624239705502987],[0,0,16,3,-1,0,1,16,1,3,0,-0.0328340902924538,0.4027537107467651,-0.0257990397512913],[12,2,2,12,-1,12,2,1,12,2,1,0.0643770024180412,-0.004738063085824251,0.7522106766700745],[10,2,12,2,-1,10,2,12,1,2,1,0.0276427306234837,0.0376444794237614,-0.2922027111053467],[13,10,6,7,-1,15,10,2,7,3,0,0.0221711993217468,-0.0246540699154139,0.2053381055593491],[5,13,12,2,-1,11,13,6,2,2,0,0.0015859310515224934,0.0894637927412987,-0.1261173039674759],[16,8,6,8,-1,19,8,3,4,2,16,12,3,4,2,0,-0.0188720505684614,0.1307265013456345,-0.0369537100195885],[4,1,8,6,-1,4,3,8,2,3,0,-0.013306169770658,-0.229632094502449,0.042687188833952],[18,0,4,9,-1,18,3,4,3,3,0,-0.0704071223735809,-0.7111750841140747,0.006695758085697889],[8,2,6,8,-1,8,6,6,4,2,0,0.0417489297688007,-0.0329278707504272,0.3003528118133545],[8,1,6,4,-1,8,3,6,2,2,0,0.0053282231092453,0.0518117509782314,-0.1906909048557282],[1,2,12,3,-1,1,3,12,1,3,0,0.00240949890576303,-0.0806879699230194,0.1251012980937958],[7,2,12,3,-1,7,3,12,1,3,0,-0.006240597926080227,0.1074063032865524,-0.0399790108203888],[1,0,16,18,-1,1,9,16,9,2,0,-0.6731246709823608,-1,0.0100708100944757],[16,8,6,8,-1,19,8,3,4,2,16,12,3,4,2,0,-0.0929835587739944,-1,-0.002426136052235961],[0,8,6,8,-1,0,8,3,4,2,3,12,3,4,2,0,0.0336297601461411,0.0241228695958853,-0.413879007101059],[18,4,4,6,-1,18,7,4,3,2,0,0.0238806195557117,0.009661420248448849,-0.2197377979755402],[0,12,14,3,-1,0,13,14,1,3,0,0.0012738780351355672,-0.0835551172494888,0.1226968988776207],[3,12,16,3,-1,3,13,16,1,3,0,0.0184141397476196,0.0307981409132481,-0.35609170794487],[0,4,4,6,-1,0,7,4,3,2,0,-0.0564695782959461,0.886317789554596,-0.0126983001828194],[9,14,8,4,-1,9,16,8,2,2,0,-0.0004621976113412529,0.0346819013357162,-0.0828508287668228],[0,13,14,3,-1,0,14,14,1,3,0,-0.0190608594566584,0.3536941111087799,-0.0276117604225874],[4,14,14,2,-1,4,15,14,1,2,0,0.0015762279508635402,0.0409399084746838,-0.2251740992069244],[3,12,15,6,-1,3,15,15,3,2,0,0.0201018806546927,-0.0239955503493547,0.4109125137329102],[7,12,14,6,-1,7,15,14,3,2,0,0.0027211669366806746,0.0281224492937326,-0.1420011967420578],[0,0,14,4,-1,0,2,14,2,2,0,-0.109444297850132,0.950857400894165,-0.00943553727120161],[13,10,6,7,-1,15,10,2,7,3,0,-0.0012755279894918203,0.0569029003381729,-0.0834297835826874],[3,10,6,7,-1,5,10,2,7,3,0,-0.080578401684761,-0.9513928890228271,0.008226866833865643],[2,4,18,4,-1,8,4,6,4,3,0,-0.1204798966646195,-0.3027386963367462,0.0284893400967121],[5,3,12,9,-1,9,6,4,3,9,0,-0.1829497069120407,0.2386613041162491,-0.0627739429473877],[10,8,10,7,-1,10,8,5,7,2,0,-0.171064093708992,-0.5939468145370483,0.0031515269074589014],[5,2,4,16,-1,5,6,4,8,2,0,-0.0734148770570755,-0.8693308234214783,0.0100843897089362],[16,8,6,8,-1,19,8,3,4,2,16,12,3,4,2,0,0.0242382995784283,-0.0217561107128859,0.1621855944395065],[0,12,17,4,-1,0,14,17,2,2,0,-0.0071713668294250965,-0.0973455905914307,0.0921484977006912],[7,12,14,6,-1,7,15,14,3,2,0,-0.0333443991839886,0.0746453925967216,-0.022160679101944],[0,13,12,4,-1,0,13,6,2,2,6,15,6,2,2,0,0.0007290790090337396,-0.0949718132615089,0.1182674020528793],[10,13,12,3,-1,10,14,12,1,3,0,-0.0010217289673164487,0.0564262308180332,-0.037573829293251],[7,11,8,6,-1,7,11,4,3,2,11,14,4,3,2,0,-0.0008490093750879169,-0.1388314962387085,0.0700473263859749],[9,6,12,9,-1,12,6,6,9,2,0,0.0998505130410194,-0.0140115898102522,0.2611567974090576],[1,6,12,8,-1,4,6,6,8,2,0,-0.1309006959199905,0.7137935161590576,-0.0116437999531627],[8,12,6,6,-1,8,14,6,2,3,0,0.009121052920818329,0.0454028099775314,-0.2183001041412354],[1,4,20,14,-1,1,4,10,7,2,11,11,10,7,2,0,0.201064795255661,-0.0207532700151205,0.5123022198677063],[18,0,4,10,-1,19,1,2,10,2,1,0.0473893098533154,0.009477912448346615,-0.4794239103794098],[2,2,6,12,-1,2,5,6,6,2,0,-0.0571185387670994,0.3916605114936829,-0.0267039109021425],[16,5,4,9,-1,16,8,4,3,3,0,-0.008370062336325645,-0.1339945942163467,0.0484609007835388],[6,9,8,4,-1,10,9,4,4,2,0,0.004091389011591673,-0.0594897791743279,0.1743853986263275],[7,8,14,3,-1,7,8,7,3,2,0,0.071899488568306,0.0117231803014874,-0.3627477884292603],[0,8,18,3,-1,9,8,9,3,2,0,-0.003688825061544776,0.0757636278867722,-0.1503359973430634],[14,6,8,4,-1,14,6,8,2,2,1,-0.007479521911591291,0.1502785980701447,-0.0458704903721809],[0,3,18,2,-1,9,3,9,2,2,0,-0.0125825898721814,-0.1991554945707321,0.063917450606823],[6,6,10,8,-1,6,8,10,4,2,0,0.0035687079653143883,-0.1211723983287811,0.1095608025789261],[1,5,10,12,-1,1,8,10,6,2,0,0.001736380043439567,0.1225852966308594,-0.0935562625527382],[11,6,3,12,-1,12,6,1,12,3,0,-0.0014523629797622561,0.0967225283384323,-0.0807396993041039],[8,6,3,12,-1,9,6,1,12,3,0,0.0031017749570310116,-0.0690764710307121,0.1539645940065384],[11,1,3,13,-1,12,1,1,13,3,0,-0.008550958707928658,-0.1518629044294357,0.0403469204902649],[8,2,3,13,-1,9,2,1,13,3,0,-0.001896618981845677,0.1217254996299744,-0.0985434427857399]]],[27,-30.601499557495117,[[6,6,2,12,-1,6,12,2,6,2,0,-0.0237547401338816,0.1709530055522919,-0.115342803299427],[17,4,2,9,-1,17,4,1,9,2,1,-0.007380662951618433,0.0880671963095665,-0.0403177700936794],[0,0,12,4,-1,0,1,12,2,2,0,0.0011198900174349546,-0.0798953026533127,0.1344889998435974],[8,4,12,4,-1,14,4,6,2,2,8,6,6,2,2,0,0.0337187312543392,-0.0152200302109122,0.2991417050361633],[6,13,6,4,-1,6,15,6,2,2,0,-0.0002802266099024564,0.0635997280478477,-0.1561919003725052],[7,13,12,4,-1,7,15,12,2,2,0,-0.003952392842620611,-0.00979613233357668,0.1057164967060089],[1,8,6,4,-1,4,8,3,4,2,0,0.002139712916687131,0.0899535864591599,-0.1448377966880798],[15,8,6,10,-1,15,8,3,10,2,0,-0.067521296441555,0.2093243002891541,-0.053923811763525],[1,8,6,10,-1,4,8,3,10,2,0,0.0103789502754807,-0.0641771629452705,0.2781462967395783],[16,12,6,4,-1,16,12,3,4,2,0,0.00629031378775835,-0.0492537207901478,0.08216842263937],[1,6,6,8,-1,1,6,3,4,2,4,10,3,4,2,0,0.009397427551448345,0.0845377370715141,-0.2288530021905899],[11,1,4,11,-1,12,2,2,11,2,1,0.0101209301501513,0.0333371199667454,-0.0816642567515373],[11,1,11,4,-1,10,2,11,2,2,1,0.003153193974867463,-0.1022099032998085,0.1183736026287079],[12,0,4,7,-1,13,1,2,7,2,1,0.0751372873783112,0.0027504051104187965,-1.0000959634780884],[10,0,7,4,-1,9,1,7,2,2,1,-0.0023692219983786345,0.0990924835205078,-0.114251896739006],[13,5,2,12,-1,13,5,1,12,2,0,-0.0245103798806667,0.2870832085609436,-0.0161488000303507],[7,5,2,12,-1,8,5,1,12,2,0,-0.0019670750480145216,-0.1153137013316155,0.0868165567517281],[8,5,9,4,-1,11,5,3,4,3,0,0.0308453794568777,-0.0240906104445457,0.1960754990577698],[7,0,10,3,-1,6,1,10,1,3,1,0.0238163098692894,0.0328240394592285,-0.3571043908596039],[17,4,2,9,-1,17,4,1,9,2,1,-0.0401991307735443,-0.5285078883171082,0.0060749719850718975],[5,4,9,2,-1,5,4,9,1,2,1,-0.006887610070407391,0.2205885052680969,-0.0591514892876148],[12,10,4,8,-1,12,10,2,8,2,0,-0.00025466730585321784,0.071897879242897,-0.0849620327353477],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,0,0.009846819564700127,0.0413667596876621,-0.2398452013731003],[7,7,15,3,-1,7,8,15,1,3,0,0.0279344003647566,-0.0236471593379974,0.2473800927400589],[2,0,12,4,-1,2,0,6,2,2,8,2,6,2,2,0,-0.0229603908956051,-0.4518792927265167,0.0223057791590691],[10,14,6,4,-1,10,14,3,4,2,0,0.00032323438790626824,-0.0875360071659088,0.0784909576177597],[0,8,17,3,-1,0,9,17,1,3,0,0.031954899430275,-0.0262023899704218,0.3920490145683289],[6,13,10,5,-1,6,13,5,5,2,0,0.0019027979578822851,0.0627627819776535,-0.1610735058784485],[5,11,8,5,-1,9,11,4,5,2,0,-0.0032691629603505135,0.1016800031065941,-0.1043248027563095],[14,8,4,6,-1,14,8,2,6,2,0,0.0100402003154159,-0.0280465800315142,0.12117899954319],[0,10,5,8,-1,0,14,5,4,2,0,-0.034158680588007,-0.28974449634552,0.0352826602756977],[7,7,15,3,-1,7,8,15,1,3,0,0.001761525054462254,-0.0555830709636211,0.0741584524512291],[2,11,7,4,-1,2,13,7,2,2,0,-0.0211346503347158,0.2513059079647064,-0.0403546392917633],[8,3,11,12,-1,8,6,11,6,2,0,0.029759369790554,0.0380295403301716,-0.1422636955976486],[2,4,12,4,-1,2,4,6,2,2,8,6,6,2,2,0,0.014866080135107,-0.0397216901183128,0.2752254009246826],[19,2,3,12,-1,20,3,1,12,3,1,-0.0358294285833836,-0.3345197141170502,0.009683924727141857],[1,6,12,4,-1,1,6,6,2,2,7,8,6,2,2,0,-0.0032887340057641268,-0.1425821930170059,0.0685762092471123],[9,9,13,3,-1,9,10,13,1,3,0,0.0427148789167404,-0.0142404399812222,0.3876529932022095],[0,5,12,6,-1,0,5,6,3,2,6,8,6,3,2,0,0.0012328879674896598,0.078623853623867,-0.1186942011117935],[11,0,3,13,-1,12,0,1,13,3,0,-0.0104476204141974,-0.1488299071788788,0.0315711684525013],[8,0,3,13,-1,9,0,1,13,3,0,0.0126563599333167,-0.0465724617242813,0.262126088142395],[14,6,8,8,-1,14,10,8,4,2,0,0.0498497188091278,0.0170153398066759,-0.1426873058080673],[0,8,8,6,-1,0,10,8,2,3,0,-0.0186072401702404,0.2333865016698837,-0.0470949411392212],[9,9,13,3,-1,9,10,13,1,3,0,-0.0543973706662655,-0.405113011598587,0.008160647004842758],[0,9,13,3,-1,0,10,13,1,3,0,0.002915390068665147,-0.0893139466643333,0.1333537995815277],[4,14,14,4,-1,11,14,7,2,2,4,16,7,2,2,0,-0.00591540802270174,-0.2041452974081039,0.0484757013618946],[0,3,6,6,-1,2,3,2,6,3,0,-0.001984132919460535,0.1342810988426209,-0.0758927911520004],[2,6,20,4,-1,7,6,10,4,2,0,-0.004404752049595118,0.0418521389365196,-0.1011909022927284],[2,7,6,6,-1,4,7,2,6,3,0,0.017982879653573,0.0439786799252033,-0.2505401968955994],[15,8,6,10,-1,17,8,2,10,3,0,-0.0780595019459724,-0.3302507102489471,0.006308942101895809],[1,8,6,10,-1,3,8,2,10,3,0,0.0072548650205135345,-0.1087217032909393,0.0994110181927681],[9,9,13,3,-1,9,10,13,1,3,0,-0.002787186997011304,0.1365929991006851,-0.0847996398806572],[6,8,4,6,-1,6,8,4,3,2,1,-0.009379841387271881,-0.1187245026230812,0.0791080594062805],[16,5,6,13,-1,16,5,3,13,2,0,-0.054926410317421,0.1438207030296326,-0.0300722699612379],[0,5,6,13,-1,3,5,3,13,2,0,-0.004421907942742109,0.1066642999649048,-0.1083810031414032],[4,10,18,2,-1,4,10,9,2,2,0,0.0010763059835880995,0.0273809898644686,-0.0554460510611534],[0,7,21,7,-1,7,7,7,7,3,0,-0.0725140124559402,-0.1089344993233681,0.100975401699543],[5,6,12,12,-1,9,6,4,12,3,0,-0.1647219061851502,0.3036536872386932,-0.0436662100255489],[10,4,10,3,-1,9,5,10,1,3,1,0.0798378065228462,-0.0108286803588271,0.8997743725776672],[9,9,9,7,-1,12,9,3,7,3,0,-0.0005241361213847995,0.0852306336164474,-0.1205397993326187],[11,5,9,4,-1,14,8,3,4,3,1,-0.0216322708874941,-0.2109203934669495,0.0655825436115265],[12,3,3,10,-1,12,3,3,5,2,1,0.12691530585289,-0.004593574907630682,0.4508964121341705],[8,3,12,2,-1,8,3,6,2,2,1,0.0954723507165909,-0.0207988992333412,0.5247465968132019],[14,6,4,8,-1,14,10,4,4,2,0,-0.0829360783100128,0.8497673869132996,-0.005051050800830126],[4,6,4,8,-1,4,10,4,4,2,0,0.0077482969500124454,-0.0553182885050774,0.1714583039283752],[6,0,11,12,-1,6,3,11,6,2,0,-0.0217684395611286,-0.1594793051481247,0.0608737990260124],[8,0,6,6,-1,8,3,6,3,2,0,-0.0001107260977732949,0.078877292573452,-0.1317763030529022],[10,0,10,4,-1,10,0,5,4,2,0,0.0031122909858822823,-0.0430468395352364,0.0623925812542439],[2,0,10,4,-1,7,0,5,4,2,0,-0.00286929402500391,0.1374697983264923,-0.0804942175745964],[10,3,8,8,-1,14,3,4,4,2,10,7,4,4,2,0,0.1057576015591621,0.0010569440200924873,-0.9999381899833679],[4,3,8,8,-1,4,3,4,4,2,8,7,4,4,2,0,0.046192679554224,0.0172280203551054,-0.5260491967201233],[2,9,18,5,-1,8,9,6,5,3,0,-0.2547619044780731,-0.629272997379303,0.0136986197903752],[0,15,16,3,-1,0,16,16,1,3,0,-0.00273740291595459,0.1274753957986832,-0.0695915222167969],[6,16,12,2,-1,6,17,12,1,2,0,0.0021854760125279427,0.0418547615408897,-0.2648145854473114],[3,0,4,8,-1,3,4,4,4,2,0,-0.0240507107228041,-0.2619110941886902,0.0344899408519268],[15,6,6,6,-1,13,8,6,2,3,1,0.1021142974495888,-0.0153028601780534,0.3999275863170624],[7,6,6,6,-1,9,8,2,6,3,1,0.1028165966272354,-0.0290206708014011,0.3688715994358063],[13,12,6,6,-1,13,14,6,2,3,0,0.0392064899206162,0.008904501795768738,-0.4324299991130829],[3,12,6,6,-1,3,14,6,2,3,0,-0.0378308594226837,-0.6273121237754822,0.0148828299716115],[8,13,14,4,-1,8,14,14,2,2,0,0.0125078903511167,-0.0178650598973036,0.1415614038705826],[0,13,14,4,-1,0,14,14,2,2,0,-0.0154775902628899,0.3167665004730225,-0.0335108302533627],[3,13,17,2,-1,3,14,17,1,2,0,-0.004588569980114698,-0.1522215008735657,0.0732118636369705],[4,6,12,4,-1,8,6,4,4,3,0,-0.0205059703439474,0.117253802716732,-0.0974579229950905],[8,7,9,4,-1,11,7,3,4,3,0,-0.1309832036495209,0.5433806777000427,-0.005880312994122505],[10,0,6,8,-1,8,2,6,4,2,1,0.0478882789611816,-0.0271208100020885,0.357236385345459],[9,2,12,12,-1,9,6,12,4,3,0,0.2544153034687042,0.002568094991147518,-0.9998825788497925],[11,0,6,3,-1,10,1,6,1,3,1,0.0020652529783546925,-0.0942550003528595,0.1006835997104645],[13,1,3,7,-1,14,2,1,7,3,1,0.0301417801529169,-0.015984520316124,0.242095097899437],[2,3,12,9,-1,6,6,4,3,9,0,0.1230550035834312,0.0439024604856968,-0.2904686033725739],[19,2,3,12,-1,20,3,1,12,3,1,0.0114368898794055,0.031826701015234,-0.1056960970163345],[3,5,12,5,-1,7,5,4,5,3,0,0.014229659922421,-0.0645187273621559,0.1617898941040039],[13,1,3,7,-1,14,2,1,7,3,1,-0.0198080390691757,0.2090989947319031,-0.0272454600781202],[9,1,7,3,-1,8,2,7,1,3,1,-0.0326347090303898,-0.4626514911651611,0.023877989500761],[9,7,8,6,-1,13,7,4,3,2,9,10,4,3,2,0,0.0815682113170624,-0.0109838200733066,0.745175302028656],[4,14,14,4,-1,4,15,14,2,2,0,0.0017331159906461835,0.0628325790166855,-0.1580016016960144],[10,14,6,4,-1,10,14,3,4,2,0,0.00415245583280921,0.0285209491848946,-0.0839238166809082],[6,14,6,4,-1,9,14,3,4,2,0,0.00020917340589221567,-0.1653665006160736,0.0831703767180443],[14,0,4,16,-1,16,0,2,8,2,14,8,2,8,2,0,-0.0006955016870051622,0.0572988986968994,-0.0986681282520294],[0,15,20,3,-1,5,15,10,3,2,0,0.1011473014950752,-0.027031859382987,0.509372889995575],[16,5,3,13,-1,17,5,1,13,3,0,0.0203715302050114,-0.0159913394600153,0.2111019045114517],[2,6,13,8,-1,2,10,13,4,2,0,0.1949035972356796,0.0111691495403647,-0.8062657713890076],[16,5,3,13,-1,17,5,1,13,3,0,-0.0015187750104814768,0.0886704325675964,-0.0657796934247017],[7,12,7,4,-1,7,14,7,2,2,0,-0.00002230028076155577,0.0702371001243591,-0.1365679949522018],[15,1,4,9,-1,15,4,4,3,3,0,0.007024181075394154,0.0452642701566219,-0.1224663034081459],[0,4,16,2,-1,0,5,16,1,2,0,-0.005851373076438904,0.1454869955778122,-0.0775128677487373],[8,4,12,2,-1,8,5,12,1,2,0,-0.0122288698330522,-0.1576232016086578,0.0330916009843349],[6,3,9,15,-1,9,8,3,5,9,0,-0.2747533917427063,0.4141589999198914,-0.0233061797916889],[12,3,3,8,-1,12,7,3,4,2,0,-0.00830733124166727,-0.0661589726805687,0.0454233698546886],[5,6,12,4,-1,5,6,6,2,2,11,8,6,2,2,0,0.014967099763453,0.0395800210535526,-0.2447497993707657],[16,3,3,14,-1,17,3,1,14,3,0,0.00351219205185771,-0.0326085910201073,0.0720805525779724],[3,3,3,14,-1,4,3,1,14,3,0,0.006067619193345308,-0.0662842467427254,0.1645577996969223],[0,4,22,4,-1,11,4,11,2,2,0,6,11,2,2,0,-0.006094884127378464,-0.1678411960601807,0.068097747862339],[1,4,4,9,-1,1,7,4,3,3,0,-0.00447105010971427,0.1434886008501053,-0.0752860531210899],[7,13,12,4,-1,7,15,12,2,2,0,0.0276299994438887,-0.0060715568251907825,0.462352991104126],[3,13,12,4,-1,3,15,12,2,2,0,-0.004177834838628769,-0.0944801867008209,0.1026868969202042],[11,14,6,4,-1,11,16,6,2,2,0,-0.0001499701029388234,0.0459039695560932,-0.1268998980522156],[1,0,13,3,-1,1,1,13,1,3,0,0.009342165663838387,-0.047851350158453,0.2377692013978958],[11,0,6,4,-1,11,2,6,2,2,0,-0.009045479819178581,-0.1488175988197327,0.0257176607847214],[4,14,14,4,-1,4,14,7,2,2,11,16,7,2,2,0,-0.0010563050163909793,-0.124652199447155,0.0821189433336258],[6,0,12,2,-1,6,1,12,1,2,0,-0.0156021695584059,0.3047155141830444,-0.0245032906532288],[5,0,6,4,-1,5,2,6,2,2,0,-0.008958861231803894,-0.2362405955791473,0.0462901405990124],[11,0,3,6,-1,12,1,1,6,3,1,-0.007645292207598686,0.1139314025640488,-0.0265730600804091],[11,0,6,3,-1,10,1,6,1,3,1,-0.0192949008196592,0.2882001996040344,-0.0359068810939789],[7,12,8,6,-1,9,12,4,6,2,0,0.008625028654932976,0.0610060207545757,-0.1683263033628464],[1,1,5,10,-1,1,6,5,5,2,0,0.0258834902197123,-0.0401428490877151,0.2326312065124512],[13,0,2,12,-1,13,6,2,6,2,0,-0.0749461129307747,0.7116879820823669,-0.006023740861564875],[7,0,2,12,-1,7,6,2,6,2,0,-0.0002680812031030655,0.0777179002761841,-0.1535875052213669],[12,1,8,14,-1,16,1,4,7,2,12,8,4,7,2,0,0.0610414408147335,-0.0340701602399349,0.2583329081535339],[1,0,8,10,-1,1,0,4,5,2,5,5,4,5,2,0,-0.004792064893990755,-0.1507782936096191,0.084577240049839],[6,6,16,4,-1,10,6,8,4,2,0,-0.1261063069105148,-0.4840453863143921,0.008696543984115124],[1,14,13,2,-1,1,15,13,1,2,0,-0.0228792708367109,0.677341878414154,-0.0148561000823975],[2,7,20,3,-1,7,7,10,3,2,0,-0.0006276051281020045,0.0509103499352932,-0.1407644003629684],[11,2,9,4,-1,14,5,3,4,3,1,-0.0105431796982884,-0.0907072499394417,0.1128190010786057],[6,5,13,2,-1,6,6,13,1,2,0,-0.0024953829124569893,0.0895237624645233,-0.0755412876605988],[3,0,6,15,-1,6,0,3,15,2,0,0.0609861500561237,-0.0320069789886475,0.3300091028213501]]],[28,-30.55500030517578,[[3,12,8,6,-1,5,12,4,6,2,0,-0.0412418097257614,0.2484184056520462,-0.0698791295289993],[13,1,4,7,-1,14,2,2,7,2,1,-0.0746634975075722,-0.7543368935585022,0.004049370996654034],[9,1,7,4,-1,8,2,7,2,2,1,-0.0238036792725325,0.2431309968233109,-0.0452839285135269],[11,11,6,4,-1,11,13,6,2,2,0,0.0320286191999912,-0.0122305396944284,0.3981122076511383],[0,12,8,6,-1,0,12,4,3,2,4,15,4,3,2,0,0.00038454410969279706,0.0692448392510414,-0.172887995839119],[11,11,6,4,-1,11,13,6,2,2,0,-0.0020599530544131994,0.0450832508504391,-0.0638244822621346],[2,6,6,12,-1,2,6,3,6,2,5,12,3,6,2,0,0.0591745004057884,0.0137560898438096,0.5806397795677185],[11,11,6,4,-1,11,13,6,2,2,0,-0.00812045019119978,-0.0790601968765259,0.0320978797972202],[5,11,9,4,-1,8,11,3,4,3,0,-0.005436244886368513,0.0802850127220154,-0.1388078927993774],[8,13,9,5,-1,11,13,3,5,3,0,0.0407687798142433,0.0352651290595531,-0.1682104021310806],[3,15,8,3,-1,7,15,4,3,2,0,-0.0107057699933648,-0.1322779953479767,0.0971477031707764],[4,12,14,6,-1,11,12,7,3,2,4,15,7,3,2,0,-0.0021374409552663565,-0.1113512963056564,0.1050119996070862],[2,15,8,3,-1,6,15,4,3,2,0,-0.006006903015077114,0.0797014236450195,-0.1450355052947998],[11,11,6,4,-1,11,13,6,2,2,0,0.006858435925096273,-0.02862917073071,0.1549434959888458],[6,5,6,7,-1,8,5,2,7,3,0,0.00843087024986744,-0.0687258765101433,0.1357143968343735],[8,4,9,12,-1,11,8,3,4,9,0,-0.0319182090461254,-0.0900216475129128,0.0701727569103241],[5,4,9,12,-1,8,8,3,4,9,0,0.1434696018695831,0.0379361994564533,-0.3384973108768463],[14,12,6,4,-1,14,14,6,2,2,0,-0.0535015314817429,-1,-0.0013069049455225468],[2,12,6,4,-1,2,14,6,2,2,0,-0.00043198501225560904,0.0631404593586922,-0.1489108055830002],[9,6,6,8,-1,11,6,2,8,3,0,-0.0368255116045475,0.1641896069049835,-0.0365471988916397],[7,4,8,6,-1,7,6,8,2,3,0,-0.0932306125760078,-0.8185548186302185,0.0104887299239635],[13,7,6,4,-1,13,7,6,2,2,1,-0.007588650099933147,0.0961899235844612,-0.0323927290737629],[10,2,12,3,-1,9,3,12,1,3,1,0.0019316580146551132,-0.097133457660675,0.0968365371227264],[12,4,6,6,-1,14,6,2,6,3,1,-0.1761084944009781,-1,0.0003906486090272665],[10,4,6,6,-1,8,6,6,2,3,1,-0.0045753358863294125,-0.1424594074487686,0.0726295337080956],[11,5,3,9,-1,12,6,1,9,3,1,-0.0715556964278221,0.7012476921081543,-0.008119278587400913],[4,0,16,2,-1,4,0,16,1,2,1,-0.005193918943405151,-0.1759340018033981,0.0669202581048012],[12,12,8,3,-1,12,12,4,3,2,0,0.00974101759493351,-0.0406328588724136,0.153662696480751],[10,0,12,6,-1,13,3,6,6,2,1,-0.0191977303475142,0.0884047225117683,-0.1111958995461464],[9,2,4,6,-1,9,5,4,3,2,0,0.007771397940814495,-0.0515310801565647,0.2334187030792236],[0,2,18,9,-1,6,5,6,3,9,0,0.0467417798936367,0.0586589500308037,-0.2182534039020538],[16,2,3,9,-1,17,3,1,9,3,1,-0.0670518204569817,-0.7696895003318787,0.002273333026096225],[6,2,9,3,-1,5,3,9,1,3,1,0.0104036098346114,-0.0572082698345184,0.1987476944923401],[10,1,12,4,-1,14,1,4,4,3,0,0.0681366175413132,0.010924750007689,-0.235147699713707],[0,1,12,4,-1,4,1,4,4,3,0,0.005546273197978735,0.0764302089810371,-0.1504815071821213],[6,14,12,4,-1,12,14,6,2,2,6,16,6,2,2,0,0.0358278900384903,0.005233020056039095,-0.9050955772399902],[4,2,13,3,-1,4,3,13,1,3,0,0.0100990803912282,-0.0494383499026299,0.1923664957284927],[7,2,13,3,-1,7,3,13,1,3,0,-0.0007300035213120282,0.0800386890769005,-0.0598758608102798],[1,12,20,2,-1,11,12,10,2,2,0,-0.0626273080706596,-0.6877195239067078,0.0144093399867415],[5,2,12,3,-1,9,2,4,3,3,0,0.004146360792219639,0.0620688796043396,-0.1413860023021698],[4,8,14,9,-1,11,8,7,9,2,0,-0.1413605958223343,0.5943986773490906,-0.0169105306267738],[10,2,4,8,-1,10,2,2,8,2,0,0.0701470673084259,0.0035781029146164656,-0.8454138040542603],[8,2,4,8,-1,10,2,2,8,2,0,0.0018181180348619819,-0.0590311288833618,0.1770997941493988],[16,1,2,16,-1,16,9,2,8,2,0,0.0631495416164398,-0.007969151251018047,0.2457547038793564],[2,8,9,4,-1,5,8,3,4,3,0,0.0017065559513866901,-0.1377667933702469,0.0722865983843803],[16,1,2,16,-1,16,9,2,8,2,0,-0.0418441593647003,-0.1020454987883568,0.0194128807634115],[4,1,2,16,-1,4,9,2,8,2,0,0.0618760287761688,0.017572570592165,-0.5961120128631592],[10,7,8,6,-1,14,7,4,3,2,10,10,4,3,2,0,0.0862066075205803,-0.008324669674038887,0.5927473902702332],[4,7,8,6,-1,4,7,4,3,2,8,10,4,3,2,0,0.015561250038445,0.0559087917208672,-0.2017468065023422],[12,8,2,7,-1,12,8,1,7,2,1,0.001968336058780551,0.0841097831726074,-0.0951142832636833],[5,8,6,8,-1,5,8,3,4,2,8,12,3,4,2,0,-0.0032295130658894777,0.1985978931188583,-0.0603710412979126],[12,8,2,7,-1,12,8,1,7,2,1,0.0438614599406719,-0.007549563888460398,0.2778531014919281],[10,8,7,2,-1,10,8,7,1,2,1,-0.0007158804219216108,0.1067167967557907,-0.1160534024238586],[5,9,13,8,-1,5,11,13,4,2,0,-0.0115850800648332,0.1392320990562439,-0.0726817175745964],[7,9,4,9,-1,9,9,2,9,2,0,-0.0241320300847292,-0.3434329926967621,0.0285876393318176],[9,6,6,10,-1,11,6,2,10,3,0,-0.00596701679751277,0.0628549680113792,-0.0632379129528999],[7,6,6,10,-1,9,6,2,10,3,0,-0.0572982616722584,0.3351210057735443,-0.0344256795942783],[6,0,14,6,-1,13,0,7,3,2,6,3,7,3,2,0,-0.1444053053855896,-1,-0.00020486500579863787],[2,0,14,6,-1,2,0,7,3,2,9,3,7,3,2,0,-0.0161520093679428,-0.1801726073026657,0.0606980808079243],[3,6,16,3,-1,3,7,16,1,3,0,0.0003113234124612063,-0.0873939692974091,0.1081447973847389],[1,6,15,3,-1,1,7,15,1,3,0,-0.003490513889119029,0.1308909952640533,-0.082502506673336],[8,5,8,4,-1,8,7,8,2,2,0,-0.051078200340271,-0.6674498915672302,0.009767080657184124],[2,4,12,10,-1,8,4,6,10,2,0,0.2302789986133575,0.008931868709623814,-0.8889254927635193],[7,0,14,16,-1,7,0,7,16,2,0,0.0332602895796299,-0.0388468205928802,0.1187155023217201],[1,1,18,3,-1,10,1,9,3,2,0,0.0036332090385258198,-0.0818652883172035,0.1200636997818947],[8,8,12,2,-1,8,8,6,2,2,0,-0.00013659459364134818,0.0290940403938293,-0.086412712931633],[8,1,6,4,-1,11,1,3,4,2,0,0.004266383126378059,0.0596425905823708,-0.1677787005901337],[11,0,4,10,-1,12,1,2,10,2,1,-0.0377263687551022,0.2520141899585724,-0.0114804599434137],[11,0,10,4,-1,10,1,10,2,2,1,-0.0377239510416985,0.3615080118179321,-0.0251649804413319],[13,7,9,4,-1,16,7,3,4,3,0,-0.0352175310254097,-0.2076825946569443,0.0156594999134541],[11,1,6,2,-1,11,1,6,1,2,1,-0.0262501500546932,0.6436303853988647,-0.0139710800722241],[8,8,12,2,-1,8,8,6,2,2,0,0.0711328312754631,0.005070141050964594,-0.8105366826057434],[7,12,6,5,-1,10,12,3,5,2,0,0.002835876075550914,0.0800347328186035,-0.1176605001091957],[10,7,9,11,-1,13,7,3,11,3,0,0.0034837881103157997,0.0697094574570656,-0.1213672012090683],[6,15,8,3,-1,10,15,4,3,2,0,0.000029538539820350707,-0.170905202627182,0.0700920671224594],[19,3,2,12,-1,19,3,1,12,2,0,0.0263452306389809,-0.0110464496538043,0.3546783924102783],[1,3,2,12,-1,2,3,1,12,2,0,0.00033180779428221285,-0.0897638499736786,0.1040273979306221],[11,1,9,10,-1,14,1,3,10,3,0,0.009960798546671867,-0.1057467013597488,0.0874811634421349],[1,3,16,6,-1,5,3,8,6,2,0,0.0690684765577316,-0.0231357607990503,0.377659797668457],[7,1,12,12,-1,11,1,4,12,3,0,-0.0338048711419106,-0.0800529271364212,0.0661719888448715],[2,8,12,2,-1,8,8,6,2,2,0,-0.002110389992594719,0.0729132369160652,-0.1698666960000992],[14,7,3,10,-1,14,12,3,5,2,0,0.0716755837202072,-0.0226680207997561,0.4375745952129364],[1,15,18,3,-1,10,15,9,3,2,0,-0.0176371298730373,0.1471055001020432,-0.0776481479406357],[9,0,13,3,-1,9,1,13,1,3,0,0.002155943075194955,-0.0445614792406559,0.0806162506341934],[5,0,12,3,-1,5,1,12,1,3,0,-0.002992337103933096,0.1601323038339615,-0.0726281702518463],[12,1,2,15,-1,12,1,1,15,2,0,-0.0283516198396683,-0.2483552992343903,0.007849362678825855],[8,1,2,15,-1,9,1,1,15,2,0,-0.005384241230785847,-0.1329039037227631,0.0786153525114059],[12,2,3,13,-1,13,2,1,13,3,0,0.0165137201547623,-0.0308675803244114,0.2291049957275391],[1,6,4,8,-1,3,6,2,8,2,0,-0.0234800595790148,-0.3465690016746521,0.0284779109060764],[17,1,4,12,-1,19,1,2,6,2,17,7,2,6,2,0,0.0648044571280479,0.003268118016421795,-0.8184831738471985],[1,1,4,12,-1,1,1,2,6,2,3,7,2,6,2,0,0.0029363438952714205,0.0683719962835312,-0.1603825986385346],[17,0,4,7,-1,17,0,2,7,2,0,0.0193526390939951,0.0123308096081018,-0.1775151044130325],[1,0,4,7,-1,3,0,2,7,2,0,-0.0014157049590721726,0.1624874025583267,-0.0848219692707062],[12,2,3,13,-1,13,2,1,13,3,0,-0.0321656800806522,0.2549557983875275,-0.0153878200799227],[7,4,5,9,-1,7,7,5,3,3,0,0.0998839288949966,0.0116309802979231,-0.8693922162055969],[12,2,3,13,-1,13,2,1,13,3,0,-0.0008550985949113965,0.0375091396272182,-0.0413151308894157],[7,2,3,13,-1,8,2,1,13,3,0,0.0199486799538136,-0.0332114398479462,0.2654669880867004],[3,5,17,4,-1,3,6,17,2,2,0,-0.0168213602155447,-0.1950453072786331,0.045578271150589],[2,3,18,3,-1,2,4,18,1,3,0,-0.0816850811243057,0.8082371950149536,-0.0100283799692988],[11,11,6,4,-1,11,13,6,2,2,0,-0.0003946711076423526,0.0378688685595989,-0.0743217021226883],[5,11,6,4,-1,5,13,6,2,2,0,-0.0419395789504051,-0.753102719783783,0.0124947801232338],[15,5,6,4,-1,15,5,6,2,2,1,0.1231978014111519,0.0015212129801511765,-0.8745682835578918],[7,5,4,6,-1,7,5,2,6,2,1,0.004316234961152077,0.0959173664450645,-0.0982868820428848],[13,1,8,8,-1,15,1,4,8,2,0,0.0017064419807866216,-0.0672838464379311,0.0583726689219475],[3,1,12,12,-1,7,1,4,12,3,0,0.068853497505188,0.0398532710969448,-0.2701404094696045],[14,2,4,12,-1,14,2,2,12,2,0,0.0015133110573515296,0.0368038304150105,-0.0786387771368027],[4,2,4,12,-1,6,2,2,12,2,0,0.0166717004030943,-0.0522084794938564,0.2547613978385925],[15,0,2,14,-1,15,0,1,14,2,0,-0.0024927379563450813,-0.0683529227972031,0.0391825288534164],[5,0,2,14,-1,6,0,1,14,2,0,0.0017946650041267276,0.0756416171789169,-0.1844301968812943],[15,1,7,15,-1,15,6,7,5,3,0,0.0657645165920258,-0.0279573798179626,0.1377072930335999],[6,1,7,6,-1,4,3,7,2,3,1,-0.0324156284332275,0.2495771944522858,-0.0384017415344715],[1,4,20,14,-1,11,4,10,7,2,1,11,10,7,2,0,0.1598522067070007,0.0231395307928324,-0.4587697982788086],[1,2,6,8,-1,3,2,2,8,3,0,0.0330030508339405,-0.0285496506839991,0.3648226857185364],[15,0,2,13,-1,15,0,1,13,2,0,0.008329241536557674,0.0234221108257771,-0.129927396774292],[2,1,9,10,-1,5,1,3,10,3,0,-0.1470738053321838,-1,0.0103427702561021],[9,9,6,6,-1,11,9,2,6,3,0,0.1062593013048172,0.002890158910304308,-0.621051013469696],[5,5,8,4,-1,5,5,8,2,2,1,0.0479050017893314,-0.0254373103380203,0.3859503865242004],[5,8,14,4,-1,5,9,14,2,2,0,0.0435629487037659,0.0129636703059077,-0.315745085477829],[0,7,20,2,-1,10,7,10,2,2,0,-0.0664015114307404,0.3718433976173401,-0.0242482293397188],[8,0,10,10,-1,8,0,5,10,2,0,0.0010357169667258859,-0.0338571593165398,0.0728181377053261],[4,0,10,10,-1,9,0,5,10,2,0,-0.1001026034355164,-0.2616243064403534,0.0405613481998444],[5,1,15,10,-1,10,1,5,10,3,0,-0.1402942985296249,0.1618638038635254,-0.0374638698995113],[0,9,18,4,-1,0,10,18,2,2,0,-0.036629181355238,-0.3798868954181671,0.0224937591701746],[8,8,10,6,-1,8,10,10,2,3,0,0.1852793991565704,-0.0034648380242288113,0.9997292160987854],[4,8,10,6,-1,4,10,10,2,3,0,0.0134529303759336,0.0661910176277161,-0.1520805060863495],[11,6,10,12,-1,11,10,10,4,3,0,0.0846280604600906,-0.032134260982275,0.2287780046463013],[8,5,4,8,-1,8,5,4,4,2,1,-0.0875683724880219,0.4322968125343323,-0.0247350297868252],[17,8,5,6,-1,17,11,5,3,2,0,0.026502339169383,0.0235266294330359,-0.2984949946403503],[8,11,4,7,-1,10,11,2,7,2,0,-0.0182730592787266,0.508780300617218,-0.019735949113965],[9,5,12,3,-1,9,6,12,1,3,0,-0.001199536956846714,0.0748677626252174,-0.0738613903522491],[2,9,13,3,-1,2,10,13,1,3,0,0.0313812308013439,-0.0262804795056582,0.3658395111560822],[3,13,16,3,-1,3,13,8,3,2,0,0.0231786705553532,0.0371552594006062,-0.2546856999397278],[5,12,8,4,-1,9,12,4,4,2,0,-0.0136446999385953,0.207176998257637,-0.042792771011591],[14,8,6,9,-1,14,11,6,3,3,0,0.007831527851521969,0.0360285192728043,-0.0803370401263237],[4,10,12,3,-1,4,11,12,1,3,0,-0.0100357802584767,-0.2225376963615418,0.0429500304162502],[6,7,11,9,-1,6,10,11,3,3,0,-0.0511321313679218,0.3058665096759796,-0.0270545892417431],[4,1,9,4,-1,7,4,3,4,3,1,-0.0695447027683258,0.3468846082687378,-0.031736221164465],[12,1,9,9,-1,15,1,3,9,3,0,-0.0240793600678444,0.1329156011343002,-0.0302777793258429],[1,1,9,9,-1,4,1,3,9,3,0,-0.006663051899522543,-0.1847348064184189,0.0787502527236938],[14,1,6,6,-1,16,1,2,6,3,0,0.0431476905941963,-0.00915665365755558,0.2948581874370575],[4,6,4,6,-1,6,6,2,6,2,0,-0.0138083398342133,-0.2847915887832642,0.0326221883296967],[7,5,12,7,-1,10,5,6,7,2,0,0.1635189950466156,-0.0037377059925347567,0.5604218244552612],[3,5,12,7,-1,6,5,6,7,2,0,-0.0240861494094133,0.1584143042564392,-0.0662945136427879]]]]};
@@ -1,13 +1,16 @@
 (function (window, undefined) {
 
-    tracking.type.HUMAN = {
+    var toArray = tracking.toArray_,
+        toNumber = tracking.toNumber_,
+        toNumbers = tracking.toNumbers_;
 
-        NAME: 'HUMAN',
+    tracking.registerTracker('human', {
 
         data: {},
 
         defaults: {
-            blockSize: 20,
+            // Smallest window width, null starts at the cascade width.
+            blockSize: null,
 
             blockJump: 5,
 
@@ -20,243 +23,358 @@
             minNeighbors: 3
         },
 
-        evalStage_: function(stage, integralImage, integralImageSquare, i, j, width, height, blockSize) {
+        validate: function(config) {
+            var instance = this;
+
+            if (!instance.data[config.data]) {
+                throw Error('Human data ' + config.data + ' is not loaded.');
+            }
+
+            if (!(config.blockScale > 1)) {
+                throw Error('Human blockScale should be greater than 1.');
+            }
+        },
+
+        /*
+         * Loads an OpenCV Haar cascade, haarcascade_*.xml in either the old
+         * (opencv-haar-classifier) or the new (opencv-cascade-classifier)
+         * format, into tracking.type.HUMAN.data[name]. Accepts the XML string,
+         * the cascade already converted to JSON or, in the browser, an URL.
+         * XML strings and JSON are converted synchronously and the cascade is
+         * returned, URLs are requested and opt_callback(err, cascade) is
+         * called once the cascade is loaded or failed to load.
+         */
+        loadCascade: function(name, xmlStringOrUrl, opt_callback) {
+            return tracking.loadCascade_(this, name, xmlStringOrUrl, opt_callback);
+        },
+
+        /*
+         * Converts an OpenCV Haar cascade, as a XML string or as the object
+         * of its JSON conversion, into {width, height, stages}, the window
+         * size the features are laid out in and the [parent, threshold,
+         * trees] stages evaluated by evalStage_.
+         */
+        parseCascade: function(cascade) {
             var instance = this,
-                defaults = instance.defaults,
-                stageIndex = stage[0],
-                stageThreshold = stage[1],
-                tree = stage[2],
-                treeLen = tree.length,
-                t,
+                size;
 
-                inverseArea = 1.0/(blockSize*blockSize),
-                scale = blockSize/defaults.blockSize,
+            cascade = tracking.readCascade_(cascade);
 
-                stageSum = 0;
+            // <width> and <height> in the new format, <size> in the old one.
+            size = cascade.features ?
+                [toNumber(cascade.width), toNumber(cascade.height)] : toNumbers(String(cascade.size || ''));
 
-            for (t = 0; t < treeLen; t++) {
-                var node = tree[t],
-                    nodeLen = node.length,
+            if (!(size[0] > 0 && size[1] > 0)) {
+                throw Error('Cascade has no window size.');
+            }
 
-                    nodeThreshold = node[nodeLen-3],
-                    left = node[nodeLen-2],
-                    right = node[nodeLen-1],
+            return {
+                width: size[0],
+                height: size[1],
+                stages: cascade.features ? instance.convertCascade_(cascade) : instance.convertOldCascade_(cascade)
+            };
+        },
 
-                    total,
-                    totalSquare,
-                    mean,
-                    variance,
+        convertCascade_: function(cascade) {
+            var instance = this,
+                features = toArray(cascade.features);
 
-                    wb1 = i*width + j,
-                    wb2 = i*width + (j + blockSize),
-                    wb3 = (i + blockSize)*width + j,
-                    wb4 = (i + blockSize)*width + (j + blockSize),
+            if (cascade.featureType && cascade.featureType !== 'HAAR') {
+                throw Error('Cascade feature type ' + cascade.featureType + ' is not supported.');
+            }
 
-                    rectsSum = 0,
-                    rectsLen = (nodeLen - 3)/5,
-                    r,
-                    x1, y1, x2, y2, rectWidth, rectHeight, rectWeight, w1, w2, w3, w4;
+            return toArray(cascade.stages).map(function(stage, i) {
+                var trees = toArray(stage.weakClassifiers).map(function(weakClassifier) {
+                    var internalNodes = toNumbers(weakClassifier.internalNodes),
+                        leafValues = toNumbers(weakClassifier.leafValues),
+                        nodes = [],
+                        n;
+
+                    // internalNodes are [left, right, featureIndex, threshold]
+                    // groups, left and right being node indexes when positive
+                    // or negated leafValues indexes.
+                    for (n = 0; n < internalNodes.length; n += 4) {
+                        nodes.push(instance.convertNode_(
+                            features[internalNodes[n + 2]], internalNodes[n + 3], internalNodes[n], internalNodes[n + 1]));
+                    }
 
-                total = integralImage[wb1] - integralImage[wb2] - integralImage[wb3] + integralImage[wb4];
-                totalSquare = integralImageSquare[wb1] - integralImageSquare[wb2] - integralImageSquare[wb3] + integralImageSquare[wb4];
-                mean = total*inverseArea;
-                variance = totalSquare*inverseArea - mean*mean;
+                    return instance.convertTree_(nodes, leafValues);
+                });
 
-                if (variance > 1) {
-                    variance = Math.sqrt(variance);
-                }
-                else {
-                    variance = 1;
-                }
+                return [i - 1, toNumber(stage.stageThreshold), trees];
+            });
+        },
 
-                for (r = 0; r < rectsLen; r++) {
-                     x1 = j + ~~(node[r*5]*scale);
-                     y1 = i + ~~(node[r*5 + 1]*scale);
-                     rectWidth = ~~(node[r*5 + 2]*scale);
-                     rectHeight = ~~(node[r*5 + 3]*scale);
-                     rectWeight = node[r*5 + 4];
+        convertOldCascade_: function(cascade) {
+            var instance = this;
 
-                     x2 = x1 + rectWidth;
-                     y2 = y1 + rectHeight;
+            return toArray(cascade.stages).map(function(stage) {
+                var trees = toArray(stage.trees).map(function(tree) {
+                    var leafValues = [],
+                        getChild = function(node, side) {
+                            if (node[side + '_node'] !== undefined) {
+                                return toNumber(node[side + '_node']);
+                            }
 
-                     w1 = y1*width + x1;
-                     w2 = y1*width + x2;
-                     w3 = y2*width + x1;
-                     w4 = y2*width + x2;
+                            leafValues.push(toNumber(node[side + '_val']));
 
-                     rectsSum += (integralImage[w1] - integralImage[w2] - integralImage[w3] + integralImage[w4])*rectWeight;
-                }
+                            return 1 - leafValues.length;
+                        },
+                        nodes = toArray(tree).map(function(node) {
+                            var left = getChild(node, 'left'),
+                                right = getChild(node, 'right');
 
-                if (rectsSum*inverseArea < nodeThreshold*variance) {
-                    stageSum += left;
-                }
-                else {
-                    stageSum += right;
-                }
-            }
+                            return instance.convertNode_(node.feature, toNumber(node.threshold), left, right);
+                        });
 
-            return (stageSum > stageThreshold);
+                    return instance.convertTree_(nodes, leafValues);
+                });
+
+                return [toNumber(stage.parent), toNumber(stage.stage_threshold), trees];
+            });
         },
 
-        merge_: function(rects, video) {
+        convertNode_: function(feature, threshold, left, right) {
             var instance = this,
-                defaults = instance.defaults,
-                minNeighborArea = defaults.minNeighborArea,
-                minNeighbors = defaults.minNeighbors,
-                rectsLen = rects.length,
-                i,
-                j,
-                x1,
-                y1,
-                blockSize1,
-                x2,
-                y2,
-                x3,
-                y3,
-                x4,
-                y4,
-                blockSize2,
-                px1,
-                py1,
-                px2,
-                py2,
-                pArea,
-                group = 0,
-                importantGroupCounter;
-                importantGroups = {},
-                faces = [];
-
-            for (i = 0; i < rectsLen; i+=4) {
-                x1 = rects[i + 0];
-                y1 = rects[i + 1];
-                blockSize1 = rects[i + 2];
-
-                x2 = x1 + blockSize1;
-                y2 = y1 + blockSize1;
-
-                if (rects[i + 3]) {
-                    continue;
-                }
+                node = [];
 
-                group++;
-                importantGroupCounter = 0;
+            toArray(feature.rects).forEach(function(rect) {
+                node.push.apply(node, toNumbers(rect).slice(0, 5));
+            });
 
-                for (j = 0; j < rectsLen; j+=4) {
-                    if (i === j && rects[j + 3]) {
-                        continue;
-                    }
+            node.push(toNumber(feature.tilted) ? 1 : 0, threshold, left, right);
 
-                    x3 = rects[j + 0];
-                    y3 = rects[j + 1];
-                    blockSize2 = rects[j + 2];
+            return node;
+        },
 
-                    x4 = x3 + blockSize2;
-                    y4 = y3 + blockSize2;
+        /*
+         * Single node trees become stumps holding their leaf values, deeper
+         * trees keep their nodes after the leaf values, see evalStage_.
+         */
+        convertTree_: function(nodes, leafValues) {
+            var node = nodes[0],
+                nodeLen = node.length;
 
-                    px1 = Math.max(x1, x3);
-                    py1 = Math.max(y1, y3);
+            if (nodes.length === 1) {
+                node[nodeLen-2] = leafValues[-node[nodeLen-2]];
+                node[nodeLen-1] = leafValues[-node[nodeLen-1]];
 
-                    px2 = Math.min(x2, x4);
-                    py2 = Math.min(y2, y4);
+                return node;
+            }
 
-                    pArea = Math.abs(px1 - px2)*Math.abs(py1 - py2);
+            return [leafValues].concat(nodes);
+        },
 
-                    video.canvas.context.strokeStyle = "rgb(0,255,0)";
-                    video.canvas.context.strokeRect(px1, py1, Math.abs(px1 - px2), Math.abs(py1 - py2));
+        /*
+         * Evaluates a stage on the windowWidth*windowHeight window at (j, i),
+         * the features being scaled by scale. Each weak classifier of
+         * the stage is either a stump, a single node whose left and right are
+         * the values added to the stage sum, or a decision tree,
+         * [leafValues, node0, node1, ...], whose node left and right are
+         * child node indexes when positive, or negated leaf indexes.
+         */
+        evalStage_: function(stage, integralImage, integralImageSquare, tiltedIntegralImage, i, j, integralWidth, windowWidth, windowHeight, scale) {
+            var instance = this,
+                stageThreshold = stage[1],
+                trees = stage[2],
+                treesLen = trees.length,
+                tree,
+                node,
+                nodeLen,
+                next,
+                t,
 
-                    if ((pArea/(blockSize1*blockSize1) >= minNeighborArea) &&
-                        (pArea/(blockSize2*blockSize2) >= minNeighborArea)) {
+                inverseArea = 1.0/(windowWidth*windowHeight),
 
-                        rects[i + 3] = group;
-                        rects[j + 3] = group;
-                        importantGroupCounter++;
+                wb1 = i*integralWidth + j,
+                wb2 = i*integralWidth + (j + windowWidth),
+                wb3 = (i + windowHeight)*integralWidth + j,
+                wb4 = (i + windowHeight)*integralWidth + (j + windowWidth),
 
-                        if (importantGroupCounter >= minNeighbors) {
-                            importantGroups[group] = importantGroupCounter;
-                        }
-                    }
-                }
-            }
+                total = integralImage[wb1] - integralImage[wb2] - integralImage[wb3] + integralImage[wb4],
+                totalSquare = integralImageSquare[wb1] - integralImageSquare[wb2] - integralImageSquare[wb3] + integralImageSquare[wb4],
+                mean = total*inverseArea,
+                variance = totalSquare*inverseArea - mean*mean,
 
-            var groups = {}, counter = 0, x1Result = 0, y1Result = 0, x2Result = 0, y2Result = 0;
+                stageSum = 0;
 
-            for (i = 0; i < rectsLen; i+=4) {
-                group = rects[i + 3];
+            if (variance > 1) {
+                variance = Math.sqrt(variance);
+            }
+            else {
+                variance = 1;
+            }
 
-                if (importantGroups[group]) {
-                    for (j = 0; j < rectsLen; j+=4) {
+            for (t = 0; t < treesLen; t++) {
+                tree = trees[t];
 
+                if (typeof tree[0] === 'number') {
+                    nodeLen = tree.length;
+
+                    if (instance.evalNode_(tree, integralImage, tiltedIntegralImage, i, j, integralWidth, scale, inverseArea, variance)) {
+                        stageSum += tree[nodeLen-2];
+                    }
+                    else {
+                        stageSum += tree[nodeLen-1];
                     }
+
+                    continue;
                 }
+
+                next = 0;
+
+                do {
+                    node = tree[next + 1];
+                    nodeLen = node.length;
+
+                    if (instance.evalNode_(node, integralImage, tiltedIntegralImage, i, j, integralWidth, scale, inverseArea, variance)) {
+                        next = node[nodeLen-2];
+                    }
+                    else {
+                        next = node[nodeLen-1];
+                    }
+                } while (next > 0);
+
+                stageSum += tree[0][-next];
             }
 
-            return faces;
+            return (stageSum > stageThreshold);
         },
 
-        track: function(trackerGroup, video) {
+        /*
+         * Returns true when the weighted sum of the node rects, normalized by
+         * the window variance, is under the node threshold, i.e. when the
+         * left branch should be taken. Like OpenCV, the weight of the first
+         * rect is derived from the scaled areas of the others, so that the
+         * feature stays zero on flat areas despite the rounding. Tilted rects
+         * cover twice their width*height pixels, their sums are halved.
+         */
+        evalNode_: function(node, integralImage, tiltedIntegralImage, i, j, integralWidth, scale, inverseArea, variance) {
             var instance = this,
-                config = trackerGroup[0],
-                defaults = instance.defaults,
-                imageData = video.getVideoCanvasImageData(),
-                canvas = video.canvas,
-                height = canvas.get('height'),
-                width = canvas.get('width'),
-                integralImage = new Uint32Array(width*height),
-                integralImageSquare = new Uint32Array(width*height),
+                nodeLen = node.length,
+
+                tilted = node[nodeLen-4],
+                nodeThreshold = node[nodeLen-3],
+
+                rectsSum = 0,
+                rectsLen = (nodeLen - 4)/5,
+                firstMean = 0,
+                rectSum,
+                r,
+                x1, y1, x2, y2, rectWidth, rectHeight, rectWeight, w1, w2, w3, w4;
+
+            for (r = 0; r < rectsLen; r++) {
+                 x1 = j + ~~(node[r*5]*scale);
+                 y1 = i + ~~(node[r*5 + 1]*scale);
+                 rectWidth = ~~(node[r*5 + 2]*scale);
+                 rectHeight = ~~(node[r*5 + 3]*scale);
+                 rectWeight = node[r*5 + 4];
+
+                 if (tilted) {
+                     // Rect rotated 45 degrees, (x1, y1) is its top corner,
+                     // the width goes down right and the height down left.
+                     w1 = y1*integralWidth + x1;
+                     w2 = (y1 + rectHeight)*integralWidth + (x1 - rectHeight);
+                     w3 = (y1 + rectWidth)*integralWidth + (x1 + rectWidth);
+                     w4 = (y1 + rectWidth + rectHeight)*integralWidth + (x1 + rectWidth - rectHeight);
+
+                     rectSum = tiltedIntegralImage[w1] - tiltedIntegralImage[w2] - tiltedIntegralImage[w3] + tiltedIntegralImage[w4];
+                 }
+                 else {
+                     x2 = x1 + rectWidth;
+                     y2 = y1 + rectHeight;
 
-                imageLen = 0,
-                g,
+                     w1 = y1*integralWidth + x1;
+                     w2 = y1*integralWidth + x2;
+                     w3 = y2*integralWidth + x1;
+                     w4 = y2*integralWidth + x2;
 
-                stages = instance.data[config.data || defaults.data],
-                stagesLen = stages.length,
-                s,
-                pixel,
-                pixelSum = 0,
-                pixelSumSquare = 0;
+                     rectSum = integralImage[w1] - integralImage[w2] - integralImage[w3] + integralImage[w4];
+                 }
 
-            canvas.forEach(imageData, function(r, g, b, a, w, i, j) {
-                pixel = ~~(r*0.299 + b*0.587 + g*0.114);
+                 if (r === 0) {
+                     firstMean = rectWidth*rectHeight ? rectSum/(rectWidth*rectHeight) : 0;
+                 }
+                 else {
+                     rectsSum += (rectSum - firstMean*rectWidth*rectHeight)*rectWeight;
+                 }
+            }
 
-                if (i === 0 & j === 0) {
-                    pixelSum = pixel;
-                    pixelSumSquare = pixel*pixel;
-                }
-                else if (i === 0) {
-                    pixelSum = pixel + integralImage[i*width + (j - 1)];
-                    pixelSumSquare = pixel*pixel + integralImageSquare[i*width + (j - 1)];
-                }
-                else if (j === 0) {
-                    pixelSum = pixel + integralImage[(i - 1)*width + j];
-                    pixelSumSquare = pixel*pixel + integralImageSquare[(i - 1)*width + j];
-                }
-                else {
-                    pixelSum = pixel + integralImage[i*width + (j - 1)] + integralImage[(i - 1)*width + j] - integralImage[(i - 1)*width + (j - 1)];
-                    pixelSumSquare = pixel*pixel + integralImageSquare[i*width + (j - 1)] + integralImageSquare[(i - 1)*width + j] - integralImageSquare[(i - 1)*width + (j - 1)];
-                }
+            if (tilted) {
+                rectsSum *= 0.5;
+            }
 
-                integralImage[imageLen] = pixelSum;
-                integralImageSquare[imageLen] = pixelSumSquare;
-                imageLen++;
+            return rectsSum*inverseArea < nodeThreshold*variance;
+        },
+
+        hasTiltedFeatures_: function(stages) {
+            var instance = this;
+
+            return stages.some(function(stage) {
+                return stage[2].some(function(tree) {
+                    var nodes = typeof tree[0] === 'number' ? [tree] : tree.slice(1);
+
+                    return nodes.some(function(node) {
+                        return node[node.length-4] === 1;
+                    });
+                });
             });
+        },
+
+        /*
+         * Scans windows of the cascade aspect ratio, from blockSize wide, or
+         * the cascade width, growing by blockScale.
+         */
+        track: function(imageData, opt_config) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                faces,
+                height = imageData.height,
+                width = imageData.width,
+                image = tracking.image,
+                grayImage = image.grayscale(imageData.data, width, height),
+                integralImage = image.integralImage(grayImage, width, height),
+                integralImageSquare = image.integralImageSquare(grayImage, width, height),
+                tiltedIntegralImage,
+
+                cascade = instance.data[config.data || defaults.data],
+                stages = cascade.stages,
+                stagesLen = stages.length,
+                s;
+
+            if (instance.hasTiltedFeatures_(stages)) {
+                tiltedIntegralImage = image.tiltedIntegralImage(grayImage, width, height);
+            }
 
             var i,
                 j,
-                blockJump = defaults.blockJump,
-                blockScale = defaults.blockScale,
-                blockSize = defaults.blockSize,
-                maxBlockSize = Math.min(width, height),
+                blockJump = config.blockJump || defaults.blockJump,
+                blockScale = config.blockScale || defaults.blockScale,
+                windowWidth = config.blockSize || defaults.blockSize || cascade.width,
+                windowHeight,
+                scale,
                 rectIndex = 0,
                 rects = [];
 
-            for (; blockSize <= maxBlockSize; blockSize = ~~(blockSize*blockScale)) {
-                for (i = 0; i < (height - blockSize); i+=blockJump) {
-                    for (j = 0; j < (width - blockSize); j+=blockJump) {
+            // Grows by at least a pixel, small scales would truncate back to
+            // the same width.
+            for (; ; windowWidth = Math.max(windowWidth + 1, ~~(windowWidth*blockScale))) {
+                scale = windowWidth/cascade.width;
+                windowHeight = ~~(cascade.height*scale);
+
+                if (windowWidth > width || windowHeight > height) {
+                    break;
+                }
+
+                for (i = 0; i <= (height - windowHeight); i+=blockJump) {
+                    for (j = 0; j <= (width - windowWidth); j+=blockJump) {
                         var pass = true;
 
                         for (s = 0; s < stagesLen; s++) {
                             var stage = stages[s];
 
-                            pass = instance.evalStage_(stage, integralImage, integralImageSquare, i, j, width, height, blockSize);
+                            pass = instance.evalStage_(stage, integralImage, integralImageSquare, tiltedIntegralImage, i, j, width + 1, windowWidth, windowHeight, scale);
 
                             if (!pass) {
                                 break;
@@ -266,25 +384,19 @@
                         if (pass) {
                             rects[rectIndex++] = j;
                             rects[rectIndex++] = i;
-                            rects[rectIndex++] = blockSize;
-                            rects[rectIndex++] = 0;
-
-                            console.log('ROSTO');
-                            // canvas.setImageData(imageData);
-                            canvas.context.strokeStyle = "rgb(255,0,0)";
-                            canvas.context.strokeRect(j, i, blockSize, blockSize);
+                            rects[rectIndex++] = windowWidth;
+                            rects[rectIndex++] = windowHeight;
                         }
                     }
                 }
             }
 
-            // console.log(rects);
-
-            var faces = instance.merge_(rects, video);
+            faces = tracking.groupRects(rects,
+                config.minNeighbors || defaults.minNeighbors, config.minNeighborArea || defaults.minNeighborArea);
 
-            // console.log(faces);
+            return faces.length ? faces : null;
         }
 
-    };
+    });
 
-}( window ));
\ No newline at end of file
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
\ No newline at end of file
@@ -0,0 +1,240 @@
+(function (window, undefined) {
+
+    var toArray = tracking.toArray_,
+        toNumber = tracking.toNumber_,
+        toNumbers = tracking.toNumbers_;
+
+    /*
+     * Local Binary Pattern cascade detector, the features only compare
+     * block sums so neither the squared integral image nor the variance
+     * normalization of the Haar evaluator are needed. It is less accurate
+     * than tracking.type.HUMAN but considerably faster.
+     */
+    tracking.registerTracker('lbp', {
+
+        data: {},
+
+        defaults: {
+            // Window step, in cascade pixels, grows with the window scale.
+            blockJump: 2,
+
+            blockScale: 1.2,
+
+            minNeighborArea: 0.5,
+
+            minNeighbors: 3
+        },
+
+        validate: function(config) {
+            var instance = this;
+
+            if (!instance.data[config.data]) {
+                throw Error('LBP data ' + config.data + ' is not loaded.');
+            }
+
+            if (!(config.blockScale > 1)) {
+                throw Error('LBP blockScale should be greater than 1.');
+            }
+        },
+
+        /*
+         * Loads an OpenCV LBP cascade, lbpcascade_*.xml, into
+         * tracking.type.LBP.data[name]. Accepts the XML string, the cascade
+         * already converted to JSON or, in the browser, an URL. XML strings
+         * and JSON are converted synchronously and the cascade is returned,
+         * URLs are requested and opt_callback(err, cascade) is called once
+         * the cascade is loaded or failed to load.
+         */
+        loadCascade: function(name, xmlStringOrUrl, opt_callback) {
+            return tracking.loadCascade_(this, name, xmlStringOrUrl, opt_callback);
+        },
+
+        /*
+         * Converts an OpenCV LBP cascade, as a XML string or as the object of
+         * its JSON conversion, into {width, height, stages}. Each stage is
+         * [threshold, trees], see evalStage_ for the trees.
+         */
+        parseCascade: function(cascade) {
+            var features;
+
+            cascade = tracking.readCascade_(cascade);
+
+            if (!cascade.features) {
+                throw Error('Cascade has no features.');
+            }
+
+            if (cascade.featureType !== 'LBP') {
+                throw Error('Cascade feature type ' + cascade.featureType + ' is not supported.');
+            }
+
+            features = toArray(cascade.features).map(function(feature) {
+                return toNumbers(feature.rect);
+            });
+
+            return {
+                width: toNumber(cascade.width),
+                height: toNumber(cascade.height),
+                stages: toArray(cascade.stages).map(function(stage) {
+                    var trees = toArray(stage.weakClassifiers).map(function(weakClassifier) {
+                        var internalNodes = toNumbers(weakClassifier.internalNodes),
+                            leafValues = toNumbers(weakClassifier.leafValues),
+                            nodes = [],
+                            n;
+
+                        // internalNodes are [left, right, featureIndex,
+                        // subset0, ..., subset7] groups, left and right being
+                        // node indexes when positive or negated leafValues
+                        // indexes.
+                        for (n = 0; n < internalNodes.length; n += 11) {
+                            nodes.push(features[internalNodes[n + 2]].concat(
+                                internalNodes.slice(n + 3, n + 11), internalNodes[n], internalNodes[n + 1]));
+                        }
+
+                        if (nodes.length === 1) {
+                            nodes[0][12] = leafValues[-nodes[0][12]];
+                            nodes[0][13] = leafValues[-nodes[0][13]];
+
+                            return nodes[0];
+                        }
+
+                        return [leafValues].concat(nodes);
+                    });
+
+                    return [toNumber(stage.stageThreshold), trees];
+                })
+            };
+        },
+
+        /*
+         * Evaluates a stage on the window at (x, y). Like in the HUMAN
+         * stages, each weak classifier is either a stump, a single node
+         * holding its two leaf values, or a [leafValues, node0, node1, ...]
+         * tree. Nodes are [x, y, width, height, subset0, ..., subset7, left,
+         * right].
+         */
+        evalStage_: function(stage, integralImage, integralWidth, x, y, scale) {
+            var instance = this,
+                trees = stage[1],
+                treesLen = trees.length,
+                tree,
+                node,
+                next,
+                t,
+                stageSum = 0;
+
+            for (t = 0; t < treesLen; t++) {
+                tree = trees[t];
+
+                if (typeof tree[0] === 'number') {
+                    stageSum += instance.evalNode_(tree, integralImage, integralWidth, x, y, scale) ? tree[12] : tree[13];
+
+                    continue;
+                }
+
+                next = 0;
+
+                do {
+                    node = tree[next + 1];
+                    next = instance.evalNode_(node, integralImage, integralWidth, x, y, scale) ? node[12] : node[13];
+                } while (next > 0);
+
+                stageSum += tree[0][-next];
+            }
+
+            return stageSum >= stage[0];
+        },
+
+        /*
+         * Computes the LBP code of the node feature, a 3x3 grid of blocks
+         * whose sums are compared to the center one, and returns true when
+         * the code belongs to the node subset, i.e. when the left branch
+         * should be taken.
+         */
+        evalNode_: function(node, integralImage, integralWidth, x, y, scale) {
+            var blockWidth = ~~(node[2]*scale),
+                blockHeight = ~~(node[3]*scale),
+                x0 = x + ~~(node[0]*scale),
+                y0 = y + ~~(node[1]*scale),
+                // Integral image offsets of the 4x4 block corners.
+                r0 = y0*integralWidth + x0,
+                r1 = r0 + blockHeight*integralWidth,
+                r2 = r1 + blockHeight*integralWidth,
+                r3 = r2 + blockHeight*integralWidth,
+                c1 = blockWidth,
+                c2 = blockWidth*2,
+                c3 = blockWidth*3,
+                center = integralImage[r1 + c1] - integralImage[r1 + c2] - integralImage[r2 + c1] + integralImage[r2 + c2],
+                code =
+                    ((integralImage[r0] - integralImage[r0 + c1] - integralImage[r1] + integralImage[r1 + c1]) >= center ? 128 : 0) |
+                    ((integralImage[r0 + c1] - integralImage[r0 + c2] - integralImage[r1 + c1] + integralImage[r1 + c2]) >= center ? 64 : 0) |
+                    ((integralImage[r0 + c2] - integralImage[r0 + c3] - integralImage[r1 + c2] + integralImage[r1 + c3]) >= center ? 32 : 0) |
+                    ((integralImage[r1 + c2] - integralImage[r1 + c3] - integralImage[r2 + c2] + integralImage[r2 + c3]) >= center ? 16 : 0) |
+                    ((integralImage[r2 + c2] - integralImage[r2 + c3] - integralImage[r3 + c2] + integralImage[r3 + c3]) >= center ? 8 : 0) |
+                    ((integralImage[r2 + c1] - integralImage[r2 + c2] - integralImage[r3 + c1] + integralImage[r3 + c2]) >= center ? 4 : 0) |
+                    ((integralImage[r2] - integralImage[r2 + c1] - integralImage[r3] + integralImage[r3 + c1]) >= center ? 2 : 0) |
+                    ((integralImage[r1] - integralImage[r1 + c1] - integralImage[r2] + integralImage[r2 + c1]) >= center ? 1 : 0);
+
+            return (node[4 + (code >> 5)] & (1 << (code & 31))) !== 0;
+        },
+
+        track: function(imageData, opt_config) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                cascade = instance.data[config.data],
+                stages = cascade.stages,
+                stagesLen = stages.length,
+                width = imageData.width,
+                height = imageData.height,
+                integralImage = tracking.image.integralImage(
+                    tracking.image.grayscale(imageData.data, width, height), width, height),
+                blockJump = config.blockJump || defaults.blockJump,
+                blockScale = config.blockScale || defaults.blockScale,
+                scale,
+                step,
+                windowWidth,
+                windowHeight,
+                x,
+                y,
+                s,
+                rectIndex = 0,
+                rects = [],
+                found;
+
+            for (scale = 1; ; scale *= blockScale) {
+                windowWidth = ~~(cascade.width*scale);
+                windowHeight = ~~(cascade.height*scale);
+
+                if (windowWidth > width || windowHeight > height) {
+                    break;
+                }
+
+                step = Math.max(1, Math.round(blockJump*scale));
+
+                for (y = 0; y <= height - windowHeight; y += step) {
+                    for (x = 0; x <= width - windowWidth; x += step) {
+                        for (s = 0; s < stagesLen; s++) {
+                            if (!instance.evalStage_(stages[s], integralImage, width + 1, x, y, scale)) {
+                                break;
+                            }
+                        }
+
+                        if (s === stagesLen) {
+                            rects[rectIndex++] = x;
+                            rects[rectIndex++] = y;
+                            rects[rectIndex++] = windowWidth;
+                            rects[rectIndex++] = windowHeight;
+                        }
+                    }
+                }
+            }
+
+            found = tracking.groupRects(rects,
+                config.minNeighbors || defaults.minNeighbors, config.minNeighborArea || defaults.minNeighborArea);
+
+            return found.length ? found : null;
+        }
+
+    });
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
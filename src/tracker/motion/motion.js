@@ -0,0 +1,117 @@
+(function (window, undefined) {
+
+    /*
+     * Frame differencing motion detector. Each frame is compared to a
+     * background, the previous frame by default or a running average of the
+     * previous frames with a lower adaptationRate. Pixels whose gray level
+     * changed by more than threshold are moving, connected moving pixels
+     * are reported as regions, biggest first.
+     *
+     * The background covers the whole frame, the searchWindow option is not
+     * supported.
+     */
+    tracking.registerTracker('motion', {
+
+        defaults: {
+            // Weight of the current frame in the background, 1 compares
+            // consecutive frames.
+            adaptationRate: 1,
+
+            // Radius of the dilation joining the moving pixels of a region.
+            dilate: 1,
+
+            minFoundPixels: 30,
+
+            threshold: 30
+        },
+
+        validate: function(config) {
+            if (!(config.adaptationRate > 0 && config.adaptationRate <= 1)) {
+                throw Error('Motion adaptationRate should be within (0, 1].');
+            }
+
+            if (config.searchWindow) {
+                throw Error('Motion trackers do not support searchWindow.');
+            }
+        },
+
+        destroy: function(config, state) {
+            state.background = null;
+        },
+
+        mapPayload: function(payload, transform) {
+            return payload.map(transform.mapBlob, transform);
+        },
+
+        /*
+         * Returns the moving regions, blobs as in tracking.image.findBlobs
+         * with their motion energy, the sum of the gray level changes of
+         * their moving pixels over 255. The dilation only joins the moving
+         * pixels, the regions are measured on them alone. Returns null on
+         * the first frame.
+         */
+        track: function(imageData, opt_config, opt_state) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                state = opt_state || {},
+                image = tracking.image,
+                width = imageData.width,
+                height = imageData.height,
+                len = width*height,
+                threshold = config.threshold || defaults.threshold,
+                adaptationRate = config.adaptationRate || defaults.adaptationRate,
+                dilate = config.dilate === undefined ? defaults.dilate : config.dilate,
+                background = state.background,
+                gray,
+                mask,
+                joined,
+                labels,
+                regions,
+                difference,
+                i;
+
+            if (!background || state.width !== width || state.height !== height) {
+                state.width = width;
+                state.height = height;
+                state.background = new Float32Array(image.grayscale(imageData.data, width, height));
+                state.gray = new Uint8ClampedArray(len);
+                state.difference = new Float32Array(len);
+                state.mask = new Uint8Array(len);
+                state.labels = new Int32Array(len);
+
+                return null;
+            }
+
+            gray = image.grayscale(imageData.data, width, height, state.gray);
+            difference = state.difference;
+            mask = state.mask;
+            labels = state.labels;
+
+            for (i = 0; i < len; i++) {
+                difference[i] = Math.abs(gray[i] - background[i]);
+                mask[i] = difference[i] > threshold ? 1 : 0;
+                background[i] += (gray[i] - background[i])*adaptationRate;
+            }
+
+            joined = dilate ? image.dilate(mask, width, height, dilate) : mask;
+
+            regions = image.findBlobs(joined, width, height,
+                config.minFoundPixels || defaults.minFoundPixels, labels, mask);
+
+            regions.forEach(function(region) {
+                region.energy = 0;
+            });
+
+            for (i = 0; i < len; i++) {
+                if (labels[i] > -1 && mask[i]) {
+                    regions[labels[i]].energy += difference[i]/255;
+                }
+            }
+
+            return regions.length ? regions : null;
+        }
+
+    });
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
@@ -0,0 +1,349 @@
+(function (window, undefined) {
+
+    /*
+     * Pyramidal Lucas-Kanade optical flow, follows points from frame to
+     * frame without detecting them again. Points are seeded from the
+     * points config, [{x, y}, ...] in frame coordinates, or picked on
+     * Harris corners when it is missing, and picked again once all of them
+     * are lost. Setting new points through tracker.set({points: [...]})
+     * seeds them on the next frame.
+     */
+    tracking.registerTracker('opticalflow', {
+
+        defaults: {
+            iterations: 10,
+
+            // Pyramid levels, each one half the size of the previous.
+            levels: 3,
+
+            // Highest mean per pixel tracking error, in gray levels, before
+            // a point is lost.
+            maxError: 30,
+
+            // Automatic points, most and distance between them.
+            maxPoints: 50,
+            minDistance: 10,
+
+            // Lowest minimum eigenvalue of the window gradient matrix, over
+            // its size, before a point is lost for lack of texture.
+            minEigenvalue: 1,
+
+            // Automatic points, lowest corner strength relative to the
+            // strongest one.
+            quality: 0.05,
+
+            windowSize: 15
+        },
+
+        validate: function(config) {
+            if (config.points && !Array.isArray(config.points)) {
+                throw Error('Optical flow points should be an array.');
+            }
+        },
+
+        destroy: function(config, state) {
+            state.pyramid = null;
+            state.points = null;
+        },
+
+        mapPayload: function(payload, transform) {
+            payload.forEach(function(point) {
+                transform.mapPoint(point);
+                point.vx *= transform.ax;
+                point.vy *= transform.ay;
+            });
+
+            return payload;
+        },
+
+        /*
+         * Builds the gray pyramid of an image, each level {data, width,
+         * height} being the 2x2 mean of the previous one.
+         */
+        buildPyramid_: function(imageData, levels, windowSize) {
+            var width = imageData.width,
+                height = imageData.height,
+                pyramid = [{
+                    data: new Float32Array(tracking.image.grayscale(imageData.data, width, height)),
+                    width: width,
+                    height: height
+                }],
+                previous,
+                data,
+                x,
+                y,
+                i;
+
+            while (pyramid.length < levels && (width >> 1) >= windowSize && (height >> 1) >= windowSize) {
+                previous = pyramid[pyramid.length - 1].data;
+                data = new Float32Array((width >> 1)*(height >> 1));
+
+                for (y = 0; y < height >> 1; y++) {
+                    for (x = 0; x < width >> 1; x++) {
+                        i = y*2*width + x*2;
+                        data[y*(width >> 1) + x] = (previous[i] + previous[i + 1] + previous[i + width] + previous[i + width + 1])/4;
+                    }
+                }
+
+                width >>= 1;
+                height >>= 1;
+
+                pyramid.push({
+                    data: data,
+                    width: width,
+                    height: height
+                });
+            }
+
+            return pyramid;
+        },
+
+        /*
+         * Picks up to maxPoints Harris corners, strongest first and at
+         * least minDistance apart.
+         */
+        pickPoints_: function(level, config) {
+            var defaults = this.defaults;
+
+            return tracking.features.harris(level.data, level.width, level.height,
+                config.quality || defaults.quality,
+                config.maxPoints || defaults.maxPoints,
+                config.minDistance || defaults.minDistance).map(function(corner) {
+                    return {
+                        x: corner.x,
+                        y: corner.y,
+                        lost: false
+                    };
+                });
+        },
+
+        /*
+         * Bilinear sample of a pyramid level, clamped to its borders.
+         */
+        sample_: function(level, x, y) {
+            var width = level.width,
+                data = level.data,
+                x0,
+                y0,
+                x1,
+                y1,
+                fx,
+                fy;
+
+            x = Math.min(Math.max(x, 0), width - 1);
+            y = Math.min(Math.max(y, 0), level.height - 1);
+            x0 = Math.floor(x);
+            y0 = Math.floor(y);
+            x1 = Math.min(x0 + 1, width - 1);
+            y1 = Math.min(y0 + 1, level.height - 1);
+            fx = x - x0;
+            fy = y - y0;
+
+            return (data[y0*width + x0]*(1 - fx) + data[y0*width + x1]*fx)*(1 - fy) +
+                (data[y1*width + x0]*(1 - fx) + data[y1*width + x1]*fx)*fy;
+        },
+
+        /*
+         * Follows a point from the previous pyramid to the next one, coarse
+         * to fine, returns its new position or null when it is lost.
+         */
+        trackPoint_: function(point, previous, next, config) {
+            var instance = this,
+                defaults = instance.defaults,
+                radius = (config.windowSize || defaults.windowSize) >> 1,
+                iterations = config.iterations || defaults.iterations,
+                maxError = config.maxError || defaults.maxError,
+                minEigenvalue = config.minEigenvalue || defaults.minEigenvalue,
+                size = (radius*2 + 1)*(radius*2 + 1),
+                values = new Float32Array(size),
+                gradientsX = new Float32Array(size),
+                gradientsY = new Float32Array(size),
+                gx = 0,
+                gy = 0,
+                vx,
+                vy,
+                ex,
+                ey,
+                bx,
+                by,
+                xx,
+                yy,
+                xy,
+                det,
+                difference,
+                error,
+                scale,
+                cx,
+                cy,
+                dx,
+                dy,
+                i,
+                k,
+                level;
+
+            for (level = previous.length - 1; level >= 0; level--) {
+                scale = 1 << level;
+                // Pixel centers of the level, which halve the frame ones.
+                cx = (point.x + 0.5)/scale - 0.5;
+                cy = (point.y + 0.5)/scale - 0.5;
+                xx = yy = xy = 0;
+                i = 0;
+
+                for (dy = -radius; dy <= radius; dy++) {
+                    for (dx = -radius; dx <= radius; dx++) {
+                        values[i] = instance.sample_(previous[level], cx + dx, cy + dy);
+                        gradientsX[i] = (instance.sample_(previous[level], cx + dx + 1, cy + dy) -
+                            instance.sample_(previous[level], cx + dx - 1, cy + dy))/2;
+                        gradientsY[i] = (instance.sample_(previous[level], cx + dx, cy + dy + 1) -
+                            instance.sample_(previous[level], cx + dx, cy + dy - 1))/2;
+                        xx += gradientsX[i]*gradientsX[i];
+                        yy += gradientsY[i]*gradientsY[i];
+                        xy += gradientsX[i]*gradientsY[i];
+                        i++;
+                    }
+                }
+
+                det = xx*yy - xy*xy;
+
+                if ((xx + yy - Math.sqrt((xx - yy)*(xx - yy) + 4*xy*xy))/2/size < minEigenvalue || !det) {
+                    return null;
+                }
+
+                vx = vy = 0;
+
+                for (k = 0; k < iterations; k++) {
+                    bx = by = 0;
+                    i = 0;
+
+                    for (dy = -radius; dy <= radius; dy++) {
+                        for (dx = -radius; dx <= radius; dx++) {
+                            difference = values[i] - instance.sample_(next[level], cx + gx + vx + dx, cy + gy + vy + dy);
+                            bx += difference*gradientsX[i];
+                            by += difference*gradientsY[i];
+                            i++;
+                        }
+                    }
+
+                    ex = (yy*bx - xy*by)/det;
+                    ey = (xx*by - xy*bx)/det;
+                    vx += ex;
+                    vy += ey;
+
+                    if (ex*ex + ey*ey < 0.0001) {
+                        break;
+                    }
+                }
+
+                if (level) {
+                    gx = (gx + vx)*2;
+                    gy = (gy + vy)*2;
+                }
+            }
+
+            cx = point.x + gx + vx;
+            cy = point.y + gy + vy;
+
+            if (cx < 0 || cy < 0 || cx > next[0].width - 1 || cy > next[0].height - 1) {
+                return null;
+            }
+
+            error = 0;
+            i = 0;
+
+            for (dy = -radius; dy <= radius; dy++) {
+                for (dx = -radius; dx <= radius; dx++) {
+                    error += Math.abs(values[i++] - instance.sample_(next[0], cx + dx, cy + dy));
+                }
+            }
+
+            if (error/size > maxError) {
+                return null;
+            }
+
+            return {
+                x: cx,
+                y: cy,
+                lost: false
+            };
+        },
+
+        /*
+         * Returns the tracked points, [{x, y, vx, vy, lost}, ...] in the
+         * seeding order, vx and vy being their velocity in pixels per frame.
+         * Lost points keep their last position and are no longer followed.
+         * Returns null once all of them are lost.
+         */
+        track: function(imageData, opt_config, opt_state, opt_transform) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                state = opt_state || {},
+                transform = opt_transform || new tracking.Transform(),
+                pyramid = instance.buildPyramid_(imageData,
+                    config.levels || defaults.levels, config.windowSize || defaults.windowSize),
+                previous = state.pyramid,
+                points = state.points,
+                moved,
+                payload;
+
+            if (config.points && config.points !== state.seeds) {
+                points = config.points.map(function(point) {
+                    return transform.unmapPoint({
+                        x: point.x,
+                        y: point.y,
+                        lost: false
+                    });
+                });
+                previous = null;
+            }
+            else if (previous && (state.width !== imageData.width || state.height !== imageData.height ||
+                state.transform.ax !== transform.ax || state.transform.bx !== transform.bx ||
+                state.transform.ay !== transform.ay || state.transform.by !== transform.by)) {
+                // The frame changed, e.g. a new search window, the points are
+                // carried over to it but not followed.
+                points.forEach(function(point) {
+                    transform.unmapPoint(state.transform.mapPoint(point));
+                });
+                previous = null;
+            }
+
+            if (!config.points && !(points || []).some(function(point) { return !point.lost; })) {
+                points = instance.pickPoints_(pyramid[0], config);
+                previous = null;
+            }
+
+            payload = points.map(function(point) {
+                moved = previous && !point.lost ? instance.trackPoint_(point, previous, pyramid, config) : null;
+
+                if (previous && !point.lost && !moved) {
+                    point.lost = true;
+                }
+
+                return {
+                    x: moved ? moved.x : point.x,
+                    y: moved ? moved.y : point.y,
+                    vx: moved ? moved.x - point.x : 0,
+                    vy: moved ? moved.y - point.y : 0,
+                    lost: point.lost
+                };
+            });
+
+            state.points = payload.map(function(point) {
+                return {
+                    x: point.x,
+                    y: point.y,
+                    lost: point.lost
+                };
+            });
+            state.seeds = config.points;
+            state.pyramid = pyramid;
+            state.width = imageData.width;
+            state.height = imageData.height;
+            state.transform = new tracking.Transform().append(transform.ax, transform.bx, transform.ay, transform.by);
+
+            return payload.some(function(point) { return !point.lost; }) ? payload : null;
+        }
+
+    });
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
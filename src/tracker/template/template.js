@@ -0,0 +1,355 @@
+(function (window, undefined) {
+
+    /*
+     * Planar image recognition, finds a known template image, a poster or
+     * a product box, in the frames. FAST keypoints of the frame are
+     * described by tracking.features.brief and matched to the ones of the
+     * template, learned at several scales, then a homography is fitted to
+     * the matches with RANSAC. The template is an ImageData, an image or a
+     * canvas, it should be at least as big as it appears in the frames.
+     */
+    tracking.registerTracker('template', {
+
+        defaults: {
+            // RANSAC iterations.
+            iterations: 300,
+
+            // Frame keypoints, most kept.
+            maxCorners: 500,
+
+            // Highest Hamming distance, in bits, of a match.
+            maxDistance: 64,
+
+            // Lowest number of matches agreeing on the homography.
+            minMatches: 12,
+
+            // Highest distance, in pixels, between a matched keypoint and its
+            // template one mapped by the homography.
+            reprojectionError: 3,
+
+            // Template scales learned, each scaleFactor times the previous.
+            scaleFactor: 0.75,
+            scales: 4,
+
+            // FAST threshold, of both the template and the frames.
+            threshold: 20
+        },
+
+        validate: function(config) {
+            if (!config.template) {
+                throw Error('Template image should be specified.');
+            }
+        },
+
+        destroy: function(config, state) {
+            state.model = null;
+            state.source = null;
+        },
+
+        getBounds: function(payload) {
+            return tracking.getBounds_(payload.corners);
+        },
+
+        mapPayload: function(payload, transform) {
+            var h = payload.homography;
+
+            payload.corners.forEach(function(corner) {
+                corner.x = transform.ax*corner.x + transform.bx;
+                corner.y = transform.ay*corner.y + transform.by;
+            });
+
+            payload.homography = [
+                transform.ax*h[0] + transform.bx*h[6], transform.ax*h[1] + transform.bx*h[7], transform.ax*h[2] + transform.bx*h[8],
+                transform.ay*h[3] + transform.by*h[6], transform.ay*h[4] + transform.by*h[7], transform.ay*h[5] + transform.by*h[8],
+                h[6], h[7], h[8]
+            ];
+
+            return payload;
+        },
+
+        /*
+         * Finds the keypoints of a grayscale image and their descriptors.
+         * Keypoints are pixel centers, (x + 0.5, y + 0.5), the coordinates
+         * of the template and frame corners being pixel edges.
+         */
+        describe_: function(gray, width, height, config) {
+            var defaults = this.defaults,
+                features = tracking.features,
+                keypoints = features.fast(gray, width, height,
+                    config.threshold || defaults.threshold, config.maxCorners || defaults.maxCorners);
+
+            return {
+                descriptors: features.brief(gray, width, height, keypoints),
+                keypoints: keypoints.map(function(keypoint) {
+                    return {
+                        x: keypoint.x + 0.5,
+                        y: keypoint.y + 0.5
+                    };
+                })
+            };
+        },
+
+        /*
+         * Learns the keypoints and descriptors of the template at each
+         * scale, keypoints being kept in template coordinates.
+         */
+        learn_: function(source, config) {
+            var instance = this,
+                defaults = instance.defaults,
+                imageData = tracking.toImageData_(source),
+                width = imageData.width,
+                height = imageData.height,
+                gray = tracking.image.grayscale(imageData.data, width, height),
+                scaleFactor = config.scaleFactor || defaults.scaleFactor,
+                scales = config.scales || defaults.scales,
+                keypoints = [],
+                descriptors = [],
+                described,
+                scaled,
+                scaledWidth,
+                scaledHeight,
+                scale,
+                s,
+                i;
+
+            for (s = 0; s < scales; s++) {
+                scale = Math.pow(scaleFactor, s);
+                scaledWidth = Math.round(width*scale);
+                scaledHeight = Math.round(height*scale);
+
+                if (scaledWidth < 32 || scaledHeight < 32) {
+                    break;
+                }
+
+                scaled = gray;
+
+                if (s) {
+                    // Blurs away the details lost by the nearest neighbor
+                    // sampling.
+                    scaled = tracking.image.gaussianBlur(gray, width, height, 0.5/scale);
+                    scaled = instance.resize_(scaled, width, height, scaledWidth, scaledHeight);
+                }
+
+                described = instance.describe_(scaled, scaledWidth, scaledHeight, config);
+
+                for (i = 0; i < described.keypoints.length; i++) {
+                    keypoints.push({
+                        x: described.keypoints[i].x/scale,
+                        y: described.keypoints[i].y/scale
+                    });
+                }
+
+                for (i = 0; i < described.descriptors.length; i++) {
+                    descriptors.push(described.descriptors[i]);
+                }
+            }
+
+            return {
+                descriptors: new Uint32Array(descriptors),
+                height: height,
+                keypoints: keypoints,
+                width: width
+            };
+        },
+
+        /*
+         * Maps a point through a homography, returns null behind the
+         * camera.
+         */
+        project_: function(h, x, y) {
+            var w = h[6]*x + h[7]*y + h[8];
+
+            if (w <= 0) {
+                return null;
+            }
+
+            return {
+                x: (h[0]*x + h[1]*y + h[2])/w,
+                y: (h[3]*x + h[4]*y + h[5])/w
+            };
+        },
+
+        /*
+         * Fits a homography to the matches with RANSAC, returns {homography,
+         * inliers} or null. The random samples are seeded, the same frame
+         * always gives the same result.
+         */
+        ransac_: function(src, dst, config) {
+            var instance = this,
+                defaults = instance.defaults,
+                iterations = config.iterations || defaults.iterations,
+                maxError = config.reprojectionError || defaults.reprojectionError,
+                n = src.length/2,
+                seed = 1,
+                random = function() {
+                    seed = (seed*16807) % 2147483647;
+
+                    return seed % n;
+                },
+                inliersOf = function(homography) {
+                    var inliers = [],
+                        point,
+                        i;
+
+                    for (i = 0; i < n; i++) {
+                        point = instance.project_(homography, src[i*2], src[i*2 + 1]);
+
+                        if (point && Math.abs(point.x - dst[i*2]) <= maxError && Math.abs(point.y - dst[i*2 + 1]) <= maxError) {
+                            inliers.push(i);
+                        }
+                    }
+
+                    return inliers;
+                },
+                pick = function(indexes, points) {
+                    var picked = [];
+
+                    indexes.forEach(function(index) {
+                        picked.push(points[index*2], points[index*2 + 1]);
+                    });
+
+                    return picked;
+                },
+                best = [],
+                sample,
+                homography,
+                inliers,
+                i;
+
+            for (i = 0; i < iterations && best.length < n*0.9; i++) {
+                sample = [random(), random(), random(), random()];
+
+                if (sample[0] === sample[1] || sample[0] === sample[2] || sample[0] === sample[3] ||
+                    sample[1] === sample[2] || sample[1] === sample[3] || sample[2] === sample[3]) {
+                    continue;
+                }
+
+                homography = tracking.math.homography(pick(sample, src), pick(sample, dst));
+
+                if (homography) {
+                    inliers = inliersOf(homography);
+
+                    if (inliers.length > best.length) {
+                        best = inliers;
+                    }
+                }
+            }
+
+            if (best.length < 4) {
+                return null;
+            }
+
+            // Refits on all the inliers.
+            homography = tracking.math.homography(pick(best, src), pick(best, dst));
+
+            if (!homography) {
+                return null;
+            }
+
+            return {
+                homography: homography,
+                inliers: inliersOf(homography)
+            };
+        },
+
+        /*
+         * Nearest neighbor resize of a grayscale image.
+         */
+        resize_: function(gray, width, height, newWidth, newHeight) {
+            var output = new Uint8ClampedArray(newWidth*newHeight),
+                x,
+                y;
+
+            for (y = 0; y < newHeight; y++) {
+                for (x = 0; x < newWidth; x++) {
+                    output[y*newWidth + x] = gray[Math.min(height - 1, ~~((y + 0.5)*height/newHeight))*width +
+                        Math.min(width - 1, ~~((x + 0.5)*width/newWidth))];
+                }
+            }
+
+            return output;
+        },
+
+        /*
+         * Returns {corners, homography, matches}, the template corners in
+         * the frame, clockwise from its top left one, the homography mapping
+         * template coordinates to frame ones, as 9 row major numbers, and the
+         * number of keypoint matches agreeing with it. Returns null when the
+         * template is not found.
+         */
+        track: function(imageData, opt_config, opt_state) {
+            var instance = this,
+                defaults = instance.defaults,
+                config = opt_config || defaults,
+                state = opt_state || {},
+                width = imageData.width,
+                height = imageData.height,
+                frame,
+                model,
+                matches,
+                found,
+                corners,
+                cross,
+                sign,
+                src = [],
+                dst = [],
+                i;
+
+            if (state.source !== config.template) {
+                state.source = config.template;
+                state.model = instance.learn_(config.template, config);
+            }
+
+            model = state.model;
+            frame = instance.describe_(tracking.image.grayscale(imageData.data, width, height), width, height, config);
+            matches = tracking.features.match(model.descriptors, frame.descriptors, config.maxDistance || defaults.maxDistance);
+
+            if (matches.length < (config.minMatches || defaults.minMatches)) {
+                return null;
+            }
+
+            matches.forEach(function(match) {
+                src.push(model.keypoints[match.index1].x, model.keypoints[match.index1].y);
+                dst.push(frame.keypoints[match.index2].x, frame.keypoints[match.index2].y);
+            });
+
+            found = instance.ransac_(src, dst, config);
+
+            if (!found || found.inliers.length < (config.minMatches || defaults.minMatches)) {
+                return null;
+            }
+
+            corners = [
+                instance.project_(found.homography, 0, 0),
+                instance.project_(found.homography, model.width, 0),
+                instance.project_(found.homography, model.width, model.height),
+                instance.project_(found.homography, 0, model.height)
+            ];
+
+            // Drops twisted or folded quadrilaterals, their edges should all
+            // turn the same way.
+            for (i = 0; i < 4; i++) {
+                if (!corners[i] || !corners[(i + 1) % 4] || !corners[(i + 2) % 4]) {
+                    return null;
+                }
+
+                cross = (corners[(i + 1) % 4].x - corners[i].x)*(corners[(i + 2) % 4].y - corners[(i + 1) % 4].y) -
+                    (corners[(i + 1) % 4].y - corners[i].y)*(corners[(i + 2) % 4].x - corners[(i + 1) % 4].x);
+
+                if (!cross || (sign && (cross > 0) !== sign > 0)) {
+                    return null;
+                }
+
+                sign = cross;
+            }
+
+            return {
+                corners: corners,
+                homography: found.homography,
+                matches: found.inliers.length
+            };
+        }
+
+    });
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
@@ -56,142 +56,2329 @@ var tracking = {
         };
     },
 
+    find_: function(parents, i) {
+        var root = i,
+            next;
+
+        while (parents[root] !== root) {
+            root = parents[root];
+        }
+
+        // Path compression, points every visited rect to the root.
+        while (parents[i] !== root) {
+            next = parents[i];
+            parents[i] = root;
+            i = next;
+        }
+
+        return root;
+    },
+
+    /*
+     * Iterates over the pixels of an ImageData-like object, i.e. any object
+     * with width, height and a RGBA data array. Does not require the DOM,
+     * detectors built on top of it can run in Node or inside a Web Worker.
+     */
+    forEachPixel: function(imageData, fn, opt_jump, opt_context) {
+        var width = imageData.width,
+            height = imageData.height,
+            data = imageData.data,
+            jump = opt_jump || 1,
+            i = 0,
+            j = 0,
+            w;
+
+        for (i = 0; i < height; i+=jump) {
+            for (j = 0; j < width; j+=jump) {
+                w = i*width*4 + j*4;
+                fn.call(opt_context || imageData, data[w], data[w+1], data[w+2], data[w+3], w, i, j, imageData);
+            }
+        }
+
+        return imageData;
+    },
+
     forEach: function(o, fn, opt_context) {
         var instance = this, key;
 
-        if (Array.isArray(o)) {
-            o.forEach(function() {
-                fn.apply(opt_context || this, arguments);
-            });
+        if (Array.isArray(o)) {
+            o.forEach(function() {
+                fn.apply(opt_context || this, arguments);
+            });
+        }
+        else {
+            for (key in o) {
+                if (hasOwn_.call(o, key)) {
+                    fn.call(opt_context || o, o[key], key, o);
+                }
+            }
+        }
+
+        return o;
+    },
+
+    /*
+     * Bounding rect of the rects and points found in a payload, a single
+     * one or an array, or null when it has none. Found items with a rect
+     * are bounded by it.
+     */
+    getBounds_: function(payload) {
+        var minX = Infinity,
+            minY = Infinity,
+            maxX = -Infinity,
+            maxY = -Infinity;
+
+        (Array.isArray(payload) ? payload : [payload]).forEach(function(found) {
+            var rect = found && (found.rect || found);
+
+            if (!rect || typeof rect.x !== 'number' || typeof rect.y !== 'number') {
+                return;
+            }
+
+            minX = Math.min(minX, rect.x);
+            minY = Math.min(minY, rect.y);
+            maxX = Math.max(maxX, rect.x + (rect.width || 1));
+            maxY = Math.max(maxY, rect.y + (rect.height || 1));
+        });
+
+        if (minX === Infinity) {
+            return null;
+        }
+
+        return {
+            x: minX,
+            y: minY,
+            width: maxX - minX,
+            height: maxY - minY
+        };
+    },
+
+    getType: function(name) {
+        var type = name && tracking.type[String(name).toUpperCase()];
+
+        if (!type) {
+            throw Error('A tracker type should be specified.');
+        }
+
+        return type;
+    },
+
+    /*
+     * Groups overlapping detections, rects being a flat [x, y, width,
+     * height, ...] array. Two rects are neighbors when their intersection
+     * covers at least minNeighborArea of both, groups with at least
+     * minNeighbors rects are averaged into a {x, y, width, height, neighbors}
+     * result.
+     */
+    groupRects: function(rects, minNeighbors, minNeighborArea) {
+        var instance = this,
+            rectsLen = rects.length/4,
+            parents = new Int32Array(rectsLen),
+            groups = {},
+            results = [],
+            group,
+            area1,
+            area2,
+            pArea,
+            i,
+            j,
+            a,
+            b;
+
+        // Each rect starts in its own group, parents[i] holds the index of
+        // an ancestor in the group, the group root being its own parent.
+        for (i = 0; i < rectsLen; i++) {
+            parents[i] = i;
+        }
+
+        for (i = 0; i < rectsLen; i++) {
+            a = i*4;
+            area1 = rects[a + 2]*rects[a + 3];
+
+            for (j = i + 1; j < rectsLen; j++) {
+                b = j*4;
+                area2 = rects[b + 2]*rects[b + 3];
+
+                pArea = Math.max(0, Math.min(rects[a] + rects[a + 2], rects[b] + rects[b + 2]) - Math.max(rects[a], rects[b]))*
+                    Math.max(0, Math.min(rects[a + 1] + rects[a + 3], rects[b + 1] + rects[b + 3]) - Math.max(rects[a + 1], rects[b + 1]));
+
+                if (pArea && (pArea/area1 >= minNeighborArea) && (pArea/area2 >= minNeighborArea)) {
+                    instance.union_(parents, i, j);
+                }
+            }
+        }
+
+        for (i = 0; i < rectsLen; i++) {
+            group = instance.find_(parents, i);
+
+            if (!groups[group]) {
+                groups[group] = {
+                    neighbors: 0,
+                    x: 0,
+                    y: 0,
+                    width: 0,
+                    height: 0
+                };
+            }
+
+            groups[group].neighbors++;
+            groups[group].x += rects[i*4];
+            groups[group].y += rects[i*4 + 1];
+            groups[group].width += rects[i*4 + 2];
+            groups[group].height += rects[i*4 + 3];
+        }
+
+        instance.forEach(groups, function(group) {
+            var neighbors = group.neighbors;
+
+            if (neighbors >= minNeighbors) {
+                results.push({
+                    x: ~~(group.x/neighbors),
+                    y: ~~(group.y/neighbors),
+                    width: ~~(group.width/neighbors),
+                    height: ~~(group.height/neighbors),
+                    neighbors: neighbors
+                });
+            }
+        });
+
+        return results;
+    },
+
+    isNode: function(o) {
+        return o.nodeType || this.isWindow(o);
+    },
+
+    isString: function(o) {
+        return typeof o === 'string';
+    },
+
+    isWindow: function(o) {
+        return !!(o && o.alert && o.document);
+    },
+
+    /*
+     * Loads an OpenCV cascade into type.data[name] for the cascade tracker
+     * types, converted by type.parseCascade. XML strings and JSON are
+     * converted synchronously and the cascade is returned, URLs are
+     * requested and opt_callback(err, cascade) is called once the cascade
+     * is loaded or failed to load.
+     */
+    loadCascade_: function(type, name, xmlStringOrUrl, opt_callback) {
+        var instance = this,
+            callback = opt_callback || function() {},
+            request;
+
+        if (!instance.isString(xmlStringOrUrl) || xmlStringOrUrl.trim().charAt(0) === '<') {
+            type.data[name] = type.parseCascade(xmlStringOrUrl);
+
+            callback.call(type, null, type.data[name]);
+
+            return type.data[name];
+        }
+
+        request = new XMLHttpRequest();
+
+        request.onload = function() {
+            var cascade;
+
+            if (request.status < 200 || request.status > 299) {
+                callback.call(type, Error('Cascade ' + xmlStringOrUrl + ' failed to load, status ' + request.status + '.'));
+
+                return;
+            }
+
+            try {
+                cascade = type.parseCascade(request.responseText);
+            }
+            catch (err) {
+                callback.call(type, err);
+
+                return;
+            }
+
+            type.data[name] = cascade;
+
+            callback.call(type, null, cascade);
+        };
+
+        request.onerror = function() {
+            callback.call(type, Error('Cascade ' + xmlStringOrUrl + ' failed to load.'));
+        };
+
+        request.open('GET', xmlStringOrUrl, true);
+        request.send();
+    },
+
+    merge: function(target, o) {
+        var instance = this, key;
+
+        for (key in o) {
+            if (hasOwn_.call(o, key)) {
+                target[key] = o[key];
+            }
+        }
+
+        return target;
+    },
+
+    one: function(selector, opt_element) {
+        var instance = this;
+
+        if (instance.isNode(selector)) {
+            return selector;
+        }
+
+        return (opt_element || document).querySelector(selector);
+    },
+
+    /*
+     * Minimal XML parser for OpenCV storage files, it doesn't depend on
+     * DOMParser so cascades can be read in Node as well. Elements made only
+     * of <_> items become arrays, elements without children become their
+     * text, other elements become objects by tag name. Attributes are
+     * ignored.
+     */
+    parseXml: function(xml) {
+        var instance = this,
+            root = {
+                children: []
+            },
+            stack = [root],
+            tag = /<(\/?)([\w:.\-]+)[^>]*?(\/?)>|([^<]+)/g,
+            match,
+            element,
+            parent;
+
+        xml = xml.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '');
+
+        while ((match = tag.exec(xml))) {
+            parent = stack[stack.length - 1];
+
+            if (match[4] !== undefined) {
+                parent.text = (parent.text || '') + match[4];
+            }
+            else if (match[1]) {
+                if (stack.length === 1 || parent.name !== match[2]) {
+                    throw Error('Malformed XML, unexpected </' + match[2] + '>.');
+                }
+
+                stack.pop();
+            }
+            else {
+                element = {
+                    children: [],
+                    name: match[2]
+                };
+
+                parent.children.push(element);
+
+                if (!match[3]) {
+                    stack.push(element);
+                }
+            }
+        }
+
+        if (stack.length > 1) {
+            throw Error('Malformed XML, <' + stack.pop().name + '> is not closed.');
+        }
+
+        return instance.xmlToObject_(root);
+    },
+
+    /*
+     * Reads an OpenCV cascade, as a XML string or as the object of its JSON
+     * conversion, and returns its <cascade> or <haarcascade_name> element,
+     * unwrapped from <opencv_storage>. Throws when it has no stages.
+     */
+    readCascade_: function(cascade) {
+        var instance = this;
+
+        if (instance.isString(cascade)) {
+            cascade = instance.parseXml(cascade);
+        }
+
+        if (cascade.opencv_storage) {
+            cascade = cascade.opencv_storage;
+        }
+
+        if (!cascade.stages) {
+            cascade = cascade[Object.keys(cascade)[0]];
+        }
+
+        if (!cascade || !cascade.stages) {
+            throw Error('Cascade has no stages.');
+        }
+
+        return cascade;
+    },
+
+    /*
+     * Registers a tracker type, available afterwards as tracking.type[NAME]
+     * and through track({type: name}). The definition supplies:
+     *
+     *   defaults: config values merged under every tracker config.
+     *   validate(config): throws when the config is not usable.
+     *   init(config, state): called once when a tracker starts.
+     *   track(imageData, config, state, transform): called for every frame,
+     *     returns the onFound payload, or null when nothing was found.
+     *     transform maps the, possibly preprocessed, imageData to the frame.
+     *   destroy(config, state): called once when a tracker stops.
+     *   mapPayload(payload, transform): maps the payload found on a
+     *     preprocessed frame back to frame coordinates, see
+     *     tracking.Transform. Defaults to transform.mapPayload.
+     *   getBounds(payload): the {x, y, width, height} rect, in frame
+     *     coordinates, the searchWindow option follows, or null. Defaults
+     *     to the bounds of the rects and points of the payload, see
+     *     tracking.getBounds_. Types that cannot run on a search window
+     *     reject the option in validate.
+     *
+     * state is a plain object owned by each tracker instance, all hooks are
+     * invoked with the definition as this.
+     */
+    registerTracker: function(name, definition) {
+        var NAME;
+
+        if (!tracking.isString(name) || !name) {
+            throw Error('A tracker name should be specified.');
+        }
+
+        if (!definition || typeof definition.track !== 'function') {
+            throw Error('Tracker ' + name + ' should implement track.');
+        }
+
+        NAME = name.toUpperCase();
+
+        definition.NAME = NAME;
+        definition.defaults = definition.defaults || {};
+
+        tracking.type[NAME] = definition;
+
+        return definition;
+    },
+
+    toImageData_: function(source) {
+        var instance = this,
+            canvas;
+
+        if (source.data && source.width && source.height) {
+            return source;
+        }
+
+        if (source instanceof tracking.Canvas) {
+            return source.getImageData();
+        }
+
+        canvas = new tracking.Canvas({
+            height: source.naturalHeight || source.videoHeight || source.height,
+            width: source.naturalWidth || source.videoWidth || source.width
+        });
+
+        canvas.heightChange_(canvas.get('height'));
+        canvas.widthChange_(canvas.get('width'));
+        canvas.context.drawImage(source, 0, 0);
+
+        return canvas.getImageData();
+    },
+
+    /*
+     * Helpers reading the values of parsed XML, single <_> items are not
+     * wrapped in arrays and numbers are text.
+     */
+    toArray_: function(value) {
+        return Array.isArray(value) ? value : [value];
+    },
+
+    toNumber_: function(value) {
+        return parseFloat(value);
+    },
+
+    toNumbers_: function(value) {
+        return value.trim().split(/\s+/).map(tracking.toNumber_);
+    },
+
+    /*
+     * Runs the tracker type named by config.type against a single frame and
+     * dispatches config.onFound or config.onNotFound. The source can be an
+     * ImageData-like object, a tracking.Canvas, or an <img>, <canvas> or
+     * <video> element. Returns the payload, or null when nothing was found.
+     */
+    track: function(source, config, opt_context) {
+        var instance = this,
+            tracker = new tracking.Tracker(config),
+            payload = tracker.track_(instance.toImageData_(source), opt_context || source);
+
+        tracker.destroy_();
+
+        return payload;
+    },
+
+    union_: function(parents, i, j) {
+        var instance = this,
+            rootI = instance.find_(parents, i),
+            rootJ = instance.find_(parents, j);
+
+        if (rootI !== rootJ) {
+            parents[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+        }
+    },
+
+    xmlToObject_: function(element) {
+        var instance = this,
+            children = element.children,
+            object;
+
+        if (!children.length) {
+            return (element.text || '').trim();
+        }
+
+        if (children.every(function(child) { return child.name === '_'; })) {
+            return children.map(instance.xmlToObject_, instance);
+        }
+
+        object = {};
+
+        children.forEach(function(child) {
+            object[child.name] = instance.xmlToObject_(child);
+        });
+
+        return object;
+    }
+
+};
+
+tracking.math = {
+    /*
+     * Euclidean distance between two points P(x0, y0) and P(x1, y1).
+     */
+    distance: function(x0, y0, x1, y1) {
+        var dx = x1-x0,
+            dy = y1-y0;
+
+        return Math.sqrt(dx*dx + dy*dy);
+    },
+
+    /*
+     * Least squares homography mapping the src points onto the dst ones,
+     * both flat [x0, y0, x1, y1, ...] arrays of at least 4 points. Returns
+     * the row major 3x3 matrix as 9 numbers, the last one being 1, or null
+     * for degenerate points. The points are normalized first, centered at
+     * the origin with a mean distance of sqrt(2), which keeps the system
+     * well conditioned.
+     */
+    homography: function(src, dst) {
+        var normalize = function(points) {
+                var n = points.length/2,
+                    cx = 0,
+                    cy = 0,
+                    distance = 0,
+                    scale,
+                    i;
+
+                for (i = 0; i < n; i++) {
+                    cx += points[i*2]/n;
+                    cy += points[i*2 + 1]/n;
+                }
+
+                for (i = 0; i < n; i++) {
+                    distance += Math.sqrt((points[i*2] - cx)*(points[i*2] - cx) +
+                        (points[i*2 + 1] - cy)*(points[i*2 + 1] - cy))/n;
+                }
+
+                scale = distance ? Math.SQRT2/distance : 1;
+
+                return [scale, -scale*cx, -scale*cy];
+            },
+            s = normalize(src),
+            d = normalize(dst),
+            n = src.length/2,
+            // Normal equations of the 8 unknowns, h8 being 1.
+            matrix = [],
+            row,
+            pivot,
+            factor,
+            h = [],
+            x, y, u, v,
+            i, j, k;
+
+        for (i = 0; i < 8; i++) {
+            matrix[i] = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+        }
+
+        for (i = 0; i < n; i++) {
+            x = src[i*2]*s[0] + s[1];
+            y = src[i*2 + 1]*s[0] + s[2];
+            u = dst[i*2]*d[0] + d[1];
+            v = dst[i*2 + 1]*d[0] + d[2];
+
+            [[x, y, 1, 0, 0, 0, -u*x, -u*y, u], [0, 0, 0, x, y, 1, -v*x, -v*y, v]].forEach(function(equation) {
+                for (j = 0; j < 8; j++) {
+                    for (k = 0; k < 9; k++) {
+                        matrix[j][k] += equation[j]*equation[k];
+                    }
+                }
+            });
+        }
+
+        // Gaussian elimination with partial pivoting.
+        for (i = 0; i < 8; i++) {
+            pivot = i;
+
+            for (j = i + 1; j < 8; j++) {
+                if (Math.abs(matrix[j][i]) > Math.abs(matrix[pivot][i])) {
+                    pivot = j;
+                }
+            }
+
+            if (Math.abs(matrix[pivot][i]) < 1e-10) {
+                return null;
+            }
+
+            row = matrix[i];
+            matrix[i] = matrix[pivot];
+            matrix[pivot] = row;
+
+            for (j = i + 1; j < 8; j++) {
+                factor = matrix[j][i]/matrix[i][i];
+
+                for (k = i; k < 9; k++) {
+                    matrix[j][k] -= factor*matrix[i][k];
+                }
+            }
+        }
+
+        for (i = 7; i >= 0; i--) {
+            h[i] = matrix[i][8];
+
+            for (j = i + 1; j < 8; j++) {
+                h[i] -= matrix[i][j]*h[j];
+            }
+
+            h[i] /= matrix[i][i];
+        }
+
+        h[8] = 1;
+
+        // Undoes the normalizations, H = D^-1*Hn*S.
+        h = [
+            (h[0] - d[1]*h[6])/d[0], (h[1] - d[1]*h[7])/d[0], (h[2] - d[1]*h[8])/d[0],
+            (h[3] - d[2]*h[6])/d[0], (h[4] - d[2]*h[7])/d[0], (h[5] - d[2]*h[8])/d[0],
+            h[6], h[7], h[8]
+        ];
+        h = [
+            h[0]*s[0], h[1]*s[0], h[0]*s[1] + h[1]*s[2] + h[2],
+            h[3]*s[0], h[4]*s[0], h[3]*s[1] + h[4]*s[2] + h[5],
+            h[6]*s[0], h[7]*s[0], h[6]*s[1] + h[7]*s[2] + h[8]
+        ];
+
+        if (!h[8]) {
+            return null;
+        }
+
+        return h.map(function(value) {
+            return value/h[8];
+        });
+    },
+
+    /*
+     * Orientation of the principal axis of a set of pixels, in radians
+     * within [-PI/2, PI/2] and 0 along the x axis, from the central second
+     * order image moments. Takes the sums of x, y, x*x, y*y and x*y over
+     * total pixels.
+     */
+    orientation: function(sx, sy, sxx, syy, sxy, total) {
+        var mx = sx/total,
+            my = sy/total,
+            mu20 = sxx/total - mx*mx,
+            mu02 = syy/total - my*my,
+            mu11 = sxy/total - mx*my;
+
+        return 0.5*Math.atan2(2*mu11, mu20 - mu02);
+    }
+};
+
+/*
+ * Image helpers shared by the detectors. Integral images have an extra
+ * zero row and column, (width + 1)*(height + 1), so the sum of the pixels
+ * in [x, x + w)*[y, y + h) is I(x, y) - I(x + w, y) - I(x, y + h) +
+ * I(x + w, y + h), entries being at y*(width + 1) + x.
+ *
+ * Filters take a width*height grayscale array or, where noted, any number
+ * of interleaved channels, like the RGBA data of an ImageData, inferred
+ * from the array length. The opt_output arrays let callers reuse their
+ * buffers between frames.
+ */
+tracking.image = {
+    /*
+     * Binarizes a grayscale image against the mean of the (2*radius + 1)^2
+     * neighborhood of each pixel minus opt_offset, which copes with uneven
+     * lighting better than a global threshold. Foreground pixels are 255.
+     */
+    adaptiveThreshold: function(gray, width, height, radius, opt_offset, opt_output) {
+        var integral = tracking.image.integralImage(gray, width, height),
+            integralWidth = width + 1,
+            output = opt_output || new Uint8ClampedArray(width*height),
+            offset = opt_offset || 0,
+            x0, x1, y0, y1, sum,
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            y0 = Math.max(0, y - radius);
+            y1 = Math.min(height, y + radius + 1);
+
+            for (x = 0; x < width; x++) {
+                x0 = Math.max(0, x - radius);
+                x1 = Math.min(width, x + radius + 1);
+
+                sum = integral[y0*integralWidth + x0] - integral[y0*integralWidth + x1] -
+                    integral[y1*integralWidth + x0] + integral[y1*integralWidth + x1];
+
+                output[y*width + x] = gray[y*width + x] > sum/((x1 - x0)*(y1 - y0)) - offset ? 255 : 0;
+            }
+        }
+
+        return output;
+    },
+
+    /*
+     * Mean of the (2*radius + 1)^2 neighborhood of each pixel, any number of
+     * channels.
+     */
+    boxBlur: function(pixels, width, height, radius, opt_output) {
+        var kernel = [],
+            i;
+
+        for (i = 0; i <= radius*2; i++) {
+            kernel[i] = 1/(radius*2 + 1);
+        }
+
+        return tracking.image.separableConvolve_(pixels, width, height, kernel, opt_output);
+    },
+
+    /*
+     * Canny edge detector on a grayscale image, usually blurred beforehand.
+     * Gradient maxima along the gradient direction above highThreshold are
+     * edges, and so are the ones above lowThreshold connected to them.
+     * Edge pixels are 255.
+     */
+    canny: function(gray, width, height, lowThreshold, highThreshold, opt_output) {
+        var gradient = tracking.image.sobel(gray, width, height),
+            dx = gradient.x,
+            dy = gradient.y,
+            magnitude = gradient.magnitude,
+            output = opt_output || new Uint8ClampedArray(width*height),
+            // 0 not an edge, 1 weak edge, 2 edge.
+            marks = new Uint8Array(width*height),
+            stack = [],
+            ax, ay, m, n1, n2, i, k, nx, ny,
+            x,
+            y;
+
+        // Non-maximum suppression, 22.5 and 67.5 degrees split the gradient
+        // directions in horizontal, vertical and both diagonals.
+        for (y = 1; y < height - 1; y++) {
+            for (x = 1; x < width - 1; x++) {
+                i = y*width + x;
+                m = magnitude[i];
+
+                if (m < lowThreshold) {
+                    continue;
+                }
+
+                ax = Math.abs(dx[i]);
+                ay = Math.abs(dy[i]);
+
+                if (ay <= ax*0.4142) {
+                    n1 = magnitude[i - 1];
+                    n2 = magnitude[i + 1];
+                }
+                else if (ay >= ax*2.4142) {
+                    n1 = magnitude[i - width];
+                    n2 = magnitude[i + width];
+                }
+                else if (dx[i]*dy[i] > 0) {
+                    n1 = magnitude[i - width - 1];
+                    n2 = magnitude[i + width + 1];
+                }
+                else {
+                    n1 = magnitude[i - width + 1];
+                    n2 = magnitude[i + width - 1];
+                }
+
+                if (m > n1 && m >= n2) {
+                    if (m >= highThreshold) {
+                        marks[i] = 2;
+                        stack.push(i);
+                    }
+                    else {
+                        marks[i] = 1;
+                    }
+                }
+            }
+        }
+
+        // Hysteresis, grows the edges over the connected weak edges.
+        while (stack.length) {
+            i = stack.pop();
+            x = i%width;
+            y = (i - x)/width;
+
+            for (k = 0; k < 9; k++) {
+                nx = x + k%3 - 1;
+                ny = y + ~~(k/3) - 1;
+
+                if (marks[ny*width + nx] === 1) {
+                    marks[ny*width + nx] = 2;
+                    stack.push(ny*width + nx);
+                }
+            }
+        }
+
+        for (i = 0; i < width*height; i++) {
+            output[i] = marks[i] === 2 ? 255 : 0;
+        }
+
+        return output;
+    },
+
+    /*
+     * Maximum of the (2*radius + 1)^2 neighborhood of each pixel, any number
+     * of channels. Grows the white regions of a binary image.
+     */
+    dilate: function(pixels, width, height, radius, opt_output) {
+        return tracking.image.morphology_(pixels, width, height, radius, 1, opt_output);
+    },
+
+    /*
+     * Minimum of the (2*radius + 1)^2 neighborhood of each pixel, any number
+     * of channels. Shrinks the white regions of a binary image.
+     */
+    erode: function(pixels, width, height, radius, opt_output) {
+        return tracking.image.morphology_(pixels, width, height, radius, -1, opt_output);
+    },
+
+    /*
+     * Labels the connected components (8-connectivity) of a binary mask
+     * with a two pass union-find, returns one entry per blob with at least
+     * minPixels pixels, biggest blobs first. opt_labels, a width*height
+     * Int32Array, receives the index of the blob of each pixel, or -1.
+     * opt_pixels, a mask within mask, limits the pixels measured, e.g. the
+     * undilated pixels of a dilated mask, the others only connect blobs.
+     */
+    findBlobs: function(mask, width, height, minPixels, opt_labels, opt_pixels) {
+        var labels = new Int32Array(width*height),
+            parents = [0],
+            blobs = {},
+            result = [],
+            indexes = {},
+            label = 0,
+            blob,
+            index,
+            root,
+            i,
+            j,
+            w;
+
+        var find = function(l) {
+            while (parents[l] !== l) {
+                parents[l] = parents[parents[l]];
+                l = parents[l];
+            }
+
+            return l;
+        };
+
+        var union = function(a, b) {
+            a = find(a);
+            b = find(b);
+
+            if (a !== b) {
+                parents[Math.max(a, b)] = Math.min(a, b);
+            }
+
+            return Math.min(a, b);
+        };
+
+        var merge = function(root, neighbor) {
+            if (!neighbor) {
+                return root;
+            }
+
+            return root ? union(root, neighbor) : neighbor;
+        };
+
+        for (i = 0; i < height; i++) {
+            for (j = 0; j < width; j++) {
+                w = i*width + j;
+
+                if (!mask[w]) {
+                    continue;
+                }
+
+                // Already visited neighbors: W, NW, N and NE.
+                root = j > 0 ? labels[w - 1] : 0;
+
+                if (i > 0) {
+                    root = merge(root, j > 0 ? labels[w - width - 1] : 0);
+                    root = merge(root, labels[w - width]);
+                    root = merge(root, j < width - 1 ? labels[w - width + 1] : 0);
+                }
+
+                if (!root) {
+                    root = ++label;
+                    parents[root] = root;
+                }
+
+                labels[w] = root;
+            }
+        }
+
+        for (i = 0; i < height; i++) {
+            for (j = 0; j < width; j++) {
+                w = i*width + j;
+
+                if (!labels[w]) {
+                    continue;
+                }
+
+                root = labels[w] = find(labels[w]);
+
+                if (opt_pixels && !opt_pixels[w]) {
+                    continue;
+                }
+
+                blob = blobs[root];
+
+                if (!blob) {
+                    blob = blobs[root] = {
+                        maxx: j,
+                        maxy: i,
+                        minx: j,
+                        miny: i,
+                        root: root,
+                        total: 0,
+                        x: 0,
+                        xx: 0,
+                        xy: 0,
+                        y: 0,
+                        yy: 0
+                    };
+                }
+
+                blob.total++;
+                blob.x += j;
+                blob.y += i;
+                blob.xx += j*j;
+                blob.yy += i*i;
+                blob.xy += j*i;
+                blob.minx = Math.min(blob.minx, j);
+                blob.maxx = Math.max(blob.maxx, j);
+                blob.miny = Math.min(blob.miny, i);
+                blob.maxy = Math.max(blob.maxy, i);
+            }
+        }
+
+        tracking.forEach(blobs, function(blob) {
+            if (blob.total >= minPixels) {
+                result.push(blob);
+            }
+        });
+
+        result.sort(function(a, b) {
+            return b.total - a.total;
+        });
+
+        result = result.map(function(blob, index) {
+            var blobWidth = blob.maxx - blob.minx + 1,
+                blobHeight = blob.maxy - blob.miny + 1;
+
+            indexes[blob.root] = index;
+
+            return {
+                x: blob.x/blob.total,
+                y: blob.y/blob.total,
+                width: blobWidth,
+                height: blobHeight,
+                area: blobWidth*blobHeight,
+                angle: tracking.math.orientation(blob.x, blob.y, blob.xx, blob.yy, blob.xy, blob.total),
+                pixelCount: blob.total,
+                rect: {
+                    x: blob.minx,
+                    y: blob.miny,
+                    width: blobWidth,
+                    height: blobHeight
+                }
+            };
+        });
+
+        if (opt_labels) {
+            for (w = 0; w < width*height; w++) {
+                index = labels[w] ? indexes[labels[w]] : undefined;
+                opt_labels[w] = index === undefined ? -1 : index;
+            }
+        }
+
+        return result;
+    },
+
+    /*
+     * Gaussian blur, any number of channels. The kernel spans three sigmas
+     * on each side.
+     */
+    gaussianBlur: function(pixels, width, height, sigma, opt_output) {
+        var radius = Math.ceil(sigma*3),
+            kernel = [],
+            sum = 0,
+            i;
+
+        for (i = -radius; i <= radius; i++) {
+            kernel[i + radius] = Math.exp(-i*i/(2*sigma*sigma));
+            sum += kernel[i + radius];
+        }
+
+        for (i = 0; i < kernel.length; i++) {
+            kernel[i] /= sum;
+        }
+
+        return tracking.image.separableConvolve_(pixels, width, height, kernel, opt_output);
+    },
+
+    /*
+     * Luma of an RGBA pixels array, width*height values in [0, 255].
+     */
+    grayscale: function(pixels, width, height, opt_output) {
+        var gray = opt_output || new Uint8ClampedArray(width*height),
+            len = width*height,
+            i,
+            w;
+
+        for (i = 0, w = 0; i < len; i++, w += 4) {
+            gray[i] = pixels[w]*0.299 + pixels[w + 1]*0.587 + pixels[w + 2]*0.114;
+        }
+
+        return gray;
+    },
+
+    /*
+     * Summed area table of a grayscale image. Uint32 values hold the sums
+     * of frames up to 16 million pixels.
+     */
+    integralImage: function(gray, width, height, opt_output) {
+        var integralWidth = width + 1,
+            integral = opt_output || new Uint32Array(integralWidth*(height + 1)),
+            rowSum,
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            rowSum = 0;
+
+            for (x = 0; x < width; x++) {
+                rowSum += gray[y*width + x];
+                integral[(y + 1)*integralWidth + x + 1] = integral[y*integralWidth + x + 1] + rowSum;
+            }
+        }
+
+        return integral;
+    },
+
+    /*
+     * Summed area table of the squared grayscale image. The sums of squares
+     * overflow 32 bits past 66 thousand pixels, a 320x240 frame is already
+     * above that, so they are kept in a Float64Array, exact up to 2^53.
+     */
+    integralImageSquare: function(gray, width, height, opt_output) {
+        var integralWidth = width + 1,
+            integral = opt_output || new Float64Array(integralWidth*(height + 1)),
+            pixel,
+            rowSum,
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            rowSum = 0;
+
+            for (x = 0; x < width; x++) {
+                pixel = gray[y*width + x];
+                rowSum += pixel*pixel;
+                integral[(y + 1)*integralWidth + x + 1] = integral[y*integralWidth + x + 1] + rowSum;
+            }
+        }
+
+        return integral;
+    },
+
+    /*
+     * Separable min (sign -1) or max (sign 1) filter over a square
+     * neighborhood, rows first then columns. Neighborhoods are clipped at
+     * the image borders.
+     */
+    morphology_: function(pixels, width, height, radius, sign, opt_output) {
+        var len = pixels.length,
+            channels = len/(width*height),
+            temp = new Float32Array(len),
+            output = opt_output || new pixels.constructor(len),
+            best,
+            value,
+            c, k, x, y;
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                for (c = 0; c < channels; c++) {
+                    best = pixels[(y*width + x)*channels + c];
+
+                    for (k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+                        value = pixels[(y*width + k)*channels + c];
+
+                        if ((value - best)*sign > 0) {
+                            best = value;
+                        }
+                    }
+
+                    temp[(y*width + x)*channels + c] = best;
+                }
+            }
+        }
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                for (c = 0; c < channels; c++) {
+                    best = temp[(y*width + x)*channels + c];
+
+                    for (k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+                        value = temp[(k*width + x)*channels + c];
+
+                        if ((value - best)*sign > 0) {
+                            best = value;
+                        }
+                    }
+
+                    output[(y*width + x)*channels + c] = best;
+                }
+            }
+        }
+
+        return output;
+    },
+
+    /*
+     * Otsu's threshold of a grayscale image, the level that maximizes the
+     * variance between the pixels at or below it and the ones above it.
+     */
+    otsuThreshold: function(gray, width, height) {
+        var histogram = new Uint32Array(256),
+            len = width*height,
+            total = 0,
+            sumBelow = 0,
+            countBelow = 0,
+            best = 0,
+            level = 0,
+            countAbove,
+            meanBelow,
+            meanAbove,
+            variance,
+            i;
+
+        for (i = 0; i < len; i++) {
+            histogram[gray[i]]++;
+            total += gray[i];
+        }
+
+        for (i = 0; i < 256; i++) {
+            countBelow += histogram[i];
+            sumBelow += i*histogram[i];
+            countAbove = len - countBelow;
+
+            if (!countBelow || !countAbove) {
+                continue;
+            }
+
+            meanBelow = sumBelow/countBelow;
+            meanAbove = (total - sumBelow)/countAbove;
+            variance = countBelow*countAbove*(meanBelow - meanAbove)*(meanBelow - meanAbove);
+
+            if (variance > best) {
+                best = variance;
+                level = i;
+            }
+        }
+
+        return level;
+    },
+
+    /*
+     * Convolves the pixels with a 1D kernel of odd length horizontally then
+     * vertically, any number of channels. Borders are clamped.
+     */
+    separableConvolve_: function(pixels, width, height, kernel, opt_output) {
+        var len = pixels.length,
+            channels = len/(width*height),
+            radius = (kernel.length - 1)/2,
+            temp = new Float32Array(len),
+            output = opt_output || new pixels.constructor(len),
+            sum,
+            c, k, x, y;
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                for (c = 0; c < channels; c++) {
+                    sum = 0;
+
+                    for (k = -radius; k <= radius; k++) {
+                        sum += kernel[k + radius]*pixels[(y*width + Math.min(width - 1, Math.max(0, x + k)))*channels + c];
+                    }
+
+                    temp[(y*width + x)*channels + c] = sum;
+                }
+            }
+        }
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                for (c = 0; c < channels; c++) {
+                    sum = 0;
+
+                    for (k = -radius; k <= radius; k++) {
+                        sum += kernel[k + radius]*temp[(Math.min(height - 1, Math.max(0, y + k))*width + x)*channels + c];
+                    }
+
+                    output[(y*width + x)*channels + c] = sum;
+                }
+            }
+        }
+
+        return output;
+    },
+
+    /*
+     * Sobel derivatives of a grayscale image, returns the horizontal x and
+     * vertical y gradients and their magnitude. Borders are clamped.
+     */
+    sobel: function(gray, width, height) {
+        var len = width*height,
+            dx = new Float32Array(len),
+            dy = new Float32Array(len),
+            magnitude = new Float32Array(len),
+            x0, x2, y0, y2, i,
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            y0 = Math.max(0, y - 1)*width;
+            y2 = Math.min(height - 1, y + 1)*width;
+
+            for (x = 0; x < width; x++) {
+                x0 = Math.max(0, x - 1);
+                x2 = Math.min(width - 1, x + 1);
+                i = y*width + x;
+
+                dx[i] = gray[y0 + x2] + 2*gray[y*width + x2] + gray[y2 + x2] -
+                    gray[y0 + x0] - 2*gray[y*width + x0] - gray[y2 + x0];
+                dy[i] = gray[y2 + x0] + 2*gray[y2 + x] + gray[y2 + x2] -
+                    gray[y0 + x0] - 2*gray[y0 + x] - gray[y0 + x2];
+                magnitude[i] = Math.sqrt(dx[i]*dx[i] + dy[i]*dy[i]);
+            }
+        }
+
+        return {
+            magnitude: magnitude,
+            x: dx,
+            y: dy
+        };
+    },
+
+    /*
+     * Binarizes a grayscale image, pixels above level become 255, see
+     * otsuThreshold to pick the level.
+     */
+    threshold: function(gray, width, height, level, opt_output) {
+        var len = width*height,
+            output = opt_output || new Uint8ClampedArray(len),
+            i;
+
+        for (i = 0; i < len; i++) {
+            output[i] = gray[i] > level ? 255 : 0;
+        }
+
+        return output;
+    },
+
+    /*
+     * Rotated summed area table, like OpenCV's tilted integral. Each entry
+     * (x, y) holds the sum of the pixels above it within a 45 degrees
+     * triangle whose apex is pixel (x - 1, y - 1):
+     *
+     *   T(x, y) = T(x - 1, y - 1) + T(x + 1, y - 1) - T(x, y - 2) +
+     *             I(x - 1, y - 1) + I(x - 1, y - 2)
+     *
+     * The triangles grow past the image borders, so the recurrence runs
+     * over height extra columns on each side.
+     */
+    tiltedIntegralImage: function(gray, width, height, opt_output) {
+        var margin = height,
+            rowLen = width + 1 + margin*2,
+            rows = new Float64Array(rowLen*(height + 1)),
+            integral = opt_output || new Uint32Array((width + 1)*(height + 1)),
+            pixel = function(x, y) {
+                if (x < 0 || x >= width || y < 0) {
+                    return 0;
+                }
+
+                return gray[y*width + x];
+            },
+            x,
+            y,
+            w;
+
+        for (y = 1; y <= height; y++) {
+            for (x = y - height; x <= width + height - y; x++) {
+                w = y*rowLen + x + margin;
+
+                rows[w] = rows[w - rowLen - 1] + rows[w - rowLen + 1] -
+                    (y > 1 ? rows[w - rowLen*2] : 0) +
+                    pixel(x - 1, y - 1) + pixel(x - 1, y - 2);
+            }
+
+            for (x = 0; x <= width; x++) {
+                integral[y*(width + 1) + x] = rows[y*rowLen + x + margin];
+            }
+        }
+
+        return integral;
+    }
+};
+
+/*
+ * Keypoint detectors and descriptors shared by the trackers, they take a
+ * width*height grayscale array, see tracking.image.grayscale. Detectors
+ * return [{x, y, score}, ...] corners, strongest first. Only local maxima
+ * of the score within their 3x3 neighborhood are kept, opt_minDistance
+ * drops those too close to a stronger one and opt_maxCorners caps their
+ * number.
+ */
+tracking.features = {
+    /*
+     * Oriented BRIEF descriptors of the keypoints, like ORB ones: 256
+     * comparisons of smoothed pixel pairs within a radius of 15, rotated
+     * by the keypoint angle, the direction of the intensity centroid of
+     * its patch, which is set on each keypoint. Returns 8 32-bit words per
+     * keypoint, in the keypoints order, see match to compare them. Pixels
+     * beyond the image borders are clamped.
+     */
+    brief: function(gray, width, height, keypoints) {
+        var instance = this,
+            pattern = instance.getPattern_(),
+            smooth = tracking.image.gaussianBlur(gray, width, height, 2, new Float32Array(width*height)),
+            descriptors = new Uint32Array(keypoints.length*8),
+            pixel = function(x, y) {
+                x = Math.min(Math.max(x, 0), width - 1);
+                y = Math.min(Math.max(y, 0), height - 1);
+
+                return smooth[y*width + x];
+            },
+            keypoint,
+            value,
+            cos,
+            sin,
+            m01,
+            m10,
+            bit,
+            x,
+            y,
+            i;
+
+        for (i = 0; i < keypoints.length; i++) {
+            keypoint = keypoints[i];
+            m01 = m10 = 0;
+
+            for (y = -15; y <= 15; y++) {
+                for (x = -15; x <= 15; x++) {
+                    if (x*x + y*y <= 225) {
+                        value = pixel(keypoint.x + x, keypoint.y + y);
+                        m10 += x*value;
+                        m01 += y*value;
+                    }
+                }
+            }
+
+            keypoint.angle = Math.atan2(m01, m10);
+            cos = Math.cos(keypoint.angle);
+            sin = Math.sin(keypoint.angle);
+
+            for (bit = 0; bit < 256; bit++) {
+                x = pattern[bit*4];
+                y = pattern[bit*4 + 1];
+                value = pixel(keypoint.x + Math.round(cos*x - sin*y), keypoint.y + Math.round(sin*x + cos*y));
+                x = pattern[bit*4 + 2];
+                y = pattern[bit*4 + 3];
+
+                if (value < pixel(keypoint.x + Math.round(cos*x - sin*y), keypoint.y + Math.round(sin*x + cos*y))) {
+                    descriptors[i*8 + (bit >> 5)] |= 1 << (bit & 31);
+                }
+            }
+        }
+
+        return descriptors;
+    },
+
+    /*
+     * Offsets of the 16 pixel Bresenham circle of radius 3 around a FAST
+     * candidate, clockwise from the top.
+     */
+    circle_: [
+        [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+        [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+    ],
+
+    /*
+     * FAST-9 corners, pixels with 9 contiguous circle pixels all brighter
+     * or all darker than them by more than threshold. Their score is the
+     * sum of the circle differences beyond threshold.
+     */
+    fast: function(gray, width, height, threshold, opt_maxCorners, opt_minDistance) {
+        var instance = this,
+            offsets = instance.circle_.map(function(offset) {
+                return offset[1]*width + offset[0];
+            }),
+            scores = new Float32Array(width*height),
+            values = new Int32Array(16),
+            center,
+            brighter,
+            darker,
+            bright,
+            dark,
+            run,
+            k,
+            i,
+            x,
+            y;
+
+        for (y = 3; y < height - 3; y++) {
+            for (x = 3; x < width - 3; x++) {
+                i = y*width + x;
+                center = gray[i];
+                brighter = center + threshold;
+                darker = center - threshold;
+
+                // 9 contiguous pixels cover at least 2 of the 4 compass ones.
+                bright = (gray[i + offsets[0]] > brighter) + (gray[i + offsets[4]] > brighter) +
+                    (gray[i + offsets[8]] > brighter) + (gray[i + offsets[12]] > brighter);
+                dark = (gray[i + offsets[0]] < darker) + (gray[i + offsets[4]] < darker) +
+                    (gray[i + offsets[8]] < darker) + (gray[i + offsets[12]] < darker);
+
+                if (bright < 2 && dark < 2) {
+                    continue;
+                }
+
+                for (k = 0; k < 16; k++) {
+                    values[k] = gray[i + offsets[k]] - center;
+                }
+
+                bright = dark = 0;
+
+                for (run = 0, k = 0; k < 24 && run < 9; k++) {
+                    run = values[k % 16] > threshold ? run + 1 : 0;
+                }
+
+                if (run === 9) {
+                    bright = 1;
+                }
+
+                for (run = 0, k = 0; k < 24 && run < 9; k++) {
+                    run = values[k % 16] < -threshold ? run + 1 : 0;
+                }
+
+                if (run === 9) {
+                    dark = 1;
+                }
+
+                if (!bright && !dark) {
+                    continue;
+                }
+
+                run = 0;
+
+                for (k = 0; k < 16; k++) {
+                    if (bright && values[k] > threshold) {
+                        run += values[k] - threshold;
+                    }
+                    else if (dark && values[k] < -threshold) {
+                        run -= values[k] + threshold;
+                    }
+                }
+
+                scores[i] = run;
+            }
+        }
+
+        return instance.select_(scores, width, height, 0, opt_maxCorners, opt_minDistance);
+    },
+
+    /*
+     * Harris corners, scored by det(M) - 0.04*trace(M)^2 where M sums the
+     * products of the Sobel derivatives over each 3x3 neighborhood. Corners
+     * below quality times the strongest score are dropped.
+     */
+    harris: function(gray, width, height, quality, opt_maxCorners, opt_minDistance) {
+        var instance = this,
+            gradients = tracking.image.sobel(gray, width, height),
+            dx = gradients.x,
+            dy = gradients.y,
+            scores = new Float32Array(width*height),
+            max = 0,
+            xx,
+            yy,
+            xy,
+            i,
+            j,
+            x,
+            y;
+
+        for (y = 1; y < height - 1; y++) {
+            for (x = 1; x < width - 1; x++) {
+                xx = yy = xy = 0;
+
+                for (j = (y - 1)*width + x; j <= (y + 1)*width + x; j += width) {
+                    for (i = j - 1; i <= j + 1; i++) {
+                        xx += dx[i]*dx[i];
+                        yy += dy[i]*dy[i];
+                        xy += dx[i]*dy[i];
+                    }
+                }
+
+                i = y*width + x;
+                scores[i] = xx*yy - xy*xy - 0.04*(xx + yy)*(xx + yy);
+                max = Math.max(max, scores[i]);
+            }
+        }
+
+        return instance.select_(scores, width, height, quality*max, opt_maxCorners, opt_minDistance);
+    },
+
+    /*
+     * Lazily generated BRIEF pairs, [x0, y0, x1, y1, ...] drawn from a
+     * gaussian of sigma 5 clipped to [-10, 10], so that rotated pairs stay
+     * within the radius 15 patch. The generator is seeded, descriptors are
+     * the same on every page.
+     */
+    getPattern_: function() {
+        var instance = this,
+            seed = 1,
+            random = function() {
+                seed = (seed*16807) % 2147483647;
+
+                return seed/2147483647;
+            },
+            gaussian = function() {
+                var value;
+
+                do {
+                    value = Math.round(Math.sqrt(-2*Math.log(random()))*Math.cos(2*Math.PI*random())*5);
+                } while (Math.abs(value) > 10);
+
+                return value;
+            },
+            i;
+
+        if (!instance.pattern_) {
+            instance.pattern_ = new Int8Array(256*4);
+
+            for (i = 0; i < 256*4; i++) {
+                instance.pattern_[i] = gaussian();
+            }
+        }
+
+        return instance.pattern_;
+    },
+
+    /*
+     * Matches two sets of brief descriptors by Hamming distance. Keeps the
+     * pairs that are each other's nearest neighbor within opt_maxDistance
+     * bits, 64 by default, as [{index1, index2, distance}, ...] sorted by
+     * distance.
+     */
+    match: function(descriptors1, descriptors2, opt_maxDistance) {
+        var maxDistance = opt_maxDistance || 64,
+            len1 = descriptors1.length/8,
+            len2 = descriptors2.length/8,
+            best1 = new Int32Array(len1),
+            best2 = new Int32Array(len2),
+            distances1 = new Int32Array(len1),
+            distances2 = new Int32Array(len2),
+            matches = [],
+            distance,
+            bits,
+            i,
+            j,
+            k;
+
+        for (i = 0; i < len1; i++) {
+            distances1[i] = 257;
+        }
+
+        for (j = 0; j < len2; j++) {
+            distances2[j] = 257;
+        }
+
+        for (i = 0; i < len1; i++) {
+            for (j = 0; j < len2; j++) {
+                distance = 0;
+
+                for (k = 0; k < 8; k++) {
+                    bits = descriptors1[i*8 + k] ^ descriptors2[j*8 + k];
+                    bits -= (bits >>> 1) & 0x55555555;
+                    bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+                    distance += (((bits + (bits >>> 4)) & 0x0F0F0F0F)*0x01010101) >>> 24;
+                }
+
+                if (distance < distances1[i]) {
+                    distances1[i] = distance;
+                    best1[i] = j;
+                }
+
+                if (distance < distances2[j]) {
+                    distances2[j] = distance;
+                    best2[j] = i;
+                }
+            }
+        }
+
+        for (i = 0; i < len1; i++) {
+            if (distances1[i] <= maxDistance && best2[best1[i]] === i) {
+                matches.push({
+                    index1: i,
+                    index2: best1[i],
+                    distance: distances1[i]
+                });
+            }
+        }
+
+        return matches.sort(function(a, b) {
+            return a.distance - b.distance;
+        });
+    },
+
+    /*
+     * Keeps the 3x3 local maxima of the scores above minScore, strongest
+     * first. Equal neighbors are resolved in favor of the last one in
+     * raster order.
+     */
+    select_: function(scores, width, height, minScore, opt_maxCorners, opt_minDistance) {
+        var maxCorners = opt_maxCorners || Infinity,
+            minDistance = opt_minDistance || 0,
+            candidates = [],
+            corners = [],
+            score,
+            dx,
+            dy,
+            i,
+            j,
+            x,
+            y;
+
+        for (y = 1; y < height - 1; y++) {
+            for (x = 1; x < width - 1; x++) {
+                i = y*width + x;
+                score = scores[i];
+
+                if (score > 0 && score >= minScore &&
+                    score >= scores[i - width - 1] && score >= scores[i - width] && score >= scores[i - width + 1] &&
+                    score >= scores[i - 1] && score > scores[i + 1] &&
+                    score > scores[i + width - 1] && score > scores[i + width] && score > scores[i + width + 1]) {
+                    candidates.push(i);
+                }
+            }
+        }
+
+        candidates.sort(function(a, b) {
+            return scores[b] - scores[a] || a - b;
+        });
+
+        for (i = 0; i < candidates.length && corners.length < maxCorners; i++) {
+            x = candidates[i] % width;
+            y = (candidates[i] - x)/width;
+
+            for (j = 0; minDistance && j < corners.length; j++) {
+                dx = corners[j].x - x;
+                dy = corners[j].y - y;
+
+                if (dx*dx + dy*dy < minDistance*minDistance) {
+                    break;
+                }
+            }
+
+            if (!minDistance || j === corners.length) {
+                corners.push({
+                    x: x,
+                    y: y,
+                    score: scores[candidates[i]]
+                });
+            }
+        }
+
+        return corners;
+    }
+};
+
+// tracking.Attribute
+
+var Attribute = function() {
+    var instance = this;
+
+    instance.attrs_ = {};
+};
+
+Attribute.prototype = {
+    attrs_: null,
+
+    setAttrs: function(attrMap, silent) {
+        var instance = this;
+
+        tracking.forEach(attrMap, function(attrValue, attrName) {
+            if (silent) {
+                instance.attrs_[attrName] = attrValue;
+            }
+            else {
+                instance.set(attrName, attrValue);
+            }
+        });
+    },
+
+    set: function(attrName, attrValue) {
+        var instance = this,
+            changeFn = instance[attrName + 'Change_'];
+
+        instance.attrs_[attrName] = attrValue;
+
+        if (changeFn) {
+            changeFn.call(instance, attrValue, attrName);
+        }
+
+        return attrValue;
+    },
+
+    get: function(attrName) {
+        var instance = this;
+
+        return instance.attrs_[attrName];
+    },
+
+    getAttrs: function() {
+        var instance = this;
+
+        return instance.attrs_;
+    },
+
+    linkAttr: function(attrName, attrTarget, opt_set) {
+        var instance = this,
+            changeFnName = attrName + 'Change_',
+            changeFn = instance[changeFnName];
+
+            instance[changeFnName] = function(val) {
+                if (changeFn) {
+                    changeFn.apply(this, arguments);
+                }
+                attrTarget.set(attrName, val);
+            };
+
+            if (opt_set) {
+                attrTarget.set(attrName, instance.get(attrName));
+            }
+    }
+};
+
+tracking.Attribute = Attribute;
+
+// tracking.Tracker
+
+var Tracker = function(config) {
+    var instance = this,
+        type = tracking.getType(config.type);
+
+    instance.type = type;
+    instance.state = {};
+
+    instance.setAttrs(tracking.merge(
+        tracking.merge({}, type.defaults), config), true);
+
+    if (type.validate) {
+        type.validate(instance.getAttrs());
+    }
+
+    instance.validatePreprocess_(config.preprocess);
+
+    if (type.init) {
+        type.init(instance.getAttrs(), instance.state);
+    }
+};
+
+Tracker.prototype = {
+    misses_: 0,
+
+    paused_: false,
+
+    searchRect_: null,
+
+    searchWindowDefaults_: {
+        margin: 0.5,
+
+        maxMisses: 5
+    },
+
+    state: null,
+
+    type: null,
+
+    video_: null,
+
+    destroy_: function() {
+        var instance = this,
+            type = instance.type;
+
+        if (type.destroy) {
+            type.destroy(instance.getAttrs(), instance.state);
+        }
+    },
+
+    /*
+     * Bounding rect, in frame coordinates, of what a payload found, see
+     * the getBounds hook of tracking.registerTracker.
+     */
+    getBounds_: function(payload) {
+        var type = this.type;
+
+        return type.getBounds ? type.getBounds(payload) : tracking.getBounds_(payload);
+    },
+
+    isPaused: function() {
+        var instance = this;
+
+        return instance.paused_;
+    },
+
+    pause: function() {
+        var instance = this;
+
+        instance.paused_ = true;
+
+        return instance;
+    },
+
+    /*
+     * Runs the config.preprocess steps over the frame, then crops the
+     * processed frame to opt_searchRect, given in frame coordinates.
+     * Returns the processed imageData and the transform from its
+     * coordinates to the frame ones.
+     */
+    preprocess_: function(imageData, steps, opt_searchRect) {
+        var instance = this,
+            transform = new tracking.Transform(),
+            searchRect;
+
+        steps.forEach(function(step) {
+            if (typeof step === 'function') {
+                imageData = step(imageData) || imageData;
+            }
+            else {
+                step = instance.toStep_(step);
+                imageData = tracking.preprocessors[step.type](imageData, step, transform);
+            }
+        });
+
+        if (opt_searchRect) {
+            searchRect = transform.unmapRect(tracking.merge({}, opt_searchRect));
+
+            imageData = tracking.preprocessors.crop(imageData, {
+                x: Math.floor(searchRect.x),
+                y: Math.floor(searchRect.y),
+                width: Math.ceil(searchRect.x + searchRect.width) - Math.floor(searchRect.x),
+                height: Math.ceil(searchRect.y + searchRect.height) - Math.floor(searchRect.y)
+            }, transform);
+        }
+
+        return {
+            imageData: imageData,
+            transform: transform
+        };
+    },
+
+    /*
+     * Restarts the tracker state, e.g. the background model of the
+     * background and motion trackers, as if it had just started.
+     */
+    reset: function() {
+        var instance = this,
+            type = instance.type;
+
+        instance.destroy_();
+
+        instance.misses_ = 0;
+        instance.searchRect_ = null;
+        instance.state = {};
+
+        if (type.init) {
+            type.init(instance.getAttrs(), instance.state);
+        }
+
+        return instance;
+    },
+
+    resume: function() {
+        var instance = this;
+
+        instance.paused_ = false;
+
+        return instance;
+    },
+
+    /*
+     * Reconfigures the tracker, accepts either a single attribute name and
+     * value or a config map. Config maps are validated before being applied.
+     */
+    set: function(config, opt_value) {
+        var instance = this,
+            type = instance.type;
+
+        if (tracking.isString(config)) {
+            return tracking.Attribute.prototype.set.call(instance, config, opt_value);
         }
-        else {
-            for (key in o) {
-                if (hasOwn_.call(o, key)) {
-                    fn.call(opt_context || o, o[key], key, o);
-                }
-            }
+
+        if (config.type && tracking.getType(config.type) !== type) {
+            throw Error('The type of a tracker cannot be changed.');
         }
 
-        return o;
-    },
+        if (type.validate) {
+            type.validate(tracking.merge(
+                tracking.merge({}, instance.getAttrs()), config));
+        }
 
-    isNode: function(o) {
-        return o.nodeType || this.isWindow(o);
+        instance.validatePreprocess_(config.preprocess);
+
+        instance.setAttrs(config);
+
+        instance.misses_ = 0;
+        instance.searchRect_ = null;
+
+        return instance;
     },
 
-    isString: function(o) {
-        return typeof o === 'string';
+    stop: function() {
+        var instance = this;
+
+        if (instance.video_) {
+            instance.video_.removeTracker_(instance);
+            instance.video_ = null;
+        }
+
+        instance.destroy_();
+
+        return instance;
     },
 
-    isWindow: function(o) {
-        return !!(o && o.alert && o.document);
+    toStep_: function(step) {
+        return tracking.isString(step) ? { type: step } : step;
     },
 
-    merge: function(target, o) {
-        var instance = this, key;
+    track_: function(imageData, context) {
+        var instance = this,
+            config = instance.getAttrs(),
+            type = instance.type,
+            frame = imageData,
+            steps = config.preprocess || [],
+            searchRect = config.searchWindow ? instance.searchRect_ : null,
+            preprocessed,
+            payload;
+
+        if (steps.length || searchRect) {
+            preprocessed = instance.preprocess_(imageData, steps, searchRect);
+            imageData = preprocessed.imageData;
+        }
 
-        for (key in o) {
-            if (hasOwn_.call(o, key)) {
-                target[key] = o[key];
+        // Nothing is found on empty frames, e.g. crops outside the frame.
+        payload = imageData.width && imageData.height ? type.track(imageData, config, instance.state,
+            preprocessed ? preprocessed.transform : new tracking.Transform()) : null;
+
+        if (payload && preprocessed) {
+            payload = type.mapPayload ?
+                type.mapPayload(payload, preprocessed.transform) : preprocessed.transform.mapPayload(payload);
+        }
+
+        if (config.searchWindow) {
+            instance.updateSearchRect_(payload, frame);
+        }
+
+        if (payload) {
+            if (config.onFound) {
+                config.onFound.call(context, payload);
             }
         }
+        else if (config.onNotFound) {
+            config.onNotFound.call(context);
+        }
 
-        return target;
+        return payload || null;
     },
 
-    one: function(selector, opt_element) {
+    /*
+     * With the searchWindow option, the next frames are searched around
+     * the last payload, grown by margin times its size on each side, until
+     * maxMisses frames in a row find nothing. The whole frame is searched
+     * again afterwards.
+     */
+    updateSearchRect_: function(payload, frame) {
+        var instance = this,
+            searchWindow = instance.get('searchWindow'),
+            options = tracking.merge(tracking.merge({}, instance.searchWindowDefaults_),
+                searchWindow === true ? {} : searchWindow),
+            bounds = payload && instance.getBounds_(payload),
+            x,
+            y;
+
+        if (bounds) {
+            x = Math.max(0, bounds.x - bounds.width*options.margin);
+            y = Math.max(0, bounds.y - bounds.height*options.margin);
+
+            instance.misses_ = 0;
+            instance.searchRect_ = {
+                x: x,
+                y: y,
+                width: Math.min(frame.width, bounds.x + bounds.width*(1 + options.margin)) - x,
+                height: Math.min(frame.height, bounds.y + bounds.height*(1 + options.margin)) - y
+            };
+        }
+        else if (instance.searchRect_ && ++instance.misses_ >= options.maxMisses) {
+            instance.misses_ = 0;
+            instance.searchRect_ = null;
+        }
+    },
+
+    validatePreprocess_: function(steps) {
         var instance = this;
 
-        if (instance.isNode(selector)) {
-            return selector;
+        if (!steps) {
+            return;
         }
 
-        return (opt_element || document).querySelector(selector);
-    }
+        if (!Array.isArray(steps)) {
+            throw Error('The preprocess option should be an array of steps.');
+        }
 
-};
+        steps.forEach(function(step) {
+            if (typeof step === 'function') {
+                return;
+            }
 
-tracking.math = {
-    /*
-     * Euclidean distance between two points P(x0, y0) and P(x1, y1).
-     */
-    distance: function(x0, y0, x1, y1) {
-        var dx = x1-x0,
-            dy = y1-y0;
+            step = instance.toStep_(step);
 
-        return Math.sqrt(dx*dx + dy*dy);
+            if (!tracking.preprocessors[step.type]) {
+                throw Error('Preprocess step ' + step.type + ' is not supported.');
+            }
+
+            if (step.type === 'crop' && !(isFinite(step.x) && isFinite(step.y) && step.width > 0 && step.height > 0)) {
+                throw Error('Crop steps should define x, y and a positive width and height.');
+            }
+        });
     }
 };
 
-// tracking.Attribute
+tracking.Tracker = tracking.augment(Tracker, tracking.Attribute);
 
-var Attribute = function() {
+// tracking.Transform
+
+/*
+ * Maps the coordinates of a preprocessed frame back to the frame ones. Each
+ * axis is mapped by frame = a*processed + b, crops, scales and flips
+ * composing into a single such map.
+ */
+var Transform = function() {
     var instance = this;
 
-    instance.attrs_ = {};
+    instance.ax = 1;
+    instance.bx = 0;
+    instance.ay = 1;
+    instance.by = 0;
 };
 
-Attribute.prototype = {
-    attrs_: null,
+Transform.prototype = {
+    /*
+     * Appends a step whose input coordinates are a*output + b.
+     */
+    append: function(ax, bx, ay, by) {
+        var instance = this;
 
-    setAttrs: function(attrMap, silent) {
+        instance.bx += instance.ax*bx;
+        instance.by += instance.ay*by;
+        instance.ax *= ax;
+        instance.ay *= ay;
+
+        return instance;
+    },
+
+    /*
+     * Maps, in place, a blob of tracking.image.findBlobs: its centroid,
+     * rect, size and angle.
+     */
+    mapBlob: function(blob) {
         var instance = this;
 
-        tracking.forEach(attrMap, function(attrValue, attrName) {
-            if (silent) {
-                instance.attrs_[attrName] = attrValue;
-            }
-            else {
-                instance.set(attrName, attrValue);
-            }
-        });
+        instance.mapPoint(blob);
+        instance.mapRect(blob.rect);
+
+        blob.width = blob.rect.width;
+        blob.height = blob.rect.height;
+        blob.area = blob.width*blob.height;
+        blob.angle = instance.mapAngle(blob.angle);
+
+        return blob;
     },
 
-    set: function(attrName, attrValue) {
-        var instance = this,
-            changeFn = instance[attrName + 'Change_'];
+    /*
+     * Principal axis angles, in radians, are mirrored by single flips.
+     */
+    mapAngle: function(angle) {
+        var instance = this;
 
-        instance.attrs_[attrName] = attrValue;
+        return instance.ax*instance.ay < 0 ? -angle : angle;
+    },
 
-        if (changeFn) {
-            changeFn.call(instance, attrValue, attrName);
+    /*
+     * Maps every {x, y} point and {x, y, width, height} rect found in the
+     * payload, in place.
+     */
+    mapPayload: function(payload) {
+        var instance = this;
+
+        if (Array.isArray(payload)) {
+            payload.forEach(instance.mapPayload, instance);
         }
+        else if (payload && typeof payload === 'object') {
+            if (typeof payload.x === 'number' && typeof payload.y === 'number') {
+                if (typeof payload.width === 'number' && typeof payload.height === 'number') {
+                    instance.mapRect(payload);
+                }
+                else {
+                    instance.mapPoint(payload);
+                }
+            }
 
-        return attrValue;
+            tracking.forEach(payload, function(value) {
+                if (value && typeof value === 'object') {
+                    instance.mapPayload(value);
+                }
+            });
+        }
+
+        return payload;
     },
 
-    get: function(attrName) {
+    /*
+     * Maps a pixel, in place, through its center.
+     */
+    mapPoint: function(point) {
         var instance = this;
 
-        return instance.attrs_[attrName];
+        point.x = instance.ax*(point.x + 0.5) + instance.bx - 0.5;
+        point.y = instance.ay*(point.y + 0.5) + instance.by - 0.5;
+
+        return point;
     },
 
-    getAttrs: function() {
+    /*
+     * Maps a rect, in place, keeping x and y its top left corner.
+     */
+    mapRect: function(rect) {
+        var instance = this,
+            x = instance.ax*rect.x + instance.bx,
+            y = instance.ay*rect.y + instance.by,
+            width = Math.abs(instance.ax)*rect.width,
+            height = Math.abs(instance.ay)*rect.height;
+
+        rect.x = instance.ax < 0 ? x - width : x;
+        rect.y = instance.ay < 0 ? y - height : y;
+        rect.width = width;
+        rect.height = height;
+
+        return rect;
+    },
+
+    /*
+     * Maps a pixel in frame coordinates, in place, to the processed frame.
+     */
+    unmapPoint: function(point) {
         var instance = this;
 
-        return instance.attrs_;
+        point.x = (point.x + 0.5 - instance.bx)/instance.ax - 0.5;
+        point.y = (point.y + 0.5 - instance.by)/instance.ay - 0.5;
+
+        return point;
     },
 
-    linkAttr: function(attrName, attrTarget, opt_set) {
+    /*
+     * Maps a rect in frame coordinates, in place, to the processed frame.
+     */
+    unmapRect: function(rect) {
         var instance = this,
-            changeFnName = attrName + 'Change_',
-            changeFn = instance[changeFnName];
+            x = (rect.x - instance.bx)/instance.ax,
+            y = (rect.y - instance.by)/instance.ay,
+            width = rect.width/Math.abs(instance.ax),
+            height = rect.height/Math.abs(instance.ay);
 
-            instance[changeFnName] = function(val) {
-                if (changeFn) {
-                    changeFn.apply(this, arguments);
-                }
-                attrTarget.set(attrName, val);
+        rect.x = instance.ax < 0 ? x - width : x;
+        rect.y = instance.ay < 0 ? y - height : y;
+        rect.width = width;
+        rect.height = height;
+
+        return rect;
+    }
+};
+
+tracking.Transform = Transform;
+
+// tracking.preprocessors
+
+/*
+ * Steps of the preprocess tracker option, either a name or a {type: name}
+ * map with the step options. Each step returns a new ImageData-like object
+ * and appends its geometry changes to the transform.
+ */
+tracking.preprocessors = {
+    blur: function(imageData, step, transform) {
+        return {
+            width: imageData.width,
+            height: imageData.height,
+            data: tracking.image.gaussianBlur(imageData.data, imageData.width, imageData.height, step.sigma || 1)
+        };
+    },
+
+    /*
+     * Keeps the {x, y, width, height} region, clipped to the frame. A region
+     * outside the frame gives an empty one.
+     */
+    crop: function(imageData, step, transform) {
+        var x = Math.max(0, ~~step.x),
+            y = Math.max(0, ~~step.y),
+            width = Math.max(0, Math.min(imageData.width - x, ~~step.width)),
+            height = Math.max(0, Math.min(imageData.height - y, ~~step.height)),
+            data,
+            row;
+
+        transform.append(1, x, 1, y);
+
+        if (!width || !height) {
+            return {
+                width: 0,
+                height: 0,
+                data: new Uint8ClampedArray(0)
             };
+        }
 
-            if (opt_set) {
-                attrTarget.set(attrName, instance.get(attrName));
+        data = new Uint8ClampedArray(width*height*4);
+
+        for (row = 0; row < height; row++) {
+            data.set(imageData.data.subarray(
+                ((y + row)*imageData.width + x)*4, ((y + row)*imageData.width + x + width)*4), row*width*4);
+        }
+
+        return {
+            width: width,
+            height: height,
+            data: data
+        };
+    },
+
+    /*
+     * Mirrors the frame horizontally, the default, and/or vertically.
+     */
+    flip: function(imageData, step, transform) {
+        var width = imageData.width,
+            height = imageData.height,
+            horizontal = step.horizontal || !step.vertical,
+            vertical = !!step.vertical,
+            data = new Uint8ClampedArray(width*height*4),
+            source,
+            target,
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                source = (y*width + x)*4;
+                target = ((vertical ? height - 1 - y : y)*width + (horizontal ? width - 1 - x : x))*4;
+
+                data[target] = imageData.data[source];
+                data[target + 1] = imageData.data[source + 1];
+                data[target + 2] = imageData.data[source + 2];
+                data[target + 3] = imageData.data[source + 3];
+            }
+        }
+
+        transform.append(horizontal ? -1 : 1, horizontal ? width : 0, vertical ? -1 : 1, vertical ? height : 0);
+
+        return {
+            width: width,
+            height: height,
+            data: data
+        };
+    },
+
+    grayscale: function(imageData, step, transform) {
+        var len = imageData.width*imageData.height,
+            gray = tracking.image.grayscale(imageData.data, imageData.width, imageData.height),
+            data = new Uint8ClampedArray(len*4),
+            i;
+
+        for (i = 0; i < len; i++) {
+            data[i*4] = data[i*4 + 1] = data[i*4 + 2] = gray[i];
+            data[i*4 + 3] = imageData.data[i*4 + 3];
+        }
+
+        return {
+            width: imageData.width,
+            height: imageData.height,
+            data: data
+        };
+    },
+
+    /*
+     * Resizes the frame by step.scale, sampling the nearest pixels. A blur
+     * step before smooths large reductions.
+     */
+    scale: function(imageData, step, transform) {
+        var scale = step.scale || 1,
+            sourceWidth = imageData.width,
+            width = Math.max(1, Math.round(sourceWidth*scale)),
+            height = Math.max(1, Math.round(imageData.height*scale)),
+            scaleX = width/sourceWidth,
+            scaleY = height/imageData.height,
+            data = new Uint8ClampedArray(width*height*4),
+            source,
+            target,
+            x,
+            y;
+
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                source = (~~((y + 0.5)/scaleY)*sourceWidth + ~~((x + 0.5)/scaleX))*4;
+                target = (y*width + x)*4;
+
+                data[target] = imageData.data[source];
+                data[target + 1] = imageData.data[source + 1];
+                data[target + 2] = imageData.data[source + 2];
+                data[target + 3] = imageData.data[source + 3];
             }
+        }
+
+        transform.append(1/scaleX, 0, 1/scaleY, 0);
+
+        return {
+            width: width,
+            height: height,
+            data: data
+        };
     }
 };
 
-tracking.Attribute = Attribute;
-
 // tracking.DomElement
 
 var DomElement = function(opt_config) {
@@ -297,21 +2484,9 @@ Canvas.prototype = {
     },
 
     forEach: function(imageData, fn, opt_jump) {
-        var instance = this,
-            width = imageData.width,
-            height = imageData.height,
-            data = imageData.data,
-            jump = opt_jump || 1,
-            i = 0,
-            j = 0,
-            w;
+        var instance = this;
 
-        for (i = 0; i < height; i+=jump) {
-            for (j = 0; j < width; j+=jump) {
-                w = i*width*4 + j*4;
-                fn.call(instance, data[w], data[w+1], data[w+2], data[w+3], w, i, j, imageData);
-            }
-        }
+        tracking.forEachPixel(imageData, fn, opt_jump, instance);
     },
 
     loadImage: function(src, opt_fn, opt_x, opt_y, opt_width, opt_height) {
@@ -345,6 +2520,12 @@ Canvas.prototype = {
         return instance.domElement.toDataURL(opt_format || 'image/png');
     },
 
+    track: function(config) {
+        var instance = this;
+
+        return tracking.track(instance, config);
+    },
+
     transform: function(fn) {
         var instance = this,
             imageData = instance.getImageData(),
@@ -378,7 +2559,7 @@ var Video = function(opt_config) {
         controls: true
     }, opt_config), true);
 
-    instance.trackers_ = {};
+    instance.trackers_ = [];
 
     instance.createVideo_();
     instance.createCanvas_();
@@ -387,6 +2568,8 @@ var Video = function(opt_config) {
 Video.prototype = {
     canvas: null,
 
+    loopId_: null,
+
     trackers_: null,
 
     createCanvas_: function() {
@@ -433,23 +2616,32 @@ Video.prototype = {
 
     loop_: function() {
         var instance = this,
-            i = 0,
-            trackers = instance.trackers_,
-            type;
+            trackers = instance.trackers_.filter(function(tracker) {
+                return !tracker.paused_;
+            }),
+            imageData;
 
-        tracking.forEach(trackers, function(trackerGroup, trackerName) {
-            type = tracking.type[trackerName];
+        if (!instance.trackers_.length) {
+            instance.loopId_ = null;
 
-            if (type.track) {
-                type.track(trackerGroup, instance);
-            }
+            return;
+        }
+
+        // Schedules the next frame before tracking, trackers stopped or added
+        // from inside onFound callbacks won't start a second loop.
+        instance.loopId_ = requestAnimationFrame(function loop() {
+            instance.loop_();
         });
 
-        if (Object.keys(trackers).length) {
-            requestAnimationFrame(function loop() {
-                instance.loop_();
-            });
+        if (trackers.length) {
+            imageData = instance.getVideoCanvasImageData();
         }
+
+        trackers.forEach(function(tracker) {
+            if (tracker.video_ === instance) {
+                tracker.track_(imageData, instance);
+            }
+        });
     },
 
     pause: function() {
@@ -470,6 +2662,20 @@ Video.prototype = {
         return instance;
     },
 
+    removeTracker_: function(tracker) {
+        var instance = this,
+            trackers = instance.trackers_,
+            index = trackers.indexOf(tracker);
+
+        if (index > -1) {
+            trackers.splice(index, 1);
+        }
+
+        if (!trackers.length) {
+            instance.stopLoop_();
+        }
+    },
+
     renderVideoCanvas: function(opt_selector) {
         var instance = this;
 
@@ -490,7 +2696,20 @@ Video.prototype = {
     stopTracking: function() {
         var instance = this;
 
-        instance.trackers_ = {};
+        instance.trackers_.slice().forEach(function(tracker) {
+            tracker.stop();
+        });
+
+        instance.stopLoop_();
+    },
+
+    stopLoop_: function() {
+        var instance = this;
+
+        if (instance.loopId_) {
+            cancelAnimationFrame(instance.loopId_);
+            instance.loopId_ = null;
+        }
     },
 
     syncVideoCanvas: function() {
@@ -517,22 +2736,21 @@ Video.prototype = {
 
     track: function(config) {
         var instance = this,
-            type = tracking.type[config.type.toUpperCase()],
-            trackers = instance.trackers_;
-
-        if (!type) {
-            throw Error('A tracker type should be specified.');
-        }
+            tracker = new tracking.Tracker(config);
 
-        if (!trackers[type.NAME]) {
-            trackers[type.NAME] = [];
-        }
+        tracker.video_ = instance;
 
-        trackers[type.NAME].push(config);
+        instance.trackers_.push(tracker);
 
-        if (Object.keys(trackers).length === 1) {
-            instance.loop_();
+        // Starts on the next frame, the tracker is returned before its
+        // callbacks are called.
+        if (!instance.loopId_) {
+            instance.loopId_ = requestAnimationFrame(function loop() {
+                instance.loop_();
+            });
         }
+
+        return tracker;
     }
 };
 
@@ -582,15 +2800,15 @@ VideoCamera.prototype = {
 
 tracking.VideoCamera = tracking.augment(VideoCamera, tracking.Video);
 
-// self.Int32Array polyfill
-if (!self.Int32Array) {
-    self.Int32Array = Array;
-    self.Float32Array = Array;
+// Int32Array polyfill
+if (!window.Int32Array) {
+    window.Int32Array = Array;
+    window.Float32Array = Array;
 }
 
-// self.Uint8ClampedArray polyfill
-if (!self.Uint8ClampedArray) {
-    self.Uint8ClampedArray = Array;
+// Uint8ClampedArray polyfill
+if (!window.Uint8ClampedArray) {
+    window.Uint8ClampedArray = Array;
 }
 
 // window.URL polyfill
@@ -599,7 +2817,7 @@ if (!window.URL) {
 }
 
 // getUserMedia polyfill
-if (!navigator.getUserMedia) {
+if (navigator && !navigator.getUserMedia) {
     navigator.getUserMedia = (navigator.getUserMedia || navigator.webkitGetUserMedia ||
                               navigator.mozGetUserMedia || navigator.msGetUserMedia);
 }
@@ -634,4 +2852,9 @@ if (!navigator.getUserMedia) {
 
 window.tracking = tracking;
 
-}( window ));
\ No newline at end of file
+// CommonJS export, allows the detection core to be required from Node.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = tracking;
+}
+
+}( typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : global) ));
\ No newline at end of file
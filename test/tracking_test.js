@@ -0,0 +1,292 @@
+/*
+ * Plain Node checks, run with: node test/tracking_test.js
+ */
+var assert = require('assert'),
+    path = require('path'),
+    src = path.join(__dirname, '..', 'src');
+
+global.window = global;
+
+require(path.join(src, 'tracking.js'));
+require(path.join(src, 'tracker', 'human', 'human.js'));
+require(path.join(src, 'tracker', 'human', 'data', 'eye.js'));
+require(path.join(src, 'tracker', 'human', 'data', 'frontal_face.js'));
+require(path.join(src, 'tracker', 'human', 'data', 'upper_body.js'));
+require(path.join(src, 'tracker', 'lbp', 'lbp.js'));
+require(path.join(src, 'tracker', 'color', 'color.js'));
+require(path.join(src, 'tracker', 'background', 'background.js'));
+require(path.join(src, 'tracker', 'motion', 'motion.js'));
+require(path.join(src, 'tracker', 'template', 'template.js'));
+
+/*
+ * Deterministic pseudo random image, RGBA pixels and their gray levels.
+ */
+function randomImage(width, height) {
+    var seed = 7,
+        pixels = new Uint8ClampedArray(width*height*4),
+        i;
+
+    for (i = 0; i < pixels.length; i++) {
+        seed = (seed*16807) % 2147483647;
+        pixels[i] = seed & 255;
+    }
+
+    return {
+        pixels: pixels,
+        gray: tracking.image.grayscale(pixels, width, height)
+    };
+}
+
+var tests = {
+    'bundled Haar cascades load': function() {
+        var data = tracking.type.HUMAN.data,
+            expected = {
+                eye: [20, 20, 24],
+                frontal_face: [20, 20, 22],
+                upper_body: [22, 18, 30]
+            };
+
+        Object.keys(expected).forEach(function(name) {
+            assert.strictEqual(data[name].width, expected[name][0], name + ' width');
+            assert.strictEqual(data[name].height, expected[name][1], name + ' height');
+            assert.strictEqual(data[name].stages.length, expected[name][2], name + ' stages');
+        });
+    },
+
+    'cascades are read from XML strings and passed to the callback': function() {
+        var xml = '<?xml version="1.0"?><opencv_storage><cascade><stages><_>1</_></stages>' +
+                '</cascade></opencv_storage>',
+            loaded;
+
+        assert.deepStrictEqual(tracking.readCascade_(xml), { stages: ['1'] });
+        assert.throws(function() {
+            tracking.readCascade_('<opencv_storage><cascade></cascade></opencv_storage>');
+        }, /no stages/);
+
+        // One stage of one stump, a 4x2 window.
+        xml = '<opencv_storage><cascade><featureType>HAAR</featureType><height>2</height><width>4</width>' +
+            '<stages><_><stageThreshold>0</stageThreshold><weakClassifiers><_>' +
+            '<internalNodes>0 -1 0 0.5</internalNodes><leafValues>1 -1</leafValues></_></weakClassifiers></_></stages>' +
+            '<features><_><rects><_>0 0 4 1 -1.</_><_>0 1 4 1 2.</_></rects><tilted>0</tilted></_></features>' +
+            '</cascade></opencv_storage>';
+
+        tracking.type.HUMAN.loadCascade('test', xml, function(err, cascade) {
+            assert.strictEqual(err, null);
+            loaded = cascade;
+        });
+
+        assert.strictEqual(loaded, tracking.type.HUMAN.data.test);
+        assert.strictEqual(loaded.width, 4);
+        assert.strictEqual(loaded.height, 2);
+        assert.strictEqual(loaded.stages.length, 1);
+
+        delete tracking.type.HUMAN.data.test;
+    },
+
+    'Haar trackers reject scales that never grow the window': function() {
+        assert.throws(function() {
+            new tracking.Tracker({ type: 'human', blockScale: 1 });
+        }, /blockScale/);
+    },
+
+    'LBP trackers reject scales that never grow the window': function() {
+        tracking.type.LBP.data.test = { width: 24, height: 24, stages: [] };
+
+        assert.throws(function() {
+            new tracking.Tracker({ type: 'lbp', data: 'test', blockScale: 0.9 });
+        }, /blockScale/);
+
+        delete tracking.type.LBP.data.test;
+    },
+
+    'color trackers count minFoundPixels in pixels with and without blobs': function() {
+        var imageData = {
+                width: 10,
+                height: 10,
+                data: new Uint8ClampedArray(400)
+            },
+            i;
+
+        // 30 magenta pixels in the first rows.
+        for (i = 0; i < 30; i++) {
+            imageData.data.set([255, 0, 255, 255], i*4);
+        }
+
+        [false, true].forEach(function(blobs) {
+            assert.ok(tracking.track(imageData, { type: 'color', blobs: blobs, minFoundPixels: 30 }), 'blobs ' + blobs);
+            assert.strictEqual(tracking.track(imageData, { type: 'color', blobs: blobs, minFoundPixels: 31 }), null, 'blobs ' + blobs);
+        });
+    },
+
+    'built-in colors are still reachable on the color type': function() {
+        var COLOR = tracking.type.COLOR,
+            magenta = COLOR.magenta,
+            imageData = {
+                width: 1,
+                height: 1,
+                data: new Uint8ClampedArray([0, 255, 0, 255])
+            };
+
+        assert.strictEqual(COLOR.cyan, COLOR.colors.cyan);
+        assert.strictEqual(COLOR.magenta, COLOR.colors.magenta);
+        assert.ok(COLOR.magenta(255, 0, 255));
+
+        COLOR.magenta = function(r, g, b) {
+            return g === 255;
+        };
+
+        assert.strictEqual(COLOR.colors.magenta, COLOR.magenta);
+        assert.ok(tracking.track(imageData, { type: 'color', color: 'magenta', minFoundPixels: 1 }));
+
+        COLOR.magenta = magenta;
+    },
+
+    'crops outside the frame are empty': function() {
+        var imageData = {
+                width: 10,
+                height: 10,
+                data: new Uint8ClampedArray(400)
+            },
+            transform = new tracking.Transform(),
+            cropped = tracking.preprocessors.crop(imageData, { x: 20, y: 2, width: 5, height: 5 }, transform);
+
+        assert.strictEqual(cropped.width, 0);
+        assert.strictEqual(cropped.height, 0);
+        assert.strictEqual(tracking.track(imageData, {
+            type: 'color',
+            preprocess: [{ type: 'crop', x: 0, y: 20, width: 5, height: 5 }]
+        }), null);
+        assert.throws(function() {
+            new tracking.Tracker({ type: 'color', preprocess: [{ type: 'crop', x: 0, y: 0, width: 0, height: 5 }] });
+        }, /Crop/);
+    },
+
+    'search windows follow the bounds of the tracker type': function() {
+        var imageData = {
+                width: 100,
+                height: 100,
+                data: new Uint8ClampedArray(40000)
+            },
+            tracker;
+
+        tracking.registerTracker('boxed', {
+            getBounds: function(payload) {
+                return payload.box;
+            },
+            track: function() {
+                return { box: { x: 40, y: 40, width: 20, height: 10 } };
+            }
+        });
+
+        tracker = new tracking.Tracker({ type: 'boxed', searchWindow: { margin: 0.5 } });
+        tracker.track_(imageData);
+
+        assert.deepStrictEqual(tracker.searchRect_, { x: 30, y: 35, width: 40, height: 20 });
+
+        assert.deepStrictEqual(tracking.type.TEMPLATE.getBounds({
+            corners: [{ x: 10, y: 20 }, { x: 50, y: 22 }, { x: 48, y: 60 }, { x: 12, y: 58 }]
+        }), { x: 10, y: 20, width: 41, height: 41 });
+
+        assert.throws(function() {
+            new tracking.Tracker({ type: 'background', searchWindow: true });
+        }, /searchWindow/);
+
+        delete tracking.type.BOXED;
+    },
+
+    'motion trackers reject search windows': function() {
+        assert.throws(function() {
+            new tracking.Tracker({ type: 'motion', searchWindow: true });
+        }, /searchWindow/);
+    },
+
+    'findBlobs measures only the given pixels': function() {
+        // Two pixels joined by a third one that is not measured.
+        var mask = new Uint8Array([1, 1, 1, 0, 0]),
+            pixels = new Uint8Array([1, 0, 1, 0, 0]),
+            labels = new Int32Array(5),
+            blobs = tracking.image.findBlobs(mask, 5, 1, 1, labels, pixels);
+
+        assert.strictEqual(blobs.length, 1);
+        assert.strictEqual(blobs[0].pixelCount, 2);
+        assert.strictEqual(blobs[0].x, 1);
+        assert.deepStrictEqual(blobs[0].rect, { x: 0, y: 0, width: 3, height: 1 });
+        assert.deepStrictEqual(Array.from(labels), [0, 0, 0, -1, -1]);
+    },
+
+    'grayscale matches the luma of each pixel': function() {
+        var image = randomImage(13, 7),
+            pixels = image.pixels,
+            i;
+
+        for (i = 0; i < 13*7; i++) {
+            assert.strictEqual(image.gray[i],
+                Math.round(pixels[i*4]*0.299 + pixels[i*4 + 1]*0.587 + pixels[i*4 + 2]*0.114), 'pixel ' + i);
+        }
+    },
+
+    'integral images match brute force sums': function() {
+        var width = 13,
+            height = 7,
+            gray = randomImage(width, height).gray,
+            integral = tracking.image.integralImage(gray, width, height),
+            integralSquare = tracking.image.integralImageSquare(gray, width, height),
+            sum,
+            sumSquare,
+            x,
+            y,
+            i,
+            j;
+
+        for (y = 0; y <= height; y++) {
+            for (x = 0; x <= width; x++) {
+                sum = sumSquare = 0;
+
+                for (i = 0; i < y; i++) {
+                    for (j = 0; j < x; j++) {
+                        sum += gray[i*width + j];
+                        sumSquare += gray[i*width + j]*gray[i*width + j];
+                    }
+                }
+
+                assert.strictEqual(integral[y*(width + 1) + x], sum, 'sum at ' + x + ',' + y);
+                assert.strictEqual(integralSquare[y*(width + 1) + x], sumSquare, 'square sum at ' + x + ',' + y);
+            }
+        }
+    },
+
+    'tilted integral image matches brute force sums': function() {
+        var width = 13,
+            height = 7,
+            gray = randomImage(width, height).gray,
+            integral = tracking.image.tiltedIntegralImage(gray, width, height),
+            sum,
+            x,
+            y,
+            i,
+            j;
+
+        // Entry (x, y) sums the pixels of the rows above y within the 45
+        // degrees triangle whose apex is pixel (x - 1, y - 1).
+        for (y = 0; y <= height; y++) {
+            for (x = 0; x <= width; x++) {
+                sum = 0;
+
+                for (i = 0; i < y; i++) {
+                    for (j = 0; j < width; j++) {
+                        if (Math.abs(j - x + 1) <= y - 1 - i) {
+                            sum += gray[i*width + j];
+                        }
+                    }
+                }
+
+                assert.strictEqual(integral[y*(width + 1) + x], sum, 'tilted sum at ' + x + ',' + y);
+            }
+        }
+    }
+};
+
+Object.keys(tests).forEach(function(name) {
+    tests[name]();
+    console.log('ok - ' + name);
+});